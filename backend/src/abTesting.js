@@ -0,0 +1,139 @@
+/**
+ * A/B Testing - significance tests for comparing two sets of trades
+ *
+ * - Win rates: two-proportion z-test (pooled)
+ * - Mean PnL per trade: Welch's t-test (unequal variances)
+ *
+ * Both are two-sided. p-values below alpha (default 0.05) mean the difference
+ * is unlikely to be noise; small samples rarely get there, which is the point.
+ */
+
+const DEFAULT_ALPHA = 0.05;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+// Sample variance (n - 1)
+function variance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26 erf approximation, |error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// ln(Gamma(x)), Lanczos approximation
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of c) series += coefficient / ++y;
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(a, b, x) {
+  const EPS = 3e-14;
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Two-sided p-value of Student's t with df degrees of freedom
+function tTwoSidedPValue(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+function round(value, decimals = 4) {
+  return Number.isFinite(value) ? Math.round(value * 10 ** decimals) / 10 ** decimals : null;
+}
+
+/**
+ * Two-proportion z-test: is B's success rate different from A's?
+ * @returns {Object} { rateA, rateB, difference, zScore, pValue, significant }
+ */
+function twoProportionTest(successesA, totalA, successesB, totalB, alpha = DEFAULT_ALPHA) {
+  const rateA = totalA > 0 ? successesA / totalA : 0;
+  const rateB = totalB > 0 ? successesB / totalB : 0;
+  const result = { rateA: round(rateA), rateB: round(rateB), difference: round(rateB - rateA), zScore: null, pValue: null, significant: false };
+  if (totalA === 0 || totalB === 0) return result;
+
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (se === 0) return { ...result, pValue: 1 };
+
+  const z = (rateB - rateA) / se;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  return { ...result, zScore: round(z), pValue: round(pValue), significant: pValue < alpha };
+}
+
+/**
+ * Welch's t-test: is B's mean different from A's?
+ * @returns {Object} { meanA, meanB, difference, tStatistic, degreesOfFreedom, pValue, significant }
+ */
+function welchTTest(samplesA, samplesB, alpha = DEFAULT_ALPHA) {
+  const meanA = mean(samplesA);
+  const meanB = mean(samplesB);
+  const result = { meanA: round(meanA), meanB: round(meanB), difference: round(meanB - meanA), tStatistic: null, degreesOfFreedom: null, pValue: null, significant: false };
+  if (samplesA.length < 2 || samplesB.length < 2) return result;
+
+  const seA = variance(samplesA) / samplesA.length;
+  const seB = variance(samplesB) / samplesB.length;
+  const se = Math.sqrt(seA + seB);
+  if (se === 0) return { ...result, pValue: meanA === meanB ? 1 : 0, significant: meanA !== meanB };
+
+  const t = (meanB - meanA) / se;
+  const df = (seA + seB) ** 2 / (seA ** 2 / (samplesA.length - 1) + seB ** 2 / (samplesB.length - 1));
+  const pValue = tTwoSidedPValue(t, df);
+  return { ...result, tStatistic: round(t), degreesOfFreedom: round(df, 1), pValue: round(pValue), significant: pValue < alpha };
+}
+
+module.exports = {
+  twoProportionTest,
+  welchTTest,
+  mean,
+  variance,
+  DEFAULT_ALPHA
+};
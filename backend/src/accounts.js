@@ -0,0 +1,233 @@
+/**
+ * Trading Accounts - named accounts with their own keys, settings, risk and positions
+ *
+ * TRADING_ACCOUNTS lists the accounts (e.g. main,scalper,swing); 'main' always
+ * exists and is what chat commands and endpoints without ?account= act on.
+ *
+ * - main trades with BINANCE_API_KEY/BINANCE_API_SECRET and the plain trading env
+ *   (TRADING_ENABLED, RISK_PER_TRADE, MIN_CONFIDENCE, MAX_OPEN_POSITIONS,
+ *   MAX_DAILY_TRADES, LEVERAGE, MAX_DAILY_LOSS, ...)
+ * - every other account reads ACCOUNT_<NAME>_API_KEY / ACCOUNT_<NAME>_API_SECRET
+ *   and may override any setting as ACCOUNT_<NAME>_<SETTING>; unset settings fall
+ *   back to the global value. Credentials never fall back to main's.
+ *
+ * Each account owns its exchange adapter, runtime settings, riskManager book,
+ * open positions and trade history, so one account's losses or limits never
+ * block another.
+ *
+ * Shadow mode: an account with trading off and SHADOW_MODE=true (or
+ * ACCOUNT_<NAME>_SHADOW_MODE=true) still trades every signal, through the
+ * shadow adapter - live market data and symbol filters, futures orders filled
+ * on a paper order book. Its state is kept apart from the live one.
+ *
+ * Overrides are validated against the config schema. Runtime changes to a
+ * global value (PATCH /api/config) reach main and every account that inherits
+ * it - not those with their own ACCOUNT_<NAME>_<SETTING> or runtime value.
+ */
+
+const { getExchange, createExchange, EXCHANGE } = require('./exchanges');
+const { getRiskBook } = require('./riskManager');
+const { getConfig, getEnvOverride, parseConfigValue, setConfig, onConfigChange } = require('./config');
+
+const DEFAULT_ACCOUNT = 'main';
+const NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+// Runtime settings and the config keys behind them (fractions are configured as %)
+const ACCOUNT_SETTINGS = {
+  riskPerTrade: { key: 'RISK_PER_TRADE', scale: 100 },
+  minConfidence: { key: 'MIN_CONFIDENCE', scale: 100 },
+  maxOpenPositions: { key: 'MAX_OPEN_POSITIONS', scale: 1 },
+  maxDailyTrades: { key: 'MAX_DAILY_TRADES', scale: 1 },
+  leverage: { key: 'LEVERAGE', scale: 1 }
+};
+
+// riskManager limits (%, counts) an account can override
+const RISK_SETTINGS = {
+  maxDailyLoss: 'MAX_DAILY_LOSS',
+  maxWeeklyLoss: 'MAX_WEEKLY_LOSS',
+  maxDrawdown: 'MAX_DRAWDOWN',
+  maxConsecutiveLosses: 'MAX_CONSECUTIVE_LOSSES'
+};
+
+const accounts = new Map();
+
+function parseAccountNames(spec = '') {
+  const names = spec.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  for (const name of names) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid account name "${name}" in TRADING_ACCOUNTS (use letters, digits, - or _)`);
+    }
+  }
+  return Array.from(new Set([DEFAULT_ACCOUNT, ...names]));
+}
+
+// Env prefix of an account's own settings: ACCOUNT_<NAME>_
+const accountPrefix = name => `ACCOUNT_${name.toUpperCase().replace(/-/g, '_')}_`;
+
+function createAccount(name) {
+  const isDefault = name === DEFAULT_ACCOUNT;
+  const prefix = accountPrefix(name);
+
+  const ownValue = key => (isDefault ? undefined : getEnvOverride(prefix + key, key));
+  const hasOwn = key => ownValue(key) !== undefined;
+
+  // Account override, else the global value (unless inherit is off), else the fallback
+  const setting = (key, fallback, { inherit = true } = {}) => {
+    const own = ownValue(key);
+    if (own !== undefined) return own;
+    if (!isDefault && !inherit) return fallback;
+    const value = getConfig(key);
+    return value === undefined || value === null || value === '' ? fallback : value;
+  };
+
+  // main follows the active adapter (setExchange swaps it in tests and offline runs)
+  const ownExchange = isDefault
+    ? null
+    : createExchange(EXCHANGE, {
+      apiKey: getEnvOverride(`${prefix}API_KEY`, 'BINANCE_API_KEY') || '',
+      apiSecret: getEnvOverride(`${prefix}API_SECRET`, 'BINANCE_API_SECRET') || ''
+    });
+
+  const liveTrading = setting('TRADING_ENABLED') === true;
+  const shadow = !liveTrading && setting('SHADOW_MODE') === true;
+  const shadowExchange = shadow
+    ? createExchange('shadow', {
+      live: () => ownExchange || getExchange(),
+      balance: setting('SHADOW_BALANCE'),
+      feeTier: setting('SHADOW_FEE_TIER'),
+      slippage: setting('SHADOW_SLIPPAGE_PCT') / 100
+    })
+    : null;
+
+  const settings = {};
+  for (const [field, { key, scale }] of Object.entries(ACCOUNT_SETTINGS)) {
+    settings[field] = setting(key) / scale;
+  }
+
+  const riskOverrides = {};
+  for (const [field, key] of Object.entries(RISK_SETTINGS)) {
+    riskOverrides[field] = setting(key);
+  }
+
+  return {
+    name,
+    get exchange() {
+      return shadowExchange || ownExchange || getExchange();
+    },
+    setting,
+    hasOwn,
+    pinnedSettings: new Set(), // settings changed for this account alone at runtime
+    // Shadow accounts run the same trading path, so they count as trading
+    tradingEnabled: liveTrading || shadow,
+    shadow,
+    settings,
+    risk: getRiskBook(name, riskOverrides),
+    openPositions: new Map(), // symbol -> position info
+    pendingEntries: new Set(), // symbols with an entry being gated or placed
+    dailyTrades: { count: 0, date: new Date().toDateString() },
+    tradeHistory: []
+  };
+}
+
+// Push global config changes to the accounts that inherit them
+function applyConfigChanges(changes) {
+  for (const account of accounts.values()) {
+    for (const [field, { key, scale }] of Object.entries(ACCOUNT_SETTINGS)) {
+      if (!changes[key] || account.hasOwn(key) || account.pinnedSettings.has(field)) continue;
+      account.settings[field] = changes[key].value / scale;
+    }
+    for (const [field, key] of Object.entries(RISK_SETTINGS)) {
+      if (!changes[key] || account.hasOwn(key)) continue;
+      account.risk.config[field] = changes[key].value;
+    }
+  }
+}
+
+function loadAccounts() {
+  if (accounts.size > 0) return;
+  for (const name of parseAccountNames(getConfig('TRADING_ACCOUNTS'))) {
+    accounts.set(name, createAccount(name));
+  }
+  onConfigChange(applyConfigChanges);
+  if (accounts.size > 1) {
+    console.log(`[ACCOUNTS] Trading accounts: ${Array.from(accounts.keys()).join(', ')}`);
+  }
+  for (const account of accounts.values()) {
+    if (account.shadow) {
+      console.log(`[ACCOUNTS] ${account.name} is in shadow mode - orders fill on a paper order book (${account.exchange.feeTier} fees)`);
+    }
+  }
+}
+
+/**
+ * Change an account's runtime settings ({ riskPerTrade, minConfidence, ... }).
+ * Values are validated against the config schema for every account - nothing
+ * changes if one is invalid (throws, status 400). main's settings are the
+ * global config values, so they go through setConfig (and are inherited by the
+ * other accounts); other accounts keep the change to themselves.
+ * @returns {Object} the account's settings after the change
+ */
+function updateAccountSettings(account, updates) {
+  const fields = Object.keys(updates).filter(field => ACCOUNT_SETTINGS[field] && updates[field] !== undefined);
+  const configUpdates = {};
+  for (const field of fields) {
+    const { key, scale } = ACCOUNT_SETTINGS[field];
+    configUpdates[key] = Number((updates[field] * scale).toFixed(6));
+  }
+
+  if (account.name === DEFAULT_ACCOUNT) {
+    setConfig(configUpdates);
+  } else {
+    const parsed = {};
+    for (const field of fields) {
+      const { key, scale } = ACCOUNT_SETTINGS[field];
+      parsed[field] = parseConfigValue(key, configUpdates[key], accountPrefix(account.name) + key) / scale;
+    }
+    for (const [field, value] of Object.entries(parsed)) {
+      account.settings[field] = value;
+      account.pinnedSettings.add(field);
+    }
+  }
+  return { ...account.settings };
+}
+
+/**
+ * Look up an account by name (default: main)
+ * @returns {Object|null}
+ */
+function getAccount(name = DEFAULT_ACCOUNT) {
+  loadAccounts();
+  return accounts.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Account by name or the account itself; throws (status 404) for unknown names
+ */
+function resolveAccount(nameOrAccount) {
+  if (nameOrAccount && typeof nameOrAccount === 'object') return nameOrAccount;
+  const account = getAccount(nameOrAccount || DEFAULT_ACCOUNT);
+  if (!account) {
+    const err = new Error(`Unknown account: ${nameOrAccount} (use ${listAccountNames().join(', ')})`);
+    err.status = 404;
+    throw err;
+  }
+  return account;
+}
+
+function listAccounts() {
+  loadAccounts();
+  return Array.from(accounts.values());
+}
+
+function listAccountNames() {
+  return listAccounts().map(a => a.name);
+}
+
+module.exports = {
+  getAccount,
+  resolveAccount,
+  listAccounts,
+  listAccountNames,
+  updateAccountSettings,
+  DEFAULT_ACCOUNT
+};
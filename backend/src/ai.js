@@ -1,6 +1,7 @@
 const { findSimilarPatterns } = require('./patternMemory');
 const { getMarketCycleAnalysis, checkCycleAlignment } = require('./marketCycle');
 const { checkSniperConfirmation } = require('./sniperConfirmation');
+const { scoreIndicators } = require('./indicatorRegistry');
 
 // Funding rate cache (populated by server/scanner)
 let fundingRatesCache = {};
@@ -29,7 +30,12 @@ function getFundingSignal(symbol) {
   return null;
 }
 
-function predictNextMove(indicators, multiTimeframeData = null, symbol = 'UNKNOWN') {
+/**
+ * Score the next move from indicators (plus multi-timeframe context when given).
+ * Time-dependent scoring (market cycle, seasonality) is as of options.now, else
+ * indicators.evaluatedAt, so historical candles score as they would have live.
+ */
+function predictNextMove(indicators, multiTimeframeData = null, symbol = 'UNKNOWN', options = {}) {
   if (!indicators) {
     return { direction: 'neutral', confidence: 0.5, explanation: 'No indicators available', signal: 'HOLD' };
   }
@@ -52,7 +58,8 @@ function predictNextMove(indicators, multiTimeframeData = null, symbol = 'UNKNOW
     momentumScore,
     tradeLevels,
     sniperSignals, // NEW: Predictive signals
-    midweekReversal // NEW: Midweek reversal caution
+    midweekReversal, // NEW: Midweek reversal caution
+    microstructure // Order book + trade flow (live symbols only)
   } = indicators;
 
   let bullScore = 0;
@@ -339,13 +346,22 @@ function predictNextMove(indicators, multiTimeframeData = null, symbol = 'UNKNOW
   if (multiTimeframeData) {
     const { higherTimeframe, lowerTimeframe } = multiTimeframeData;
 
+    const htfLabel = higherTimeframe?.interval ? `${higherTimeframe.interval} timeframe` : 'Higher timeframe';
+
     // Check if higher timeframe agrees with current direction
     if (higherTimeframe?.direction === 'long' && bullScore > bearScore) {
       mtfBonus += 10;
-      reasons.push('MTF: Higher timeframe confirms LONG');
+      reasons.push(`MTF: ${htfLabel} confirms LONG`);
     } else if (higherTimeframe?.direction === 'short' && bearScore > bullScore) {
       mtfBonus += 10;
-      reasons.push('MTF: Higher timeframe confirms SHORT');
+      reasons.push(`MTF: ${htfLabel} confirms SHORT`);
+    } else if (higherTimeframe?.direction === 'short' && bullScore > bearScore) {
+      // Counter-trend against the higher timeframe
+      mtfBonus -= 10;
+      reasons.push(`MTF: ${htfLabel} is SHORT - counter-trend long`);
+    } else if (higherTimeframe?.direction === 'long' && bearScore > bullScore) {
+      mtfBonus -= 10;
+      reasons.push(`MTF: ${htfLabel} is LONG - counter-trend short`);
     }
 
     // Lower timeframe entry timing
@@ -360,7 +376,7 @@ function predictNextMove(indicators, multiTimeframeData = null, symbol = 'UNKNOW
   let cycleBonus = 0;
   let marketCycle = null;
   try {
-    marketCycle = getMarketCycleAnalysis();
+    marketCycle = getMarketCycleAnalysis(new Date(options.now ?? indicators.evaluatedAt ?? Date.now()));
     const { aiAdjustments, cyclePhase, seasonality } = marketCycle;
 
     // Apply cycle-based score adjustments
@@ -406,6 +422,26 @@ function predictNextMove(indicators, multiTimeframeData = null, symbol = 'UNKNOW
     // Funding data not available
   }
 
+  // === ORDER FLOW ANALYSIS (book imbalance, walls at S/R, CVD, taker ratio) ===
+  let orderFlowBias = null;
+  if (microstructure?.bias && !microstructure.stale) {
+    orderFlowBias = microstructure.bias;
+    // 3 points per bias point, capped so the tape confirms rather than decides
+    const flowBull = Math.min(12, orderFlowBias.bull * 3);
+    const flowBear = Math.min(12, orderFlowBias.bear * 3);
+    bullScore += flowBull;
+    bearScore += flowBear;
+    if (orderFlowBias.direction !== 'neutral') {
+      reasons.push(`FLOW: ${orderFlowBias.reasons.slice(0, 2).join(', ')} (+${Math.max(flowBull, flowBear)} ${orderFlowBias.direction === 'bullish' ? 'bull' : 'bear'})`);
+    }
+  }
+
+  // === EXTRA INDICATORS (INDICATORS_ENABLED, each at its declared weight) ===
+  const extraScores = scoreIndicators(indicators);
+  bullScore += extraScores.bull;
+  bearScore += extraScores.bear;
+  reasons.push(...extraScores.reasons);
+
   // Calculate final scores and direction
   const totalScore = bullScore + bearScore;
   const maxPossibleScore = 185; // Updated for sniper + volume surge signals
@@ -618,6 +654,21 @@ function predictNextMove(indicators, multiTimeframeData = null, symbol = 'UNKNOW
       overallBias: marketCycle.overallBias,
       recommendation: marketCycle.recommendation,
       longBias: marketCycle.longBias
+    } : null,
+    // Order flow (book + tape) when the symbol has a live order book
+    orderFlow: orderFlowBias,
+    // Points each enabled extra indicator added
+    indicatorScores: extraScores.details,
+    // Multi-timeframe context the signal was scored against
+    mtf: multiTimeframeData ? {
+      higherTimeframe: multiTimeframeData.higherTimeframe
+        ? { interval: multiTimeframeData.higherTimeframe.interval, direction: multiTimeframeData.higherTimeframe.direction }
+        : null,
+      lowerTimeframe: multiTimeframeData.lowerTimeframe
+        ? { interval: multiTimeframeData.lowerTimeframe.interval, signal: multiTimeframeData.lowerTimeframe.signal }
+        : null,
+      alignment: multiTimeframeData.alignment || null,
+      bonus: mtfBonus
     } : null
   };
 }
@@ -8,9 +8,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 const mongo = require('./mongoStorage');
 
-const LEARNING_DATA_FILE = path.join(__dirname, '../data/ai_learning.json');
+const LEARNING_DATA_FILE = path.join(getConfig('DATA_DIR'), 'ai_learning.json');
 
 // MongoDB connection status
 let mongoInitialized = false;
@@ -0,0 +1,163 @@
+/**
+ * Audit Log - who changed what, over the REST API or Socket.io chat
+ *
+ * One record per state-changing call: every non-GET HTTP request (after the
+ * response, with its status) and every chat command that opens/closes trades
+ * or changes settings. Records carry the authenticated actor and role, the
+ * action, redacted parameters and the result.
+ *
+ * Storage: MongoDB (primary) + JSON file (backup, last AUDIT_LOG_MAX records)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongo = require('./mongoStorage');
+const { getConfig } = require('./config');
+
+const AUDIT_FILE = path.join(getConfig('DATA_DIR'), 'audit_log.json');
+const AUDIT_LOG_MAX = getConfig('AUDIT_LOG_MAX');
+const SAVE_DELAY_MS = 5000;
+const SECRET_FIELDS = /secret|password|token|api[-_]?key|auth|keys/i;
+const MAX_PARAM_LENGTH = 500;
+
+const entries = []; // oldest first, capped at AUDIT_LOG_MAX
+
+let loaded = false;
+let saveTimer = null;
+
+function loadEntries() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    if (fs.existsSync(AUDIT_FILE)) {
+      const data = JSON.parse(fs.readFileSync(AUDIT_FILE, 'utf-8'));
+      entries.push(...(data.entries || []).slice(-AUDIT_LOG_MAX));
+      console.log(`[AUDIT] Loaded ${entries.length} audit entries from file`);
+    }
+  } catch (err) {
+    console.warn('[AUDIT] Could not load audit log:', err.message);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      const dir = path.dirname(AUDIT_FILE);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(AUDIT_FILE, JSON.stringify({ entries, savedAt: Date.now() }));
+    } catch (err) {
+      console.warn('[AUDIT] Could not save audit log:', err.message);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+// Credentials can sit at any depth (settings.apiSecret, headers.Authorization, ...)
+function scrub(value) {
+  if (Array.isArray(value)) return value.map(scrub);
+  if (!value || typeof value !== 'object') return value;
+  const clean = {};
+  for (const [key, item] of Object.entries(value)) {
+    clean[key] = SECRET_FIELDS.test(key) ? '[redacted]' : scrub(item);
+  }
+  return clean;
+}
+
+// Drop credentials and cap the size of whatever the caller sent
+function redact(params) {
+  if (params === undefined || params === null) return undefined;
+  if (typeof params !== 'object') return String(params).slice(0, MAX_PARAM_LENGTH);
+
+  const clean = {};
+  for (const [key, value] of Object.entries(scrub(params))) {
+    if (value && typeof value === 'object') {
+      // Truncated after scrubbing, so a cut can't expose part of a secret
+      const json = JSON.stringify(value);
+      clean[key] = json.length > MAX_PARAM_LENGTH ? `${json.slice(0, MAX_PARAM_LENGTH)}...` : value;
+    } else {
+      clean[key] = value;
+    }
+  }
+  return Object.keys(clean).length > 0 ? clean : undefined;
+}
+
+/**
+ * Store an audit entry
+ * @param {Object} entry - { user, channel: 'http'|'socket', action, params, status, ok, ... }
+ * @returns {Object} the stored record
+ */
+function recordAudit({ user, params, ...entry }) {
+  loadEntries();
+
+  const record = {
+    id: `aud_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    timestamp: Date.now(),
+    actor: user?.name || 'unknown',
+    role: user?.role || null,
+    via: user?.via || null,
+    ...entry,
+    params: redact(params)
+  };
+
+  entries.push(record);
+  if (entries.length > AUDIT_LOG_MAX) entries.splice(0, entries.length - AUDIT_LOG_MAX);
+  scheduleSave();
+
+  mongo.recordAuditEntry(record).catch(() => {});
+  return record;
+}
+
+/**
+ * Express middleware: audits every non-GET request once the response is sent
+ */
+function auditRequests(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+
+  res.on('finish', () => {
+    recordAudit({
+      user: req.user,
+      channel: 'http',
+      action: `${req.method} ${req.path}`,
+      params: { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) },
+      status: res.statusCode,
+      ok: res.statusCode < 400,
+      ip: req.ip
+    });
+  });
+  next();
+}
+
+/**
+ * Query audit entries, newest first
+ * @param {Object} filters - { actor, channel, action, startDate, endDate (ms), limit, skip }
+ */
+async function getAuditLog(filters = {}) {
+  const limit = Math.min(Math.max(Number(filters.limit) || 100, 1), 1000);
+  const skip = Math.max(Number(filters.skip) || 0, 0);
+  const query = { ...filters, limit, skip };
+
+  if (mongo.isAvailable()) {
+    return mongo.getAuditLog(query);
+  }
+
+  loadEntries();
+  const matches = [];
+  for (let i = entries.length - 1; i >= 0 && matches.length < skip + limit; i--) {
+    const e = entries[i];
+    if (query.actor && e.actor !== query.actor) continue;
+    if (query.channel && e.channel !== query.channel) continue;
+    if (query.action && e.action !== query.action) continue;
+    if (query.startDate && e.timestamp < query.startDate) continue;
+    if (query.endDate && e.timestamp > query.endDate) continue;
+    matches.push(e);
+  }
+  return matches.slice(skip);
+}
+
+module.exports = {
+  recordAudit,
+  auditRequests,
+  getAuditLog
+};
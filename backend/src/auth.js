@@ -0,0 +1,218 @@
+/**
+ * Auth - API-key / JWT authentication and role-based access for REST and Socket.io
+ *
+ * Roles, lowest to highest: viewer (read-only), trader (open/close trades,
+ * change trading settings, run backtests), admin (risk limits, resets,
+ * tracking, learning runs, audit log). A higher role can do everything a
+ * lower one can.
+ *
+ * Credentials, sent as `Authorization: Bearer <token>`, `X-API-Key: <key>` or
+ * (Socket.io) `auth: { token }` in the handshake:
+ * - API_KEYS: comma list of name:role:key (e.g. ops:admin:k1,desk:trader:k2)
+ * - JWT_SECRET: HS256 tokens with { sub, role, exp } claims (exp required)
+ *
+ * Auth is on when either is configured (AUTH_ENABLED=false turns it off).
+ * AUTH_ANONYMOUS_ROLE lets requests without credentials act as that role
+ * (e.g. viewer for a public dashboard). With auth off every caller is admin.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const ROLES = ['viewer', 'trader', 'admin'];
+const JWT_SECRET = getConfig('JWT_SECRET');
+const ANONYMOUS_ROLE = getConfig('AUTH_ANONYMOUS_ROLE');
+
+function parseApiKeys(spec = '') {
+  const keys = new Map(); // key -> { name, role }
+  for (const entry of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, role, ...rest] = entry.split(':');
+    const key = rest.join(':');
+    if (!name || !ROLES.includes(role) || !key) {
+      console.warn(`[AUTH] Ignoring malformed API_KEYS entry "${name || entry}" (use name:role:key, role = ${ROLES.join('|')})`);
+      continue;
+    }
+    keys.set(key, { name, role });
+  }
+  return keys;
+}
+
+const API_KEYS = parseApiKeys(getConfig('API_KEYS'));
+const AUTH_ENABLED = getConfig('AUTH_ENABLED') ?? (API_KEYS.size > 0 || Boolean(JWT_SECRET));
+
+// Route groups -> minimum role; first match wins. null = public.
+// Anything not listed: reads need viewer, every other method needs admin.
+const ROUTE_ROLES = [
+  { methods: ['GET'], path: /^\/health$/, role: null },
+  { methods: ['GET'], path: /^\/api\/auth\/me$/, role: null },
+  { methods: ['POST'], path: /^\/api\/auth\/token$/, role: 'admin' },
+  { methods: ['GET'], path: /^\/api\/audit$/, role: 'admin' },
+  // Push subscriptions are per device - anyone who may see alerts can manage their own
+  { methods: ['POST', 'DELETE'], path: /^\/api\/(subscribe|user-alerts)$/, role: 'viewer' },
+  // Calculators that change nothing
+  { methods: ['POST'], path: /^\/api\/ai\/(position-size|kelly)$/, role: 'viewer' },
+  { methods: ['POST'], path: /^\/api\/trading\//, role: 'trader' },
+  // Custom alert rules (they can call webhooks, so not every viewer)
+  { methods: ['POST', 'PUT', 'DELETE'], path: /^\/api\/custom-alerts(\/|$)/, role: 'trader' },
+  { methods: ['POST'], path: /^\/api\/ai\/(backtest|backtest\/portfolio|optimize|monte-carlo)$/, role: 'trader' },
+  { methods: ['GET', 'HEAD'], path: /./, role: 'viewer' },
+  // Risk reset/multiplier, simulation reset, profile edits, tracking, training and learning runs
+  { methods: null, path: /./, role: 'admin' }
+];
+
+function roleAtLeast(role, required) {
+  if (!required) return true;
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Express routes match case-insensitively and with a trailing slash, so the
+// rules must see /API/Audit/ as /api/audit
+function normalizePath(path) {
+  return String(path).toLowerCase().replace(/\/+$/, '') || '/';
+}
+
+function requiredRole(method, path) {
+  const normalized = normalizePath(path);
+  const rule = ROUTE_ROLES.find(r => (!r.methods || r.methods.includes(method)) && r.path.test(normalized));
+  return rule ? rule.role : 'admin';
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Mint an HS256 token (needs JWT_SECRET)
+ * @param {Object} claims - { sub, role }
+ * @param {number} expiresInSec
+ */
+function signToken({ sub, role }, expiresInSec = 24 * 60 * 60) {
+  if (!JWT_SECRET) throw new Error('JWT_SECRET is not configured');
+  if (!ROLES.includes(role)) throw new Error(`Invalid role: ${role} (use ${ROLES.join(', ')})`);
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${base64UrlJson({ alg: 'HS256', typ: 'JWT' })}.${base64UrlJson({ sub, role, iat: now, exp: now + expiresInSec })}`;
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(unsigned).digest('base64url');
+  return { token: `${unsigned}.${signature}`, expiresAt: (now + expiresInSec) * 1000 };
+}
+
+function verifyToken(token) {
+  if (!JWT_SECRET) return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== 'HS256' || !ROLES.includes(claims.role)) return null;
+    // Tokens without an expiry would never stop working
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 < Date.now()) return null;
+    return { name: claims.sub || 'jwt', role: claims.role, via: 'jwt' };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a credential to a principal
+ * @returns {Object|null} { name, role, via: 'api-key'|'jwt'|'anonymous'|'open' }
+ */
+function authenticate(credential) {
+  if (!AUTH_ENABLED) return { name: 'anonymous', role: 'admin', via: 'open' };
+
+  if (credential) {
+    for (const [key, entry] of API_KEYS) {
+      if (safeEqual(credential, key)) return { ...entry, via: 'api-key' };
+    }
+    const principal = verifyToken(credential);
+    if (principal) return principal;
+    return null; // a bad credential never falls back to anonymous
+  }
+
+  return ANONYMOUS_ROLE ? { name: 'anonymous', role: ANONYMOUS_ROLE, via: 'anonymous' } : null;
+}
+
+function credentialFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Express middleware: sets req.user, answers 401 (no/bad credentials) or
+ * 403 (role too low) for the route's group
+ */
+function requireAuth(req, res, next) {
+  const required = requiredRole(req.method, req.path);
+  const credential = credentialFromRequest(req);
+  const user = authenticate(credential);
+  req.user = user;
+
+  if (!required) return next();
+  if (!user) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: credential ? 'Invalid API key or token' : 'Send an API key or token (Authorization: Bearer ...)'
+    });
+  }
+  if (!roleAtLeast(user.role, required)) {
+    return res.status(403).json({ error: 'Forbidden', message: `${req.method} ${req.path} requires the ${required} role` });
+  }
+  next();
+}
+
+/**
+ * Socket.io middleware: authenticates the handshake into socket.data.user
+ */
+function socketAuth(socket, next) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const header = headers.authorization || '';
+  const credential = auth.token
+    || (header.toLowerCase().startsWith('bearer ') ? header.slice(7).trim() : null)
+    || headers['x-api-key']
+    || null;
+
+  const user = authenticate(credential);
+  if (!user) {
+    const err = new Error('Unauthorized');
+    err.data = { message: credential ? 'Invalid API key or token' : 'Send auth: { token } with the connection' };
+    return next(err);
+  }
+  socket.data.user = user;
+  next();
+}
+
+function getAuthStatus() {
+  return {
+    enabled: AUTH_ENABLED,
+    apiKeys: API_KEYS.size,
+    jwt: Boolean(JWT_SECRET),
+    anonymousRole: AUTH_ENABLED ? ANONYMOUS_ROLE : 'admin',
+    roles: ROLES
+  };
+}
+
+if (!AUTH_ENABLED) {
+  console.warn('[AUTH] Authentication is off - every API and chat caller has admin rights. Set API_KEYS or JWT_SECRET to enable it.');
+}
+
+module.exports = {
+  requireAuth,
+  socketAuth,
+  authenticate,
+  roleAtLeast,
+  requiredRole,
+  signToken,
+  getAuthStatus,
+  ROLES,
+  AUTH_ENABLED
+};
@@ -5,14 +5,34 @@
 
 const fs = require('fs');
 const path = require('path');
-
-const BACKTEST_RESULTS_DIR = path.join(__dirname, '../data/backtests');
+const { getConfig } = require('./config');
+const { resolveStrategy } = require('./strategies');
+const {
+  getRiskConfig,
+  createRiskState,
+  evaluateTradingLimits,
+  applyTradeToState,
+  resetElapsedPeriods,
+  checkCorrelation
+} = require('./riskManager');
+const {
+  resolveExecutionConfig,
+  getLiquidationPrice,
+  calculateFees,
+  createExitResolver,
+  loadFundingSettlements,
+  createFundingLedger
+} = require('./executionModel');
+
+const BACKTEST_RESULTS_DIR = path.join(getConfig('DATA_DIR'), 'backtests');
 
 /**
  * Run a complete backtest on historical data
  * @param {Array} historicalCandles - Array of OHLCV candles
- * @param {Object} strategy - Strategy configuration
- * @param {Object} options - Backtest options
+ * @param {Object} strategy - { name, params } from the strategy registry (see ./strategies)
+ * @param {Object} options - Backtest options (symbol/interval are passed to strategies that need them).
+ *   options.execution configures fees, funding, liquidation and intrabar SL/TP policy (see ./executionModel);
+ *   a flat `commission` keeps the old % of margin fee model.
  * @returns {Object} Comprehensive backtest results
  */
 async function runBacktest(historicalCandles, strategy, options = {}) {
@@ -20,20 +40,44 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
     initialCapital = 10000,
     positionSize = 0.1, // 10% of capital per trade
     maxOpenPositions = 3,
-    commission = 0.001, // 0.1% per trade
-    slippage = 0.0005, // 0.05% slippage
+    slippage = 0.0005, // 0.05% slippage on market entries and stops
     leverage = 1,
     stopLossPercent = 2,
     takeProfitPercent = 4,
     startIndex = 100, // Need history for indicators
-    endIndex = null
+    endIndex = null,
+    symbol = null,
+    interval = null,
+    onProgress = null, // ({ phase, percent, processed, total }) - long runs report ~every 1%
+    includeAllTrades = false, // return every trade (e.g. for Monte Carlo); saved results keep the last 100
+    saveResults = true // optimizer runs skip writing one file per candidate
   } = options;
 
   if (!historicalCandles || historicalCandles.length < startIndex + 50) {
     return { error: 'Insufficient historical data' };
   }
 
+  const { strategy: strategyImpl, params, label } = resolveStrategy(strategy);
+  let strategyState = null;
+  if (strategyImpl.prepare) {
+    try {
+      strategyState = await strategyImpl.prepare(historicalCandles, params, { symbol, interval });
+    } catch (err) {
+      return { error: `Strategy ${strategyImpl.name} setup failed: ${err.message}` };
+    }
+  }
+
   const endIdx = endIndex || historicalCandles.length;
+
+  let execution;
+  try {
+    execution = resolveExecutionConfig(options);
+  } catch (err) {
+    return { error: err.message };
+  }
+  const resolveExit = createExitResolver(execution, { symbol, interval });
+  const funding = await loadFundingSettlements(execution, symbol, historicalCandles.slice(startIndex, endIdx));
+  const fundingLedger = createFundingLedger(funding.settlements);
   const trades = [];
   const equity = [initialCapital];
   let capital = initialCapital;
@@ -61,25 +105,32 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
     maxConsecutiveWins: 0,
     maxConsecutiveLosses: 0,
     totalCommissions: 0,
+    totalFunding: 0,
+    liquidations: 0,
     avgHoldingPeriod: 0
   };
 
   const dailyReturns = [];
   let lastDayClose = initialCapital;
+  const reportProgress = createProgressReporter(onProgress, endIdx - startIndex);
 
   // Process each candle
   for (let i = startIndex; i < endIdx; i++) {
+    await reportProgress(i - startIndex);
     const currentCandle = historicalCandles[i];
     const lookbackCandles = historicalCandles.slice(Math.max(0, i - 200), i + 1);
 
-    // Check for stop loss / take profit on open positions
+    // Funding settlements that fell inside this candle
+    fundingLedger.apply(openPositions, currentCandle);
+
+    // Check for stop loss / take profit / liquidation on open positions
     for (let j = openPositions.length - 1; j >= 0; j--) {
       const position = openPositions[j];
-      const closeResult = checkPositionClose(position, currentCandle);
+      const closeResult = await resolveExit(position, currentCandle);
 
       if (closeResult.closed) {
         // Calculate P&L
-        const pnl = calculatePnL(position, closeResult.closePrice, commission, leverage);
+        const pnl = calculatePnL(position, closeResult.closePrice, execution, closeResult.exitFill);
         capital += pnl.netPnL;
 
         // Record trade
@@ -91,6 +142,8 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
           pnl: pnl.grossPnL,
           netPnL: pnl.netPnL,
           commission: pnl.commission,
+          funding: pnl.funding,
+          ambiguousExit: closeResult.ambiguous ? closeResult.resolvedBy : undefined,
           returnPercent: (pnl.netPnL / position.capital) * 100,
           holdingPeriod: i - position.entryIndex
         };
@@ -105,7 +158,12 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
     }
 
     // Generate signal from strategy
-    const signal = await generateSignal(strategy, lookbackCandles);
+    let signal;
+    try {
+      signal = await generateSignal(strategyImpl, lookbackCandles, params, strategyState);
+    } catch (err) {
+      return { error: `Strategy ${strategyImpl.name} failed on candle ${i}: ${err.message}` };
+    }
 
     // Execute new trades if signal and capacity available
     if (signal && signal.action !== 'HOLD' && openPositions.length < maxOpenPositions) {
@@ -113,27 +171,29 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
 
       if (tradeCapital >= 10) { // Minimum trade size
         const entryPrice = currentCandle.close * (1 + (signal.action.includes('LONG') ? slippage : -slippage));
+        const exits = strategyImpl.exitRules(signal, entryPrice, params, { stopLossPercent, takeProfitPercent });
+
+        const direction = signal.action.includes('LONG') ? 'long' : 'short';
 
         const position = {
           id: trades.length + openPositions.length + 1,
-          direction: signal.action.includes('LONG') ? 'long' : 'short',
+          direction,
           entryTime: currentCandle.openTime,
+          filledAt: currentCandle.closeTime ?? currentCandle.openTime,
           entryPrice,
           entryIndex: i,
           capital: tradeCapital,
           quantity: (tradeCapital * leverage) / entryPrice,
-          stopLoss: signal.action.includes('LONG')
-            ? entryPrice * (1 - stopLossPercent / 100)
-            : entryPrice * (1 + stopLossPercent / 100),
-          takeProfit: signal.action.includes('LONG')
-            ? entryPrice * (1 + takeProfitPercent / 100)
-            : entryPrice * (1 - takeProfitPercent / 100),
+          stopLoss: exits.stopLoss,
+          takeProfit: exits.takeProfit,
+          liquidationPrice: execution.liquidation
+            ? getLiquidationPrice(direction, entryPrice, leverage, execution.maintenanceMarginRate)
+            : null,
           signal: signal.signal,
           confidence: signal.confidence
         };
 
         openPositions.push(position);
-        stats.totalCommissions += tradeCapital * commission;
 
         if (position.direction === 'long') stats.longTrades++;
         else stats.shortTrades++;
@@ -143,7 +203,7 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
     // Track equity
     let openPnL = 0;
     for (const position of openPositions) {
-      const unrealizedPnL = calculateUnrealizedPnL(position, currentCandle.close, leverage);
+      const unrealizedPnL = calculateUnrealizedPnL(position, currentCandle.close);
       openPnL += unrealizedPnL;
     }
 
@@ -170,7 +230,7 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
   // Close any remaining open positions at end
   for (const position of openPositions) {
     const lastCandle = historicalCandles[endIdx - 1];
-    const pnl = calculatePnL(position, lastCandle.close, commission, leverage);
+    const pnl = calculatePnL(position, lastCandle.close, execution, 'taker');
     capital += pnl.netPnL;
 
     trades.push({
@@ -180,6 +240,8 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
       closeReason: 'END_OF_BACKTEST',
       pnl: pnl.grossPnL,
       netPnL: pnl.netPnL,
+      commission: pnl.commission,
+      funding: pnl.funding,
       returnPercent: (pnl.netPnL / position.capital) * 100
     });
 
@@ -197,6 +259,11 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
   const metrics = calculateAdvancedMetrics(trades, equity, dailyReturns, initialCapital);
 
   const result = {
+    strategy: {
+      name: strategyImpl.name,
+      params,
+      label
+    },
     summary: {
       initialCapital,
       finalEquity: round(finalEquity, 2),
@@ -206,7 +273,7 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
       winRate: stats.totalTrades > 0
         ? round((stats.winningTrades / stats.totalTrades) * 100, 2)
         : 0,
-      profitFactor: stats.totalLoss > 0
+      profitFactor: stats.totalLoss < 0
         ? round(stats.totalProfit / Math.abs(stats.totalLoss), 2)
         : stats.totalProfit > 0 ? Infinity : 0,
       avgTradeReturn: round(avgTradeReturn, 2),
@@ -234,14 +301,16 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
         : 0
     },
     metrics,
+    execution: summarizeExecution(execution, stats, resolveExit.stats, funding, fundingLedger),
     trades: trades.slice(-100), // Last 100 trades for review
     equity: equity.filter((_, i) => i % 10 === 0), // Sampled equity curve
     settings: {
       positionSize,
       maxOpenPositions,
-      commission,
+      fees: execution.fees,
       slippage,
       leverage,
+      intrabarPolicy: execution.intrabarPolicy,
       stopLossPercent,
       takeProfitPercent,
       candlesProcessed: endIdx - startIndex
@@ -249,108 +318,153 @@ async function runBacktest(historicalCandles, strategy, options = {}) {
     timestamp: Date.now()
   };
 
-  // Save results
-  saveBacktestResults(result, strategy.name);
+  // Save results, tagged by strategy
+  if (saveResults) {
+    saveBacktestResults(result, label ? `${strategyImpl.name}_${label}` : strategyImpl.name);
+  }
 
-  return result;
+  return includeAllTrades ? { ...result, allTrades: trades } : result;
 }
 
 /**
- * Generate signal from strategy
+ * Throttled progress callback for long backtests. Also yields to the event
+ * loop at each report so Socket.io can flush progress while the run continues.
  */
-async function generateSignal(strategy, candles) {
-  // Import dynamically to avoid circular dependencies
-  try {
-    const { calculateIndicators } = require('./indicators');
-    const { predictNextMove } = require('./ai');
-
-    const indicators = calculateIndicators(candles);
-    if (!indicators) return null;
-
-    const prediction = predictNextMove(indicators);
-
-    return {
-      action: prediction.signal,
-      confidence: prediction.confidence,
-      signal: prediction.signal,
-      direction: prediction.direction
-    };
-  } catch (err) {
-    return null;
-  }
+function createProgressReporter(onProgress, total) {
+  if (!onProgress || total <= 0) return async () => {};
+  const every = Math.max(1, Math.floor(total / 100));
+  return async (processed) => {
+    if (processed % every !== 0) return;
+    onProgress({ phase: 'backtest', percent: Math.round((processed / total) * 100), processed, total });
+    await new Promise(resolve => setImmediate(resolve));
+  };
 }
 
 /**
- * Check if position should be closed
+ * Generate signal from strategy. A throwing strategy is not a HOLD: the error
+ * reaches the caller, which fails the run instead of scoring a silent zero-trade result
  */
-function checkPositionClose(position, candle) {
-  const { direction, stopLoss, takeProfit } = position;
-
-  if (direction === 'long') {
-    // Check stop loss
-    if (candle.low <= stopLoss) {
-      return { closed: true, closePrice: stopLoss, reason: 'STOP_LOSS' };
-    }
-    // Check take profit
-    if (candle.high >= takeProfit) {
-      return { closed: true, closePrice: takeProfit, reason: 'TAKE_PROFIT' };
-    }
-  } else {
-    // Short position
-    if (candle.high >= stopLoss) {
-      return { closed: true, closePrice: stopLoss, reason: 'STOP_LOSS' };
-    }
-    if (candle.low <= takeProfit) {
-      return { closed: true, closePrice: takeProfit, reason: 'TAKE_PROFIT' };
-    }
-  }
-
-  return { closed: false };
+async function generateSignal(strategy, candles, params, state) {
+  const signal = await strategy.signal(candles, params, state);
+  // Anything that isn't a directional action is treated as HOLD
+  if (!signal || !/LONG|SHORT/.test(signal.action || '')) return null;
+  return signal;
 }
 
 /**
- * Calculate P&L for a closed position
+ * Calculate P&L for a closed position, net of fees and accrued funding.
+ * exitFill: 'maker' (resting take profit), 'taker' (stop / market close) or 'liquidation'
  */
-function calculatePnL(position, closePrice, commission, leverage) {
-  const { direction, entryPrice, capital } = position;
-  const quantity = (capital * leverage) / entryPrice;
+function calculatePnL(position, closePrice, execution, exitFill = 'taker') {
+  const { direction, entryPrice, quantity, capital } = position;
 
   let grossPnL;
-  if (direction === 'long') {
+  if (exitFill === 'liquidation') {
+    // Isolated margin: the whole position margin is lost
+    grossPnL = -capital;
+  } else if (direction === 'long') {
     grossPnL = (closePrice - entryPrice) * quantity;
   } else {
     grossPnL = (entryPrice - closePrice) * quantity;
   }
 
-  const commissionCost = capital * commission * 2; // Entry and exit
-  const netPnL = grossPnL - commissionCost;
+  const commissionCost = calculateFees(position, closePrice, exitFill, execution);
+  const funding = position.funding || 0;
+  const netPnL = grossPnL - commissionCost + funding;
 
   return {
     grossPnL: round(grossPnL, 2),
     netPnL: round(netPnL, 2),
-    commission: round(commissionCost, 2)
+    commission: round(commissionCost, 2),
+    funding: round(funding, 2)
   };
 }
 
 /**
- * Calculate unrealized P&L for open position
+ * Calculate unrealized P&L for open position (including funding accrued so far)
  */
-function calculateUnrealizedPnL(position, currentPrice, leverage) {
-  const { direction, entryPrice, capital } = position;
-  const quantity = (capital * leverage) / entryPrice;
+function calculateUnrealizedPnL(position, currentPrice) {
+  const { direction, entryPrice, quantity } = position;
+  const funding = position.funding || 0;
 
   if (direction === 'long') {
-    return (currentPrice - entryPrice) * quantity;
+    return (currentPrice - entryPrice) * quantity + funding;
   } else {
-    return (entryPrice - currentPrice) * quantity;
+    return (entryPrice - currentPrice) * quantity + funding;
   }
 }
 
+/**
+ * Execution costs and intrabar resolution stats for the result
+ */
+function summarizeExecution(execution, stats, exitStats, funding, fundingLedger) {
+  return {
+    fees: execution.fees,
+    totalFees: round(stats.totalCommissions, 2),
+    funding: {
+      source: funding.source,
+      settlements: funding.settlements.length,
+      payments: fundingLedger.payments,
+      total: round(fundingLedger.total, 2),
+      warning: funding.warning
+    },
+    liquidation: {
+      enabled: execution.liquidation,
+      maintenanceMarginRate: execution.maintenanceMarginRate,
+      count: stats.liquidations
+    },
+    intrabar: {
+      policy: execution.intrabarPolicy,
+      ...exitStats
+    }
+  };
+}
+
+/**
+ * Portfolio version of summarizeExecution: funding and intrabar stats summed over symbols
+ */
+function summarizePortfolioExecution(execution, trades, books, symbols) {
+  const intrabar = { policy: execution.intrabarPolicy, ambiguous: 0, resolvedByDrilldown: 0, drilldownFallbacks: 0, drilldownErrors: 0 };
+  const warnings = [];
+  let fundingTotal = 0;
+  let payments = 0;
+
+  for (const symbol of symbols) {
+    const book = books[symbol];
+    fundingTotal += book.fundingLedger.total;
+    payments += book.fundingLedger.payments;
+    if (book.funding.warning) warnings.push(`${symbol}: ${book.funding.warning}`);
+    for (const key of ['ambiguous', 'resolvedByDrilldown', 'drilldownFallbacks', 'drilldownErrors']) {
+      intrabar[key] += book.resolveExit.stats[key];
+    }
+  }
+
+  return {
+    fees: execution.fees,
+    totalFees: round(trades.reduce((sum, t) => sum + (t.commission || 0), 0), 2),
+    funding: {
+      enabled: execution.funding,
+      payments,
+      total: round(fundingTotal, 2),
+      warnings: warnings.length > 0 ? warnings : undefined
+    },
+    liquidation: {
+      enabled: execution.liquidation,
+      maintenanceMarginRate: execution.maintenanceMarginRate,
+      count: trades.filter(t => t.closeReason === 'LIQUIDATION').length
+    },
+    intrabar
+  };
+}
+
 /**
  * Update trade statistics
  */
 function updateTradeStats(stats, trade) {
   stats.totalTrades++;
+  stats.totalCommissions += trade.commission || 0;
+  stats.totalFunding += trade.funding || 0;
+  if (trade.closeReason === 'LIQUIDATION') stats.liquidations++;
   stats.avgHoldingPeriod = (stats.avgHoldingPeriod * (stats.totalTrades - 1) + (trade.holdingPeriod || 0)) / stats.totalTrades;
 
   if (trade.netPnL > 0) {
@@ -523,9 +637,11 @@ function loadBacktestHistory() {
   try {
     if (!fs.existsSync(BACKTEST_RESULTS_DIR)) return results;
 
+    // Filenames end in the save timestamp; sort on it since the strategy prefix varies
+    const savedAt = f => Number(f.match(/_(\d+)\.json$/)?.[1] || 0);
     const files = fs.readdirSync(BACKTEST_RESULTS_DIR)
       .filter(f => f.endsWith('.json'))
-      .sort()
+      .sort((a, b) => savedAt(a) - savedAt(b))
       .slice(-20); // Last 20 backtests
 
     for (const file of files) {
@@ -533,6 +649,7 @@ function loadBacktestHistory() {
       const result = JSON.parse(data);
       results.push({
         filename: file,
+        strategy: result.strategy || { name: 'ai-default', params: {}, label: null },
         summary: result.summary,
         timestamp: result.timestamp
       });
@@ -544,6 +661,340 @@ function loadBacktestHistory() {
   return results;
 }
 
+/**
+ * Run a portfolio backtest across several symbols with shared capital.
+ * Candles are aligned by openTime; at every timestamp exits are processed
+ * first, then new signals (highest confidence first) are admitted through the
+ * same limits the live bot uses: riskManager daily/weekly loss, drawdown pause,
+ * trade count, cooldowns, correlation groups, plus max open positions.
+ * @param {Object} candlesBySymbol - { SYMBOL: [candles] }
+ * @param {Object} strategy - { name, params } from the strategy registry
+ * @param {Object} options - Backtest options; options.risk overrides the live risk config,
+ *   options.execution is the same execution model as runBacktest
+ * @returns {Object} Portfolio results with per-symbol contribution and equity curve
+ */
+async function runPortfolioBacktest(candlesBySymbol, strategy, options = {}) {
+  const riskConfig = { ...getRiskConfig(), ...(options.risk || {}) };
+  const {
+    initialCapital = 10000,
+    positionSize = 0.1, // 10% of equity per trade
+    maxOpenPositions = riskConfig.maxOpenPositions,
+    slippage = 0.0005,
+    leverage = 1,
+    stopLossPercent = 2,
+    takeProfitPercent = 4,
+    startIndex = 100,
+    enforceRiskLimits = true,
+    interval = null,
+    onProgress = null
+  } = options;
+
+  const symbols = Object.keys(candlesBySymbol || {})
+    .filter(symbol => candlesBySymbol[symbol]?.length >= startIndex + 50);
+  if (symbols.length === 0) {
+    return { error: 'Insufficient historical data' };
+  }
+
+  const { strategy: strategyImpl, params, label } = resolveStrategy(strategy);
+
+  let execution;
+  try {
+    execution = resolveExecutionConfig(options);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  // Per-symbol strategy state, execution (exits + funding) and index lookup by openTime
+  const books = {};
+  for (const symbol of symbols) {
+    const candles = candlesBySymbol[symbol];
+    let state = null;
+    if (strategyImpl.prepare) {
+      try {
+        state = await strategyImpl.prepare(candles, params, { symbol, interval });
+      } catch (err) {
+        return { error: `Strategy ${strategyImpl.name} setup failed for ${symbol}: ${err.message}` };
+      }
+    }
+    const funding = await loadFundingSettlements(execution, symbol, candles.slice(startIndex));
+    books[symbol] = {
+      candles,
+      state,
+      resolveExit: createExitResolver(execution, { symbol, interval }),
+      funding,
+      fundingLedger: createFundingLedger(funding.settlements),
+      indexByTime: new Map(candles.map((c, i) => [c.openTime, i])),
+      lastClose: null
+    };
+  }
+
+  // Union of all timestamps, so symbols with gaps or later listings still line up
+  const timeline = Array.from(new Set(symbols.flatMap(s => books[s].candles.map(c => c.openTime))))
+    .sort((a, b) => a - b);
+
+  const riskState = createRiskState({ peakEquity: initialCapital });
+  const openPositions = [];
+  const trades = [];
+  const equityCurve = [];
+  const dailyReturns = [];
+  const blocked = {};
+  let capital = initialCapital;
+  let peakEquity = initialCapital;
+  let maxDrawdown = 0;
+  let lastTime = timeline[0];
+  let lastDayEquity = initialCapital;
+  let positionId = 0;
+  const reportProgress = createProgressReporter(onProgress, timeline.length);
+
+  const markToMarket = () => openPositions.reduce((sum, p) => {
+    const price = books[p.symbol].lastClose ?? p.entryPrice;
+    return sum + calculateUnrealizedPnL(p, price);
+  }, 0);
+
+  const closePosition = (position, index, { closePrice, reason, exitFill = 'taker', ambiguous, resolvedBy }, closeTime, holdingPeriod) => {
+    const equityBefore = capital + markToMarket();
+    const pnl = calculatePnL(position, closePrice, execution, exitFill);
+    capital += pnl.netPnL;
+    openPositions.splice(index, 1);
+
+    const trade = {
+      ...position,
+      closeTime,
+      closePrice,
+      closeReason: reason,
+      pnl: pnl.grossPnL,
+      netPnL: pnl.netPnL,
+      commission: pnl.commission,
+      funding: pnl.funding,
+      ambiguousExit: ambiguous ? resolvedBy : undefined,
+      returnPercent: (pnl.netPnL / position.capital) * 100,
+      holdingPeriod
+    };
+    trades.push(trade);
+
+    // Risk limits are in % of account, so feed the trade's impact on equity
+    applyTradeToState(riskState, {
+      pnl: pnl.netPnL,
+      pnlPercent: equityBefore > 0 ? (pnl.netPnL / equityBefore) * 100 : 0,
+      symbol: position.symbol,
+      direction: position.direction,
+      accountBalance: capital + markToMarket()
+    }, closeTime);
+  };
+
+  const block = reason => {
+    blocked[reason] = (blocked[reason] || 0) + 1;
+  };
+
+  for (let t = 0; t < timeline.length; t++) {
+    const time = timeline[t];
+    await reportProgress(t);
+    resetElapsedPeriods(riskState, lastTime, time);
+
+    // 1. Funding, then exits, on every symbol that has a candle at this timestamp
+    for (const symbol of symbols) {
+      const book = books[symbol];
+      const i = book.indexByTime.get(time);
+      if (i === undefined) continue;
+      book.fundingLedger.apply(openPositions.filter(p => p.symbol === symbol), book.candles[i]);
+    }
+
+    for (let j = openPositions.length - 1; j >= 0; j--) {
+      const position = openPositions[j];
+      const book = books[position.symbol];
+      const i = book.indexByTime.get(time);
+      if (i === undefined) continue;
+
+      const candle = book.candles[i];
+      const closeResult = await book.resolveExit(position, candle);
+      if (closeResult.closed) {
+        closePosition(position, j, closeResult, candle.openTime, i - position.entryIndex);
+      }
+    }
+
+    // 2. Signals for all symbols at this timestamp
+    const candidates = [];
+    for (const symbol of symbols) {
+      const book = books[symbol];
+      const i = book.indexByTime.get(time);
+      if (i === undefined) continue;
+      book.lastClose = book.candles[i].close;
+      if (i < startIndex) continue;
+
+      const lookback = book.candles.slice(Math.max(0, i - 200), i + 1);
+      let signal;
+      try {
+        signal = await generateSignal(strategyImpl, lookback, params, book.state);
+      } catch (err) {
+        return { error: `Strategy ${strategyImpl.name} failed for ${symbol} on candle ${i}: ${err.message}` };
+      }
+      if (signal) candidates.push({ symbol, index: i, candle: book.candles[i], signal });
+    }
+
+    // 3. Admit entries, best confidence first, through the live limits
+    candidates.sort((a, b) => (b.signal.confidence || 0) - (a.signal.confidence || 0));
+    for (const { symbol, index, candle, signal } of candidates) {
+      if (openPositions.some(p => p.symbol === symbol)) continue;
+
+      if (openPositions.length >= maxOpenPositions) {
+        block('Max open positions reached');
+        continue;
+      }
+
+      if (enforceRiskLimits) {
+        const limits = evaluateTradingLimits(riskState, riskConfig, time);
+        if (!limits.allowed) {
+          block(limits.reason);
+          continue;
+        }
+        const correlation = checkCorrelation(openPositions, symbol, riskConfig);
+        if (!correlation.allowed) {
+          block('Correlation limit');
+          continue;
+        }
+      }
+
+      const equity = capital + markToMarket();
+      const tradeCapital = equity * positionSize;
+      if (tradeCapital < 10) {
+        block('Insufficient capital');
+        continue;
+      }
+
+      const isLong = signal.action.includes('LONG');
+      const direction = isLong ? 'long' : 'short';
+      const entryPrice = candle.close * (1 + (isLong ? slippage : -slippage));
+      const exits = strategyImpl.exitRules(signal, entryPrice, params, { stopLossPercent, takeProfitPercent });
+
+      openPositions.push({
+        id: ++positionId,
+        symbol,
+        direction,
+        entryTime: candle.openTime,
+        filledAt: candle.closeTime ?? candle.openTime,
+        entryPrice,
+        entryIndex: index,
+        capital: tradeCapital,
+        quantity: (tradeCapital * leverage) / entryPrice,
+        stopLoss: exits.stopLoss,
+        takeProfit: exits.takeProfit,
+        liquidationPrice: execution.liquidation
+          ? getLiquidationPrice(direction, entryPrice, leverage, execution.maintenanceMarginRate)
+          : null,
+        signal: signal.signal,
+        confidence: signal.confidence
+      });
+    }
+
+    // 4. Portfolio equity + drawdown
+    const equity = capital + markToMarket();
+    equityCurve.push({ time, equity: round(equity, 2), openPositions: openPositions.length });
+    if (equity > peakEquity) peakEquity = equity;
+    const drawdown = (peakEquity - equity) / peakEquity * 100;
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+
+    if (new Date(time).toDateString() !== new Date(lastTime).toDateString()) {
+      dailyReturns.push((equity - lastDayEquity) / lastDayEquity);
+      lastDayEquity = equity;
+    }
+    lastTime = time;
+  }
+
+  // Close anything still open at each symbol's last candle
+  for (let j = openPositions.length - 1; j >= 0; j--) {
+    const position = openPositions[j];
+    const { candles } = books[position.symbol];
+    const last = candles.at(-1);
+    closePosition(position, j, { closePrice: last.close, reason: 'END_OF_BACKTEST' }, last.openTime, candles.length - 1 - position.entryIndex);
+  }
+
+  const finalEquity = capital;
+  const totalNetPnL = trades.reduce((sum, t) => sum + t.netPnL, 0);
+  const wins = trades.filter(t => t.netPnL > 0);
+  const losses = trades.filter(t => t.netPnL < 0);
+  const grossProfit = wins.reduce((sum, t) => sum + t.netPnL, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.netPnL, 0));
+  const metrics = calculateAdvancedMetrics(trades, equityCurve.map(e => e.equity), dailyReturns, initialCapital);
+
+  // Per-symbol contribution to portfolio P&L
+  const perSymbol = symbols.map(symbol => {
+    const symbolTrades = trades.filter(t => t.symbol === symbol);
+    const netPnL = symbolTrades.reduce((sum, t) => sum + t.netPnL, 0);
+    const symbolWins = symbolTrades.filter(t => t.netPnL > 0).length;
+    return {
+      symbol,
+      trades: symbolTrades.length,
+      winRate: symbolTrades.length > 0 ? round((symbolWins / symbolTrades.length) * 100, 2) : 0,
+      netPnL: round(netPnL, 2),
+      returnOnCapital: round((netPnL / initialCapital) * 100, 2),
+      contribution: totalNetPnL !== 0 ? round((netPnL / Math.abs(totalNetPnL)) * 100, 2) : 0,
+      longs: symbolTrades.filter(t => t.direction === 'long').length,
+      shorts: symbolTrades.filter(t => t.direction === 'short').length
+    };
+  }).sort((a, b) => b.netPnL - a.netPnL);
+
+  // Keep the curve at <= 500 points
+  const step = Math.max(1, Math.ceil(equityCurve.length / 500));
+
+  const result = {
+    mode: 'portfolio',
+    strategy: {
+      name: strategyImpl.name,
+      params,
+      label
+    },
+    symbols,
+    summary: {
+      initialCapital,
+      finalEquity: round(finalEquity, 2),
+      totalReturn: round(((finalEquity - initialCapital) / initialCapital) * 100, 2),
+      maxDrawdown: round(maxDrawdown, 2),
+      totalTrades: trades.length,
+      winRate: trades.length > 0 ? round((wins.length / trades.length) * 100, 2) : 0,
+      profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss, 2) : grossProfit > 0 ? Infinity : 0,
+      sharpeRatio: metrics.sharpeRatio,
+      sortinoRatio: metrics.sortinoRatio,
+      calmarRatio: metrics.calmarRatio,
+      maxConcurrentPositions: equityCurve.reduce((max, e) => Math.max(max, e.openPositions), 0)
+    },
+    execution: summarizePortfolioExecution(execution, trades, books, symbols),
+    perSymbol,
+    risk: {
+      enforced: enforceRiskLimits,
+      limits: {
+        maxOpenPositions,
+        maxDailyLoss: riskConfig.maxDailyLoss,
+        maxWeeklyLoss: riskConfig.maxWeeklyLoss,
+        maxDrawdown: riskConfig.maxDrawdown,
+        maxDailyTrades: riskConfig.maxDailyTrades,
+        maxCorrelatedPositions: riskConfig.maxCorrelatedPositions,
+        maxConsecutiveLosses: riskConfig.maxConsecutiveLosses
+      },
+      blockedEntries: blocked
+    },
+    metrics,
+    trades: trades.slice(-100),
+    equity: equityCurve.filter((_, i) => i % step === 0 || i === equityCurve.length - 1),
+    settings: {
+      positionSize,
+      maxOpenPositions,
+      fees: execution.fees,
+      slippage,
+      leverage,
+      intrabarPolicy: execution.intrabarPolicy,
+      stopLossPercent,
+      takeProfitPercent,
+      interval,
+      timestampsProcessed: timeline.length
+    },
+    timestamp: Date.now()
+  };
+
+  saveBacktestResults(result, `portfolio_${strategyImpl.name}${label ? `_${label}` : ''}`);
+
+  return result;
+}
+
 /**
  * Run Walk-Forward Optimization
  * Tests strategy on rolling out-of-sample periods
@@ -675,6 +1126,7 @@ function round(value, decimals = 2) {
 
 module.exports = {
   runBacktest,
+  runPortfolioBacktest,
   loadBacktestHistory,
   runWalkForward,
   runMonteCarloSimulation
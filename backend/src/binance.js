@@ -1,11 +1,12 @@
 const axios = require('axios');
+const { getConfig } = require('./config');
 
-const API_BASE = process.env.BINANCE_API_URL || 'https://fapi.binance.com';
-const API_FALLBACK = process.env.BINANCE_API_FALLBACK || '';
-const SPOT_API_BASE = process.env.BINANCE_SPOT_API_URL || 'https://api.binance.com';
-const API_KEY = process.env.BINANCE_API_KEY || '';
-const DEFAULT_INTERVAL = process.env.BINANCE_INTERVAL || '1m';
-const DEFAULT_LIMIT = Number(process.env.BINANCE_LIMIT || 150);
+const API_BASE = getConfig('BINANCE_API_URL');
+const API_FALLBACK = getConfig('BINANCE_API_FALLBACK');
+const SPOT_API_BASE = getConfig('BINANCE_SPOT_API_URL');
+const API_KEY = getConfig('BINANCE_API_KEY');
+const DEFAULT_INTERVAL = getConfig('BINANCE_INTERVAL');
+const DEFAULT_LIMIT = getConfig('BINANCE_LIMIT');
 
 const baseUrls = [API_BASE].concat(API_FALLBACK ? [API_FALLBACK] : []);
 const spotClient = buildClient(SPOT_API_BASE);
@@ -103,6 +104,112 @@ async function getCandles(symbol, interval = DEFAULT_INTERVAL, limit = DEFAULT_L
   }));
 }
 
+// One page of klines from startTime (up to endTime) - futures or spot.
+// Used by the candle store to page through long ranges.
+async function getCandlesPage(symbol, interval, { startTime, endTime, limit = 1000, market = 'futures' } = {}) {
+  const params = { symbol, interval, startTime, endTime, limit };
+  const res = market === 'spot'
+    ? await spotClient.get('/api/v3/klines', { params })
+    : await withFallback((client) => client.get('/fapi/v1/klines', { params }));
+
+  return res.data.map((candle) => ({
+    openTime: candle[0],
+    open: Number(candle[1]),
+    high: Number(candle[2]),
+    low: Number(candle[3]),
+    close: Number(candle[4]),
+    volume: Number(candle[5]),
+    closeTime: candle[6],
+    quoteVolume: Number(candle[7]),
+    trades: candle[8]
+  }));
+}
+
+// Map a kline payload from the `<symbol>@kline_<interval>` WebSocket stream
+// to the same candle shape returned by getCandles
+function parseStreamKline(k) {
+  return {
+    openTime: k.t,
+    open: Number(k.o),
+    high: Number(k.h),
+    low: Number(k.l),
+    close: Number(k.c),
+    volume: Number(k.v),
+    closeTime: k.T
+  };
+}
+
+// Order book snapshot: price levels best first, as [price, quantity] numbers.
+// lastUpdateId lines the snapshot up with the `<symbol>@depth` stream.
+async function getOrderBook(symbol, limit = 500) {
+  const res = await withFallback((client) =>
+    client.get('/fapi/v1/depth', {
+      params: { symbol, limit }
+    })
+  );
+
+  return {
+    symbol,
+    lastUpdateId: res.data.lastUpdateId,
+    bids: res.data.bids.map(([price, qty]) => [Number(price), Number(qty)]),
+    asks: res.data.asks.map(([price, qty]) => [Number(price), Number(qty)]),
+    time: res.data.T || Date.now()
+  };
+}
+
+// Aggregated trades, oldest first. fromId pages forward from a known trade;
+// isBuyerMaker = true means the taker sold.
+async function getAggTrades(symbol, { limit = 500, fromId, startTime, endTime } = {}) {
+  const res = await withFallback((client) =>
+    client.get('/fapi/v1/aggTrades', {
+      params: { symbol, limit, fromId, startTime, endTime }
+    })
+  );
+
+  return res.data.map(mapAggTrade);
+}
+
+function mapAggTrade(t) {
+  return {
+    id: t.a,
+    price: Number(t.p),
+    quantity: Number(t.q),
+    time: t.T,
+    isBuyerMaker: t.m
+  };
+}
+
+// Map a `<symbol>@depth` diff event. U/u are the first/last update ids in the
+// event and pu the previous event's u - a gap means the local book must resync.
+function parseStreamDepth(d) {
+  return {
+    symbol: d.s,
+    firstUpdateId: d.U,
+    finalUpdateId: d.u,
+    prevFinalUpdateId: d.pu,
+    time: d.E,
+    bids: d.b.map(([price, qty]) => [Number(price), Number(qty)]),
+    asks: d.a.map(([price, qty]) => [Number(price), Number(qty)])
+  };
+}
+
+// Map a `<symbol>@aggTrade` event to the getAggTrades shape
+function parseStreamAggTrade(t) {
+  return { symbol: t.s, ...mapAggTrade(t) };
+}
+
+// Map the order of a `!forceOrder@arr` liquidation event. A SELL force order
+// closes a long, a BUY closes a short; average price / filled quantity once filled.
+function parseStreamForceOrder(o) {
+  return {
+    symbol: o.s,
+    side: o.S === 'SELL' ? 'long' : 'short',
+    price: Number(o.ap) || Number(o.p),
+    quantity: Number(o.z) || Number(o.q),
+    time: o.T
+  };
+}
+
 async function getSpotCandles(symbol, interval = DEFAULT_INTERVAL, limit = DEFAULT_LIMIT) {
   const res = await spotClient.get('/api/v3/klines', {
     params: { symbol, interval, limit }
@@ -198,10 +305,18 @@ module.exports = {
   getFuturesSymbols,
   getUsdtPerpetualMarkets,
   getCandles,
+  getCandlesPage,
+  parseStreamKline,
+  getOrderBook,
+  getAggTrades,
+  parseStreamDepth,
+  parseStreamAggTrade,
+  parseStreamForceOrder,
   getSpotCandles,
   getSpotExchangeInfo,
   getSpotTickerPrice,
   getTopMovers,
   getTopGainers,
-  getVolumeSurgers
+  getVolumeSurgers,
+  DEFAULT_LIMIT
 };
@@ -18,11 +18,12 @@ const { predictNextMove } = require('./ai');
 const { learnFromTrade, extractEntryConditions, updateEntryConditionPerformance } = require('./aiLearning');
 const { analyzeCompletedTrade } = require('./tradeAnalyzer');
 const mongo = require('./mongoStorage');
+const { getConfig } = require('./config');
 
 // Simulation config
-const SIM_ENABLED = process.env.CANDLE_SIM_ENABLED !== 'false';
-const SIM_INTERVAL_MS = Number(process.env.CANDLE_SIM_INTERVAL_MS || 60_000); // Run every minute
-const SIM_CANDLES_PER_RUN = Number(process.env.CANDLE_SIM_CANDLES || 500); // Candles per simulation
+const SIM_ENABLED = getConfig('CANDLE_SIM_ENABLED');
+const SIM_INTERVAL_MS = getConfig('CANDLE_SIM_INTERVAL_MS'); // Run every minute
+const SIM_CANDLES_PER_RUN = getConfig('CANDLE_SIM_CANDLES'); // Candles per simulation
 
 // Learned patterns storage
 let learnedPatterns = {
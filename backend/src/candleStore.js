@@ -0,0 +1,311 @@
+/**
+ * Candle Store - shared on-disk cache of historical klines
+ *
+ * One file per market/symbol/interval holding a single contiguous covered
+ * range. A request only downloads what lies outside that range, so backtests,
+ * historical learning and the historical data loader share one copy of each
+ * series instead of each keeping their own. Requests for the same series are
+ * serialized, so concurrent callers never download the same pages twice.
+ *
+ * Storage: data/candles/<market>/<SYMBOL>_<interval>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getExchange } = require('./exchanges');
+const { getConfig } = require('./config');
+
+const STORE_DIR = path.join(getConfig('DATA_DIR'), 'candles');
+const PAGE_LIMIT = 1000;
+const PAGE_DELAY_MS = getConfig('CANDLE_STORE_PAGE_DELAY_MS');
+const MAX_RANGE_CANDLES = getConfig('MAX_BACKTEST_CANDLES');
+const MAX_RETRIES = 3;
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '3m': 3 * 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '2h': 2 * 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '8h': 8 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': DAY_MS,
+  '3d': 3 * DAY_MS,
+  '1w': 7 * DAY_MS,
+  '1M': 31 * DAY_MS
+};
+
+// key -> promise of the last queued task for that series
+const seriesLocks = new Map();
+
+function getIntervalMs(interval) {
+  return INTERVAL_MS[interval] || INTERVAL_MS['1h'];
+}
+
+/**
+ * Interval of a candle series from the spacing of its last two candles
+ * @returns {string|null} e.g. '15m', or null when it matches no interval
+ */
+function inferInterval(candles) {
+  if (!candles || candles.length < 2) return null;
+  const spacing = candles.at(-1).openTime - candles.at(-2).openTime;
+  return Object.keys(INTERVAL_MS).find(interval => INTERVAL_MS[interval] === spacing) || null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function seriesFile(market, symbol, interval) {
+  return path.join(STORE_DIR, market, `${symbol}_${interval}.json`);
+}
+
+// Stored rows are compact arrays; expand to the usual candle objects
+function rowToCandle(row) {
+  return {
+    openTime: row[0],
+    open: row[1],
+    high: row[2],
+    low: row[3],
+    close: row[4],
+    volume: row[5],
+    closeTime: row[6],
+    quoteVolume: row[7],
+    trades: row[8]
+  };
+}
+
+function candleToRow(c) {
+  return [c.openTime, c.open, c.high, c.low, c.close, c.volume, c.closeTime, c.quoteVolume ?? null, c.trades ?? null];
+}
+
+function readSeries(market, symbol, interval) {
+  const file = seriesFile(market, symbol, interval);
+  try {
+    if (!fs.existsSync(file)) return null;
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (!Array.isArray(data.candles) || !data.coveredFrom || !data.coveredTo) return null;
+    return data;
+  } catch (err) {
+    console.warn(`[CANDLES] Could not read ${symbol} ${interval} (${market}):`, err.message);
+    return null;
+  }
+}
+
+function writeSeries(market, symbol, interval, data) {
+  const file = seriesFile(market, symbol, interval);
+  try {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    // Write to a temp file first so a crash mid-write can't corrupt the series
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.warn(`[CANDLES] Could not save ${symbol} ${interval} (${market}):`, err.message);
+  }
+}
+
+/**
+ * Run tasks for the same series one after another
+ */
+function withSeriesLock(key, task) {
+  const previous = seriesLocks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  seriesLocks.set(key, run);
+  run.catch(() => {}).finally(() => {
+    if (seriesLocks.get(key) === run) seriesLocks.delete(key);
+  });
+  return run;
+}
+
+async function fetchPageWithRetry(symbol, interval, params) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await getExchange().getCandlesPage(symbol, interval, params);
+    } catch (err) {
+      const status = err.response?.status;
+      if (attempt >= MAX_RETRIES || (status && status !== 429 && status !== 418 && status < 500)) {
+        throw err;
+      }
+      // Respect Binance's Retry-After on rate limits, otherwise back off
+      const retryAfter = Number(err.response?.headers?.['retry-after']) * 1000;
+      const wait = retryAfter || Math.min(60000, 2000 * Math.pow(2, attempt));
+      console.log(`[CANDLES] ${symbol} ${interval}: ${status || err.code || err.message}, retrying in ${Math.round(wait / 1000)}s`);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Page through exchange klines for [startTime, endTime]
+ */
+async function downloadRange(symbol, interval, startTime, endTime, market, onPage) {
+  const candles = [];
+  const intervalMs = getIntervalMs(interval);
+  let cursor = startTime;
+
+  while (cursor <= endTime) {
+    const page = await fetchPageWithRetry(symbol, interval, {
+      startTime: cursor,
+      endTime,
+      limit: PAGE_LIMIT,
+      market
+    });
+    if (page.length === 0) break;
+
+    candles.push(...page);
+    cursor = page.at(-1).openTime + intervalMs;
+    if (onPage) onPage(cursor, page.length);
+    if (page.length < PAGE_LIMIT) break;
+
+    await sleep(PAGE_DELAY_MS);
+  }
+
+  return candles;
+}
+
+/**
+ * Get closed candles for [startTime, endTime], downloading only what the store
+ * doesn't already cover.
+ * @param {Object} params
+ * @param {string} params.symbol
+ * @param {string} params.interval
+ * @param {number} params.startTime - ms
+ * @param {number} [params.endTime] - ms, defaults to now
+ * @param {string} [params.market] - 'futures' (default) or 'spot'
+ * @param {Function} [params.onProgress] - ({ phase, symbol, interval, percent, candles }) during downloads
+ * @returns {Promise<Array>} candles sorted by openTime
+ */
+async function getCandleRange({ symbol, interval, startTime, endTime = Date.now(), market = 'futures', onProgress = null }) {
+  if (!symbol || !interval || !Number.isFinite(startTime)) {
+    throw new Error('symbol, interval and startTime are required');
+  }
+
+  const key = `${market}:${symbol}:${interval}`;
+
+  return withSeriesLock(key, async () => {
+    const now = Date.now();
+    const intervalMs = getIntervalMs(interval);
+    const end = Math.min(endTime, now);
+    // Only candles that have closed are stored
+    const closedUntil = now - intervalMs;
+    const stored = readSeries(market, symbol, interval);
+
+    const missing = [];
+    if (!stored) {
+      missing.push([startTime, end]);
+    } else {
+      if (startTime < stored.coveredFrom) missing.push([startTime, stored.coveredFrom - 1]);
+      if (end > stored.coveredTo && stored.coveredTo < closedUntil) missing.push([stored.coveredTo + 1, end]);
+    }
+
+    let rows = stored?.candles || [];
+
+    if (missing.length > 0) {
+      const totalSpan = missing.reduce((sum, [from, to]) => sum + Math.max(0, to - from), 0) || 1;
+      let doneSpan = 0;
+      let downloaded = 0;
+      const fetched = [];
+
+      for (const [from, to] of missing) {
+        const candles = await downloadRange(symbol, interval, from, to, market, (cursor, count) => {
+          downloaded += count;
+          if (onProgress) {
+            const percent = Math.min(100, Math.round(((doneSpan + Math.min(cursor, to) - from) / totalSpan) * 100));
+            onProgress({ phase: 'download', symbol, interval, percent, candles: downloaded });
+          }
+        });
+        doneSpan += Math.max(0, to - from);
+        fetched.push(...candles.filter(c => c.closeTime < now));
+      }
+
+      // Merge, dedupe by openTime, keep sorted
+      const byOpenTime = new Map(rows.map(r => [r[0], r]));
+      for (const c of fetched) byOpenTime.set(c.openTime, candleToRow(c));
+      rows = Array.from(byOpenTime.values()).sort((a, b) => a[0] - b[0]);
+
+      const coveredFrom = Math.min(startTime, stored?.coveredFrom ?? startTime);
+      const coveredTo = Math.max(stored?.coveredTo ?? 0, Math.min(end, closedUntil));
+
+      writeSeries(market, symbol, interval, {
+        symbol,
+        interval,
+        market,
+        coveredFrom,
+        coveredTo,
+        updatedAt: now,
+        candles: rows
+      });
+
+      if (fetched.length > 0) {
+        console.log(`[CANDLES] ${symbol} ${interval} (${market}): +${fetched.length} candles, ${rows.length} stored`);
+      }
+    }
+
+    return rows
+      .filter(r => r[0] >= startTime && r[0] <= end)
+      .map(rowToCandle);
+  });
+}
+
+/**
+ * Turn { startTime, endTime, yearsBack, daysBack } (ms or date strings) into
+ * an absolute range. Returns null when no range was requested.
+ */
+function resolveRange({ startTime, endTime, yearsBack, daysBack } = {}) {
+  const toMs = value => {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = Number.isFinite(Number(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(ms)) throw new Error(`Invalid time: ${value}`);
+    return ms;
+  };
+
+  const start = toMs(startTime);
+  const end = toMs(endTime) ?? Date.now();
+
+  if (start === null && !yearsBack && !daysBack) return null;
+
+  let from = start;
+  if (from === null && yearsBack) from = end - Number(yearsBack) * YEAR_MS;
+  if (from === null && daysBack) from = end - Number(daysBack) * DAY_MS;
+  if (!Number.isFinite(from) || from >= end) {
+    throw new Error('Range start must be before end');
+  }
+
+  return { startTime: from, endTime: end };
+}
+
+function estimateCandleCount(interval, startTime, endTime) {
+  return Math.ceil((endTime - startTime) / getIntervalMs(interval));
+}
+
+/**
+ * Validate range size against MAX_BACKTEST_CANDLES before downloading
+ */
+function assertRangeSize(interval, startTime, endTime, max = MAX_RANGE_CANDLES) {
+  const estimated = estimateCandleCount(interval, startTime, endTime);
+  if (estimated > max) {
+    throw new Error(`Range covers ~${estimated} ${interval} candles (max ${max}) - use a larger interval or shorter range`);
+  }
+  return estimated;
+}
+
+module.exports = {
+  getCandleRange,
+  resolveRange,
+  estimateCandleCount,
+  assertRangeSize,
+  getIntervalMs,
+  inferInterval,
+  MAX_RANGE_CANDLES
+};
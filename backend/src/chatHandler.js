@@ -1,11 +1,15 @@
 /**
  * Chat Handler - Rule-based command parser for AI chat interface
  * Processes user messages and routes to appropriate handlers
+ *
+ * Intents with a `role` change trading state; the caller's context.authorize(role)
+ * must allow them and context.audit(entry) is told about every attempt.
  */
 
 const intents = [
   {
     name: 'open_trade',
+    role: 'trader',
     priority: 1,
     patterns: [
       /\b(open|enter|buy|long)\b.*\b([A-Z]{2,10}USDT)\b/i,
@@ -15,6 +19,7 @@ const intents = [
   },
   {
     name: 'close_trade',
+    role: 'trader',
     priority: 2,
     patterns: [
       /\bclose\s+all\b/i,
@@ -34,6 +39,7 @@ const intents = [
   },
   {
     name: 'set_risk',
+    role: 'trader',
     priority: 4,
     patterns: [
       /\b(set|change|update)\b.*\brisk\b.*?(\d+\.?\d*)\s*%?/i,
@@ -42,6 +48,7 @@ const intents = [
   },
   {
     name: 'set_leverage',
+    role: 'trader',
     priority: 5,
     patterns: [
       /\b(set|change|update)\b.*\bleverage\b.*?(\d+)/i,
@@ -51,6 +58,7 @@ const intents = [
   },
   {
     name: 'set_confidence',
+    role: 'trader',
     priority: 6,
     patterns: [
       /\b(set|change|update)\b.*\bconfidence\b.*?(\d+\.?\d*)\s*%?/i,
@@ -60,12 +68,33 @@ const intents = [
   },
   {
     name: 'set_max_positions',
+    role: 'trader',
     priority: 7,
     patterns: [
       /\b(set|change|update)\b.*\bmax\s*positions?\b.*?(\d+)/i,
     ],
     handler: handleSetMaxPositions
   },
+  {
+    name: 'use_profile',
+    role: 'trader',
+    priority: 7,
+    patterns: [
+      /\b(?:use|switch\s+to|activate|apply|load)\s+(?:the\s+)?([a-z0-9_-]+)\s+(?:strategy\s+)?profile\b/i,
+      /\b(?:use|switch\s+to|activate|apply|load)\s+(?:strategy\s+)?profile\s+([a-z0-9_-]+)/i,
+    ],
+    handler: handleUseProfile
+  },
+  {
+    name: 'list_profiles',
+    priority: 7,
+    patterns: [
+      /\b(?:strategy\s+)?profiles\b/i,
+      /\b(?:which|what|active|current)\s+(?:strategy\s+)?profile\b/i,
+      /\bprofile\s+(?:performance|stats|status|comparison)\b/i,
+    ],
+    handler: handleListProfiles
+  },
   {
     name: 'position_status',
     priority: 8,
@@ -197,7 +226,7 @@ async function handleOpenTrade(match, ctx) {
   }
 
   try {
-    const result = await ctx.executeTrade(signal);
+    const result = await ctx.executeTrade(signal, { source: 'chat' });
     if (result.executed) {
       return {
         type: 'trade',
@@ -362,6 +391,40 @@ function handleSetMaxPositions(match, ctx) {
   };
 }
 
+function handleUseProfile(match, ctx) {
+  const name = match[1].toLowerCase();
+  const { profile, previous, changes } = ctx.applyProfile(name);
+  const changed = Object.entries(changes);
+
+  let msg = previous === profile.name
+    ? `Profile "${profile.name}" re-applied`
+    : `Switched profile: ${previous} -> ${profile.name}`;
+  if (profile.description) msg += `\n${profile.description}`;
+  msg += changed.length > 0
+    ? `\n\nChanged:\n${changed.map(([key, { value, previous: before }]) => `  ${key}: ${JSON.stringify(before)} -> ${JSON.stringify(value)}`).join('\n')}`
+    : '\n\nNo settings changed.';
+
+  return { type: 'settings', message: msg, data: { profile: profile.name, previous, changes } };
+}
+
+function handleListProfiles(match, ctx) {
+  const profiles = ctx.listProfiles();
+  const performance = ctx.getProfilePerformance ? ctx.getProfilePerformance() : [];
+
+  let msg = `Strategy Profiles:\n\n`;
+  for (const p of profiles) {
+    msg += `${p.active ? '* ' : '  '}${p.name}${p.custom ? (p.builtIn ? ' (edited)' : ' (custom)') : ''}`;
+    if (p.description) msg += ` - ${p.description}`;
+    msg += `\n`;
+    for (const row of performance.filter(r => r.profile === p.name)) {
+      msg += `    ${row.source}: ${row.trades} trades, ${row.winRate}% win, avg ${row.avgPnl >= 0 ? '+' : ''}${row.avgPnl}%\n`;
+    }
+  }
+  msg += `\nSwitch with "use swing profile".`;
+
+  return { type: 'settings', message: msg.trim(), data: { profiles, performance } };
+}
+
 function handlePositionStatus(match, ctx) {
   const status = ctx.getTradingStatus();
   const positions = status.openPositions || [];
@@ -369,7 +432,7 @@ function handlePositionStatus(match, ctx) {
   if (positions.length === 0) {
     return {
       type: 'positions',
-      message: `No open positions.\nTrading: ${status.enabled ? 'Enabled' : 'Disabled'}\nDaily trades: ${status.dailyTrades}`,
+      message: `No open positions.\nTrading: ${status.shadow ? 'Shadow (paper execution)' : status.enabled ? 'Enabled' : 'Disabled'}\nDaily trades: ${status.dailyTrades}`,
       data: { positions: [], enabled: status.enabled, dailyTrades: status.dailyTrades }
     };
   }
@@ -438,7 +501,8 @@ function handleShowSettings(match, ctx) {
   const s = status.settings;
 
   let msg = `Trading Settings:\n\n`;
-  msg += `Trading: ${status.enabled ? 'Enabled' : 'Disabled'}\n`;
+  msg += `Trading: ${status.shadow ? 'Shadow (paper execution)' : status.enabled ? 'Enabled' : 'Disabled'}\n`;
+  if (status.profile) msg += `Profile: ${status.profile}\n`;
   msg += `API Keys: ${status.hasApiKeys ? 'Configured' : 'Missing'}\n`;
   msg += `Risk/Trade: ${s.riskPerTrade.toFixed(1)}%\n`;
   msg += `Min Confidence: ${s.minConfidence.toFixed(0)}%\n`;
@@ -451,7 +515,7 @@ function handleShowSettings(match, ctx) {
   return {
     type: 'settings',
     message: msg,
-    data: { ...s, enabled: status.enabled, hasApiKeys: status.hasApiKeys }
+    data: { ...s, profile: status.profile, enabled: status.enabled, hasApiKeys: status.hasApiKeys }
   };
 }
 
@@ -531,6 +595,8 @@ Settings:
   "set leverage 20" - Change leverage (1-125x)
   "set confidence 70%" - Min confidence (50-95%)
   "set max positions 3" - Max positions (1-20)
+  "profiles" - Strategy profiles and how they perform
+  "use swing profile" - Switch profile (scalp, swing, meme-surge, default)
 
 Learning:
   "pattern stats" - Pattern memory stats`;
@@ -550,12 +616,22 @@ async function handleChatMessage(userMessage, context) {
     for (const pattern of intent.patterns) {
       const match = normalized.match(pattern);
       if (match) {
+        if (intent.role && context.authorize && !context.authorize(intent.role)) {
+          context.audit?.({ action: `chat:${intent.name}`, message: normalized, ok: false, status: 403 });
+          return { type: 'error', message: `"${intent.name.replace(/_/g, ' ')}" needs the ${intent.role} role.` };
+        }
+
+        let reply;
         try {
-          return await intent.handler(match, context);
+          reply = await intent.handler(match, context);
         } catch (err) {
           console.error(`Chat handler error (${intent.name}):`, err.message);
-          return { type: 'error', message: `Error: ${err.message}` };
+          reply = { type: 'error', message: `Error: ${err.message}` };
+        }
+        if (intent.role) {
+          context.audit?.({ action: `chat:${intent.name}`, message: normalized, ok: reply.type !== 'error', result: reply.message });
         }
+        return reply;
       }
     }
   }
@@ -5,10 +5,11 @@
  * Uses a queue system to avoid rate limits and process efficiently.
  */
 
-const { getFuturesSymbols, getCandles } = require('./binance');
+const { getExchange } = require('./exchanges');
 const { calculateIndicators } = require('./indicators');
 const { predictNextMove } = require('./ai');
 const { fetchFundingRates } = require('./fundingRates');
+const { evaluateScannerAlerts } = require('./customAlerts');
 
 // Funding rate cache
 let fundingCache = {};
@@ -49,7 +50,7 @@ let isScanning = false;
  */
 async function initScanner() {
   try {
-    const symbols = await getFuturesSymbols();
+    const symbols = await getExchange().listSymbols();
     allFuturesSymbols = symbols
       .filter(s => s.endsWith('USDT'))
       .filter(s => !s.includes('_')); // Exclude delivery contracts
@@ -67,12 +68,13 @@ async function initScanner() {
  */
 async function scanCoin(symbol, interval = '15m') {
   try {
-    const candles = await getCandles(symbol, interval);
+    const candles = await getExchange().getCandles(symbol, interval);
     if (!candles || candles.length < 50) {
       return null;
     }
 
-    const indicators = calculateIndicators(candles);
+    // Incremental state per symbol: a rescan within the candle window only steps the new candles
+    const indicators = calculateIndicators(candles, { interval, incremental: `scanner:${symbol}:${interval}` });
     if (!indicators) return null;
 
     const ai = predictNextMove(indicators, null, symbol);
@@ -231,6 +233,7 @@ async function processQueue() {
         if (result.score >= 40) found++;
       }
     }
+    evaluateScannerAlerts(results);
 
     // Rate limit protection
     if (scanQueue.length > 0) {
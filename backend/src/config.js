@@ -0,0 +1,422 @@
+/**
+ * Config - one validated schema for every backend setting
+ *
+ * Each key has a type, default, allowed range and a description. Values come
+ * from the environment (validated once on first use - an invalid value stops
+ * startup with a list of what is wrong) or, for keys marked `hot`, from
+ * runtime updates (PATCH /api/config, chat settings commands) that take effect
+ * without a restart and last until the next one. Modules read hot keys with
+ * getConfig() where they use them and can subscribe with onConfigChange().
+ *
+ * Values keep the units of the env var (percent as 0-100, milliseconds, ...).
+ * Per-name overrides (ACCOUNT_<NAME>_<KEY>, SIM_PORTFOLIO_<NAME>_<RULE>) can't
+ * be schema keys themselves; accounts.js and simulationEngine.js read them with
+ * getEnvOverride(), which validates them against the key they override. No
+ * other module reads process.env.
+ */
+
+const path = require('path');
+
+const SCHEMA = {
+  // Server
+  PORT: { group: 'server', type: 'integer', default: 5000, min: 1, max: 65535, description: 'HTTP/Socket.io port' },
+  SYMBOLS: { group: 'server', type: 'string', default: '', description: 'Tracked symbols (comma list); empty or ALL auto-discovers futures symbols' },
+  MAX_SYMBOLS: { group: 'server', type: 'integer', default: 25, min: 1, max: 1000, description: 'Symbols tracked when auto-discovering' },
+  POLL_INTERVALS: { group: 'server', type: 'list', default: ['1m', '5m', '15m', '1h', '4h'], description: 'Candle intervals to track (defaults to BINANCE_INTERVAL when only that is set)' },
+  MTF_ENABLED: { group: 'server', type: 'boolean', default: true, hot: true, description: 'Feed higher/lower timeframe reads into every live signal' },
+  MTF_INTERVALS: { group: 'server', type: 'list', default: ['1h', '4h'], description: 'Higher intervals every signal is checked against (fetched on demand when not tracked)' },
+  USER_TIMEZONE: { group: 'server', type: 'timezone', default: 'Africa/Lagos', hot: true, description: 'IANA timezone for calendar-based analysis (midweek reversal window, seasonality month)' },
+  POLL_MS: { group: 'server', type: 'integer', default: 15000, min: 1000, description: 'REST polling period (MARKET_DATA_MODE=poll)' },
+  MARKET_DATA_MODE: { group: 'server', type: 'string', default: 'stream', values: ['stream', 'poll'], description: 'Kline WebSocket streams or REST polling' },
+  STREAM_INTRABAR_UPDATES: { group: 'server', type: 'boolean', default: false, hot: true, description: 'Recompute signals on forming candles too' },
+  STREAM_INTRABAR_THROTTLE_MS: { group: 'server', type: 'integer', default: 5000, min: 0, hot: true, description: 'Minimum gap between intrabar recomputes per symbol/interval' },
+  CORS_ORIGINS: { group: 'server', type: 'string', default: '*', description: 'Dashboard origins allowed to call the API (comma list, * = any)' },
+
+  // Exchange
+  EXCHANGE: { group: 'exchange', type: 'string', default: 'binance', description: 'Exchange adapter (binance, mock or a registered one)' },
+  BINANCE_API_KEY: { group: 'exchange', type: 'string', default: '', secret: true, description: "main account's Binance API key" },
+  BINANCE_API_SECRET: { group: 'exchange', type: 'string', default: '', secret: true, description: "main account's Binance API secret" },
+  BINANCE_API_URL: { group: 'exchange', type: 'string', default: 'https://fapi.binance.com', description: 'Futures REST base URL' },
+  BINANCE_API_FALLBACK: { group: 'exchange', type: 'string', default: '', description: 'Futures REST proxy used when the main URL is blocked' },
+  BINANCE_SPOT_API_URL: { group: 'exchange', type: 'string', default: 'https://api.binance.com', description: 'Spot REST base URL' },
+  BINANCE_STREAM_URL: { group: 'exchange', type: 'string', default: 'wss://fstream.binance.com', description: 'Futures kline WebSocket base URL' },
+  BINANCE_INTERVAL: { group: 'exchange', type: 'string', default: '1m', description: 'Default candle interval for REST requests' },
+  BINANCE_LIMIT: { group: 'exchange', type: 'integer', default: 150, min: 1, max: 1500, description: 'Candles fetched per REST request' },
+
+  // Storage
+  MONGO_URL: { group: 'storage', type: 'string', default: '', secret: true, aliases: ['MONGO_PUBLIC_URL'], description: 'MongoDB connection string (files under DATA_DIR when unset)' },
+  DATA_DIR: { group: 'storage', type: 'string', default: path.join(__dirname, '../data'), description: 'Directory for file-backed state, caches and logs' },
+  DECISION_LOG_MAX: { group: 'storage', type: 'integer', default: 5000, min: 100, description: 'Entry decisions kept in the file fallback' },
+  AUDIT_LOG_MAX: { group: 'storage', type: 'integer', default: 5000, min: 100, description: 'Audit entries kept in the file fallback' },
+  TRADE_HISTORY_MAX: { group: 'storage', type: 'integer', default: 500, min: 10, description: 'Closed trades kept per account across restarts' },
+
+  // Auth
+  API_KEYS: { group: 'auth', type: 'string', default: '', secret: true, description: 'API keys as name:role:key, comma separated' },
+  JWT_SECRET: { group: 'auth', type: 'string', default: '', secret: true, description: 'HS256 secret for bearer tokens' },
+  AUTH_ENABLED: { group: 'auth', type: 'boolean', default: null, description: 'Force auth on/off (default: on when API_KEYS or JWT_SECRET is set)' },
+  AUTH_ANONYMOUS_ROLE: { group: 'auth', type: 'string', default: null, values: ['viewer', 'trader', 'admin'], description: 'Role for requests without credentials (default: rejected)' },
+
+  // Trading - every ACCOUNT_<NAME>_<KEY> override of these is validated the same way
+  TRADING_ENABLED: { group: 'trading', type: 'boolean', default: false, description: 'Auto-trade signals' },
+  TRADING_ACCOUNTS: { group: 'trading', type: 'string', default: '', description: 'Extra trading accounts next to main (comma list)' },
+  RISK_PER_TRADE: { group: 'trading', type: 'number', default: 5, min: 0.1, max: 20, hot: true, description: 'Balance % used as margin per trade' },
+  MIN_CONFIDENCE: { group: 'trading', type: 'number', default: 65, min: 1, max: 100, hot: true, description: 'Minimum AI confidence % to enter' },
+  SNIPER_CONFIDENCE_OFFSET: { group: 'trading', type: 'number', default: 15, min: 0, max: 50, hot: true, description: 'Confidence % discount for sniper setups' },
+  SURGE_CONFIDENCE_OFFSET: { group: 'trading', type: 'number', default: 15, min: 0, max: 50, hot: true, description: 'Confidence % discount for volume surges' },
+  EXPLOSIVE_SURGE_CONFIDENCE_OFFSET: { group: 'trading', type: 'number', default: 20, min: 0, max: 50, hot: true, description: 'Confidence % discount for explosive volume surges' },
+  MAX_OPEN_POSITIONS: { group: 'trading', type: 'integer', default: 5, min: 1, max: 50, hot: true, description: 'Open positions per account' },
+  MAX_DAILY_TRADES: { group: 'trading', type: 'integer', default: 20, min: 1, max: 500, hot: true, description: 'Entries per account per day' },
+  LEVERAGE: { group: 'trading', type: 'integer', default: 10, min: 1, max: 125, hot: true, description: 'Futures leverage' },
+  SENTIMENT_TRADING_ENABLED: { group: 'trading', type: 'boolean', default: true, hot: true, description: 'Let sentiment and news adjust or block entries' },
+  SENTIMENT_WEIGHT: { group: 'trading', type: 'number', default: 20, min: 0, max: 100, hot: true, description: 'Weight % of the sentiment confidence adjustment' },
+  BLOCK_EXTREME_SENTIMENT: { group: 'trading', type: 'boolean', default: false, hot: true, description: 'Block entries against extreme fear/greed' },
+  SHADOW_MODE: { group: 'trading', type: 'boolean', default: false, description: 'Paper-execute every trading decision on a simulated order book while TRADING_ENABLED is off' },
+  SHADOW_BALANCE: { group: 'trading', type: 'number', default: 10000, min: 10, description: 'Starting USDT of the shadow order book' },
+  SHADOW_FEE_TIER: { group: 'trading', type: 'string', default: 'vip0', values: ['vip0', 'vip1', 'vip2', 'vip3', 'vip4', 'vip5', 'vip6', 'vip7', 'vip8', 'vip9'], description: 'Binance futures fee tier charged on shadow fills' },
+  SHADOW_SLIPPAGE_PCT: { group: 'trading', type: 'number', default: 0.02, min: 0, max: 5, description: 'Adverse slippage % on shadow market and stop fills' },
+
+  // Exits
+  EMERGENCY_STOP_LOSS_PCT: { group: 'exits', type: 'number', default: 8, min: 0.5, max: 100, hot: true, description: 'Hard stop % (and emergency SL for adopted positions)' },
+  TRAILING_STOP_PCT: { group: 'exits', type: 'number', default: 3, min: 0.1, max: 10, hot: true, description: 'Trailing stop distance % from the best price' },
+  TRAILING_ACTIVATION_PCT: { group: 'exits', type: 'number', default: 2, min: 0, max: 100, hot: true, description: 'Profit % that arms the native trailing stop' },
+  NATIVE_TRAILING_STOP: { group: 'exits', type: 'boolean', default: true, hot: true, description: 'Place an exchange TRAILING_STOP_MARKET order' },
+  TP_LADDER: { group: 'exits', type: 'list', itemType: 'number', default: [40, 30, 30], hot: true, description: 'Take-profit split across TP1/TP2/TP3 (weights)' },
+  BREAK_EVEN_AFTER_TP1: { group: 'exits', type: 'boolean', default: true, hot: true, description: 'Move the stop to entry once TP1 fills' },
+  BREAK_EVEN_BUFFER_PCT: { group: 'exits', type: 'number', default: 0.1, min: 0, max: 10, hot: true, description: 'Fee buffer % past entry for the break-even stop' },
+
+  // Risk limits (per account)
+  MAX_DAILY_LOSS: { group: 'risk', type: 'number', default: 5, min: 0.1, max: 100, hot: true, description: 'Daily loss % that stops trading for the day' },
+  MAX_WEEKLY_LOSS: { group: 'risk', type: 'number', default: 10, min: 0.1, max: 100, hot: true, description: 'Weekly loss % that stops trading for the week' },
+  MAX_DRAWDOWN: { group: 'risk', type: 'number', default: 15, min: 0.1, max: 100, hot: true, description: 'Drawdown % that pauses trading' },
+  MAX_CONSECUTIVE_LOSSES: { group: 'risk', type: 'integer', default: 5, min: 1, max: 100, hot: true, description: 'Loss streak that triggers the cooldown' },
+
+  // Paper trading
+  SIMULATION_ENABLED: { group: 'simulation', type: 'boolean', default: true, description: 'Paper-trade signals for learning' },
+  SIM_INITIAL_BALANCE: { group: 'simulation', type: 'number', default: 10000, min: 1, description: 'Starting paper balance' },
+  SIM_MAX_POSITIONS: { group: 'simulation', type: 'integer', default: 20, min: 1, max: 500, hot: true, description: 'Open paper positions' },
+  SIM_RISK_PER_TRADE: { group: 'simulation', type: 'number', default: 3, min: 0.1, max: 100, hot: true, description: 'Paper balance % per trade' },
+  SIM_LEVERAGE: { group: 'simulation', type: 'integer', default: 10, min: 1, max: 125, hot: true, description: 'Paper leverage' },
+  SIM_MIN_CONFIDENCE: { group: 'simulation', type: 'number', default: 55, min: 1, max: 100, hot: true, description: 'Minimum confidence % to paper-trade' },
+  SIM_PORTFOLIOS: { group: 'simulation', type: 'list', default: ['baseline'], description: 'Paper-trading portfolios run side by side (baseline always runs)' },
+  CANDLE_SIM_ENABLED: { group: 'simulation', type: 'boolean', default: true, description: 'Run the candle behaviour simulator' },
+  CANDLE_SIM_INTERVAL_MS: { group: 'simulation', type: 'integer', default: 60000, min: 1000, description: 'Candle simulator period' },
+  CANDLE_SIM_CANDLES: { group: 'simulation', type: 'integer', default: 500, min: 50, description: 'Candles per simulator run' },
+
+  // Spot DCA (enabled/dry-run/budget per account)
+  SPOT_DCA_ENABLED: { group: 'spotDca', type: 'boolean', default: null, description: 'Run spot DCA (default: main only, when it has API keys)' },
+  SPOT_DCA_DRY_RUN: { group: 'spotDca', type: 'boolean', default: null, description: 'Plan without placing orders (default: when there are no API keys)' },
+  SPOT_DCA_BUDGET: { group: 'spotDca', type: 'number', default: 100, min: 0, description: 'Weekly USDC budget' },
+  SPOT_DCA_INTERVAL_MS: { group: 'spotDca', type: 'integer', default: 300000, min: 10000, description: 'DCA run period' },
+  SPOT_DCA_INTERVAL: { group: 'spotDca', type: 'string', default: '1h', description: 'Candle interval the plan is built on' },
+  SPOT_DCA_SYMBOLS: { group: 'spotDca', type: 'list', default: [], description: 'Extra symbols to accumulate' },
+  SPOT_DCA_MIN_USDC: { group: 'spotDca', type: 'number', default: 12, min: 0, hot: true, description: 'Free USDC needed before buying' },
+  SPOT_DCA_MIN_TRADE: { group: 'spotDca', type: 'number', default: 12, min: 0, hot: true, description: 'Smallest buy in USDC' },
+  SPOT_DCA_SNIPER_ENABLED: { group: 'spotDca', type: 'boolean', default: true, hot: true, description: 'Wait for a sniper entry before buying' },
+  SPOT_DCA_SNIPER_WAIT_HOURS: { group: 'spotDca', type: 'number', default: 6, min: 0, hot: true, description: 'Longest wait for a sniper entry' },
+  SPOT_DCA_SMART_EXIT_ENABLED: { group: 'spotDca', type: 'boolean', default: true, description: 'Sell holdings on strong downtrends' },
+  SPOT_DCA_TREND_EXIT_CONFIDENCE: { group: 'spotDca', type: 'number', default: 60, min: 1, max: 100, hot: true, description: 'Short confidence % that triggers a smart exit' },
+
+  // Market intelligence
+  CRYPTOPANIC_API_KEY: { group: 'intelligence', type: 'string', default: '', secret: true, description: 'CryptoPanic news API key' },
+  LUNARCRUSH_API_KEY: { group: 'intelligence', type: 'string', default: '', secret: true, description: 'LunarCrush social API key' },
+  NEWS_POLL_INTERVAL: { group: 'intelligence', type: 'integer', default: 300000, min: 10000, description: 'News refresh period (ms)' },
+  WHALE_ALERT_API_KEY: { group: 'intelligence', type: 'string', default: '', secret: true, description: 'Whale Alert API key' },
+  WHALE_MIN_VALUE_USD: { group: 'intelligence', type: 'number', default: 1000000, min: 0, hot: true, description: 'Smallest transfer reported as a whale move' },
+
+  // Indicators - the list settings are validated by the registry (lazily required: it reads config itself)
+  INDICATORS_ENABLED: { group: 'indicators', type: 'list', default: [], hot: true, validate: value => require('./indicatorRegistry').checkEnabledIndicators(value), description: 'Extra indicators to compute and score (vwap, ichimoku, adx, supertrend, obv, keltner, donchian)' },
+  INDICATOR_PARAMS: { group: 'indicators', type: 'list', default: [], hot: true, validate: value => require('./indicatorRegistry').parseIndicatorParams(value), description: 'Indicator periods as [interval:]indicator.param=value (e.g. rsi.period=21,4h:ema.slow=100)' },
+  INDICATOR_WEIGHTS: { group: 'indicators', type: 'list', default: [], hot: true, validate: value => require('./indicatorRegistry').parseIndicatorWeights(value), description: 'Scoring weight overrides of extra indicators as indicator=points (e.g. adx=12,obv=0)' },
+  INCREMENTAL_INDICATORS: { group: 'indicators', type: 'boolean', default: true, hot: true, description: 'Update live pipeline and scanner indicators per candle instead of recomputing the whole window' },
+  INDICATOR_VERIFY_EVERY: { group: 'indicators', type: 'integer', default: 0, min: 0, max: 100000, hot: true, description: 'Check every Nth incremental update against the batch computation (0 = off)' },
+
+  // Order flow - local order books and aggregated trades
+  MICROSTRUCTURE_ENABLED: { group: 'orderFlow', type: 'boolean', default: true, description: 'Keep order books and trade flow for tracked symbols' },
+  MICROSTRUCTURE_MAX_SYMBOLS: { group: 'orderFlow', type: 'integer', default: 25, min: 1, max: 200, description: 'Tracked symbols (first N) with a local order book' },
+  MICROSTRUCTURE_POLL_MS: { group: 'orderFlow', type: 'integer', default: 60000, min: 2000, description: 'Snapshot period when market data is polled' },
+  MICROSTRUCTURE_CVD_WINDOW_MS: { group: 'orderFlow', type: 'integer', default: 900000, min: 60000, max: 3600000, hot: true, description: 'Window for volume delta and taker buy/sell ratio' },
+  MICROSTRUCTURE_DEPTH_BAND_PCT: { group: 'orderFlow', type: 'number', default: 0.5, min: 0.05, max: 10, hot: true, description: 'Band % around mid used for bid/ask imbalance' },
+  MICROSTRUCTURE_WALL_MULTIPLE: { group: 'orderFlow', type: 'number', default: 5, min: 2, max: 100, hot: true, description: 'Level size (x median level) that counts as a liquidity wall' },
+  LIQUIDATION_FEED: { group: 'orderFlow', type: 'string', default: 'stream', values: ['stream', 'replay', 'off'], description: 'Market-wide liquidations: forceOrder stream, LIQUIDATION_REPLAY_FILE, or off' },
+  LIQUIDATION_REPLAY_FILE: { group: 'orderFlow', type: 'string', default: '', description: 'JSON array of recorded forceOrder events (LIQUIDATION_FEED=replay)' },
+  LIQUIDATION_WINDOW_MS: { group: 'orderFlow', type: 'integer', default: 86400000, min: 3600000, max: 604800000, description: 'How long liquidations are kept for the heatmap' },
+  LIQUIDATION_BUCKET_PCT: { group: 'orderFlow', type: 'number', default: 0.25, min: 0.01, max: 5, hot: true, description: 'Heatmap price bucket size (% of price)' },
+  LIQUIDATION_CLUSTER_REFRESH_MS: { group: 'orderFlow', type: 'integer', default: 300000, min: 60000, description: 'Period of the open-interest liquidation cluster estimates' },
+
+  // Web push
+  PUSH_CONTACT: { group: 'push', type: 'string', default: 'mailto:you@example.com', description: 'VAPID contact' },
+  VAPID_PUBLIC_KEY: { group: 'push', type: 'string', default: '', description: 'VAPID public key' },
+  VAPID_PRIVATE_KEY: { group: 'push', type: 'string', default: '', secret: true, description: 'VAPID private key' },
+  PUSH_MIN_CONFIDENCE: { group: 'push', type: 'number', default: 70, min: 0, max: 100, hot: true, description: 'Default minimum confidence % for new subscribers' },
+  PUSH_MAX_PER_HOUR: { group: 'push', type: 'integer', default: 0, min: 0, hot: true, description: 'Default pushes per hour for new subscribers (0 = unlimited)' },
+  PUSH_COOLDOWN_MINUTES: { group: 'push', type: 'number', default: 0, min: 0, hot: true, description: 'Default cooldown per alert for new subscribers (0 = none)' },
+
+  // Custom alerts
+  CUSTOM_ALERTS_ENABLED: { group: 'alerts', type: 'boolean', default: true, hot: true, description: 'Evaluate user-defined alert rules' },
+  CUSTOM_ALERTS_MAX: { group: 'alerts', type: 'integer', default: 100, min: 1, max: 1000, hot: true, description: 'Most custom alert rules' },
+  CUSTOM_ALERT_COOLDOWN_MINUTES: { group: 'alerts', type: 'number', default: 30, min: 0, hot: true, description: 'Default re-fire cooldown for new rules' },
+  CUSTOM_ALERT_WEBHOOK_ALLOWLIST: { group: 'alerts', type: 'list', default: [], hot: true, description: 'Hosts custom alert webhooks may call (exact or *.domain); empty allows any host on a public address' },
+  CUSTOM_ALERT_WEBHOOK_TIMEOUT_MS: { group: 'alerts', type: 'integer', default: 5000, min: 500, max: 60000, hot: true, description: 'Webhook delivery timeout' },
+
+  // Backtesting
+  MAX_BACKTEST_CANDLES: { group: 'backtest', type: 'integer', default: 200000, min: 100, description: 'Largest candle range a backtest may load' },
+  CANDLE_STORE_PAGE_DELAY_MS: { group: 'backtest', type: 'integer', default: 150, min: 0, description: 'Pause between candle download pages' },
+  OPTIMIZER_MAX_RUNS: { group: 'backtest', type: 'integer', default: 200, min: 1, description: 'Most backtests one optimization may run' },
+
+  // Mock exchange (npm run mock-exchange)
+  MOCK_EXCHANGE_PORT: { group: 'mock', type: 'integer', default: 5100, min: 1, max: 65535, description: 'Mock Binance server port' },
+  MOCK_EXCHANGE_TICK_MS: { group: 'mock', type: 'integer', default: 5000, min: 0, description: 'Replay one 1m candle per symbol this often (0 = only on POST /mock/tick)' },
+  MOCK_EXCHANGE_SCENARIO: { group: 'mock', type: 'string', default: 'random', values: ['uptrend', 'downtrend', 'volatile', 'ranging', 'random'], description: 'Synthetic candle scenario' },
+  MOCK_EXCHANGE_HISTORY: { group: 'mock', type: 'integer', default: 3000, min: 100, description: '1m candles of history per symbol' },
+  MOCK_EXCHANGE_CANDLES_FILE: { group: 'mock', type: 'string', default: '', description: 'Recorded candles replayed before synthetic ones ({ "BTCUSDT": [candles] })' },
+  MOCK_EXCHANGE_API_SECRET: { group: 'mock', type: 'string', default: '', secret: true, description: 'Verify request signatures with this secret (empty = accept any)' },
+  MOCK_EXCHANGE_FUTURES_BALANCE: { group: 'mock', type: 'number', default: 10000, min: 0, description: 'Starting futures USDT balance' },
+  MOCK_EXCHANGE_SPOT_BALANCE: { group: 'mock', type: 'number', default: 1000, min: 0, description: 'Starting spot USDC balance' },
+  MOCK_EXCHANGE_SYMBOLS: { group: 'mock', type: 'string', default: 'BTCUSDT:60000,ETHUSDT:3000,SOLUSDT:150,BNBUSDT:550,XRPUSDT:0.6,DOGEUSDT:0.15', description: 'SYMBOL:startPrice pairs (spot also lists a USDC pair for each USDT symbol)' }
+};
+
+const TRUE_VALUES = new Set(['true', '1', 'yes', 'on']);
+const FALSE_VALUES = new Set(['false', '0', 'no', 'off']);
+
+const values = new Map(); // key -> { value, source: 'default'|'env'|'runtime' }
+const listeners = new Set();
+let loaded = false;
+
+function configError(message, key) {
+  const err = new Error(message);
+  err.status = 400;
+  err.key = key;
+  return err;
+}
+
+function isUnset(raw) {
+  return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+}
+
+/**
+ * Parse and validate a value for a key (env strings or JSON values)
+ * @param {string} key - schema key
+ * @param {*} raw
+ * @param {string} label - name used in error messages (e.g. ACCOUNT_SCALPER_LEVERAGE)
+ * @returns {*} the typed value; throws (status 400) when invalid
+ */
+function parseConfigValue(key, raw, label = key) {
+  const spec = SCHEMA[key];
+  if (!spec) throw configError(`Unknown config key: ${key}`, key);
+  const value = parseTypedValue(spec, raw, label, key);
+  if (spec.validate && value !== null) {
+    try {
+      spec.validate(value);
+    } catch (err) {
+      throw configError(`${label}: ${err.message}`, key);
+    }
+  }
+  return value;
+}
+
+/**
+ * Parse and validate a value against an ad-hoc spec ({ type, default, min, max,
+ * values, itemType }) - for settings outside the schema such as per-portfolio rules
+ */
+function parseTypedValue(spec, raw, label, key = label) {
+  if (isUnset(raw)) {
+    if (spec.default === null) return null;
+    throw configError(`${label} needs a value`, key);
+  }
+
+  switch (spec.type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) throw configError(`${label} must be a number (got "${raw}")`, key);
+      if (spec.type === 'integer' && !Number.isInteger(value)) throw configError(`${label} must be a whole number (got ${value})`, key);
+      if (spec.min !== undefined && value < spec.min) throw configError(`${label} must be at least ${spec.min} (got ${value})`, key);
+      if (spec.max !== undefined && value > spec.max) throw configError(`${label} must be at most ${spec.max} (got ${value})`, key);
+      return value;
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.has(text)) return true;
+      if (FALSE_VALUES.has(text)) return false;
+      throw configError(`${label} must be true or false (got "${raw}")`, key);
+    }
+    case 'timezone': {
+      const value = String(raw).trim();
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+      } catch (err) {
+        throw configError(`${label} must be an IANA timezone such as Africa/Lagos or UTC (got "${raw}")`, key);
+      }
+      return value;
+    }
+    case 'list': {
+      const items = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      if (spec.itemType !== 'number') return items;
+      const numbers = items.map(Number);
+      if (numbers.length === 0 || numbers.some(n => !Number.isFinite(n) || n <= 0)) {
+        throw configError(`${label} must be a comma list of positive numbers (got "${raw}")`, key);
+      }
+      return numbers;
+    }
+    default: {
+      const value = String(raw).trim();
+      if (spec.values) {
+        const match = spec.values.find(v => v === value.toLowerCase());
+        if (!match) throw configError(`${label} must be one of ${spec.values.join(', ')} (got "${raw}")`, key);
+        return match;
+      }
+      return value;
+    }
+  }
+}
+
+function loadConfig() {
+  if (loaded) return;
+  const errors = [];
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const envKey = [key, ...(spec.aliases || [])].find(name => !isUnset(process.env[name]));
+    if (!envKey) {
+      values.set(key, { value: spec.default, source: 'default' });
+      continue;
+    }
+    try {
+      values.set(key, { value: parseConfigValue(key, process.env[envKey], envKey), source: 'env' });
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  if (errors.length > 0) {
+    values.clear();
+    throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  }
+  loaded = true;
+}
+
+/**
+ * Effective value of a key
+ */
+function getConfig(key) {
+  loadConfig();
+  const entry = values.get(key);
+  if (!entry) throw new Error(`Unknown config key: ${key}`);
+  return entry.value;
+}
+
+/**
+ * A per-name override from the environment (e.g. ACCOUNT_SCALPER_LEVERAGE),
+ * validated like the schema key it overrides or against an ad-hoc spec
+ * @param {string} name - environment variable
+ * @param {string|Object} keyOrSpec - schema key, or a parseTypedValue spec
+ * @returns {*} the typed value, or undefined when unset; throws when invalid
+ */
+function getEnvOverride(name, keyOrSpec) {
+  const raw = process.env[name];
+  if (isUnset(raw)) return undefined;
+  return typeof keyOrSpec === 'string'
+    ? parseConfigValue(keyOrSpec, raw, name)
+    : parseTypedValue(keyOrSpec, raw, name);
+}
+
+/**
+ * Where a key's value came from: 'default', 'env' or 'runtime'
+ */
+function getConfigSource(key) {
+  loadConfig();
+  return values.get(key)?.source || null;
+}
+
+function hasConfigKey(key) {
+  return Object.prototype.hasOwnProperty.call(SCHEMA, key);
+}
+
+/**
+ * Change hot-reloadable keys at runtime. All updates are validated first;
+ * nothing changes if any is unknown, restart-only or out of range (status 400).
+ * @param {Object} updates - { KEY: value }
+ * @returns {Object} { KEY: { value, previous } } for the keys that changed
+ */
+function setConfig(updates = {}) {
+  loadConfig();
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw configError('Send an object of { KEY: value } updates');
+  }
+
+  const parsed = {};
+  for (const [key, raw] of Object.entries(updates)) {
+    if (!hasConfigKey(key)) throw configError(`Unknown config key: ${key}`, key);
+    if (!SCHEMA[key].hot) throw configError(`${key} is read at startup - set it in the environment and restart`, key);
+    parsed[key] = parseConfigValue(key, raw);
+  }
+
+  const changes = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    const previous = values.get(key).value;
+    if (JSON.stringify(previous) === JSON.stringify(value)) continue;
+    values.set(key, { value, source: 'runtime' });
+    changes[key] = { value, previous };
+    console.log(`[CONFIG] ${key}: ${JSON.stringify(previous)} -> ${JSON.stringify(value)}`);
+  }
+
+  if (Object.keys(changes).length > 0) {
+    for (const listener of listeners) {
+      try {
+        listener(changes);
+      } catch (err) {
+        console.warn('[CONFIG] Listener error:', err.message);
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Subscribe to runtime changes: listener({ KEY: { value, previous } })
+ * @returns {Function} unsubscribe
+ */
+function onConfigChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Every key with its effective value and source; secrets only say whether they are set
+ * @param {Object} filters - { group, hot }
+ */
+function describeConfig({ group, hot } = {}) {
+  loadConfig();
+  return Object.entries(SCHEMA)
+    .filter(([, spec]) => (!group || spec.group === group) && (hot === undefined || Boolean(spec.hot) === hot))
+    .map(([key, spec]) => {
+      const { value, source } = values.get(key);
+      return {
+        key,
+        group: spec.group,
+        type: spec.type,
+        value: spec.secret ? (value ? '(set)' : '') : value,
+        default: spec.default,
+        source,
+        hot: Boolean(spec.hot),
+        ...(spec.min !== undefined && { min: spec.min }),
+        ...(spec.max !== undefined && { max: spec.max }),
+        ...(spec.values && { values: spec.values }),
+        ...(spec.secret && { secret: true }),
+        description: spec.description
+      };
+    });
+}
+
+module.exports = {
+  getConfig,
+  getConfigSource,
+  getEnvOverride,
+  hasConfigKey,
+  parseConfigValue,
+  parseTypedValue,
+  setConfig,
+  onConfigChange,
+  describeConfig,
+  CONFIG_GROUPS: Array.from(new Set(Object.values(SCHEMA).map(spec => spec.group)))
+};
@@ -0,0 +1,951 @@
+/**
+ * Custom Alerts - user-defined alert rules over price, indicator, pattern,
+ * funding and scanner fields
+ *
+ * A rule is a condition tree over named fields (see FIELDS) plus a scope and
+ * delivery settings:
+ *   {
+ *     "name": "ETH oversold at support",
+ *     "when": "rsi crosses below 30 AND price within 0.5% of support",
+ *     "symbols": ["ETHUSDT"], "intervals": ["1h"],
+ *     "cooldownMinutes": 60,
+ *     "channels": ["push", "socket", "webhook"], "webhookUrl": "https://..."
+ *   }
+ * `when` is parsed into the JSON form, which can also be sent directly as
+ * `condition`: { all: [...] } | { any: [...] } | { not: node } |
+ * { field, op, value } where value is a literal or { field } and withinPct
+ * leaves carry `pct`. Operators: < <= > >= == != crossesAbove crossesBelow
+ * withinPct includes.
+ *
+ * Where a rule is evaluated follows from its fields:
+ * - candles: every processCandles pass of a tracked symbol/interval
+ * - scanner: every coin scanner result (scanner.* fields, all futures coins)
+ * - funding: every funding refresh, per symbol (rules using only `funding`)
+ *
+ * Rules are edge-triggered per rule/symbol/interval: they fire when the
+ * condition becomes true, not while it stays true, and a rule that re-arms
+ * within its cooldown stays quiet. crossesAbove/crossesBelow compare with the
+ * previous evaluation of the same rule/symbol/interval.
+ *
+ * Storage: MongoDB (primary) + JSON file (backup)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const mongo = require('./mongoStorage');
+const { getConfig } = require('./config');
+const { detectChartPatterns } = require('./chartPatterns');
+const { listIndicators } = require('./indicatorRegistry');
+const { sendPushNotification } = require('./pushSubscriptions');
+
+const ALERTS_FILE = path.join(getConfig('DATA_DIR'), 'custom_alerts.json');
+const CHANNELS = ['push', 'socket', 'webhook'];
+const DEFAULT_CHANNELS = ['push', 'socket'];
+const INTERVAL_PATTERN = /^\d+[mhdwM]$/;
+const MAX_DEPTH = 4;
+const MAX_LEAVES = 20;
+const MAX_HISTORY = 200;
+
+// Comparison operators and the field type each needs
+const OPERATORS = {
+  '<': 'number',
+  '<=': 'number',
+  '>': 'number',
+  '>=': 'number',
+  crossesAbove: 'number',
+  crossesBelow: 'number',
+  withinPct: 'number',
+  '==': 'value',
+  '!=': 'value',
+  includes: 'list'
+};
+
+// Words the expression parser accepts for each operator
+const OPERATOR_ALIASES = {
+  '<': '<', '<=': '<=', '>': '>', '>=': '>=',
+  '=': '==', '==': '==', is: '==', '!=': '!=',
+  crossesabove: 'crossesAbove', crossesbelow: 'crossesBelow',
+  includes: 'includes', has: 'includes'
+};
+
+// State
+const alerts = new Map(); // id -> rule
+const states = new Map(); // `${id}|${symbol}|${interval}` -> { active, values, lastFiredAt }
+const triggers = new Map(); // id -> { count, lastTriggeredAt }
+const history = []; // newest first
+const listeners = new Set();
+let fundingRates = {}; // symbol -> fundingRates.js rate entry
+let loaded = false;
+
+const stats = {
+  evaluations: 0,
+  triggered: 0,
+  suppressed: 0,
+  webhookErrors: 0
+};
+
+// Webhooks may not reach the backend's own network: loopback, private,
+// link-local (cloud metadata), CGNAT, multicast and reserved ranges, unless
+// the host is in CUSTOM_ALERT_WEBHOOK_ALLOWLIST. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges by BlockList itself.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function alertError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// === Fields ===
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function candleField(type, read, description) {
+  return { source: 'candles', type, read, description };
+}
+
+function scannerField(type, read, description) {
+  return { source: 'scanner', type, read: ({ scan }) => read(scan), description };
+}
+
+// Chart patterns are only detected when a rule asks for them, once per evaluation pass
+function chartOf(ctx) {
+  if (!ctx.chart) ctx.chart = detectChartPatterns(ctx.candles || []);
+  return ctx.chart;
+}
+
+const FIELDS = {
+  price: candleField('number', ({ indicators }) => indicators.currentPrice, 'Last price'),
+  rsi: candleField('number', ({ indicators }) => indicators.rsi, 'RSI'),
+  macd: candleField('number', ({ indicators }) => indicators.macd?.MACD, 'MACD line'),
+  'macd.signal': candleField('number', ({ indicators }) => indicators.macd?.signal, 'MACD signal line'),
+  'macd.histogram': candleField('number', ({ indicators }) => indicators.macd?.histogram, 'MACD histogram'),
+  'bb.upper': candleField('number', ({ indicators }) => indicators.bollinger?.upper, 'Upper Bollinger band'),
+  'bb.middle': candleField('number', ({ indicators }) => indicators.bollinger?.middle, 'Middle Bollinger band'),
+  'bb.lower': candleField('number', ({ indicators }) => indicators.bollinger?.lower, 'Lower Bollinger band'),
+  'bb.pb': candleField('number', ({ indicators }) => indicators.bollinger?.pb, 'Bollinger %B (0 = lower band, 1 = upper band)'),
+  'kdj.k': candleField('number', ({ indicators }) => indicators.kdj?.k, 'KDJ K'),
+  'kdj.d': candleField('number', ({ indicators }) => indicators.kdj?.d, 'KDJ D'),
+  'kdj.j': candleField('number', ({ indicators }) => indicators.kdj?.j, 'KDJ J'),
+  atr: candleField('number', ({ indicators }) => indicators.atr, 'ATR'),
+  atrPct: candleField('number', ({ indicators }) => (indicators.currentPrice ? (indicators.atr / indicators.currentPrice) * 100 : undefined), 'ATR as % of price'),
+  ema20: candleField('number', ({ indicators }) => indicators.ema?.ema20, 'Fast EMA'),
+  ema50: candleField('number', ({ indicators }) => indicators.ema?.ema50, 'Medium EMA'),
+  ema200: candleField('number', ({ indicators }) => indicators.ema?.ema200, 'Slow EMA'),
+  volumeRatio: candleField('number', ({ indicators }) => indicators.volumeRatio, 'Volume vs its 20-candle average'),
+  support: candleField('number', ({ indicators }) => indicators.support, 'Nearest support'),
+  resistance: candleField('number', ({ indicators }) => indicators.resistance, 'Nearest resistance'),
+  trend: candleField('string', ({ indicators }) => indicators.trend, 'EMA trend'),
+  breakout: candleField('string', ({ indicators }) => indicators.breakout?.direction || 'none', 'up, down or none'),
+  candlePatterns: candleField('list', ({ indicators }) => indicators.patterns || [], 'Candlestick patterns, e.g. HAMMER'),
+  sniperScore: candleField('number', ({ indicators }) => indicators.sniperSignals?.score?.score, 'Sniper score (0-100)'),
+  squeeze: candleField('boolean', ({ indicators }) => Boolean(indicators.sniperSignals?.squeeze?.inSqueeze), 'Bollinger squeeze'),
+  divergence: candleField('string', ({ indicators }) => indicators.sniperSignals?.divergence?.type || 'none', 'RSI/MACD divergence type'),
+  volumeSurge: candleField('boolean', ({ indicators }) => Boolean(indicators.volumeSurge?.detected), 'Volume surge'),
+  signal: candleField('string', ({ ai }) => ai?.signal, 'AI signal, e.g. STRONG_LONG'),
+  direction: candleField('string', ({ ai }) => ai?.direction, 'AI direction'),
+  confidence: candleField('number', ({ ai }) => (isNumber(ai?.confidence) ? ai.confidence * 100 : undefined), 'AI confidence %'),
+  chartPatterns: candleField('list', (ctx) => chartOf(ctx).patterns.map(p => p.type), 'Chart patterns, e.g. BULL_FLAG'),
+  chartBias: candleField('string', (ctx) => chartOf(ctx).summary?.dominantDirection || 'neutral', 'Dominant chart pattern direction'),
+
+  funding: {
+    source: 'funding',
+    type: 'number',
+    read: ({ symbol }) => (isNumber(fundingRates[symbol]?.fundingRate) ? fundingRates[symbol].fundingRate * 100 : undefined),
+    description: 'Funding rate % per 8h'
+  },
+
+  'scanner.score': scannerField('number', scan => scan.score, 'Scanner opportunity score'),
+  'scanner.sniperScore': scannerField('number', scan => scan.sniperScore, 'Scanner sniper score'),
+  'scanner.sniperActive': scannerField('boolean', scan => Boolean(scan.sniperActive), 'Scanner sniper setup'),
+  'scanner.priceChange24h': scannerField('number', scan => scan.priceChange24h, '24h price change %'),
+  'scanner.signal': scannerField('string', scan => scan.signal, 'Scanner AI signal'),
+  'scanner.direction': scannerField('string', scan => scan.direction, 'Scanner AI direction'),
+  'scanner.confidence': scannerField('number', scan => (isNumber(scan.confidence) ? scan.confidence * 100 : undefined), 'Scanner AI confidence %')
+};
+
+// Registry indicators beyond the core set, one field per output (e.g. adx.adx, supertrend.direction);
+// they read as missing unless INDICATORS_ENABLED computes them
+function extraFields() {
+  const fields = {};
+  for (const definition of listIndicators().filter(d => !d.core)) {
+    for (const output of definition.outputs) {
+      fields[`${definition.id}.${output}`] = candleField('value', ({ indicators }) => {
+        const value = indicators.extra?.[definition.id];
+        if (value && typeof value === 'object') return value[output];
+        return definition.outputs.length === 1 ? value : undefined;
+      }, `${definition.label} ${output}`);
+    }
+  }
+  return fields;
+}
+
+let fieldIndex = null; // lower-case name -> { name, ...field }
+
+// Built on first use - the registry's extra indicators are all registered by then
+function getFieldIndex() {
+  if (!fieldIndex) {
+    fieldIndex = new Map();
+    for (const [key, field] of Object.entries({ ...FIELDS, ...extraFields() })) {
+      fieldIndex.set(key.toLowerCase(), { name: key, ...field });
+    }
+  }
+  return fieldIndex;
+}
+
+function getField(name) {
+  return getFieldIndex().get(String(name).toLowerCase()) || null;
+}
+
+function requireField(name) {
+  const field = getField(name);
+  if (!field) throw alertError(`Unknown field: ${name} (see GET /api/custom-alerts for the field list)`);
+  return field;
+}
+
+function describeFields() {
+  return [...getFieldIndex().values()].map(({ name, source, type, description }) => ({ name, source, type, description }));
+}
+
+// === Expression parser ===
+
+const TOKEN_PATTERN = /\s*("[^"]*"|'[^']*'|<=|>=|==|!=|<|>|=|\(|\)|[^\s()<>=!"']+)/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      if (!text.slice(start).trim()) break;
+      throw alertError(`Cannot parse "${text.slice(start).trim()}"`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+// Numbers may carry a % sign ("-0.05%"): percentage fields are already in percent
+function parseNumber(token) {
+  const text = String(token ?? '').replace(/%$/, '');
+  return text !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+}
+
+function parseOperand(token) {
+  if (token === undefined) throw alertError('Expression ends before a value');
+  if (/^([<>=!]=?|[()])$/.test(token)) throw alertError(`Expected a value, got "${token}"`);
+  if (/^["']/.test(token)) return token.slice(1, -1);
+  const number = parseNumber(token);
+  if (number !== null) return number;
+  if (/^(true|false)$/i.test(token)) return token.toLowerCase() === 'true';
+  const field = getField(token);
+  return field ? { field: field.name } : token;
+}
+
+/**
+ * Parse a rule expression into a condition tree
+ * e.g. "rsi crosses below 30 AND price within 0.5% of support",
+ * "funding < -0.05%", "chartPatterns includes BULL_FLAG AND NOT (trend == bearish)"
+ * AND binds tighter than OR.
+ */
+function parseExpression(text) {
+  const tokens = tokenize(String(text || ''));
+  if (tokens.length === 0) throw alertError('Expression is empty');
+  let pos = 0;
+  const word = () => String(tokens[pos] ?? '').toUpperCase();
+
+  function parseComparison() {
+    const field = tokens[pos++];
+    if (field === undefined || field === ')') throw alertError('Expected a field');
+    const opToken = String(tokens[pos++] ?? '').toLowerCase();
+
+    if (opToken === 'crosses') {
+      const side = String(tokens[pos++] ?? '').toLowerCase();
+      if (side !== 'above' && side !== 'below') throw alertError(`Expected "crosses above" or "crosses below" after ${field}`);
+      return { field, op: side === 'above' ? 'crossesAbove' : 'crossesBelow', value: parseOperand(tokens[pos++]) };
+    }
+    if (opToken === 'within') {
+      const pct = parseNumber(tokens[pos++]);
+      if (pct === null || String(tokens[pos++] ?? '').toLowerCase() !== 'of') {
+        throw alertError(`Expected "within <pct>% of <value>" after ${field}`);
+      }
+      return { field, op: 'withinPct', pct, value: parseOperand(tokens[pos++]) };
+    }
+    const op = OPERATOR_ALIASES[opToken];
+    if (!op) throw alertError(`Unknown operator "${tokens[pos - 1] ?? ''}" after ${field}`);
+    return { field, op, value: parseOperand(tokens[pos++]) };
+  }
+
+  function parseUnary() {
+    if (word() === 'NOT') {
+      pos++;
+      return { not: parseUnary() };
+    }
+    if (tokens[pos] === '(') {
+      pos++;
+      const node = parseOr();
+      if (tokens[pos++] !== ')') throw alertError('Missing )');
+      return node;
+    }
+    return parseComparison();
+  }
+
+  function parseAnd() {
+    const terms = [parseUnary()];
+    while (word() === 'AND') {
+      pos++;
+      terms.push(parseUnary());
+    }
+    return terms.length === 1 ? terms[0] : { all: terms };
+  }
+
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (word() === 'OR') {
+      pos++;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { any: terms };
+  }
+
+  const condition = parseOr();
+  if (pos < tokens.length) throw alertError(`Unexpected "${tokens[pos]}"`);
+  return condition;
+}
+
+// === Condition validation ===
+
+function typeFits(fieldType, wanted) {
+  if (wanted === 'number') return fieldType === 'number' || fieldType === 'value';
+  if (wanted === 'list') return fieldType === 'list';
+  return fieldType !== 'list';
+}
+
+function normalizeLeaf(node, fields) {
+  const field = requireField(node.field);
+  const op = OPERATORS[node.op] ? node.op : OPERATOR_ALIASES[String(node.op).toLowerCase()];
+  if (!op) throw alertError(`Unknown operator "${node.op}" (use ${Object.keys(OPERATORS).join(', ')})`);
+  const wanted = OPERATORS[op];
+  if (!typeFits(field.type, wanted)) throw alertError(`${op} does not apply to ${field.name} (${field.type})`);
+  fields.add(field.name);
+
+  const leaf = { field: field.name, op };
+  const { value } = node;
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const other = requireField(value.field);
+    if (wanted === 'list' || !typeFits(other.type, wanted)) throw alertError(`${field.name} ${op} cannot compare with ${other.name} (${other.type})`);
+    fields.add(other.name);
+    leaf.value = { field: other.name };
+  } else if (wanted === 'number') {
+    if (!isNumber(value)) throw alertError(`${field.name} ${op} needs a number or a field`);
+    leaf.value = value;
+  } else if (wanted === 'list') {
+    if (typeof value !== 'string' || !value) throw alertError(`${field.name} includes needs a name, e.g. BULL_FLAG`);
+    leaf.value = value.toUpperCase();
+  } else {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) throw alertError(`${field.name} ${op} needs a value`);
+    leaf.value = value;
+  }
+
+  if (op === 'withinPct') {
+    if (!isNumber(node.pct) || node.pct <= 0 || node.pct > 100) throw alertError('withinPct needs pct between 0 and 100');
+    leaf.pct = node.pct;
+  }
+  return leaf;
+}
+
+function normalizeCondition(node, fields, depth = 0, counter = { leaves: 0 }) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) throw alertError('Condition must be an object');
+  if (depth > MAX_DEPTH) throw alertError(`Conditions nest at most ${MAX_DEPTH} levels`);
+
+  for (const key of ['all', 'any']) {
+    if (node[key] !== undefined) {
+      if (!Array.isArray(node[key]) || node[key].length === 0) throw alertError(`${key} needs a non-empty list of conditions`);
+      return { [key]: node[key].map(child => normalizeCondition(child, fields, depth + 1, counter)) };
+    }
+  }
+  if (node.not !== undefined) return { not: normalizeCondition(node.not, fields, depth + 1, counter) };
+
+  if (++counter.leaves > MAX_LEAVES) throw alertError(`A rule has at most ${MAX_LEAVES} comparisons`);
+  return normalizeLeaf(node, fields);
+}
+
+// Where a rule runs - scanner results carry no candles, so the two cannot mix
+function ruleSource(fields) {
+  const sources = new Set([...fields].map(name => getField(name).source));
+  if (sources.has('candles') && sources.has('scanner')) {
+    throw alertError('Scanner fields cannot be combined with candle fields in one rule');
+  }
+  if (sources.has('scanner')) return 'scanner';
+  if (sources.has('candles')) return 'candles';
+  return 'funding';
+}
+
+function formatOperand(value) {
+  if (value && typeof value === 'object') return value.field;
+  return typeof value === 'string' && /\s/.test(value) ? `"${value}"` : String(value);
+}
+
+/**
+ * Condition tree back to expression text (the canonical form shown in alerts)
+ */
+function describeCondition(node, nested = false) {
+  if (node.all || node.any) {
+    const text = (node.all || node.any).map(child => describeCondition(child, true)).join(node.all ? ' AND ' : ' OR ');
+    return nested ? `(${text})` : text;
+  }
+  if (node.not) return `NOT ${describeCondition(node.not, true)}`;
+  if (node.op === 'withinPct') return `${node.field} within ${node.pct}% of ${formatOperand(node.value)}`;
+  if (node.op === 'crossesAbove') return `${node.field} crosses above ${formatOperand(node.value)}`;
+  if (node.op === 'crossesBelow') return `${node.field} crosses below ${formatOperand(node.value)}`;
+  return `${node.field} ${node.op} ${formatOperand(node.value)}`;
+}
+
+// === Rules ===
+
+function toList(value, transform) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(v => transform(String(v).trim())).filter(Boolean))];
+}
+
+function normalizeWebhookUrl(value) {
+  if (!value) return null;
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (err) {
+    throw alertError('webhookUrl must be a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw alertError('webhookUrl must be http(s)');
+  return url.toString();
+}
+
+const bareHost = hostname => hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+function isAllowlistedHost(hostname) {
+  const host = bareHost(hostname);
+  return getConfig('CUSTOM_ALERT_WEBHOOK_ALLOWLIST').some((entry) => {
+    const pattern = entry.toLowerCase();
+    return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+  });
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check where a webhook would go: with an allowlist only listed hosts,
+ * otherwise any host whose addresses are all public. Throws (status 400).
+ */
+async function checkWebhookTarget(webhookUrl) {
+  const host = bareHost(new URL(webhookUrl).hostname);
+  if (getConfig('CUSTOM_ALERT_WEBHOOK_ALLOWLIST').length > 0) {
+    if (!isAllowlistedHost(host)) throw alertError(`webhookUrl host ${host} is not in CUSTOM_ALERT_WEBHOOK_ALLOWLIST`);
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (err) {
+    throw alertError(`webhookUrl host ${host} does not resolve`);
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) throw alertError(`webhookUrl must not point at a private or reserved address (${host} is ${blocked.address})`);
+}
+
+// Connection-time check as well, so a host can't resolve to a public address
+// when the rule is saved and to an internal one when the alert fires
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err || isAllowlistedHost(hostname)) return callback(err, address, family);
+    const blocked = (Array.isArray(address) ? address : [{ address }]).find(entry => isBlockedAddress(entry.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a private or reserved address (${blocked.address})`));
+    callback(null, address, family);
+  });
+}
+
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: webhookLookup }),
+  httpsAgent: new https.Agent({ lookup: webhookLookup })
+};
+
+/**
+ * Validate a rule and merge it on top of an existing one.
+ * Throws (status 400) on invalid input.
+ */
+function normalizeAlert(input = {}, base = null) {
+  const rule = base
+    ? { ...base }
+    : { enabled: true, symbols: [], intervals: [], cooldownMinutes: getConfig('CUSTOM_ALERT_COOLDOWN_MINUTES'), channels: DEFAULT_CHANNELS, webhookUrl: null };
+
+  let condition = null;
+  if (input.when !== undefined) condition = parseExpression(input.when);
+  else if (typeof input.condition === 'string') condition = parseExpression(input.condition);
+  else if (input.condition !== undefined) condition = input.condition;
+  if (condition) {
+    const fields = new Set();
+    rule.condition = normalizeCondition(condition, fields);
+    rule.fields = [...fields];
+    rule.source = ruleSource(fields);
+    rule.expression = describeCondition(rule.condition);
+  }
+  if (!rule.condition) throw alertError('A rule needs a condition ("when" expression or "condition" object)');
+
+  if (input.name !== undefined || !rule.name) {
+    const name = String(input.name ?? '').trim() || rule.expression;
+    rule.name = name.slice(0, 80);
+  }
+  if (input.enabled !== undefined) rule.enabled = input.enabled !== false && input.enabled !== 'false';
+  if (input.symbols !== undefined) rule.symbols = toList(input.symbols, v => v.toUpperCase());
+  if (input.intervals !== undefined) {
+    rule.intervals = toList(input.intervals, v => v);
+    const invalid = rule.intervals.find(interval => !INTERVAL_PATTERN.test(interval));
+    if (invalid) throw alertError(`Invalid interval: ${invalid}`);
+  }
+
+  if (input.cooldownMinutes !== undefined) {
+    const value = Number(input.cooldownMinutes);
+    if (!Number.isFinite(value) || value < 0) throw alertError('cooldownMinutes must be >= 0');
+    rule.cooldownMinutes = value;
+  }
+
+  if (input.webhookUrl !== undefined) rule.webhookUrl = normalizeWebhookUrl(input.webhookUrl);
+  if (input.channels !== undefined) {
+    rule.channels = toList(input.channels, v => v.toLowerCase());
+    const invalid = rule.channels.find(channel => !CHANNELS.includes(channel));
+    if (invalid) throw alertError(`Unknown channel: ${invalid} (use ${CHANNELS.join(', ')})`);
+    if (rule.channels.length === 0) throw alertError('A rule needs at least one channel');
+  }
+  if (rule.channels.includes('webhook') && !rule.webhookUrl) throw alertError('The webhook channel needs a webhookUrl');
+
+  return rule;
+}
+
+// Write every rule to the JSON backup
+function saveAlertsFile() {
+  try {
+    const dir = path.dirname(ALERTS_FILE);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(ALERTS_FILE, JSON.stringify({
+      alerts: Array.from(alerts.values()),
+      savedAt: Date.now()
+    }, null, 2));
+  } catch (err) {
+    console.warn('[ALERTS] Could not save custom alerts to file:', err.message);
+  }
+}
+
+// Persist one rule - to both MongoDB and file
+async function persistAlert(rule) {
+  if (mongo.isAvailable()) {
+    try {
+      await mongo.saveCustomAlert(rule);
+    } catch (err) {
+      console.warn('[ALERTS] MongoDB save failed:', err.message);
+    }
+  }
+  saveAlertsFile();
+}
+
+// Load rules - try MongoDB first, then file
+async function loadCustomAlerts() {
+  alerts.clear();
+  states.clear();
+
+  try {
+    if (mongo.isAvailable()) {
+      const docs = await mongo.loadCustomAlerts();
+      if (docs.length > 0) {
+        for (const { _id, ...rule } of docs) alerts.set(rule.id, rule);
+        loaded = true;
+        console.log(`[ALERTS] Loaded ${alerts.size} custom alerts from MongoDB`);
+        return;
+      }
+    }
+  } catch (err) {
+    console.warn('[ALERTS] MongoDB load failed:', err.message);
+  }
+
+  try {
+    if (fs.existsSync(ALERTS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf-8'));
+      for (const rule of data.alerts || []) {
+        if (rule?.id) alerts.set(rule.id, rule);
+      }
+      console.log(`[ALERTS] Loaded ${alerts.size} custom alerts from file`);
+
+      if (mongo.isAvailable() && alerts.size > 0) {
+        for (const rule of alerts.values()) await mongo.saveCustomAlert(rule);
+        console.log('[ALERTS] Synced file custom alerts to MongoDB');
+      }
+    }
+  } catch (err) {
+    console.warn('[ALERTS] Could not load custom alerts:', err.message);
+  }
+
+  loaded = true;
+}
+
+// Webhook URLs often carry a token in the path or query, so callers that can't
+// edit rules only see the host - as describeConfig does for secrets
+function withTriggers(rule, { revealWebhook = true } = {}) {
+  const { count = 0, lastTriggeredAt = null } = triggers.get(rule.id) || {};
+  const view = { ...rule, triggerCount: count, lastTriggeredAt };
+  if (rule.webhookUrl && !revealWebhook) {
+    view.webhookUrl = '(set)';
+    view.webhookHost = new URL(rule.webhookUrl).host;
+  }
+  return view;
+}
+
+/**
+ * @param {Object} [options] - { revealWebhook: false masks webhookUrl to '(set)' plus webhookHost }
+ */
+function listCustomAlerts(options) {
+  return Array.from(alerts.values()).map(rule => withTriggers(rule, options));
+}
+
+function getCustomAlert(id, options) {
+  const rule = alerts.get(id);
+  return rule ? withTriggers(rule, options) : null;
+}
+
+function requireAlert(id) {
+  const rule = alerts.get(id);
+  if (!rule) throw alertError(`Unknown custom alert: ${id}`, 404);
+  return rule;
+}
+
+// Forget edge state, so an edited rule starts from scratch
+function clearStates(id) {
+  for (const key of states.keys()) {
+    if (key.startsWith(`${id}|`)) states.delete(key);
+  }
+}
+
+/**
+ * Create a rule
+ * @param {Object} input - { name, when | condition, symbols, intervals, cooldownMinutes, channels, webhookUrl, enabled }
+ */
+async function createCustomAlert(input, { actor = null } = {}) {
+  if (alerts.size >= getConfig('CUSTOM_ALERTS_MAX')) {
+    throw alertError(`At most ${getConfig('CUSTOM_ALERTS_MAX')} custom alerts (CUSTOM_ALERTS_MAX)`);
+  }
+  const now = Date.now();
+  const rule = {
+    id: crypto.randomBytes(6).toString('hex'),
+    ...normalizeAlert(input || {}),
+    createdBy: actor,
+    createdAt: now,
+    updatedAt: now
+  };
+  if (rule.webhookUrl) await checkWebhookTarget(rule.webhookUrl);
+  alerts.set(rule.id, rule);
+  await persistAlert(rule);
+  console.log(`[ALERTS] Created "${rule.name}" (${rule.source}): ${rule.expression}${actor ? ` (by ${actor})` : ''}`);
+  return withTriggers(rule);
+}
+
+/**
+ * Update a rule - fields left out keep their value
+ */
+async function updateCustomAlert(id, input, { actor = null } = {}) {
+  const rule = {
+    ...normalizeAlert(input || {}, requireAlert(id)),
+    updatedBy: actor,
+    updatedAt: Date.now()
+  };
+  if (rule.webhookUrl) await checkWebhookTarget(rule.webhookUrl);
+  alerts.set(id, rule);
+  clearStates(id);
+  await persistAlert(rule);
+  return withTriggers(rule);
+}
+
+async function deleteCustomAlert(id) {
+  const rule = requireAlert(id);
+  alerts.delete(id);
+  triggers.delete(id);
+  clearStates(id);
+  if (mongo.isAvailable()) await mongo.deleteCustomAlert(id);
+  saveAlertsFile();
+  console.log(`[ALERTS] Deleted "${rule.name}"`);
+  return { deleted: id };
+}
+
+// === Evaluation ===
+
+function compare(leaf, current, previous) {
+  const a = current(leaf.field);
+  const b = leaf.value && typeof leaf.value === 'object' ? current(leaf.value.field) : leaf.value;
+  if (a === undefined || a === null) return false;
+
+  switch (leaf.op) {
+    case '<': return isNumber(a) && isNumber(b) && a < b;
+    case '<=': return isNumber(a) && isNumber(b) && a <= b;
+    case '>': return isNumber(a) && isNumber(b) && a > b;
+    case '>=': return isNumber(a) && isNumber(b) && a >= b;
+    case '==':
+    case '!=': {
+      if (b === undefined || b === null) return false;
+      const same = typeof a === 'string' || typeof b === 'string'
+        ? String(a).toLowerCase() === String(b).toLowerCase()
+        : a === b;
+      return leaf.op === '==' ? same : !same;
+    }
+    case 'includes': return Array.isArray(a) && a.some(v => String(v).toUpperCase() === b);
+    case 'withinPct': return isNumber(a) && isNumber(b) && b !== 0 && (Math.abs(a - b) / Math.abs(b)) * 100 <= leaf.pct;
+    case 'crossesAbove':
+    case 'crossesBelow': {
+      const prevA = previous(leaf.field);
+      const prevB = leaf.value && typeof leaf.value === 'object' ? previous(leaf.value.field) : leaf.value;
+      if (![a, b, prevA, prevB].every(isNumber)) return false;
+      return leaf.op === 'crossesAbove' ? prevA <= prevB && a > b : prevA >= prevB && a < b;
+    }
+    default: return false;
+  }
+}
+
+function evaluateCondition(node, current, previous) {
+  if (node.all) return node.all.every(child => evaluateCondition(child, current, previous));
+  if (node.any) return node.any.some(child => evaluateCondition(child, current, previous));
+  if (node.not) return !evaluateCondition(node.not, current, previous);
+  return compare(node, current, previous);
+}
+
+function inScope(rule, symbol, interval) {
+  if (!rule.enabled) return false;
+  if (rule.symbols.length > 0 && !rule.symbols.includes(symbol)) return false;
+  if (interval && rule.intervals.length > 0 && !rule.intervals.includes(interval)) return false;
+  return true;
+}
+
+function reader(ctx) {
+  const cache = new Map();
+  return (name) => {
+    if (!cache.has(name)) {
+      let value;
+      try {
+        value = getField(name)?.read(ctx);
+      } catch (err) {
+        value = undefined;
+      }
+      cache.set(name, value);
+    }
+    return cache.get(name);
+  };
+}
+
+/**
+ * Evaluate one rule for one symbol/interval and fire on a false -> true edge
+ */
+function evaluateRule(rule, ctx, current, now) {
+  const interval = rule.source === 'candles' ? ctx.interval : null;
+  const key = `${rule.id}|${ctx.symbol}|${interval || '*'}`;
+  const state = states.get(key) || { active: false, values: {}, lastFiredAt: 0 };
+  const matched = evaluateCondition(rule.condition, current, (name) => state.values[name]);
+  stats.evaluations++;
+
+  const rising = matched && !state.active;
+  state.active = matched;
+  state.values = Object.fromEntries(rule.fields.map(name => [name, current(name)]));
+  states.set(key, state);
+  if (!rising) return null;
+
+  if (state.lastFiredAt && now - state.lastFiredAt < rule.cooldownMinutes * 60 * 1000) {
+    stats.suppressed++;
+    return null;
+  }
+  state.lastFiredAt = now;
+  return fire(rule, ctx.symbol, interval, state.values, now);
+}
+
+function runRules(source, ctx, now = Date.now()) {
+  if (!getConfig('CUSTOM_ALERTS_ENABLED') || alerts.size === 0) return [];
+  const current = reader(ctx);
+  const fired = [];
+  for (const rule of alerts.values()) {
+    if (rule.source !== source || !inScope(rule, ctx.symbol, source === 'candles' ? ctx.interval : null)) continue;
+    const event = evaluateRule(rule, ctx, current, now);
+    if (event) fired.push(event);
+  }
+  return fired;
+}
+
+/**
+ * Candle rules for a tracked symbol/interval (from processCandles)
+ * @param {Object} data - { indicators, ai, candles }
+ * @returns {Array} alerts fired
+ */
+function evaluateCandleAlerts(symbol, interval, { indicators, ai = null, candles = [] } = {}) {
+  if (!indicators) return [];
+  return runRules('candles', { symbol, interval, indicators, ai, candles });
+}
+
+/**
+ * Funding rules for every symbol; also keeps the rates candle rules read `funding` from
+ * @param {Object} rates - symbol -> rate entry from fetchFundingRates
+ */
+function evaluateFundingAlerts(rates = {}) {
+  fundingRates = rates;
+  const fired = [];
+  for (const symbol of Object.keys(rates)) fired.push(...runRules('funding', { symbol }));
+  return fired;
+}
+
+/**
+ * Scanner rules for coin scanner results
+ * @param {Array} results - scanCoin results
+ */
+function evaluateScannerAlerts(results = []) {
+  const fired = [];
+  for (const scan of results) {
+    if (scan?.symbol) fired.push(...runRules('scanner', { symbol: scan.symbol, scan }));
+  }
+  return fired;
+}
+
+// === Delivery ===
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ') || 'none';
+  if (isNumber(value)) return Math.abs(value) >= 1 ? String(Number(value.toFixed(4))) : String(Number(value.toPrecision(4)));
+  return String(value);
+}
+
+function fire(rule, symbol, interval, values, now) {
+  const event = {
+    id: `${rule.id}-${now}`,
+    ruleId: rule.id,
+    name: rule.name,
+    symbol,
+    interval,
+    source: rule.source,
+    expression: rule.expression,
+    values,
+    triggeredAt: now
+  };
+
+  const counter = triggers.get(rule.id) || { count: 0, lastTriggeredAt: null };
+  counter.count++;
+  counter.lastTriggeredAt = now;
+  triggers.set(rule.id, counter);
+  history.unshift(event);
+  if (history.length > MAX_HISTORY) history.length = MAX_HISTORY;
+  stats.triggered++;
+  console.log(`[ALERTS] "${rule.name}" fired on ${symbol}${interval ? ` ${interval}` : ''}`);
+
+  deliver(rule, event);
+  return event;
+}
+
+function deliver(rule, event) {
+  if (rule.channels.includes('socket')) {
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.warn('[ALERTS] Listener error:', err.message);
+      }
+    }
+  }
+
+  if (rule.channels.includes('push')) {
+    const detail = rule.fields.slice(0, 3).map(name => `${name} ${formatValue(event.values[name])}`).join(' | ');
+    sendPushNotification(`Alert: ${rule.name}`, `${event.symbol}${event.interval ? ` ${event.interval}` : ''}: ${detail}`, {
+      category: 'alert',
+      symbol: event.symbol,
+      interval: event.interval,
+      signal: rule.id
+    }).catch(err => console.error('[ALERTS] Push failed:', err.message));
+  }
+
+  if (rule.channels.includes('webhook') && rule.webhookUrl) {
+    postWebhook(rule, event).catch((err) => {
+      stats.webhookErrors++;
+      console.warn(`[ALERTS] Webhook for "${rule.name}" failed:`, err.message);
+    });
+  }
+}
+
+// Re-checked on every delivery: the allowlist is hot and DNS can change.
+// Redirects are not followed, they could point anywhere.
+async function postWebhook(rule, event) {
+  await checkWebhookTarget(rule.webhookUrl);
+  await axios.post(rule.webhookUrl, event, {
+    timeout: getConfig('CUSTOM_ALERT_WEBHOOK_TIMEOUT_MS'),
+    maxRedirects: 0,
+    ...webhookAgents
+  });
+}
+
+/**
+ * Listen for fired alerts of rules with the socket channel
+ * @returns {Function} unsubscribe
+ */
+function onCustomAlert(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getAlertHistory({ ruleId = null, symbol = null, limit = 50 } = {}) {
+  return history
+    .filter(event => (!ruleId || event.ruleId === ruleId) && (!symbol || event.symbol === symbol))
+    .slice(0, limit);
+}
+
+function getCustomAlertStatus() {
+  const rules = Array.from(alerts.values());
+  const bySource = { candles: 0, funding: 0, scanner: 0 };
+  for (const rule of rules) if (rule.enabled) bySource[rule.source]++;
+  return {
+    enabled: getConfig('CUSTOM_ALERTS_ENABLED'),
+    loaded,
+    rules: rules.length,
+    active: rules.filter(rule => rule.enabled).length,
+    bySource,
+    maxRules: getConfig('CUSTOM_ALERTS_MAX'),
+    storage: mongo.isAvailable() ? 'mongodb' : 'file',
+    trackedStates: states.size,
+    stats: { ...stats }
+  };
+}
+
+module.exports = {
+  loadCustomAlerts,
+  listCustomAlerts,
+  getCustomAlert,
+  createCustomAlert,
+  updateCustomAlert,
+  deleteCustomAlert,
+  parseExpression,
+  describeCondition,
+  describeFields,
+  evaluateCandleAlerts,
+  evaluateFundingAlerts,
+  evaluateScannerAlerts,
+  onCustomAlert,
+  getAlertHistory,
+  getCustomAlertStatus
+};
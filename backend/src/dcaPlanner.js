@@ -1,4 +1,4 @@
-const { getSpotCandles, getCandles } = require('./binance');
+const { getExchange } = require('./exchanges');
 const { calculateIndicators } = require('./indicators');
 const { predictNextMove } = require('./ai');
 
@@ -262,14 +262,14 @@ async function buildDcaPlan({ symbols, interval, usdcBalance, latestCandles }) {
       try {
         // Alpha coins live on futures; spot coins on spot market
         candles = category === 'alpha'
-          ? await getCandles(sym, resolvedInterval)
-          : await getSpotCandles(sym, resolvedInterval);
+          ? await getExchange().getCandles(sym, resolvedInterval)
+          : await getExchange().getSpotCandles(sym, resolvedInterval);
       } catch (err) {
         // Fallback: try the other API
         try {
           candles = category === 'alpha'
-            ? await getSpotCandles(sym, resolvedInterval)
-            : await getCandles(sym, resolvedInterval);
+            ? await getExchange().getSpotCandles(sym, resolvedInterval)
+            : await getExchange().getCandles(sym, resolvedInterval);
         } catch {
           candles = null;
         }
@@ -0,0 +1,144 @@
+/**
+ * Decision Log - audit trail of every auto-trade entry decision
+ *
+ * Each signal that reaches executeTrade produces one record: the setup, the
+ * gates that ran (pass/fail/adjust with reason and score/threshold deltas),
+ * the final outcome and, if it traded, the order. Records are streamed to
+ * listeners (Socket.io 'decision') and kept for querying.
+ *
+ * Storage: MongoDB (primary) + JSON file (backup, last DECISION_LOG_MAX records)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongo = require('./mongoStorage');
+const { getConfig } = require('./config');
+
+const DECISIONS_FILE = path.join(getConfig('DATA_DIR'), 'trade_decisions.json');
+const DECISION_LOG_MAX = getConfig('DECISION_LOG_MAX');
+const SAVE_DELAY_MS = 5000;
+
+const decisions = []; // oldest first, capped at DECISION_LOG_MAX
+const listeners = new Set();
+
+let loaded = false;
+let saveTimer = null;
+
+function loadDecisions() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    if (fs.existsSync(DECISIONS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(DECISIONS_FILE, 'utf-8'));
+      decisions.push(...(data.decisions || []).slice(-DECISION_LOG_MAX));
+      console.log(`[DECISIONS] Loaded ${decisions.length} decisions from file`);
+    }
+  } catch (err) {
+    console.warn('[DECISIONS] Could not load decisions:', err.message);
+  }
+}
+
+// Decisions arrive in bursts (one per signal) - batch the file writes
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      const dir = path.dirname(DECISIONS_FILE);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(DECISIONS_FILE, JSON.stringify({ decisions, savedAt: Date.now() }));
+    } catch (err) {
+      console.warn('[DECISIONS] Could not save decisions:', err.message);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+/**
+ * Store a decision and notify listeners
+ * @param {Object} decision - built by executeTrade (account, symbol, interval, outcome, gates, ...)
+ * @returns {Object} the stored record (with id and timestamp)
+ */
+function recordDecision(decision) {
+  loadDecisions();
+
+  const record = {
+    id: `dec_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    timestamp: Date.now(),
+    ...decision
+  };
+
+  decisions.push(record);
+  if (decisions.length > DECISION_LOG_MAX) decisions.splice(0, decisions.length - DECISION_LOG_MAX);
+  scheduleSave();
+
+  mongo.recordTradeDecision(record).catch(() => {});
+
+  for (const listener of listeners) {
+    try {
+      listener(record);
+    } catch (err) {
+      console.warn('[DECISIONS] Listener error:', err.message);
+    }
+  }
+  return record;
+}
+
+/**
+ * Subscribe to new decisions
+ * @returns {Function} unsubscribe
+ */
+function onDecision(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Query decisions, newest first
+ * @param {Object} filters - { account, symbol, interval, outcome, gate, startDate, endDate (ms), limit, skip }
+ */
+async function getDecisions(filters = {}) {
+  const limit = Math.min(Math.max(Number(filters.limit) || 100, 1), 1000);
+  const skip = Math.max(Number(filters.skip) || 0, 0);
+  const query = { ...filters, limit, skip };
+
+  if (mongo.isAvailable()) {
+    return mongo.getTradeDecisions(query);
+  }
+
+  loadDecisions();
+  const matches = [];
+  for (let i = decisions.length - 1; i >= 0 && matches.length < skip + limit; i--) {
+    const d = decisions[i];
+    if (query.account && d.account !== query.account) continue;
+    if (query.symbol && d.symbol !== query.symbol) continue;
+    if (query.interval && d.interval !== query.interval) continue;
+    if (query.outcome && d.outcome !== query.outcome) continue;
+    if (query.gate && d.rejectedBy !== query.gate) continue;
+    if (query.startDate && d.timestamp < query.startDate) continue;
+    if (query.endDate && d.timestamp > query.endDate) continue;
+    matches.push(d);
+  }
+  return matches.slice(skip);
+}
+
+/**
+ * Decision counts by outcome and rejecting gate over the records kept in memory
+ */
+function getDecisionStats() {
+  loadDecisions();
+  const byOutcome = {};
+  const byGate = {};
+  for (const d of decisions) {
+    byOutcome[d.outcome] = (byOutcome[d.outcome] || 0) + 1;
+    if (d.rejectedBy) byGate[d.rejectedBy] = (byGate[d.rejectedBy] || 0) + 1;
+  }
+  return { total: decisions.length, byOutcome, byGate, storage: mongo.isAvailable() ? 'mongodb' : 'file' };
+}
+
+module.exports = {
+  recordDecision,
+  onDecision,
+  getDecisions,
+  getDecisionStats
+};
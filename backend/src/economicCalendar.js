@@ -12,8 +12,9 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 
-const CALENDAR_CACHE_FILE = path.join(__dirname, '../data/economic_calendar.json');
+const CALENDAR_CACHE_FILE = path.join(getConfig('DATA_DIR'), 'economic_calendar.json');
 
 // Pre-defined 2024-2025 high-impact events (updated periodically)
 // These are the scheduled dates - actual times vary
@@ -70,9 +71,11 @@ let eventImpactLearning = {
 
 /**
  * Check if there's a high-impact event today or within window
+ * @param {number} [hoursAhead]
+ * @param {number} [at] - evaluation time (default now; event dates are UTC days)
  */
-function checkUpcomingEvents(hoursAhead = 24) {
-  const now = new Date();
+function checkUpcomingEvents(hoursAhead = 24, at = Date.now()) {
+  const now = new Date(at);
   const cutoff = new Date(now.getTime() + hoursAhead * 60 * 60 * 1000);
   const today = now.toISOString().split('T')[0];
   const cutoffDate = cutoff.toISOString().split('T')[0];
@@ -99,9 +102,10 @@ function checkUpcomingEvents(hoursAhead = 24) {
 
 /**
  * Get trading adjustment based on economic events
+ * @param {number} [at] - evaluation time (default now)
  */
-function getEventTradingAdjustment() {
-  const events = checkUpcomingEvents(8); // 8 hours ahead
+function getEventTradingAdjustment(at = Date.now()) {
+  const events = checkUpcomingEvents(8, at); // 8 hours ahead
 
   let positionSizeMultiplier = 1.0;
   let confidenceBoost = 0;
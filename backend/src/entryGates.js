@@ -0,0 +1,212 @@
+/**
+ * Entry Gates - composable pipeline deciding whether a signal may open a trade
+ *
+ * A gate is { name, evaluate(ctx) } returning one of:
+ * - pass(reason)
+ * - fail(reason)                  -> pipeline stops, signal is rejected
+ * - adjust(reason, { scoreDelta, thresholdDelta, sizeMultiplier })
+ *
+ * Adjustments are applied to the shared context in order, so later gates see
+ * the adjusted confidence/threshold. Gates can also hand values to later
+ * stages through `data` (merged into ctx.data).
+ *
+ * The gates below only need the signal; trading.js adds the ones that depend
+ * on its own state (enabled flag, credentials, sentiment, position limits) and
+ * composes the live pipeline.
+ */
+
+const { checkFailurePatternRisk, extractEntryConditions, checkEntryQuality } = require('./aiLearning');
+const { getEventTradingAdjustment } = require('./economicCalendar');
+const { checkTradingAllowed } = require('./riskManager');
+
+const MIN_ATR_PERCENT = 0.15;
+const CAUTION_CONFIDENCE_BUMP = 0.10;
+const POOR_ENTRY_CONFIDENCE_BUMP = 0.15;
+const EXCELLENT_ENTRY_THRESHOLD_CUT = 0.05;
+const EXCELLENT_ENTRY_FLOOR = 0.45;
+
+const pct = value => `${(value * 100).toFixed(0)}%`;
+
+function pass(reason, extra = {}) {
+  return { status: 'pass', reason, ...extra };
+}
+
+function fail(reason, extra = {}) {
+  return { status: 'fail', reason, ...extra };
+}
+
+function adjust(reason, extra = {}) {
+  return { status: 'adjust', reason, ...extra };
+}
+
+/**
+ * Run gates in order against ctx (mutated: confidence, threshold, sizeMultiplier, data)
+ * @param {Array} gates - [{ name, evaluate(ctx) }]
+ * @param {Object} ctx - { signal, account, symbol, interval, direction, confidence, threshold, sizeMultiplier, data }
+ * @returns {Promise<Object>} { passed, rejectedBy, reason, gates: [{ gate, status, reason, ... }] }
+ */
+async function runEntryGates(gates, ctx) {
+  ctx.data = ctx.data || {};
+  ctx.sizeMultiplier = ctx.sizeMultiplier ?? 1;
+  const results = [];
+
+  for (const gate of gates) {
+    let outcome;
+    try {
+      outcome = await gate.evaluate(ctx);
+    } catch (err) {
+      // A broken gate must not wave trades through
+      outcome = fail(`Gate error: ${err.message}`);
+    }
+
+    const { status, reason, scoreDelta = 0, thresholdDelta = 0, sizeMultiplier = 1, data } = outcome;
+    if (data) Object.assign(ctx.data, data);
+    ctx.confidence += scoreDelta;
+    ctx.threshold += thresholdDelta;
+    ctx.sizeMultiplier *= sizeMultiplier;
+
+    const entry = { gate: gate.name, status, reason };
+    if (scoreDelta) entry.scoreDelta = scoreDelta;
+    if (thresholdDelta) entry.thresholdDelta = thresholdDelta;
+    if (sizeMultiplier !== 1) entry.sizeMultiplier = sizeMultiplier;
+    results.push(entry);
+
+    if (status === 'fail') {
+      return { passed: false, rejectedBy: gate.name, reason, gates: results };
+    }
+  }
+
+  return { passed: true, rejectedBy: null, reason: 'All gates passed', gates: results };
+}
+
+// Confidence vs the setup's gate (sniper/surge setups get a lower one - see entryThresholds)
+const confidenceGate = {
+  name: 'confidence',
+  evaluate(ctx) {
+    const label = ctx.setup !== 'standard' ? ` (${ctx.setup})` : '';
+    if (ctx.confidence < ctx.threshold) {
+      return fail(`Confidence ${pct(ctx.confidence)} below ${pct(ctx.threshold)} threshold${label}`);
+    }
+    return pass(`Confidence ${pct(ctx.confidence)} >= ${pct(ctx.threshold)}${label}`);
+  }
+};
+
+const tradeSetupGate = {
+  name: 'trade-setup',
+  evaluate(ctx) {
+    const trade = ctx.signal.ai?.trade;
+    if (!trade || !trade.entry || !trade.stopLoss || !trade.takeProfit?.[0]) {
+      return fail('No valid trade setup');
+    }
+    return pass(`${trade.type} entry ${trade.entry}, SL ${trade.stopLoss}, TP ${trade.takeProfit[0]}`);
+  }
+};
+
+// Dead markets and doji candles make for coin-flip entries
+const volatilityGate = {
+  name: 'volatility',
+  evaluate(ctx) {
+    const { atr, currentPrice, patterns } = ctx.indicators || {};
+    if (!atr || !currentPrice) return pass('No ATR data');
+
+    const atrPercent = (atr / currentPrice) * 100;
+    // Note: 1m/5m/15m candles typically have 0.1-0.5% ATR; 0.8% was blocking most short-TF trades
+    if (atrPercent < MIN_ATR_PERCENT) {
+      return fail(`Volatility too low (ATR ${atrPercent.toFixed(2)}%) - skipping`);
+    }
+    if (patterns?.includes('DOJI')) {
+      return fail('Doji candle detected - waiting for confirmation');
+    }
+    return pass(`ATR ${atrPercent.toFixed(2)}%`);
+  }
+};
+
+// Entries that match known failure patterns from past trades
+const failurePatternGate = {
+  name: 'failure-patterns',
+  evaluate(ctx) {
+    const risk = checkFailurePatternRisk(ctx.symbol, ctx.direction, ctx.indicators);
+    const reasons = risk.risks.map(r => r.reason).join(', ');
+    const data = { failurePatterns: risk.risks.map(r => r.pattern) };
+
+    if (risk.recommendation === 'AVOID') {
+      return fail(`Blocked by learning: ${reasons}`, { data });
+    }
+    if (risk.recommendation === 'CAUTION' && risk.highRisk) {
+      const cautionThreshold = ctx.threshold + CAUTION_CONFIDENCE_BUMP;
+      if (ctx.confidence < cautionThreshold) {
+        return fail(`High-risk pattern (${reasons}) requires ${pct(cautionThreshold)} confidence, got ${pct(ctx.confidence)}`, { data });
+      }
+      return pass(`High-risk pattern (${reasons}) cleared at ${pct(ctx.confidence)}`, { data });
+    }
+    return pass(risk.risks.length ? `Minor pattern risk: ${reasons}` : 'No failure patterns matched', { data });
+  }
+};
+
+// Learned performance of the current entry conditions
+const entryQualityGate = {
+  name: 'entry-quality',
+  evaluate(ctx) {
+    const quality = checkEntryQuality(ctx.indicators, ctx.direction);
+    const data = {
+      entryConditions: extractEntryConditions(ctx.indicators),
+      entryQuality: quality.quality,
+      expectedWinRate: quality.expectedWinRate
+    };
+
+    if (quality.quality === 'AVOID') {
+      return fail(`Entry blocked by learning: ${quality.reason}`, { data });
+    }
+    if (quality.quality === 'POOR') {
+      const poorThreshold = ctx.threshold + POOR_ENTRY_CONFIDENCE_BUMP;
+      if (ctx.confidence < poorThreshold) {
+        return fail(`Poor entry (${quality.reason}) requires ${pct(poorThreshold)} confidence`, { data });
+      }
+    }
+    if (quality.quality === 'EXCELLENT') {
+      const lowered = Math.max(EXCELLENT_ENTRY_FLOOR, ctx.threshold - EXCELLENT_ENTRY_THRESHOLD_CUT);
+      return adjust(`Excellent entry (${quality.reason}) - threshold lowered to ${pct(lowered)}`, {
+        thresholdDelta: lowered - ctx.threshold,
+        data
+      });
+    }
+    return pass(`Entry quality ${quality.quality}${quality.reason ? `: ${quality.reason}` : ''}`, { data });
+  }
+};
+
+// High-impact macro events (FOMC, CPI, NFP) shrink the position instead of blocking
+const calendarGate = {
+  name: 'calendar',
+  evaluate(ctx) {
+    const calendar = getEventTradingAdjustment(ctx.signal?.indicators?.evaluatedAt);
+    if (calendar.positionSizeMultiplier < 1) {
+      return adjust(`Position size x${calendar.positionSizeMultiplier} (${calendar.warnings.join(', ')})`, {
+        sizeMultiplier: calendar.positionSizeMultiplier
+      });
+    }
+    return pass(calendar.warnings.length ? calendar.warnings.join(', ') : 'No high-impact events');
+  }
+};
+
+// Daily/weekly loss limits, drawdown pause, cooldowns from the account's risk book
+const riskLimitsGate = {
+  name: 'risk-limits',
+  evaluate(ctx) {
+    const allowed = checkTradingAllowed(ctx.account?.risk);
+    return allowed.allowed ? pass('Within risk limits') : fail(allowed.reason);
+  }
+};
+
+module.exports = {
+  runEntryGates,
+  pass,
+  fail,
+  adjust,
+  confidenceGate,
+  tradeSetupGate,
+  volatilityGate,
+  failurePatternGate,
+  entryQualityGate,
+  calendarGate,
+  riskLimitsGate
+};
@@ -0,0 +1,54 @@
+/**
+ * Entry Confidence Thresholds
+ * The confidence gate auto-trading applies before executing an AI signal.
+ * Sniper and volume-surge setups get a lower gate (offset from MIN_CONFIDENCE,
+ * never below a floor) so early entries aren't filtered out.
+ *
+ * Shared by the live entry gates (trading.js) and the ai-default backtest
+ * strategy, so the offsets can be tuned with the optimizer and applied via
+ * env or PATCH /api/config.
+ */
+
+const { getConfig } = require('./config');
+
+// Getters so runtime config changes apply to the next entry
+const DEFAULT_ENTRY_GATES = {
+  get minConfidence() { return getConfig('MIN_CONFIDENCE') / 100; },
+  get sniperOffset() { return getConfig('SNIPER_CONFIDENCE_OFFSET') / 100; },
+  get surgeOffset() { return getConfig('SURGE_CONFIDENCE_OFFSET') / 100; },
+  get explosiveOffset() { return getConfig('EXPLOSIVE_SURGE_CONFIDENCE_OFFSET') / 100; }
+};
+
+const SNIPER_FLOOR = 0.50;
+const SURGE_FLOOR = 0.50;
+const EXPLOSIVE_FLOOR = 0.45;
+
+/**
+ * Which setup type an analysis is (drives the gate offset)
+ */
+function getSetupFlags(ai, signalName, indicators) {
+  return {
+    isSniper: Boolean(ai?.trade?.isSniper || signalName?.includes('SNIPER') || ai?.sniperAnalysis?.isSniper),
+    isVolumeSurge: Boolean(ai?.sniperAnalysis?.isVolumeSurge || ai?.sniperAnalysis?.volumeSurge?.detected || indicators?.volumeSurge?.detected),
+    isExplosiveSurge: Boolean(ai?.sniperAnalysis?.volumeSurge?.isExplosive || indicators?.volumeSurge?.isExplosive)
+  };
+}
+
+/**
+ * Minimum confidence required to enter
+ * @param {Object} flags - { isSniper, isVolumeSurge, isExplosiveSurge }
+ * @param {Object} gates - { minConfidence, sniperOffset, surgeOffset, explosiveOffset } (0-1)
+ */
+function getEntryThreshold(flags, gates = DEFAULT_ENTRY_GATES) {
+  const g = { ...DEFAULT_ENTRY_GATES, ...gates };
+  if (flags.isExplosiveSurge) return Math.max(EXPLOSIVE_FLOOR, g.minConfidence - g.explosiveOffset);
+  if (flags.isVolumeSurge) return Math.max(SURGE_FLOOR, g.minConfidence - g.surgeOffset);
+  if (flags.isSniper) return Math.max(SNIPER_FLOOR, g.minConfidence - g.sniperOffset);
+  return g.minConfidence;
+}
+
+module.exports = {
+  getSetupFlags,
+  getEntryThreshold,
+  DEFAULT_ENTRY_GATES
+};
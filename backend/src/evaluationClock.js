@@ -0,0 +1,74 @@
+/**
+ * Evaluation Clock - the moment an analysis is "as of"
+ *
+ * Time-dependent analysis (sniper killzones, the midweek reversal window,
+ * halving cycle and seasonality, the economic calendar) must read the time of
+ * the candles it is scoring, not the wall clock, or every historical candle in
+ * a backtest is scored as if it were now. calculateIndicators stamps
+ * indicators.evaluatedAt with getEvaluationTime(candles) and everything
+ * downstream reads that:
+ * - a closed last candle evaluates at its close
+ * - a forming last candle (live) evaluates at now
+ * so a live signal and the same candles replayed later score identically.
+ *
+ * Calendar fields (weekday, hour, month) are read in USER_TIMEZONE.
+ */
+
+const { getConfig } = require('./config');
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+/**
+ * Evaluation timestamp for a candle series
+ * @param {Array} candles - oldest first
+ * @param {number} [now] - wall clock (only used while the last candle is still forming)
+ */
+function getEvaluationTime(candles, now = Date.now()) {
+  const last = candles?.at(-1);
+  const end = last?.closeTime ?? last?.openTime;
+  return Number.isFinite(end) ? Math.min(end, now) : now;
+}
+
+function getUserTimeZone() {
+  return getConfig('USER_TIMEZONE');
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Calendar fields of a timestamp in a timezone
+ * @returns {Object} { year, month (1-12), day, weekdayIndex (0 = Sunday), hour, minute }
+ */
+function getZonedParts(timestamp, timeZone = getUserTimeZone()) {
+  const parts = {};
+  for (const part of formatterFor(timeZone).formatToParts(new Date(timestamp))) parts[part.type] = part.value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekdayIndex: WEEKDAYS[parts.weekday] ?? -1,
+    hour: Number(parts.hour) % 24, // some engines print midnight as 24
+    minute: Number(parts.minute)
+  };
+}
+
+module.exports = {
+  getEvaluationTime,
+  getUserTimeZone,
+  getZonedParts
+};
@@ -0,0 +1,279 @@
+/**
+ * Binance adapter - USDⓈ-M futures for trading, spot for the DCA engine.
+ *
+ * Market data delegates to ../binance (public endpoints, proxy fallback);
+ * account and order calls are HMAC-signed here. Everything returned is mapped
+ * to the adapter shapes in ./index.js so no Binance field names leak out.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const binance = require('../binance');
+const { getConfig } = require('../config');
+
+const FUTURES_API_BASE = getConfig('BINANCE_API_URL');
+const SPOT_API_BASE = getConfig('BINANCE_SPOT_API_URL');
+const EXCHANGE_INFO_TTL_MS = 6 * 60 * 60 * 1000;
+
+const PATHS = {
+  futures: {
+    exchangeInfo: '/fapi/v1/exchangeInfo',
+    ticker: '/fapi/v1/ticker/price',
+    order: '/fapi/v1/order',
+    openOrders: '/fapi/v1/openOrders',
+    allOpenOrders: '/fapi/v1/allOpenOrders',
+    balance: '/fapi/v2/balance',
+    positions: '/fapi/v2/positionRisk',
+    leverage: '/fapi/v1/leverage'
+  },
+  spot: {
+    exchangeInfo: '/api/v3/exchangeInfo',
+    ticker: '/api/v3/ticker/price',
+    order: '/api/v3/order',
+    openOrders: '/api/v3/openOrders',
+    allOpenOrders: '/api/v3/openOrders',
+    account: '/api/v3/account'
+  }
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - defaults to BINANCE_API_KEY
+ * @param {string} [options.apiSecret] - defaults to BINANCE_API_SECRET
+ * @param {string} [options.futuresBaseUrl] - defaults to BINANCE_API_URL
+ * @param {string} [options.spotBaseUrl] - defaults to BINANCE_SPOT_API_URL
+ */
+function createBinanceExchange(options = {}) {
+  const apiKey = options.apiKey ?? getConfig('BINANCE_API_KEY');
+  const apiSecret = options.apiSecret ?? getConfig('BINANCE_API_SECRET');
+  const baseUrls = {
+    futures: options.futuresBaseUrl || FUTURES_API_BASE,
+    spot: options.spotBaseUrl || SPOT_API_BASE
+  };
+  const exchangeInfoCache = { futures: null, spot: null };
+
+  function hasCredentials() {
+    return Boolean(apiKey && apiSecret);
+  }
+
+  function sign(queryString) {
+    return crypto.createHmac('sha256', apiSecret).update(queryString).digest('hex');
+  }
+
+  function client(market) {
+    return axios.create({
+      baseURL: baseUrls[market],
+      timeout: 12000,
+      headers: {
+        'X-MBX-APIKEY': apiKey,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+  }
+
+  /**
+   * Signed request. Binance errors are rethrown with their msg/code so callers
+   * don't need to dig through axios responses.
+   */
+  async function signedRequest(market, method, path, params = {}) {
+    if (!hasCredentials()) {
+      throw new Error('Binance API keys are not configured');
+    }
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) query.set(key, String(value));
+    }
+    query.set('timestamp', String(Date.now()));
+    const qs = query.toString();
+
+    try {
+      const res = await client(market).request({ method, url: `${path}?${qs}&signature=${sign(qs)}` });
+      return res.data;
+    } catch (err) {
+      const data = err.response?.data;
+      const error = new Error(data?.msg ? `Binance: ${data.msg}` : err.message);
+      error.status = err.response?.status;
+      error.exchangeCode = data?.code;
+      throw error;
+    }
+  }
+
+  async function getExchangeInfo(market) {
+    const cached = exchangeInfoCache[market];
+    if (cached && Date.now() - cached.fetchedAt < EXCHANGE_INFO_TTL_MS) return cached.data;
+
+    const res = await axios.get(`${baseUrls[market]}${PATHS[market].exchangeInfo}`, { timeout: 12000 });
+    exchangeInfoCache[market] = { data: res.data, fetchedAt: Date.now() };
+    return res.data;
+  }
+
+  // Plain decimal strings - String(1e-7) would send exponent notation
+  function formatNumber(value) {
+    if (value === undefined || value === null) return undefined;
+    return Number(value).toFixed(8).replace(/\.?0+$/, '');
+  }
+
+  function mapOrder(order, market) {
+    const executedQty = Number(order.executedQty || 0);
+    let avgPrice = Number(order.avgPrice || 0);
+    if (!avgPrice && market === 'spot' && executedQty > 0) {
+      avgPrice = Number(order.cummulativeQuoteQty || 0) / executedQty;
+    }
+    return {
+      orderId: String(order.orderId),
+      clientOrderId: order.clientOrderId || null,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      status: order.status,
+      quantity: Number(order.origQty || 0),
+      executedQty,
+      avgPrice: avgPrice || null,
+      price: Number(order.price || 0) || null,
+      stopPrice: Number(order.stopPrice || 0) || null,
+      activationPrice: Number(order.activatePrice || 0) || null,
+      callbackRate: Number(order.priceRate || 0) || null,
+      reduceOnly: Boolean(order.reduceOnly),
+      closePosition: Boolean(order.closePosition),
+      time: order.updateTime || order.transactTime || order.time || Date.now()
+    };
+  }
+
+  return {
+    name: 'binance',
+    hasCredentials,
+
+    // Market data
+    getCandles: binance.getCandles,
+    getSpotCandles: binance.getSpotCandles,
+    getCandlesPage: binance.getCandlesPage,
+    listSymbols: binance.getFuturesSymbols,
+    getMarkets: binance.getUsdtPerpetualMarkets,
+    getTopMovers: binance.getTopMovers,
+    getTopGainers: binance.getTopGainers,
+    getVolumeSurgers: binance.getVolumeSurgers,
+    getOrderBook: binance.getOrderBook,
+    getAggTrades: binance.getAggTrades,
+
+    async getTicker(symbol, { market = 'futures' } = {}) {
+      const res = await axios.get(`${baseUrls[market]}${PATHS[market].ticker}`, { params: { symbol }, timeout: 12000 });
+      return { symbol, price: Number(res.data?.price || 0) };
+    },
+
+    async getSymbolFilters(symbol, { market = 'futures' } = {}) {
+      const info = await getExchangeInfo(market);
+      const s = info.symbols.find(item => item.symbol === symbol);
+      if (!s) return null;
+
+      const lotSize = s.filters.find(f => f.filterType === 'LOT_SIZE');
+      const priceFilter = s.filters.find(f => f.filterType === 'PRICE_FILTER');
+      const notional = s.filters.find(f => f.filterType === 'MIN_NOTIONAL' || f.filterType === 'NOTIONAL');
+      const stepSize = Number(lotSize?.stepSize || 0.001);
+      const tickSize = Number(priceFilter?.tickSize || 0.01);
+
+      return {
+        symbol,
+        baseAsset: s.baseAsset,
+        quoteAsset: s.quoteAsset,
+        status: s.status,
+        minQty: Number(lotSize?.minQty || 0.001),
+        stepSize,
+        tickSize,
+        minNotional: Number(notional?.notional ?? notional?.minNotional ?? 0),
+        // Spot exchangeInfo has no precision fields - derive them from the steps
+        pricePrecision: s.pricePrecision ?? Math.max(0, Math.round(-Math.log10(tickSize))),
+        quantityPrecision: s.quantityPrecision ?? Math.max(0, Math.round(-Math.log10(stepSize)))
+      };
+    },
+
+    // Account
+    async getBalances({ market = 'futures' } = {}) {
+      if (market === 'spot') {
+        const account = await signedRequest('spot', 'GET', PATHS.spot.account);
+        return (account.balances || []).map(b => ({
+          asset: b.asset,
+          free: Number(b.free || 0),
+          locked: Number(b.locked || 0),
+          total: Number(b.free || 0) + Number(b.locked || 0)
+        }));
+      }
+      const balances = await signedRequest('futures', 'GET', PATHS.futures.balance);
+      return balances.map(b => ({
+        asset: b.asset,
+        free: Number(b.availableBalance || 0),
+        locked: Math.max(0, Number(b.balance || 0) - Number(b.availableBalance || 0)),
+        total: Number(b.balance || 0)
+      }));
+    },
+
+    async getPositions() {
+      const positions = await signedRequest('futures', 'GET', PATHS.futures.positions);
+      return positions
+        .filter(p => Number(p.positionAmt) !== 0)
+        .map(p => {
+          const amount = Number(p.positionAmt);
+          return {
+            symbol: p.symbol,
+            side: amount > 0 ? 'LONG' : 'SHORT',
+            quantity: Math.abs(amount),
+            entryPrice: Number(p.entryPrice),
+            markPrice: Number(p.markPrice),
+            liquidationPrice: Number(p.liquidationPrice) || null,
+            unrealizedPnl: Number(p.unRealizedProfit),
+            leverage: Number(p.leverage) || null,
+            marginType: p.marginType || null
+          };
+        });
+    },
+
+    async setLeverage(symbol, leverage) {
+      await signedRequest('futures', 'POST', PATHS.futures.leverage, { symbol, leverage });
+      return true;
+    },
+
+    // Orders
+    async placeOrder({ market = 'futures', symbol, side, type = 'MARKET', quantity, quoteQuantity, price, stopPrice, activationPrice, callbackRate, closePosition, reduceOnly, timeInForce, clientOrderId }) {
+      const params = {
+        symbol,
+        side,
+        type,
+        quantity: formatNumber(quantity),
+        quoteOrderQty: quoteQuantity !== undefined ? Number(quoteQuantity).toFixed(2) : undefined,
+        price: formatNumber(price),
+        stopPrice: formatNumber(stopPrice),
+        activationPrice: formatNumber(activationPrice),
+        callbackRate: formatNumber(callbackRate),
+        timeInForce: timeInForce || (type === 'LIMIT' ? 'GTC' : undefined),
+        newClientOrderId: clientOrderId
+      };
+      if (market === 'futures') {
+        if (closePosition) params.closePosition = 'true';
+        else if (reduceOnly) params.reduceOnly = 'true';
+      }
+      const order = await signedRequest(market, 'POST', PATHS[market].order, params);
+      return mapOrder(order, market);
+    },
+
+    async getOrder(symbol, orderId, { market = 'futures' } = {}) {
+      const order = await signedRequest(market, 'GET', PATHS[market].order, { symbol, orderId });
+      return mapOrder(order, market);
+    },
+
+    async getOpenOrders(symbol, { market = 'futures' } = {}) {
+      const orders = await signedRequest(market, 'GET', PATHS[market].openOrders, { symbol });
+      return orders.map(o => mapOrder(o, market));
+    },
+
+    async cancelOrder(symbol, orderId, { market = 'futures' } = {}) {
+      const order = await signedRequest(market, 'DELETE', PATHS[market].order, { symbol, orderId });
+      return mapOrder(order, market);
+    },
+
+    async cancelAllOrders(symbol, { market = 'futures' } = {}) {
+      await signedRequest(market, 'DELETE', PATHS[market].allOpenOrders, { symbol });
+      return true;
+    }
+  };
+}
+
+module.exports = { createBinanceExchange };
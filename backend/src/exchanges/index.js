@@ -0,0 +1,105 @@
+/**
+ * Exchange Adapter Registry
+ *
+ * Everything outside this folder talks to the exchange through an adapter, so
+ * indicators, AI, risk and trading code never see exchange-specific fields.
+ * An adapter is a plain object exposing:
+ *
+ * - name, hasCredentials({ market })
+ * - Market data
+ *   - getCandles(symbol, interval, limit) / getSpotCandles(...): [{ openTime, open, high, low, close, volume, closeTime }]
+ *   - getCandlesPage(symbol, interval, { startTime, endTime, limit }): same shape, for paging history
+ *   - listSymbols(): tradable perpetual symbols
+ *   - getMarkets(): [{ symbol, base, quote, status, pair, deliveryDate }]
+ *   - getTicker(symbol, { market }): { symbol, price }
+ *   - getTopMovers(limit) / getTopGainers(minChange, limit) / getVolumeSurgers(limit): 24h tickers
+ *   - getSymbolFilters(symbol, { market }): { symbol, baseAsset, quoteAsset, status, minQty,
+ *     stepSize, tickSize, minNotional, pricePrecision, quantityPrecision } or null
+ *   - getOrderBook(symbol, limit): { symbol, lastUpdateId, bids: [[price, quantity]], asks, time },
+ *     best levels first
+ *   - getAggTrades(symbol, { limit, fromId, startTime, endTime }): [{ id, price, quantity, time,
+ *     isBuyerMaker }], oldest first
+ * - Account
+ *   - getBalances({ market }): [{ asset, free, locked, total }]
+ *   - getPositions(): [{ symbol, side: 'LONG'|'SHORT', quantity, entryPrice, markPrice,
+ *     liquidationPrice, unrealizedPnl, leverage, marginType }]
+ *   - setLeverage(symbol, leverage)
+ * - Orders ({ market } is 'futures' (default) or 'spot')
+ *   - placeOrder({ market, symbol, side: 'BUY'|'SELL',
+ *     type: 'MARKET'|'LIMIT'|'STOP_MARKET'|'TAKE_PROFIT_MARKET'|'TRAILING_STOP_MARKET',
+ *     quantity?, quoteQuantity?, price?, stopPrice?, activationPrice?, callbackRate? (%),
+ *     closePosition?, reduceOnly?, clientOrderId? })
+ *     returns { orderId, clientOrderId, symbol, side, type, status, quantity, executedQty,
+ *     avgPrice, price, stopPrice, activationPrice, callbackRate, reduceOnly, closePosition, time }
+ *   - getOrder(symbol, orderId, { market }): same shape, for open or finished orders
+ *   - getOpenOrders(symbol, { market }), cancelOrder(symbol, orderId, { market }),
+ *     cancelAllOrders(symbol, { market })
+ *
+ * The active adapter comes from EXCHANGE (binance by default). Accounts in
+ * shadow mode wrap it in the shadow adapter (live data, paper futures orders).
+ */
+
+const { getConfig } = require('../config');
+
+const EXCHANGE = getConfig('EXCHANGE').toLowerCase();
+
+const factories = new Map();
+let activeExchange = null;
+
+/**
+ * Register an adapter factory: (options) => adapter
+ */
+function registerExchange(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('Exchange needs a name and a factory function');
+  }
+  factories.set(name, factory);
+}
+
+function createExchange(name, options = {}) {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown exchange: ${name} (use ${listExchanges().join(', ')})`);
+  }
+  return factory(options);
+}
+
+function listExchanges() {
+  return Array.from(factories.keys());
+}
+
+/**
+ * The adapter the app trades on, created from EXCHANGE on first use
+ */
+function getExchange() {
+  if (!activeExchange) {
+    activeExchange = createExchange(EXCHANGE);
+    console.log(`[EXCHANGE] Using ${activeExchange.name} adapter`);
+  }
+  return activeExchange;
+}
+
+/**
+ * Swap the active adapter (by name or an adapter object) - used by tests and
+ * offline runs to point the whole app at the mock exchange
+ */
+function setExchange(nameOrAdapter, options = {}) {
+  activeExchange = typeof nameOrAdapter === 'string'
+    ? createExchange(nameOrAdapter, options)
+    : nameOrAdapter;
+  return activeExchange;
+}
+
+// Factories require lazily so adapters can depend on modules that use getExchange()
+registerExchange('binance', options => require('./binance').createBinanceExchange(options));
+registerExchange('mock', options => require('./mock').createMockExchange(options));
+registerExchange('shadow', options => require('./shadow').createShadowExchange(options));
+
+module.exports = {
+  registerExchange,
+  createExchange,
+  listExchanges,
+  getExchange,
+  setExchange,
+  EXCHANGE
+};
@@ -0,0 +1,594 @@
+/**
+ * Mock exchange adapter - in-memory balances, positions and orders for tests
+ * and offline runs (EXCHANGE=mock).
+ *
+ * Prices only move when told to: setPrice() marks the symbol and triggers any
+ * resting stop / take-profit / trailing-stop / limit orders it crosses. Market orders fill at
+ * the current price. Futures use one-way (netted) positions with isolated
+ * margin; spot orders move base/quote balances.
+ *
+ * Candles are whatever was loaded with setCandles(), otherwise a seeded random
+ * walk ending at the current price. Order books likewise come from
+ * setOrderBook() or a seeded ladder around the price; aggregated trades only
+ * exist once loaded with setAggTrades().
+ */
+
+const { getLiquidationPrice } = require('../executionModel');
+
+const QUOTE_ASSETS = ['USDT', 'USDC', 'FDUSD', 'BUSD', 'BTC', 'ETH', 'BNB'];
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '3m': 3 * 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '2h': 2 * 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_PRICES = {
+  BTCUSDT: 60000,
+  ETHUSDT: 3000,
+  SOLUSDT: 150,
+  BNBUSDT: 550,
+  XRPUSDT: 0.6
+};
+
+function splitSymbol(symbol) {
+  const quote = QUOTE_ASSETS.find(q => symbol.endsWith(q) && symbol.length > q.length) || 'USDT';
+  return { baseAsset: symbol.slice(0, -quote.length), quoteAsset: quote };
+}
+
+// Deterministic per-symbol PRNG so generated candles are stable between calls
+function seededRandom(seedText) {
+  let seed = 0;
+  for (const ch of seedText) seed = (seed * 31 + ch.charCodeAt(0)) >>> 0;
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 4294967296;
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.prices] - { SYMBOL: price }
+ * @param {Object} [options.balances] - { futures: { USDT: 10000 }, spot: { USDC: 1000 } }
+ * @param {number} [options.feeRate] - taker fee on notional (default 0.0004)
+ * @param {number} [options.makerFeeRate] - fee for resting LIMIT fills (default feeRate)
+ * @param {number} [options.slippage] - adverse fraction on market/stop fills (default 0)
+ * @param {boolean} [options.credentials] - report API keys as configured (default true)
+ */
+function createMockExchange(options = {}) {
+  const feeRate = options.feeRate ?? 0.0004;
+  const makerFeeRate = options.makerFeeRate ?? feeRate;
+  const slippage = options.slippage ?? 0;
+  const credentials = options.credentials !== false;
+
+  const state = {
+    prices: new Map(),
+    tickers: new Map(),
+    candles: new Map(),
+    books: new Map(),
+    aggTrades: new Map(),
+    balances: { futures: new Map(), spot: new Map() },
+    positions: new Map(),
+    leverage: new Map(),
+    orders: new Map(),
+    history: new Map(), // finished orders, for getOrder()
+    fills: [],
+    nextOrderId: 1
+  };
+
+  function reset() {
+    state.prices = new Map(Object.entries(options.prices || DEFAULT_PRICES));
+    state.tickers.clear();
+    state.candles.clear();
+    state.books.clear();
+    state.aggTrades.clear();
+    state.positions.clear();
+    state.leverage.clear();
+    state.orders.clear();
+    state.history.clear();
+    state.fills = [];
+    state.nextOrderId = 1;
+    const balances = options.balances || { futures: { USDT: 10000 }, spot: { USDC: 1000 } };
+    for (const market of ['futures', 'spot']) {
+      state.balances[market] = new Map(
+        Object.entries(balances[market] || {}).map(([asset, amount]) => [asset, { free: amount, locked: 0 }])
+      );
+    }
+  }
+
+  function priceOf(symbol) {
+    const price = state.prices.get(symbol);
+    if (!price) throw new Error(`Mock exchange: no price for ${symbol}`);
+    return price;
+  }
+
+  function balance(market, asset) {
+    if (!state.balances[market].has(asset)) state.balances[market].set(asset, { free: 0, locked: 0 });
+    return state.balances[market].get(asset);
+  }
+
+  function generateCandles(symbol, interval, limit, endTime = Date.now()) {
+    const step = INTERVAL_MS[interval] || INTERVAL_MS['1m'];
+    const rand = seededRandom(`${symbol}:${interval}`);
+    const last = Math.floor(endTime / step) * step;
+    const closes = [priceOf(symbol)];
+    for (let i = 1; i < limit; i++) {
+      closes.unshift(closes[0] * (1 + (rand() - 0.5) * 0.01));
+    }
+    return closes.map((close, i) => {
+      const open = i > 0 ? closes[i - 1] : close;
+      const openTime = last - (limit - 1 - i) * step;
+      return {
+        openTime,
+        open,
+        high: Math.max(open, close) * (1 + rand() * 0.003),
+        low: Math.min(open, close) * (1 - rand() * 0.003),
+        close,
+        volume: 1000 + rand() * 1000,
+        closeTime: openTime + step - 1
+      };
+    });
+  }
+
+  // Evenly spaced levels 0.01% apart with seeded sizes, best first
+  function generateOrderBook(symbol, limit) {
+    const price = priceOf(symbol);
+    const rand = seededRandom(`${symbol}:book`);
+    const tick = price * 0.0001;
+    const side = sign => Array.from({ length: limit }, (_, i) => [price + sign * tick * (i + 1), 1 + rand() * 9]);
+    return { bids: side(-1), asks: side(1) };
+  }
+
+  function candlesFor(market, symbol, interval, limit) {
+    const seeded = state.candles.get(`${market}:${symbol}:${interval}`);
+    if (seeded) return seeded.slice(-limit);
+    return generateCandles(symbol, interval, limit);
+  }
+
+  function buildTicker(symbol) {
+    const price = priceOf(symbol);
+    return {
+      symbol,
+      priceChangePercent: 0,
+      lastPrice: price,
+      volume: 0,
+      highPrice: price,
+      lowPrice: price,
+      weightedAvgPrice: price,
+      count: 0,
+      ...state.tickers.get(symbol)
+    };
+  }
+
+  function topMovers(limit) {
+    return Array.from(state.prices.keys())
+      .map(buildTicker)
+      .sort((a, b) => Math.abs(b.priceChangePercent) - Math.abs(a.priceChangePercent))
+      .slice(0, limit);
+  }
+
+  function mapPosition(symbol, position) {
+    const markPrice = priceOf(symbol);
+    const direction = position.side === 'LONG' ? 1 : -1;
+    return {
+      symbol,
+      side: position.side,
+      quantity: position.quantity,
+      entryPrice: position.entryPrice,
+      markPrice,
+      liquidationPrice: getLiquidationPrice(position.side === 'LONG' ? 'long' : 'short', position.entryPrice, position.leverage, 0.005),
+      unrealizedPnl: (markPrice - position.entryPrice) * position.quantity * direction,
+      leverage: position.leverage,
+      marginType: 'ISOLATED'
+    };
+  }
+
+  function marginInUse() {
+    let margin = 0;
+    for (const p of state.positions.values()) margin += (p.entryPrice * p.quantity) / p.leverage;
+    return margin;
+  }
+
+  /**
+   * Fill a futures order at price: nets against the open position, realizes P&L and fees
+   */
+  function fillFutures(order, price, fee) {
+    const { symbol, side } = order;
+    const wallet = balance('futures', 'USDT');
+    const existing = state.positions.get(symbol);
+    const direction = side === 'BUY' ? 'LONG' : 'SHORT';
+    let quantity = order.closePosition ? (existing?.quantity || 0) : order.quantity;
+    if (quantity <= 0) return { ...order, status: 'EXPIRED' };
+
+    if (order.reduceOnly || order.closePosition) {
+      if (!existing || existing.side === direction) return { ...order, status: 'EXPIRED' };
+      quantity = Math.min(quantity, existing.quantity);
+    }
+    const filledQty = quantity;
+
+    wallet.free -= quantity * price * fee;
+
+    if (existing && existing.side !== direction) {
+      const closing = Math.min(quantity, existing.quantity);
+      const pnl = (price - existing.entryPrice) * closing * (existing.side === 'LONG' ? 1 : -1);
+      wallet.free += pnl;
+      // Trim float noise so partial closes leave step-sized remainders
+      existing.quantity = Number((existing.quantity - closing).toFixed(8));
+      quantity = Number((quantity - closing).toFixed(8));
+      if (existing.quantity <= 1e-12) state.positions.delete(symbol);
+    }
+
+    if (quantity > 1e-12) {
+      const current = state.positions.get(symbol);
+      if (current) {
+        const total = Number((current.quantity + quantity).toFixed(8));
+        current.entryPrice = (current.entryPrice * current.quantity + price * quantity) / total;
+        current.quantity = total;
+      } else {
+        state.positions.set(symbol, {
+          side: direction,
+          quantity,
+          entryPrice: price,
+          leverage: state.leverage.get(symbol) || 1
+        });
+      }
+    }
+
+    // Position gone - its protective orders go with it, like closePosition orders on Binance
+    if (!state.positions.has(symbol)) {
+      for (const [id, resting] of state.orders) {
+        if (resting.symbol === symbol && resting.market === 'futures' && (resting.closePosition || resting.reduceOnly)) {
+          state.orders.delete(id);
+          state.history.set(id, { ...resting, status: 'EXPIRED' });
+        }
+      }
+    }
+
+    return { ...order, status: 'FILLED', quantity: order.quantity ?? filledQty, executedQty: filledQty, avgPrice: price };
+  }
+
+  function fillSpot(order, price, fee) {
+    const { baseAsset, quoteAsset } = splitSymbol(order.symbol);
+    const base = balance('spot', baseAsset);
+    const quote = balance('spot', quoteAsset);
+    const quantity = order.quantity ?? order.quoteQuantity / price;
+
+    // Fees come out of whatever is received, as on Binance without BNB
+    if (order.side === 'BUY') {
+      const cost = quantity * price;
+      if (cost > quote.free + 1e-9) throw new Error(`Mock exchange: insufficient ${quoteAsset} balance`);
+      quote.free -= cost;
+      base.free += quantity * (1 - fee);
+    } else {
+      if (quantity > base.free + 1e-9) throw new Error(`Mock exchange: insufficient ${baseAsset} balance`);
+      base.free -= quantity;
+      quote.free += quantity * price * (1 - fee);
+    }
+    return { ...order, status: 'FILLED', quantity, executedQty: quantity, avgPrice: price };
+  }
+
+  // LIMIT orders fill at their price as maker; everything else crosses the book as taker
+  function execute(order, price) {
+    const isMaker = order.type === 'LIMIT';
+    const fillPrice = isMaker ? price : price * (1 + (order.side === 'BUY' ? slippage : -slippage));
+    const fee = isMaker ? makerFeeRate : feeRate;
+    const filled = order.market === 'spot' ? fillSpot(order, fillPrice, fee) : fillFutures(order, fillPrice, fee);
+    filled.time = Date.now();
+    if (filled.status === 'FILLED') state.fills.push({ ...filled });
+    state.history.set(filled.orderId, filled);
+    return filled;
+  }
+
+  /**
+   * Fill price if the new price triggers the order, otherwise null.
+   * Trailing stops arm at activationPrice (or immediately) and then follow the
+   * best price seen, triggering callbackRate % behind it.
+   */
+  function triggerPrice(order, price) {
+    if (order.type === 'LIMIT') {
+      const hit = order.side === 'BUY' ? price <= order.price : price >= order.price;
+      return hit ? order.price : null;
+    }
+
+    if (order.type === 'TRAILING_STOP_MARKET') {
+      const closesLong = order.side === 'SELL';
+      if (order.trailExtreme == null) {
+        const armed = !order.activationPrice
+          || (closesLong ? price >= order.activationPrice : price <= order.activationPrice);
+        if (!armed) return null;
+        order.trailExtreme = price;
+      }
+      order.trailExtreme = closesLong ? Math.max(order.trailExtreme, price) : Math.min(order.trailExtreme, price);
+      const stop = order.trailExtreme * (1 + (closesLong ? -1 : 1) * order.callbackRate / 100);
+      const hit = closesLong ? price <= stop : price >= stop;
+      return hit ? stop : null;
+    }
+
+    // STOP_MARKET / TAKE_PROFIT_MARKET: trigger direction depends on the close side
+    const isStop = order.type === 'STOP_MARKET';
+    const hit = order.side === 'SELL'
+      ? (isStop ? price <= order.stopPrice : price >= order.stopPrice)
+      : (isStop ? price >= order.stopPrice : price <= order.stopPrice);
+    return hit ? order.stopPrice : null;
+  }
+
+  function toPublic(order) {
+    const { market, trailExtreme, ...rest } = order;
+    return { ...rest };
+  }
+
+  reset();
+
+  return {
+    name: 'mock',
+    hasCredentials: () => credentials,
+
+    // Market data
+    async getCandles(symbol, interval = '1m', limit = 150) {
+      return candlesFor('futures', symbol, interval, limit);
+    },
+
+    async getSpotCandles(symbol, interval = '1m', limit = 150) {
+      return candlesFor('spot', symbol, interval, limit);
+    },
+
+    async getCandlesPage(symbol, interval, { startTime, endTime = Date.now(), limit = 1000, market = 'futures' } = {}) {
+      const seeded = state.candles.get(`${market}:${symbol}:${interval}`);
+      const source = seeded || generateCandles(symbol, interval, Math.min(limit, 1000), endTime);
+      return source.filter(c => c.openTime >= startTime && c.openTime <= endTime).slice(0, limit);
+    },
+
+    async listSymbols() {
+      return Array.from(state.prices.keys());
+    },
+
+    async getMarkets() {
+      return Array.from(state.prices.keys()).map(symbol => {
+        const { baseAsset, quoteAsset } = splitSymbol(symbol);
+        return { symbol, base: baseAsset, quote: quoteAsset, status: 'TRADING', pair: symbol, deliveryDate: null };
+      });
+    },
+
+    async getTicker(symbol) {
+      return { symbol, price: priceOf(symbol) };
+    },
+
+    async getTopMovers(limit = 30) {
+      return topMovers(limit);
+    },
+
+    async getTopGainers(minChange = 5, limit = 20) {
+      return topMovers(Infinity)
+        .filter(t => t.priceChangePercent >= minChange)
+        .slice(0, limit);
+    },
+
+    async getVolumeSurgers(limit = 30) {
+      return Array.from(state.prices.keys())
+        .map(buildTicker)
+        .filter(t => Math.abs(t.priceChangePercent) >= 1 && Math.abs(t.priceChangePercent) <= 15)
+        .map(t => ({ ...t, volumePerPctMove: t.volume / Math.max(Math.abs(t.priceChangePercent), 0.1) }))
+        .sort((a, b) => b.volumePerPctMove - a.volumePerPctMove)
+        .slice(0, limit);
+    },
+
+    async getOrderBook(symbol, limit = 500) {
+      const book = state.books.get(symbol) || generateOrderBook(symbol, limit);
+      return {
+        symbol,
+        lastUpdateId: state.nextOrderId,
+        bids: book.bids.slice(0, limit),
+        asks: book.asks.slice(0, limit),
+        time: Date.now()
+      };
+    },
+
+    async getAggTrades(symbol, { limit = 500, fromId, startTime, endTime } = {}) {
+      return (state.aggTrades.get(symbol) || [])
+        .filter(t => (fromId === undefined || t.id >= fromId)
+          && (startTime === undefined || t.time >= startTime)
+          && (endTime === undefined || t.time <= endTime))
+        .slice(0, limit);
+    },
+
+    async getSymbolFilters(symbol) {
+      const price = priceOf(symbol);
+      const { baseAsset, quoteAsset } = splitSymbol(symbol);
+      // Roughly Binance-like steps: finer quantity steps for pricier assets
+      const quantityPrecision = Math.max(0, Math.min(6, Math.ceil(Math.log10(price)) + 1));
+      const pricePrecision = Math.max(2, Math.min(8, 5 - Math.floor(Math.log10(price))));
+      return {
+        symbol,
+        baseAsset,
+        quoteAsset,
+        status: 'TRADING',
+        minQty: Number(`1e-${quantityPrecision}`),
+        stepSize: Number(`1e-${quantityPrecision}`),
+        tickSize: Number(`1e-${pricePrecision}`),
+        minNotional: 5,
+        pricePrecision,
+        quantityPrecision
+      };
+    },
+
+    // Account
+    async getBalances({ market = 'futures' } = {}) {
+      const margin = market === 'futures' ? marginInUse() : 0;
+      return Array.from(state.balances[market].entries()).map(([asset, b]) => {
+        const locked = asset === 'USDT' && market === 'futures' ? margin : b.locked;
+        return { asset, free: b.free - (locked - b.locked), locked, total: b.free + b.locked };
+      });
+    },
+
+    async getPositions() {
+      return Array.from(state.positions.entries()).map(([symbol, p]) => mapPosition(symbol, p));
+    },
+
+    async setLeverage(symbol, leverage) {
+      state.leverage.set(symbol, leverage);
+      return true;
+    },
+
+    // Orders
+    async placeOrder({ market = 'futures', symbol, side, type = 'MARKET', quantity, quoteQuantity, price, stopPrice, activationPrice, callbackRate, closePosition = false, reduceOnly = false, clientOrderId }) {
+      if (!['BUY', 'SELL'].includes(side)) throw new Error(`Mock exchange: invalid side ${side}`);
+      if (!['MARKET', 'LIMIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET'].includes(type)) {
+        throw new Error(`Mock exchange: unsupported order type ${type}`);
+      }
+      if (type === 'TRAILING_STOP_MARKET' && !(callbackRate >= 0.1 && callbackRate <= 10)) {
+        throw new Error('Mock exchange: callbackRate must be between 0.1 and 10');
+      }
+      if (closePosition) {
+        const duplicate = Array.from(state.orders.values())
+          .some(o => o.symbol === symbol && o.closePosition && o.side === side && o.type === type);
+        if (duplicate) {
+          throw new Error('Mock exchange: an open stop or take profit order with closePosition in the direction is existing');
+        }
+      }
+      const order = {
+        market,
+        orderId: String(state.nextOrderId++),
+        clientOrderId: clientOrderId || null,
+        symbol,
+        side,
+        type,
+        status: 'NEW',
+        quantity: quantity !== undefined ? Number(quantity) : undefined,
+        quoteQuantity: quoteQuantity !== undefined ? Number(quoteQuantity) : undefined,
+        executedQty: 0,
+        avgPrice: null,
+        price: price !== undefined ? Number(price) : null,
+        stopPrice: stopPrice !== undefined ? Number(stopPrice) : null,
+        activationPrice: activationPrice !== undefined ? Number(activationPrice) : null,
+        callbackRate: callbackRate !== undefined ? Number(callbackRate) : null,
+        reduceOnly: Boolean(reduceOnly),
+        closePosition: Boolean(closePosition),
+        time: Date.now()
+      };
+
+      if (type === 'MARKET') return toPublic(execute(order, priceOf(symbol)));
+      state.orders.set(order.orderId, order);
+      return toPublic(order);
+    },
+
+    async getOrder(symbol, orderId) {
+      const order = state.orders.get(String(orderId)) || state.history.get(String(orderId));
+      if (!order || order.symbol !== symbol) throw new Error(`Mock exchange: unknown order ${orderId}`);
+      return toPublic(order);
+    },
+
+    async getOpenOrders(symbol, { market = 'futures' } = {}) {
+      return Array.from(state.orders.values())
+        .filter(o => o.market === market && (!symbol || o.symbol === symbol))
+        .map(toPublic);
+    },
+
+    async cancelOrder(symbol, orderId) {
+      const order = state.orders.get(String(orderId));
+      if (!order || order.symbol !== symbol) throw new Error(`Mock exchange: unknown order ${orderId}`);
+      state.orders.delete(order.orderId);
+      state.history.set(order.orderId, { ...order, status: 'CANCELED' });
+      return toPublic({ ...order, status: 'CANCELED' });
+    },
+
+    async cancelAllOrders(symbol, { market = 'futures' } = {}) {
+      for (const [id, order] of state.orders) {
+        if (order.symbol === symbol && order.market === market) {
+          state.orders.delete(id);
+          state.history.set(id, { ...order, status: 'CANCELED' });
+        }
+      }
+      return true;
+    },
+
+    // Test controls
+    /**
+     * Move the price and fill any resting orders it crosses (at their trigger price)
+     */
+    setPrice(symbol, price) {
+      state.prices.set(symbol, price);
+      const triggered = [];
+      for (const order of Array.from(state.orders.values())) {
+        if (order.symbol !== symbol || !state.orders.has(order.orderId)) continue;
+        const fillPrice = triggerPrice(order, price);
+        if (fillPrice === null) continue;
+        state.orders.delete(order.orderId);
+        triggered.push(toPublic(execute(order, fillPrice)));
+      }
+      return triggered;
+    },
+
+    setCandles(symbol, interval, candles, { market = 'futures' } = {}) {
+      state.candles.set(`${market}:${symbol}:${interval}`, candles);
+      if (candles.length > 0 && !state.prices.has(symbol)) state.prices.set(symbol, candles.at(-1).close);
+    },
+
+    // { bids: [[price, quantity]], asks } best first
+    setOrderBook(symbol, book) {
+      state.books.set(symbol, book);
+    },
+
+    // [{ id, price, quantity, time, isBuyerMaker }] oldest first
+    setAggTrades(symbol, trades) {
+      state.aggTrades.set(symbol, trades);
+    },
+
+    setTicker(symbol, ticker) {
+      state.tickers.set(symbol, ticker);
+    },
+
+    setBalance(asset, amount, { market = 'futures' } = {}) {
+      state.balances[market].set(asset, { free: amount, locked: 0 });
+    },
+
+    getFills() {
+      return state.fills.map(f => toPublic(f));
+    },
+
+    /**
+     * Plain-JSON copy of balances, positions and orders (the last `historyLimit`
+     * finished orders and fills) for saving; restore() loads it back
+     */
+    snapshot({ historyLimit = 500 } = {}) {
+      return {
+        prices: Object.fromEntries(state.prices),
+        balances: {
+          futures: Object.fromEntries(state.balances.futures),
+          spot: Object.fromEntries(state.balances.spot)
+        },
+        positions: Object.fromEntries(state.positions),
+        leverage: Object.fromEntries(state.leverage),
+        orders: Array.from(state.orders.values()),
+        history: Array.from(state.history.values()).slice(-historyLimit),
+        fills: state.fills.slice(-historyLimit),
+        nextOrderId: state.nextOrderId
+      };
+    },
+
+    restore(snapshot) {
+      reset();
+      state.prices = new Map(Object.entries(snapshot.prices || {}));
+      for (const market of ['futures', 'spot']) {
+        state.balances[market] = new Map(Object.entries(snapshot.balances?.[market] || {}));
+      }
+      state.positions = new Map(Object.entries(snapshot.positions || {}));
+      state.leverage = new Map(Object.entries(snapshot.leverage || {}));
+      state.orders = new Map((snapshot.orders || []).map(o => [o.orderId, o]));
+      state.history = new Map((snapshot.history || []).map(o => [o.orderId, o]));
+      state.fills = snapshot.fills || [];
+      state.nextOrderId = snapshot.nextOrderId || 1;
+    },
+
+    reset
+  };
+}
+
+module.exports = { createMockExchange };
@@ -0,0 +1,177 @@
+/**
+ * Shadow exchange adapter - live market data, paper futures execution.
+ *
+ * Trading accounts in shadow mode (SHADOW_MODE=true with trading off) trade on
+ * this adapter, so the whole entry/monitor/close path runs unchanged - gates,
+ * risk sizing, lot-size and tick rounding from the real symbol filters, SL/TP
+ * ladder and trailing orders - while futures orders only reach an in-memory
+ * order book (the mock exchange):
+ *
+ * - Market data, symbol filters, tickers and everything spot pass through to
+ *   the live adapter (spot DCA keeps its own dry-run switch)
+ * - Market orders fill at the live ticker price; resting stop / take-profit /
+ *   trailing / limit orders trigger as live candles are fed in with
+ *   feedCandles(), walking each new candle open -> high/low -> close
+ * - Fills pay the Binance USDⓈ-M taker fee of feeTier (resting LIMIT fills
+ *   pay maker) and `slippage` on every market-style fill
+ *
+ * Only the finest interval seen for a symbol drives fills, and each candle's
+ * high/low is replayed once (a forming candle only for the new extremes it
+ * reaches), so fills are accurate to that candle size.
+ */
+
+const { createMockExchange } = require('./mock');
+const { FEE_TIERS } = require('../executionModel');
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.live] - () => adapter for market data (default: the active adapter)
+ * @param {number} [options.balance] - starting paper USDT (default 10000)
+ * @param {string} [options.feeTier] - VIP0-VIP9 (default VIP0)
+ * @param {number} [options.slippage] - adverse fraction on market/stop fills (default 0)
+ */
+function createShadowExchange(options = {}) {
+  const live = options.live || (() => require('./index').getExchange());
+  const feeTier = String(options.feeTier || 'VIP0').toUpperCase();
+  const fees = FEE_TIERS[feeTier];
+  if (!fees) {
+    throw new Error(`Unknown fee tier: ${options.feeTier} (use ${Object.keys(FEE_TIERS).join(', ')})`);
+  }
+
+  const book = createMockExchange({
+    prices: {},
+    balances: { futures: { USDT: options.balance ?? 10000 }, spot: {} },
+    feeRate: fees.taker,
+    makerFeeRate: fees.maker,
+    slippage: options.slippage ?? 0
+  });
+
+  const feeds = new Map(); // symbol -> { step, lastCloseTime, forming, price }
+
+  const isSpot = market => market === 'spot';
+
+  // Mark the book at the live price before anything that needs one
+  async function refreshPrice(symbol) {
+    try {
+      const { price } = await live().getTicker(symbol);
+      if (price > 0) book.setPrice(symbol, price);
+    } catch (err) {
+      const feed = feeds.get(symbol);
+      if (!feed?.price) throw new Error(`Shadow exchange: no price for ${symbol} (${err.message})`);
+    }
+  }
+
+  function candlePath(candle) {
+    // Bullish candles usually dip first, bearish ones spike first
+    return candle.close >= candle.open
+      ? [candle.open, candle.low, candle.high, candle.close]
+      : [candle.open, candle.high, candle.low, candle.close];
+  }
+
+  /**
+   * Feed live candles for a symbol/interval (oldest first). Moves the book's
+   * price and fills any resting orders the new prices cross.
+   * @returns {Array} orders that filled
+   */
+  function feedCandles(symbol, candles = []) {
+    if (candles.length === 0) return [];
+    const last = candles[candles.length - 1];
+    const step = last.closeTime - last.openTime;
+    const feed = feeds.get(symbol);
+    if (feed && step > feed.step) return []; // a finer interval drives this symbol
+    if (!feed || step < feed.step) {
+      // First feed for the symbol (or a finer interval): start from its latest candle
+      feeds.set(symbol, { step, lastCloseTime: last.openTime - 1, forming: null, price: last.close });
+    }
+
+    const current = feeds.get(symbol);
+    const triggered = [];
+    for (const candle of candles) {
+      if (candle.closeTime <= current.lastCloseTime) continue;
+      let prices;
+      if (current.forming?.openTime === candle.openTime) {
+        // Same forming candle again: only the extremes it reached since
+        prices = [];
+        if (candle.high > current.forming.high) prices.push(candle.high);
+        if (candle.low < current.forming.low) prices.push(candle.low);
+        prices.push(candle.close);
+      } else {
+        prices = candlePath(candle);
+      }
+      for (const price of prices) triggered.push(...book.setPrice(symbol, price));
+      current.price = candle.close;
+      if (candle.closeTime <= Date.now()) {
+        current.lastCloseTime = candle.closeTime;
+        current.forming = null;
+      } else {
+        current.forming = { openTime: candle.openTime, high: candle.high, low: candle.low };
+      }
+    }
+    return triggered;
+  }
+
+  return {
+    name: 'shadow',
+    shadow: true,
+    hasCredentials: ({ market } = {}) => (isSpot(market) ? live().hasCredentials() : true),
+
+    // Market data (live)
+    getCandles: (...args) => live().getCandles(...args),
+    getSpotCandles: (...args) => live().getSpotCandles(...args),
+    getCandlesPage: (...args) => live().getCandlesPage(...args),
+    listSymbols: () => live().listSymbols(),
+    getMarkets: () => live().getMarkets(),
+    getTicker: (...args) => live().getTicker(...args),
+    getTopMovers: (...args) => live().getTopMovers(...args),
+    getTopGainers: (...args) => live().getTopGainers(...args),
+    getVolumeSurgers: (...args) => live().getVolumeSurgers(...args),
+    getSymbolFilters: (...args) => live().getSymbolFilters(...args),
+    getOrderBook: (...args) => live().getOrderBook(...args),
+    getAggTrades: (...args) => live().getAggTrades(...args),
+
+    // Account (paper futures, live spot)
+    async getBalances({ market = 'futures' } = {}) {
+      return isSpot(market) ? live().getBalances({ market }) : book.getBalances({ market });
+    },
+
+    async getPositions() {
+      return book.getPositions();
+    },
+
+    async setLeverage(symbol, leverage) {
+      return book.setLeverage(symbol, leverage);
+    },
+
+    // Orders
+    async placeOrder(order) {
+      if (isSpot(order.market)) return live().placeOrder(order);
+      await refreshPrice(order.symbol);
+      return book.placeOrder(order);
+    },
+
+    async getOrder(symbol, orderId, opts = {}) {
+      return isSpot(opts.market) ? live().getOrder(symbol, orderId, opts) : book.getOrder(symbol, orderId);
+    },
+
+    async getOpenOrders(symbol, opts = {}) {
+      return isSpot(opts.market) ? live().getOpenOrders(symbol, opts) : book.getOpenOrders(symbol, opts);
+    },
+
+    async cancelOrder(symbol, orderId, opts = {}) {
+      return isSpot(opts.market) ? live().cancelOrder(symbol, orderId, opts) : book.cancelOrder(symbol, orderId);
+    },
+
+    async cancelAllOrders(symbol, opts = {}) {
+      return isSpot(opts.market) ? live().cancelAllOrders(symbol, opts) : book.cancelAllOrders(symbol, opts);
+    },
+
+    // Shadow controls
+    feedCandles,
+    getFills: () => book.getFills(),
+    snapshot: () => book.snapshot(),
+    restore: snapshot => book.restore(snapshot),
+    feeTier
+  };
+}
+
+module.exports = { createShadowExchange };
@@ -0,0 +1,304 @@
+/**
+ * Backtest Execution Model
+ * How fills, fees, funding and liquidations are simulated for leveraged perpetuals
+ *
+ * - Fees: Binance USDⓈ-M maker/taker tiers on notional (market entries and
+ *   stops pay taker, resting take-profits pay maker). Passing a flat
+ *   `commission` keeps the old "% of margin per side" model.
+ * - Funding: charged on open positions at every 8h settlement
+ * - Liquidation: isolated margin, at the maintenance-margin price for the leverage
+ * - Intrabar ambiguity: when one candle touches both stop and target the exit is
+ *   resolved pessimistically (stop first), optimistically (target first) or by
+ *   drilling down into lower-timeframe candles for that bar.
+ */
+
+const { fetchFundingRateRange } = require('./fundingRates');
+const { getExchange } = require('./exchanges');
+
+// Binance USDⓈ-M futures fee schedule (fraction of notional)
+const FEE_TIERS = {
+  VIP0: { maker: 0.0002, taker: 0.0005 },
+  VIP1: { maker: 0.00016, taker: 0.0004 },
+  VIP2: { maker: 0.00014, taker: 0.00035 },
+  VIP3: { maker: 0.00012, taker: 0.00032 },
+  VIP4: { maker: 0.0001, taker: 0.0003 },
+  VIP5: { maker: 0.00008, taker: 0.00027 },
+  VIP6: { maker: 0.00006, taker: 0.00025 },
+  VIP7: { maker: 0.00004, taker: 0.00022 },
+  VIP8: { maker: 0.00002, taker: 0.0002 },
+  VIP9: { maker: 0, taker: 0.00017 }
+};
+
+const BNB_FEE_DISCOUNT = 0.1;
+const INTRABAR_POLICIES = ['pessimistic', 'optimistic', 'drilldown'];
+
+// Largest lower timeframe that still fits one bar into a single 1000-candle page
+const DRILLDOWN_INTERVALS = {
+  '3m': '1m',
+  '5m': '1m',
+  '15m': '1m',
+  '30m': '1m',
+  '1h': '1m',
+  '2h': '1m',
+  '4h': '1m',
+  '6h': '1m',
+  '8h': '1m',
+  '12h': '1m',
+  '1d': '5m',
+  '3d': '5m',
+  '1w': '15m'
+};
+
+/**
+ * Build the execution config for a run from backtest options.
+ * @param {Object} options - backtest options; `commission` selects flat fees,
+ *   everything else lives under `options.execution`
+ */
+function resolveExecutionConfig(options = {}) {
+  const execution = options.execution || {};
+  const leverage = options.leverage || 1;
+
+  const intrabarPolicy = execution.intrabarPolicy || 'pessimistic';
+  if (!INTRABAR_POLICIES.includes(intrabarPolicy)) {
+    throw new Error(`Unknown intrabarPolicy: ${intrabarPolicy} (use ${INTRABAR_POLICIES.join(', ')})`);
+  }
+
+  let fees;
+  if (options.commission !== undefined) {
+    fees = { model: 'flat', commission: options.commission };
+  } else {
+    const tierName = String(execution.feeTier || 'VIP0').toUpperCase();
+    const tier = FEE_TIERS[tierName];
+    if (!tier) {
+      throw new Error(`Unknown feeTier: ${execution.feeTier} (use ${Object.keys(FEE_TIERS).join(', ')})`);
+    }
+    const discount = execution.bnbDiscount ? 1 - BNB_FEE_DISCOUNT : 1;
+    fees = {
+      model: 'tiered',
+      tier: tierName,
+      maker: (execution.makerFee ?? tier.maker) * discount,
+      taker: (execution.takerFee ?? tier.taker) * discount,
+      entryOrder: execution.entryOrder === 'limit' ? 'limit' : 'market'
+    };
+  }
+
+  return {
+    leverage,
+    slippage: options.slippage ?? 0.0005,
+    fees,
+    funding: execution.funding !== false,
+    fundingRates: Array.isArray(execution.fundingRates) ? execution.fundingRates : null,
+    liquidation: execution.liquidation !== false,
+    maintenanceMarginRate: execution.maintenanceMarginRate ?? 0.005,
+    intrabarPolicy,
+    drilldownInterval: execution.drilldownInterval || null,
+    lowerTimeframeCandles: Array.isArray(execution.lowerTimeframeCandles) ? execution.lowerTimeframeCandles : null
+  };
+}
+
+/**
+ * Isolated-margin liquidation price: where the remaining margin equals the
+ * maintenance margin for the position.
+ */
+function getLiquidationPrice(direction, entryPrice, leverage, maintenanceMarginRate) {
+  if (direction === 'long') {
+    return Math.max(0, entryPrice * (1 - 1 / leverage) / (1 - maintenanceMarginRate));
+  }
+  return entryPrice * (1 + 1 / leverage) / (1 + maintenanceMarginRate);
+}
+
+/**
+ * Fees for a round trip. exitFill is 'maker', 'taker' or 'liquidation'.
+ */
+function calculateFees(position, closePrice, exitFill, config) {
+  const { fees } = config;
+  if (fees.model === 'flat') {
+    return position.capital * fees.commission * 2; // Entry and exit
+  }
+
+  const entryRate = fees.entryOrder === 'limit' ? fees.maker : fees.taker;
+  const entryFee = position.quantity * position.entryPrice * entryRate;
+  // On liquidation the remaining margin goes to the insurance fund instead of an exit fee
+  if (exitFill === 'liquidation') return entryFee;
+  const exitFee = position.quantity * closePrice * (exitFill === 'maker' ? fees.maker : fees.taker);
+  return entryFee + exitFee;
+}
+
+/**
+ * Which exit levels a single bar touches. The adverse level is whichever of the
+ * stop and the liquidation price sits closer to entry.
+ */
+function checkBar(position, bar) {
+  const isLong = position.direction === 'long';
+  const { stopLoss, takeProfit, liquidationPrice } = position;
+
+  let adverse = { price: stopLoss, reason: 'STOP_LOSS' };
+  if (liquidationPrice != null) {
+    const liqCloser = isLong ? liquidationPrice >= stopLoss : liquidationPrice <= stopLoss;
+    if (liqCloser) adverse = { price: liquidationPrice, reason: 'LIQUIDATION' };
+  }
+
+  const adverseHit = isLong ? bar.low <= adverse.price : bar.high >= adverse.price;
+  const targetHit = isLong ? bar.high >= takeProfit : bar.low <= takeProfit;
+
+  return { adverse, adverseHit, targetHit };
+}
+
+function adverseExit(position, bar, adverse, config) {
+  const isLong = position.direction === 'long';
+  if (adverse.reason === 'LIQUIDATION') {
+    return { closed: true, closePrice: adverse.price, reason: 'LIQUIDATION', exitFill: 'liquidation' };
+  }
+  // Stop-market: fills at the open if the bar gapped through the stop, then slips
+  const trigger = isLong ? Math.min(adverse.price, bar.open) : Math.max(adverse.price, bar.open);
+  const closePrice = trigger * (1 + (isLong ? -config.slippage : config.slippage));
+  return { closed: true, closePrice, reason: 'STOP_LOSS', exitFill: 'taker' };
+}
+
+function targetExit(position) {
+  return { closed: true, closePrice: position.takeProfit, reason: 'TAKE_PROFIT', exitFill: 'maker' };
+}
+
+/**
+ * Exit resolver for one symbol. Lower-timeframe candles for drill-down are
+ * fetched lazily, only for bars that touch both levels.
+ * @param {Object} config - from resolveExecutionConfig
+ * @param {Object} context - { symbol, interval }
+ * @returns {Function} async (position, candle) => { closed, closePrice, reason, exitFill, ambiguous, resolvedBy }
+ */
+function createExitResolver(config, { symbol, interval } = {}) {
+  const drilldownInterval = config.drilldownInterval || DRILLDOWN_INTERVALS[interval] || null;
+  const provided = config.lowerTimeframeCandles
+    ? [...config.lowerTimeframeCandles].sort((a, b) => a.openTime - b.openTime)
+    : null;
+  const fetched = new Map();
+
+  const stats = { ambiguous: 0, resolvedByDrilldown: 0, drilldownFallbacks: 0, drilldownErrors: 0 };
+
+  async function loadSubCandles(candle) {
+    const endTime = candle.closeTime ?? candle.openTime;
+    if (provided) {
+      return provided.filter(c => c.openTime >= candle.openTime && c.openTime <= endTime);
+    }
+    if (!symbol || !drilldownInterval) return [];
+    if (!fetched.has(candle.openTime)) {
+      try {
+        fetched.set(candle.openTime, await getExchange().getCandlesPage(symbol, drilldownInterval, {
+          startTime: candle.openTime,
+          endTime,
+          limit: 1000
+        }));
+      } catch (err) {
+        stats.drilldownErrors++;
+        console.warn(`[BACKTEST] Drill-down ${symbol} ${drilldownInterval} failed:`, err.message);
+        fetched.set(candle.openTime, []);
+      }
+    }
+    return fetched.get(candle.openTime);
+  }
+
+  async function resolve(position, candle) {
+    const { adverse, adverseHit, targetHit } = checkBar(position, candle);
+    if (!adverseHit && !targetHit) return { closed: false };
+    if (adverseHit && !targetHit) return adverseExit(position, candle, adverse, config);
+    if (targetHit && !adverseHit) return targetExit(position);
+
+    stats.ambiguous++;
+    if (config.intrabarPolicy === 'optimistic') {
+      return { ...targetExit(position), ambiguous: true, resolvedBy: 'optimistic' };
+    }
+
+    if (config.intrabarPolicy === 'drilldown') {
+      const subCandles = await loadSubCandles(candle);
+      for (const sub of subCandles) {
+        const hit = checkBar(position, sub);
+        if (hit.adverseHit && hit.targetHit) break; // still ambiguous at this resolution
+        if (hit.adverseHit) {
+          stats.resolvedByDrilldown++;
+          return { ...adverseExit(position, sub, hit.adverse, config), ambiguous: true, resolvedBy: 'drilldown' };
+        }
+        if (hit.targetHit) {
+          stats.resolvedByDrilldown++;
+          return { ...targetExit(position), ambiguous: true, resolvedBy: 'drilldown' };
+        }
+      }
+      stats.drilldownFallbacks++;
+    }
+
+    return { ...adverseExit(position, candle, adverse, config), ambiguous: true, resolvedBy: 'pessimistic' };
+  }
+
+  resolve.stats = stats;
+  resolve.drilldownInterval = drilldownInterval;
+  return resolve;
+}
+
+/**
+ * Funding settlements for the candle range: options.execution.fundingRates when
+ * given (offline runs), otherwise Binance history for the symbol.
+ * Never fails the backtest - returns a warning instead.
+ */
+async function loadFundingSettlements(config, symbol, candles) {
+  if (!config.funding) return { settlements: [], source: 'disabled' };
+  if (config.fundingRates) {
+    return {
+      settlements: [...config.fundingRates].sort((a, b) => a.timestamp - b.timestamp),
+      source: 'provided'
+    };
+  }
+  if (!symbol) {
+    return { settlements: [], source: 'none', warning: 'Funding not applied: no symbol given' };
+  }
+
+  try {
+    const startTime = candles[0].openTime;
+    const endTime = candles.at(-1).closeTime ?? candles.at(-1).openTime;
+    const settlements = await fetchFundingRateRange(symbol, startTime, endTime);
+    return { settlements, source: 'binance' };
+  } catch (err) {
+    console.warn(`[BACKTEST] Funding history for ${symbol} unavailable:`, err.message);
+    return { settlements: [], source: 'none', warning: `Funding not applied: ${err.message}` };
+  }
+}
+
+/**
+ * Walks funding settlements forward in time. Each settlement charges positions
+ * that were filled before it: longs pay positive funding, shorts receive it.
+ */
+function createFundingLedger(settlements) {
+  let cursor = 0;
+  const ledger = {
+    payments: 0,
+    total: 0,
+    /**
+     * Apply every settlement up to and including the candle's close.
+     * The candle open stands in for the mark price at settlement.
+     */
+    apply(positions, candle) {
+      const until = candle.closeTime ?? candle.openTime;
+      while (cursor < settlements.length && settlements[cursor].timestamp <= until) {
+        const { timestamp, rate } = settlements[cursor++];
+        for (const position of positions) {
+          if (position.filledAt >= timestamp) continue;
+          const notional = position.quantity * candle.open;
+          const payment = (position.direction === 'long' ? -1 : 1) * rate * notional;
+          position.funding = (position.funding || 0) + payment;
+          ledger.total += payment;
+          ledger.payments++;
+        }
+      }
+    }
+  };
+  return ledger;
+}
+
+module.exports = {
+  resolveExecutionConfig,
+  getLiquidationPrice,
+  calculateFees,
+  createExitResolver,
+  loadFundingSettlements,
+  createFundingLedger,
+  FEE_TIERS,
+  INTRABAR_POLICIES
+};
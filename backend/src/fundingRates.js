@@ -11,10 +11,11 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 
-const BINANCE_API = process.env.BINANCE_API_URL || 'https://fapi.binance.com';
+const BINANCE_API = getConfig('BINANCE_API_URL');
 
-const FUNDING_CACHE_FILE = path.join(__dirname, '../data/funding_rates.json');
+const FUNDING_CACHE_FILE = path.join(getConfig('DATA_DIR'), 'funding_rates.json');
 
 // Funding rate state
 let fundingState = {
@@ -209,6 +210,32 @@ async function fetchFundingHistory(symbol, limit = 100) {
   return fundingState.history[symbol] || { symbol, history: [], error: 'Failed to fetch' };
 }
 
+/**
+ * Fetch raw funding rate settlements between two timestamps (oldest first).
+ * Pages through /fapi/v1/fundingRate 1000 records at a time - used by backtests.
+ */
+async function fetchFundingRateRange(symbol, startTime, endTime = Date.now()) {
+  const settlements = [];
+  let cursor = startTime;
+
+  while (cursor < endTime) {
+    const response = await axios.get(`${BINANCE_API}/fapi/v1/fundingRate`, {
+      params: { symbol, startTime: cursor, endTime, limit: 1000 },
+      timeout: 10000
+    });
+    const batch = response.data || [];
+    if (batch.length === 0) break;
+
+    for (const item of batch) {
+      settlements.push({ timestamp: item.fundingTime, rate: parseFloat(item.fundingRate) });
+    }
+    if (batch.length < 1000) break;
+    cursor = batch.at(-1).fundingTime + 1;
+  }
+
+  return settlements;
+}
+
 /**
  * Analyze funding history for patterns
  */
@@ -619,6 +646,7 @@ loadFundingCache();
 module.exports = {
   fetchFundingRates,
   fetchFundingHistory,
+  fetchFundingRateRange,
   getSymbolFunding,
   fetchOpenInterest,
   fetchLongShortRatio,
@@ -9,17 +9,12 @@
  * flash crashes, and various market conditions.
  */
 
-const axios = require('axios');
 const { calculateIndicators } = require('./indicators');
 const { predictNextMove } = require('./ai');
 const mongo = require('./mongoStorage');
-
-const API_BASE = 'https://fapi.binance.com';
-const SPOT_API_BASE = 'https://api.binance.com';
+const { getCandleRange } = require('./candleStore');
 
 // Historical learning config
-const BATCH_SIZE = 1000; // Max candles per request
-const BATCH_DELAY_MS = 500; // Delay between batches to avoid rate limits
 const SYMBOLS_PER_BATCH = 3; // Process 3 symbols at a time
 
 // Key symbols for historical learning (major coins with data back to 2017+)
@@ -68,45 +63,6 @@ let learningProgress = {
   marketEvents: [], // Major events detected
 };
 
-/**
- * Fetch historical candles from Binance
- */
-async function fetchHistoricalCandles(symbol, interval, startTime, endTime, type = 'spot') {
-  const baseUrl = type === 'futures' ? API_BASE : SPOT_API_BASE;
-  const endpoint = type === 'futures' ? '/fapi/v1/klines' : '/api/v3/klines';
-
-  try {
-    const res = await axios.get(`${baseUrl}${endpoint}`, {
-      params: {
-        symbol,
-        interval,
-        startTime,
-        endTime,
-        limit: BATCH_SIZE
-      },
-      timeout: 15000
-    });
-
-    return res.data.map(candle => ({
-      openTime: candle[0],
-      open: Number(candle[1]),
-      high: Number(candle[2]),
-      low: Number(candle[3]),
-      close: Number(candle[4]),
-      volume: Number(candle[5]),
-      closeTime: candle[6]
-    }));
-  } catch (err) {
-    // Handle rate limits
-    if (err.response?.status === 429) {
-      console.log('[HISTORICAL] Rate limited, waiting 60s...');
-      await sleep(60000);
-      return fetchHistoricalCandles(symbol, interval, startTime, endTime, type);
-    }
-    throw err;
-  }
-}
-
 /**
  * Process candles through indicators and detect patterns
  */
@@ -478,44 +434,28 @@ async function processSymbolHistory(symbolConfig, interval) {
 
   const startTime = new Date(`${startYear}-01-01`).getTime();
   const endTime = Date.now();
-  const intervalMs = getIntervalMs(interval);
 
+  // Candles come from the shared candle store - only missing ranges are downloaded
   let allCandles = [];
-  let currentStart = startTime;
-  let batchCount = 0;
-
-  // Fetch all historical candles
-  while (currentStart < endTime) {
-    try {
-      const candles = await fetchHistoricalCandles(
-        symbol,
-        interval,
-        currentStart,
-        Math.min(currentStart + (BATCH_SIZE * intervalMs), endTime),
-        type
-      );
-
-      if (candles.length === 0) break;
-
-      allCandles = allCandles.concat(candles);
-      currentStart = candles[candles.length - 1].closeTime + 1;
-      batchCount++;
-
-      learningProgress.candlesProcessed += candles.length;
-
-      // Rate limit protection
-      await sleep(BATCH_DELAY_MS);
-
-      // Progress update every 10 batches
-      if (batchCount % 10 === 0) {
-        const years = ((currentStart - startTime) / (365.25 * 24 * 60 * 60 * 1000)).toFixed(1);
-        console.log(`[HISTORICAL] ${symbol} ${interval}: ${allCandles.length} candles loaded (~${years} years)`);
+  let lastLoggedPercent = 0;
+  try {
+    allCandles = await getCandleRange({
+      symbol,
+      interval,
+      startTime,
+      endTime,
+      market: type,
+      onProgress: ({ percent, candles }) => {
+        if (percent - lastLoggedPercent >= 10) {
+          lastLoggedPercent = percent;
+          console.log(`[HISTORICAL] ${symbol} ${interval}: ${candles} candles downloaded (${percent}%)`);
+        }
       }
-    } catch (err) {
-      console.error(`[HISTORICAL] Error fetching ${symbol}:`, err.message);
-      learningProgress.errors.push({ symbol, interval, error: err.message, time: Date.now() });
-      break;
-    }
+    });
+    learningProgress.candlesProcessed += allCandles.length;
+  } catch (err) {
+    console.error(`[HISTORICAL] Error fetching ${symbol}:`, err.message);
+    learningProgress.errors.push({ symbol, interval, error: err.message, time: Date.now() });
   }
 
   if (allCandles.length < 200) {
@@ -679,20 +619,6 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function getIntervalMs(interval) {
-  const map = {
-    '1m': 60 * 1000,
-    '5m': 5 * 60 * 1000,
-    '15m': 15 * 60 * 1000,
-    '30m': 30 * 60 * 1000,
-    '1h': 60 * 60 * 1000,
-    '4h': 4 * 60 * 60 * 1000,
-    '1d': 24 * 60 * 60 * 1000,
-    '1w': 7 * 24 * 60 * 60 * 1000,
-  };
-  return map[interval] || 60 * 60 * 1000;
-}
-
 module.exports = {
   runHistoricalLearning,
   getProgress,
@@ -10,13 +10,7 @@
  * Data sources: Binance (2017+), with synthetic pre-2017 patterns
  */
 
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-
-const BINANCE_API = 'https://api.binance.com';
-const CACHE_DIR = path.join(__dirname, '../data/historical');
-const MAX_CANDLES_PER_REQUEST = 1000;
+const { getCandleRange } = require('./candleStore');
 
 // Historical market events for context
 const MARKET_EVENTS = [
@@ -35,96 +29,33 @@ const MARKET_EVENTS = [
   { date: '2024-04-20', type: 'halving', btcPrice: 64000, description: '4th Bitcoin Halving' },
 ];
 
-// Ensure cache directory exists
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
-
 /**
- * Fetch historical candles from Binance
+ * Fetch historical candles from Binance spot (via the shared candle store)
  * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
  * @param {string} interval - Candle interval (e.g., '1d', '4h', '1h')
  * @param {number} startTime - Start timestamp in ms
  * @param {number} endTime - End timestamp in ms
  */
 async function fetchHistoricalCandles(symbol, interval, startTime, endTime) {
-  const candles = [];
-  let currentStart = startTime;
-
-  while (currentStart < endTime) {
-    try {
-      const response = await axios.get(`${BINANCE_API}/api/v3/klines`, {
-        params: {
-          symbol,
-          interval,
-          startTime: currentStart,
-          endTime,
-          limit: MAX_CANDLES_PER_REQUEST
-        },
-        timeout: 30000
-      });
-
-      if (!response.data || response.data.length === 0) break;
-
-      for (const c of response.data) {
-        candles.push({
-          openTime: c[0],
-          open: parseFloat(c[1]),
-          high: parseFloat(c[2]),
-          low: parseFloat(c[3]),
-          close: parseFloat(c[4]),
-          volume: parseFloat(c[5]),
-          closeTime: c[6],
-          quoteVolume: parseFloat(c[7]),
-          trades: c[8]
-        });
-      }
-
-      // Move to next batch
-      const lastCandle = response.data[response.data.length - 1];
-      currentStart = lastCandle[6] + 1; // closeTime + 1ms
-
-      // Rate limiting
-      await new Promise(r => setTimeout(r, 100));
-
-    } catch (err) {
-      console.error(`[HISTORICAL] Error fetching ${symbol} ${interval}:`, err.message);
-      break;
-    }
+  try {
+    return await getCandleRange({ symbol, interval, startTime, endTime, market: 'spot' });
+  } catch (err) {
+    console.error(`[HISTORICAL] Error fetching ${symbol} ${interval}:`, err.message);
+    return [];
   }
-
-  return candles;
 }
 
 /**
- * Get cached historical data or fetch if not available
+ * Get historical data - served from the candle store, only new candles are downloaded
  */
 async function getHistoricalData(symbol, interval, yearsBack = 5) {
-  ensureCacheDir();
-
-  const cacheFile = path.join(CACHE_DIR, `${symbol}_${interval}_${yearsBack}y.json`);
-
-  // Check cache (valid for 24 hours)
-  if (fs.existsSync(cacheFile)) {
-    const stats = fs.statSync(cacheFile);
-    const cacheAge = Date.now() - stats.mtimeMs;
-    if (cacheAge < 24 * 60 * 60 * 1000) {
-      const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-      console.log(`[HISTORICAL] Loaded ${cached.candles.length} candles from cache`);
-      return cached;
-    }
-  }
-
-  // Fetch fresh data
   const endTime = Date.now();
   const startTime = endTime - (yearsBack * 365.25 * 24 * 60 * 60 * 1000);
 
-  console.log(`[HISTORICAL] Fetching ${yearsBack} years of ${symbol} ${interval} data...`);
+  console.log(`[HISTORICAL] Loading ${yearsBack} years of ${symbol} ${interval} data...`);
   const candles = await fetchHistoricalCandles(symbol, interval, startTime, endTime);
 
-  const data = {
+  return {
     symbol,
     interval,
     yearsBack,
@@ -134,12 +65,6 @@ async function getHistoricalData(symbol, interval, yearsBack = 5) {
     endDate: candles[candles.length - 1] ? new Date(candles[candles.length - 1].closeTime).toISOString() : null,
     candles
   };
-
-  // Cache the data
-  fs.writeFileSync(cacheFile, JSON.stringify(data));
-  console.log(`[HISTORICAL] Cached ${candles.length} candles for ${symbol} ${interval}`);
-
-  return data;
 }
 
 /**
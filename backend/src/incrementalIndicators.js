@@ -0,0 +1,373 @@
+/**
+ * Incremental Indicators - streaming versions of the core indicator set
+ *
+ * calculateIndicators recomputes RSI, MACD, Bollinger, KDJ, ATR and the EMAs
+ * over the whole candle array on every call. For the live pipeline and the
+ * coin scanner each symbol/interval instead keeps an engine whose state only
+ * advances by one step per newly closed candle; the forming candle is stepped
+ * on a copy of that state and thrown away, so it is "rolled back" on the next
+ * update. An engine rebuilds from the candles it is handed when it cannot
+ * continue (first use, a gap longer than the candle window, changed
+ * INDICATOR_PARAMS).
+ *
+ * Every step follows the technicalindicators implementation operation for
+ * operation (same running sums, seeds and rounding), so candles fed one at a
+ * time give exactly the batch results. verifyIncremental() replays a candle
+ * array through a fresh engine and diffs it against the batch computation;
+ * INDICATOR_VERIFY_EVERY runs it on every Nth live update.
+ *
+ * Values are over everything an engine has seen since it (re)started, which
+ * for the recursive indicators (EMA, RSI, ATR) is more history than the REST
+ * window; they converge to the window's batch values within a few periods.
+ * The EMAs are only reported once the candles handed in cover their period,
+ * as in the batch path.
+ */
+
+const { computeCoreIndicators } = require('./indicatorRegistry');
+const { getConfig } = require('./config');
+
+const SERIES_TAIL = 20; // RSI/MACD points kept for divergence and momentum scans
+const MAX_ENGINES = 5000;
+const TOLERANCE = 1e-9;
+
+// State
+const engines = new Map(); // key -> engine, least recently used first
+
+const stats = {
+  rebuilds: 0,
+  closedSteps: 0,
+  formingSteps: 0,
+  verifications: 0,
+  mismatches: 0,
+  lastMismatch: null
+};
+
+// === Steps (each mirrors its technicalindicators counterpart) ===
+
+function createSma(period) {
+  return { period, window: [], sum: 0 };
+}
+
+function stepSma(s, value) {
+  if (s.window.length < s.period) {
+    s.window.push(value);
+    s.sum = s.sum + value;
+    return s.window.length === s.period ? s.sum / s.period : undefined;
+  }
+  s.sum = s.sum - s.window.shift() + value;
+  s.window.push(value);
+  return s.sum / s.period;
+}
+
+// EMA (exponent 2 / (period + 1)) and Wilder's WEMA (1 / period), both seeded with the SMA
+function createEma(period, exponent = 2 / (period + 1)) {
+  return { exponent, seed: createSma(period), value: undefined };
+}
+
+function stepEma(s, value) {
+  if (s.value !== undefined) {
+    s.value = ((value - s.value) * s.exponent) + s.value;
+    return s.value;
+  }
+  s.value = stepSma(s.seed, value);
+  if (s.value !== undefined) s.seed = null; // not needed once seeded
+  return s.value;
+}
+
+function createRsi(period) {
+  return { period, last: undefined, counter: 1, gainSum: 0, lossSum: 0, avgGain: undefined, avgLoss: undefined, value: undefined };
+}
+
+function stepRsi(s, close) {
+  if (s.last === undefined) {
+    s.last = close;
+    return undefined;
+  }
+  const change = close - s.last;
+  const gain = change > 0 ? change : 0;
+  const loss = change < 0 ? -change : 0;
+  s.gainSum = s.gainSum + gain;
+  s.lossSum = s.lossSum + loss;
+  if (s.counter < s.period) {
+    s.counter++;
+  } else if (s.avgGain === undefined) {
+    s.avgGain = s.gainSum / s.period;
+    s.avgLoss = s.lossSum / s.period;
+  } else {
+    s.avgGain = ((s.avgGain * (s.period - 1)) + gain) / s.period;
+    s.avgLoss = ((s.avgLoss * (s.period - 1)) + loss) / s.period;
+  }
+  s.last = close;
+
+  if (s.avgGain !== undefined) {
+    if (s.avgLoss === 0) s.value = 100;
+    else if (s.avgGain === 0) s.value = 0;
+    else {
+      const rs = s.avgGain / s.avgLoss;
+      s.value = parseFloat((100 - (100 / (1 + (isNaN(rs) ? 0 : rs)))).toFixed(2));
+    }
+  }
+  return s.value;
+}
+
+function createMacd({ fast, slow, signal }) {
+  return { slowPeriod: slow, index: 0, fast: createEma(fast), slow: createEma(slow), signal: createEma(signal) };
+}
+
+function stepMacd(s, close) {
+  const fast = stepEma(s.fast, close);
+  const slow = stepEma(s.slow, close);
+  s.index++;
+  if (s.index < s.slowPeriod) return undefined;
+  const MACD = fast - slow;
+  const signal = stepEma(s.signal, MACD);
+  const histogram = MACD - signal;
+  return { MACD, signal: signal || undefined, histogram: isNaN(histogram) ? undefined : histogram };
+}
+
+function createBollinger({ period, stdDev }) {
+  return { period, stdDev, sma: createSma(period) };
+}
+
+function stepBollinger(s, close) {
+  const mean = stepSma(s.sma, close);
+  if (!mean) return undefined;
+  let sum = 0;
+  for (const x of s.sma.window) sum = sum + Math.pow(x - mean, 2);
+  const sd = Math.sqrt(sum / s.period);
+  const upper = mean + (sd * s.stdDev);
+  const lower = mean - (sd * s.stdDev);
+  return { middle: mean, upper, lower, pb: (close - lower) / (upper - lower) };
+}
+
+function createStochastic({ period, signal }) {
+  return { period, highs: [], lows: [], d: createSma(signal) };
+}
+
+function stepStochastic(s, candle) {
+  s.highs.push(candle.high);
+  s.lows.push(candle.low);
+  if (s.highs.length > s.period) {
+    s.highs.shift();
+    s.lows.shift();
+  }
+  if (s.highs.length < s.period) return undefined;
+  const periodLow = Math.min(...s.lows);
+  let k = (candle.close - periodLow) / (Math.max(...s.highs) - periodLow) * 100;
+  k = isNaN(k) ? 0 : k;
+  return { k, d: stepSma(s.d, k) };
+}
+
+function createAtr({ period }) {
+  return { previousClose: undefined, wema: createEma(period, 1 / period) };
+}
+
+function stepAtr(s, candle) {
+  if (s.previousClose === undefined) {
+    s.previousClose = candle.close;
+    return undefined;
+  }
+  const trueRange = Math.max(
+    candle.high - candle.low,
+    isNaN(Math.abs(candle.high - s.previousClose)) ? 0 : Math.abs(candle.high - s.previousClose),
+    isNaN(Math.abs(candle.low - s.previousClose)) ? 0 : Math.abs(candle.low - s.previousClose)
+  );
+  s.previousClose = candle.close;
+  return stepEma(s.wema, trueRange);
+}
+
+// === Engine ===
+
+function createState(core) {
+  return {
+    rsi: createRsi(core.rsi.period),
+    macd: createMacd(core.macd),
+    bollinger: createBollinger(core.bollinger),
+    stoch: createStochastic(core.kdj),
+    atr: createAtr(core.atr),
+    ema: { fast: createEma(core.ema.fast), medium: createEma(core.ema.medium), slow: createEma(core.ema.slow) },
+    rsiTail: [],
+    macdTail: [],
+    values: null
+  };
+}
+
+function pushTail(tail, value) {
+  tail.push(value);
+  if (tail.length > SERIES_TAIL) tail.shift();
+}
+
+function stepState(state, candle) {
+  const rsi = stepRsi(state.rsi, candle.close);
+  if (rsi !== undefined) pushTail(state.rsiTail, rsi);
+  const macd = stepMacd(state.macd, candle.close);
+  if (macd !== undefined) pushTail(state.macdTail, macd);
+  const fast = stepEma(state.ema.fast, candle.close);
+  const medium = stepEma(state.ema.medium, candle.close);
+  const slow = stepEma(state.ema.slow, candle.close);
+  state.values = {
+    rsi: rsi ?? null,
+    macd: macd ?? null,
+    bollinger: stepBollinger(state.bollinger, candle.close) ?? null,
+    stoch: stepStochastic(state.stoch, candle) ?? null,
+    atr: stepAtr(state.atr, candle) ?? null,
+    ema: fast === undefined ? null : { fast, medium, slow: slow ?? null }
+  };
+}
+
+function createEngine(core) {
+  return { paramsKey: JSON.stringify(core), core, state: createState(core), lastOpenTime: null, updates: 0 };
+}
+
+// The last candle is forming unless it says it has closed; every earlier one is closed
+function closedCount(candles, now) {
+  const last = candles.at(-1);
+  return Number.isFinite(last.closeTime) && last.closeTime < now ? candles.length : candles.length - 1;
+}
+
+/**
+ * Advance an engine to the end of a candle array
+ * @returns {Object} the core values (same shape as computeCoreIndicators, with the last SERIES_TAIL RSI/MACD points as the series)
+ */
+function advanceEngine(engine, candles, now = Date.now(), counters = stats) {
+  const closed = closedCount(candles, now);
+  let start = 0;
+  if (engine.lastOpenTime !== null) {
+    const index = candles.findLastIndex(c => c.openTime === engine.lastOpenTime);
+    if (index === -1 || index >= closed) {
+      // Gap beyond the window, or the candles went back in time
+      Object.assign(engine, createEngine(engine.core));
+      counters.rebuilds++;
+    } else {
+      start = index + 1;
+    }
+  }
+
+  for (let i = start; i < closed; i++) {
+    stepState(engine.state, candles[i]);
+    engine.lastOpenTime = candles[i].openTime;
+    counters.closedSteps++;
+  }
+
+  let state = engine.state;
+  if (closed < candles.length) {
+    state = structuredClone(engine.state);
+    stepState(state, candles.at(-1));
+    counters.formingSteps++;
+  }
+
+  const values = state.values || {};
+  const { ema } = engine.core;
+  return {
+    rsiSeries: state.rsiTail.slice(),
+    rsi: values.rsi ?? null,
+    macdSeries: state.macdTail.slice(),
+    macd: values.macd ?? null,
+    bollinger: values.bollinger ?? null,
+    stoch: values.stoch ?? null,
+    atr: values.atr ?? null,
+    // Only once the candles handed in cover each period, like the batch path
+    ema: values.ema && candles.length >= ema.fast
+      ? {
+        fast: values.ema.fast,
+        medium: candles.length >= ema.medium ? values.ema.medium : undefined,
+        slow: candles.length >= ema.slow ? values.ema.slow : null
+      }
+      : null
+  };
+}
+
+/**
+ * Core indicators of a symbol/interval, continuing from the previous call with the same key
+ * @param {string} key - e.g. 'BTCUSDT:15m'
+ * @param {Array} candles - oldest first, the last one may be forming
+ * @param {Object} core - { id: params } from getIndicatorSet
+ */
+function updateIncremental(key, candles, core) {
+  let engine = engines.get(key);
+  if (!engine || engine.paramsKey !== JSON.stringify(core)) engine = createEngine(core);
+  engines.delete(key);
+  engines.set(key, engine);
+  if (engines.size > MAX_ENGINES) engines.delete(engines.keys().next().value);
+
+  const result = advanceEngine(engine, candles);
+
+  const verifyEvery = getConfig('INDICATOR_VERIFY_EVERY');
+  if (verifyEvery > 0 && ++engine.updates % verifyEvery === 0) {
+    const mismatches = verifyIncremental(candles, core);
+    if (mismatches.length > 0) {
+      console.warn(`[INDICATORS] Incremental ${key} differs from batch: ${mismatches.slice(0, 3).map(m => m.field).join(', ')}`);
+      stats.lastMismatch = { key, at: Date.now(), mismatches: mismatches.slice(0, 10) };
+    }
+  }
+  return result;
+}
+
+function sameValue(a, b) {
+  if (a === b || (a == null && b == null)) return true;
+  if (typeof a !== 'number' || typeof b !== 'number') return false;
+  return Math.abs(a - b) <= TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+function diffValues(field, incremental, batch, out) {
+  if (incremental && typeof incremental === 'object' && batch && typeof batch === 'object') {
+    for (const name of new Set([...Object.keys(incremental), ...Object.keys(batch)])) {
+      diffValues(`${field}.${name}`, incremental[name], batch[name], out);
+    }
+  } else if (!sameValue(incremental, batch)) {
+    out.push({ field, incremental, batch });
+  }
+  return out;
+}
+
+/**
+ * Replay candles one at a time through a fresh engine - each first as a
+ * forming candle with a different close (rolled back), then closed - and diff
+ * the result against the batch computation over the same array
+ * @returns {Array} [{ field, incremental, batch }] - empty when they match
+ */
+function verifyIncremental(candles, core) {
+  const engine = createEngine(core);
+  const counters = { rebuilds: 0, closedSteps: 0, formingSteps: 0 };
+  for (let i = 0; i < candles.length; i++) {
+    const candle = candles[i];
+    const forming = { ...candle, close: (candle.open + candle.close) / 2 };
+    // Two closed candles before it are enough for the engine to find where it left off
+    advanceEngine(engine, [...candles.slice(Math.max(0, i - 2), i), forming], candle.closeTime ?? Infinity, counters);
+  }
+  const incremental = advanceEngine(engine, candles, Date.now(), counters);
+  if (counters.rebuilds > 0) throw new Error('Incremental replay lost its place in the candles');
+
+  const input = {
+    close: candles.map(c => c.close),
+    high: candles.map(c => c.high),
+    low: candles.map(c => c.low),
+    volume: candles.map(c => c.volume)
+  };
+  const batch = computeCoreIndicators(input, core);
+  const mismatches = [];
+  for (const field of ['rsi', 'macd', 'bollinger', 'stoch', 'atr', 'ema']) {
+    diffValues(field, incremental[field], batch[field], mismatches);
+  }
+  diffValues('rsiSeries', incremental.rsiSeries, batch.rsiSeries.slice(-SERIES_TAIL), mismatches);
+  diffValues('macdSeries', incremental.macdSeries, batch.macdSeries.slice(-SERIES_TAIL), mismatches);
+
+  stats.verifications++;
+  if (mismatches.length > 0) stats.mismatches++;
+  return mismatches;
+}
+
+function getIncrementalStatus() {
+  return {
+    enabled: getConfig('INCREMENTAL_INDICATORS'),
+    verifyEvery: getConfig('INDICATOR_VERIFY_EVERY'),
+    engines: engines.size,
+    stats: { ...stats }
+  };
+}
+
+module.exports = {
+  updateIncremental,
+  verifyIncremental,
+  getIncrementalStatus
+};
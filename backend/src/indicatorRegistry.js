@@ -0,0 +1,579 @@
+/**
+ * Indicator Registry - every indicator calculateIndicators can compute
+ *
+ * An indicator declares its inputs (candle fields), its parameters (default
+ * and range), its output fields and compute(input, params), which returns the
+ * indicator's series (oldest first, last element = current value).
+ *
+ * - Core indicators (rsi, macd, bollinger, kdj, atr, ema) are always computed:
+ *   scoring, the sniper engine and the learning modules read their fields
+ *   directly, so only their periods can change.
+ * - Extra indicators are computed when listed in INDICATORS_ENABLED and land in
+ *   indicators.extra[id]. Those with a score() take part in predictNextMove with
+ *   their declared weight (INDICATOR_WEIGHTS overrides it) - registering one is
+ *   all it takes for a new indicator to move signals.
+ *
+ * Periods come from INDICATOR_PARAMS entries `[interval:]indicator.param=value`
+ * (e.g. `rsi.period=21,4h:ema.slow=100`); interval entries win over global ones.
+ */
+
+const {
+  RSI,
+  MACD,
+  BollingerBands,
+  Stochastic,
+  ATR,
+  EMA,
+  ADX,
+  OBV,
+  IchimokuCloud,
+  KeltnerChannels
+} = require('technicalindicators');
+const { getConfig } = require('./config');
+
+const MAX_WEIGHT = 50;
+
+const registry = new Map(); // id -> definition
+
+/**
+ * Register an indicator
+ * @param {Object} definition - { id, label, core, inputs, params: { name: { default, min, max, integer } },
+ *   outputs, compute(input, params) -> series, check?(params) -> error message, weight?, score?(value, { price }) -> { bias (-1..1), reason } }
+ */
+function registerIndicator(definition) {
+  const { id, inputs, params, outputs, compute } = definition;
+  if (!id || !/^[a-z][a-z0-9]*$/.test(id)) throw new Error(`Indicator id must be lowercase letters/digits (got "${id}")`);
+  if (!Array.isArray(inputs) || !Array.isArray(outputs) || typeof compute !== 'function') {
+    throw new Error(`Indicator ${id} needs inputs, outputs and compute()`);
+  }
+  registry.set(id, { core: false, params: {}, weight: 0, ...definition, params: params || {} });
+}
+
+function getIndicator(id) {
+  return registry.get(id) || null;
+}
+
+function listIndicators() {
+  return [...registry.values()];
+}
+
+// === Core ===
+
+registerIndicator({
+  id: 'rsi',
+  label: 'RSI',
+  core: true,
+  inputs: ['close'],
+  params: { period: { default: 14, min: 2, max: 100, integer: true } },
+  outputs: ['rsi'],
+  compute: ({ close }, p) => RSI.calculate({ values: close, period: p.period })
+});
+
+registerIndicator({
+  id: 'macd',
+  label: 'MACD',
+  core: true,
+  inputs: ['close'],
+  params: {
+    fast: { default: 12, min: 2, max: 100, integer: true },
+    slow: { default: 26, min: 3, max: 200, integer: true },
+    signal: { default: 9, min: 2, max: 50, integer: true }
+  },
+  outputs: ['MACD', 'signal', 'histogram'],
+  check: p => (p.fast >= p.slow ? 'fast must be shorter than slow' : null),
+  compute: ({ close }, p) => MACD.calculate({
+    values: close,
+    fastPeriod: p.fast,
+    slowPeriod: p.slow,
+    signalPeriod: p.signal,
+    SimpleMAOscillator: false,
+    SimpleMASignal: false
+  })
+});
+
+registerIndicator({
+  id: 'bollinger',
+  label: 'Bollinger Bands',
+  core: true,
+  inputs: ['close'],
+  params: {
+    period: { default: 20, min: 2, max: 200, integer: true },
+    stdDev: { default: 2, min: 0.5, max: 5 }
+  },
+  outputs: ['upper', 'middle', 'lower', 'pb'],
+  compute: ({ close }, p) => BollingerBands.calculate({ values: close, period: p.period, stdDev: p.stdDev })
+});
+
+registerIndicator({
+  id: 'kdj',
+  label: 'KDJ (stochastic)',
+  core: true,
+  inputs: ['high', 'low', 'close'],
+  params: {
+    period: { default: 9, min: 2, max: 100, integer: true },
+    signal: { default: 3, min: 1, max: 20, integer: true }
+  },
+  outputs: ['k', 'd', 'j'],
+  compute: ({ high, low, close }, p) => Stochastic.calculate({ high, low, close, period: p.period, signalPeriod: p.signal })
+});
+
+registerIndicator({
+  id: 'atr',
+  label: 'ATR',
+  core: true,
+  inputs: ['high', 'low', 'close'],
+  params: { period: { default: 14, min: 2, max: 100, integer: true } },
+  outputs: ['atr'],
+  compute: ({ high, low, close }, p) => ATR.calculate({ high, low, close, period: p.period })
+});
+
+// The fast/medium/slow EMAs keep their ema20/ema50/ema200 field names whatever their periods
+registerIndicator({
+  id: 'ema',
+  label: 'EMA trend (fast/medium/slow)',
+  core: true,
+  inputs: ['close'],
+  params: {
+    fast: { default: 20, min: 2, max: 500, integer: true },
+    medium: { default: 50, min: 3, max: 500, integer: true },
+    slow: { default: 200, min: 4, max: 500, integer: true }
+  },
+  outputs: ['ema20', 'ema50', 'ema200'],
+  check: p => (p.fast >= p.medium || p.medium >= p.slow ? 'periods must be fast < medium < slow' : null),
+  compute: ({ close }, p) => {
+    const fast = EMA.calculate({ values: close, period: p.fast });
+    const medium = EMA.calculate({ values: close, period: p.medium });
+    const slow = EMA.calculate({ values: close, period: p.slow });
+    // Aligned on the last candle; the longer EMAs start later
+    return fast.map((value, i) => ({
+      fast: value,
+      medium: medium.at(i - fast.length),
+      slow: slow.at(i - fast.length) ?? null
+    }));
+  }
+});
+
+// === Extra ===
+
+registerIndicator({
+  id: 'vwap',
+  label: 'Rolling VWAP',
+  inputs: ['high', 'low', 'close', 'volume'],
+  params: { period: { default: 96, min: 5, max: 1000, integer: true } },
+  outputs: ['vwap', 'deviationPct'],
+  weight: 6,
+  compute: ({ high, low, close, volume }, p) => {
+    const series = [];
+    let pv = 0;
+    let vol = 0;
+    for (let i = 0; i < close.length; i++) {
+      pv += ((high[i] + low[i] + close[i]) / 3) * volume[i];
+      vol += volume[i];
+      if (i >= p.period) {
+        const out = i - p.period;
+        pv -= ((high[out] + low[out] + close[out]) / 3) * volume[out];
+        vol -= volume[out];
+      }
+      if (i >= p.period - 1 && vol > 0) {
+        const vwap = pv / vol;
+        series.push({ vwap, deviationPct: ((close[i] - vwap) / vwap) * 100 });
+      }
+    }
+    return series;
+  },
+  // Above VWAP = buyers in control; full weight at 2% away
+  score: ({ deviationPct }) => {
+    const bias = clamp(deviationPct / 2);
+    return { bias, reason: Math.abs(bias) >= 0.5 ? `Price ${deviationPct > 0 ? 'above' : 'below'} VWAP (${deviationPct.toFixed(1)}%)` : null };
+  }
+});
+
+registerIndicator({
+  id: 'ichimoku',
+  label: 'Ichimoku Cloud',
+  inputs: ['high', 'low', 'close'],
+  params: {
+    conversion: { default: 9, min: 2, max: 100, integer: true },
+    base: { default: 26, min: 2, max: 200, integer: true },
+    span: { default: 52, min: 2, max: 300, integer: true },
+    displacement: { default: 26, min: 1, max: 200, integer: true }
+  },
+  outputs: ['conversion', 'base', 'spanA', 'spanB', 'cloudTop', 'cloudBottom'],
+  compute: ({ high, low }, p) => {
+    const series = IchimokuCloud.calculate({
+      high,
+      low,
+      conversionPeriod: p.conversion,
+      basePeriod: p.base,
+      spanPeriod: p.span,
+      displacement: p.displacement
+    });
+    // spanA/spanB are the leading spans; the cloud under the current candle was plotted `displacement` candles ago
+    return series.slice(p.displacement).map((point, i) => {
+      const plotted = series[i];
+      return {
+        ...point,
+        cloudTop: Math.max(plotted.spanA, plotted.spanB),
+        cloudBottom: Math.min(plotted.spanA, plotted.spanB)
+      };
+    });
+  },
+  weight: 10,
+  score: ({ conversion, base, cloudTop, cloudBottom }, { price }) => {
+    let bias = 0;
+    if (price > cloudTop) bias += 0.5;
+    else if (price < cloudBottom) bias -= 0.5;
+    if (conversion > base) bias += 0.5;
+    else if (conversion < base) bias -= 0.5;
+    const reason = bias >= 1 ? 'Ichimoku bullish (above cloud, TK cross up)'
+      : bias <= -1 ? 'Ichimoku bearish (below cloud, TK cross down)'
+        : null;
+    return { bias, reason };
+  }
+});
+
+registerIndicator({
+  id: 'adx',
+  label: 'ADX / DMI',
+  inputs: ['high', 'low', 'close'],
+  params: { period: { default: 14, min: 2, max: 100, integer: true } },
+  outputs: ['adx', 'pdi', 'mdi'],
+  weight: 8,
+  compute: ({ high, low, close }, p) => ADX.calculate({ high, low, close, period: p.period }),
+  // Direction from the DIs, strength from ADX: nothing below 20, full weight at 40
+  score: ({ adx, pdi, mdi }) => {
+    if (!(adx >= 20) || pdi === mdi) return null;
+    const strength = Math.min(1, (adx - 20) / 20);
+    const bias = (pdi > mdi ? 1 : -1) * strength;
+    return { bias, reason: adx >= 25 ? `ADX ${adx.toFixed(0)} ${pdi > mdi ? 'uptrend' : 'downtrend'} strength` : null };
+  }
+});
+
+registerIndicator({
+  id: 'supertrend',
+  label: 'SuperTrend',
+  inputs: ['high', 'low', 'close'],
+  params: {
+    period: { default: 10, min: 2, max: 100, integer: true },
+    multiplier: { default: 3, min: 0.5, max: 10 }
+  },
+  outputs: ['value', 'direction', 'flipped'],
+  weight: 10,
+  compute: ({ high, low, close }, p) => {
+    const atr = ATR.calculate({ high, low, close, period: p.period });
+    const offset = close.length - atr.length; // atr[i] belongs to candle i + offset
+    const series = [];
+    let upper;
+    let lower;
+    let direction = 'up';
+    for (let i = 0; i < atr.length; i++) {
+      const c = i + offset;
+      const mid = (high[c] + low[c]) / 2;
+      const basicUpper = mid + p.multiplier * atr[i];
+      const basicLower = mid - p.multiplier * atr[i];
+      const previous = direction;
+      if (upper !== undefined && close[c] > upper) direction = 'up';
+      else if (lower !== undefined && close[c] < lower) direction = 'down';
+      // Bands only tighten while price stays on their side
+      upper = upper === undefined || basicUpper < upper || close[c - 1] > upper ? basicUpper : upper;
+      lower = lower === undefined || basicLower > lower || close[c - 1] < lower ? basicLower : lower;
+      series.push({ value: direction === 'up' ? lower : upper, direction, flipped: i > 0 && direction !== previous });
+    }
+    return series;
+  },
+  score: ({ direction, flipped }) => ({
+    bias: direction === 'up' ? (flipped ? 1 : 0.6) : (flipped ? -1 : -0.6),
+    reason: flipped ? `SuperTrend flipped ${direction}` : null
+  })
+});
+
+registerIndicator({
+  id: 'obv',
+  label: 'On-Balance Volume',
+  inputs: ['close', 'volume'],
+  params: { signal: { default: 20, min: 2, max: 200, integer: true } },
+  outputs: ['obv', 'signal'],
+  weight: 6,
+  compute: ({ close, volume }, p) => {
+    const obv = OBV.calculate({ close, volume });
+    const signal = EMA.calculate({ values: obv, period: p.signal });
+    return signal.map((value, i) => ({ obv: obv[i + obv.length - signal.length], signal: value }));
+  },
+  // OBV above its EMA = volume flowing in
+  score: ({ obv, signal }) => {
+    if (obv === signal) return null;
+    return { bias: obv > signal ? 0.5 : -0.5, reason: null };
+  }
+});
+
+registerIndicator({
+  id: 'keltner',
+  label: 'Keltner Channels',
+  inputs: ['high', 'low', 'close'],
+  params: {
+    period: { default: 20, min: 2, max: 200, integer: true },
+    atrPeriod: { default: 10, min: 2, max: 100, integer: true },
+    multiplier: { default: 2, min: 0.5, max: 10 }
+  },
+  outputs: ['upper', 'middle', 'lower'],
+  weight: 8,
+  compute: ({ high, low, close }, p) => KeltnerChannels.calculate({
+    high,
+    low,
+    close,
+    maPeriod: p.period,
+    atrPeriod: p.atrPeriod,
+    useSMA: false,
+    multiplier: p.multiplier
+  }),
+  // Closes outside the channel are breakouts (Bollinger is scored as mean reversion)
+  score: ({ upper, lower }, { price }) => {
+    if (price > upper) return { bias: 1, reason: 'Close above Keltner channel' };
+    if (price < lower) return { bias: -1, reason: 'Close below Keltner channel' };
+    return null;
+  }
+});
+
+registerIndicator({
+  id: 'donchian',
+  label: 'Donchian Channel',
+  inputs: ['high', 'low'],
+  params: { period: { default: 20, min: 2, max: 500, integer: true } },
+  outputs: ['upper', 'lower', 'middle'],
+  weight: 8,
+  // The channel of the `period` candles before each one, so a new high is a breakout
+  compute: ({ high, low }, p) => {
+    const series = [];
+    for (let i = p.period; i < high.length; i++) {
+      const upper = Math.max(...high.slice(i - p.period, i));
+      const lower = Math.min(...low.slice(i - p.period, i));
+      series.push({ upper, lower, middle: (upper + lower) / 2 });
+    }
+    return series;
+  },
+  score: ({ upper, lower }, { price }) => {
+    if (price > upper) return { bias: 1, reason: 'Donchian breakout (new high)' };
+    if (price < lower) return { bias: -1, reason: 'Donchian breakdown (new low)' };
+    return null;
+  }
+});
+
+function clamp(value, min = -1, max = 1) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// === Settings ===
+
+function defaultParams(definition) {
+  return Object.fromEntries(Object.entries(definition.params).map(([name, spec]) => [name, spec.default]));
+}
+
+/**
+ * Parse INDICATOR_PARAMS entries (`[interval:]indicator.param=value`)
+ * @returns {Object} { '*': { rsi: { period: 21 } }, '4h': { ... } }
+ * @throws {Error} on unknown indicators/params, out-of-range values or invalid combinations
+ */
+function parseIndicatorParams(entries = []) {
+  const scopes = {};
+  for (const entry of entries) {
+    const match = /^(?:([0-9]+[a-zA-Z]):)?([a-z0-9]+)\.([a-zA-Z]+)=(.+)$/.exec(String(entry).trim());
+    if (!match) throw new Error(`"${entry}" is not [interval:]indicator.param=value`);
+    const [, scope = '*', id, name, raw] = match;
+    const definition = getIndicator(id);
+    if (!definition) throw new Error(`unknown indicator "${id}" in "${entry}"`);
+    const spec = definition.params[name];
+    if (!spec) throw new Error(`${id} has no "${name}" parameter (has ${Object.keys(definition.params).join(', ')})`);
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (spec.integer && !Number.isInteger(value))) {
+      throw new Error(`${id}.${name} must be a ${spec.integer ? 'whole ' : ''}number (got "${raw}")`);
+    }
+    if (value < spec.min || value > spec.max) throw new Error(`${id}.${name} must be between ${spec.min} and ${spec.max} (got ${value})`);
+    scopes[scope] = scopes[scope] || {};
+    scopes[scope][id] = { ...scopes[scope][id], [name]: value };
+  }
+
+  // Check every scope as it resolves (an interval's overrides sit on the global ones)
+  for (const scope of Object.keys(scopes)) {
+    for (const id of new Set([...Object.keys(scopes['*'] || {}), ...Object.keys(scopes[scope])])) {
+      const definition = getIndicator(id);
+      const params = { ...defaultParams(definition), ...scopes['*']?.[id], ...scopes[scope][id] };
+      const problem = definition.check?.(params);
+      if (problem) throw new Error(`${scope === '*' ? '' : `${scope}:`}${id}: ${problem}`);
+    }
+  }
+  return scopes;
+}
+
+/**
+ * Parse INDICATOR_WEIGHTS entries (`indicator=weight`)
+ * @returns {Object} { id: weight }
+ */
+function parseIndicatorWeights(entries = []) {
+  const weights = {};
+  for (const entry of entries) {
+    const [id, raw] = String(entry).split('=').map(s => s.trim());
+    const definition = getIndicator(id);
+    if (!definition?.score) throw new Error(`"${id}" is not a scored extra indicator`);
+    const weight = Number(raw);
+    if (!Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      throw new Error(`${id} weight must be between 0 and ${MAX_WEIGHT} (got "${raw}")`);
+    }
+    weights[id] = weight;
+  }
+  return weights;
+}
+
+/**
+ * Check INDICATORS_ENABLED ids
+ */
+function checkEnabledIndicators(ids = []) {
+  for (const id of ids) {
+    const definition = getIndicator(id);
+    if (!definition) throw new Error(`unknown indicator "${id}"`);
+    if (definition.core) throw new Error(`${id} is a core indicator and always computed`);
+  }
+  return ids;
+}
+
+// Parsed settings, re-parsed only when a setting changes (getConfig returns the same array until then)
+let parsedFrom = null;
+let parsed = null;
+
+function getSettings() {
+  const raw = [getConfig('INDICATORS_ENABLED'), getConfig('INDICATOR_PARAMS'), getConfig('INDICATOR_WEIGHTS')];
+  if (!parsedFrom || raw.some((value, i) => value !== parsedFrom[i])) {
+    parsed = {
+      enabled: raw[0],
+      params: parseIndicatorParams(raw[1]),
+      weights: parseIndicatorWeights(raw[2])
+    };
+    parsedFrom = raw;
+  }
+  return parsed;
+}
+
+/**
+ * Effective parameters of an indicator on an interval
+ */
+function resolveParams(id, interval = null, settings = getSettings()) {
+  const definition = getIndicator(id);
+  if (!definition) throw new Error(`Unknown indicator: ${id}`);
+  return {
+    ...defaultParams(definition),
+    ...settings.params['*']?.[id],
+    ...(interval && settings.params[interval]?.[id])
+  };
+}
+
+/**
+ * What calculateIndicators computes for an interval
+ * @returns {Object} { interval, core: { id: params }, extra: { id: { params, weight } } }
+ */
+function getIndicatorSet(interval = null) {
+  const settings = getSettings();
+  const core = {};
+  const extra = {};
+  for (const definition of registry.values()) {
+    const params = resolveParams(definition.id, interval, settings);
+    if (definition.core) {
+      core[definition.id] = params;
+    } else if (settings.enabled.includes(definition.id)) {
+      extra[definition.id] = { params, weight: definition.score ? settings.weights[definition.id] ?? definition.weight : 0 };
+    }
+  }
+  return { interval, core, extra };
+}
+
+/**
+ * Compute one indicator
+ * @param {Object} input - { close, high, low, volume } arrays
+ * @returns {Object} { series, value } - value is the last point or null
+ */
+function runIndicator(id, input, params) {
+  const series = getIndicator(id).compute(input, params);
+  return { series, value: series.at(-1) ?? null };
+}
+
+/**
+ * Compute the core set over full arrays (the batch path - see incrementalIndicators for the streaming one)
+ * @param {Object} input - { close, high, low, volume } arrays
+ * @param {Object} core - { id: params } from getIndicatorSet
+ * @returns {Object} { rsiSeries, rsi, macdSeries, macd, bollinger, stoch, atr, ema } - raw last values, null when not enough candles
+ */
+function computeCoreIndicators(input, core) {
+  const { series: rsiSeries, value: rsi } = runIndicator('rsi', input, core.rsi);
+  const { series: macdSeries, value: macd } = runIndicator('macd', input, core.macd);
+  return {
+    rsiSeries,
+    rsi,
+    macdSeries,
+    macd,
+    bollinger: runIndicator('bollinger', input, core.bollinger).value,
+    stoch: runIndicator('kdj', input, core.kdj).value,
+    atr: runIndicator('atr', input, core.atr).value,
+    ema: runIndicator('ema', input, core.ema).value
+  };
+}
+
+/**
+ * Score the extra indicators of an indicators object with their weights
+ * @returns {Object} { bull, bear, reasons, details: [{ id, bias, points }] }
+ */
+function scoreIndicators(indicators) {
+  const result = { bull: 0, bear: 0, reasons: [], details: [] };
+  const set = indicators?.indicatorSet?.extra || {};
+  for (const [id, value] of Object.entries(indicators?.extra || {})) {
+    const definition = getIndicator(id);
+    const weight = set[id]?.weight ?? 0;
+    if (!value || !definition?.score || weight <= 0) continue;
+
+    const read = definition.score(value, { price: indicators.currentPrice });
+    if (!read || !Number.isFinite(read.bias) || read.bias === 0) continue;
+    const points = Number((Math.abs(clamp(read.bias)) * weight).toFixed(2));
+    if (read.bias > 0) result.bull += points;
+    else result.bear += points;
+    if (read.reason) result.reasons.push(read.reason);
+    result.details.push({ id, bias: Number(clamp(read.bias).toFixed(2)), points });
+  }
+  return result;
+}
+
+/**
+ * Registry listing for the API: declared inputs/params/outputs with the
+ * effective values on an interval
+ */
+function describeIndicators(interval = null) {
+  const set = getIndicatorSet(interval);
+  return listIndicators().map(definition => {
+    const effective = set.core[definition.id] || set.extra[definition.id]?.params || resolveParams(definition.id, interval);
+    return {
+      id: definition.id,
+      label: definition.label || definition.id,
+      core: definition.core,
+      enabled: definition.core || Boolean(set.extra[definition.id]),
+      inputs: definition.inputs,
+      params: Object.fromEntries(Object.entries(definition.params).map(([name, spec]) => [
+        name,
+        { value: effective[name], default: spec.default, min: spec.min, max: spec.max, ...(spec.integer && { integer: true }) }
+      ])),
+      outputs: definition.outputs,
+      scored: Boolean(definition.score),
+      ...(definition.score && { weight: getSettings().weights[definition.id] ?? definition.weight, defaultWeight: definition.weight })
+    };
+  });
+}
+
+module.exports = {
+  registerIndicator,
+  getIndicator,
+  listIndicators,
+  parseIndicatorParams,
+  parseIndicatorWeights,
+  checkEnabledIndicators,
+  resolveParams,
+  getIndicatorSet,
+  runIndicator,
+  computeCoreIndicators,
+  scoreIndicators,
+  describeIndicators
+};
@@ -1,82 +1,80 @@
-const {
-  RSI,
-  MACD,
-  BollingerBands,
-  Stochastic,
-  ATR,
-  EMA,
-  SMA
-} = require('technicalindicators');
-
-const LAGOS_FORMATTER = new Intl.DateTimeFormat('en-US', {
-  timeZone: 'Africa/Lagos',
-  weekday: 'short',
-  hour: '2-digit',
-  hour12: false
-});
+const { getEvaluationTime, getUserTimeZone, getZonedParts } = require('./evaluationClock');
+const { getIndicatorSet, runIndicator, computeCoreIndicators } = require('./indicatorRegistry');
+const { updateIncremental } = require('./incrementalIndicators');
+const { inferInterval } = require('./candleStore');
+const { getConfig } = require('./config');
+
 const MIDWEEK_WINDOW_HOURS = 12;
+const DETECTOR_LOOKBACK = 50; // most candles a pattern detector reads (support/resistance)
+
+function toSeries(candles) {
+  return {
+    close: candles.map((c) => c.close),
+    high: candles.map((c) => c.high),
+    low: candles.map((c) => c.low),
+    volume: candles.map((c) => c.volume)
+  };
+}
 
-function calculateIndicators(candles) {
+/**
+ * @param {Array} candles - oldest first
+ * @param {Object} [options]
+ * @param {number} [options.now] - evaluation time (default: from the candles, see evaluationClock)
+ * @param {string} [options.timeZone] - for calendar windows (default USER_TIMEZONE)
+ * @param {string} [options.interval] - picks the interval's INDICATOR_PARAMS (default: from the candle spacing)
+ * @param {string} [options.incremental] - state key (e.g. 'BTCUSDT:15m') to continue the core indicators from the last call;
+ *   the detectors then only read the candles they look back over, so only extra indicators still cost the whole window
+ */
+function calculateIndicators(candles, options = {}) {
   if (!candles || candles.length < 20) {
     return null;
   }
-
-  const closes = candles.map((c) => c.close);
-  const highs = candles.map((c) => c.high);
-  const lows = candles.map((c) => c.low);
-  const volumes = candles.map((c) => c.volume);
+  const evaluatedAt = options.now ?? getEvaluationTime(candles);
+  const timeZone = options.timeZone || getUserTimeZone();
+  const indicatorSet = getIndicatorSet(options.interval || inferInterval(candles));
+  const { core } = indicatorSet;
+
+  // Core set: streamed per symbol/interval when the caller names one (incrementalIndicators), else over the whole window.
+  // Streamed, the detectors below get the last DETECTOR_LOOKBACK candles - all they read - and the whole window
+  // is only turned into series for extra indicators.
+  const incremental = options.incremental && getConfig('INCREMENTAL_INDICATORS');
+  const recent = incremental ? candles.slice(-DETECTOR_LOOKBACK) : candles;
+  const hasExtras = Object.keys(indicatorSet.extra).length > 0;
+  const input = !incremental || hasExtras ? toSeries(candles) : null;
+  const { close: closes, volume: volumes } = incremental ? toSeries(recent) : input;
   const currentPrice = closes.at(-1);
 
-  // RSI
-  const rsiSeries = RSI.calculate({ values: closes, period: 14 });
-  const rsi = rsiSeries.at(-1);
+  const values = incremental
+    ? updateIncremental(options.incremental, candles, core)
+    : computeCoreIndicators(input, core);
+  const { rsiSeries, rsi, macdSeries } = values;
 
   // MACD
-  const macdSeries = MACD.calculate({
-    values: closes,
-    fastPeriod: 12,
-    slowPeriod: 26,
-    signalPeriod: 9,
-    SimpleMAOscillator: false,
-    SimpleMASignal: false
-  });
-  const macd = macdSeries.at(-1) || { MACD: 0, signal: 0, histogram: 0 };
+  const macd = values.macd || { MACD: 0, signal: 0, histogram: 0 };
 
   // Bollinger Bands
-  const bbSeries = BollingerBands.calculate({
-    values: closes,
-    period: 20,
-    stdDev: 2
-  });
-  const bollinger = bbSeries.at(-1) || { upper: null, lower: null, middle: null };
+  const bollinger = { ...(values.bollinger || { upper: null, lower: null, middle: null }) };
   if (bollinger.upper && bollinger.lower) {
     bollinger.pb = (currentPrice - bollinger.lower) / (bollinger.upper - bollinger.lower);
   }
 
   // Stochastic / KDJ
-  const stochSeries = Stochastic.calculate({
-    high: highs,
-    low: lows,
-    close: closes,
-    period: 9,
-    signalPeriod: 3
-  });
-  const stoch = stochSeries.at(-1) || { k: 50, d: 50 };
+  const stoch = values.stoch || { k: 50, d: 50 };
   const kdj = { k: stoch.k, d: stoch.d, j: 3 * stoch.k - 2 * stoch.d };
 
   // ATR for volatility-based SL/TP
-  const atrSeries = ATR.calculate({
-    high: highs,
-    low: lows,
-    close: closes,
-    period: 14
-  });
-  const atr = atrSeries.at(-1) || 0;
+  const atr = values.atr || 0;
 
-  // EMAs for trend
-  const ema20 = EMA.calculate({ values: closes, period: 20 }).at(-1);
-  const ema50 = EMA.calculate({ values: closes, period: 50 }).at(-1);
-  const ema200 = closes.length >= 200 ? EMA.calculate({ values: closes, period: 200 }).at(-1) : null;
+  // EMAs for trend (fast/medium/slow keep their ema20/ema50/ema200 names)
+  const ema20 = values.ema?.fast;
+  const ema50 = values.ema?.medium;
+  const ema200 = values.ema?.slow ?? null;
+
+  // Extra indicators from INDICATORS_ENABLED (scored by predictNextMove through the registry)
+  const extra = {};
+  for (const id of Object.keys(indicatorSet.extra)) {
+    extra[id] = runIndicator(id, input, indicatorSet.extra[id].params).value;
+  }
 
   // Trend direction
   const trend = determineTrend(currentPrice, ema20, ema50, ema200);
@@ -88,13 +86,13 @@ function calculateIndicators(candles) {
   const volumeSpike = volumeRatio > 2;
 
   // Support & Resistance
-  const { support, resistance } = findSupportResistance(candles);
+  const { support, resistance } = findSupportResistance(recent, DETECTOR_LOOKBACK);
 
   // Breakout detection
-  const breakout = detectBreakout(candles);
+  const breakout = detectBreakout(recent);
 
   // Candlestick patterns
-  const patterns = detectPatterns(candles);
+  const patterns = detectPatterns(recent);
 
   // === PREDICTIVE/SNIPER FEATURES ===
 
@@ -102,10 +100,10 @@ function calculateIndicators(candles) {
   const divergence = detectDivergence(closes, rsiSeries, macdSeries);
 
   // 2. Volume Accumulation Detection (smart money moving before price)
-  const volumeAccumulation = detectVolumeAccumulation(candles, volumes, avgVolume);
+  const volumeAccumulation = detectVolumeAccumulation(recent, volumes, avgVolume);
 
   // 3. Early Breakout Detection (price building pressure near key levels)
-  const earlyBreakout = detectEarlyBreakout(candles, support, resistance, atr, volumeRatio);
+  const earlyBreakout = detectEarlyBreakout(recent, support, resistance, atr, volumeRatio);
 
   // 4. Momentum Building Detection
   const momentumBuilding = detectMomentumBuilding(closes, rsiSeries, macdSeries, volumes);
@@ -113,11 +111,11 @@ function calculateIndicators(candles) {
   // 5. Squeeze Detection (low volatility before big move)
   const squeeze = detectSqueeze(bollinger, atr, closes);
 
-  // 6. Midweek reversal detection (Wed Lagos time, 12h V/U/W patterns)
-  const midweekReversal = detectMidweekReversal(candles, trend, atr, currentPrice);
+  // 6. Midweek reversal detection (Wednesday in USER_TIMEZONE, 12h V/U/W patterns)
+  const midweekReversal = detectMidweekReversal(candles, trend, atr, currentPrice, { at: evaluatedAt, timeZone });
 
   // 7. Volume Surge Detection (rapid volume acceleration — meme coin pump detector)
-  const volumeSurge = detectVolumeSurge(candles, volumes, avgVolume);
+  const volumeSurge = detectVolumeSurge(recent, volumes, avgVolume);
 
   // Combine into sniper signals
   const sniperSignals = {
@@ -165,7 +163,13 @@ function calculateIndicators(candles) {
     sniperSignals,
     midweekReversal,
     // Volume surge data for meme coin detection
-    volumeSurge: volumeSurge
+    volumeSurge: volumeSurge,
+    // Registry indicators beyond the core set, and the periods/weights everything was computed with
+    extra,
+    indicatorSet,
+    // The moment this analysis is as of - time-dependent scoring downstream reads it
+    evaluatedAt,
+    timeZone
   };
 }
 
@@ -422,27 +426,22 @@ function detectSqueeze(bollinger, atr, closes) {
   return { inSqueeze, strength, bbWidth: round(bbWidth * 100, 2) };
 }
 
-function detectMidweekReversal(candles, trend, atr, currentPrice) {
+function detectMidweekReversal(candles, trend, atr, currentPrice, { at, timeZone } = {}) {
   if (!candles || candles.length < 6) {
     return { windowActive: false, detected: false, shape: null, strength: 0, windowHours: MIDWEEK_WINDOW_HOURS };
   }
 
-  const lastCandle = candles.at(-1);
-  const lastTime = lastCandle?.closeTime || lastCandle?.openTime;
-  if (!lastTime) {
-    return { windowActive: false, detected: false, shape: null, strength: 0, windowHours: MIDWEEK_WINDOW_HOURS };
-  }
-
-  const windowActive = isMidweekWindowLagos(lastTime);
+  const lastTime = at ?? getEvaluationTime(candles);
+  const windowActive = isMidweekWindow(lastTime, timeZone || getUserTimeZone());
   if (!windowActive) {
     return { windowActive: false, detected: false, shape: null, strength: 0, windowHours: MIDWEEK_WINDOW_HOURS };
   }
 
-  const windowMs = MIDWEEK_WINDOW_HOURS * 60 * 60 * 1000;
-  const windowCandles = candles.filter((c) => {
-    const ts = c.closeTime || c.openTime || 0;
-    return ts >= lastTime - windowMs;
-  });
+  // Candles are oldest first, so the window is a tail - walk back to its start instead of scanning them all
+  const windowStart = lastTime - MIDWEEK_WINDOW_HOURS * 60 * 60 * 1000;
+  let first = candles.length;
+  while (first > 0 && (candles[first - 1].closeTime || candles[first - 1].openTime || 0) >= windowStart) first--;
+  const windowCandles = candles.slice(first);
 
   if (windowCandles.length < 6) {
     return { windowActive, detected: false, shape: null, strength: 0, windowHours: MIDWEEK_WINDOW_HOURS };
@@ -670,22 +669,8 @@ function findMinInRange(values, start, end) {
   return { value: min, index: idx };
 }
 
-function isMidweekWindowLagos(timestamp) {
-  const { weekdayIndex, hour } = getLagosWeekdayHour(timestamp);
-  if (weekdayIndex === 3) return true; // Wednesday only
-  return false;
-}
-
-function getLagosWeekdayHour(timestamp) {
-  const parts = LAGOS_FORMATTER.formatToParts(new Date(timestamp));
-  let weekday = null;
-  let hour = null;
-  for (const part of parts) {
-    if (part.type === 'weekday') weekday = part.value;
-    if (part.type === 'hour') hour = Number(part.value);
-  }
-  const map = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
-  return { weekdayIndex: map[weekday] ?? -1, hour: Number.isFinite(hour) ? hour : 0 };
+function isMidweekWindow(timestamp, timeZone) {
+  return getZonedParts(timestamp, timeZone).weekdayIndex === 3; // Wednesday only
 }
 
 // Detect rapid volume surge (volume accelerating across candles — meme/alpha pump detector)
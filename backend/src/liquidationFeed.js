@@ -0,0 +1,537 @@
+/**
+ * Liquidation Feed - market-wide forced orders and liquidation-cluster heatmap
+ *
+ * Realized liquidations come from the `!forceOrder@arr` stream (every symbol,
+ * at most one event per symbol per second - the largest of that second), or,
+ * as Binance has no REST history of forced orders, from a recorded replay
+ * (LIQUIDATION_REPLAY_FILE or POST /api/liquidations/replay). They are kept
+ * per symbol for LIQUIDATION_WINDOW_MS and bucketed by price and side.
+ *
+ * Unrealized liquidations are estimated per tracked symbol: open interest and
+ * the long/short account ratio from getLeverageAnalysis are spread over the
+ * last day's 15m candles by volume (positions were opened where volume
+ * traded), split across common leverage tiers and turned into liquidation
+ * prices. Levels price has already crossed since the entry candle are gone.
+ * The biggest remaining clusters above (shorts) and below (longs) price are
+ * the "liquidity magnets" price tends to be pulled into - the sniper engine
+ * reads them from indicators.liquidations.
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+const binance = require('./binance');
+const { getExchange } = require('./exchanges');
+const { getLeverageAnalysis } = require('./fundingRates');
+const { getLiquidationPrice } = require('./executionModel');
+const { getConfig } = require('./config');
+
+const STREAM_BASE = getConfig('BINANCE_STREAM_URL');
+const WINDOW_MS = getConfig('LIQUIDATION_WINDOW_MS');
+const CLUSTER_REFRESH_MS = getConfig('LIQUIDATION_CLUSTER_REFRESH_MS');
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60_000;
+const STALE_CONNECTION_MS = 5 * 60_000; // quiet markets can go minutes without a liquidation
+const MAX_EVENTS_PER_SYMBOL = 5000;
+const MAX_CLUSTER_SYMBOLS = 25;
+const CLUSTER_INTERVAL = '15m';
+const CLUSTER_CANDLES = 96; // one day of entries
+const MAINTENANCE_MARGIN_RATE = 0.005;
+// Rough split of open interest by leverage
+const LEVERAGE_TIERS = [
+  { leverage: 10, share: 0.4 },
+  { leverage: 25, share: 0.3 },
+  { leverage: 50, share: 0.2 },
+  { leverage: 100, share: 0.1 }
+];
+const MAGNET_RANGE_PCT = 10; // clusters further away are not magnets
+const MAX_MAGNETS = 3;
+const RECENT_MS = 60 * 60_000;
+
+// State
+const events = new Map(); // symbol -> [{ time, side, price, quantity, usd }] oldest first
+const clusters = new Map(); // symbol -> { levels, price, openInterest, longShare, updatedAt }
+let symbols = [];
+let mode = 'off';
+let onLiquidation = null;
+let conn = null;
+let clusterTimer = null;
+let refreshing = false;
+let watchdogTimer = null;
+let running = false;
+
+const stats = {
+  events: 0,
+  replayed: 0,
+  clusterRefreshes: 0,
+  reconnects: 0,
+  errors: 0,
+  startedAt: null
+};
+
+function round(value, decimals = 4) {
+  if (value === undefined || value === null || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// ===== Realized liquidations =====
+
+// Accepts stream payloads ({ e: 'forceOrder', o }), bare orders ({ s, S, ap, z, T })
+// and the normalized shape ({ symbol, side: 'long'|'short', price, quantity, time })
+function normalizeEvent(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const event = raw.o ? binance.parseStreamForceOrder(raw.o) : raw.s ? binance.parseStreamForceOrder(raw) : raw;
+  const symbol = String(event.symbol || '').toUpperCase();
+  const price = Number(event.price);
+  const quantity = Number(event.quantity);
+  const time = Number(event.time) || Date.now();
+  if (!symbol || !['long', 'short'].includes(event.side) || !(price > 0) || !(quantity > 0)) return null;
+  return { symbol, time, side: event.side, price, quantity, usd: price * quantity };
+}
+
+function pruneEvents(list, now = Date.now()) {
+  const cutoff = now - WINDOW_MS;
+  let drop = 0;
+  while (drop < list.length && list[drop].time < cutoff) drop++;
+  if (list.length - drop > MAX_EVENTS_PER_SYMBOL) drop = list.length - MAX_EVENTS_PER_SYMBOL;
+  if (drop > 0) list.splice(0, drop);
+}
+
+/**
+ * Add liquidation events (any shape normalizeEvent accepts)
+ * @returns {Array} the events that were kept, normalized
+ */
+function ingestLiquidations(list = []) {
+  const kept = [];
+  const touched = new Set();
+  for (const raw of list) {
+    const event = normalizeEvent(raw);
+    if (!event) continue;
+    const { symbol, ...entry } = event;
+    if (!events.has(symbol)) events.set(symbol, []);
+    const symbolEvents = events.get(symbol);
+    symbolEvents.push(entry);
+    // Replays can arrive out of order
+    if (symbolEvents.length > 1 && symbolEvents.at(-2).time > entry.time) symbolEvents.sort((a, b) => a.time - b.time);
+    touched.add(symbol);
+    kept.push(event);
+  }
+  touched.forEach(symbol => pruneEvents(events.get(symbol)));
+  stats.events += kept.length;
+  return kept;
+}
+
+/**
+ * Replay recorded liquidations, shifted in time so the latest lands now
+ * (replays recorded days ago would otherwise fall outside the window)
+ * @param {Array} list - events in any shape normalizeEvent accepts
+ * @param {Object} [options] - { shift: false to keep the recorded times }
+ */
+function replayLiquidations(list = [], { shift = true } = {}) {
+  if (!Array.isArray(list)) {
+    const err = new Error('events must be an array of liquidation events');
+    err.status = 400;
+    throw err;
+  }
+  let normalized = list.map(normalizeEvent).filter(Boolean);
+  if (shift && normalized.length > 0) {
+    const offset = Date.now() - Math.max(...normalized.map(e => e.time));
+    normalized = normalized.map(e => ({ ...e, time: e.time + offset }));
+  }
+  const kept = ingestLiquidations(normalized);
+  stats.replayed += kept.length;
+  return { ingested: kept.length, skipped: list.length - kept.length, symbols: new Set(kept.map(e => e.symbol)).size };
+}
+
+function loadReplayFile(file) {
+  const list = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return replayLiquidations(Array.isArray(list) ? list : list.events);
+}
+
+// ===== Estimated clusters =====
+
+/**
+ * Estimate where open positions get liquidated
+ * @param {Array} candles - recent candles, oldest first (entries are assumed to follow their volume)
+ * @param {Object} positioning - { openInterest (base asset), longShare (0-1, default 0.5) }
+ * @returns {Array} [{ price, side: 'long'|'short', usd, leverage }] for levels not yet crossed
+ */
+function estimateLiquidationClusters(candles = [], { openInterest, longShare = 0.5 } = {}) {
+  const totalVolume = candles.reduce((sum, c) => sum + (c.volume || 0), 0);
+  if (!(openInterest > 0) || !(totalVolume > 0)) return [];
+
+  // Lowest low / highest high after each candle: anything past them was already liquidated
+  const lowAfter = new Array(candles.length).fill(Infinity);
+  const highAfter = new Array(candles.length).fill(0);
+  for (let i = candles.length - 2; i >= 0; i--) {
+    lowAfter[i] = Math.min(lowAfter[i + 1], candles[i + 1].low);
+    highAfter[i] = Math.max(highAfter[i + 1], candles[i + 1].high);
+  }
+
+  const levels = [];
+  candles.forEach((candle, i) => {
+    if (!(candle.volume > 0)) return;
+    const entry = (candle.high + candle.low + candle.close) / 3;
+    const usd = openInterest * (candle.volume / totalVolume) * entry;
+    for (const { leverage, share } of LEVERAGE_TIERS) {
+      const longPrice = getLiquidationPrice('long', entry, leverage, MAINTENANCE_MARGIN_RATE);
+      if (longPrice < lowAfter[i]) levels.push({ price: longPrice, side: 'long', usd: usd * longShare * share, leverage });
+      const shortPrice = getLiquidationPrice('short', entry, leverage, MAINTENANCE_MARGIN_RATE);
+      if (shortPrice > highAfter[i]) levels.push({ price: shortPrice, side: 'short', usd: usd * (1 - longShare) * share, leverage });
+    }
+  });
+  return levels;
+}
+
+async function refreshClusters(symbol) {
+  const [leverage, candles] = await Promise.all([
+    getLeverageAnalysis(symbol),
+    getExchange().getCandles(symbol, CLUSTER_INTERVAL, CLUSTER_CANDLES)
+  ]);
+  if (!leverage.openInterest || candles.length === 0) return null;
+
+  const longShare = leverage.longShortRatio?.longAccount ?? 0.5;
+  const entry = {
+    levels: estimateLiquidationClusters(candles, { openInterest: leverage.openInterest, longShare }),
+    price: candles.at(-1).close,
+    openInterest: leverage.openInterest,
+    longShare,
+    updatedAt: Date.now()
+  };
+  clusters.set(symbol, entry);
+  stats.clusterRefreshes++;
+  return entry;
+}
+
+async function refreshAllClusters() {
+  if (refreshing) return;
+  refreshing = true;
+  // Sequential - getLeverageAnalysis is several requests per symbol
+  for (const symbol of symbols.slice(0, MAX_CLUSTER_SYMBOLS)) {
+    if (!running) break;
+    try {
+      await refreshClusters(symbol);
+    } catch (err) {
+      stats.errors++;
+      console.error(`[LIQUIDATIONS] ${symbol} cluster estimate failed:`, err.message);
+    }
+  }
+  refreshing = false;
+}
+
+// ===== Heatmap =====
+
+function bucketize(items, price, bucketPct) {
+  const size = price * bucketPct / 100;
+  const buckets = new Map(); // index -> { long, short, count }
+  for (const item of items) {
+    const index = Math.floor(item.price / size);
+    if (!buckets.has(index)) buckets.set(index, { longUsd: 0, shortUsd: 0, count: 0 });
+    const bucket = buckets.get(index);
+    bucket[item.side === 'long' ? 'longUsd' : 'shortUsd'] += item.usd;
+    bucket.count++;
+  }
+  return Array.from(buckets.entries())
+    .sort((a, b) => b[0] - a[0])
+    .map(([index, bucket]) => ({
+      priceLow: round(index * size, 8),
+      priceHigh: round((index + 1) * size, 8),
+      longUsd: round(bucket.longUsd, 2),
+      shortUsd: round(bucket.shortUsd, 2),
+      totalUsd: round(bucket.longUsd + bucket.shortUsd, 2),
+      count: bucket.count
+    }));
+}
+
+// Biggest estimated clusters on each side of price: shorts above, longs below
+function findMagnets(buckets, price) {
+  const magnet = bucket => {
+    const level = (bucket.priceLow + bucket.priceHigh) / 2;
+    return { price: round(level, 8), usd: bucket.totalUsd, distancePct: round((level - price) / price * 100, 2) };
+  };
+  const inRange = bucket => Math.abs((bucket.priceLow + bucket.priceHigh) / 2 - price) / price * 100 <= MAGNET_RANGE_PCT;
+  const above = buckets.filter(b => b.priceLow > price && b.shortUsd > 0 && inRange(b))
+    .sort((a, b) => b.shortUsd - a.shortUsd).slice(0, MAX_MAGNETS)
+    .map(b => ({ ...magnet(b), usd: b.shortUsd, side: 'short' }));
+  const below = buckets.filter(b => b.priceHigh < price && b.longUsd > 0 && inRange(b))
+    .sort((a, b) => b.longUsd - a.longUsd).slice(0, MAX_MAGNETS)
+    .map(b => ({ ...magnet(b), usd: b.longUsd, side: 'long' }));
+  return { above, below };
+}
+
+function sumEvents(list) {
+  return list.reduce((totals, e) => {
+    totals[e.side === 'long' ? 'longUsd' : 'shortUsd'] += e.usd;
+    totals.count++;
+    return totals;
+  }, { longUsd: 0, shortUsd: 0, count: 0 });
+}
+
+function roundTotals(totals) {
+  return { longUsd: round(totals.longUsd, 2), shortUsd: round(totals.shortUsd, 2), count: totals.count };
+}
+
+/**
+ * Liquidation heatmap for a symbol: realized liquidations and estimated
+ * clusters bucketed by price, plus the liquidity magnets
+ * @param {string} symbol
+ * @param {Object} [options] - { price (reference, default the latest known), bucketPct }
+ * @returns {Object|null} null when nothing is known about the symbol
+ */
+function getLiquidationHeatmap(symbol, options = {}) {
+  const key = symbol.toUpperCase();
+  const realized = events.get(key) || [];
+  pruneEvents(realized);
+  const estimate = clusters.get(key);
+  const price = options.price || estimate?.price || realized.at(-1)?.price;
+  if (!price || (realized.length === 0 && !estimate)) return null;
+
+  const bucketPct = options.bucketPct || getConfig('LIQUIDATION_BUCKET_PCT');
+  const now = Date.now();
+  const estimatedBuckets = estimate ? bucketize(estimate.levels, price, bucketPct) : [];
+
+  return {
+    symbol: key,
+    price,
+    bucketPct,
+    windowMs: WINDOW_MS,
+    realized: {
+      buckets: bucketize(realized, price, bucketPct),
+      totals: roundTotals(sumEvents(realized)),
+      lastHour: roundTotals(sumEvents(realized.filter(e => e.time >= now - RECENT_MS))),
+      largest: [...realized].sort((a, b) => b.usd - a.usd).slice(0, 5).map(e => ({ ...e, usd: round(e.usd, 2) })),
+      lastEventAt: realized.at(-1)?.time || null
+    },
+    estimated: estimate ? {
+      buckets: estimatedBuckets,
+      openInterest: estimate.openInterest,
+      longShare: estimate.longShare,
+      updatedAt: estimate.updatedAt
+    } : null,
+    magnets: findMagnets(estimatedBuckets, price)
+  };
+}
+
+/**
+ * What the sniper engine reads from indicators.liquidations
+ * @returns {Object|null} { magnets: { above, below }, recent: { longUsd, shortUsd, count }, updatedAt }
+ */
+function getLiquidationContext(symbol, price) {
+  const heatmap = getLiquidationHeatmap(symbol, { price });
+  if (!heatmap) return null;
+  return {
+    magnets: heatmap.magnets,
+    recent: heatmap.realized.lastHour,
+    updatedAt: heatmap.estimated?.updatedAt || heatmap.realized.lastEventAt
+  };
+}
+
+/**
+ * Market-wide summary: symbols ranked by liquidated USD in the window
+ */
+function getLiquidationOverview({ limit = 20 } = {}) {
+  const now = Date.now();
+  const ranked = [];
+  for (const [symbol, list] of events) {
+    pruneEvents(list, now);
+    if (list.length === 0) {
+      events.delete(symbol);
+      continue;
+    }
+    const totals = sumEvents(list);
+    ranked.push({
+      symbol,
+      ...roundTotals(totals),
+      totalUsd: round(totals.longUsd + totals.shortUsd, 2),
+      lastHour: roundTotals(sumEvents(list.filter(e => e.time >= now - RECENT_MS))),
+      lastEventAt: list.at(-1).time
+    });
+  }
+  ranked.sort((a, b) => b.totalUsd - a.totalUsd);
+  const totals = ranked.reduce((sum, s) => ({
+    longUsd: sum.longUsd + s.longUsd,
+    shortUsd: sum.shortUsd + s.shortUsd,
+    count: sum.count + s.count
+  }), { longUsd: 0, shortUsd: 0, count: 0 });
+
+  return { windowMs: WINDOW_MS, totals: roundTotals(totals), symbols: ranked.slice(0, limit) };
+}
+
+// ===== Streaming =====
+
+function handleMessage(raw) {
+  conn.lastMessageAt = Date.now();
+
+  let payload;
+  try {
+    payload = JSON.parse(raw.toString());
+  } catch (err) {
+    return;
+  }
+
+  const data = payload?.data || payload;
+  if (data?.e !== 'forceOrder') return;
+  const [event] = ingestLiquidations([data]);
+  if (event && onLiquidation) {
+    try {
+      onLiquidation(event);
+    } catch (err) {
+      console.error('[LIQUIDATIONS] Listener failed:', err.message);
+    }
+  }
+}
+
+function openConnection() {
+  const ws = new WebSocket(`${STREAM_BASE}/stream?streams=!forceOrder@arr`);
+  conn.ws = ws;
+
+  ws.on('open', () => {
+    const isReconnect = conn.hasConnected;
+    conn.hasConnected = true;
+    conn.attempts = 0;
+    conn.lastMessageAt = Date.now();
+    console.log(`[LIQUIDATIONS] forceOrder stream ${isReconnect ? 'reconnected' : 'open'}`);
+  });
+
+  ws.on('message', handleMessage);
+  ws.on('ping', () => {
+    conn.lastMessageAt = Date.now();
+  });
+  ws.on('error', err => {
+    console.warn('[LIQUIDATIONS] Stream error:', err.message);
+  });
+  ws.on('close', () => {
+    if (!conn || conn.ws !== ws) return;
+    conn.ws = null;
+    if (conn.stopped) return;
+    scheduleReconnect();
+  });
+}
+
+function scheduleReconnect() {
+  const backoff = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, conn.attempts));
+  const delay = backoff + Math.floor(Math.random() * 500);
+  conn.attempts++;
+  stats.reconnects++;
+
+  console.warn(`[LIQUIDATIONS] Stream closed - reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${conn.attempts})`);
+  conn.reconnectTimer = setTimeout(() => {
+    conn.reconnectTimer = null;
+    if (!conn.stopped) openConnection();
+  }, delay);
+}
+
+function checkStaleConnection() {
+  if (conn?.ws && conn.ws.readyState === WebSocket.OPEN && Date.now() - conn.lastMessageAt > STALE_CONNECTION_MS) {
+    console.warn(`[LIQUIDATIONS] Stream stale for ${Math.round((Date.now() - conn.lastMessageAt) / 1000)}s - terminating`);
+    conn.ws.terminate(); // close handler schedules the reconnect
+  }
+}
+
+function closeConnection() {
+  if (!conn) return;
+  conn.stopped = true;
+  if (conn.reconnectTimer) clearTimeout(conn.reconnectTimer);
+  if (conn.ws) {
+    try {
+      conn.ws.terminate();
+    } catch (err) {
+      // Already closed
+    }
+  }
+  conn = null;
+}
+
+// ===== Lifecycle =====
+
+/**
+ * Replace the symbols with estimated clusters (realized liquidations are kept for every symbol)
+ */
+function setLiquidationSymbols(next = []) {
+  const wanted = Array.from(new Set(next.map(s => s.toUpperCase())));
+  for (const symbol of Array.from(clusters.keys())) {
+    if (!wanted.includes(symbol)) clusters.delete(symbol);
+  }
+  symbols = wanted;
+  return getLiquidationStatus();
+}
+
+/**
+ * Start the liquidation feed
+ * @param {Object} options
+ * @param {Array<string>} options.symbols - symbols to estimate clusters for
+ * @param {string} [options.mode] - 'stream' (forceOrder WebSocket), 'replay' (LIQUIDATION_REPLAY_FILE) or 'off'
+ * @param {Function} [options.onLiquidation] - (event) => void for each streamed liquidation
+ */
+function startLiquidationFeed({ symbols: list = [], mode: feedMode = 'stream', onLiquidation: listener = null } = {}) {
+  stopLiquidationFeed();
+  mode = ['stream', 'replay'].includes(feedMode) ? feedMode : 'off';
+  onLiquidation = listener;
+  setLiquidationSymbols(list);
+  if (mode === 'off') return getLiquidationStatus();
+
+  running = true;
+  stats.startedAt = Date.now();
+
+  if (mode === 'stream') {
+    conn = { ws: null, attempts: 0, hasConnected: false, stopped: false, reconnectTimer: null, lastMessageAt: Date.now() };
+    openConnection();
+    watchdogTimer = setInterval(checkStaleConnection, 60_000);
+  } else {
+    const file = getConfig('LIQUIDATION_REPLAY_FILE');
+    if (file) {
+      try {
+        const result = loadReplayFile(file);
+        console.log(`[LIQUIDATIONS] Replayed ${result.ingested} liquidations from ${file}`);
+      } catch (err) {
+        stats.errors++;
+        console.error(`[LIQUIDATIONS] Failed to load replay file ${file}:`, err.message);
+      }
+    }
+  }
+
+  console.log(`[LIQUIDATIONS] Feed started (${mode}), estimating clusters for ${Math.min(symbols.length, MAX_CLUSTER_SYMBOLS)} symbols every ${CLUSTER_REFRESH_MS / 1000}s`);
+  refreshAllClusters();
+  clusterTimer = setInterval(refreshAllClusters, CLUSTER_REFRESH_MS);
+  return getLiquidationStatus();
+}
+
+function stopLiquidationFeed() {
+  running = false;
+  closeConnection();
+  if (watchdogTimer) {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  }
+  if (clusterTimer) {
+    clearInterval(clusterTimer);
+    clusterTimer = null;
+  }
+}
+
+function getLiquidationStatus() {
+  return {
+    running,
+    mode,
+    symbols: symbols.length,
+    trackedSymbols: events.size,
+    clusters: Array.from(clusters.entries()).map(([symbol, c]) => ({ symbol, levels: c.levels.length, updatedAt: c.updatedAt })),
+    connected: !!conn?.ws && conn.ws.readyState === WebSocket.OPEN,
+    lastMessageAt: conn?.lastMessageAt || null,
+    stats: { ...stats }
+  };
+}
+
+module.exports = {
+  startLiquidationFeed,
+  stopLiquidationFeed,
+  setLiquidationSymbols,
+  ingestLiquidations,
+  replayLiquidations,
+  estimateLiquidationClusters,
+  refreshClusters,
+  getLiquidationHeatmap,
+  getLiquidationContext,
+  getLiquidationOverview,
+  getLiquidationStatus
+};
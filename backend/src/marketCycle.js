@@ -5,8 +5,13 @@
  * 1. Bitcoin Halving Cycle Position
  * 2. Monthly Seasonality Patterns
  * 3. Macro Trend Context
+ *
+ * Every function takes the date to evaluate (default now); predictNextMove
+ * passes the candles' evaluation time so backtests see the cycle as it was.
  */
 
+const { getZonedParts } = require('./evaluationClock');
+
 // Bitcoin Halving Dates (approximate block times)
 const HALVING_DATES = [
   new Date('2012-11-28'), // 1st halving
@@ -98,7 +103,7 @@ function getCyclePhase(date = new Date()) {
  * Get monthly seasonality data
  */
 function getSeasonality(date = new Date()) {
-  const month = date.getMonth() + 1; // 1-12
+  const month = getZonedParts(date.getTime()).month; // 1-12, in USER_TIMEZONE
   const seasonalBias = MONTHLY_SEASONALITY[month];
 
   const monthNames = ['', 'January', 'February', 'March', 'April', 'May', 'June',
@@ -0,0 +1,693 @@
+/**
+ * Market Microstructure - local order books and aggregated-trade flow
+ *
+ * Keeps, per tracked symbol:
+ * - An order book. Streamed from `<symbol>@depth@500ms` diffs synced to a REST
+ *   snapshot the way Binance futures documents it (buffer events, load the
+ *   snapshot, drop events older than it, the first applied event must span
+ *   its lastUpdateId and every later one's pu must equal the previous u - a
+ *   gap resyncs). When market data is polled, periodic snapshots instead.
+ * - Taker flow from `<symbol>@aggTrade` (or paged REST aggTrades), bucketed
+ *   per minute: cumulative volume delta (taker buys minus taker sells, base
+ *   asset) and taker buy/sell volumes.
+ *
+ * getMicrostructure() turns that into what predictNextMove and the sniper
+ * engine read from indicators.microstructure: spread, bid/ask imbalance near
+ * the mid, liquidity walls (flagged when they sit on the support/resistance
+ * levels from findSupportResistance), CVD over a window with its price
+ * divergence, the taker buy/sell ratio and an overall order-flow bias.
+ */
+
+const WebSocket = require('ws');
+const binance = require('./binance');
+const { getExchange } = require('./exchanges');
+const { getConfig } = require('./config');
+
+const STREAM_BASE = getConfig('BINANCE_STREAM_URL');
+const MAX_SYMBOLS = getConfig('MICROSTRUCTURE_MAX_SYMBOLS');
+const POLL_MS = getConfig('MICROSTRUCTURE_POLL_MS');
+const SYMBOLS_PER_CONNECTION = 100; // depth + aggTrade = 200 streams, the per-connection limit
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60_000;
+const STALE_CONNECTION_MS = 90_000;
+const SNAPSHOT_LIMIT = 500; // levels per side in a stream sync snapshot
+const POLL_SNAPSHOT_LIMIT = 100; // lighter snapshots when polling (request weight 5 vs 10)
+const SNAPSHOT_RETRY_MS = 10_000;
+const MAX_PENDING_EVENTS = 1000; // depth events buffered while a snapshot loads
+const PRUNE_EVERY = 200; // depth events between prunes of far-away levels
+const BOOK_RANGE_PCT = 5; // levels further than this from mid are dropped
+const BUCKET_MS = 60_000; // trade flow resolution
+const MAX_BUCKETS = 60; // an hour of flow, the longest CVD window
+const MAX_TRADE_PAGES = 5; // REST pages per poll before skipping ahead
+const STALE_DATA_MS = 2 * 60_000;
+const WALL_BAND_PCT = 2; // walls are looked for within this % of mid
+const LEVEL_TOLERANCE_PCT = 0.3; // a wall this close to support/resistance sits "on" it
+const MAX_WALLS = 3;
+
+// State
+const books = new Map(); // symbol -> order book
+const flows = new Map(); // symbol -> trade flow
+let symbols = [];
+let mode = 'stream';
+let connections = [];
+let pollTimer = null;
+let polling = false;
+let watchdogTimer = null;
+let running = false;
+
+const stats = {
+  depthEvents: 0,
+  trades: 0,
+  snapshots: 0,
+  resyncs: 0,
+  reconnects: 0,
+  errors: 0,
+  startedAt: null
+};
+
+function round(value, decimals = 4) {
+  if (value === undefined || value === null || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// ===== Order books =====
+
+// state: idle (needs a snapshot) -> sync (snapshot loading, events buffered)
+// -> first (waiting for the event spanning the snapshot) -> live
+function createBook(source) {
+  return {
+    bids: new Map(), // price -> quantity
+    asks: new Map(),
+    lastUpdateId: 0,
+    state: 'idle',
+    pending: [],
+    retryAt: 0,
+    events: 0,
+    updatedAt: null,
+    source
+  };
+}
+
+function loadSnapshot(book, snapshot) {
+  book.bids = new Map(snapshot.bids);
+  book.asks = new Map(snapshot.asks);
+  book.lastUpdateId = snapshot.lastUpdateId;
+  book.updatedAt = snapshot.time || Date.now();
+}
+
+function applyLevels(side, levels) {
+  for (const [price, quantity] of levels) {
+    if (quantity === 0) side.delete(price);
+    else side.set(price, quantity);
+  }
+}
+
+function bestPrices(book) {
+  let bestBid = 0;
+  let bestAsk = Infinity;
+  for (const price of book.bids.keys()) if (price > bestBid) bestBid = price;
+  for (const price of book.asks.keys()) if (price < bestAsk) bestAsk = price;
+  return bestBid > 0 && bestAsk < Infinity ? { bestBid, bestAsk } : null;
+}
+
+// Diff streams only send levels that change, so far-away levels would pile up
+function pruneBook(book) {
+  const best = bestPrices(book);
+  if (!best) return;
+  const mid = (best.bestBid + best.bestAsk) / 2;
+  const low = mid * (1 - BOOK_RANGE_PCT / 100);
+  const high = mid * (1 + BOOK_RANGE_PCT / 100);
+  for (const price of book.bids.keys()) if (price < low) book.bids.delete(price);
+  for (const price of book.asks.keys()) if (price > high) book.asks.delete(price);
+}
+
+async function syncBook(symbol, book) {
+  book.state = 'sync';
+  book.pending = [];
+  try {
+    const snapshot = await binance.getOrderBook(symbol, SNAPSHOT_LIMIT);
+    stats.snapshots++;
+    if (books.get(symbol) !== book || book.state !== 'sync') return;
+
+    loadSnapshot(book, snapshot);
+    book.state = 'first';
+    const pending = book.pending;
+    book.pending = [];
+    for (const event of pending) applyDepthEvent(symbol, book, event);
+  } catch (err) {
+    stats.errors++;
+    book.state = 'idle';
+    book.retryAt = Date.now() + SNAPSHOT_RETRY_MS;
+    console.error(`[ORDERFLOW] ${symbol} order book snapshot failed:`, err.message);
+  }
+}
+
+function resyncBook(symbol, book, reason) {
+  stats.resyncs++;
+  console.warn(`[ORDERFLOW] ${symbol} order book out of sync (${reason}) - reloading snapshot`);
+  book.state = 'idle';
+  book.retryAt = 0;
+}
+
+function applyDepthEvent(symbol, book, event) {
+  if (book.state === 'idle') {
+    if (Date.now() < book.retryAt) return;
+    syncBook(symbol, book);
+  }
+  if (book.state === 'sync') {
+    if (book.pending.length < MAX_PENDING_EVENTS) book.pending.push(event);
+    return;
+  }
+
+  if (event.finalUpdateId < book.lastUpdateId) return; // already in the snapshot
+
+  if (book.state === 'first') {
+    if (event.firstUpdateId > book.lastUpdateId) {
+      resyncBook(symbol, book, `first event starts at ${event.firstUpdateId}, snapshot at ${book.lastUpdateId}`);
+      applyDepthEvent(symbol, book, event);
+      return;
+    }
+    book.state = 'live';
+  } else if (event.prevFinalUpdateId !== book.lastUpdateId) {
+    resyncBook(symbol, book, `missed updates ${book.lastUpdateId}-${event.prevFinalUpdateId}`);
+    applyDepthEvent(symbol, book, event);
+    return;
+  }
+
+  applyLevels(book.bids, event.bids);
+  applyLevels(book.asks, event.asks);
+  book.lastUpdateId = event.finalUpdateId;
+  book.updatedAt = event.time || Date.now();
+  if (++book.events % PRUNE_EVERY === 0) pruneBook(book);
+}
+
+// ===== Trade flow =====
+
+function createFlow(source) {
+  return {
+    buckets: [], // [{ time, buyVolume, sellVolume, trades, open, close, cvd }]
+    cvd: 0,
+    lastTradeId: null,
+    updatedAt: null,
+    since: null,
+    source
+  };
+}
+
+function addTrade(flow, trade) {
+  if (flow.lastTradeId !== null && trade.id <= flow.lastTradeId) return;
+  flow.lastTradeId = trade.id;
+
+  const time = Math.floor(trade.time / BUCKET_MS) * BUCKET_MS;
+  let bucket = flow.buckets[flow.buckets.length - 1];
+  if (!bucket || bucket.time < time) {
+    bucket = { time, buyVolume: 0, sellVolume: 0, trades: 0, open: trade.price, close: trade.price, cvd: flow.cvd };
+    flow.buckets.push(bucket);
+    while (flow.buckets.length > MAX_BUCKETS) flow.buckets.shift();
+  }
+
+  // Buyer is the maker = the taker sold
+  if (trade.isBuyerMaker) {
+    bucket.sellVolume += trade.quantity;
+    flow.cvd -= trade.quantity;
+  } else {
+    bucket.buyVolume += trade.quantity;
+    flow.cvd += trade.quantity;
+  }
+  bucket.trades++;
+  bucket.close = trade.price;
+  bucket.cvd = flow.cvd;
+  flow.updatedAt = trade.time;
+  if (!flow.since) flow.since = trade.time;
+  stats.trades++;
+}
+
+// ===== Metrics =====
+
+function sortedLevels(side, descending) {
+  return Array.from(side).sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]));
+}
+
+function nearLevel(price, { support, resistance }) {
+  const within = level => level > 0 && Math.abs(price - level) / level * 100 <= LEVEL_TOLERANCE_PCT;
+  if (within(support)) return 'support';
+  if (within(resistance)) return 'resistance';
+  return null;
+}
+
+// Levels at least wallMultiple x the median level size within WALL_BAND_PCT of mid
+function findWalls(levels, mid, wallMultiple, levelsOfInterest) {
+  const near = levels.filter(([price]) => Math.abs(price - mid) / mid * 100 <= WALL_BAND_PCT);
+  if (near.length < 5) return [];
+  const sizes = near.map(([, quantity]) => quantity).sort((a, b) => a - b);
+  const median = sizes[Math.floor(sizes.length / 2)];
+  if (!(median > 0)) return [];
+
+  return near
+    .filter(([, quantity]) => quantity >= median * wallMultiple)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_WALLS)
+    .map(([price, quantity]) => ({
+      price,
+      quantity,
+      notional: round(price * quantity, 2),
+      multiple: round(quantity / median, 1),
+      distancePct: round((price - mid) / mid * 100, 3),
+      level: nearLevel(price, levelsOfInterest)
+    }));
+}
+
+function summarizeBook(book, { bandPct, wallMultiple, support, resistance }) {
+  const bids = sortedLevels(book.bids, true);
+  const asks = sortedLevels(book.asks, false);
+  if (bids.length === 0 || asks.length === 0) return null;
+
+  const bestBid = bids[0][0];
+  const bestAsk = asks[0][0];
+  const mid = (bestBid + bestAsk) / 2;
+  const notionalWithin = levels => levels
+    .filter(([price]) => Math.abs(price - mid) / mid * 100 <= bandPct)
+    .reduce((sum, [price, quantity]) => sum + price * quantity, 0);
+  const bidDepth = notionalWithin(bids);
+  const askDepth = notionalWithin(asks);
+  const levelsOfInterest = { support, resistance };
+
+  return {
+    bestBid,
+    bestAsk,
+    mid: round(mid, 8),
+    spread: round(bestAsk - bestBid, 8),
+    spreadPct: round((bestAsk - bestBid) / mid * 100),
+    bandPct,
+    bidDepth: round(bidDepth, 2),
+    askDepth: round(askDepth, 2),
+    // -1 (all asks) .. +1 (all bids)
+    imbalance: bidDepth + askDepth > 0 ? round((bidDepth - askDepth) / (bidDepth + askDepth), 3) : 0,
+    walls: {
+      bids: findWalls(bids, mid, wallMultiple, levelsOfInterest),
+      asks: findWalls(asks, mid, wallMultiple, levelsOfInterest)
+    },
+    lastUpdateId: book.lastUpdateId,
+    updatedAt: book.updatedAt
+  };
+}
+
+function summarizeFlow(flow, windowMs, now = Date.now()) {
+  const window = flow.buckets.filter(b => b.time + BUCKET_MS > now - windowMs);
+  if (window.length === 0) return null;
+
+  const buyVolume = window.reduce((sum, b) => sum + b.buyVolume, 0);
+  const sellVolume = window.reduce((sum, b) => sum + b.sellVolume, 0);
+  const total = buyVolume + sellVolume;
+  const delta = buyVolume - sellVolume;
+  const deltaPct = total > 0 ? delta / total * 100 : 0;
+  const priceChangePct = (window[window.length - 1].close - window[0].open) / window[0].open * 100;
+
+  // Price moving one way while takers lean the other = absorption / exhaustion
+  let divergence = null;
+  if (priceChangePct >= 0.2 && deltaPct <= -10) divergence = 'bearish';
+  else if (priceChangePct <= -0.2 && deltaPct >= 10) divergence = 'bullish';
+
+  return {
+    windowMs,
+    buyVolume: round(buyVolume),
+    sellVolume: round(sellVolume),
+    delta: round(delta),
+    deltaPct: round(deltaPct, 2),
+    cvd: round(flow.cvd),
+    cvdTrend: deltaPct >= 10 ? 'rising' : deltaPct <= -10 ? 'falling' : 'flat',
+    takerBuyRatio: sellVolume > 0 ? round(buyVolume / sellVolume, 3) : null,
+    trades: window.reduce((sum, b) => sum + b.trades, 0),
+    priceChangePct: round(priceChangePct, 3),
+    divergence,
+    since: flow.since,
+    updatedAt: flow.updatedAt
+  };
+}
+
+// Overall lean from the book and the tape; points feed the AI score
+function orderFlowBias(book, flow) {
+  let bull = 0;
+  let bear = 0;
+  const reasons = [];
+
+  if (book) {
+    if (book.imbalance >= 0.25) {
+      bull += book.imbalance >= 0.5 ? 2 : 1;
+      reasons.push(`Bid-heavy book (imbalance ${book.imbalance})`);
+    } else if (book.imbalance <= -0.25) {
+      bear += book.imbalance <= -0.5 ? 2 : 1;
+      reasons.push(`Ask-heavy book (imbalance ${book.imbalance})`);
+    }
+    if (book.walls.bids.some(w => w.level === 'support')) {
+      bull++;
+      reasons.push('Bid wall on support');
+    }
+    if (book.walls.asks.some(w => w.level === 'resistance')) {
+      bear++;
+      reasons.push('Ask wall on resistance');
+    }
+  }
+
+  if (flow) {
+    if (flow.takerBuyRatio !== null && flow.takerBuyRatio >= 1.2) {
+      bull++;
+      reasons.push(`Takers buying (${flow.takerBuyRatio}x)`);
+    } else if (flow.takerBuyRatio !== null && flow.takerBuyRatio <= 0.83) {
+      bear++;
+      reasons.push(`Takers selling (${flow.takerBuyRatio}x)`);
+    }
+    if (flow.divergence === 'bullish') {
+      bull += 2;
+      reasons.push('CVD rising while price falls (absorption)');
+    } else if (flow.divergence === 'bearish') {
+      bear += 2;
+      reasons.push('CVD falling while price rises (absorption)');
+    }
+  }
+
+  const direction = bull - bear >= 2 ? 'bullish' : bear - bull >= 2 ? 'bearish' : 'neutral';
+  return { direction, bull, bear, reasons };
+}
+
+function summarize(symbol, book, flow, options = {}) {
+  const now = Date.now();
+  const settings = {
+    bandPct: options.bandPct ?? getConfig('MICROSTRUCTURE_DEPTH_BAND_PCT'),
+    wallMultiple: options.wallMultiple ?? getConfig('MICROSTRUCTURE_WALL_MULTIPLE'),
+    support: options.support,
+    resistance: options.resistance
+  };
+  const bookSummary = book && book.state !== 'idle' && book.state !== 'sync' ? summarizeBook(book, settings) : null;
+  const flowSummary = flow ? summarizeFlow(flow, options.windowMs ?? getConfig('MICROSTRUCTURE_CVD_WINDOW_MS'), now) : null;
+  if (!bookSummary && !flowSummary) return null;
+
+  const updatedAt = Math.max(bookSummary?.updatedAt || 0, flowSummary?.updatedAt || 0);
+  return {
+    symbol,
+    source: book?.source || flow?.source,
+    book: bookSummary,
+    flow: flowSummary,
+    bias: orderFlowBias(bookSummary, flowSummary),
+    updatedAt,
+    stale: now - updatedAt > STALE_DATA_MS
+  };
+}
+
+/**
+ * Order book and trade-flow metrics for a tracked symbol
+ * @param {string} symbol
+ * @param {Object} [options]
+ * @param {number} [options.support] - flag walls sitting on this level
+ * @param {number} [options.resistance]
+ * @param {number} [options.bandPct] - imbalance band around mid (default MICROSTRUCTURE_DEPTH_BAND_PCT)
+ * @param {number} [options.wallMultiple] - default MICROSTRUCTURE_WALL_MULTIPLE
+ * @param {number} [options.windowMs] - CVD window (default MICROSTRUCTURE_CVD_WINDOW_MS)
+ * @returns {Object|null} { symbol, source, book, flow, bias, updatedAt, stale } or null when nothing is known yet
+ */
+function getMicrostructure(symbol, options = {}) {
+  return summarize(symbol, books.get(symbol), flows.get(symbol), options);
+}
+
+/**
+ * One-off metrics from a fresh snapshot and the latest trades, for symbols
+ * that aren't tracked
+ */
+async function fetchMicrostructure(symbol, options = {}) {
+  const exchange = getExchange();
+  const [snapshot, trades] = await Promise.all([
+    exchange.getOrderBook(symbol, SNAPSHOT_LIMIT),
+    exchange.getAggTrades(symbol, { limit: 1000 })
+  ]);
+
+  const book = createBook('snapshot');
+  loadSnapshot(book, snapshot);
+  book.state = 'live';
+  const flow = createFlow('snapshot');
+  trades.forEach(trade => addTrade(flow, trade));
+  return summarize(symbol, book, flow, options);
+}
+
+// ===== Polling =====
+
+async function pollTrades(exchange, symbol, flow) {
+  if (flow.lastTradeId === null) {
+    (await exchange.getAggTrades(symbol, { limit: 1000 })).forEach(trade => addTrade(flow, trade));
+    return;
+  }
+
+  for (let page = 0; page < MAX_TRADE_PAGES; page++) {
+    const trades = await exchange.getAggTrades(symbol, { fromId: flow.lastTradeId + 1, limit: 1000 });
+    trades.forEach(trade => addTrade(flow, trade));
+    if (trades.length < 1000) return;
+  }
+  // Too far behind to page through - carry on from the latest trades
+  (await exchange.getAggTrades(symbol, { limit: 1000 })).forEach(trade => addTrade(flow, trade));
+}
+
+async function pollSymbol(symbol) {
+  const book = books.get(symbol);
+  const flow = flows.get(symbol);
+  if (!book || !flow) return;
+
+  const exchange = getExchange();
+  const snapshot = await exchange.getOrderBook(symbol, POLL_SNAPSHOT_LIMIT);
+  stats.snapshots++;
+  loadSnapshot(book, snapshot);
+  book.state = 'live';
+  await pollTrades(exchange, symbol, flow);
+}
+
+async function pollAll() {
+  if (polling) return;
+  polling = true;
+  // One symbol at a time to keep request weight spread out
+  for (const symbol of symbols) {
+    if (!running) break;
+    try {
+      await pollSymbol(symbol);
+    } catch (err) {
+      stats.errors++;
+      console.error(`[ORDERFLOW] ${symbol} poll failed:`, err.message);
+    }
+  }
+  polling = false;
+}
+
+// ===== Streaming =====
+
+function handleMessage(conn, raw) {
+  conn.lastMessageAt = Date.now();
+
+  let payload;
+  try {
+    payload = JSON.parse(raw.toString());
+  } catch (err) {
+    return;
+  }
+
+  const data = payload?.data;
+  if (data?.e === 'depthUpdate') {
+    const book = books.get(data.s);
+    if (!book) return;
+    stats.depthEvents++;
+    applyDepthEvent(data.s, book, binance.parseStreamDepth(data));
+  } else if (data?.e === 'aggTrade') {
+    const flow = flows.get(data.s);
+    if (flow) addTrade(flow, binance.parseStreamAggTrade(data));
+  }
+}
+
+function openConnection(conn) {
+  const streams = conn.symbols.flatMap(symbol => [`${symbol.toLowerCase()}@depth@500ms`, `${symbol.toLowerCase()}@aggTrade`]);
+  const ws = new WebSocket(`${STREAM_BASE}/stream?streams=${streams.join('/')}`);
+  conn.ws = ws;
+
+  ws.on('open', () => {
+    const isReconnect = conn.hasConnected;
+    conn.hasConnected = true;
+    conn.attempts = 0;
+    conn.lastMessageAt = Date.now();
+    console.log(`[ORDERFLOW] Connection ${conn.id} ${isReconnect ? 'reconnected' : 'open'} (${conn.symbols.length} symbols)`);
+
+    // Depth diffs were missed while down - every book reloads its snapshot
+    if (isReconnect) {
+      for (const symbol of conn.symbols) {
+        const book = books.get(symbol);
+        if (book) {
+          book.state = 'idle';
+          book.retryAt = 0;
+        }
+      }
+    }
+  });
+
+  ws.on('message', raw => handleMessage(conn, raw));
+  ws.on('ping', () => {
+    conn.lastMessageAt = Date.now();
+  });
+  ws.on('error', err => {
+    console.warn(`[ORDERFLOW] Connection ${conn.id} error:`, err.message);
+  });
+  ws.on('close', () => {
+    conn.ws = null;
+    if (conn.stopped) return;
+    scheduleReconnect(conn);
+  });
+}
+
+function scheduleReconnect(conn) {
+  const backoff = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, conn.attempts));
+  const delay = backoff + Math.floor(Math.random() * 500);
+  conn.attempts++;
+  stats.reconnects++;
+
+  console.warn(`[ORDERFLOW] Connection ${conn.id} closed - reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${conn.attempts})`);
+  conn.reconnectTimer = setTimeout(() => {
+    conn.reconnectTimer = null;
+    if (!conn.stopped) openConnection(conn);
+  }, delay);
+}
+
+function closeConnection(conn) {
+  conn.stopped = true;
+  if (conn.reconnectTimer) clearTimeout(conn.reconnectTimer);
+  if (conn.ws) {
+    try {
+      conn.ws.terminate();
+    } catch (err) {
+      // Already closed
+    }
+  }
+}
+
+function checkStaleConnections() {
+  const now = Date.now();
+  for (const conn of connections) {
+    if (conn.ws && conn.ws.readyState === WebSocket.OPEN && now - conn.lastMessageAt > STALE_CONNECTION_MS) {
+      console.warn(`[ORDERFLOW] Connection ${conn.id} stale for ${Math.round((now - conn.lastMessageAt) / 1000)}s - terminating`);
+      conn.ws.terminate(); // close handler schedules the reconnect
+    }
+  }
+}
+
+function openConnections() {
+  connections.forEach(closeConnection);
+  connections = [];
+
+  for (let i = 0; i < symbols.length; i += SYMBOLS_PER_CONNECTION) {
+    const conn = {
+      id: connections.length + 1,
+      symbols: symbols.slice(i, i + SYMBOLS_PER_CONNECTION),
+      ws: null,
+      attempts: 0,
+      hasConnected: false,
+      stopped: false,
+      reconnectTimer: null,
+      lastMessageAt: Date.now()
+    };
+    connections.push(conn);
+    openConnection(conn);
+  }
+}
+
+// ===== Lifecycle =====
+
+/**
+ * Replace the symbols with order books (the first MICROSTRUCTURE_MAX_SYMBOLS).
+ * Dropped symbols release their state; streams reconnect with the new set.
+ */
+function setMicrostructureSymbols(next = []) {
+  const wanted = Array.from(new Set(next.map(s => s.toUpperCase()))).slice(0, MAX_SYMBOLS);
+  const changed = wanted.length !== symbols.length || wanted.some((s, i) => s !== symbols[i]);
+
+  for (const symbol of Array.from(books.keys())) {
+    if (!wanted.includes(symbol)) {
+      books.delete(symbol);
+      flows.delete(symbol);
+    }
+  }
+  for (const symbol of wanted) {
+    if (!books.has(symbol)) books.set(symbol, createBook(mode));
+    if (!flows.has(symbol)) flows.set(symbol, createFlow(mode));
+  }
+  symbols = wanted;
+
+  if (running && mode === 'stream' && changed) openConnections();
+  return getMicrostructureStatus();
+}
+
+/**
+ * Start keeping order books and trade flow (already running in the same mode:
+ * just update the symbols)
+ * @param {Object} options
+ * @param {Array<string>} options.symbols
+ * @param {string} [options.mode] - 'stream' (Binance WebSockets) or 'poll' (REST through the exchange adapter)
+ */
+function startMicrostructure({ symbols: list = [], mode: dataMode = 'stream' } = {}) {
+  const nextMode = dataMode === 'poll' ? 'poll' : 'stream';
+  if (running && nextMode === mode) return setMicrostructureSymbols(list);
+
+  stopMicrostructure();
+  mode = nextMode;
+  books.clear();
+  flows.clear();
+  symbols = [];
+  setMicrostructureSymbols(list);
+  running = true;
+  stats.startedAt = Date.now();
+  console.log(`[ORDERFLOW] Tracking order books and trade flow for ${symbols.length} symbols (${mode === 'stream' ? 'depth/aggTrade streams' : `snapshots every ${POLL_MS / 1000}s`})`);
+
+  if (mode === 'stream') {
+    openConnections();
+    watchdogTimer = setInterval(checkStaleConnections, 30_000);
+  } else {
+    pollAll();
+    pollTimer = setInterval(pollAll, POLL_MS);
+  }
+  return getMicrostructureStatus();
+}
+
+function stopMicrostructure() {
+  running = false;
+  connections.forEach(closeConnection);
+  connections = [];
+  if (watchdogTimer) {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  }
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+function getMicrostructureStatus() {
+  return {
+    running,
+    mode,
+    symbols: symbols.length,
+    books: symbols.map(symbol => {
+      const book = books.get(symbol);
+      return { symbol, state: book?.state, levels: book ? book.bids.size + book.asks.size : 0, updatedAt: book?.updatedAt || null };
+    }),
+    connections: connections.map(conn => ({
+      id: conn.id,
+      symbols: conn.symbols.length,
+      connected: !!conn.ws && conn.ws.readyState === WebSocket.OPEN,
+      reconnectAttempts: conn.attempts,
+      lastMessageAt: conn.lastMessageAt
+    })),
+    stats: { ...stats }
+  };
+}
+
+module.exports = {
+  startMicrostructure,
+  stopMicrostructure,
+  setMicrostructureSymbols,
+  getMicrostructure,
+  fetchMicrostructure,
+  getMicrostructureStatus
+};
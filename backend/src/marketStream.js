@@ -0,0 +1,446 @@
+/**
+ * Market Data Stream - Binance Futures kline WebSocket feed
+ *
+ * Replaces per symbol/interval REST polling with combined
+ * `<symbol>@kline_<interval>` streams:
+ * - Seeds each candle buffer once over REST, then updates it incrementally
+ * - Notifies on candle close (and optionally on throttled intra-candle updates)
+ * - Reconnects with exponential backoff and REST gap-fill after reconnect
+ * - Subscription changes are sent as SUBSCRIBE/UNSUBSCRIBE on the open
+ *   sockets, so pairs that stay tracked keep streaming
+ */
+
+const WebSocket = require('ws');
+const { getCandles, parseStreamKline, DEFAULT_LIMIT } = require('./binance');
+const { getConfig } = require('./config');
+
+const STREAM_BASE = getConfig('BINANCE_STREAM_URL');
+const MAX_STREAMS_PER_CONNECTION = 200; // Binance futures limit per connection
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60_000;
+const STALE_CONNECTION_MS = 90_000; // No message/ping for 90s = dead socket
+const SEED_CONCURRENCY = 5; // Parallel REST requests when seeding buffers
+const REFILL_RETRY_MS = 30_000; // Retry REST seed for buffers that failed to load
+
+// Stream state
+const buffers = new Map(); // key: symbol-interval -> candle array (mutated in place)
+const lastEmitAt = new Map(); // key -> last intra-candle notification timestamp
+const lastRefillAt = new Map(); // key -> last REST retry for an empty buffer
+let subscriptions = []; // [{ symbol, interval }]
+let connections = [];
+let nextConnectionId = 1;
+let nextRequestId = 1;
+let watchdogTimer = null;
+let running = false;
+
+let streamOptions = {
+  onCandle: null,
+  limit: DEFAULT_LIMIT,
+  intrabar: false,
+  intrabarThrottleMs: 5000
+};
+
+const stats = {
+  messages: 0,
+  closedCandles: 0,
+  reconnects: 0,
+  gapFills: 0,
+  lastMessageAt: null,
+  startedAt: null
+};
+
+function buildKey(symbol, interval) {
+  return `${symbol}-${interval}`;
+}
+
+function streamName({ symbol, interval }) {
+  return `${symbol.toLowerCase()}@kline_${interval}`;
+}
+
+/**
+ * Merge a streamed candle into its buffer.
+ * Same openTime replaces the forming candle, a newer one is appended.
+ */
+function mergeCandle(buffer, candle) {
+  const last = buffer[buffer.length - 1];
+
+  if (!last || candle.openTime > last.openTime) {
+    buffer.push(candle);
+    while (buffer.length > streamOptions.limit) buffer.shift();
+  } else if (candle.openTime === last.openTime) {
+    buffer[buffer.length - 1] = candle;
+  }
+  // Older than the last candle: out-of-order update, ignore
+}
+
+function notify(symbol, interval, closed, source) {
+  const { onCandle } = streamOptions;
+  if (!onCandle) return;
+
+  const buffer = buffers.get(buildKey(symbol, interval));
+  if (!buffer || buffer.length === 0) return;
+
+  // Called synchronously so the handler sees the buffer exactly as of this update
+  const logError = (err) => {
+    console.error(`[STREAM] Candle handler failed for ${symbol} ${interval}:`, err.message);
+  };
+  try {
+    const result = onCandle(symbol, interval, buffer, { closed, source });
+    if (result && typeof result.catch === 'function') result.catch(logError);
+  } catch (err) {
+    logError(err);
+  }
+}
+
+/**
+ * Fetch candles over REST and replace the buffer contents.
+ * Returns true if a new closed candle appeared since the previous contents.
+ */
+async function fillFromRest({ symbol, interval }) {
+  const key = buildKey(symbol, interval);
+  const candles = await getCandles(symbol, interval, streamOptions.limit);
+
+  let buffer = buffers.get(key);
+  if (!buffer) {
+    buffer = [];
+    buffers.set(key, buffer);
+  }
+
+  const previousLast = buffer[buffer.length - 1]?.openTime || 0;
+  buffer.splice(0, buffer.length, ...candles);
+  const currentLast = buffer[buffer.length - 1]?.openTime || 0;
+
+  return currentLast > previousLast;
+}
+
+async function runInBatches(pairs, fn) {
+  for (let i = 0; i < pairs.length; i += SEED_CONCURRENCY) {
+    const batch = pairs.slice(i, i + SEED_CONCURRENCY);
+    await Promise.all(batch.map(async (pair) => {
+      try {
+        await fn(pair);
+      } catch (err) {
+        console.error(`[STREAM] REST fill failed for ${pair.symbol} ${pair.interval}:`, err.message);
+      }
+    }));
+  }
+}
+
+async function seedPairs(pairs) {
+  await runInBatches(pairs, async (pair) => {
+    await fillFromRest(pair);
+    notify(pair.symbol, pair.interval, true, 'seed');
+  });
+}
+
+// A pair whose REST seed failed has an empty buffer; retry before trusting the stream
+function refillEmptyBuffer(pair) {
+  const key = buildKey(pair.symbol, pair.interval);
+  const now = Date.now();
+  if (now - (lastRefillAt.get(key) || 0) < REFILL_RETRY_MS) return;
+  lastRefillAt.set(key, now);
+
+  seedPairs([pair]).catch(() => {});
+}
+
+// Candles that closed while the socket was down are fetched over REST
+async function gapFill(pairs) {
+  stats.gapFills++;
+  await runInBatches(pairs, async (pair) => {
+    const advanced = await fillFromRest(pair);
+    if (advanced) notify(pair.symbol, pair.interval, true, 'gap-fill');
+  });
+}
+
+function handleMessage(conn, raw) {
+  conn.lastMessageAt = Date.now();
+  stats.messages++;
+  stats.lastMessageAt = conn.lastMessageAt;
+
+  let payload;
+  try {
+    payload = JSON.parse(raw.toString());
+  } catch (err) {
+    return;
+  }
+
+  const k = payload?.data?.k;
+  if (!k) return;
+
+  const symbol = k.s;
+  const interval = k.i;
+  const key = buildKey(symbol, interval);
+  const buffer = buffers.get(key);
+  if (!buffer) return;
+  if (buffer.length === 0) {
+    refillEmptyBuffer({ symbol, interval });
+    return;
+  }
+
+  mergeCandle(buffer, parseStreamKline(k));
+
+  if (k.x) {
+    stats.closedCandles++;
+    lastEmitAt.set(key, conn.lastMessageAt);
+    notify(symbol, interval, true, 'stream');
+    return;
+  }
+
+  if (streamOptions.intrabar) {
+    const last = lastEmitAt.get(key) || 0;
+    if (conn.lastMessageAt - last >= streamOptions.intrabarThrottleMs) {
+      lastEmitAt.set(key, conn.lastMessageAt);
+      notify(symbol, interval, false, 'stream');
+    }
+  }
+}
+
+function openConnection(conn) {
+  const url = `${STREAM_BASE}/stream?streams=${conn.pairs.map(streamName).join('/')}`;
+  const ws = new WebSocket(url);
+  conn.ws = ws;
+  conn.streams = new Set(conn.pairs.map(streamName));
+
+  ws.on('open', () => {
+    const isReconnect = conn.hasConnected;
+    conn.hasConnected = true;
+    conn.attempts = 0;
+    conn.lastMessageAt = Date.now();
+    console.log(`[STREAM] Connection ${conn.id} ${isReconnect ? 'reconnected' : 'open'} (${conn.pairs.length} streams)`);
+    // Pairs may have changed while the socket was connecting
+    syncStreams(conn);
+
+    if (isReconnect) {
+      gapFill(conn.pairs).catch((err) => {
+        console.error(`[STREAM] Gap-fill failed on connection ${conn.id}:`, err.message);
+      });
+    }
+  });
+
+  ws.on('message', (raw) => handleMessage(conn, raw));
+
+  // Binance sends ping frames every few minutes; ws answers with pong automatically
+  ws.on('ping', () => {
+    conn.lastMessageAt = Date.now();
+  });
+
+  ws.on('error', (err) => {
+    console.warn(`[STREAM] Connection ${conn.id} error:`, err.message);
+  });
+
+  ws.on('close', () => {
+    conn.ws = null;
+    if (conn.stopped) return;
+    scheduleReconnect(conn);
+  });
+}
+
+function scheduleReconnect(conn) {
+  const backoff = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, conn.attempts));
+  const delay = backoff + Math.floor(Math.random() * 500);
+  conn.attempts++;
+  stats.reconnects++;
+
+  console.warn(`[STREAM] Connection ${conn.id} closed - reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${conn.attempts})`);
+  conn.reconnectTimer = setTimeout(() => {
+    conn.reconnectTimer = null;
+    if (!conn.stopped) openConnection(conn);
+  }, delay);
+}
+
+function closeConnection(conn) {
+  conn.stopped = true;
+  if (conn.reconnectTimer) clearTimeout(conn.reconnectTimer);
+  if (conn.ws) {
+    try {
+      conn.ws.terminate();
+    } catch (err) {
+      // Already closed
+    }
+  }
+}
+
+function checkStaleConnections() {
+  const now = Date.now();
+  for (const conn of connections) {
+    if (conn.ws && conn.ws.readyState === WebSocket.OPEN && now - conn.lastMessageAt > STALE_CONNECTION_MS) {
+      console.warn(`[STREAM] Connection ${conn.id} stale for ${Math.round((now - conn.lastMessageAt) / 1000)}s - terminating`);
+      conn.ws.terminate(); // close handler schedules the reconnect
+    }
+  }
+}
+
+/**
+ * Bring an open socket's subscriptions in line with conn.pairs. A socket that
+ * is not open picks conn.pairs up when it (re)connects.
+ */
+function syncStreams(conn) {
+  if (!conn.ws || conn.ws.readyState !== WebSocket.OPEN) return;
+  const wanted = new Set(conn.pairs.map(streamName));
+  const unsubscribe = [...conn.streams].filter((name) => !wanted.has(name));
+  const subscribe = [...wanted].filter((name) => !conn.streams.has(name));
+
+  for (const [method, params] of [['UNSUBSCRIBE', unsubscribe], ['SUBSCRIBE', subscribe]]) {
+    if (params.length === 0) continue;
+    conn.ws.send(JSON.stringify({ method, params, id: nextRequestId++ }));
+    console.log(`[STREAM] Connection ${conn.id}: ${method.toLowerCase()}d ${params.length} streams`);
+  }
+  conn.streams = wanted;
+}
+
+/**
+ * Apply the subscription list to the connections: sockets left without pairs
+ * close, the others drop removed pairs and take added ones while they have
+ * room, and only the overflow opens new sockets.
+ */
+function updateConnections() {
+  const wanted = new Set(subscriptions.map((p) => buildKey(p.symbol, p.interval)));
+  const streamed = new Set();
+
+  connections = connections.filter((conn) => {
+    conn.pairs = conn.pairs.filter((p) => wanted.has(buildKey(p.symbol, p.interval)));
+    if (conn.pairs.length === 0) {
+      closeConnection(conn);
+      return false;
+    }
+    conn.pairs.forEach((p) => streamed.add(buildKey(p.symbol, p.interval)));
+    return true;
+  });
+
+  const added = subscriptions.filter((p) => !streamed.has(buildKey(p.symbol, p.interval)));
+  for (const conn of connections) {
+    const room = MAX_STREAMS_PER_CONNECTION - conn.pairs.length;
+    if (room > 0 && added.length > 0) conn.pairs.push(...added.splice(0, room));
+    syncStreams(conn);
+  }
+
+  for (let i = 0; i < added.length; i += MAX_STREAMS_PER_CONNECTION) {
+    const conn = {
+      id: nextConnectionId++,
+      pairs: added.slice(i, i + MAX_STREAMS_PER_CONNECTION),
+      ws: null,
+      streams: new Set(),
+      attempts: 0,
+      hasConnected: false,
+      stopped: false,
+      reconnectTimer: null,
+      lastMessageAt: Date.now()
+    };
+    connections.push(conn);
+    openConnection(conn);
+  }
+}
+
+function normalizePairs(pairs) {
+  const seen = new Set();
+  return (pairs || [])
+    .map(({ symbol, interval }) => ({ symbol: symbol.toUpperCase(), interval }))
+    .filter((pair) => {
+      const key = buildKey(pair.symbol, pair.interval);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Replace the streamed symbol/interval pairs.
+ * New pairs are seeded over REST; dropped pairs release their buffers.
+ * Pairs in both lists keep their socket and buffer.
+ */
+async function setStreamSubscriptions(pairs) {
+  const next = normalizePairs(pairs);
+  const nextKeys = new Set(next.map((p) => buildKey(p.symbol, p.interval)));
+  const added = next.filter((p) => !buffers.has(buildKey(p.symbol, p.interval)));
+
+  for (const key of Array.from(buffers.keys())) {
+    if (!nextKeys.has(key)) {
+      buffers.delete(key);
+      lastEmitAt.delete(key);
+      lastRefillAt.delete(key);
+    }
+  }
+
+  subscriptions = next;
+  if (!running) return getMarketStreamStatus();
+
+  added.forEach((p) => buffers.set(buildKey(p.symbol, p.interval), []));
+  await seedPairs(added);
+  updateConnections();
+  return getMarketStreamStatus();
+}
+
+/**
+ * Start streaming klines for the given pairs
+ * @param {Object} options
+ * @param {Array} options.pairs - [{ symbol, interval }]
+ * @param {Function} options.onCandle - (symbol, interval, candles, { closed, source }) => void|Promise
+ * @param {number} [options.limit] - Candles kept per buffer
+ * @param {boolean} [options.intrabar] - Also notify on forming-candle updates
+ * @param {number} [options.intrabarThrottleMs] - Min gap between intra-candle notifications per pair
+ */
+async function startMarketStream({ pairs, onCandle, limit, intrabar, intrabarThrottleMs } = {}) {
+  streamOptions = {
+    onCandle: onCandle || null,
+    limit: limit || DEFAULT_LIMIT,
+    intrabar: !!intrabar,
+    intrabarThrottleMs: intrabarThrottleMs ?? streamOptions.intrabarThrottleMs
+  };
+
+  if (!running) stats.startedAt = Date.now();
+  running = true;
+  if (!watchdogTimer) {
+    watchdogTimer = setInterval(checkStaleConnections, 30_000);
+  }
+
+  console.log(`[STREAM] Starting kline stream for ${normalizePairs(pairs).length} symbol/interval pairs${streamOptions.intrabar ? ` (intra-candle every ${streamOptions.intrabarThrottleMs}ms)` : ''}`);
+  return setStreamSubscriptions(pairs);
+}
+
+/**
+ * Turn intra-candle notifications on/off (or change their throttle) without reconnecting
+ */
+function setIntrabarUpdates({ intrabar, intrabarThrottleMs } = {}) {
+  if (intrabar !== undefined) streamOptions.intrabar = !!intrabar;
+  if (intrabarThrottleMs !== undefined) streamOptions.intrabarThrottleMs = intrabarThrottleMs;
+}
+
+function stopMarketStream() {
+  running = false;
+  connections.forEach(closeConnection);
+  connections = [];
+  if (watchdogTimer) {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  }
+}
+
+function getStreamCandles(symbol, interval) {
+  return buffers.get(buildKey(symbol, interval)) || null;
+}
+
+function getMarketStreamStatus() {
+  return {
+    running,
+    pairs: subscriptions.length,
+    intrabar: streamOptions.intrabar,
+    intrabarThrottleMs: streamOptions.intrabarThrottleMs,
+    connections: connections.map((conn) => ({
+      id: conn.id,
+      streams: conn.pairs.length,
+      connected: !!conn.ws && conn.ws.readyState === WebSocket.OPEN,
+      reconnectAttempts: conn.attempts,
+      lastMessageAt: conn.lastMessageAt
+    })),
+    stats: { ...stats }
+  };
+}
+
+module.exports = {
+  startMarketStream,
+  stopMarketStream,
+  setStreamSubscriptions,
+  setIntrabarUpdates,
+  getStreamCandles,
+  getMarketStreamStatus
+};
@@ -6,9 +6,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 
-const MODEL_FILE = path.join(__dirname, '../data/ml_model.json');
-const TRAINING_DATA_FILE = path.join(__dirname, '../data/training_data.json');
+const MODEL_FILE = path.join(getConfig('DATA_DIR'), 'ml_model.json');
+const TRAINING_DATA_FILE = path.join(getConfig('DATA_DIR'), 'training_data.json');
 
 // Model state
 let model = {
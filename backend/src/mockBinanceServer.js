@@ -0,0 +1,788 @@
+/**
+ * Mock Binance Server - local stand-in for fapi.binance.com / api.binance.com
+ *
+ * Serves the futures and spot REST endpoints the bot uses (klines, tickers,
+ * exchangeInfo, order, openOrders, leverage, positionRisk, balance, account,
+ * depth, aggTrades, open interest, long/short ratios) plus the combined kline /
+ * depth / aggTrade / !forceOrder@arr WebSocket streams, so the whole bot - executeTrade,
+ * SL/TP placement, position monitoring, closePosition, spot DCA - can run
+ * end-to-end without real money:
+ *
+ *   npm run mock-exchange
+ *   BINANCE_API_URL=http://localhost:5100 BINANCE_SPOT_API_URL=http://localhost:5100 \
+ *   BINANCE_STREAM_URL=ws://localhost:5100 BINANCE_API_KEY=mock BINANCE_API_SECRET=mock npm start
+ *
+ * Every tick replays one 1m candle per symbol - recorded candles from
+ * MOCK_EXCHANGE_CANDLES_FILE first, then synthetic ones from
+ * candleSimulator.generateCandleSequence. The price walks open -> low/high ->
+ * close through each candle, so resting stop, take-profit and limit orders fill
+ * where the candle crosses them. Higher intervals are aggregated from 1m.
+ * Each step of that walk is also one aggregated trade (taker side = the
+ * direction of the move), and the order book is a ladder re-centred on the
+ * close, published as a depth diff. The wick against the candle's direction
+ * liquidates someone: longs at the low of green candles, shorts at the high
+ * of red ones.
+ *
+ * Balances, positions and orders live in the in-memory mock exchange adapter.
+ * Test hooks: POST /mock/tick, POST /mock/price, GET /mock/state, POST /mock/reset.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { createMockExchange } = require('./exchanges/mock');
+const { generateCandleSequence } = require('./candleSimulator');
+const { getIntervalMs } = require('./candleStore');
+const { getConfig } = require('./config');
+
+const MOCK_EXCHANGE_PORT = getConfig('MOCK_EXCHANGE_PORT');
+const MOCK_EXCHANGE_TICK_MS = getConfig('MOCK_EXCHANGE_TICK_MS');
+const MOCK_EXCHANGE_SCENARIO = getConfig('MOCK_EXCHANGE_SCENARIO');
+const MOCK_EXCHANGE_HISTORY = getConfig('MOCK_EXCHANGE_HISTORY');
+const MOCK_EXCHANGE_CANDLES_FILE = getConfig('MOCK_EXCHANGE_CANDLES_FILE');
+const MOCK_EXCHANGE_API_SECRET = getConfig('MOCK_EXCHANGE_API_SECRET');
+const MOCK_EXCHANGE_FUTURES_BALANCE = getConfig('MOCK_EXCHANGE_FUTURES_BALANCE');
+const MOCK_EXCHANGE_SPOT_BALANCE = getConfig('MOCK_EXCHANGE_SPOT_BALANCE');
+
+// SYMBOL:startPrice pairs; spot also lists a USDC pair for each USDT symbol
+const MOCK_EXCHANGE_SYMBOLS = getConfig('MOCK_EXCHANGE_SYMBOLS');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const FUNDING_RATE = 0.0001;
+const DEPTH_LEVELS = 50;
+const MAX_AGG_TRADES = 1000; // kept per symbol for /aggTrades
+const LIQUIDATION_SHARE = 0.02; // of candle volume force-closed at the adverse wick
+
+function parseSymbolList(spec) {
+  return spec.split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const [symbol, price] = item.split(':');
+      return { symbol: symbol.toUpperCase(), price: Number(price) || 100 };
+    });
+}
+
+// Recorded candles: { SYMBOL: [{ openTime, open, high, low, close, volume } | raw kline arrays] }
+function loadRecordedCandles(file) {
+  if (!file) return {};
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const recorded = {};
+  for (const [symbol, candles] of Object.entries(raw)) {
+    recorded[symbol.toUpperCase()] = candles.map(c => Array.isArray(c)
+      ? { open: Number(c[1]), high: Number(c[2]), low: Number(c[3]), close: Number(c[4]), volume: Number(c[5]) }
+      : { open: Number(c.open), high: Number(c.high), low: Number(c.low), close: Number(c.close), volume: Number(c.volume || 0) });
+  }
+  return recorded;
+}
+
+function syntheticCandles(length, scenario, basePrice) {
+  if (length <= 0) return [];
+  return generateCandleSequence(length, scenario, basePrice)
+    .map(({ open, high, low, close, volume }) => ({ open, high, low, close, volume }));
+}
+
+function binanceError(res, status, code, msg) {
+  return res.status(status).json({ code, msg });
+}
+
+// Order book ladder 0.01% apart around price, best first, with a repeating size pattern
+function ladder(price) {
+  const step = price * 0.0001;
+  const side = sign => Array.from({ length: DEPTH_LEVELS }, (_, i) => [
+    Number((price + sign * step * (i + 1)).toPrecision(8)),
+    1 + ((i * 7) % 10)
+  ]);
+  return { bids: side(-1), asks: side(1) };
+}
+
+function toAggTrade(t) {
+  return { a: t.id, p: String(t.price), q: String(t.quantity), f: t.id, l: t.id, T: t.time, m: t.isBuyerMaker };
+}
+
+function toKline(c) {
+  return [
+    c.openTime,
+    String(c.open),
+    String(c.high),
+    String(c.low),
+    String(c.close),
+    String(c.volume),
+    c.closeTime,
+    String(c.volume * c.close),
+    Math.round(c.volume / 10),
+    String(c.volume / 2),
+    String((c.volume / 2) * c.close),
+    '0'
+  ];
+}
+
+/**
+ * Group 1m candles into interval buckets
+ */
+function aggregate(candles, interval) {
+  const step = getIntervalMs(interval);
+  if (step === MINUTE_MS) return candles;
+
+  const buckets = [];
+  for (const c of candles) {
+    const openTime = Math.floor(c.openTime / step) * step;
+    const last = buckets.at(-1);
+    if (last && last.openTime === openTime) {
+      last.high = Math.max(last.high, c.high);
+      last.low = Math.min(last.low, c.low);
+      last.close = c.close;
+      last.volume += c.volume;
+    } else {
+      buckets.push({ ...c, openTime, closeTime: openTime + step - 1 });
+    }
+  }
+  return buckets;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Array} [options.symbols] - [{ symbol, price }]
+ * @param {Object} [options.recorded] - recorded candles by symbol (replayed before synthetic ones)
+ * @param {string} [options.scenario] - generateCandleSequence scenario
+ * @param {number} [options.historySize] - 1m candles generated before the first tick
+ * @param {string} [options.apiSecret] - when set, signed requests must carry a valid signature
+ */
+function createMockBinanceServer(options = {}) {
+  const symbols = options.symbols || parseSymbolList(MOCK_EXCHANGE_SYMBOLS);
+  const scenario = options.scenario || MOCK_EXCHANGE_SCENARIO;
+  const historySize = options.historySize || MOCK_EXCHANGE_HISTORY;
+  const apiSecret = options.apiSecret ?? MOCK_EXCHANGE_API_SECRET;
+  const recorded = options.recorded || loadRecordedCandles(MOCK_EXCHANGE_CANDLES_FILE);
+
+  // USDC spot pairs trade on the matching USDT series
+  const spotAliases = new Map();
+  for (const { symbol } of symbols) {
+    if (symbol.endsWith('USDT')) spotAliases.set(symbol.replace(/USDT$/, 'USDC'), symbol);
+  }
+
+  const exchange = createMockExchange({
+    balances: {
+      futures: { USDT: options.futuresBalance ?? MOCK_EXCHANGE_FUTURES_BALANCE },
+      spot: { USDC: options.spotBalance ?? MOCK_EXCHANGE_SPOT_BALANCE, USDT: 0 }
+    },
+    prices: {}
+  });
+
+  const series = new Map(); // symbol -> { history, queue }
+  const books = new Map(); // symbol -> { updateId, bids, asks } as last published
+  const aggTrades = new Map(); // symbol -> recent trades, oldest first
+  let nextTradeId = 1;
+  let clock = 0; // openTime of the next 1m candle
+
+  function seriesFor(symbol) {
+    return series.get(spotAliases.get(symbol) || symbol) || null;
+  }
+
+  function markPrice(symbol, price) {
+    exchange.setPrice(symbol, price);
+    for (const [alias, target] of spotAliases) {
+      if (target === symbol) exchange.setPrice(alias, price);
+    }
+  }
+
+  function reset() {
+    exchange.reset();
+    series.clear();
+    books.clear();
+    aggTrades.clear();
+    clock = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS - historySize * MINUTE_MS;
+
+    for (const { symbol, price } of symbols) {
+      const replay = recorded[symbol] || [];
+      // Recorded candles seed up to half the history; the rest of them are replayed tick by tick
+      const seeded = replay.slice(0, Math.min(historySize, Math.floor(replay.length / 2)));
+      const history = [
+        ...syntheticCandles(historySize - seeded.length, scenario, seeded[0]?.open || price),
+        ...seeded
+      ].map((c, i) => ({ ...c, openTime: clock + i * MINUTE_MS, closeTime: clock + (i + 1) * MINUTE_MS - 1 }));
+
+      series.set(symbol, { history, queue: replay.slice(seeded.length) });
+      markPrice(symbol, history.at(-1).close);
+      publishBook(symbol);
+      aggTrades.set(symbol, []);
+    }
+    clock += historySize * MINUTE_MS;
+  }
+
+  function nextCandle(s) {
+    if (s.queue.length === 0) {
+      s.queue = syntheticCandles(200, scenario, s.history.at(-1).close);
+    }
+    return s.queue.shift();
+  }
+
+  // Re-centre the book on the last close; returns the diff from the previous book
+  function publishBook(symbol) {
+    const previous = books.get(symbol) || { updateId: 0, bids: [], asks: [] };
+    const next = { updateId: previous.updateId + 1, ...ladder(series.get(symbol).history.at(-1).close) };
+    books.set(symbol, next);
+
+    const changes = (before, after) => {
+      const kept = new Set(after.map(([price]) => price));
+      return [...before.filter(([price]) => !kept.has(price)).map(([price]) => [price, 0]), ...after];
+    };
+    return { U: next.updateId, u: next.updateId, pu: previous.updateId, b: changes(previous.bids, next.bids), a: changes(previous.asks, next.asks) };
+  }
+
+  // One aggregated trade per step of the candle walk
+  function recordTrades(symbol, candle, path) {
+    const trades = aggTrades.get(symbol);
+    const added = path.map((price, i) => ({
+      id: nextTradeId++,
+      price,
+      quantity: candle.volume / path.length,
+      time: Date.now(),
+      isBuyerMaker: i > 0 && price < path[i - 1] // falling price = takers selling
+    }));
+    trades.push(...added);
+    if (trades.length > MAX_AGG_TRADES) trades.splice(0, trades.length - MAX_AGG_TRADES);
+    return added;
+  }
+
+  // forceOrder for the wick against the candle: SELL closes longs, BUY closes shorts
+  function liquidationFor(symbol, candle) {
+    const bullish = candle.close >= candle.open;
+    const price = String(bullish ? candle.low : candle.high);
+    const quantity = String(candle.volume * LIQUIDATION_SHARE);
+    return {
+      s: symbol,
+      S: bullish ? 'SELL' : 'BUY',
+      o: 'LIMIT',
+      f: 'IOC',
+      q: quantity,
+      p: price,
+      ap: price,
+      X: 'FILLED',
+      l: quantity,
+      z: quantity,
+      T: Date.now()
+    };
+  }
+
+  /**
+   * Close one 1m candle per symbol, walking the price through it
+   */
+  function tick() {
+    const closed = [];
+    const flow = new Map(); // symbol -> { depth, trades, liquidation }
+    for (const [symbol, s] of series) {
+      const candle = { ...nextCandle(s), openTime: clock, closeTime: clock + MINUTE_MS - 1 };
+      const path = candle.close >= candle.open
+        ? [candle.open, candle.low, candle.high, candle.close]
+        : [candle.open, candle.high, candle.low, candle.close];
+      for (const price of path) markPrice(symbol, price);
+
+      s.history.push(candle);
+      if (s.history.length > historySize * 2) s.history.splice(0, s.history.length - historySize);
+      closed.push({ symbol, candle });
+      flow.set(symbol, {
+        trades: recordTrades(symbol, candle, path),
+        depth: publishBook(symbol),
+        liquidation: candle.volume > 0 ? liquidationFor(symbol, candle) : null
+      });
+    }
+    clock += MINUTE_MS;
+    broadcastKlines();
+    broadcastOrderFlow(flow);
+    return closed;
+  }
+
+  function getKlines(symbol, interval, { startTime, endTime, limit = 500 }) {
+    const s = seriesFor(symbol);
+    if (!s) return null;
+    const step = getIntervalMs(interval);
+    let source = s.history;
+    if (startTime) source = source.filter(c => c.openTime >= Number(startTime));
+    if (endTime) source = source.filter(c => c.openTime <= Number(endTime));
+    const buckets = aggregate(startTime ? source : source.slice(-(limit + 1) * (step / MINUTE_MS)), interval);
+    return startTime ? buckets.slice(0, limit) : buckets.slice(-limit);
+  }
+
+  function ticker24h(symbol) {
+    const day = seriesFor(symbol).history.slice(-DAY_MS / MINUTE_MS);
+    const open = day[0].open;
+    const last = day.at(-1).close;
+    const quoteVolume = day.reduce((sum, c) => sum + c.volume * c.close, 0);
+    const volume = day.reduce((sum, c) => sum + c.volume, 0);
+    return {
+      symbol,
+      priceChange: String(last - open),
+      priceChangePercent: String(((last - open) / open) * 100),
+      weightedAvgPrice: String(quoteVolume / volume),
+      lastPrice: String(last),
+      openPrice: String(open),
+      highPrice: String(Math.max(...day.map(c => c.high))),
+      lowPrice: String(Math.min(...day.map(c => c.low))),
+      volume: String(volume),
+      quoteVolume: String(quoteVolume),
+      count: day.reduce((sum, c) => sum + Math.round(c.volume / 10), 0),
+      openTime: day[0].openTime,
+      closeTime: day.at(-1).closeTime
+    };
+  }
+
+  async function exchangeInfo(market) {
+    const info = [];
+    for (const symbol of listSymbols(market)) {
+      const f = await exchange.getSymbolFilters(symbol);
+      info.push({
+        symbol,
+        pair: symbol,
+        contractType: market === 'futures' ? 'PERPETUAL' : undefined,
+        deliveryDate: market === 'futures' ? 4133404800000 : undefined,
+        status: 'TRADING',
+        baseAsset: f.baseAsset,
+        quoteAsset: f.quoteAsset,
+        pricePrecision: market === 'futures' ? f.pricePrecision : undefined,
+        quantityPrecision: market === 'futures' ? f.quantityPrecision : undefined,
+        filters: [
+          { filterType: 'PRICE_FILTER', tickSize: String(f.tickSize), minPrice: String(f.tickSize), maxPrice: '10000000' },
+          { filterType: 'LOT_SIZE', stepSize: String(f.stepSize), minQty: String(f.minQty), maxQty: '10000000' },
+          market === 'futures'
+            ? { filterType: 'MIN_NOTIONAL', notional: String(f.minNotional) }
+            : { filterType: 'NOTIONAL', minNotional: String(f.minNotional) }
+        ]
+      });
+    }
+    return { timezone: 'UTC', serverTime: Date.now(), symbols: info };
+  }
+
+  function toBinanceOrder(order, market) {
+    const executedQty = order.executedQty || 0;
+    const avgPrice = order.avgPrice || 0;
+    return {
+      orderId: Number(order.orderId),
+      clientOrderId: order.clientOrderId || `mock_${order.orderId}`,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      status: order.status,
+      origQty: String(order.quantity ?? executedQty),
+      executedQty: String(executedQty),
+      price: String(order.price || 0),
+      stopPrice: String(order.stopPrice || 0),
+      ...(market === 'futures'
+        ? {
+          avgPrice: String(avgPrice),
+          ...(order.type === 'TRAILING_STOP_MARKET'
+            ? { activatePrice: String(order.activationPrice || 0), priceRate: String(order.callbackRate) }
+            : {}),
+          reduceOnly: order.reduceOnly || order.closePosition,
+          closePosition: order.closePosition,
+          updateTime: order.time
+        }
+        : {
+          cummulativeQuoteQty: String(executedQty * avgPrice),
+          transactTime: order.time
+        })
+    };
+  }
+
+  // --- HTTP ---
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  /**
+   * Signed endpoints: API key header required; signature checked when a secret is configured
+   */
+  function signed(req, res, next) {
+    if (!req.get('X-MBX-APIKEY')) {
+      return binanceError(res, 401, -2015, 'Invalid API-key, IP, or permissions for action.');
+    }
+    if (apiSecret) {
+      const query = req.originalUrl.split('?')[1] || '';
+      const payload = query.replace(/&?signature=[0-9a-f]+/, '');
+      const expected = crypto.createHmac('sha256', apiSecret).update(payload).digest('hex');
+      if (req.query.signature !== expected) {
+        return binanceError(res, 400, -1022, 'Signature for this request is not valid.');
+      }
+    }
+    req.input = { ...req.body, ...req.query };
+    next();
+  }
+
+  function requireSymbol(req, res) {
+    const symbol = String(req.query.symbol || '').toUpperCase();
+    if (!seriesFor(symbol)) {
+      binanceError(res, 400, -1121, 'Invalid symbol.');
+      return null;
+    }
+    return symbol;
+  }
+
+  const routes = { futures: '/fapi/v1', spot: '/api/v3' };
+
+  function listSymbols(market) {
+    return market === 'spot' ? [...series.keys(), ...spotAliases.keys()] : [...series.keys()];
+  }
+
+  for (const [market, base] of Object.entries(routes)) {
+    app.get(`${base}/ping`, (_req, res) => res.json({}));
+    app.get(`${base}/time`, (_req, res) => res.json({ serverTime: Date.now() }));
+
+    app.get(`${base}/exchangeInfo`, async (_req, res) => {
+      res.json(await exchangeInfo(market));
+    });
+
+    app.get(`${base}/klines`, (req, res) => {
+      const symbol = requireSymbol(req, res);
+      if (!symbol) return;
+      const limit = Math.min(Number(req.query.limit || 500), 1500);
+      const klines = getKlines(symbol, req.query.interval || '1m', { ...req.query, limit });
+      res.json(klines.map(toKline));
+    });
+
+    app.get(`${base}/ticker/price`, (req, res) => {
+      if (!req.query.symbol) {
+        return res.json(listSymbols(market).map(symbol => ({ symbol, price: String(seriesFor(symbol).history.at(-1).close) })));
+      }
+      const symbol = requireSymbol(req, res);
+      if (!symbol) return;
+      res.json({ symbol, price: String(seriesFor(symbol).history.at(-1).close) });
+    });
+
+    app.get(`${base}/ticker/24hr`, (req, res) => {
+      if (!req.query.symbol) return res.json(listSymbols(market).map(ticker24h));
+      const symbol = requireSymbol(req, res);
+      if (!symbol) return;
+      res.json(ticker24h(symbol));
+    });
+
+    app.post(`${base}/order`, signed, async (req, res) => {
+      const p = req.input;
+      try {
+        const order = await exchange.placeOrder({
+          market,
+          symbol: String(p.symbol || '').toUpperCase(),
+          side: p.side,
+          type: p.type,
+          quantity: p.quantity !== undefined ? Number(p.quantity) : undefined,
+          quoteQuantity: p.quoteOrderQty !== undefined ? Number(p.quoteOrderQty) : undefined,
+          price: p.price !== undefined ? Number(p.price) : undefined,
+          stopPrice: p.stopPrice !== undefined ? Number(p.stopPrice) : undefined,
+          activationPrice: p.activationPrice !== undefined ? Number(p.activationPrice) : undefined,
+          callbackRate: p.callbackRate !== undefined ? Number(p.callbackRate) : undefined,
+          closePosition: p.closePosition === 'true',
+          reduceOnly: p.reduceOnly === 'true',
+          clientOrderId: p.newClientOrderId
+        });
+        res.json(toBinanceOrder(order, market));
+      } catch (err) {
+        binanceError(res, 400, -2010, err.message);
+      }
+    });
+
+    app.get(`${base}/order`, signed, async (req, res) => {
+      try {
+        const order = await exchange.getOrder(String(req.input.symbol || '').toUpperCase(), req.input.orderId);
+        res.json(toBinanceOrder(order, market));
+      } catch (err) {
+        binanceError(res, 400, -2013, 'Order does not exist.');
+      }
+    });
+
+    app.delete(`${base}/order`, signed, async (req, res) => {
+      try {
+        const order = await exchange.cancelOrder(String(req.input.symbol || '').toUpperCase(), req.input.orderId);
+        res.json(toBinanceOrder(order, market));
+      } catch (err) {
+        binanceError(res, 400, -2011, 'Unknown order sent.');
+      }
+    });
+
+    app.get(`${base}/openOrders`, signed, async (req, res) => {
+      const orders = await exchange.getOpenOrders(req.input.symbol, { market });
+      res.json(orders.map(o => toBinanceOrder(o, market)));
+    });
+  }
+
+  // Spot cancels everything on DELETE openOrders, futures on DELETE allOpenOrders
+  const cancelAll = market => async (req, res) => {
+    await exchange.cancelAllOrders(String(req.input.symbol || '').toUpperCase(), { market });
+    res.json(market === 'futures' ? { code: 200, msg: 'The operation of cancel all open order is done.' } : []);
+  };
+  app.delete('/fapi/v1/allOpenOrders', signed, cancelAll('futures'));
+  app.delete('/api/v3/openOrders', signed, cancelAll('spot'));
+
+  app.post('/fapi/v1/leverage', signed, async (req, res) => {
+    const leverage = Number(req.input.leverage);
+    if (!leverage || leverage < 1 || leverage > 125) {
+      return binanceError(res, 400, -4028, 'Leverage is not valid');
+    }
+    await exchange.setLeverage(String(req.input.symbol).toUpperCase(), leverage);
+    res.json({ symbol: req.input.symbol, leverage, maxNotionalValue: '1000000' });
+  });
+
+  app.get('/fapi/v2/balance', signed, async (_req, res) => {
+    const balances = await exchange.getBalances();
+    res.json(balances.map(b => ({
+      accountAlias: 'mock',
+      asset: b.asset,
+      balance: String(b.total),
+      crossWalletBalance: String(b.total),
+      availableBalance: String(b.free),
+      maxWithdrawAmount: String(b.free),
+      updateTime: Date.now()
+    })));
+  });
+
+  app.get('/fapi/v2/positionRisk', signed, async (_req, res) => {
+    const positions = await exchange.getPositions();
+    res.json(positions.map(p => ({
+      symbol: p.symbol,
+      positionAmt: String(p.side === 'LONG' ? p.quantity : -p.quantity),
+      entryPrice: String(p.entryPrice),
+      markPrice: String(p.markPrice),
+      unRealizedProfit: String(p.unrealizedPnl),
+      liquidationPrice: String(p.liquidationPrice),
+      leverage: String(p.leverage),
+      marginType: 'isolated',
+      positionSide: 'BOTH',
+      updateTime: Date.now()
+    })));
+  });
+
+  app.get('/api/v3/account', signed, async (_req, res) => {
+    const balances = await exchange.getBalances({ market: 'spot' });
+    res.json({
+      accountType: 'SPOT',
+      canTrade: true,
+      balances: balances.map(b => ({ asset: b.asset, free: String(b.free), locked: String(b.locked) })),
+      updateTime: Date.now()
+    });
+  });
+
+  // Funding endpoints, so fundingRates.js has something to read
+  app.get('/fapi/v1/premiumIndex', (_req, res) => {
+    const nextFundingTime = Math.ceil(Date.now() / (8 * 60 * MINUTE_MS)) * 8 * 60 * MINUTE_MS;
+    res.json([...series.keys()].map(symbol => {
+      const price = String(seriesFor(symbol).history.at(-1).close);
+      return { symbol, markPrice: price, indexPrice: price, lastFundingRate: String(FUNDING_RATE), nextFundingTime, time: Date.now() };
+    }));
+  });
+
+  app.get('/fapi/v1/fundingRate', (_req, res) => res.json([]));
+
+  // Order book and aggregated trades, for the microstructure module
+  app.get('/fapi/v1/depth', (req, res) => {
+    const symbol = requireSymbol(req, res);
+    if (!symbol) return;
+    const book = books.get(spotAliases.get(symbol) || symbol);
+    const limit = Math.min(Number(req.query.limit || 500), 1000);
+    const levels = side => side.slice(0, limit).map(([price, qty]) => [String(price), String(qty)]);
+    res.json({ lastUpdateId: book.updateId, E: Date.now(), T: Date.now(), bids: levels(book.bids), asks: levels(book.asks) });
+  });
+
+  app.get('/fapi/v1/aggTrades', (req, res) => {
+    const symbol = requireSymbol(req, res);
+    if (!symbol) return;
+    const { fromId, startTime, endTime } = req.query;
+    const limit = Math.min(Number(req.query.limit || 500), 1000);
+    const trades = (aggTrades.get(spotAliases.get(symbol) || symbol) || [])
+      .filter(t => (fromId === undefined || t.id >= Number(fromId))
+        && (startTime === undefined || t.time >= Number(startTime))
+        && (endTime === undefined || t.time <= Number(endTime)));
+    res.json((fromId !== undefined || startTime !== undefined ? trades.slice(0, limit) : trades.slice(-limit)).map(toAggTrade));
+  });
+
+  app.get('/fapi/v1/openInterest', (req, res) => {
+    const symbol = requireSymbol(req, res);
+    if (!symbol) return;
+    res.json({ symbol, openInterest: '100000', time: Date.now() });
+  });
+
+  // Long/short account ratios (getLeverageAnalysis), a flat 55/45
+  const longShortRatio = (req, res) => {
+    const symbol = requireSymbol(req, res);
+    if (!symbol) return;
+    res.json([{ symbol, longAccount: '0.55', shortAccount: '0.45', longShortRatio: '1.2222', timestamp: Date.now() }]);
+  };
+  app.get('/futures/data/topLongShortAccountRatio', longShortRatio);
+  app.get('/futures/data/globalLongShortAccountRatio', longShortRatio);
+
+  // Test hooks
+  app.post('/mock/tick', (req, res) => {
+    const count = Math.max(1, Math.min(1000, Number(req.body?.count || 1)));
+    let closed = [];
+    for (let i = 0; i < count; i++) closed = tick();
+    res.json({ ticks: count, prices: Object.fromEntries(closed.map(c => [c.symbol, c.candle.close])) });
+  });
+
+  app.post('/mock/price', (req, res) => {
+    const symbol = String(req.body?.symbol || '').toUpperCase();
+    const price = Number(req.body?.price);
+    const s = series.get(symbol);
+    if (!s || !price) return res.status(400).json({ error: 'symbol and price are required' });
+    // Jump inside the current candle: the next tick continues from here
+    const last = s.history.at(-1);
+    last.close = price;
+    last.high = Math.max(last.high, price);
+    last.low = Math.min(last.low, price);
+    s.queue = s.queue.map((c, i) => i === 0 ? { ...c, open: price } : c);
+    const triggered = exchange.setPrice(symbol, price);
+    res.json({ symbol, price, triggered });
+  });
+
+  app.get('/mock/state', async (_req, res) => {
+    res.json({
+      clock,
+      prices: Object.fromEntries([...series].map(([symbol, s]) => [symbol, s.history.at(-1).close])),
+      positions: await exchange.getPositions(),
+      openOrders: [...await exchange.getOpenOrders(null), ...await exchange.getOpenOrders(null, { market: 'spot' })],
+      balances: {
+        futures: await exchange.getBalances(),
+        spot: await exchange.getBalances({ market: 'spot' })
+      },
+      fills: exchange.getFills()
+    });
+  });
+
+  app.post('/mock/reset', (_req, res) => {
+    reset();
+    res.json({ ok: true });
+  });
+
+  // --- WebSocket: /stream?streams=btcusdt@kline_1m/btcusdt@depth@500ms/btcusdt@aggTrade/!forceOrder@arr ---
+
+  const server = http.createServer(app);
+  const wss = new WebSocketServer({ noServer: true });
+  const subscriptions = new Map(); // ws -> [{ symbol, kind, interval, stream }]
+
+  function parseStream(stream) {
+    if (stream === '!forceOrder@arr') return { symbol: null, kind: 'forceOrder', stream };
+    const [name, type = ''] = stream.split('@');
+    const kind = type.startsWith('kline_') ? 'kline' : type;
+    return { symbol: name.toUpperCase(), kind, interval: type.replace('kline_', ''), stream };
+  }
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/stream') return socket.destroy();
+    const streams = (url.searchParams.get('streams') || '').split('/').filter(Boolean);
+    wss.handleUpgrade(req, socket, head, ws => {
+      subscriptions.set(ws, streams.map(parseStream));
+      // Live SUBSCRIBE / UNSUBSCRIBE requests, as on the real combined stream
+      ws.on('message', raw => {
+        let request;
+        try {
+          request = JSON.parse(raw);
+        } catch {
+          return;
+        }
+        const params = Array.isArray(request.params) ? request.params : [];
+        const subs = subscriptions.get(ws) || [];
+        if (request.method === 'SUBSCRIBE') {
+          const known = new Set(subs.map(sub => sub.stream));
+          subs.push(...params.filter(stream => !known.has(stream)).map(parseStream));
+        } else if (request.method === 'UNSUBSCRIBE') {
+          subscriptions.set(ws, subs.filter(sub => !params.includes(sub.stream)));
+        }
+        ws.send(JSON.stringify({ result: null, id: request.id }));
+      });
+      ws.on('close', () => subscriptions.delete(ws));
+    });
+  });
+
+  function broadcastKlines() {
+    const now = Date.now();
+    for (const [ws, subs] of subscriptions) {
+      for (const { symbol, kind, interval, stream } of subs) {
+        const s = seriesFor(symbol);
+        if (!s || kind !== 'kline') continue;
+        const step = getIntervalMs(interval);
+        const bucket = aggregate(s.history.slice(-(step / MINUTE_MS)), interval).at(-1);
+        const k = {
+          t: bucket.openTime,
+          T: bucket.closeTime,
+          s: symbol,
+          i: interval,
+          o: String(bucket.open),
+          c: String(bucket.close),
+          h: String(bucket.high),
+          l: String(bucket.low),
+          v: String(bucket.volume),
+          // The bucket is closed once its last minute has been replayed
+          x: clock >= bucket.openTime + step
+        };
+        ws.send(JSON.stringify({ stream, data: { e: 'kline', E: now, s: symbol, k } }));
+      }
+    }
+  }
+
+  function broadcastOrderFlow(flow) {
+    const now = Date.now();
+    for (const [ws, subs] of subscriptions) {
+      for (const { symbol, kind, stream } of subs) {
+        if (kind === 'forceOrder') {
+          for (const { liquidation } of flow.values()) {
+            if (liquidation) ws.send(JSON.stringify({ stream, data: { e: 'forceOrder', E: now, o: liquidation } }));
+          }
+          continue;
+        }
+        const update = flow.get(symbol);
+        if (!update) continue;
+        if (kind === 'depth') {
+          const { U, u, pu, b, a } = update.depth;
+          const levels = side => side.map(([price, qty]) => [String(price), String(qty)]);
+          ws.send(JSON.stringify({ stream, data: { e: 'depthUpdate', E: now, T: now, s: symbol, U, u, pu, b: levels(b), a: levels(a) } }));
+        } else if (kind === 'aggTrade') {
+          for (const trade of update.trades) {
+            ws.send(JSON.stringify({ stream, data: { e: 'aggTrade', E: now, s: symbol, ...toAggTrade(trade) } }));
+          }
+        }
+      }
+    }
+  }
+
+  let ticker = null;
+
+  reset();
+
+  return {
+    app,
+    server,
+    exchange,
+    tick,
+    reset,
+
+    /** Streams each open WebSocket is subscribed to */
+    streams() {
+      return [...subscriptions.values()].map(subs => subs.map(sub => sub.stream));
+    },
+
+    start(port = MOCK_EXCHANGE_PORT, tickMs = MOCK_EXCHANGE_TICK_MS) {
+      return new Promise(resolve => {
+        server.listen(port, () => {
+          if (tickMs > 0) ticker = setInterval(tick, tickMs);
+          console.log(`[MOCK EXCHANGE] Listening on http://localhost:${port} (${series.size} symbols, tick every ${tickMs}ms)`);
+          resolve(server);
+        });
+      });
+    },
+
+    stop() {
+      if (ticker) clearInterval(ticker);
+      ticker = null;
+      for (const ws of subscriptions.keys()) ws.terminate();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+if (require.main === module) {
+  createMockBinanceServer().start();
+}
+
+module.exports = { createMockBinanceServer };
@@ -6,9 +6,10 @@
  */
 
 const { MongoClient } = require('mongodb');
+const { getConfig } = require('./config');
 
 // Use public URL for external access, internal for Railway-to-Railway
-const MONGO_URL = process.env.MONGO_URL || process.env.MONGO_PUBLIC_URL || null;
+const MONGO_URL = getConfig('MONGO_URL') || null;
 const DB_NAME = 'botalert';
 
 let client = null;
@@ -29,7 +30,19 @@ const COLLECTIONS = {
   HISTORICAL_LEARNING: 'historical_learning',
   HISTORICAL_TRADES: 'historical_trades',
   MARKET_EVENTS: 'market_events',
-  LEARNING_SUMMARIES: 'learning_summaries'
+  LEARNING_SUMMARIES: 'learning_summaries',
+  // Web push
+  PUSH_SUBSCRIPTIONS: 'push_subscriptions',
+  // Entry gate decisions
+  TRADE_DECISIONS: 'trade_decisions',
+  // Live trading state (one document per trading account)
+  TRADING_STATE: 'trading_state',
+  // State-changing API and chat calls
+  AUDIT_LOG: 'audit_log',
+  // Custom strategy profiles and the active one
+  STRATEGY_PROFILES: 'strategy_profiles',
+  // User-defined alert rules
+  CUSTOM_ALERTS: 'custom_alerts'
 };
 
 /**
@@ -105,6 +118,22 @@ async function createIndexes() {
     await db.collection(COLLECTIONS.MARKET_EVENTS).createIndex({ symbol: 1, timestamp: -1 });
     await db.collection(COLLECTIONS.MARKET_EVENTS).createIndex({ type: 1 });
     await db.collection(COLLECTIONS.LEARNING_SUMMARIES).createIndex({ type: 1, completedAt: -1 });
+
+    // Web push subscriptions
+    await db.collection(COLLECTIONS.PUSH_SUBSCRIPTIONS).createIndex({ endpoint: 1 }, { unique: true });
+
+    // Entry decisions
+    await db.collection(COLLECTIONS.TRADE_DECISIONS).createIndex({ symbol: 1, interval: 1, timestamp: -1 });
+    await db.collection(COLLECTIONS.TRADE_DECISIONS).createIndex({ outcome: 1, timestamp: -1 });
+    await db.collection(COLLECTIONS.TRADE_DECISIONS).createIndex({ account: 1, timestamp: -1 });
+    await db.collection(COLLECTIONS.TRADE_DECISIONS).createIndex({ timestamp: -1 });
+
+    // Audit log
+    await db.collection(COLLECTIONS.AUDIT_LOG).createIndex({ actor: 1, timestamp: -1 });
+    await db.collection(COLLECTIONS.AUDIT_LOG).createIndex({ timestamp: -1 });
+
+    // Custom alerts
+    await db.collection(COLLECTIONS.CUSTOM_ALERTS).createIndex({ id: 1 }, { unique: true });
   } catch (err) {
     console.warn('[MONGO] Index creation warning:', err.message);
   }
@@ -283,19 +312,62 @@ async function getPerformanceBySymbol() {
   }
 }
 
+// ============================================================
+// TRADING STATE OPERATIONS
+// ============================================================
+
+/**
+ * Save an account's live trading state (open positions, daily counter, history)
+ */
+async function saveTradingState(account, state) {
+  if (!isAvailable()) return false;
+
+  try {
+    await db.collection(COLLECTIONS.TRADING_STATE).updateOne(
+      { _id: account },
+      {
+        $set: {
+          ...state,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    console.error('[MONGO] Save trading state error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Load an account's live trading state
+ */
+async function loadTradingState(account) {
+  if (!isAvailable()) return null;
+
+  try {
+    return await db.collection(COLLECTIONS.TRADING_STATE).findOne({ _id: account });
+  } catch (err) {
+    console.error('[MONGO] Load trading state error:', err.message);
+    return null;
+  }
+}
+
 // ============================================================
 // SIMULATION OPERATIONS
 // ============================================================
 
 /**
  * Save simulation state
+ * @param {string} id - portfolio document ('main' = baseline)
  */
-async function saveSimulationState(state) {
+async function saveSimulationState(state, id = 'main') {
   if (!isAvailable()) return false;
 
   try {
     await db.collection(COLLECTIONS.SIMULATION_STATE).updateOne(
-      { _id: 'main' },
+      { _id: id },
       {
         $set: {
           ...state,
@@ -313,12 +385,13 @@ async function saveSimulationState(state) {
 
 /**
  * Load simulation state
+ * @param {string} id - portfolio document ('main' = baseline)
  */
-async function loadSimulationState() {
+async function loadSimulationState(id = 'main') {
   if (!isAvailable()) return null;
 
   try {
-    return await db.collection(COLLECTIONS.SIMULATION_STATE).findOne({ _id: 'main' });
+    return await db.collection(COLLECTIONS.SIMULATION_STATE).findOne({ _id: id });
   } catch (err) {
     console.error('[MONGO] Load simulation state error:', err.message);
     return null;
@@ -949,6 +1022,267 @@ async function getRecentMarketEvents(limit = 20) {
   }
 }
 
+// ============================================================
+// WEB PUSH SUBSCRIPTIONS
+// ============================================================
+
+/**
+ * Save (upsert) a push subscription and its alert rules, keyed by endpoint
+ */
+async function savePushSubscription(entry) {
+  if (!isAvailable() || !entry?.endpoint) return false;
+
+  try {
+    const { _id, ...doc } = entry;
+    await db.collection(COLLECTIONS.PUSH_SUBSCRIPTIONS).updateOne(
+      { endpoint: entry.endpoint },
+      {
+        $set: {
+          ...doc,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    console.error('[MONGO] Save push subscription error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Load all push subscriptions
+ */
+async function loadPushSubscriptions() {
+  if (!isAvailable()) return [];
+
+  try {
+    return await db.collection(COLLECTIONS.PUSH_SUBSCRIPTIONS).find().toArray();
+  } catch (err) {
+    console.error('[MONGO] Load push subscriptions error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Delete a push subscription by endpoint
+ */
+async function deletePushSubscription(endpoint) {
+  if (!isAvailable()) return false;
+
+  try {
+    await db.collection(COLLECTIONS.PUSH_SUBSCRIPTIONS).deleteOne({ endpoint });
+    return true;
+  } catch (err) {
+    console.error('[MONGO] Delete push subscription error:', err.message);
+    return false;
+  }
+}
+
+// ============================================================
+// TRADE DECISION OPERATIONS
+// ============================================================
+
+/**
+ * Record an entry decision (which gates ran, what they said, the outcome)
+ */
+async function recordTradeDecision(decision) {
+  if (!isAvailable()) return false;
+
+  try {
+    await db.collection(COLLECTIONS.TRADE_DECISIONS).insertOne({
+      ...decision,
+      createdAt: new Date()
+    });
+    return true;
+  } catch (err) {
+    console.error('[MONGO] Record trade decision error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Get entry decisions with filters, newest first
+ */
+async function getTradeDecisions(options = {}) {
+  if (!isAvailable()) return [];
+
+  try {
+    const { account, symbol, interval, outcome, gate, startDate, endDate, limit = 100, skip = 0 } = options;
+    const query = {};
+
+    if (account) query.account = account;
+    if (symbol) query.symbol = symbol;
+    if (interval) query.interval = interval;
+    if (outcome) query.outcome = outcome;
+    if (gate) query.rejectedBy = gate;
+    if (startDate || endDate) {
+      query.timestamp = {};
+      if (startDate) query.timestamp.$gte = startDate;
+      if (endDate) query.timestamp.$lte = endDate;
+    }
+
+    return await db.collection(COLLECTIONS.TRADE_DECISIONS)
+      .find(query, { projection: { _id: 0, createdAt: 0 } })
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  } catch (err) {
+    console.error('[MONGO] Get trade decisions error:', err.message);
+    return [];
+  }
+}
+
+// ============================================================
+// AUDIT LOG OPERATIONS
+// ============================================================
+
+/**
+ * Record a state-changing call (who, what, from where, result)
+ */
+async function recordAuditEntry(entry) {
+  if (!isAvailable()) return false;
+
+  try {
+    await db.collection(COLLECTIONS.AUDIT_LOG).insertOne({
+      ...entry,
+      createdAt: new Date()
+    });
+    return true;
+  } catch (err) {
+    console.error('[MONGO] Record audit entry error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Get audit entries with filters, newest first
+ */
+async function getAuditLog(options = {}) {
+  if (!isAvailable()) return [];
+
+  try {
+    const { actor, channel, action, startDate, endDate, limit = 100, skip = 0 } = options;
+    const query = {};
+
+    if (actor) query.actor = actor;
+    if (channel) query.channel = channel;
+    if (action) query.action = action;
+    if (startDate || endDate) {
+      query.timestamp = {};
+      if (startDate) query.timestamp.$gte = startDate;
+      if (endDate) query.timestamp.$lte = endDate;
+    }
+
+    return await db.collection(COLLECTIONS.AUDIT_LOG)
+      .find(query, { projection: { _id: 0, createdAt: 0 } })
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  } catch (err) {
+    console.error('[MONGO] Get audit log error:', err.message);
+    return [];
+  }
+}
+
+// ============================================================
+// STRATEGY PROFILE OPERATIONS
+// ============================================================
+
+/**
+ * Save custom strategy profiles and the active profile
+ */
+async function saveStrategyProfiles(state) {
+  if (!isAvailable()) return false;
+
+  try {
+    await db.collection(COLLECTIONS.STRATEGY_PROFILES).updateOne(
+      { _id: 'main' },
+      {
+        $set: {
+          ...state,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    console.error('[MONGO] Save strategy profiles error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Load custom strategy profiles and the active profile
+ */
+async function loadStrategyProfiles() {
+  if (!isAvailable()) return null;
+
+  try {
+    return await db.collection(COLLECTIONS.STRATEGY_PROFILES).findOne({ _id: 'main' });
+  } catch (err) {
+    console.error('[MONGO] Load strategy profiles error:', err.message);
+    return null;
+  }
+}
+
+// ============================================================
+// CUSTOM ALERT OPERATIONS
+// ============================================================
+
+/**
+ * Save (upsert) a custom alert rule, keyed by id
+ */
+async function saveCustomAlert(rule) {
+  if (!isAvailable() || !rule?.id) return false;
+
+  try {
+    const { _id, ...doc } = rule;
+    await db.collection(COLLECTIONS.CUSTOM_ALERTS).updateOne(
+      { id: rule.id },
+      { $set: doc },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    console.error('[MONGO] Save custom alert error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Load all custom alert rules
+ */
+async function loadCustomAlerts() {
+  if (!isAvailable()) return [];
+
+  try {
+    return await db.collection(COLLECTIONS.CUSTOM_ALERTS).find().toArray();
+  } catch (err) {
+    console.error('[MONGO] Load custom alerts error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Delete a custom alert rule by id
+ */
+async function deleteCustomAlert(id) {
+  if (!isAvailable()) return false;
+
+  try {
+    await db.collection(COLLECTIONS.CUSTOM_ALERTS).deleteOne({ id });
+    return true;
+  } catch (err) {
+    console.error('[MONGO] Delete custom alert error:', err.message);
+    return false;
+  }
+}
+
 /**
  * Close connection
  */
@@ -977,6 +1311,8 @@ module.exports = {
   getPerformanceBySymbol,
 
   // Simulation
+  saveTradingState,
+  loadTradingState,
   saveSimulationState,
   loadSimulationState,
   recordSimulationTrade,
@@ -1006,6 +1342,28 @@ module.exports = {
   getHistoricalInsights,
   getRecentMarketEvents,
 
+  // Web push
+  savePushSubscription,
+  loadPushSubscriptions,
+  deletePushSubscription,
+
+  // Trade decisions
+  recordTradeDecision,
+  getTradeDecisions,
+
+  // Audit log
+  recordAuditEntry,
+  getAuditLog,
+
+  // Strategy profiles
+  saveStrategyProfiles,
+  loadStrategyProfiles,
+
+  // Custom alerts
+  saveCustomAlert,
+  loadCustomAlerts,
+  deleteCustomAlert,
+
   // Dashboard
   getAllInsights,
 
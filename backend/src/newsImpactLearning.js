@@ -10,9 +10,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 const { fetchCryptoNews } = require('./sentimentEngine');
 
-const NEWS_LEARNING_FILE = path.join(__dirname, '../data/news_learning.json');
+const NEWS_LEARNING_FILE = path.join(getConfig('DATA_DIR'), 'news_learning.json');
 
 // Learning state
 let newsLearning = {
@@ -385,7 +386,7 @@ function loadNewsLearning() {
 loadNewsLearning();
 
 // Auto-save periodically
-setInterval(saveNewsLearning, 300000); // Every 5 minutes
+setInterval(saveNewsLearning, 300000).unref(); // Every 5 minutes
 
 module.exports = {
   trackNewsEvent,
@@ -0,0 +1,446 @@
+/**
+ * Backtest Parameter Optimizer
+ * Grid or random search over backtest options (stop loss, take profit,
+ * leverage...) and strategy params (confidence gates...).
+ *
+ * Overfitting guard: candidates are ranked on an in-sample slice only, then the
+ * top ones are re-run on the held-out slice and walk-forward across it in
+ * windows. The leaderboard is ordered by out-of-sample results, with candidates
+ * that degrade too much flagged as overfit.
+ *
+ * Leaderboards are stored next to backtest results in data/backtests/optimizations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runBacktest, runWalkForward } = require('./backtesting');
+const { getStrategy } = require('./strategies');
+const { resolveExecutionConfig, loadFundingSettlements } = require('./executionModel');
+const { getConfig } = require('./config');
+
+const OPTIMIZATION_DIR = path.join(getConfig('DATA_DIR'), 'backtests/optimizations');
+const MAX_RUNS = getConfig('OPTIMIZER_MAX_RUNS');
+
+// Search keys that are backtest options; everything else must be a strategy param
+const OPTION_KEYS = ['stopLossPercent', 'takeProfitPercent', 'leverage', 'positionSize', 'maxOpenPositions'];
+
+// Candles the backtester looks back for indicators - prepended to the out-of-sample slice
+const WARMUP_CANDLES = 200;
+
+// Profit factor is Infinity with no losing trades; cap it so it can be ranked
+const PROFIT_FACTOR_CAP = 10;
+
+const OBJECTIVES = {
+  sharpe: s => s.sharpeRatio,
+  sortino: s => s.sortinoRatio,
+  calmar: s => s.calmarRatio,
+  profitFactor: s => (Number.isFinite(s.profitFactor) ? s.profitFactor : (s.totalTrades > 0 ? PROFIT_FACTOR_CAP : 0)),
+  totalReturn: s => s.totalReturn
+};
+
+const DEFAULT_CONSTRAINTS = {
+  maxDrawdown: null, // % - candidates above it are not eligible
+  minTrades: 5,
+  maxDegradation: 0.5, // out-of-sample objective may lose at most 50% vs in-sample
+  minConsistency: 50 // % of profitable walk-forward windows
+};
+
+/**
+ * Seeded PRNG so random searches can be reproduced
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normalize the search space: { key: [values] | { min, max, step } | { values } }
+ */
+function parseSearchSpace(space, strategyImpl, method) {
+  if (!space || typeof space !== 'object' || Object.keys(space).length === 0) {
+    throw new Error('space is required, e.g. { stopLossPercent: [1, 2, 3], minConfidence: { min: 0.5, max: 0.8, step: 0.05 } }');
+  }
+
+  return Object.entries(space).map(([key, spec]) => {
+    const target = OPTION_KEYS.includes(key) ? 'options' : 'params';
+    if (target === 'params' && !(key in (strategyImpl.defaultParams || {}))) {
+      const known = [...OPTION_KEYS, ...Object.keys(strategyImpl.defaultParams || {})];
+      throw new Error(`Unknown parameter "${key}" for ${strategyImpl.name} (use ${known.join(', ')})`);
+    }
+
+    const values = Array.isArray(spec) ? spec : spec?.values;
+    if (Array.isArray(values)) {
+      if (values.length === 0) throw new Error(`No values given for ${key}`);
+      return { key, target, values };
+    }
+
+    const min = Number(spec?.min);
+    const max = Number(spec?.max);
+    const step = spec?.step !== undefined ? Number(spec.step) : null;
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+      throw new Error(`${key} needs a list of values or { min, max, step }`);
+    }
+    if (step !== null && !(step > 0)) {
+      throw new Error(`${key}: step must be positive`);
+    }
+
+    if (step !== null) {
+      const steps = Math.floor((max - min) / step + 1e-9);
+      const grid = Array.from({ length: steps + 1 }, (_, i) => Number((min + i * step).toFixed(8)));
+      return { key, target, values: grid };
+    }
+    if (method === 'grid') {
+      throw new Error(`${key}: grid search needs a step (or a list of values)`);
+    }
+    return { key, target, min, max };
+  });
+}
+
+function countGrid(dimensions) {
+  return dimensions.reduce((total, d) => total * d.values.length, 1);
+}
+
+function generateCandidates(dimensions, method, samples, rng) {
+  if (method === 'grid') {
+    const total = countGrid(dimensions);
+    if (total > MAX_RUNS) {
+      throw new Error(`Grid has ${total} combinations (max ${MAX_RUNS}) - narrow the space or use method: 'random'`);
+    }
+    return dimensions.reduce((combos, d) => combos.flatMap(combo => d.values.map(v => ({ ...combo, [d.key]: v }))), [{}]);
+  }
+
+  // Random search: distinct samples, bounded by the grid size when every dimension is discrete
+  const discrete = dimensions.every(d => d.values);
+  const target = Math.min(samples, MAX_RUNS, discrete ? countGrid(dimensions) : Infinity);
+  const seen = new Set();
+  const candidates = [];
+  for (let attempts = 0; candidates.length < target && attempts < target * 20; attempts++) {
+    const candidate = {};
+    for (const d of dimensions) {
+      candidate[d.key] = d.values
+        ? d.values[Math.floor(rng() * d.values.length)]
+        : Number((d.min + rng() * (d.max - d.min)).toFixed(6));
+    }
+    const key = JSON.stringify(candidate);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    candidates.push(candidate);
+  }
+  return candidates;
+}
+
+/**
+ * Split a flat candidate into backtest options and strategy params
+ */
+function applyCandidate(candidate, dimensions, baseStrategy, baseOptions) {
+  const params = { ...baseStrategy.params };
+  const options = { ...baseOptions };
+  for (const d of dimensions) {
+    if (d.target === 'options') options[d.key] = candidate[d.key];
+    else params[d.key] = candidate[d.key];
+  }
+  return { strategy: { name: baseStrategy.name, params }, options };
+}
+
+function pickSummary(summary) {
+  if (!summary) return null;
+  const { totalReturn, maxDrawdown, totalTrades, winRate, profitFactor, sharpeRatio, sortinoRatio, calmarRatio } = summary;
+  return { totalReturn, maxDrawdown, totalTrades, winRate, profitFactor, sharpeRatio, sortinoRatio, calmarRatio };
+}
+
+function describeSlice(candles) {
+  return {
+    candles: candles.length,
+    start: new Date(candles[0].openTime).toISOString(),
+    end: new Date(candles.at(-1).openTime).toISOString()
+  };
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Run a parameter search
+ * @param {Array} candles - historical candles (>= 400)
+ * @param {Object} config
+ * @param {Object} config.strategy - { name, params } base strategy; searched params override params
+ * @param {Object} config.space - search space per parameter
+ * @param {string} [config.method] - 'grid' (default) or 'random'
+ * @param {number} [config.samples] - random search size (default 50)
+ * @param {string} [config.objective] - sharpe | sortino | calmar | profitFactor | totalReturn
+ * @param {Object} [config.constraints] - { maxDrawdown, minTrades, maxDegradation, minConsistency }
+ * @param {number} [config.outOfSample] - held-out fraction at the end of the range (default 0.3)
+ * @param {number} [config.topK] - in-sample leaders to validate (default 5)
+ * @param {Object} [config.walkForward] - { trainPeriod (warm-up), testPeriod, step } for runWalkForward over the held-out tail
+ * @param {Object} [config.options] - base backtest options
+ * @param {Function} [config.onProgress] - ({ phase: 'optimize', stage, percent, completed, total })
+ * @returns {Object} leaderboard (also saved to disk)
+ */
+async function runOptimization(candles, config = {}) {
+  const startedAt = Date.now();
+  const {
+    strategy = { name: 'ai-default' },
+    symbol = null,
+    interval = null,
+    space,
+    method = 'grid',
+    samples = 50,
+    objective = 'sharpe',
+    outOfSample = 0.3,
+    topK = 5,
+    walkForward = {},
+    options = {},
+    seed = Date.now() % 2147483647,
+    onProgress = null
+  } = config;
+
+  const strategyImpl = getStrategy(strategy.name);
+  if (!strategyImpl) throw new Error(`Unknown strategy: ${strategy.name}`);
+  if (!OBJECTIVES[objective]) {
+    throw new Error(`Unknown objective: ${objective} (use ${Object.keys(OBJECTIVES).join(', ')})`);
+  }
+  if (!['grid', 'random'].includes(method)) throw new Error(`Unknown method: ${method} (use grid, random)`);
+  if (!(outOfSample >= 0.1 && outOfSample <= 0.5)) throw new Error('outOfSample must be between 0.1 and 0.5');
+  if (!candles || candles.length < 400) throw new Error('At least 400 candles are required to optimize');
+
+  const constraints = { ...DEFAULT_CONSTRAINTS, ...(config.constraints || {}) };
+  const score = OBJECTIVES[objective];
+  const dimensions = parseSearchSpace(space, strategyImpl, method);
+  const candidates = generateCandidates(dimensions, method, samples, mulberry32(seed));
+  const baseStrategy = { name: strategyImpl.name, params: strategy.params || {} };
+  const warnings = [];
+
+  // Fetch funding once for the whole search instead of once per run
+  const baseOptions = { ...options, symbol, interval, saveResults: false };
+  const execution = resolveExecutionConfig(baseOptions);
+  if (execution.funding && !execution.fundingRates && symbol) {
+    const funding = await loadFundingSettlements(execution, symbol, candles);
+    if (funding.source === 'binance') {
+      baseOptions.execution = { ...baseOptions.execution, fundingRates: funding.settlements };
+    } else if (funding.warning) {
+      warnings.push(funding.warning);
+    }
+  }
+
+  const split = Math.floor(candles.length * (1 - outOfSample));
+  const inSampleCandles = candles.slice(0, split);
+  const warmup = Math.min(WARMUP_CANDLES, split);
+  const outOfSampleCandles = candles.slice(split - warmup);
+
+  // Walk-forward windows only cover the held-out tail: runWalkForward doesn't re-optimize,
+  // so its train slice is indicator warm-up and every test window must be unseen data
+  const heldOut = candles.length - split;
+  const wf = {
+    trainPeriod: Math.min(walkForward.trainPeriod || WARMUP_CANDLES, split),
+    testPeriod: walkForward.testPeriod || Math.max(50, Math.floor(heldOut / 4))
+  };
+  wf.step = walkForward.step || wf.testPeriod;
+  const walkForwardCandles = candles.slice(split - wf.trainPeriod);
+  if (heldOut < wf.testPeriod) {
+    warnings.push(`Held-out slice (${heldOut} candles) is shorter than one walk-forward window (${wf.testPeriod}) - raise outOfSample or use more candles`);
+  }
+
+  const totalRuns = candidates.length + Math.min(topK, candidates.length) * 2;
+  let completed = 0;
+  const report = async (stage) => {
+    completed++;
+    if (onProgress) {
+      onProgress({ phase: 'optimize', stage, percent: Math.round((completed / totalRuns) * 100), completed, total: totalRuns });
+    }
+    await yieldToEventLoop();
+  };
+
+  console.log(`[OPTIMIZER] ${strategyImpl.name} ${symbol || ''} ${interval || ''}: ${candidates.length} candidates (${method}), objective ${objective}`);
+
+  // 1. In-sample search
+  const ranked = [];
+  const failed = [];
+  for (const candidate of candidates) {
+    const run = applyCandidate(candidate, dimensions, baseStrategy, baseOptions);
+    const result = await runBacktest(inSampleCandles, run.strategy, run.options);
+    await report('in-sample');
+    if (result.error) {
+      failed.push(result.error);
+      continue;
+    }
+
+    const summary = pickSummary(result.summary);
+    const reasons = [];
+    if (summary.totalTrades < constraints.minTrades) reasons.push(`fewer than ${constraints.minTrades} trades`);
+    if (constraints.maxDrawdown != null && summary.maxDrawdown > constraints.maxDrawdown) {
+      reasons.push(`drawdown ${summary.maxDrawdown}% > ${constraints.maxDrawdown}%`);
+    }
+    ranked.push({ params: candidate, inSample: summary, score: score(summary), eligible: reasons.length === 0, reasons });
+  }
+
+  if (failed.length > 0) {
+    warnings.push(`${failed.length} of ${candidates.length} candidates failed in-sample and were left out (first: ${failed[0]})`);
+  }
+
+  ranked.sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+
+  // 2. Out-of-sample + walk-forward validation of the in-sample leaders
+  const leaderboard = [];
+  for (const entry of ranked.slice(0, topK)) {
+    const run = applyCandidate(entry.params, dimensions, baseStrategy, baseOptions);
+
+    const oos = await runBacktest(outOfSampleCandles, run.strategy, { ...run.options, startIndex: warmup });
+    await report('out-of-sample');
+    const wfResult = await runWalkForward(walkForwardCandles, run.strategy, { ...run.options, ...wf });
+    await report('walk-forward');
+
+    const outOfSampleSummary = oos.error ? null : pickSummary(oos.summary);
+    const outOfSampleScore = outOfSampleSummary ? score(outOfSampleSummary) : null;
+    const degradation = entry.score > 0 && outOfSampleScore !== null
+      ? Number((1 - outOfSampleScore / entry.score).toFixed(2))
+      : null;
+
+    const reasons = [...entry.reasons];
+    if (!outOfSampleSummary) reasons.push(`out-of-sample run failed: ${oos.error}`);
+    if (outOfSampleSummary && entry.inSample.totalReturn > 0 && outOfSampleSummary.totalReturn <= 0) {
+      reasons.push('profitable in-sample only');
+    }
+    if (degradation !== null && degradation > constraints.maxDegradation) {
+      reasons.push(`objective fell ${Math.round(degradation * 100)}% out-of-sample`);
+    }
+    const consistency = wfResult.aggregated?.consistency ?? null;
+    if (consistency !== null && consistency < constraints.minConsistency) {
+      reasons.push(`only ${consistency}% of walk-forward windows profitable`);
+    }
+    if (constraints.maxDrawdown != null && outOfSampleSummary?.maxDrawdown > constraints.maxDrawdown) {
+      reasons.push(`out-of-sample drawdown ${outOfSampleSummary.maxDrawdown}% > ${constraints.maxDrawdown}%`);
+    }
+
+    leaderboard.push({
+      params: entry.params,
+      objective: {
+        inSample: entry.score,
+        outOfSample: outOfSampleScore,
+        degradation
+      },
+      inSample: entry.inSample,
+      outOfSample: outOfSampleSummary,
+      walkForward: {
+        periods: wfResult.periods,
+        ...wfResult.aggregated
+      },
+      robust: reasons.length === 0,
+      overfit: reasons.some(r => !entry.reasons.includes(r)),
+      reasons
+    });
+  }
+
+  // Robust candidates first, then by out-of-sample objective
+  leaderboard.sort((a, b) => (b.robust - a.robust) || ((b.objective.outOfSample ?? -Infinity) - (a.objective.outOfSample ?? -Infinity)));
+  leaderboard.forEach((entry, i) => { entry.rank = i + 1; });
+
+  if (!leaderboard.some(e => e.robust)) {
+    warnings.push('No candidate passed out-of-sample validation - treat the leaderboard as overfit');
+  }
+
+  const timestamp = Date.now();
+  const id = `optimization_${strategyImpl.name}_${symbol || 'custom'}_${interval || 'na'}_${timestamp}`;
+  const result = {
+    id,
+    symbol,
+    interval,
+    strategy: baseStrategy,
+    method,
+    objective,
+    constraints,
+    seed,
+    space: dimensions.map(({ key, target, values, min, max }) => ({ key, target, values, min, max })),
+    runs: ranked.length,
+    eligible: ranked.filter(r => r.eligible).length,
+    split: {
+      inSample: describeSlice(inSampleCandles),
+      outOfSample: describeSlice(candles.slice(split)),
+      walkForward: wf
+    },
+    best: leaderboard.find(e => e.robust) || null,
+    leaderboard,
+    inSampleRanking: ranked.slice(0, 20),
+    warnings,
+    durationMs: timestamp - startedAt,
+    timestamp
+  };
+
+  saveOptimization(result);
+  return result;
+}
+
+function saveOptimization(result) {
+  try {
+    if (!fs.existsSync(OPTIMIZATION_DIR)) {
+      fs.mkdirSync(OPTIMIZATION_DIR, { recursive: true });
+    }
+    fs.writeFileSync(path.join(OPTIMIZATION_DIR, `${result.id}.json`), JSON.stringify(result, null, 2));
+    console.log(`[OPTIMIZER] Leaderboard saved to ${result.id}.json`);
+  } catch (err) {
+    console.warn('[OPTIMIZER] Could not save leaderboard:', err.message);
+  }
+}
+
+/**
+ * Recent optimizations (newest first), best candidate only
+ */
+function loadOptimizationHistory(limit = 20) {
+  const history = [];
+  try {
+    if (!fs.existsSync(OPTIMIZATION_DIR)) return history;
+
+    const savedAt = f => Number(f.match(/_(\d+)\.json$/)?.[1] || 0);
+    const files = fs.readdirSync(OPTIMIZATION_DIR)
+      .filter(f => f.endsWith('.json'))
+      .sort((a, b) => savedAt(b) - savedAt(a))
+      .slice(0, limit);
+
+    for (const file of files) {
+      const data = JSON.parse(fs.readFileSync(path.join(OPTIMIZATION_DIR, file), 'utf-8'));
+      history.push({
+        id: data.id,
+        symbol: data.symbol,
+        interval: data.interval,
+        strategy: data.strategy,
+        method: data.method,
+        objective: data.objective,
+        runs: data.runs,
+        best: data.best ? { params: data.best.params, objective: data.best.objective, outOfSample: data.best.outOfSample } : null,
+        timestamp: data.timestamp
+      });
+    }
+  } catch (err) {
+    console.warn('[OPTIMIZER] Could not load history:', err.message);
+  }
+  return history;
+}
+
+/**
+ * Full leaderboard for one optimization
+ */
+function loadOptimization(id) {
+  if (!/^[\w.-]+$/.test(id)) return null;
+  const file = path.join(OPTIMIZATION_DIR, `${id}.json`);
+  try {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    console.warn(`[OPTIMIZER] Could not read ${id}:`, err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  runOptimization,
+  loadOptimizationHistory,
+  loadOptimization,
+  OBJECTIVES,
+  OPTION_KEYS
+};
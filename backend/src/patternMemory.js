@@ -5,8 +5,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 
-const MEMORY_FILE = path.join(__dirname, '../data/pattern_memory.json');
+const MEMORY_FILE = path.join(getConfig('DATA_DIR'), 'pattern_memory.json');
 const MAX_PATTERNS = 1000; // Keep last 1000 patterns
 
 // In-memory pattern storage
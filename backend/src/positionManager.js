@@ -0,0 +1,358 @@
+/**
+ * Position Manager - exchange-side exit orders for live futures positions
+ *
+ * Exits live on the exchange instead of being polled and market-closed in full:
+ * - Stop loss: one closePosition STOP_MARKET
+ * - Take profit ladder: reduce-only TAKE_PROFIT_MARKET orders splitting the size
+ *   across TP1/TP2/TP3 (TP_LADDER, default 40/30/30)
+ * - Trailing stop: a native TRAILING_STOP_MARKET for the whole size, armed once
+ *   price is TRAILING_ACTIVATION_PCT in profit and trailing TRAILING_STOP_PCT
+ *   behind the best price since
+ * - Break-even: once TP1 fills the stop is moved to entry (plus a fee buffer)
+ *
+ * syncPosition() compares the exchange with a tracked position - ladder fills,
+ * stops that went missing, positions closed by an exit order - so missed polls
+ * and restarts don't leave the bot with a stale view.
+ */
+
+const { getExchange } = require('./exchanges');
+const { getConfig } = require('./config');
+
+// Exit settings (TP_LADDER, BREAK_EVEN_*, NATIVE_TRAILING_STOP, TRAILING_*) are
+// hot-reloadable, so they are read from config when orders are placed
+
+const ORDER_RETRIES = 3;
+const RETRY_DELAY_MS = 1000;
+
+// Binance accepts 0.1% - 10% for TRAILING_STOP_MARKET callbackRate
+const MIN_CALLBACK_RATE = 0.1;
+const MAX_CALLBACK_RATE = 10;
+
+// TP_LADDER weights -> fractions of the position
+function normalizeLadder(ladder) {
+  const weights = ladder.filter(w => w > 0);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return total > 0 ? weights.map(w => w / total) : [1];
+}
+
+function roundToStep(value, step, precision) {
+  const rounded = Math.floor(value / step) * step;
+  return Number(rounded.toFixed(precision));
+}
+
+function roundPrice(price, tickSize, precision) {
+  const rounded = Math.round(price / tickSize) * tickSize;
+  return Number(rounded.toFixed(precision));
+}
+
+function closeSideFor(side) {
+  return side === 'LONG' ? 'SELL' : 'BUY';
+}
+
+async function withRetry(label, fn) {
+  let lastError;
+  for (let attempt = 1; attempt <= ORDER_RETRIES; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastError = err;
+      console.warn(`[POSITION] ${label} attempt ${attempt} failed:`, err.message);
+      if (attempt < ORDER_RETRIES) await new Promise(r => setTimeout(r, RETRY_DELAY_MS));
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Split quantity across the take-profit targets. The last rung takes the
+ * rounding remainder; if any rung would fall below minQty the whole size goes
+ * to TP1 instead.
+ * @returns {Array} [{ level, price, quantity }]
+ */
+function planTakeProfits(quantity, targets, filters, ladder = normalizeLadder(getConfig('TP_LADDER'))) {
+  const prices = targets.filter(Boolean);
+  if (prices.length === 0) return [];
+
+  const weights = normalizeLadder(ladder.slice(0, prices.length));
+  const rungs = [];
+  let remaining = quantity;
+  weights.forEach((weight, i) => {
+    const isLast = i === weights.length - 1;
+    const rungQty = isLast
+      ? Number(remaining.toFixed(filters.quantityPrecision))
+      : roundToStep(quantity * weight, filters.stepSize, filters.quantityPrecision);
+    remaining -= rungQty;
+    rungs.push({
+      level: i + 1,
+      price: roundPrice(prices[i], filters.tickSize, filters.pricePrecision),
+      quantity: rungQty
+    });
+  });
+
+  if (rungs.some(r => r.quantity < filters.minQty)) {
+    return [{ level: 1, price: roundPrice(prices[0], filters.tickSize, filters.pricePrecision), quantity }];
+  }
+  return rungs;
+}
+
+function breakEvenPrice(position, filters) {
+  const buffer = getConfig('BREAK_EVEN_BUFFER_PCT') / 100;
+  const price = position.side === 'LONG'
+    ? position.entryPrice * (1 + buffer)
+    : position.entryPrice * (1 - buffer);
+  return roundPrice(price, filters.tickSize, filters.pricePrecision);
+}
+
+async function placeStopLoss(position, stopPrice, exchange = getExchange()) {
+  return withRetry(`SL ${position.symbol}`, () => exchange.placeOrder({
+    symbol: position.symbol,
+    side: closeSideFor(position.side),
+    type: 'STOP_MARKET',
+    stopPrice,
+    closePosition: true
+  }));
+}
+
+/**
+ * Place the stop, take-profit ladder and trailing stop for a new position.
+ * Only a failed stop throws - the caller must not leave the position unprotected.
+ * @param {Object} position - { symbol, side: 'LONG'|'SHORT', quantity, entryPrice, stopLoss }
+ * @param {Array} targets - take-profit prices, nearest first
+ * @param {Object} filters - symbol filters from the exchange adapter
+ * @param {Object} exchange - adapter of the account holding the position
+ */
+async function placeExitOrders(position, targets, filters, exchange = getExchange()) {
+  const closeSide = closeSideFor(position.side);
+
+  const stopOrder = await placeStopLoss(position, position.stopLoss, exchange);
+  console.log(`[POSITION] ${position.symbol} SL at ${position.stopLoss} (order ${stopOrder.orderId})`);
+
+  const takeProfits = [];
+  for (const rung of planTakeProfits(position.quantity, targets, filters)) {
+    try {
+      const order = await withRetry(`TP${rung.level} ${position.symbol}`, () => exchange.placeOrder({
+        symbol: position.symbol,
+        side: closeSide,
+        type: 'TAKE_PROFIT_MARKET',
+        stopPrice: rung.price,
+        quantity: rung.quantity,
+        reduceOnly: true
+      }));
+      takeProfits.push({ ...rung, orderId: order.orderId, filled: false });
+    } catch (err) {
+      console.warn(`[POSITION] ${position.symbol} TP${rung.level} not placed - SL still protects the position`);
+      takeProfits.push({ ...rung, orderId: null, filled: false });
+    }
+  }
+
+  let trailingOrder = null;
+  if (getConfig('NATIVE_TRAILING_STOP')) {
+    const direction = position.side === 'LONG' ? 1 : -1;
+    const activationPrice = roundPrice(
+      position.entryPrice * (1 + direction * getConfig('TRAILING_ACTIVATION_PCT') / 100),
+      filters.tickSize,
+      filters.pricePrecision
+    );
+    const callbackRate = Math.min(MAX_CALLBACK_RATE, Math.max(MIN_CALLBACK_RATE, getConfig('TRAILING_STOP_PCT')));
+    try {
+      trailingOrder = await withRetry(`Trailing stop ${position.symbol}`, () => exchange.placeOrder({
+        symbol: position.symbol,
+        side: closeSide,
+        type: 'TRAILING_STOP_MARKET',
+        quantity: position.quantity,
+        activationPrice,
+        callbackRate,
+        reduceOnly: true
+      }));
+    } catch (err) {
+      console.warn(`[POSITION] ${position.symbol} trailing stop not placed - falling back to polled trailing`);
+    }
+  }
+
+  return { stopOrder, takeProfits, trailingOrder };
+}
+
+/**
+ * Cancel-and-replace the stop (Binance allows one closePosition stop per side).
+ * If the new stop is rejected the old one is put back.
+ */
+async function moveStopLoss(position, stopPrice, exchange = getExchange()) {
+  if (position.slOrderId) {
+    await exchange.cancelOrder(position.symbol, position.slOrderId).catch(() => {});
+  }
+
+  let order;
+  try {
+    order = await placeStopLoss(position, stopPrice, exchange);
+    position.stopLoss = stopPrice;
+  } catch (err) {
+    console.error(`[POSITION] ${position.symbol} could not move SL to ${stopPrice}, restoring ${position.stopLoss}`);
+    order = await placeStopLoss(position, position.stopLoss, exchange);
+  }
+  position.slOrderId = order.orderId;
+  position.hasSL = true;
+  return order;
+}
+
+/**
+ * Average exit price across filled take-profit rungs and the final fill
+ */
+function blendedExitPrice(position, finalPrice) {
+  const total = position.initialQuantity || position.quantity;
+  const filled = (position.takeProfits || []).filter(tp => tp.filled);
+  if (!finalPrice || filled.length === 0 || !total) return finalPrice;
+
+  const filledQty = filled.reduce((sum, tp) => sum + tp.quantity, 0);
+  const filledValue = filled.reduce((sum, tp) => sum + tp.quantity * (tp.fillPrice || tp.price), 0);
+  const rest = Math.max(0, total - filledQty);
+  return (filledValue + rest * finalPrice) / (filledQty + rest);
+}
+
+/**
+ * Work out which exit order closed a position that is gone from the exchange
+ */
+async function findExitFill(position, exchange) {
+  const candidates = [
+    { orderId: position.slOrderId, label: position.breakEven ? 'BREAK-EVEN STOP' : 'SL hit' },
+    { orderId: position.trailingOrderId, label: 'TRAILING STOP (exchange)' },
+    ...(position.takeProfits || [])
+      .filter(tp => !tp.filled)
+      .map(tp => ({ orderId: tp.orderId, label: `TP${tp.level} hit` }))
+  ].filter(c => c.orderId);
+
+  let exit = null;
+  for (const candidate of candidates) {
+    try {
+      const order = await exchange.getOrder(position.symbol, candidate.orderId);
+      if (order.status === 'FILLED' && (!exit || order.time > exit.time)) {
+        exit = { ...candidate, price: order.avgPrice, time: order.time };
+      }
+    } catch (err) {
+      // Unknown to the exchange (e.g. archived) - try the next one
+    }
+  }
+  return exit;
+}
+
+/**
+ * Reconcile one tracked position with the exchange.
+ * @param {Object} position - tracked position (mutated: quantity, ladder, stop)
+ * @param {Object|null} exchangePosition - from adapter.getPositions(), null if gone
+ * @returns {Promise<Object>} { closed, exitPrice?, reason?, events: [{ type, ... }] }
+ */
+async function syncPosition(position, exchangePosition, filters, exchange = getExchange()) {
+  const { symbol } = position;
+  const events = [];
+
+  if (!exchangePosition) {
+    const exit = await findExitFill(position, exchange);
+    // Leftover reduce-only rungs would otherwise sit on the book
+    await exchange.cancelAllOrders(symbol).catch(() => {});
+    const finalPrice = exit?.price || position.markPrice || position.entryPrice;
+    return {
+      closed: true,
+      exitPrice: blendedExitPrice(position, finalPrice),
+      reason: exit ? `${exit.label} at ${exit.price}` : 'Closed on exchange (manual close or liquidation)',
+      events
+    };
+  }
+
+  position.quantity = exchangePosition.quantity;
+  position.markPrice = exchangePosition.markPrice;
+  if (exchangePosition.liquidationPrice) position.liquidationPrice = exchangePosition.liquidationPrice;
+
+  const openOrders = await exchange.getOpenOrders(symbol);
+  const openIds = new Set(openOrders.map(o => o.orderId));
+
+  for (const tp of position.takeProfits || []) {
+    if (tp.filled || !tp.orderId || openIds.has(tp.orderId)) continue;
+    // Unknown to the exchange (e.g. archived while the bot was down) counts as gone
+    const order = await exchange.getOrder(symbol, tp.orderId).catch(() => null);
+    if (!order) {
+      tp.orderId = null;
+    } else if (order.status === 'FILLED') {
+      tp.filled = true;
+      tp.fillPrice = order.avgPrice;
+      events.push({ type: 'TP_FILLED', level: tp.level, price: order.avgPrice, quantity: order.executedQty });
+      console.log(`[POSITION] ${symbol} TP${tp.level} filled at ${order.avgPrice} (${order.executedQty}), ${position.quantity} left`);
+    } else if (order.status === 'CANCELED' || order.status === 'EXPIRED') {
+      tp.orderId = null;
+    }
+  }
+
+  const tp1 = position.takeProfits?.[0];
+  if (getConfig('BREAK_EVEN_AFTER_TP1') && !position.breakEven && tp1?.filled && filters) {
+    const stopPrice = breakEvenPrice(position, filters);
+    const improves = position.side === 'LONG' ? stopPrice > position.stopLoss : stopPrice < position.stopLoss;
+    position.breakEven = true;
+    if (improves) {
+      await moveStopLoss(position, stopPrice, exchange);
+      events.push({ type: 'BREAK_EVEN', stopLoss: stopPrice });
+      console.log(`[POSITION] ${symbol} SL moved to break-even ${stopPrice}`);
+    }
+    return { closed: false, events };
+  }
+
+  // A stop that was cancelled outside the bot gets put back
+  if (position.stopLoss && (!position.slOrderId || !openIds.has(position.slOrderId))) {
+    const previous = position.slOrderId
+      ? await exchange.getOrder(symbol, position.slOrderId).catch(() => null)
+      : null;
+    if (!previous || previous.status === 'CANCELED' || previous.status === 'EXPIRED') {
+      const order = await placeStopLoss(position, position.stopLoss, exchange);
+      position.slOrderId = order.orderId;
+      position.hasSL = true;
+      events.push({ type: 'STOP_REPLACED', stopLoss: position.stopLoss });
+      console.warn(`[POSITION] ${symbol} SL was missing on the exchange - re-placed at ${position.stopLoss}`);
+    }
+  }
+
+  return { closed: false, events };
+}
+
+/**
+ * Build a tracked position from one found on the exchange (e.g. after a
+ * restart), picking up whatever exit orders are already resting.
+ */
+async function adoptPosition(exchangePosition, exchange = getExchange()) {
+  const openOrders = await exchange.getOpenOrders(exchangePosition.symbol);
+  const stop = openOrders.find(o => o.type === 'STOP_MARKET');
+  const trailing = openOrders.find(o => o.type === 'TRAILING_STOP_MARKET');
+  const takeProfits = openOrders
+    .filter(o => o.type === 'TAKE_PROFIT_MARKET')
+    .sort((a, b) => exchangePosition.side === 'LONG' ? a.stopPrice - b.stopPrice : b.stopPrice - a.stopPrice)
+    .map((o, i) => ({ level: i + 1, price: o.stopPrice, quantity: o.quantity, orderId: o.orderId, filled: false }));
+
+  return {
+    symbol: exchangePosition.symbol,
+    side: exchangePosition.side,
+    quantity: exchangePosition.quantity,
+    initialQuantity: exchangePosition.quantity,
+    entryPrice: exchangePosition.entryPrice,
+    markPrice: exchangePosition.markPrice,
+    liquidationPrice: exchangePosition.liquidationPrice,
+    stopLoss: stop?.stopPrice ?? null,
+    takeProfit: takeProfits[0]?.price ?? null,
+    slOrderId: stop?.orderId ?? null,
+    takeProfits,
+    trailingOrderId: trailing?.orderId ?? null,
+    hasSL: Boolean(stop),
+    hasTP: takeProfits.length > 0,
+    breakEven: false,
+    adopted: true,
+    openTime: Date.now(),
+    peakProfit: 0
+  };
+}
+
+module.exports = {
+  planTakeProfits,
+  placeExitOrders,
+  placeStopLoss,
+  moveStopLoss,
+  syncPosition,
+  adoptPosition,
+  blendedExitPrice,
+  roundToStep,
+  roundPrice
+};
@@ -0,0 +1,399 @@
+/**
+ * Web Push Subscriptions - Persistent subscribers with per-user alert rules
+ *
+ * Each subscription carries its own rules (symbols, intervals, signal types,
+ * minimum confidence, quiet hours, rate limits). Alerts are evaluated per
+ * subscriber before sending, and subscriptions that web-push reports as
+ * gone (404/410) are pruned automatically.
+ *
+ * Storage: MongoDB (primary) + JSON file (backup)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+const mongo = require('./mongoStorage');
+const { getConfig } = require('./config');
+
+const SUBSCRIPTIONS_FILE = path.join(getConfig('DATA_DIR'), 'push_subscriptions.json');
+
+// Defaults keep the old behaviour: every symbol/interval/signal at >= 70% confidence,
+// with no rate limit or cooldown unless PUSH_MAX_PER_HOUR / PUSH_COOLDOWN_MINUTES set one.
+// The PUSH_* values are getters so config changes apply to rules created afterwards.
+const DEFAULT_RULES = {
+  symbols: [], // empty = all symbols
+  intervals: [], // empty = all intervals
+  signalTypes: [], // e.g. ['SNIPER_LONG', 'STRONG_SHORT'], empty = all
+  categories: [], // 'signal' | 'trade' | 'exit' | 'alert', empty = all
+  get minConfidence() { return getConfig('PUSH_MIN_CONFIDENCE') / 100; },
+  quietHours: null, // { start: '22:00', end: '07:00', timezone: 'Africa/Lagos' }
+  get maxPerHour() { return getConfig('PUSH_MAX_PER_HOUR'); },
+  get cooldownMinutes() { return getConfig('PUSH_COOLDOWN_MINUTES'); }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// endpoint -> { endpoint, subscription, rules, createdAt, updatedAt }
+const subscriptions = new Map();
+// endpoint -> { sentAt: [timestamps], lastByKey: Map(alertKey -> timestamp) }
+const deliveryLog = new Map();
+
+let loaded = false;
+
+// Load subscriptions - try MongoDB first, then file
+async function loadSubscriptions() {
+  subscriptions.clear();
+
+  try {
+    if (mongo.isAvailable()) {
+      const docs = await mongo.loadPushSubscriptions();
+      if (docs.length > 0) {
+        for (const doc of docs) {
+          const { _id, ...entry } = doc;
+          subscriptions.set(entry.endpoint, entry);
+        }
+        loaded = true;
+        console.log(`[PUSH] Loaded ${subscriptions.size} subscriptions from MongoDB`);
+        return;
+      }
+    }
+  } catch (err) {
+    console.warn('[PUSH] MongoDB load failed:', err.message);
+  }
+
+  // Fallback to file
+  try {
+    if (fs.existsSync(SUBSCRIPTIONS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(SUBSCRIPTIONS_FILE, 'utf-8'));
+      for (const entry of data.subscriptions || []) {
+        if (entry?.endpoint) subscriptions.set(entry.endpoint, entry);
+      }
+      console.log(`[PUSH] Loaded ${subscriptions.size} subscriptions from file`);
+
+      // Sync to MongoDB if available
+      if (mongo.isAvailable() && subscriptions.size > 0) {
+        for (const entry of subscriptions.values()) {
+          await mongo.savePushSubscription(entry);
+        }
+        console.log('[PUSH] Synced file subscriptions to MongoDB');
+      }
+    }
+  } catch (err) {
+    console.warn('[PUSH] Could not load subscriptions:', err.message);
+  }
+
+  loaded = true;
+}
+
+// Write the full subscription list to the JSON backup
+function saveSubscriptionsFile() {
+  try {
+    const dir = path.dirname(SUBSCRIPTIONS_FILE);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(SUBSCRIPTIONS_FILE, JSON.stringify({
+      subscriptions: Array.from(subscriptions.values()),
+      savedAt: Date.now()
+    }, null, 2));
+  } catch (err) {
+    console.warn('[PUSH] Could not save subscriptions to file:', err.message);
+  }
+}
+
+// Persist one subscription - to both MongoDB and file
+async function persistSubscription(entry) {
+  if (mongo.isAvailable()) {
+    try {
+      await mongo.savePushSubscription(entry);
+    } catch (err) {
+      console.warn('[PUSH] MongoDB save failed:', err.message);
+    }
+  }
+  saveSubscriptionsFile();
+}
+
+function toUpperList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return Array.from(new Set(list.map((v) => String(v).trim().toUpperCase()).filter(Boolean)));
+}
+
+function toLowerList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return Array.from(new Set(list.map((v) => String(v).trim().toLowerCase()).filter(Boolean)));
+}
+
+function normalizeQuietHours(quietHours) {
+  if (!quietHours) return null;
+  const { start, end, timezone = 'UTC' } = quietHours;
+  if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+    throw new Error('quietHours.start and quietHours.end must be HH:MM');
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+  return { start, end, timezone };
+}
+
+/**
+ * Validate and merge rule updates on top of existing rules (or defaults).
+ * Throws on invalid input so routes can return 400.
+ */
+function normalizeRules(input = {}, base = DEFAULT_RULES) {
+  const rules = { ...DEFAULT_RULES, ...base };
+
+  if (input.symbols !== undefined) rules.symbols = toUpperList(input.symbols);
+  if (input.intervals !== undefined) rules.intervals = toLowerList(input.intervals);
+  if (input.signalTypes !== undefined) rules.signalTypes = toUpperList(input.signalTypes);
+  if (input.categories !== undefined) rules.categories = toLowerList(input.categories);
+
+  if (input.minConfidence !== undefined) {
+    let value = Number(input.minConfidence);
+    if (value > 1) value = value / 100; // accept 70 as well as 0.7
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      throw new Error('minConfidence must be between 0 and 1 (or 0-100)');
+    }
+    rules.minConfidence = value;
+  }
+
+  if (input.quietHours !== undefined) rules.quietHours = normalizeQuietHours(input.quietHours);
+
+  if (input.maxPerHour !== undefined) {
+    const value = Number(input.maxPerHour);
+    if (!Number.isInteger(value) || value < 0) throw new Error('maxPerHour must be a non-negative integer (0 = unlimited)');
+    rules.maxPerHour = value;
+  }
+
+  if (input.cooldownMinutes !== undefined) {
+    const value = Number(input.cooldownMinutes);
+    if (!Number.isFinite(value) || value < 0) throw new Error('cooldownMinutes must be >= 0');
+    rules.cooldownMinutes = value;
+  }
+
+  return rules;
+}
+
+/**
+ * Add or refresh a subscription. Existing rules are kept unless new ones are given.
+ */
+async function addSubscription(subscription, rules) {
+  if (!subscription?.endpoint) throw new Error('Invalid subscription');
+
+  const existing = subscriptions.get(subscription.endpoint);
+  const now = Date.now();
+  const entry = {
+    endpoint: subscription.endpoint,
+    subscription: {
+      endpoint: subscription.endpoint,
+      expirationTime: subscription.expirationTime ?? null,
+      keys: subscription.keys
+    },
+    rules: normalizeRules(rules || {}, existing?.rules),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  subscriptions.set(entry.endpoint, entry);
+  await persistSubscription(entry);
+  if (!existing) console.log(`[PUSH] New subscriber (${subscriptions.size} total)`);
+  return entry;
+}
+
+/**
+ * Update alert rules for an existing subscription
+ */
+async function updateRules(endpoint, rules) {
+  const entry = subscriptions.get(endpoint);
+  if (!entry) return null;
+
+  entry.rules = normalizeRules(rules || {}, entry.rules);
+  entry.updatedAt = Date.now();
+  await persistSubscription(entry);
+  return entry;
+}
+
+/**
+ * Remove a subscription (unsubscribe or pruned by web-push)
+ */
+async function removeSubscription(endpoint) {
+  const existed = subscriptions.delete(endpoint);
+  deliveryLog.delete(endpoint);
+  if (mongo.isAvailable()) {
+    await mongo.deletePushSubscription(endpoint);
+  }
+  if (existed) saveSubscriptionsFile();
+  return existed;
+}
+
+function getSubscription(endpoint) {
+  return subscriptions.get(endpoint) || null;
+}
+
+function minutesInTimezone(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = Number(parts.find((p) => p.type === 'hour')?.value || 0);
+  const minute = Number(parts.find((p) => p.type === 'minute')?.value || 0);
+  return hour * 60 + minute;
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function isQuietTime(quietHours, now = new Date()) {
+  if (!quietHours) return false;
+  const current = minutesInTimezone(now, quietHours.timezone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  // Window may wrap past midnight (e.g. 22:00 -> 07:00)
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+function buildAlertKey(alert) {
+  return [alert.category || 'signal', alert.symbol || '*', alert.interval || '*', alert.signal || '*'].join('|');
+}
+
+/**
+ * Decide whether an alert should go to a subscriber.
+ * Alerts flagged `urgent` (emergency exits) skip quiet hours and rate limits
+ * but still respect symbol/category filters.
+ */
+function evaluateRules(entry, alert = {}, now = Date.now()) {
+  const rules = entry.rules || DEFAULT_RULES;
+  const category = alert.category || 'signal';
+
+  if (rules.categories.length > 0 && !rules.categories.includes(category)) {
+    return { deliver: false, reason: 'category' };
+  }
+  if (alert.symbol && rules.symbols.length > 0 && !rules.symbols.includes(alert.symbol)) {
+    return { deliver: false, reason: 'symbol' };
+  }
+  if (alert.interval && rules.intervals.length > 0 && !rules.intervals.includes(alert.interval)) {
+    return { deliver: false, reason: 'interval' };
+  }
+  if (category === 'signal') {
+    if (alert.signal && rules.signalTypes.length > 0 && !rules.signalTypes.includes(alert.signal)) {
+      return { deliver: false, reason: 'signalType' };
+    }
+    if (typeof alert.confidence === 'number' && alert.confidence < rules.minConfidence) {
+      return { deliver: false, reason: 'confidence' };
+    }
+  }
+
+  if (alert.urgent) return { deliver: true };
+
+  if (isQuietTime(rules.quietHours, new Date(now))) {
+    return { deliver: false, reason: 'quietHours' };
+  }
+
+  const log = deliveryLog.get(entry.endpoint);
+  if (log) {
+    const lastSent = log.lastByKey.get(buildAlertKey(alert));
+    if (lastSent && rules.cooldownMinutes > 0 && now - lastSent < rules.cooldownMinutes * 60 * 1000) {
+      return { deliver: false, reason: 'cooldown' };
+    }
+    const recent = log.sentAt.filter((t) => now - t < HOUR_MS);
+    if (rules.maxPerHour > 0 && recent.length >= rules.maxPerHour) {
+      return { deliver: false, reason: 'rateLimit' };
+    }
+  }
+
+  return { deliver: true };
+}
+
+function recordDelivery(endpoint, alert, now) {
+  let log = deliveryLog.get(endpoint);
+  if (!log) {
+    log = { sentAt: [], lastByKey: new Map() };
+    deliveryLog.set(endpoint, log);
+  }
+  log.sentAt = log.sentAt.filter((t) => now - t < HOUR_MS);
+  log.sentAt.push(now);
+  log.lastByKey.set(buildAlertKey(alert), now);
+
+  // Drop stale cooldown keys so the map doesn't grow forever
+  if (log.lastByKey.size > 500) {
+    for (const [key, ts] of log.lastByKey) {
+      if (now - ts > 24 * HOUR_MS) log.lastByKey.delete(key);
+    }
+  }
+}
+
+/**
+ * Send a push notification to every subscriber whose rules match the alert.
+ *
+ * @param {string} title
+ * @param {string} body
+ * @param {Object} alert - { category, symbol, interval, signal, confidence, urgent }
+ * @returns {Promise<{sent: number, skipped: number, pruned: number}>}
+ */
+async function sendPushNotification(title, body, alert = {}) {
+  const summary = { sent: 0, skipped: 0, pruned: 0 };
+  if (!getConfig('VAPID_PUBLIC_KEY') || !getConfig('VAPID_PRIVATE_KEY')) return summary;
+  if (subscriptions.size === 0) return summary;
+
+  const payload = JSON.stringify({ title, body, data: alert });
+  const now = Date.now();
+
+  await Promise.all(Array.from(subscriptions.values()).map(async (entry) => {
+    const decision = evaluateRules(entry, alert, now);
+    if (!decision.deliver) {
+      summary.skipped++;
+      return;
+    }
+
+    // Count the send up-front so concurrent alerts respect the rate limit
+    recordDelivery(entry.endpoint, alert, now);
+    try {
+      await webpush.sendNotification(entry.subscription, payload);
+      summary.sent++;
+    } catch (err) {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        await removeSubscription(entry.endpoint);
+        summary.pruned++;
+        console.log(`[PUSH] Pruned expired subscription (${err.statusCode})`);
+      } else {
+        console.error('[PUSH] Send failed:', err.message);
+      }
+    }
+  }));
+
+  return summary;
+}
+
+function getPushStatus() {
+  return {
+    loaded,
+    enabled: Boolean(getConfig('VAPID_PUBLIC_KEY') && getConfig('VAPID_PRIVATE_KEY')),
+    subscribers: subscriptions.size,
+    storage: mongo.isAvailable() ? 'mongodb' : 'file',
+    defaults: DEFAULT_RULES
+  };
+}
+
+module.exports = {
+  loadSubscriptions,
+  addSubscription,
+  updateRules,
+  removeSubscription,
+  getSubscription,
+  normalizeRules,
+  evaluateRules,
+  sendPushNotification,
+  getPushStatus,
+  DEFAULT_RULES
+};
@@ -5,25 +5,32 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 
-const RISK_STATE_FILE = path.join(__dirname, '../data/risk_state.json');
-
-// Risk state
-let riskState = {
-  dailyPnL: 0,
-  weeklyPnL: 0,
-  monthlyPnL: 0,
-  currentDrawdown: 0,
-  peakEquity: 10000,
-  consecutiveLosses: 0,
-  consecutiveWins: 0,
-  todayTrades: 0,
-  lastTradeTime: null,
-  dailyLossLimit: false,
-  weeklyLossLimit: false,
-  riskMultiplier: 1.0,
-  tradeHistory: []
-};
+const RISK_STATE_FILE = path.join(getConfig('DATA_DIR'), 'risk_state.json');
+
+/**
+ * Fresh risk state. Each live account keeps one in its risk book; backtests
+ * create their own so they can apply the same limits without touching it.
+ */
+function createRiskState(overrides = {}) {
+  return {
+    dailyPnL: 0,
+    weeklyPnL: 0,
+    monthlyPnL: 0,
+    currentDrawdown: 0,
+    peakEquity: 10000,
+    consecutiveLosses: 0,
+    consecutiveWins: 0,
+    todayTrades: 0,
+    lastTradeTime: null,
+    dailyLossLimit: false,
+    weeklyLossLimit: false,
+    riskMultiplier: 1.0,
+    tradeHistory: [],
+    ...overrides
+  };
+}
 
 // Risk configuration
 const DEFAULT_CONFIG = {
@@ -41,49 +48,90 @@ const DEFAULT_CONFIG = {
   dynamicSizing: true
 };
 
-let config = { ...DEFAULT_CONFIG };
+const DEFAULT_BOOK = 'main';
+
+/**
+ * A risk book is one trading account's risk state and limits, persisted to its
+ * own file. The functions below act on the default ('main') book unless they
+ * are handed another one.
+ */
+function createRiskBook(name = DEFAULT_BOOK, configOverrides = {}) {
+  const book = {
+    name,
+    file: name === DEFAULT_BOOK ? RISK_STATE_FILE : path.join(path.dirname(RISK_STATE_FILE), `risk_state_${name}.json`),
+    state: createRiskState(),
+    config: { ...DEFAULT_CONFIG, ...configOverrides }
+  };
+  loadRiskState(book);
+  return book;
+}
+
+const riskBooks = new Map(); // account name -> risk book
+
+/**
+ * Shared risk book for an account, created on first use. Overrides are merged
+ * into its config each call, so the account registry and the risk endpoints
+ * always see the same book.
+ */
+function getRiskBook(name = DEFAULT_BOOK, configOverrides = {}) {
+  let book = riskBooks.get(name);
+  if (!book) {
+    book = createRiskBook(name);
+    riskBooks.set(name, book);
+  }
+  Object.assign(book.config, configOverrides);
+  return book;
+}
 
 // Load risk state on startup
-function loadRiskState() {
+function loadRiskState(book) {
   try {
-    if (fs.existsSync(RISK_STATE_FILE)) {
-      const data = fs.readFileSync(RISK_STATE_FILE, 'utf-8');
+    if (fs.existsSync(book.file)) {
+      const data = fs.readFileSync(book.file, 'utf-8');
       const loaded = JSON.parse(data);
 
-      // Reset daily stats if new day
-      const lastUpdate = new Date(loaded.lastUpdate || 0);
-      const today = new Date();
+      // Reset daily/weekly stats if a new day/week started since the last save
+      resetElapsedPeriods(loaded, loaded.lastUpdate || 0, Date.now());
 
-      if (lastUpdate.toDateString() !== today.toDateString()) {
-        loaded.dailyPnL = 0;
-        loaded.todayTrades = 0;
-        loaded.dailyLossLimit = false;
-      }
-
-      // Reset weekly stats if new week
-      if (getWeekNumber(lastUpdate) !== getWeekNumber(today)) {
-        loaded.weeklyPnL = 0;
-        loaded.weeklyLossLimit = false;
-      }
-
-      riskState = { ...riskState, ...loaded };
-      console.log('[RISK] Loaded risk state');
+      book.state = { ...book.state, ...loaded };
+      console.log(`[RISK] Loaded risk state${book.name === DEFAULT_BOOK ? '' : ` for ${book.name}`}`);
     }
   } catch (err) {
     console.warn('[RISK] Could not load risk state:', err.message);
   }
 }
 
+/**
+ * Clear daily/weekly counters when `now` falls on a later day/week than `lastTime`
+ */
+function resetElapsedPeriods(state, lastTime, now) {
+  const last = new Date(lastTime);
+  const current = new Date(now);
+
+  if (last.toDateString() !== current.toDateString()) {
+    state.dailyPnL = 0;
+    state.todayTrades = 0;
+    state.dailyLossLimit = false;
+  }
+
+  if (getWeekNumber(last) !== getWeekNumber(current)) {
+    state.weeklyPnL = 0;
+    state.weeklyLossLimit = false;
+  }
+
+  return state;
+}
+
 // Save risk state
-function saveRiskState() {
+function saveRiskState(book) {
   try {
-    const dir = path.dirname(RISK_STATE_FILE);
+    const dir = path.dirname(book.file);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
 
-    riskState.lastUpdate = Date.now();
-    fs.writeFileSync(RISK_STATE_FILE, JSON.stringify(riskState, null, 2));
+    book.state.lastUpdate = Date.now();
+    fs.writeFileSync(book.file, JSON.stringify(book.state, null, 2));
   } catch (err) {
     console.warn('[RISK] Could not save risk state:', err.message);
   }
@@ -96,7 +144,7 @@ function saveRiskState() {
  * @param {number} avgLoss - Average losing trade return (absolute)
  * @returns {number} Optimal position size as fraction of capital
  */
-function calculateKellySize(winRate, avgWin, avgLoss) {
+function calculateKellySize(winRate, avgWin, avgLoss, cfg = defaultBook.config) {
   if (avgLoss === 0) return 0;
 
   // Kelly formula: f* = (p * b - q) / b
@@ -108,10 +156,10 @@ function calculateKellySize(winRate, avgWin, avgLoss) {
   const kellyFraction = (p * b - q) / b;
 
   // Apply conservative fraction (quarter Kelly)
-  const conservativeKelly = kellyFraction * config.kellyFraction;
+  const conservativeKelly = kellyFraction * cfg.kellyFraction;
 
   // Cap at max risk per trade
-  return Math.max(0, Math.min(conservativeKelly, config.maxRiskPerTrade / 100));
+  return Math.max(0, Math.min(conservativeKelly, cfg.maxRiskPerTrade / 100));
 }
 
 /**
@@ -119,7 +167,7 @@ function calculateKellySize(winRate, avgWin, avgLoss) {
  * @param {Object} params - Position sizing parameters
  * @returns {Object} Position sizing recommendation
  */
-function calculatePositionSize(params) {
+function calculatePositionSize(params, book = defaultBook) {
   const {
     accountBalance,
     entryPrice,
@@ -131,7 +179,7 @@ function calculatePositionSize(params) {
   } = params;
 
   // Check if trading is allowed
-  const tradingAllowed = checkTradingAllowed();
+  const tradingAllowed = checkTradingAllowed(book);
   if (!tradingAllowed.allowed) {
     return {
       allowed: false,
@@ -141,16 +189,19 @@ function calculatePositionSize(params) {
     };
   }
 
+  const { state, config: cfg } = book;
+
   // Base risk calculation
   const direction = signal.direction || 'long';
-  let riskPercent = config.maxRiskPerTrade;
+  let riskPercent = cfg.maxRiskPerTrade;
 
   // 1. Kelly Criterion adjustment
   if (historicalStats.winRate && historicalStats.avgWin && historicalStats.avgLoss) {
     const kellySize = calculateKellySize(
       historicalStats.winRate,
       historicalStats.avgWin,
-      historicalStats.avgLoss
+      historicalStats.avgLoss,
+      cfg
     );
     riskPercent = Math.min(riskPercent, kellySize * 100);
   }
@@ -161,7 +212,7 @@ function calculatePositionSize(params) {
   riskPercent *= confidenceMultiplier;
 
   // 3. Volatility adjustment
-  if (config.volatilityAdjustment && currentVolatility) {
+  if (cfg.volatilityAdjustment && currentVolatility) {
     // Reduce size in high volatility
     const avgVolatility = 2; // Baseline 2% ATR
     const volatilityRatio = avgVolatility / Math.max(currentVolatility, 0.5);
@@ -169,25 +220,25 @@ function calculatePositionSize(params) {
   }
 
   // 4. Drawdown-based adjustment
-  if (riskState.currentDrawdown > 5) {
-    const drawdownMultiplier = 1 - (riskState.currentDrawdown / config.maxDrawdown);
+  if (state.currentDrawdown > 5) {
+    const drawdownMultiplier = 1 - (state.currentDrawdown / cfg.maxDrawdown);
     riskPercent *= Math.max(drawdownMultiplier, 0.25);
   }
 
   // 5. Consecutive losses adjustment
-  if (riskState.consecutiveLosses >= 3) {
-    const lossMultiplier = 1 - (riskState.consecutiveLosses * 0.1);
+  if (state.consecutiveLosses >= 3) {
+    const lossMultiplier = 1 - (state.consecutiveLosses * 0.1);
     riskPercent *= Math.max(lossMultiplier, 0.3);
   }
 
   // 6. Consecutive wins bonus (limited)
-  if (riskState.consecutiveWins >= 3 && riskState.consecutiveLosses === 0) {
-    const winBonus = Math.min(riskState.consecutiveWins * 0.05, 0.2);
+  if (state.consecutiveWins >= 3 && state.consecutiveLosses === 0) {
+    const winBonus = Math.min(state.consecutiveWins * 0.05, 0.2);
     riskPercent *= (1 + winBonus);
   }
 
   // 7. Apply global risk multiplier
-  riskPercent *= riskState.riskMultiplier;
+  riskPercent *= state.riskMultiplier;
 
   // Calculate position size
   const riskAmount = accountBalance * (riskPercent / 100);
@@ -208,13 +259,13 @@ function calculatePositionSize(params) {
     riskAmount: round(riskAmount, 2),
     positionValue: round(finalPositionValue, 2),
     quantity: round(finalQuantity, 6),
-    leverage: calculateSafeLeverage(finalPositionValue, accountBalance, stopLossDistance / entryPrice),
+    leverage: calculateSafeLeverage(finalPositionValue, accountBalance, stopLossDistance / entryPrice, cfg),
     adjustments: {
       confidence: round(confidenceMultiplier, 2),
       volatility: currentVolatility ? round(avgVolatility / Math.max(currentVolatility, 0.5), 2) : 1,
-      drawdown: round(1 - (riskState.currentDrawdown / config.maxDrawdown), 2),
-      consecutiveLosses: riskState.consecutiveLosses,
-      consecutiveWins: riskState.consecutiveWins
+      drawdown: round(1 - (state.currentDrawdown / cfg.maxDrawdown), 2),
+      consecutiveLosses: state.consecutiveLosses,
+      consecutiveWins: state.consecutiveWins
     }
   };
 }
@@ -222,9 +273,9 @@ function calculatePositionSize(params) {
 /**
  * Calculate safe leverage based on position and stop loss
  */
-function calculateSafeLeverage(positionValue, accountBalance, stopLossPercent) {
+function calculateSafeLeverage(positionValue, accountBalance, stopLossPercent, cfg = defaultBook.config) {
   // Max loss should be within risk tolerance
-  const maxAcceptableLoss = accountBalance * (config.maxRiskPerTrade / 100);
+  const maxAcceptableLoss = accountBalance * (cfg.maxRiskPerTrade / 100);
   const potentialLoss = positionValue * stopLossPercent;
 
   if (potentialLoss <= 0) return 1;
@@ -238,40 +289,48 @@ function calculateSafeLeverage(positionValue, accountBalance, stopLossPercent) {
 /**
  * Check if trading is currently allowed based on risk limits
  */
-function checkTradingAllowed() {
+function checkTradingAllowed(book = defaultBook) {
+  return evaluateTradingLimits(book.state, book.config, Date.now());
+}
+
+/**
+ * Apply the risk limits to any state/config pair at time `now`
+ * (live: module state + Date.now(); backtests: their own state + candle time)
+ */
+function evaluateTradingLimits(state, cfg = defaultBook.config, now = Date.now()) {
   // Daily loss limit
-  if (Math.abs(riskState.dailyPnL) >= config.maxDailyLoss) {
-    riskState.dailyLossLimit = true;
+  if (Math.abs(state.dailyPnL) >= cfg.maxDailyLoss) {
+    state.dailyLossLimit = true;
     return { allowed: false, reason: 'Daily loss limit reached' };
   }
 
   // Weekly loss limit
-  if (Math.abs(riskState.weeklyPnL) >= config.maxWeeklyLoss) {
-    riskState.weeklyLossLimit = true;
+  if (Math.abs(state.weeklyPnL) >= cfg.maxWeeklyLoss) {
+    state.weeklyLossLimit = true;
     return { allowed: false, reason: 'Weekly loss limit reached' };
   }
 
   // Max drawdown
-  if (riskState.currentDrawdown >= config.maxDrawdown) {
-    return { allowed: false, reason: `Max drawdown (${config.maxDrawdown}%) reached - trading paused` };
+  if (state.currentDrawdown >= cfg.maxDrawdown) {
+    return { allowed: false, reason: `Max drawdown (${cfg.maxDrawdown}%) reached - trading paused` };
   }
 
   // Daily trade limit
-  if (riskState.todayTrades >= config.maxDailyTrades) {
+  if (state.todayTrades >= cfg.maxDailyTrades) {
     return { allowed: false, reason: 'Daily trade limit reached' };
   }
 
   // Minimum time between trades
-  if (riskState.lastTradeTime) {
-    const timeSinceLastTrade = Date.now() - riskState.lastTradeTime;
-    if (timeSinceLastTrade < config.minTimeBetweenTrades) {
+  if (state.lastTradeTime) {
+    const timeSinceLastTrade = now - state.lastTradeTime;
+    if (timeSinceLastTrade < cfg.minTimeBetweenTrades) {
       return { allowed: false, reason: 'Minimum time between trades not met' };
     }
   }
 
   // Consecutive loss cooldown
-  if (riskState.consecutiveLosses >= config.maxConsecutiveLosses) {
-    return { allowed: false, reason: `${config.maxConsecutiveLosses} consecutive losses - cooldown period` };
+  if (state.consecutiveLosses >= cfg.maxConsecutiveLosses) {
+    return { allowed: false, reason: `${cfg.maxConsecutiveLosses} consecutive losses - cooldown period` };
   }
 
   return { allowed: true };
@@ -280,37 +339,49 @@ function checkTradingAllowed() {
 /**
  * Record a completed trade and update risk state
  */
-function recordTrade(trade) {
+function recordTrade(trade, book = defaultBook) {
+  applyTradeToState(book.state, trade, Date.now());
+
+  // Save state
+  saveRiskState(book);
+
+  return getRiskStatus(book);
+}
+
+/**
+ * Update P&L, streaks, trade counts and drawdown on a risk state
+ */
+function applyTradeToState(state, trade, now = Date.now()) {
   const { pnl, pnlPercent, result, symbol, direction } = trade;
 
   // Update P&L tracking
-  riskState.dailyPnL += pnlPercent;
-  riskState.weeklyPnL += pnlPercent;
-  riskState.monthlyPnL += pnlPercent;
+  state.dailyPnL += pnlPercent;
+  state.weeklyPnL += pnlPercent;
+  state.monthlyPnL += pnlPercent;
 
   // Update streak tracking
   if (result === 'win' || pnl > 0) {
-    riskState.consecutiveWins++;
-    riskState.consecutiveLosses = 0;
+    state.consecutiveWins++;
+    state.consecutiveLosses = 0;
   } else if (result === 'loss' || pnl < 0) {
-    riskState.consecutiveLosses++;
-    riskState.consecutiveWins = 0;
+    state.consecutiveLosses++;
+    state.consecutiveWins = 0;
   }
 
   // Update trade count and time
-  riskState.todayTrades++;
-  riskState.lastTradeTime = Date.now();
+  state.todayTrades++;
+  state.lastTradeTime = now;
 
   // Update equity and drawdown tracking
-  const currentEquity = trade.accountBalance || riskState.peakEquity;
-  if (currentEquity > riskState.peakEquity) {
-    riskState.peakEquity = currentEquity;
+  const currentEquity = trade.accountBalance || state.peakEquity;
+  if (currentEquity > state.peakEquity) {
+    state.peakEquity = currentEquity;
   }
-  riskState.currentDrawdown = ((riskState.peakEquity - currentEquity) / riskState.peakEquity) * 100;
+  state.currentDrawdown = ((state.peakEquity - currentEquity) / state.peakEquity) * 100;
 
   // Add to trade history
-  riskState.tradeHistory.push({
-    timestamp: Date.now(),
+  state.tradeHistory.push({
+    timestamp: now,
     symbol,
     direction,
     pnl,
@@ -319,24 +390,22 @@ function recordTrade(trade) {
   });
 
   // Keep only last 100 trades
-  if (riskState.tradeHistory.length > 100) {
-    riskState.tradeHistory = riskState.tradeHistory.slice(-100);
+  if (state.tradeHistory.length > 100) {
+    state.tradeHistory = state.tradeHistory.slice(-100);
   }
 
-  // Save state
-  saveRiskState();
-
-  return getRiskStatus();
+  return state;
 }
 
 /**
  * Get current risk status and recommendations
  */
-function getRiskStatus() {
-  const tradingAllowed = checkTradingAllowed();
+function getRiskStatus(book = defaultBook) {
+  const { state, config: cfg } = book;
+  const tradingAllowed = checkTradingAllowed(book);
 
   // Calculate historical stats from trade history
-  const recentTrades = riskState.tradeHistory.slice(-50);
+  const recentTrades = state.tradeHistory.slice(-50);
   const wins = recentTrades.filter(t => t.pnl > 0);
   const losses = recentTrades.filter(t => t.pnl < 0);
 
@@ -345,13 +414,13 @@ function getRiskStatus() {
   const avgLoss = losses.length > 0 ? Math.abs(losses.reduce((s, t) => s + t.pnlPercent, 0)) / losses.length : 0;
 
   // Calculate Kelly criterion for reference
-  const kellyOptimal = calculateKellySize(winRate, avgWin, avgLoss) * 100;
+  const kellyOptimal = calculateKellySize(winRate, avgWin, avgLoss, cfg) * 100;
 
   // Determine risk level
   let riskLevel = 'NORMAL';
-  if (riskState.currentDrawdown > config.maxDrawdown * 0.7) riskLevel = 'HIGH';
-  if (riskState.currentDrawdown > config.maxDrawdown * 0.9) riskLevel = 'CRITICAL';
-  if (riskState.consecutiveLosses >= 3) riskLevel = 'ELEVATED';
+  if (state.currentDrawdown > cfg.maxDrawdown * 0.7) riskLevel = 'HIGH';
+  if (state.currentDrawdown > cfg.maxDrawdown * 0.9) riskLevel = 'CRITICAL';
+  if (state.consecutiveLosses >= 3) riskLevel = 'ELEVATED';
   if (!tradingAllowed.allowed) riskLevel = 'STOPPED';
 
   return {
@@ -359,22 +428,22 @@ function getRiskStatus() {
     reason: tradingAllowed.reason,
     riskLevel,
     currentState: {
-      dailyPnL: round(riskState.dailyPnL, 2),
-      weeklyPnL: round(riskState.weeklyPnL, 2),
-      monthlyPnL: round(riskState.monthlyPnL, 2),
-      currentDrawdown: round(riskState.currentDrawdown, 2),
-      consecutiveLosses: riskState.consecutiveLosses,
-      consecutiveWins: riskState.consecutiveWins,
-      todayTrades: riskState.todayTrades,
-      riskMultiplier: riskState.riskMultiplier
+      dailyPnL: round(state.dailyPnL, 2),
+      weeklyPnL: round(state.weeklyPnL, 2),
+      monthlyPnL: round(state.monthlyPnL, 2),
+      currentDrawdown: round(state.currentDrawdown, 2),
+      consecutiveLosses: state.consecutiveLosses,
+      consecutiveWins: state.consecutiveWins,
+      todayTrades: state.todayTrades,
+      riskMultiplier: state.riskMultiplier
     },
     limits: {
-      dailyLossLimit: config.maxDailyLoss,
-      weeklyLossLimit: config.maxWeeklyLoss,
-      maxDrawdown: config.maxDrawdown,
-      maxDailyTrades: config.maxDailyTrades,
-      remainingDailyLoss: round(config.maxDailyLoss - Math.abs(riskState.dailyPnL), 2),
-      remainingTrades: config.maxDailyTrades - riskState.todayTrades
+      dailyLossLimit: cfg.maxDailyLoss,
+      weeklyLossLimit: cfg.maxWeeklyLoss,
+      maxDrawdown: cfg.maxDrawdown,
+      maxDailyTrades: cfg.maxDailyTrades,
+      remainingDailyLoss: round(cfg.maxDailyLoss - Math.abs(state.dailyPnL), 2),
+      remainingTrades: cfg.maxDailyTrades - state.todayTrades
     },
     stats: {
       winRate: round(winRate * 100, 1),
@@ -383,7 +452,7 @@ function getRiskStatus() {
       kellyOptimal: round(kellyOptimal, 2),
       recentTrades: recentTrades.length
     },
-    recommendations: generateRiskRecommendations(riskLevel, riskState)
+    recommendations: generateRiskRecommendations(riskLevel, state)
   };
 }
 
@@ -475,7 +544,7 @@ function calculateVaR(portfolioValue, confidenceLevel = 0.95, returns = []) {
 /**
  * Check correlation between positions
  */
-function checkCorrelation(positions, newSymbol) {
+function checkCorrelation(positions, newSymbol, cfg = defaultBook.config) {
   // Group symbols by asset class/correlation group
   const correlationGroups = {
     btc: ['BTCUSDT', 'BTCUSDC'],
@@ -501,7 +570,7 @@ function checkCorrelation(positions, newSymbol) {
     return correlationGroups[newSymbolGroup]?.includes(p.symbol);
   });
 
-  if (sameGroupPositions.length >= config.maxCorrelatedPositions) {
+  if (sameGroupPositions.length >= cfg.maxCorrelatedPositions) {
     return {
       allowed: false,
       correlation: 'high',
@@ -516,47 +585,55 @@ function checkCorrelation(positions, newSymbol) {
   };
 }
 
+/**
+ * Current risk configuration (copy)
+ */
+function getRiskConfig(book = defaultBook) {
+  return { ...book.config };
+}
+
 /**
  * Update risk configuration
  */
-function updateConfig(newConfig) {
-  config = { ...config, ...newConfig };
-  console.log('[RISK] Configuration updated');
-  return config;
+function updateConfig(newConfig, book = defaultBook) {
+  book.config = { ...book.config, ...newConfig };
+  console.log(`[RISK] Configuration updated${book.name === DEFAULT_BOOK ? '' : ` for ${book.name}`}`);
+  return book.config;
 }
 
 /**
  * Reset daily/weekly limits (for manual override)
  */
-function resetLimits(type = 'daily') {
+function resetLimits(type = 'daily', book = defaultBook) {
+  const { state } = book;
   if (type === 'daily' || type === 'all') {
-    riskState.dailyPnL = 0;
-    riskState.todayTrades = 0;
-    riskState.dailyLossLimit = false;
+    state.dailyPnL = 0;
+    state.todayTrades = 0;
+    state.dailyLossLimit = false;
   }
 
   if (type === 'weekly' || type === 'all') {
-    riskState.weeklyPnL = 0;
-    riskState.weeklyLossLimit = false;
+    state.weeklyPnL = 0;
+    state.weeklyLossLimit = false;
   }
 
   if (type === 'all') {
-    riskState.consecutiveLosses = 0;
-    riskState.consecutiveWins = 0;
-    riskState.riskMultiplier = 1.0;
+    state.consecutiveLosses = 0;
+    state.consecutiveWins = 0;
+    state.riskMultiplier = 1.0;
   }
 
-  saveRiskState();
-  return getRiskStatus();
+  saveRiskState(book);
+  return getRiskStatus(book);
 }
 
 /**
  * Set risk multiplier for scaling all positions
  */
-function setRiskMultiplier(multiplier) {
-  riskState.riskMultiplier = Math.max(0.1, Math.min(2.0, multiplier));
-  saveRiskState();
-  return riskState.riskMultiplier;
+function setRiskMultiplier(multiplier, book = defaultBook) {
+  book.state.riskMultiplier = Math.max(0.1, Math.min(2.0, multiplier));
+  saveRiskState(book);
+  return book.state.riskMultiplier;
 }
 
 // Helper functions
@@ -575,7 +652,7 @@ function getWeekNumber(date) {
 }
 
 // Initialize on load
-loadRiskState();
+const defaultBook = getRiskBook(DEFAULT_BOOK);
 
 module.exports = {
   calculateKellySize,
@@ -585,6 +662,13 @@ module.exports = {
   getRiskStatus,
   calculateVaR,
   checkCorrelation,
+  evaluateTradingLimits,
+  applyTradeToState,
+  resetElapsedPeriods,
+  createRiskState,
+  createRiskBook,
+  getRiskBook,
+  getRiskConfig,
   updateConfig,
   resetLimits,
   setRiskMultiplier
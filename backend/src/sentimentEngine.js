@@ -12,13 +12,14 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 
 // Environment configuration (Railway auto-picks these)
-const CRYPTOPANIC_API_KEY = process.env.CRYPTOPANIC_API_KEY || '';
-const LUNARCRUSH_API_KEY = process.env.LUNARCRUSH_API_KEY || '';
-const NEWS_POLL_INTERVAL = Number(process.env.NEWS_POLL_INTERVAL || 300000); // 5 minutes
+const CRYPTOPANIC_API_KEY = getConfig('CRYPTOPANIC_API_KEY');
+const LUNARCRUSH_API_KEY = getConfig('LUNARCRUSH_API_KEY');
+const NEWS_POLL_INTERVAL = getConfig('NEWS_POLL_INTERVAL'); // 5 minutes
 
-const SENTIMENT_CACHE_FILE = path.join(__dirname, '../data/sentiment_cache.json');
+const SENTIMENT_CACHE_FILE = path.join(getConfig('DATA_DIR'), 'sentiment_cache.json');
 
 // Sentiment state
 let sentimentState = {
@@ -614,7 +615,7 @@ function round(value, decimals = 2) {
 loadSentimentCache();
 
 // Auto-save cache periodically
-setInterval(saveSentimentCache, 300000); // Every 5 minutes
+setInterval(saveSentimentCache, 300000).unref(); // Every 5 minutes
 
 module.exports = {
   fetchFearGreedIndex,
@@ -4,12 +4,18 @@ const http = require('http');
 const cors = require('cors');
 const { Server } = require('socket.io');
 const webpush = require('web-push');
-const { getCandles, getUsdtPerpetualMarkets, getTopGainers, getVolumeSurgers } = require('./binance');
-const { calculateIndicators } = require('./indicators');
+const { getExchange, EXCHANGE } = require('./exchanges');
+const { calculateIndicators, findSupportResistance } = require('./indicators');
 const { predictNextMove, setFundingRates } = require('./ai');
 const { buildDcaPlan, DEFAULT_DCA_SYMBOLS } = require('./dcaPlanner');
-const { executeTrade, closePosition, monitorAllPositions, getOpenPositions, getStatus: getTradingStatus, updateSettings, TRADING_ENABLED, MIN_CONFIDENCE } = require('./trading');
+const { executeTrade, executeTradeForAllAccounts, closePosition, monitorAllPositions, reconcilePositions, restoreTradingState, getOpenPositions, feedShadowCandles, getStatus: getTradingStatus, updateSettings, TRADING_ENABLED } = require('./trading');
+const { resolveAccount, listAccounts, DEFAULT_ACCOUNT } = require('./accounts');
+const { getDecisions, getDecisionStats, onDecision } = require('./decisionLog');
 const { handleChatMessage } = require('./chatHandler');
+const { getConfig, getConfigSource, setConfig, onConfigChange, describeConfig, CONFIG_GROUPS } = require('./config');
+const { listProfiles, getProfile, getActiveProfile, applyProfile, saveProfile, deleteProfile, restoreProfiles, onProfileChange } = require('./strategyProfiles');
+const { requireAuth, socketAuth, roleAtLeast, signToken, getAuthStatus, ROLES } = require('./auth');
+const { auditRequests, recordAudit, getAuditLog } = require('./auditLog');
 const { getStats: getPatternStats, recordMissedOpportunity } = require('./patternMemory');
 const { startSpotDcaEngine, getSpotDcaStatus, getSpotBalances, getFreeBalance } = require('./spotDcaEngine');
 
@@ -17,7 +23,10 @@ const { startSpotDcaEngine, getSpotDcaStatus, getSpotBalances, getFreeBalance }
 const { detectChartPatterns } = require('./chartPatterns');
 const { generateMLSignal, addTrainingSample, getModelStats, getFeatureImportance, trainModel } = require('./mlSignalGenerator');
 const { analyzeSniperSetup, detectKillzone } = require('./sniperEngine');
-const { runBacktest, loadBacktestHistory, runMonteCarloSimulation } = require('./backtesting');
+const { runBacktest, runPortfolioBacktest, loadBacktestHistory, runMonteCarloSimulation } = require('./backtesting');
+const { getStrategy, listStrategies, DEFAULT_STRATEGY } = require('./strategies');
+const { getCandleRange, resolveRange, assertRangeSize, MAX_RANGE_CANDLES } = require('./candleStore');
+const { runOptimization, loadOptimizationHistory, loadOptimization } = require('./optimizer');
 const { calculatePositionSize, getRiskStatus, recordTrade, checkTradingAllowed, calculateKellySize, resetLimits, setRiskMultiplier } = require('./riskManager');
 const { learnFromTrade, getLearningInsights, getLearnedRecommendation, getOptimalTradingHours, getOptimalTradingDays } = require('./aiLearning');
 
@@ -36,23 +45,41 @@ const { getPendingConfirmations, cleanupExpired: cleanupSniperExpired } = requir
 const { startScanner, getTopOpportunities, getSniperOpportunities, getScannerStatus, getScanResult } = require('./coinScanner');
 
 // Simulation Engine - paper trading for learning
-const { startSimulationEngine, getSimulationStatus, resetSimulation, processSignalsForSimulation, monitorSimPositions, SIM_ENABLED } = require('./simulationEngine');
+const { startSimulationEngine, getSimulationStatus, resetSimulation, listPortfolios, comparePortfolios, processSignalsForSimulation, monitorSimPositions, SIM_ENABLED } = require('./simulationEngine');
 
 // MongoDB Storage for learning data
 const mongo = require('./mongoStorage');
 
 // Deep Trade Analyzer - WHY trades succeed/fail
-const { getAnalysisStats, getLearningInsights: getTradeAnalysisInsights, getRecommendedStyle } = require('./tradeAnalyzer');
+const { getAnalysisStats, getLearningInsights: getTradeAnalysisInsights, getRecommendedStyle, getProfilePerformance } = require('./tradeAnalyzer');
 
 // Candle Behavior Simulator - learns from synthetic/historical candle flow
 const { startCandleSimulator, getSimStatus: getCandleSimStatus, feedRealCandles, runSimulationCycle } = require('./candleSimulator');
 
-const PORT = Number(process.env.PORT || 5000);
-const POLL_MS = Number(process.env.POLL_MS || 15_000);
+// Market Data Stream - kline WebSocket feed (replaces REST polling)
+const { startMarketStream, stopMarketStream, setStreamSubscriptions, setIntrabarUpdates, getMarketStreamStatus } = require('./marketStream');
+// Market Microstructure - order books and aggregated trades (CVD) for tracked symbols
+const { startMicrostructure, setMicrostructureSymbols, getMicrostructure, fetchMicrostructure, getMicrostructureStatus } = require('./marketMicrostructure');
+// Timeframe Hierarchy - higher/lower timeframe context for every live signal
+const { describeIndicators, getIndicatorSet } = require('./indicatorRegistry');
+const { verifyIncremental, getIncrementalStatus } = require('./incrementalIndicators');
+const { setTrackedIntervals, recordTimeframe, buildMtfContext, getMtfMatrix, getMtfStatus } = require('./timeframeHierarchy');
+// Liquidation Feed - market-wide forced orders and estimated liquidation clusters
+const { startLiquidationFeed, setLiquidationSymbols, replayLiquidations, refreshClusters, getLiquidationHeatmap, getLiquidationContext, getLiquidationOverview, getLiquidationStatus } = require('./liquidationFeed');
+const pushSubscriptions = require('./pushSubscriptions');
+const { sendPushNotification } = pushSubscriptions;
+// Custom Alerts - user-defined rules over indicator, chart pattern, funding and scanner fields
+const { loadCustomAlerts, listCustomAlerts, getCustomAlert, createCustomAlert, updateCustomAlert, deleteCustomAlert, describeFields, evaluateCandleAlerts, evaluateFundingAlerts, onCustomAlert, getAlertHistory, getCustomAlertStatus } = require('./customAlerts');
+
+const PORT = getConfig('PORT');
+const POLL_MS = getConfig('POLL_MS');
+// 'stream' = kline WebSocket streams (default), 'poll' = REST polling every POLL_MS
+// The kline stream is Binance's WebSocket - other exchange adapters are always polled
+const MARKET_DATA_MODE = EXCHANGE !== 'binance' || getConfig('MARKET_DATA_MODE') === 'poll' ? 'poll' : 'stream';
 // If SYMBOLS is "ALL" or empty, auto-discover all futures symbols
-const SYMBOLS_RAW = (process.env.SYMBOLS || '').trim();
+const SYMBOLS_RAW = getConfig('SYMBOLS');
 const DEFAULT_SYMBOLS = SYMBOLS_RAW.toUpperCase() === 'ALL' ? [] : SYMBOLS_RAW.split(',').map((s) => s.trim()).filter(Boolean);
-const MAX_SYMBOLS = Number(process.env.MAX_SYMBOLS || 25);
+const MAX_SYMBOLS = getConfig('MAX_SYMBOLS');
 const VALID_INTERVALS = new Set([
   '1s',
   '1m',
@@ -72,25 +99,31 @@ const VALID_INTERVALS = new Set([
   '1M'
 ]);
 
-const DEFAULT_INTERVALS = (process.env.POLL_INTERVALS || process.env.BINANCE_INTERVAL || '1m,5m,15m,1h,4h')
-  .split(',')
-  .map((s) => s.trim())
+// BINANCE_INTERVAL alone still picks the single interval to track
+const DEFAULT_INTERVALS = (getConfigSource('POLL_INTERVALS') === 'default' && getConfigSource('BINANCE_INTERVAL') === 'env'
+  ? [getConfig('BINANCE_INTERVAL')]
+  : getConfig('POLL_INTERVALS'))
   .filter((s) => VALID_INTERVALS.has(s));
-const PUSH_CONTACT = process.env.PUSH_CONTACT || 'mailto:you@example.com';
+const PUSH_CONTACT = getConfig('PUSH_CONTACT');
+// Comma list of dashboard origins allowed to call the API ('*' = any)
+const CORS_ORIGINS = getConfig('CORS_ORIGINS');
+const CORS_ORIGIN = CORS_ORIGINS === '*' ? '*' : CORS_ORIGINS.split(',').map((s) => s.trim()).filter(Boolean);
 
 const app = express();
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGIN }));
 app.use(express.json());
+app.use(auditRequests); // first, so rejected attempts are recorded too
+app.use(requireAuth);
 
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: '*',
+    origin: CORS_ORIGIN,
     methods: ['GET', 'POST']
   }
 });
+io.use(socketAuth);
 
-const subscriptions = [];
 const latestSignals = new Map(); // key: symbol-interval
 const latestCandles = new Map(); // key: symbol-interval
 let trackedSymbols = [...DEFAULT_SYMBOLS];
@@ -98,10 +131,33 @@ let trackedIntervals = [...DEFAULT_INTERVALS];
 let pollers = [];
 
 configureWebPush();
-bootstrapTracking();
 startSpotDcaEngine({ latestCandles, latestSignals });
 startScanner(); // Start coin scanner for all futures
 
+// Stream every entry decision to dashboards
+onDecision((decision) => io.emit('decision', decision));
+
+// Apply runtime config changes that need more than a re-read, and tell dashboards
+onConfigChange((changes) => {
+  if (changes.STREAM_INTRABAR_UPDATES || changes.STREAM_INTRABAR_THROTTLE_MS) {
+    setIntrabarUpdates({
+      intrabar: getConfig('STREAM_INTRABAR_UPDATES'),
+      intrabarThrottleMs: getConfig('STREAM_INTRABAR_THROTTLE_MS')
+    });
+  }
+  io.emit('config', { changes, timestamp: Date.now() });
+});
+
+// Strategy profile switches (the settings they change also arrive as 'config')
+onProfileChange(({ profile, previous }) => {
+  io.emit('profile', { profile: profile.name, previous, active: getActiveProfile(), timestamp: Date.now() });
+});
+
+// Custom alerts with the socket channel
+onCustomAlert((event) => {
+  io.emit('alert', event);
+});
+
 io.on('connection', (socket) => {
   socket.emit('bootstrap', {
     signals: Array.from(latestSignals.values()),
@@ -112,6 +168,7 @@ io.on('connection', (socket) => {
   // Chat handler
   socket.on('chat:message', async (data) => {
     const { message, id } = data || {};
+    const user = socket.data.user;
     const context = {
       latestSignals,
       latestCandles,
@@ -121,8 +178,13 @@ io.on('connection', (socket) => {
       closePosition,
       getTradingStatus,
       updateSettings,
+      listProfiles,
+      applyProfile: (name) => applyProfile(name, { actor: user.name }),
+      getProfilePerformance,
       getPatternStats,
-      getTopGainers,
+      getTopGainers: (...args) => getExchange().getTopGainers(...args),
+      authorize: (role) => roleAtLeast(user.role, role),
+      audit: (entry) => recordAudit({ user, channel: 'socket', ip: socket.handshake.address, ...entry })
     };
 
     const reply = await handleChatMessage(message || '', context);
@@ -132,6 +194,122 @@ io.on('connection', (socket) => {
 
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
+// Who the request authenticated as (public - answers with user: null when it didn't)
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user, auth: getAuthStatus() });
+});
+
+// Mint a JWT for a user/role (admin, needs JWT_SECRET) - e.g. a read-only token for a dashboard
+app.post('/api/auth/token', (req, res) => {
+  try {
+    const { sub, role, expiresIn } = req.body || {};
+    if (!sub || !ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid token request', message: `sub and role (${ROLES.join(', ')}) are required` });
+    }
+    const seconds = expiresIn === undefined ? undefined : Number(expiresIn);
+    if (seconds !== undefined && (!Number.isFinite(seconds) || seconds <= 0)) {
+      return res.status(400).json({ error: 'Invalid token request', message: 'expiresIn must be a positive number of seconds' });
+    }
+    res.json({ ...signToken({ sub: String(sub), role }, seconds), sub: String(sub), role });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to create token', message: error.message });
+  }
+});
+
+// Effective configuration: every setting with its value, default, source (default/env/runtime),
+// range and whether it can be changed at runtime. Secrets only show whether they are set.
+// ?group=trading&hot=true
+app.get('/api/config', (req, res) => {
+  try {
+    const { group, hot } = req.query;
+    if (group && !CONFIG_GROUPS.includes(group)) {
+      return res.status(400).json({ error: 'Invalid group', message: `group must be one of ${CONFIG_GROUPS.join(', ')}` });
+    }
+    const config = describeConfig({ group, hot: hot === undefined ? undefined : hot === 'true' });
+    res.json({ config, groups: CONFIG_GROUPS });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load config', message: error.message });
+  }
+});
+
+// Change hot-reloadable settings without a restart: { "RISK_PER_TRADE": 3, "TP_LADDER": [50, 50] }
+// All-or-nothing - unknown, restart-only or out-of-range keys reject the whole update (400)
+app.patch('/api/config', (req, res) => {
+  try {
+    const updated = setConfig(req.body);
+    res.json({ updated, config: describeConfig({ hot: true }) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to update config', message: error.message, key: error.key });
+  }
+});
+
+// Indicator registry: every indicator with its inputs, outputs and parameters as they
+// apply on an interval (?interval=4h), whether it is enabled and its scoring weight.
+// Enable/tune through PATCH /api/config (INDICATORS_ENABLED, INDICATOR_PARAMS, INDICATOR_WEIGHTS)
+app.get('/api/indicators', (req, res) => {
+  try {
+    const interval = req.query.interval ? req.query.interval.toString() : null;
+    if (interval && !/^[0-9]+[mhdwM]$/.test(interval)) {
+      return res.status(400).json({ error: 'Invalid interval', message: 'interval must look like 15m, 4h or 1d' });
+    }
+    res.json({ interval, indicators: describeIndicators(interval), incremental: getIncrementalStatus() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load indicators', message: error.message });
+  }
+});
+
+// Equivalence check of the incremental indicators: replays a tracked symbol's
+// candles through a fresh incremental engine and diffs it against the batch computation
+app.get('/api/indicators/verify/:symbol', (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const interval = (req.query.interval || '15m').toString();
+    const candles = latestCandles.get(buildKey(symbol, interval));
+    if (!candles || candles.length < 20) {
+      return res.status(404).json({ error: 'No candles', message: `${symbol} ${interval} is not tracked` });
+    }
+    const mismatches = verifyIncremental(candles, getIndicatorSet(interval).core);
+    res.json({ symbol, interval, candles: candles.length, equivalent: mismatches.length === 0, mismatches });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Verification failed', message: error.message });
+  }
+});
+
+// Audit trail of state-changing API calls and chat commands (admin)
+// ?actor=ops&channel=http|socket&action=POST%20/api/trading/close/BTCUSDT&from=<ms|ISO>&to=<ms|ISO>&limit=100&skip=0
+app.get('/api/audit', async (req, res) => {
+  try {
+    const { actor, channel, action, from, to, limit, skip } = req.query;
+    if (channel && !['http', 'socket'].includes(channel)) {
+      return res.status(400).json({ error: 'Invalid channel', message: 'channel must be http or socket' });
+    }
+
+    const toMs = (value) => {
+      if (value === undefined || value === '') return undefined;
+      const ms = Number.isFinite(Number(value)) ? Number(value) : Date.parse(value);
+      return Number.isFinite(ms) ? ms : NaN;
+    };
+    const startDate = toMs(from);
+    const endDate = toMs(to);
+    if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+      return res.status(400).json({ error: 'Invalid time range', message: 'from/to must be ms timestamps or ISO dates' });
+    }
+
+    const entries = await getAuditLog({
+      actor: actor ? actor.toString() : undefined,
+      channel,
+      action: action ? action.toString() : undefined,
+      startDate,
+      endDate,
+      limit,
+      skip
+    });
+    res.json({ entries, count: entries.length });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load audit log', message: error.message });
+  }
+});
+
 // Get server's outbound IP for Binance API whitelist
 app.get('/api/server-ip', async (_req, res) => {
   try {
@@ -156,31 +334,125 @@ app.get('/api/candles/:symbol', (req, res) => {
 
 app.get('/api/markets', async (_req, res) => {
   try {
-    const markets = await getUsdtPerpetualMarkets();
+    const markets = await getExchange().getMarkets();
     res.json({ markets });
   } catch (error) {
     res.status(500).json({ error: 'Failed to load markets', message: error.message });
   }
 });
 
-app.post('/api/subscribe', (req, res) => {
-  const subscription = req.body;
+// Accepts a raw PushSubscription or { subscription, rules }
+app.post('/api/subscribe', async (req, res) => {
+  const subscription = req.body?.subscription || req.body;
   if (!subscription || !subscription.endpoint) {
     return res.status(400).json({ error: 'Invalid subscription' });
   }
-  const exists = subscriptions.find((s) => s.endpoint === subscription.endpoint);
-  if (!exists) subscriptions.push(subscription);
-  res.status(201).json({ ok: true });
+  try {
+    const entry = await pushSubscriptions.addSubscription(subscription, req.body?.rules);
+    res.status(201).json({ ok: true, rules: entry.rules });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid alert rules', message: error.message });
+  }
 });
 
-app.post('/api/user-alerts', (req, res) => {
-  // Placeholder for persistence; currently handled client-side via websocket feed.
-  res.status(201).json({ ok: true, note: 'Server stores subscriptions only in memory.' });
+app.delete('/api/subscribe', async (req, res) => {
+  const endpoint = req.body?.endpoint || req.query.endpoint;
+  if (!endpoint) {
+    return res.status(400).json({ error: 'endpoint is required' });
+  }
+  try {
+    const removed = await pushSubscriptions.removeSubscription(endpoint);
+    res.json({ ok: true, removed });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to unsubscribe', message: error.message });
+  }
+});
+
+// Per-subscription alert rules (symbols, intervals, signal types, confidence, quiet hours, rate limits)
+app.get('/api/user-alerts', (req, res) => {
+  const { endpoint } = req.query;
+  if (!endpoint) {
+    return res.status(400).json({ error: 'endpoint query param is required' });
+  }
+  const entry = pushSubscriptions.getSubscription(endpoint);
+  if (!entry) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  res.json({ endpoint, rules: entry.rules, updatedAt: entry.updatedAt });
+});
+
+app.post('/api/user-alerts', async (req, res) => {
+  const { endpoint, rules } = req.body || {};
+  if (!endpoint || !rules) {
+    return res.status(400).json({ error: 'endpoint and rules are required' });
+  }
+  try {
+    const entry = await pushSubscriptions.updateRules(endpoint, rules);
+    if (!entry) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    res.status(201).json({ ok: true, rules: entry.rules });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid alert rules', message: error.message });
+  }
+});
+
+app.get('/api/push/status', (_req, res) => {
+  res.json(pushSubscriptions.getPushStatus());
+});
+
+// Custom alerts (trader): { "name": "ETH oversold", "when": "rsi crosses below 30 AND price within 0.5% of support",
+//   "symbols": ["ETHUSDT"], "intervals": ["1h"], "cooldownMinutes": 60, "channels": ["push", "socket", "webhook"], "webhookUrl": "https://..." }
+// Only callers that can edit rules see full webhook URLs
+const webhookView = req => ({ revealWebhook: roleAtLeast(req.user?.role, 'trader') });
+
+app.get('/api/custom-alerts', (req, res) => {
+  res.json({ alerts: listCustomAlerts(webhookView(req)), fields: describeFields(), status: getCustomAlertStatus() });
+});
+
+app.get('/api/custom-alerts/history', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : null;
+  res.json({ history: getAlertHistory({ ruleId: req.query.rule || null, symbol, limit }) });
+});
+
+app.get('/api/custom-alerts/:id', (req, res) => {
+  const alert = getCustomAlert(req.params.id, webhookView(req));
+  if (!alert) {
+    return res.status(404).json({ error: 'Custom alert not found' });
+  }
+  res.json({ alert, history: getAlertHistory({ ruleId: alert.id, limit: 20 }) });
+});
+
+app.post('/api/custom-alerts', async (req, res) => {
+  try {
+    const alert = await createCustomAlert(req.body || {}, { actor: req.user?.name });
+    res.status(201).json({ alert });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to create custom alert', message: error.message });
+  }
+});
+
+app.put('/api/custom-alerts/:id', async (req, res) => {
+  try {
+    const alert = await updateCustomAlert(req.params.id, req.body || {}, { actor: req.user?.name });
+    res.json({ alert });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to update custom alert', message: error.message });
+  }
+});
+
+app.delete('/api/custom-alerts/:id', async (req, res) => {
+  try {
+    res.json(await deleteCustomAlert(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to delete custom alert', message: error.message });
+  }
 });
 
 app.get('/api/top-movers', async (_req, res) => {
   try {
-    const gainers = await getTopGainers(3, 20);
+    const gainers = await getExchange().getTopGainers(3, 20);
     res.json({ movers: gainers });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch top movers', message: error.message });
@@ -188,7 +460,94 @@ app.get('/api/top-movers', async (_req, res) => {
 });
 
 app.get('/api/meta', (_req, res) => {
-  res.json({ symbols: trackedSymbols, intervals: trackedIntervals });
+  res.json({ symbols: trackedSymbols, intervals: trackedIntervals, dataMode: MARKET_DATA_MODE });
+});
+
+app.get('/api/market-stream/status', (_req, res) => {
+  res.json({ mode: MARKET_DATA_MODE, ...getMarketStreamStatus(), microstructure: getMicrostructureStatus(), liquidations: getLiquidationStatus() });
+});
+
+// Order book + trade flow metrics; untracked symbols get a one-off snapshot
+app.get('/api/microstructure/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const interval = (req.query.interval || '15m').toString();
+    const candles = latestCandles.get(buildKey(symbol, interval));
+    const levels = candles && candles.length >= 5 ? findSupportResistance(candles) : {};
+
+    const microstructure = getMicrostructure(symbol, levels) || await fetchMicrostructure(symbol, levels);
+    if (!microstructure) {
+      return res.status(404).json({ error: 'No order book data', message: `No order book or trades for ${symbol}` });
+    }
+    res.json({ ...microstructure, levels });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load order flow', message: error.message });
+  }
+});
+
+// Multi-timeframe alignment: every interval's direction for a symbol and, per
+// tracked interval, whether it agrees with the timeframes above it
+app.get('/api/mtf/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const matrix = await getMtfMatrix(symbol);
+    if (!matrix.timeframes.some((t) => t.direction)) {
+      return res.status(404).json({ error: 'No timeframe data', message: `No candles for ${symbol}` });
+    }
+    res.json({ ...matrix, status: getMtfStatus() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load timeframe alignment', message: error.message });
+  }
+});
+
+// Market-wide liquidations: symbols ranked by liquidated USD
+app.get('/api/liquidations', (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    res.json({ ...getLiquidationOverview({ limit }), status: getLiquidationStatus() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load liquidations', message: error.message });
+  }
+});
+
+// Liquidation heatmap; symbols without a cluster estimate get one on request
+app.get('/api/liquidations/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const bucketPct = req.query.bucketPct !== undefined ? Number(req.query.bucketPct) : undefined;
+    if (bucketPct !== undefined && !(bucketPct >= 0.01 && bucketPct <= 5)) {
+      return res.status(400).json({ error: 'Invalid bucketPct', message: 'bucketPct must be between 0.01 and 5' });
+    }
+    const candles = latestCandles.get(buildKey(symbol, '15m')) || latestCandles.get(buildKey(symbol, '1h'));
+    const price = candles?.at(-1)?.close;
+
+    let heatmap = getLiquidationHeatmap(symbol, { price, bucketPct });
+    if (!heatmap?.estimated) {
+      try {
+        await refreshClusters(symbol);
+        heatmap = getLiquidationHeatmap(symbol, { price, bucketPct });
+      } catch (err) {
+        console.warn(`[LIQUIDATIONS] ${symbol} cluster estimate failed:`, err.message);
+      }
+    }
+    if (!heatmap) {
+      return res.status(404).json({ error: 'No liquidation data', message: `No liquidations or open interest for ${symbol}` });
+    }
+    res.json(heatmap);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load liquidation heatmap', message: error.message });
+  }
+});
+
+// Feed recorded forceOrder events (tests, LIQUIDATION_FEED=replay, backfills)
+app.post('/api/liquidations/replay', (req, res) => {
+  try {
+    const { events, shift } = req.body || {};
+    const result = replayLiquidations(events, { shift: shift !== false });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to replay liquidations', message: error.message });
+  }
 });
 
 app.get('/api/dca-plan', async (req, res) => {
@@ -236,15 +595,115 @@ app.post('/api/tracking', async (req, res) => {
   res.json({ symbols: trackedSymbols, intervals: trackedIntervals });
 });
 
-// Trading endpoints
-app.get('/api/trading/status', (_req, res) => {
-  res.json(getTradingStatus());
+// Trading endpoints - ?account=<name> picks a trading account (default: main)
+app.get('/api/trading/status', (req, res) => {
+  try {
+    res.json(getTradingStatus(req.query.account));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to get trading status', message: error.message });
+  }
 });
 
 app.post('/api/trading/close/:symbol', async (req, res) => {
-  const symbol = req.params.symbol.toUpperCase();
-  const result = await closePosition(symbol, 'API request');
-  res.json(result);
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const account = resolveAccount(req.query.account || req.body?.account);
+    const result = await closePosition(symbol, 'API request', null, null, account);
+    res.json({ account: account.name, ...result });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to close position', message: error.message });
+  }
+});
+
+// Strategy profiles - named presets of confidence, sizing, exit and risk settings
+// ?source=live|simulation limits the performance comparison
+app.get('/api/trading/profiles', (req, res) => {
+  try {
+    const { source } = req.query;
+    if (source && !['live', 'simulation'].includes(source)) {
+      return res.status(400).json({ error: 'Invalid source', message: 'source must be live or simulation' });
+    }
+    res.json({ profiles: listProfiles(), active: getActiveProfile(), performance: getProfilePerformance(source) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load profiles', message: error.message });
+  }
+});
+
+app.get('/api/trading/profiles/:name', (req, res) => {
+  try {
+    const profile = getProfile(req.params.name);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found', message: `Unknown profile: ${req.params.name}` });
+    }
+    res.json({ profile, performance: getProfilePerformance().filter(row => row.profile === profile.name) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load profile', message: error.message });
+  }
+});
+
+// Switch every account (that inherits the global settings), the risk books and the simulator at once
+app.post('/api/trading/profiles/:name/activate', (req, res) => {
+  try {
+    const result = applyProfile(req.params.name, { actor: req.user?.name });
+    res.json({ ...result, active: getActiveProfile() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to activate profile', message: error.message });
+  }
+});
+
+// Create or replace a profile (admin): { "description": "...", "settings": { "LEVERAGE": 3, "TP_LADDER": [50, 50] } }
+app.put('/api/trading/profiles/:name', (req, res) => {
+  try {
+    const profile = saveProfile(req.params.name, req.body || {}, { actor: req.user?.name });
+    res.json({ profile, active: getActiveProfile() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to save profile', message: error.message });
+  }
+});
+
+app.delete('/api/trading/profiles/:name', (req, res) => {
+  try {
+    res.json(deleteProfile(req.params.name, { actor: req.user?.name }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to delete profile', message: error.message });
+  }
+});
+
+// Entry decision audit trail - why each signal was traded, rejected (and by which gate) or failed
+// ?account=main&symbol=BTCUSDT&interval=15m&outcome=rejected&gate=sentiment&from=<ms|ISO>&to=<ms|ISO>&limit=100&skip=0
+app.get('/api/trading/decisions', async (req, res) => {
+  try {
+    const { account, symbol, interval, outcome, gate, from, to, limit, skip } = req.query;
+    if (outcome && !['executed', 'rejected', 'failed'].includes(outcome)) {
+      return res.status(400).json({ error: 'Invalid outcome', message: 'outcome must be executed, rejected or failed' });
+    }
+
+    const toMs = (value) => {
+      if (value === undefined || value === '') return undefined;
+      const ms = Number.isFinite(Number(value)) ? Number(value) : Date.parse(value);
+      return Number.isFinite(ms) ? ms : NaN;
+    };
+    const startDate = toMs(from);
+    const endDate = toMs(to);
+    if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+      return res.status(400).json({ error: 'Invalid time range', message: 'from/to must be ms timestamps or ISO dates' });
+    }
+
+    const decisions = await getDecisions({
+      account: account ? resolveAccount(account.toString()).name : undefined,
+      symbol: symbol ? symbol.toString().toUpperCase() : undefined,
+      interval: interval ? interval.toString() : undefined,
+      outcome,
+      gate: gate ? gate.toString() : undefined,
+      startDate,
+      endDate,
+      limit,
+      skip
+    });
+    res.json({ decisions, count: decisions.length, stats: getDecisionStats() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to load decisions', message: error.message });
+  }
 });
 
 // ============ AI TRADING SYSTEM ENDPOINTS ============
@@ -258,7 +717,7 @@ app.get('/api/ai/patterns/:symbol', async (req, res) => {
 
     let candles = latestCandles.get(key);
     if (!candles || candles.length < 50) {
-      candles = await getCandles(symbol, interval, 200);
+      candles = await getExchange().getCandles(symbol, interval, 200);
     }
 
     const patterns = detectChartPatterns(candles);
@@ -277,10 +736,10 @@ app.get('/api/ai/ml-signal/:symbol', async (req, res) => {
 
     let candles = latestCandles.get(key);
     if (!candles || candles.length < 50) {
-      candles = await getCandles(symbol, interval, 200);
+      candles = await getExchange().getCandles(symbol, interval, 200);
     }
 
-    const indicators = calculateIndicators(candles);
+    const indicators = withOrderFlow(symbol, calculateIndicators(candles));
     const mlSignal = generateMLSignal(indicators);
     const standardSignal = predictNextMove(indicators, null, symbol);
 
@@ -335,12 +794,15 @@ app.get('/api/ai/sniper/:symbol', async (req, res) => {
 
     let candles = latestCandles.get(key);
     if (!candles || candles.length < 50) {
-      candles = await getCandles(symbol, interval, 200);
+      candles = await getExchange().getCandles(symbol, interval, 200);
+    }
+    if (!candles || candles.length < 50) {
+      return res.status(400).json({ error: 'Insufficient data' });
     }
 
-    const indicators = calculateIndicators(candles);
+    const indicators = withOrderFlow(symbol, calculateIndicators(candles));
     const sniperAnalysis = analyzeSniperSetup(candles, indicators);
-    const killzone = detectKillzone();
+    const killzone = detectKillzone(indicators.evaluatedAt);
 
     res.json({
       symbol,
@@ -359,74 +821,324 @@ app.get('/api/ai/killzone', (_req, res) => {
   res.json(killzone);
 });
 
-// Backtesting
+// Backtest strategies available in the registry
+app.get('/api/ai/backtest/strategies', (_req, res) => {
+  res.json({ strategies: listStrategies(), default: DEFAULT_STRATEGY });
+});
+
+// Backtesting - strategy: { name, params } (or just the name), defaults to ai-default.
+// Without a range the last 1000 bars are used; startTime/endTime or yearsBack pull a
+// long range from the candle store. background: true returns 202 + runId and reports
+// over Socket.io (backtest:progress / backtest:complete / backtest:error).
 app.post('/api/ai/backtest', async (req, res) => {
   try {
-    const { symbol, interval = '1h', options = {} } = req.body;
+    const { symbol, interval = '1h', options = {}, background = false } = req.body;
+    const strategy = typeof req.body.strategy === 'string'
+      ? { name: req.body.strategy }
+      : { name: DEFAULT_STRATEGY, ...req.body.strategy };
 
     if (!symbol) {
       return res.status(400).json({ error: 'Symbol is required' });
     }
+    if (!getStrategy(strategy.name)) {
+      return res.status(400).json({
+        error: `Unknown strategy: ${strategy.name}`,
+        available: listStrategies().map(s => s.name)
+      });
+    }
+
+    let range;
+    try {
+      range = parseBacktestRange(req.body, interval);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid range', message: err.message });
+    }
 
-    // Fetch historical candles (max available)
-    const candles = await getCandles(symbol.toUpperCase(), interval, 1000);
+    const upperSymbol = symbol.toUpperCase();
+    const run = createBacktestRun(req.body.runId, 'backtest');
 
-    if (!candles || candles.length < 200) {
-      return res.status(400).json({ error: 'Insufficient historical data' });
+    const job = async () => {
+      const candles = await loadBacktestCandles(upperSymbol, interval, range, p => run.progress({ ...p, symbol: upperSymbol }));
+      if (!candles || candles.length < 200) {
+        return { error: 'Insufficient historical data' };
+      }
+
+      const result = await runBacktest(
+        candles,
+        { name: strategy.name, params: strategy.params, label: `${upperSymbol}_${interval}` },
+        { ...options, symbol: upperSymbol, interval, onProgress: p => run.progress({ ...p, symbol: upperSymbol }) }
+      );
+      if (result.error) return result;
+      return { runId: run.runId, dataRange: describeCandleRange(candles), ...result };
+    };
+
+    if (background) {
+      run.start(job);
+      return res.status(202).json({ runId: run.runId, status: 'running' });
     }
 
-    const result = await runBacktest(candles, { name: `${symbol}_${interval}` }, options);
+    const result = await job();
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    run.complete(result);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: 'Backtest failed', message: error.message });
   }
 });
 
-// Backtest History
+// Portfolio backtest - N symbols sharing capital under the live riskManager limits
+app.post('/api/ai/backtest/portfolio', async (req, res) => {
+  try {
+    const { symbols, interval = '1h', options = {}, background = false } = req.body;
+    const strategy = typeof req.body.strategy === 'string'
+      ? { name: req.body.strategy }
+      : { name: DEFAULT_STRATEGY, ...req.body.strategy };
+
+    const list = Array.from(new Set((Array.isArray(symbols) ? symbols : String(symbols || '').split(','))
+      .map(s => String(s).trim().toUpperCase())
+      .filter(Boolean)));
+    if (list.length < 2) {
+      return res.status(400).json({ error: 'At least two symbols are required' });
+    }
+    if (list.length > 20) {
+      return res.status(400).json({ error: 'Maximum 20 symbols per portfolio backtest' });
+    }
+    if (!getStrategy(strategy.name)) {
+      return res.status(400).json({
+        error: `Unknown strategy: ${strategy.name}`,
+        available: listStrategies().map(s => s.name)
+      });
+    }
+
+    let range;
+    try {
+      range = parseBacktestRange(req.body, interval, list.length);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid range', message: err.message });
+    }
+
+    const run = createBacktestRun(req.body.runId, 'portfolio');
+
+    const job = async () => {
+      // Sequential fetches to stay well inside Binance rate limits
+      const candlesBySymbol = {};
+      const skipped = [];
+      for (const symbol of list) {
+        try {
+          const candles = await loadBacktestCandles(symbol, interval, range, p => run.progress({ ...p, symbol }));
+          if (candles && candles.length >= 200) candlesBySymbol[symbol] = candles;
+          else skipped.push({ symbol, reason: 'Insufficient historical data' });
+        } catch (err) {
+          skipped.push({ symbol, reason: err.message });
+        }
+      }
+
+      const result = await runPortfolioBacktest(
+        candlesBySymbol,
+        { name: strategy.name, params: strategy.params, label: interval },
+        { ...options, interval, onProgress: run.progress }
+      );
+      return { runId: run.runId, ...result, skipped };
+    };
+
+    if (background) {
+      run.start(job);
+      return res.status(202).json({ runId: run.runId, status: 'running' });
+    }
+
+    const result = await job();
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    run.complete(result);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: 'Portfolio backtest failed', message: error.message });
+  }
+});
+
+// Backtest History (plus the latest optimizer leaderboards)
 app.get('/api/ai/backtest-history', (_req, res) => {
   try {
     const history = loadBacktestHistory();
-    res.json({ history });
+    res.json({ history, optimizations: loadOptimizationHistory() });
   } catch (error) {
     res.status(500).json({ error: 'Failed to load backtest history', message: error.message });
   }
 });
 
-// Monte Carlo Simulation
+// Parameter optimization - grid/random search over backtest options and strategy params,
+// ranked in-sample then validated out-of-sample + walk-forward. Same range/background
+// handling as /api/ai/backtest; progress arrives as backtest:progress with phase 'optimize'.
+app.post('/api/ai/optimize', async (req, res) => {
+  try {
+    const {
+      symbol,
+      interval = '1h',
+      space,
+      method,
+      samples,
+      objective,
+      constraints,
+      outOfSample,
+      topK,
+      walkForward,
+      seed,
+      options = {},
+      background = false
+    } = req.body;
+    const strategy = typeof req.body.strategy === 'string'
+      ? { name: req.body.strategy }
+      : { name: DEFAULT_STRATEGY, ...req.body.strategy };
+
+    if (!symbol) {
+      return res.status(400).json({ error: 'Symbol is required' });
+    }
+    if (!getStrategy(strategy.name)) {
+      return res.status(400).json({
+        error: `Unknown strategy: ${strategy.name}`,
+        available: listStrategies().map(s => s.name)
+      });
+    }
+
+    let range;
+    try {
+      range = parseBacktestRange(req.body, interval);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid range', message: err.message });
+    }
+
+    const upperSymbol = symbol.toUpperCase();
+    const run = createBacktestRun(req.body.runId, 'optimize');
+    const config = {
+      strategy,
+      symbol: upperSymbol,
+      interval,
+      space,
+      method,
+      samples: samples !== undefined ? Number(samples) : undefined,
+      objective,
+      constraints,
+      outOfSample: outOfSample !== undefined ? Number(outOfSample) : undefined,
+      topK: topK !== undefined ? Math.max(1, Math.min(20, Number(topK))) : undefined,
+      walkForward,
+      seed: seed !== undefined ? Number(seed) : undefined,
+      options,
+      onProgress: run.progress
+    };
+
+    const job = async () => {
+      const candles = await loadBacktestCandles(upperSymbol, interval, range, p => run.progress({ ...p, symbol: upperSymbol }));
+      try {
+        const result = await runOptimization(candles, config);
+        return { runId: run.runId, dataRange: describeCandleRange(candles), ...result };
+      } catch (err) {
+        return { error: err.message };
+      }
+    };
+
+    if (background) {
+      run.start(job);
+      return res.status(202).json({ runId: run.runId, status: 'running' });
+    }
+
+    const result = await job();
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    run.complete(result);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: 'Optimization failed', message: error.message });
+  }
+});
+
+app.get('/api/ai/optimize/history', (req, res) => {
+  try {
+    const limit = Math.min(100, Number(req.query.limit) || 20);
+    res.json({ optimizations: loadOptimizationHistory(limit) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load optimization history', message: error.message });
+  }
+});
+
+app.get('/api/ai/optimize/:id', (req, res) => {
+  try {
+    const optimization = loadOptimization(req.params.id);
+    if (!optimization) {
+      return res.status(404).json({ error: 'Optimization not found' });
+    }
+    res.json(optimization);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load optimization', message: error.message });
+  }
+});
+
+// Monte Carlo Simulation - accepts the same startTime/endTime/yearsBack range as /api/ai/backtest
 app.post('/api/ai/monte-carlo', async (req, res) => {
   try {
     const { symbol, interval = '1h', simulations = 1000, options = {} } = req.body;
 
+    if (!symbol) {
+      return res.status(400).json({ error: 'Symbol is required' });
+    }
+
+    let range;
+    try {
+      range = parseBacktestRange(req.body, interval);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid range', message: err.message });
+    }
+
+    const upperSymbol = symbol.toUpperCase();
+    const run = createBacktestRun(req.body.runId, 'monte-carlo');
+
     // First run a backtest to get trades
-    const candles = await getCandles(symbol.toUpperCase(), interval, 1000);
-    const backtestResult = await runBacktest(candles, { name: `${symbol}_monte_carlo` }, options);
+    const candles = await loadBacktestCandles(upperSymbol, interval, range, p => run.progress({ ...p, symbol: upperSymbol }));
+    const strategy = typeof req.body.strategy === 'string' ? { name: req.body.strategy } : req.body.strategy;
+    const backtestResult = await runBacktest(candles, strategy
+      ? { ...strategy, label: `${upperSymbol}_monte_carlo` }
+      : { name: `${upperSymbol}_monte_carlo` }, {
+      ...options,
+      symbol: upperSymbol,
+      interval,
+      includeAllTrades: true,
+      onProgress: p => run.progress({ ...p, symbol: upperSymbol })
+    });
 
-    if (!backtestResult.trades || backtestResult.trades.length < 10) {
+    const trades = backtestResult.allTrades || backtestResult.trades;
+    if (!trades || trades.length < 10) {
       return res.status(400).json({ error: 'Not enough trades for Monte Carlo simulation' });
     }
 
     const monteCarloResult = runMonteCarloSimulation(
-      backtestResult.trades,
+      trades,
       options.initialCapital || 10000,
       simulations
     );
 
-    res.json({
+    const response = {
+      runId: run.runId,
+      dataRange: describeCandleRange(candles),
       backtest: backtestResult.summary,
       monteCarlo: monteCarloResult
-    });
+    };
+    run.complete(response);
+    res.json(response);
   } catch (error) {
     res.status(500).json({ error: 'Monte Carlo simulation failed', message: error.message });
   }
 });
 
-// Risk Management Status
-app.get('/api/ai/risk-status', (_req, res) => {
+// Risk Management Status (?account=<name>, default main)
+app.get('/api/ai/risk-status', (req, res) => {
   try {
-    const status = getRiskStatus();
+    const status = getRiskStatus(resolveAccount(req.query.account).risk);
     res.json(status);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get risk status', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to get risk status', message: error.message });
   }
 });
 
@@ -486,25 +1198,25 @@ app.post('/api/ai/kelly', (req, res) => {
 // Reset Risk Limits
 app.post('/api/ai/risk-reset', (req, res) => {
   try {
-    const { type = 'daily' } = req.body;
-    const status = resetLimits(type);
+    const { type = 'daily', account } = req.body;
+    const status = resetLimits(type, resolveAccount(account).risk);
     res.json({ success: true, status });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to reset limits', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to reset limits', message: error.message });
   }
 });
 
 // Set Risk Multiplier
 app.post('/api/ai/risk-multiplier', (req, res) => {
   try {
-    const { multiplier } = req.body;
+    const { multiplier, account } = req.body;
     if (multiplier === undefined) {
       return res.status(400).json({ error: 'multiplier is required' });
     }
-    const newMultiplier = setRiskMultiplier(multiplier);
+    const newMultiplier = setRiskMultiplier(multiplier, resolveAccount(account).risk);
     res.json({ success: true, riskMultiplier: newMultiplier });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to set risk multiplier', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to set risk multiplier', message: error.message });
   }
 });
 
@@ -620,21 +1332,67 @@ app.get('/api/scanner/coin/:symbol', (req, res) => {
 });
 
 // === SIMULATION / PAPER TRADING ===
-app.get('/api/simulation/status', (_req, res) => {
+// ?portfolio=<name> (default baseline)
+app.get('/api/simulation/status', (req, res) => {
   try {
-    const status = getSimulationStatus();
+    const status = getSimulationStatus(req.query.portfolio);
     res.json(status);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get simulation status', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to get simulation status', message: error.message });
+  }
+});
+
+// Body: { portfolio } (default baseline, 'all' resets every portfolio)
+app.post('/api/simulation/reset', (req, res) => {
+  try {
+    const { portfolio } = req.body || {};
+    if (portfolio === 'all') {
+      const portfolios = listPortfolios().map(p => resetSimulation(p.name));
+      return res.json({ success: true, message: `Reset ${portfolios.length} simulation portfolios`, portfolios: listPortfolios() });
+    }
+    const status = resetSimulation(portfolio);
+    res.json({ success: true, message: `Simulation reset (${status.portfolio})`, status });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to reset simulation', message: error.message });
+  }
+});
+
+app.get('/api/simulation/portfolios', (_req, res) => {
+  try {
+    res.json({ portfolios: listPortfolios() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get simulation portfolios', message: error.message });
   }
 });
 
-app.post('/api/simulation/reset', (_req, res) => {
+// A/B comparison: ?a=baseline&b=<variant>&alpha=0.05&days=7 - without b, every portfolio against a
+app.get('/api/simulation/compare', (req, res) => {
   try {
-    const status = resetSimulation();
-    res.json({ success: true, message: 'Simulation reset', status });
+    const { a = 'baseline', b, alpha, days } = req.query;
+    const options = {};
+    if (alpha !== undefined) {
+      options.alpha = Number(alpha);
+      if (!(options.alpha > 0 && options.alpha < 1)) {
+        return res.status(400).json({ error: 'Invalid alpha', message: 'alpha must be between 0 and 1 (e.g. 0.05)' });
+      }
+    }
+    if (days !== undefined) {
+      const numDays = Number(days);
+      if (!(numDays > 0)) {
+        return res.status(400).json({ error: 'Invalid days', message: 'days must be a positive number' });
+      }
+      options.since = Date.now() - numDays * 24 * 60 * 60 * 1000;
+    }
+
+    if (b) return res.json(comparePortfolios(a, b, options));
+
+    const control = getSimulationStatus(a).portfolio; // 404s for unknown names
+    const comparisons = listPortfolios()
+      .filter(p => p.name !== control)
+      .map(p => comparePortfolios(a, p.name, options));
+    res.json({ control, comparisons });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to reset simulation', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to compare simulation portfolios', message: error.message });
   }
 });
 
@@ -817,10 +1575,10 @@ app.get('/api/analysis/style/:symbol', async (req, res) => {
 
     let candles = latestCandles.get(key);
     if (!candles || candles.length < 50) {
-      candles = await getCandles(symbol, interval, 200);
+      candles = await getExchange().getCandles(symbol, interval, 200);
     }
 
-    const indicators = calculateIndicators(candles);
+    const indicators = withOrderFlow(symbol, calculateIndicators(candles));
     const recommendation = getRecommendedStyle(symbol, indicators);
 
     res.json({
@@ -850,10 +1608,10 @@ app.get('/api/ai/recommendation/:symbol', async (req, res) => {
 
     let candles = latestCandles.get(key);
     if (!candles || candles.length < 50) {
-      candles = await getCandles(symbol, interval, 200);
+      candles = await getExchange().getCandles(symbol, interval, 200);
     }
 
-    const indicators = calculateIndicators(candles);
+    const indicators = withOrderFlow(symbol, calculateIndicators(candles));
     const learned = getLearnedRecommendation(indicators);
     const standard = predictNextMove(indicators, null, symbol);
 
@@ -896,12 +1654,12 @@ app.get('/api/ai/full-analysis/:symbol', async (req, res) => {
     const symbol = req.params.symbol.toUpperCase();
     const interval = (req.query.interval || '15m').toString();
 
-    const candles = await getCandles(symbol, interval, 200);
+    const candles = await getExchange().getCandles(symbol, interval, 200);
     if (!candles || candles.length < 50) {
       return res.status(400).json({ error: 'Insufficient data' });
     }
 
-    const indicators = calculateIndicators(candles);
+    const indicators = withOrderFlow(symbol, calculateIndicators(candles));
     const standardAI = predictNextMove(indicators, null, symbol);
     const mlSignal = generateMLSignal(indicators);
     const patterns = detectChartPatterns(candles);
@@ -1150,11 +1908,11 @@ app.get('/api/intelligence/:symbol', async (req, res) => {
       getSymbolWhaleActivity(symbol),
       getSymbolFunding(symbol),
       getLeverageAnalysis(symbol),
-      getCandles(symbol, interval, 200)
+      getExchange().getCandles(symbol, interval, 200)
     ]);
 
     // Get technical analysis
-    const indicators = calculateIndicators(candles);
+    const indicators = withOrderFlow(symbol, calculateIndicators(candles));
     const standardAI = predictNextMove(indicators, null, symbol);
     const mlSignal = generateMLSignal(indicators);
     const patterns = detectChartPatterns(candles);
@@ -1248,6 +2006,18 @@ app.get('/api/intelligence/:symbol', async (req, res) => {
     console.warn('[SERVER] MongoDB connection failed:', err.message);
   }
 
+  // Restore push subscribers and custom alert rules (MongoDB or file backup)
+  await pushSubscriptions.loadSubscriptions();
+  await loadCustomAlerts();
+
+  // Re-apply the saved strategy profile before anything trades with its settings
+  await restoreProfiles();
+
+  // Restore open positions, daily counters and trade history before any
+  // signal can trade; the first position monitor pass reconciles them
+  await restoreTradingState();
+  bootstrapTracking();
+
   // Start candle behavior simulator for accelerated learning
   startCandleSimulator();
 
@@ -1258,71 +2028,96 @@ app.get('/api/intelligence/:symbol', async (req, res) => {
 
 async function pollSymbol(symbol, interval) {
   try {
-    const candles = await getCandles(symbol, interval);
-    const key = buildKey(symbol, interval);
-    latestCandles.set(key, candles);
+    const candles = await getExchange().getCandles(symbol, interval);
+    await processCandles(symbol, interval, candles);
+  } catch (error) {
+    console.error(`Failed to poll ${symbol} ${interval}`, error.message);
+  }
+}
 
-    // Feed candles to simulator for pattern learning (only 1m and 5m for faster learning)
-    if (interval === '1m' || interval === '5m') {
-      feedRealCandles(candles, symbol);
-    }
+// Stream callback: closed candles always re-run the pipeline, intra-candle
+// updates only arrive when STREAM_INTRABAR_UPDATES is on (already throttled)
+async function handleStreamCandles(symbol, interval, candles, { closed }) {
+  try {
+    await processCandles(symbol, interval, candles, { closed });
+  } catch (error) {
+    console.error(`Failed to process stream candles ${symbol} ${interval}`, error.message);
+  }
+}
 
-    const indicators = calculateIndicators(candles);
-    const ai = predictNextMove(indicators, null, symbol);
-    const signal = deriveSignal(symbol, interval, indicators, ai);
+async function processCandles(symbol, interval, candles, { closed = true } = {}) {
+  const key = buildKey(symbol, interval);
+  latestCandles.set(key, candles);
 
-    if (signal) {
-      latestSignals.set(buildKey(symbol, interval), signal);
-      io.emit('signal', signal);
+  // Shadow-mode accounts fill their paper SL/TP orders from live prices
+  feedShadowCandles(symbol, candles);
 
-      if (ai.confidence >= 0.7) {
-        sendPushNotification(`${symbol}: ${signal.signal}`, buildPushBody(signal));
-      }
+  // Feed candles to simulator for pattern learning (only 1m and 5m for faster learning)
+  if (closed && (interval === '1m' || interval === '5m')) {
+    feedRealCandles(candles, symbol);
+  }
 
-      // Auto-execute trade if enabled and meets criteria
-      // Sniper signals use a lower confidence gate (15% less) for early entry
-      // Volume surge signals use even lower gates (20% less for explosive)
-      const isSniper = ai.trade?.isSniper || signal.signal?.includes('SNIPER') || ai.sniperAnalysis?.isSniper;
-      const isVolumeSurge = ai.sniperAnalysis?.isVolumeSurge || indicators?.volumeSurge?.detected;
-      const isExplosiveSurge = ai.sniperAnalysis?.volumeSurge?.isExplosive || indicators?.volumeSurge?.isExplosive;
-      let entryThreshold = MIN_CONFIDENCE;
-      if (isExplosiveSurge) {
-        entryThreshold = Math.max(0.45, MIN_CONFIDENCE - 0.20);
-      } else if (isVolumeSurge) {
-        entryThreshold = Math.max(0.50, MIN_CONFIDENCE - 0.15);
-      } else if (isSniper) {
-        entryThreshold = Math.max(0.50, MIN_CONFIDENCE - 0.15);
-      }
-      if (TRADING_ENABLED && ai.confidence >= entryThreshold && ai.trade) {
-        const tradeResult = await executeTrade(signal);
+  const indicators = withOrderFlow(symbol, calculateIndicators(candles, { interval, incremental: key }));
+  const mtf = await buildMtfContext(symbol, interval);
+  const ai = predictNextMove(indicators, mtf, symbol);
+  recordTimeframe(symbol, interval, indicators, ai);
+  evaluateCandleAlerts(symbol, interval, { indicators, ai, candles });
+  const signal = deriveSignal(symbol, interval, indicators, ai);
+
+  if (signal) {
+    latestSignals.set(buildKey(symbol, interval), signal);
+    io.emit('signal', signal);
+
+    // Confidence, symbol and signal-type filtering happens per subscriber
+    sendPushNotification(`${symbol}: ${signal.signal}`, buildPushBody(signal), {
+      category: 'signal',
+      symbol,
+      interval,
+      signal: signal.signal,
+      confidence: ai.confidence
+    });
+
+    // Auto-execute trade on every trading account - each account's entry gates (confidence,
+    // learning, sentiment, risk limits...) decide and log a decision record either way.
+    // Only on closed candles: intra-candle signals can still flip before the close.
+    if (TRADING_ENABLED && ai.trade && closed) {
+      for (const tradeResult of await executeTradeForAllAccounts(signal)) {
+        const label = accountLabel(tradeResult.account, tradeResult.shadow);
         if (tradeResult.executed) {
-          io.emit('trade', { type: 'OPENED', ...tradeResult.order });
+          io.emit('trade', { type: 'OPENED', account: tradeResult.account, shadow: Boolean(tradeResult.shadow), ...tradeResult.order });
           sendPushNotification(
-            `TRADE: ${signal.ai.trade.type} ${symbol}`,
-            `Entry: ${signal.ai.trade.entry} | SL: ${tradeResult.order.stopLoss} | TP: ${tradeResult.order.takeProfit}`
+            `TRADE${label}: ${signal.ai.trade.type} ${symbol}`,
+            `Entry: ${signal.ai.trade.entry} | SL: ${tradeResult.order.stopLoss} | TP: ${tradeResult.order.takeProfit}`,
+            { category: 'trade', symbol, interval, signal: signal.signal }
           );
         } else {
-          console.log(`[TRADE REJECTED] ${symbol} ${interval}: ${tradeResult.reason} (conf: ${(ai.confidence * 100).toFixed(0)}%, signal: ${signal.signal})`);
+          console.log(`[TRADE REJECTED]${label} ${symbol} ${interval}: ${tradeResult.gate || 'execution'} - ${tradeResult.reason} (conf: ${(ai.confidence * 100).toFixed(0)}%, signal: ${signal.signal})`);
         }
-      } else if (TRADING_ENABLED && ai.trade && ai.confidence < entryThreshold) {
-        const tag = isExplosiveSurge ? ', explosive surge' : isVolumeSurge ? ', surge' : isSniper ? ', sniper' : '';
-        console.log(`[TRADE SKIPPED] ${symbol} ${interval}: confidence ${(ai.confidence * 100).toFixed(0)}% < threshold ${(entryThreshold * 100).toFixed(0)}% (signal: ${signal.signal}${tag})`);
       }
-    } else {
-      latestSignals.set(key, {
-        symbol,
-        signal: 'NEUTRAL',
-        ai,
-        indicators,
-        interval,
-        timestamp: Date.now()
-      });
     }
-  } catch (error) {
-    console.error(`Failed to poll ${symbol} ${interval}`, error.message);
+  } else {
+    latestSignals.set(key, {
+      symbol,
+      signal: 'NEUTRAL',
+      ai,
+      indicators,
+      interval,
+      timestamp: Date.now()
+    });
   }
 }
 
+// Order book / trade flow of a tracked symbol, read by predictNextMove and the
+// sniper engine (walls are checked against the indicators' support/resistance)
+function withOrderFlow(symbol, indicators) {
+  if (!indicators) return indicators;
+  const microstructure = getMicrostructure(symbol, { support: indicators.support, resistance: indicators.resistance });
+  if (microstructure) indicators.microstructure = microstructure;
+  const liquidations = getLiquidationContext(symbol, indicators.currentPrice);
+  if (liquidations) indicators.liquidations = liquidations;
+  return indicators;
+}
+
 function deriveSignal(symbol, interval, indicators, ai) {
   if (!indicators || !ai) return null;
   const timestamp = Date.now();
@@ -1359,8 +2154,7 @@ function deriveSignal(symbol, interval, indicators, ai) {
 async function bootstrapTracking() {
   if (trackedSymbols.length === 0) {
     try {
-      const { getFuturesSymbols } = require('./binance');
-      const discovered = await getFuturesSymbols();
+      const discovered = await getExchange().listSymbols();
       trackedSymbols = discovered.slice(0, MAX_SYMBOLS);
       console.log(`Discovered ${trackedSymbols.length} futures symbols`);
     } catch (error) {
@@ -1383,23 +2177,19 @@ async function updateTracking(symbols, intervals) {
 }
 
 function configureWebPush() {
-  const hasKeys = process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY;
+  const hasKeys = getConfig('VAPID_PUBLIC_KEY') && getConfig('VAPID_PRIVATE_KEY');
   if (!hasKeys) {
     console.warn('Web push disabled: missing VAPID_PUBLIC_KEY or VAPID_PRIVATE_KEY');
     return;
   }
 
-  webpush.setVapidDetails(PUSH_CONTACT, process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+  webpush.setVapidDetails(PUSH_CONTACT, getConfig('VAPID_PUBLIC_KEY'), getConfig('VAPID_PRIVATE_KEY'));
 }
 
-function sendPushNotification(title, body) {
-  if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) return;
-  const payload = JSON.stringify({ title, body });
-  subscriptions.forEach((sub) => {
-    webpush.sendNotification(sub, payload).catch((err) => {
-      console.error('Push send failed:', err.message);
-    });
-  });
+// " [name]" for notifications and logs of non-main accounts
+// Push/log label: the account (omitted for main) and whether the trade was a shadow one
+function accountLabel(name, shadow = false) {
+  return `${name && name !== DEFAULT_ACCOUNT ? ` [${name}]` : ''}${shadow ? ' [shadow]' : ''}`;
 }
 
 function buildPushBody(signal) {
@@ -1409,6 +2199,66 @@ function buildPushBody(signal) {
   return `AI ${Math.round(signal.ai.confidence * 100)}% | ${signal.interval} | RSI ${rsi} | MACD hist ${macd}`;
 }
 
+// Long-range backtests: { startTime, endTime } or { yearsBack } (ms or ISO dates).
+// Returns null for the default "last 1000 bars" mode; throws on invalid/oversized ranges.
+function parseBacktestRange(body, interval, symbolCount = 1) {
+  const range = resolveRange({
+    startTime: body.startTime,
+    endTime: body.endTime,
+    yearsBack: body.yearsBack,
+    daysBack: body.daysBack
+  });
+  if (range) {
+    assertRangeSize(interval, range.startTime, range.endTime, Math.floor(MAX_RANGE_CANDLES / symbolCount));
+  }
+  return range;
+}
+
+async function loadBacktestCandles(symbol, interval, range, onProgress) {
+  if (!range) return getExchange().getCandles(symbol, interval, 1000);
+  return getCandleRange({ symbol, interval, ...range, market: 'futures', onProgress });
+}
+
+function describeCandleRange(candles) {
+  if (!candles?.length) return { candles: 0 };
+  return {
+    candles: candles.length,
+    startTime: candles[0].openTime,
+    endTime: candles.at(-1).closeTime,
+    start: new Date(candles[0].openTime).toISOString(),
+    end: new Date(candles.at(-1).closeTime).toISOString()
+  };
+}
+
+// Socket.io reporting for a backtest run, keyed by runId (client-supplied or generated)
+function createBacktestRun(runId, type) {
+  const id = runId || `${type}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  let lastKey = null;
+
+  const run = {
+    runId: id,
+    progress: (progress) => {
+      // Downloads and the backtest loop both report 0-100; only emit on change
+      const key = `${progress.phase}:${progress.symbol || ''}:${progress.percent}`;
+      if (key === lastKey) return;
+      lastKey = key;
+      io.emit('backtest:progress', { runId: id, type, ...progress });
+    },
+    complete: (result) => io.emit('backtest:complete', { runId: id, type, result }),
+    fail: (message) => io.emit('backtest:error', { runId: id, type, message }),
+    start: (job) => {
+      job()
+        .then(result => (result.error ? run.fail(result.error) : run.complete(result)))
+        .catch(err => {
+          console.error(`[BACKTEST] ${id} failed:`, err.message);
+          run.fail(err.message);
+        });
+    }
+  };
+
+  return run;
+}
+
 function buildKey(symbol, interval) {
   return `${symbol}-${interval}`;
 }
@@ -1419,7 +2269,7 @@ const studiedMovers = new Map(); // symbol -> last study timestamp
 // Scan top gainers/losers, study what their indicators looked like, and record patterns
 async function scanTopMovers() {
   try {
-    const gainers = await getTopGainers(5, 20); // Symbols up 5%+ with >$1M volume
+    const gainers = await getExchange().getTopGainers(5, 20); // Symbols up 5%+ with >$1M volume
     const now = Date.now();
     const cooldown = 30 * 60 * 1000; // Don't re-study same symbol within 30 min
 
@@ -1435,7 +2285,7 @@ async function scanTopMovers() {
 
       try {
         // Fetch candles for this mover on 15m and 1h to study the setup
-        const candles15m = await getCandles(mover.symbol, '15m', 100);
+        const candles15m = await getExchange().getCandles(mover.symbol, '15m', 100);
         const indicators15m = calculateIndicators(candles15m);
 
         if (indicators15m) {
@@ -1483,7 +2333,7 @@ const surgeCooldown = new Map(); // symbol -> last surge scan timestamp
 
 async function scanVolumeSurges() {
   try {
-    const surgers = await getVolumeSurgers(20);
+    const surgers = await getExchange().getVolumeSurgers(20);
     const now = Date.now();
     const cooldownMs = 15 * 60 * 1000; // 15 min cooldown per symbol
     let scanned = 0;
@@ -1502,7 +2352,7 @@ async function scanVolumeSurges() {
 
       try {
         // Fetch short-term candles to analyze the surge
-        const candles5m = await getCandles(surger.symbol, '5m', 50);
+        const candles5m = await getExchange().getCandles(surger.symbol, '5m', 50);
         const indicators5m = calculateIndicators(candles5m);
 
         if (!indicators5m) {
@@ -1535,12 +2385,8 @@ async function scanVolumeSurges() {
           if (!trackedSymbols.includes(surger.symbol)) {
             // Add it (temporarily displacing the last non-priority symbol)
             trackedSymbols.push(surger.symbol);
-            // Start polling this symbol immediately
-            trackedIntervals.forEach((interval) => {
-              pollSymbol(surger.symbol, interval);
-              const id = setInterval(() => pollSymbol(surger.symbol, interval), POLL_MS);
-              pollers.push(id);
-            });
+            // Start feeding this symbol immediately
+            startSymbolFeed(surger.symbol);
             console.log(`[SURGE SCANNER] Dynamically added ${surger.symbol} to tracking (surge: ${volumeSurge.intensity.toFixed(1)}x, AI: ${ai.signal} ${(ai.confidence * 100).toFixed(0)}%)`);
           }
 
@@ -1564,21 +2410,21 @@ async function scanVolumeSurges() {
             });
             alerted++;
 
-            // Auto-execute if trading is enabled and meets threshold
-            const isSniper = ai.trade?.isSniper || signal.signal?.includes('SNIPER') || ai.sniperAnalysis?.isSniper;
-            const isSurge = volumeSurge.isExplosive;
-            // Volume surge trades get aggressive threshold: 45% for explosive, 50% for regular surge
-            const surgeThreshold = isSurge ? 0.45 : (isSniper ? Math.max(0.50, MIN_CONFIDENCE - 0.15) : MIN_CONFIDENCE);
-
-            if (TRADING_ENABLED && ai.confidence >= surgeThreshold && ai.trade) {
-              const tradeResult = await executeTrade(signal);
-              if (tradeResult.executed) {
-                io.emit('trade', { type: 'SURGE_ENTRY', ...tradeResult.order });
+            // Auto-execute if trading is enabled - surge setups get the lower surge gates
+            if (TRADING_ENABLED && ai.trade) {
+              const tradeResults = await executeTradeForAllAccounts(signal, {
+                source: 'surge',
+                setup: { isVolumeSurge: true, isExplosiveSurge: Boolean(volumeSurge.isExplosive) }
+              });
+              for (const tradeResult of tradeResults.filter(r => r.executed)) {
+                const label = accountLabel(tradeResult.account, tradeResult.shadow);
+                io.emit('trade', { type: 'SURGE_ENTRY', account: tradeResult.account, shadow: Boolean(tradeResult.shadow), ...tradeResult.order });
                 sendPushNotification(
-                  `SURGE TRADE: ${ai.trade.type} ${surger.symbol}`,
-                  `Vol ${volumeSurge.intensity.toFixed(1)}x | ${surger.priceChangePercent.toFixed(1)}% | ${ai.reasons?.[0] || ''}`
+                  `SURGE TRADE${label}: ${ai.trade.type} ${surger.symbol}`,
+                  `Vol ${volumeSurge.intensity.toFixed(1)}x | ${surger.priceChangePercent.toFixed(1)}% | ${ai.reasons?.[0] || ''}`,
+                  { category: 'trade', symbol: surger.symbol, signal: signal.signal }
                 );
-                console.log(`[SURGE TRADE] ${ai.trade.type} ${surger.symbol} - vol ${volumeSurge.intensity.toFixed(1)}x, conf ${(ai.confidence * 100).toFixed(0)}%`);
+                console.log(`[SURGE TRADE]${label} ${ai.trade.type} ${surger.symbol} - vol ${volumeSurge.intensity.toFixed(1)}x, conf ${(ai.confidence * 100).toFixed(0)}%`);
               }
             }
           }
@@ -1613,16 +2459,64 @@ function clearPollers() {
   pollers = [];
 }
 
-function schedulePolling() {
-  clearPollers();
-  trackedSymbols.forEach((symbol) => {
-    trackedIntervals.forEach((interval) => {
-      pollSymbol(symbol, interval);
-      const id = setInterval(() => pollSymbol(symbol, interval), POLL_MS);
-      pollers.push(id);
+function buildStreamPairs() {
+  return trackedSymbols.flatMap((symbol) => trackedIntervals.map((interval) => ({ symbol, interval })));
+}
+
+function pollSymbolIntervals(symbol) {
+  trackedIntervals.forEach((interval) => {
+    pollSymbol(symbol, interval);
+    const id = setInterval(() => pollSymbol(symbol, interval), POLL_MS);
+    pollers.push(id);
+  });
+}
+
+// Start market data for a symbol added after scheduling (e.g. by the surge scanner)
+function startSymbolFeed(symbol) {
+  if (getConfig('MICROSTRUCTURE_ENABLED')) setMicrostructureSymbols(trackedSymbols);
+  setLiquidationSymbols(trackedSymbols);
+  if (MARKET_DATA_MODE === 'stream') {
+    setStreamSubscriptions(buildStreamPairs()).catch((err) => {
+      console.error(`[STREAM] Failed to subscribe ${symbol}:`, err.message);
     });
+    return;
+  }
+  pollSymbolIntervals(symbol);
+}
+
+function startMarketData() {
+  if (getConfig('MICROSTRUCTURE_ENABLED')) {
+    startMicrostructure({ symbols: trackedSymbols, mode: MARKET_DATA_MODE });
+  }
+  startLiquidationFeed({
+    symbols: trackedSymbols,
+    mode: getConfig('LIQUIDATION_FEED'),
+    onLiquidation: (event) => {
+      if (trackedSymbols.includes(event.symbol)) io.emit('liquidation', event);
+    }
   });
 
+  if (MARKET_DATA_MODE === 'stream') {
+    startMarketStream({
+      pairs: buildStreamPairs(),
+      onCandle: handleStreamCandles,
+      intrabar: getConfig('STREAM_INTRABAR_UPDATES'),
+      intrabarThrottleMs: getConfig('STREAM_INTRABAR_THROTTLE_MS')
+    }).catch((err) => {
+      console.error('[STREAM] Failed to start market stream:', err.message);
+    });
+    return;
+  }
+
+  stopMarketStream();
+  trackedSymbols.forEach(pollSymbolIntervals);
+}
+
+function schedulePolling() {
+  clearPollers();
+  setTrackedIntervals(trackedIntervals);
+  startMarketData();
+
   // Scan top movers every 5 minutes to learn from missed opportunities
   const scanId = setInterval(() => scanTopMovers(), 5 * 60 * 1000);
   pollers.push(scanId);
@@ -1641,6 +2535,7 @@ function schedulePolling() {
       const data = await fetchFundingRates();
       if (data?.rates) {
         setFundingRates(data.rates);
+        evaluateFundingAlerts(data.rates);
         const extremes = data.extremes?.length || 0;
         if (extremes > 0) {
           console.log(`[FUNDING] Updated ${Object.keys(data.rates).length} rates, ${extremes} extreme`);
@@ -1658,19 +2553,30 @@ function schedulePolling() {
 
   // Monitor open positions every 10 seconds for smart exits (was 30s - too slow for volatile moves)
   if (TRADING_ENABLED) {
+    // Position manager events (TP fills, break-even, adoption) carry their own type
+    const reportPositionResults = (results) => {
+      for (const result of results) {
+        if (!result.closed && !result.event) continue;
+        const type = result.event || (result.emergency ? 'EMERGENCY_EXIT' : 'SMART_EXIT');
+        io.emit('trade', { type, account: result.account, shadow: Boolean(result.shadow), symbol: result.symbol, reason: result.reason });
+        if (result.closed || type === 'TP_FILLED') {
+          sendPushNotification(
+            `${type}${accountLabel(result.account, result.shadow)}: ${result.symbol}`,
+            result.reason,
+            { category: 'exit', symbol: result.symbol, signal: type, urgent: Boolean(result.emergency) }
+          );
+        }
+      }
+    };
+
+    // Pick up positions and fills from before a restart right away
+    reconcilePositions()
+      .then(reportPositionResults)
+      .catch(err => console.error('Position reconcile error:', err.message));
+
     const monitorId = setInterval(async () => {
       try {
-        const results = await monitorAllPositions(latestSignals);
-        for (const result of results) {
-          if (result.closed) {
-            const exitType = result.emergency ? 'EMERGENCY_EXIT' : 'SMART_EXIT';
-            io.emit('trade', { type: exitType, symbol: result.symbol, reason: result.reason });
-            sendPushNotification(
-              `${exitType}: ${result.symbol}`,
-              result.reason
-            );
-          }
-        }
+        reportPositionResults(await monitorAllPositions(latestSignals));
       } catch (err) {
         console.error('Position monitoring error:', err.message);
       }
@@ -1680,56 +2586,60 @@ function schedulePolling() {
     // FAST MONITOR - Check positions every 3 seconds for emergency conditions only
     // This catches rapid price moves that could lead to liquidation
     const fastMonitorId = setInterval(async () => {
+      for (const account of listAccounts()) {
+        if (account.tradingEnabled) await fastMonitorAccount(account);
+      }
+    }, 3000); // Every 3 seconds
+    pollers.push(fastMonitorId);
+
+    async function fastMonitorAccount(account) {
+      const label = accountLabel(account.name, account.shadow);
       try {
-        const positions = await getOpenPositions();
+        const positions = await getOpenPositions(account);
         for (const pos of positions) {
-          const symbol = pos.symbol;
-          const entryPrice = Number(pos.entryPrice);
-          const markPrice = Number(pos.markPrice);
-          const liqPrice = Number(pos.liquidationPrice);
-          const unrealizedPnl = Number(pos.unRealizedProfit);
-          const positionAmt = Number(pos.positionAmt);
-
-          if (positionAmt === 0) continue;
-
-          const isLong = positionAmt > 0;
+          const { symbol, entryPrice, markPrice, liquidationPrice: liqPrice } = pos;
+          const isLong = pos.side === 'LONG';
           const pnlPct = isLong
             ? ((markPrice - entryPrice) / entryPrice) * 100
             : ((entryPrice - markPrice) / entryPrice) * 100;
 
-          // Calculate distance to liquidation
-          const distToLiq = isLong
-            ? ((markPrice - liqPrice) / markPrice) * 100
-            : ((liqPrice - markPrice) / markPrice) * 100;
+          // Calculate distance to liquidation (no liquidation price = nothing to check)
+          const distToLiq = !liqPrice
+            ? Infinity
+            : isLong
+              ? ((markPrice - liqPrice) / markPrice) * 100
+              : ((liqPrice - markPrice) / markPrice) * 100;
 
           // Emergency close if:
           // 1. Loss exceeds 8%
           // 2. Within 25% of liquidation
           if (pnlPct <= -8 || distToLiq <= 25) {
-            console.log(`🚨🚨 FAST MONITOR EMERGENCY: ${symbol} PnL: ${pnlPct.toFixed(1)}%, Dist to liq: ${distToLiq.toFixed(1)}%`);
+            console.log(`🚨🚨 FAST MONITOR EMERGENCY${label}: ${symbol} PnL: ${pnlPct.toFixed(1)}%, Dist to liq: ${distToLiq.toFixed(1)}%`);
 
             // Try to close immediately
             try {
-              await closePosition(symbol, `FAST EMERGENCY: PnL ${pnlPct.toFixed(1)}%, Liq dist ${distToLiq.toFixed(1)}%`, markPrice);
+              await closePosition(symbol, `FAST EMERGENCY: PnL ${pnlPct.toFixed(1)}%, Liq dist ${distToLiq.toFixed(1)}%`, markPrice, null, account);
               io.emit('trade', {
                 type: 'EMERGENCY_EXIT',
+                account: account.name,
+                shadow: account.shadow,
                 symbol,
                 reason: `FAST EMERGENCY: PnL ${pnlPct.toFixed(1)}%, Liquidation distance ${distToLiq.toFixed(1)}%`
               });
               sendPushNotification(
-                `🚨 EMERGENCY EXIT: ${symbol}`,
-                `Closed at ${pnlPct.toFixed(1)}% loss - ${distToLiq.toFixed(1)}% from liquidation`
+                `🚨 EMERGENCY EXIT${label}: ${symbol}`,
+                `Closed at ${pnlPct.toFixed(1)}% loss - ${distToLiq.toFixed(1)}% from liquidation`,
+                { category: 'exit', symbol, signal: 'EMERGENCY_EXIT', urgent: true }
               );
             } catch (closeErr) {
-              console.error(`Failed to emergency close ${symbol}:`, closeErr.message);
+              console.error(`Failed to emergency close ${symbol}${label}:`, closeErr.message);
             }
           }
         }
       } catch (err) {
         // Silent fail on fast monitor
       }
-    }, 3000); // Every 3 seconds
-    pollers.push(fastMonitorId);
+    }
   }
 
   // === SIMULATION ENGINE - Paper trading for learning ===
@@ -1738,9 +2648,9 @@ function schedulePolling() {
 
     if (simEngine) {
       // Process signals for simulation every 30 seconds
-      const simProcessId = setInterval(() => {
+      const simProcessId = setInterval(async () => {
         try {
-          const opened = simEngine.processSignals(latestSignals);
+          const opened = await simEngine.processSignals(latestSignals);
           if (opened > 0) {
             console.log(`[SIM] Opened ${opened} new simulated positions`);
           }
@@ -6,8 +6,20 @@
  * - Learn from more data points
  * - Understand market behavior
  * - Improve sniper entry timing
+ * - A/B test strategy variants side by side
  *
- * Storage: MongoDB (primary) + JSON file (backup)
+ * SIM_PORTFOLIOS lists the paper portfolios (e.g. baseline,no-sentiment-gate,
+ * sniper-only,higher-leverage); 'baseline' always runs and is the one the
+ * learning modules hear from. Every portfolio trades the same signal feed with
+ * its own balance, positions and stats, and its own rules:
+ * - minConfidence, maxPositions, riskPerTrade, leverage, initialBalance
+ *   (default: the SIM_* settings, followed live when they change)
+ * - sentimentGate: block/adjust entries on sentiment like live trading (default on)
+ * - sniperOnly: only take sniper setups (default off)
+ * The names above come with matching rules; any rule can be set per portfolio
+ * as SIM_PORTFOLIO_<NAME>_<RULE> (e.g. SIM_PORTFOLIO_STRICT_MIN_CONFIDENCE=75).
+ *
+ * Storage: MongoDB (primary, one document per portfolio) + JSON file (backup)
  */
 
 const fs = require('fs');
@@ -15,135 +27,247 @@ const path = require('path');
 const { extractEntryConditions, updateEntryConditionPerformance, analyzeTradeFailure, learnFromTrade, checkEntryQuality } = require('./aiLearning');
 const mongo = require('./mongoStorage');
 const { analyzeCompletedTrade, getRecommendedStyle } = require('./tradeAnalyzer');
+const { getConfig, getEnvOverride } = require('./config');
+const { getActiveProfileName } = require('./strategyProfiles');
+const { getSetupFlags } = require('./entryThresholds');
+const { evaluateSentiment } = require('./trading');
+const { twoProportionTest, welchTTest, variance, DEFAULT_ALPHA } = require('./abTesting');
+
+const DATA_DIR = getConfig('DATA_DIR');
+
+// Simulation configuration - SIM_MAX_POSITIONS, SIM_RISK_PER_TRADE, SIM_LEVERAGE and
+// SIM_MIN_CONFIDENCE are hot-reloadable and read from config for each new position
+const SIM_ENABLED = getConfig('SIMULATION_ENABLED'); // On by default
+const BASELINE = 'baseline';
+const NAME_PATTERN = /^[a-z0-9_-]+$/;
+const MIN_COMPARISON_TRADES = 30; // below this a comparison is reported but never recommends promotion
+
+// Portfolio rules: the SIM_* setting they default to (and are validated against), or their own spec
+const PORTFOLIO_RULES = {
+  minConfidence: { key: 'SIM_MIN_CONFIDENCE' },
+  maxPositions: { key: 'SIM_MAX_POSITIONS' },
+  riskPerTrade: { key: 'SIM_RISK_PER_TRADE' },
+  leverage: { key: 'SIM_LEVERAGE' },
+  initialBalance: { key: 'SIM_INITIAL_BALANCE' },
+  sentimentGate: { spec: { type: 'boolean', default: true } },
+  sniperOnly: { spec: { type: 'boolean', default: false } }
+};
 
-const SIMULATION_DATA_FILE = path.join(__dirname, '../data/simulation_state.json');
-
-// Simulation configuration
-const SIM_ENABLED = process.env.SIMULATION_ENABLED !== 'false'; // On by default
-const SIM_MAX_POSITIONS = Number(process.env.SIM_MAX_POSITIONS || 20);
-const SIM_INITIAL_BALANCE = Number(process.env.SIM_INITIAL_BALANCE || 10000);
-const SIM_RISK_PER_TRADE = Number(process.env.SIM_RISK_PER_TRADE || 3) / 100;
-const SIM_LEVERAGE = Number(process.env.SIM_LEVERAGE || 10);
-const SIM_MIN_CONFIDENCE = Number(process.env.SIM_MIN_CONFIDENCE || 55) / 100;
-
-// Simulation state
-let simState = {
-  balance: SIM_INITIAL_BALANCE,
-  initialBalance: SIM_INITIAL_BALANCE,
-  positions: new Map(), // symbol -> position
-  closedTrades: [], // History of closed trades
-  stats: {
-    totalTrades: 0,
-    wins: 0,
-    losses: 0,
-    breakeven: 0,
-    totalPnl: 0,
-    totalPnlPercent: 0,
-    winRate: 0,
-    avgWin: 0,
-    avgLoss: 0,
-    profitFactor: 0,
-    maxDrawdown: 0,
-    peakBalance: SIM_INITIAL_BALANCE,
-    bestTrade: null,
-    worstTrade: null,
-    byDirection: {
-      long: { trades: 0, wins: 0, pnl: 0 },
-      short: { trades: 0, wins: 0, pnl: 0 }
-    },
-    byEntryQuality: {
-      EXCELLENT: { trades: 0, wins: 0, pnl: 0 },
-      GOOD: { trades: 0, wins: 0, pnl: 0 },
-      FAIR: { trades: 0, wins: 0, pnl: 0 },
-      POOR: { trades: 0, wins: 0, pnl: 0 }
-    },
-    byTimeOfDay: {}, // hour -> { trades, wins, pnl }
-    recentTrades: [] // Last 20 trades for dashboard
-  },
-  learningEnabled: true,
-  startTime: Date.now()
+// Rules that come with the example portfolio names
+const PORTFOLIO_TEMPLATES = {
+  [BASELINE]: {},
+  'no-sentiment-gate': { sentimentGate: false },
+  'sniper-only': { sniperOnly: true },
+  'higher-leverage': { leverage: 20 }
 };
 
-// Load simulation state - try MongoDB first, then file
-async function loadSimState() {
+const portfolios = new Map(); // name -> { name, rules, state }
+
+// Positions keep the leverage they were opened with (older saves fall back to the current setting)
+function positionLeverage(position) {
+  return position.leverage || getConfig('SIM_LEVERAGE');
+}
+
+function createSimState(initialBalance) {
+  return {
+    balance: initialBalance,
+    initialBalance,
+    positions: new Map(), // symbol -> position
+    closedTrades: [], // History of closed trades
+    stats: {
+      totalTrades: 0,
+      wins: 0,
+      losses: 0,
+      breakeven: 0,
+      totalPnl: 0,
+      totalPnlPercent: 0,
+      winRate: 0,
+      avgWin: 0,
+      avgLoss: 0,
+      profitFactor: 0,
+      maxDrawdown: 0,
+      peakBalance: initialBalance,
+      bestTrade: null,
+      worstTrade: null,
+      byDirection: {
+        long: { trades: 0, wins: 0, pnl: 0 },
+        short: { trades: 0, wins: 0, pnl: 0 }
+      },
+      byEntryQuality: {
+        EXCELLENT: { trades: 0, wins: 0, pnl: 0 },
+        GOOD: { trades: 0, wins: 0, pnl: 0 },
+        FAIR: { trades: 0, wins: 0, pnl: 0 },
+        POOR: { trades: 0, wins: 0, pnl: 0 }
+      },
+      byTimeOfDay: {}, // hour -> { trades, wins, pnl }
+      byProfile: {}, // strategy profile -> { trades, wins, pnl }
+      recentTrades: [] // Last 20 trades for dashboard
+    },
+    learningEnabled: true,
+    startTime: Date.now()
+  };
+}
+
+function parsePortfolioNames(names = []) {
+  const list = names.map(s => s.trim().toLowerCase()).filter(Boolean);
+  for (const name of list) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid portfolio name "${name}" in SIM_PORTFOLIOS (use letters, digits, - or _)`);
+    }
+  }
+  return Array.from(new Set([BASELINE, ...list]));
+}
+
+// Template rules plus SIM_PORTFOLIO_<NAME>_<RULE> overrides (validated)
+function portfolioRules(name) {
+  const prefix = `SIM_PORTFOLIO_${name.toUpperCase().replace(/-/g, '_')}_`;
+  const rules = { ...(PORTFOLIO_TEMPLATES[name] || {}) };
+  for (const [field, { key, spec }] of Object.entries(PORTFOLIO_RULES)) {
+    const value = getEnvOverride(prefix + field.replace(/[A-Z]/g, c => `_${c}`).toUpperCase(), key || spec);
+    if (value !== undefined) rules[field] = value;
+  }
+  return rules;
+}
+
+function loadPortfolios() {
+  if (portfolios.size > 0) return;
+  for (const name of parsePortfolioNames(getConfig('SIM_PORTFOLIOS'))) {
+    const rules = portfolioRules(name);
+    const portfolio = { name, rules, state: null };
+    portfolio.state = createSimState(rule(portfolio, 'initialBalance'));
+    portfolio.state.learningEnabled = name === BASELINE;
+    portfolios.set(name, portfolio);
+    loadSimState(portfolio);
+  }
+  if (portfolios.size > 1) {
+    console.log(`[SIM] Portfolios: ${Array.from(portfolios.keys()).join(', ')}`);
+  }
+}
+
+/**
+ * A portfolio's rule: its own value, else the SIM_* setting, else the rule default
+ */
+function rule(portfolio, field) {
+  if (portfolio.rules[field] !== undefined) return portfolio.rules[field];
+  const { key, spec } = PORTFOLIO_RULES[field];
+  return key ? getConfig(key) : spec.default;
+}
+
+function resolvedRules(portfolio) {
+  return Object.fromEntries(Object.keys(PORTFOLIO_RULES).map(field => [field, rule(portfolio, field)]));
+}
+
+/**
+ * Portfolio by name (default baseline); throws (status 404) for unknown names
+ */
+function resolvePortfolio(name = BASELINE) {
+  loadPortfolios();
+  const portfolio = portfolios.get(String(name || BASELINE).toLowerCase());
+  if (!portfolio) {
+    const err = new Error(`Unknown simulation portfolio: ${name} (use ${Array.from(portfolios.keys()).join(', ')})`);
+    err.status = 404;
+    throw err;
+  }
+  return portfolio;
+}
+
+// Log suffix naming the portfolio, omitted for baseline so single-portfolio logs stay unchanged
+const portfolioTag = portfolio => (portfolio.name === BASELINE ? '' : ` [${portfolio.name}]`);
+
+function stateFile(portfolio) {
+  const name = portfolio.name === BASELINE ? 'simulation_state.json' : `simulation_state_${portfolio.name}.json`;
+  return path.join(DATA_DIR, name);
+}
+
+// baseline keeps the document id it had before there were portfolios
+const stateId = portfolio => (portfolio.name === BASELINE ? 'main' : portfolio.name);
+
+// Load a portfolio's simulation state - try MongoDB first, then file
+async function loadSimState(portfolio) {
+  const tag = portfolioTag(portfolio);
+
   // Try MongoDB first
   try {
     if (mongo.isAvailable()) {
-      const mongoState = await mongo.loadSimulationState();
+      const mongoState = await mongo.loadSimulationState(stateId(portfolio));
       if (mongoState) {
-        simState = {
-          ...simState,
+        portfolio.state = {
+          ...portfolio.state,
           ...mongoState,
           positions: new Map(Object.entries(mongoState.positions || {}))
         };
-        console.log(`[SIM] Loaded from MongoDB: $${simState.balance.toFixed(2)} balance, ${simState.stats.totalTrades} trades`);
+        console.log(`[SIM]${tag} Loaded from MongoDB: $${portfolio.state.balance.toFixed(2)} balance, ${portfolio.state.stats.totalTrades} trades`);
         return;
       }
     }
   } catch (err) {
-    console.warn('[SIM] MongoDB load failed:', err.message);
+    console.warn(`[SIM]${tag} MongoDB load failed:`, err.message);
   }
 
   // Fallback to file
   try {
-    if (fs.existsSync(SIMULATION_DATA_FILE)) {
-      const data = JSON.parse(fs.readFileSync(SIMULATION_DATA_FILE, 'utf-8'));
-      simState = {
-        ...simState,
+    const file = stateFile(portfolio);
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      portfolio.state = {
+        ...portfolio.state,
         ...data,
         positions: new Map(Object.entries(data.positions || {}))
       };
-      console.log(`[SIM] Loaded from file: $${simState.balance.toFixed(2)} balance, ${simState.stats.totalTrades} trades`);
+      console.log(`[SIM]${tag} Loaded from file: $${portfolio.state.balance.toFixed(2)} balance, ${portfolio.state.stats.totalTrades} trades`);
 
       // Sync to MongoDB if available
       if (mongo.isAvailable()) {
         await mongo.saveSimulationState({
-          ...simState,
-          positions: Object.fromEntries(simState.positions)
-        });
-        console.log('[SIM] Synced file data to MongoDB');
+          ...portfolio.state,
+          positions: Object.fromEntries(portfolio.state.positions)
+        }, stateId(portfolio));
+        console.log(`[SIM]${tag} Synced file data to MongoDB`);
       }
     }
   } catch (err) {
-    console.warn('[SIM] Could not load state:', err.message);
+    console.warn(`[SIM]${tag} Could not load state:`, err.message);
   }
 }
 
-// Save simulation state - to both MongoDB and file
-async function saveSimState() {
+// Save a portfolio's simulation state - to both MongoDB and file
+async function saveSimState(portfolio) {
+  const tag = portfolioTag(portfolio);
   const toSave = {
-    ...simState,
-    positions: Object.fromEntries(simState.positions)
+    ...portfolio.state,
+    portfolio: portfolio.name,
+    positions: Object.fromEntries(portfolio.state.positions)
   };
 
   // Save to MongoDB (primary)
   if (mongo.isAvailable()) {
     try {
-      await mongo.saveSimulationState(toSave);
+      await mongo.saveSimulationState(toSave, stateId(portfolio));
     } catch (err) {
-      console.warn('[SIM] MongoDB save failed:', err.message);
+      console.warn(`[SIM]${tag} MongoDB save failed:`, err.message);
     }
   }
 
   // Save to file (backup)
   try {
-    const dir = path.dirname(SIMULATION_DATA_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
     }
-    fs.writeFileSync(SIMULATION_DATA_FILE, JSON.stringify(toSave, null, 2));
+    fs.writeFileSync(stateFile(portfolio), JSON.stringify(toSave, null, 2));
   } catch (err) {
-    console.warn('[SIM] Could not save state to file:', err.message);
+    console.warn(`[SIM]${tag} Could not save state to file:`, err.message);
   }
 }
 
 /**
- * Check if we should open a simulated position
+ * Check if a portfolio should open a simulated position
+ * @param {number} confidenceAdjustment - sentiment adjustment (0-1) for portfolios with the sentiment gate
  */
-function shouldSimulateTrade(signal) {
+function shouldSimulateTrade(signal, portfolio, confidenceAdjustment = 0) {
   if (!SIM_ENABLED) return { simulate: false, reason: 'Simulation disabled' };
+  const simState = portfolio.state;
 
-  const confidence = signal.ai?.confidence || 0;
+  const confidence = (signal.ai?.confidence || 0) + confidenceAdjustment;
   const trade = signal.ai?.trade;
 
   // Need valid trade setup
@@ -151,13 +275,18 @@ function shouldSimulateTrade(signal) {
     return { simulate: false, reason: 'No valid trade setup' };
   }
 
+  if (rule(portfolio, 'sniperOnly') && !getSetupFlags(signal.ai, signal.signal, signal.indicators).isSniper) {
+    return { simulate: false, reason: 'Not a sniper setup' };
+  }
+
   // Check confidence (lower threshold for simulation - we want to learn from all signals)
-  if (confidence < SIM_MIN_CONFIDENCE) {
-    return { simulate: false, reason: `Confidence ${(confidence * 100).toFixed(0)}% below ${(SIM_MIN_CONFIDENCE * 100).toFixed(0)}%` };
+  const minConfidence = rule(portfolio, 'minConfidence') / 100;
+  if (confidence < minConfidence) {
+    return { simulate: false, reason: `Confidence ${(confidence * 100).toFixed(0)}% below ${(minConfidence * 100).toFixed(0)}%` };
   }
 
   // Check position limit
-  if (simState.positions.size >= SIM_MAX_POSITIONS) {
+  if (simState.positions.size >= rule(portfolio, 'maxPositions')) {
     return { simulate: false, reason: 'Max simulated positions reached' };
   }
 
@@ -170,10 +299,13 @@ function shouldSimulateTrade(signal) {
 }
 
 /**
- * Open a simulated position
+ * Open a simulated position in a portfolio (default baseline)
+ * @param {Object} options - { confidenceAdjustment } from the portfolio's sentiment gate
  */
-function openSimPosition(signal) {
-  const check = shouldSimulateTrade(signal);
+function openSimPosition(signal, portfolioName = BASELINE, { confidenceAdjustment = 0 } = {}) {
+  const portfolio = resolvePortfolio(portfolioName);
+  const simState = portfolio.state;
+  const check = shouldSimulateTrade(signal, portfolio, confidenceAdjustment);
   if (!check.simulate) {
     return { opened: false, reason: check.reason };
   }
@@ -187,7 +319,7 @@ function openSimPosition(signal) {
   const entryQuality = checkEntryQuality(indicators, direction);
 
   // Calculate position size
-  const riskAmount = simState.balance * SIM_RISK_PER_TRADE;
+  const riskAmount = simState.balance * rule(portfolio, 'riskPerTrade') / 100;
   const riskPerUnit = Math.abs(trade.entry - trade.stopLoss);
   let positionValue = (riskAmount / riskPerUnit) * trade.entry;
   positionValue = Math.min(positionValue, simState.balance * 0.3); // Max 30% per trade
@@ -200,7 +332,8 @@ function openSimPosition(signal) {
     stopLoss: trade.stopLoss,
     takeProfit: trade.takeProfit[0],
     positionValue,
-    leverage: SIM_LEVERAGE,
+    leverage: rule(portfolio, 'leverage'),
+    profile: getActiveProfileName(),
     openTime: Date.now(),
     peakProfit: 0,
     peakPnlPercent: 0,
@@ -226,16 +359,29 @@ function openSimPosition(signal) {
     POOR: '⚠️'
   }[entryQuality.quality] || '📊';
 
-  console.log(`[SIM] ${qualityEmoji} OPENED ${trade.type} ${signal.symbol} @ ${trade.entry.toFixed(4)} | SL: ${trade.stopLoss.toFixed(4)} TP: ${trade.takeProfit[0].toFixed(4)} | Quality: ${entryQuality.quality} (${(entryQuality.expectedWinRate * 100).toFixed(0)}% expected)`);
+  console.log(`[SIM]${portfolioTag(portfolio)} ${qualityEmoji} OPENED ${trade.type} ${signal.symbol} @ ${trade.entry.toFixed(4)} | SL: ${trade.stopLoss.toFixed(4)} TP: ${trade.takeProfit[0].toFixed(4)} | Quality: ${entryQuality.quality} (${(entryQuality.expectedWinRate * 100).toFixed(0)}% expected)`);
 
   return { opened: true, position };
 }
 
 /**
- * Monitor all simulated positions
+ * Monitor every portfolio's simulated positions
+ * @returns {Array} closed trades (each names its portfolio)
  */
 function monitorSimPositions(latestSignals) {
-  if (!SIM_ENABLED || simState.positions.size === 0) return;
+  if (!SIM_ENABLED) return [];
+  loadPortfolios();
+
+  const closedPositions = [];
+  for (const portfolio of portfolios.values()) {
+    closedPositions.push(...monitorPortfolio(portfolio, latestSignals));
+  }
+  return closedPositions;
+}
+
+function monitorPortfolio(portfolio, latestSignals) {
+  const simState = portfolio.state;
+  if (simState.positions.size === 0) return [];
 
   const closedPositions = [];
 
@@ -256,8 +402,8 @@ function monitorSimPositions(latestSignals) {
 
     // Calculate P&L
     const pnlPercent = position.side === 'LONG'
-      ? ((currentPrice - position.entryPrice) / position.entryPrice) * 100 * SIM_LEVERAGE
-      : ((position.entryPrice - currentPrice) / position.entryPrice) * 100 * SIM_LEVERAGE;
+      ? ((currentPrice - position.entryPrice) / position.entryPrice) * 100 * positionLeverage(position)
+      : ((position.entryPrice - currentPrice) / position.entryPrice) * 100 * positionLeverage(position);
 
     // Track peak profit for trailing analysis
     if (pnlPercent > position.peakPnlPercent) {
@@ -312,30 +458,32 @@ function monitorSimPositions(latestSignals) {
     }
 
     if (shouldClose) {
-      const result = closeSimPosition(symbol, closeReason, currentPrice, currentSignal.indicators);
+      const result = closeSimPosition(symbol, closeReason, currentPrice, currentSignal.indicators, portfolio.name);
       closedPositions.push(result);
     }
   }
 
   // Save state periodically
   if (closedPositions.length > 0 || Math.random() < 0.1) {
-    saveSimState();
+    saveSimState(portfolio);
   }
 
   return closedPositions;
 }
 
 /**
- * Close a simulated position and learn from it
+ * Close a simulated position and learn from it (baseline, or any portfolio with learning on)
  */
-function closeSimPosition(symbol, reason, exitPrice, exitIndicators = null) {
+function closeSimPosition(symbol, reason, exitPrice, exitIndicators = null, portfolioName = BASELINE) {
+  const portfolio = resolvePortfolio(portfolioName);
+  const simState = portfolio.state;
   const position = simState.positions.get(symbol);
   if (!position) return null;
 
   // Calculate final P&L
   const pnlPercent = position.side === 'LONG'
-    ? ((exitPrice - position.entryPrice) / position.entryPrice) * 100 * SIM_LEVERAGE
-    : ((position.entryPrice - exitPrice) / position.entryPrice) * 100 * SIM_LEVERAGE;
+    ? ((exitPrice - position.entryPrice) / position.entryPrice) * 100 * positionLeverage(position)
+    : ((position.entryPrice - exitPrice) / position.entryPrice) * 100 * positionLeverage(position);
 
   const pnlValue = (pnlPercent / 100) * position.positionValue;
 
@@ -362,6 +510,7 @@ function closeSimPosition(symbol, reason, exitPrice, exitIndicators = null) {
 
   // Create trade record
   const closedTrade = {
+    portfolio: portfolio.name,
     symbol,
     side: position.side,
     entryPrice: position.entryPrice,
@@ -376,7 +525,8 @@ function closeSimPosition(symbol, reason, exitPrice, exitIndicators = null) {
     entryConditions: position.entryConditions,
     entryQuality: position.entryQuality,
     confidence: position.confidence,
-    peakPnlPercent: position.peakPnlPercent
+    peakPnlPercent: position.peakPnlPercent,
+    profile: position.profile || null
   };
 
   // Add to closed trades history
@@ -437,6 +587,17 @@ function closeSimPosition(symbol, reason, exitPrice, exitIndicators = null) {
   if (result === 'win') simState.stats.byTimeOfDay[hour].wins++;
   simState.stats.byTimeOfDay[hour].pnl += pnlPercent;
 
+  // Update by strategy profile (saves from before profiles have none)
+  if (position.profile) {
+    if (!simState.stats.byProfile) simState.stats.byProfile = {};
+    if (!simState.stats.byProfile[position.profile]) {
+      simState.stats.byProfile[position.profile] = { trades: 0, wins: 0, pnl: 0 };
+    }
+    simState.stats.byProfile[position.profile].trades++;
+    if (result === 'win') simState.stats.byProfile[position.profile].wins++;
+    simState.stats.byProfile[position.profile].pnl += pnlPercent;
+  }
+
   // Recent trades for dashboard
   simState.stats.recentTrades.unshift(closedTrade);
   if (simState.stats.recentTrades.length > 20) {
@@ -491,12 +652,14 @@ function closeSimPosition(symbol, reason, exitPrice, exitIndicators = null) {
         peakPnlPercent: position.peakPnlPercent || 0,
         entryConditions: position.entryConditions,
         signal: position.signal,
-        closeReason: reason
+        closeReason: reason,
+        profile: position.profile,
+        source: 'simulation'
       });
 
       if (deepAnalysis.rootCauses.length > 0) {
         const emoji = result === 'win' ? '🎯' : '💡';
-        console.log(`[SIM] ${emoji} Analysis: ${deepAnalysis.rootCauses.map(c => c.reason).join(', ')} | Style: ${deepAnalysis.style} | Should use: ${deepAnalysis.shouldHaveUsedStyle}`);
+        console.log(`[SIM]${portfolioTag(portfolio)} ${emoji} Analysis: ${deepAnalysis.rootCauses.map(c => c.reason).join(', ')} | Style: ${deepAnalysis.style} | Should use: ${deepAnalysis.shouldHaveUsedStyle}`);
       }
     } catch (e) {
       // Analysis error - continue
@@ -517,33 +680,53 @@ function closeSimPosition(symbol, reason, exitPrice, exitIndicators = null) {
 
   // Log result
   const emoji = result === 'win' ? '✅' : result === 'loss' ? '❌' : '➖';
-  console.log(`[SIM] ${emoji} CLOSED ${position.side} ${symbol} | PnL: ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(1)}% ($${pnlValue >= 0 ? '+' : ''}${pnlValue.toFixed(2)}) | ${reason} | Balance: $${simState.balance.toFixed(2)}`);
+  console.log(`[SIM]${portfolioTag(portfolio)} ${emoji} CLOSED ${position.side} ${symbol} | PnL: ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(1)}% ($${pnlValue >= 0 ? '+' : ''}${pnlValue.toFixed(2)}) | ${reason} | Balance: $${simState.balance.toFixed(2)}`);
 
   return closedTrade;
 }
 
 /**
- * Process all signals for potential simulated trades
+ * Process all signals for potential simulated trades in every portfolio.
+ * Sentiment is evaluated once per signal and only for portfolios that gate on it.
+ * @returns {Promise<number>} positions opened across portfolios
  */
-function processSignalsForSimulation(latestSignals) {
-  if (!SIM_ENABLED) return;
+async function processSignalsForSimulation(latestSignals) {
+  if (!SIM_ENABLED) return 0;
+  loadPortfolios();
 
   let opened = 0;
 
-  for (const [key, signal] of latestSignals) {
+  for (const [, signal] of latestSignals) {
     if (!signal.ai?.trade) continue;
 
-    const result = openSimPosition(signal);
-    if (result.opened) opened++;
+    let sentiment = null;
+    for (const portfolio of portfolios.values()) {
+      let confidenceAdjustment = 0;
+      if (rule(portfolio, 'sentimentGate')) {
+        // Cheap checks first so sentiment is only fetched for signals a portfolio could take
+        const upper = shouldSimulateTrade(signal, portfolio, 1);
+        if (!upper.simulate) continue;
+        if (!sentiment) {
+          sentiment = await evaluateSentiment(signal.symbol, signal.ai.trade.type === 'LONG' ? 'long' : 'short');
+        }
+        if (!sentiment.allowed) continue;
+        confidenceAdjustment = sentiment.adjustment;
+      }
+
+      const result = openSimPosition(signal, portfolio.name, { confidenceAdjustment });
+      if (result.opened) opened++;
+    }
   }
 
   return opened;
 }
 
 /**
- * Get simulation status for dashboard
+ * Get a portfolio's simulation status for dashboard (default baseline)
  */
-function getSimulationStatus() {
+function getSimulationStatus(portfolioName = BASELINE) {
+  const portfolio = resolvePortfolio(portfolioName);
+  const simState = portfolio.state;
   const runtime = Date.now() - simState.startTime;
   const runtimeHours = runtime / (1000 * 60 * 60);
 
@@ -559,6 +742,17 @@ function getSimulationStatus() {
     }
   }
 
+  const profilePerformance = {};
+  for (const [profile, stats] of Object.entries(simState.stats.byProfile || {})) {
+    if (stats.trades > 0) {
+      profilePerformance[profile] = {
+        trades: stats.trades,
+        winRate: Math.round((stats.wins / stats.trades) * 100),
+        avgPnl: Math.round((stats.pnl / stats.trades) * 100) / 100
+      };
+    }
+  }
+
   // Calculate hourly performance
   const hourlyPerformance = Object.entries(simState.stats.byTimeOfDay)
     .map(([hour, stats]) => ({
@@ -571,6 +765,8 @@ function getSimulationStatus() {
 
   return {
     enabled: SIM_ENABLED,
+    portfolio: portfolio.name,
+    rules: resolvedRules(portfolio),
     balance: Math.round(simState.balance * 100) / 100,
     initialBalance: simState.initialBalance,
     totalReturn: Math.round(((simState.balance - simState.initialBalance) / simState.initialBalance) * 10000) / 100,
@@ -580,9 +776,10 @@ function getSimulationStatus() {
       entryPrice: p.entryPrice,
       currentPrice: p.currentPrice,
       pnl: p.side === 'LONG'
-        ? Math.round(((p.currentPrice - p.entryPrice) / p.entryPrice) * 100 * SIM_LEVERAGE * 100) / 100
-        : Math.round(((p.entryPrice - p.currentPrice) / p.entryPrice) * 100 * SIM_LEVERAGE * 100) / 100,
+        ? Math.round(((p.currentPrice - p.entryPrice) / p.entryPrice) * 100 * positionLeverage(p) * 100) / 100
+        : Math.round(((p.entryPrice - p.currentPrice) / p.entryPrice) * 100 * positionLeverage(p) * 100) / 100,
       entryQuality: p.entryQuality,
+      profile: p.profile || null,
       holdTime: Date.now() - p.openTime
     })),
     stats: {
@@ -621,57 +818,112 @@ function getSimulationStatus() {
       }
     },
     byEntryQuality: qualityPerformance,
+    byProfile: profilePerformance,
     bestHours: hourlyPerformance.slice(0, 5),
     worstHours: hourlyPerformance.slice(-3).reverse(),
     recentTrades: simState.stats.recentTrades,
     learningEnabled: simState.learningEnabled,
-    runtimeHours: Math.round(runtimeHours * 10) / 10
+    runtimeHours: Math.round(runtimeHours * 10) / 10,
+    portfolios: listPortfolios()
   };
 }
 
 /**
- * Reset simulation state
+ * Every portfolio with its rules and headline numbers
  */
-function resetSimulation() {
-  simState = {
-    balance: SIM_INITIAL_BALANCE,
-    initialBalance: SIM_INITIAL_BALANCE,
-    positions: new Map(),
-    closedTrades: [],
-    stats: {
-      totalTrades: 0,
-      wins: 0,
-      losses: 0,
-      breakeven: 0,
-      totalPnl: 0,
-      totalPnlPercent: 0,
-      winRate: 0,
-      avgWin: 0,
-      avgLoss: 0,
-      profitFactor: 0,
-      maxDrawdown: 0,
-      peakBalance: SIM_INITIAL_BALANCE,
-      bestTrade: null,
-      worstTrade: null,
-      byDirection: {
-        long: { trades: 0, wins: 0, pnl: 0 },
-        short: { trades: 0, wins: 0, pnl: 0 }
-      },
-      byEntryQuality: {
-        EXCELLENT: { trades: 0, wins: 0, pnl: 0 },
-        GOOD: { trades: 0, wins: 0, pnl: 0 },
-        FAIR: { trades: 0, wins: 0, pnl: 0 },
-        POOR: { trades: 0, wins: 0, pnl: 0 }
-      },
-      byTimeOfDay: {},
-      recentTrades: []
-    },
-    learningEnabled: true,
-    startTime: Date.now()
+function listPortfolios() {
+  loadPortfolios();
+  return Array.from(portfolios.values()).map(portfolio => {
+    const { state } = portfolio;
+    return {
+      name: portfolio.name,
+      rules: resolvedRules(portfolio),
+      balance: Math.round(state.balance * 100) / 100,
+      totalReturn: Math.round(((state.balance - state.initialBalance) / state.initialBalance) * 10000) / 100,
+      openPositions: state.positions.size,
+      totalTrades: state.stats.totalTrades,
+      winRate: Math.round(state.stats.winRate * 100),
+      maxDrawdown: Math.round(state.stats.maxDrawdown * 100) / 100,
+      learningEnabled: state.learningEnabled
+    };
+  });
+}
+
+function tradeSample(portfolio, since) {
+  const trades = portfolio.state.closedTrades.filter(t => !since || t.closeTime >= since);
+  const pnl = trades.map(t => t.pnlPercent || 0);
+  const wins = trades.filter(t => t.result === 'win').length;
+  return {
+    trades,
+    pnl,
+    wins,
+    summary: {
+      portfolio: portfolio.name,
+      trades: trades.length,
+      wins,
+      winRate: trades.length > 0 ? Math.round((wins / trades.length) * 1000) / 10 : 0,
+      avgPnl: trades.length > 0 ? Math.round((pnl.reduce((sum, v) => sum + v, 0) / trades.length) * 100) / 100 : 0,
+      pnlStdDev: Math.round(Math.sqrt(variance(pnl)) * 100) / 100,
+      totalPnlValue: Math.round(trades.reduce((sum, t) => sum + (t.pnlValue || 0), 0) * 100) / 100
+    }
+  };
+}
+
+/**
+ * A/B comparison of two portfolios' closed trades (the last 500 each): win
+ * rates with a two-proportion z-test, mean PnL % per trade with Welch's t-test.
+ * `promote` is true only when B beats A on PnL significantly, doesn't lose on
+ * win rate significantly and both have at least MIN_COMPARISON_TRADES trades.
+ * @param {string} nameA - control (default baseline)
+ * @param {string} nameB - variant
+ * @param {Object} options - { alpha, since (ms) }
+ */
+function comparePortfolios(nameA = BASELINE, nameB, { alpha = DEFAULT_ALPHA, since } = {}) {
+  const a = resolvePortfolio(nameA);
+  const b = resolvePortfolio(nameB);
+  const sampleA = tradeSample(a, since);
+  const sampleB = tradeSample(b, since);
+
+  const winRate = twoProportionTest(sampleA.wins, sampleA.trades.length, sampleB.wins, sampleB.trades.length, alpha);
+  const pnl = welchTTest(sampleA.pnl, sampleB.pnl, alpha);
+  const enoughTrades = sampleA.trades.length >= MIN_COMPARISON_TRADES && sampleB.trades.length >= MIN_COMPARISON_TRADES;
+  const promote = enoughTrades && pnl.significant && pnl.difference > 0 && !(winRate.significant && winRate.difference < 0);
+
+  let verdict;
+  if (!enoughTrades) {
+    verdict = `Not enough trades yet (${sampleA.trades.length} vs ${sampleB.trades.length}, need ${MIN_COMPARISON_TRADES} each)`;
+  } else if (!pnl.significant && !winRate.significant) {
+    verdict = `No significant difference between ${b.name} and ${a.name} (PnL p=${pnl.pValue}, win rate p=${winRate.pValue})`;
+  } else if (promote) {
+    verdict = `${b.name} outperforms ${a.name}: ${pnl.difference > 0 ? '+' : ''}${pnl.difference}% PnL per trade (p=${pnl.pValue})`;
+  } else {
+    const better = pnl.significant ? (pnl.difference > 0 ? b.name : a.name) : (winRate.difference > 0 ? b.name : a.name);
+    verdict = `${better} is significantly better on ${pnl.significant ? `PnL (p=${pnl.pValue})` : `win rate (p=${winRate.pValue})`}${better === b.name ? ' but loses on the other measure' : ''}`;
+  }
+
+  return {
+    a: { ...sampleA.summary, rules: resolvedRules(a) },
+    b: { ...sampleB.summary, rules: resolvedRules(b) },
+    winRate,
+    pnl,
+    alpha,
+    minTrades: MIN_COMPARISON_TRADES,
+    promote,
+    verdict
   };
-  saveSimState();
-  console.log('[SIM] Simulation reset');
-  return getSimulationStatus();
+}
+
+/**
+ * Reset a portfolio's simulation state (default baseline)
+ */
+function resetSimulation(portfolioName = BASELINE) {
+  const portfolio = resolvePortfolio(portfolioName);
+  const learningEnabled = portfolio.state.learningEnabled;
+  portfolio.state = createSimState(rule(portfolio, 'initialBalance'));
+  portfolio.state.learningEnabled = learningEnabled;
+  saveSimState(portfolio);
+  console.log(`[SIM]${portfolioTag(portfolio)} Simulation reset`);
+  return getSimulationStatus(portfolio.name);
 }
 
 /**
@@ -683,25 +935,30 @@ function startSimulationEngine({ latestSignals }) {
     return null;
   }
 
-  loadSimState();
-
-  console.log(`[SIM] Started with $${simState.balance.toFixed(2)} balance`);
-  console.log(`[SIM] Config: max positions=${SIM_MAX_POSITIONS}, risk=${SIM_RISK_PER_TRADE * 100}%, leverage=${SIM_LEVERAGE}x, min confidence=${SIM_MIN_CONFIDENCE * 100}%`);
+  loadPortfolios();
+  for (const portfolio of portfolios.values()) {
+    console.log(`[SIM]${portfolioTag(portfolio)} Started with $${portfolio.state.balance.toFixed(2)} balance`);
+    const rules = resolvedRules(portfolio);
+    console.log(`[SIM]${portfolioTag(portfolio)} Config: max positions=${rules.maxPositions}, risk=${rules.riskPerTrade}%, leverage=${rules.leverage}x, min confidence=${rules.minConfidence}%, sentiment gate=${rules.sentimentGate}, sniper only=${rules.sniperOnly}`);
+  }
 
   return {
     processSignals: (signals) => processSignalsForSimulation(signals),
     monitorPositions: (signals) => monitorSimPositions(signals),
     getStatus: getSimulationStatus,
     reset: resetSimulation,
+    listPortfolios,
+    compare: comparePortfolios,
     setLearning: (enabled) => {
-      simState.learningEnabled = enabled;
+      // Only the baseline feeds the learner - variants would skew it with their own rules
+      resolvePortfolio(BASELINE).state.learningEnabled = enabled;
       console.log(`[SIM] Learning ${enabled ? 'enabled' : 'disabled'}`);
     }
   };
 }
 
 // Initialize on load
-loadSimState();
+loadPortfolios();
 
 module.exports = {
   startSimulationEngine,
@@ -711,5 +968,7 @@ module.exports = {
   processSignalsForSimulation,
   getSimulationStatus,
   resetSimulation,
+  listPortfolios,
+  comparePortfolios,
   SIM_ENABLED
 };
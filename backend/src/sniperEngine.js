@@ -4,14 +4,17 @@
  * Designed for precision entries with high probability setups
  */
 
+const { getEvaluationTime } = require('./evaluationClock');
+
 /**
  * Main Sniper Analysis Function
  * Analyzes price action for professional entry opportunities
  * @param {Array} candles - OHLCV candle data
  * @param {Object} indicators - Technical indicators
+ * @param {Object} [options] - { now: evaluation time (default indicators.evaluatedAt, else from the candles) }
  * @returns {Object} Sniper analysis with entry signals
  */
-function analyzeSniperSetup(candles, indicators) {
+function analyzeSniperSetup(candles, indicators, options = {}) {
   if (!candles || candles.length < 50) {
     return { hasSetup: false, entries: [] };
   }
@@ -19,14 +22,14 @@ function analyzeSniperSetup(candles, indicators) {
   const entries = [];
 
   // Detect all sniper setups
-  const liquidityGrab = detectLiquidityGrab(candles);
+  const liquidityGrab = detectLiquidityGrab(candles, indicators?.liquidations);
   const fairValueGap = detectFairValueGap(candles);
   const orderBlock = detectOrderBlock(candles);
   const breaker = detectBreakerBlock(candles);
   const mitigation = detectMitigationBlock(candles);
   const inducement = detectInducement(candles);
   const optimalEntry = detectOptimalTradeEntry(candles, indicators);
-  const killzone = detectKillzone();
+  const killzone = detectKillzone(options.now ?? indicators?.evaluatedAt ?? getEvaluationTime(candles));
   const smartMoney = detectSmartMoneyDivergence(candles, indicators);
 
   // Collect valid entries
@@ -42,8 +45,11 @@ function analyzeSniperSetup(candles, indicators) {
   // Sort by confidence
   entries.sort((a, b) => b.confidence - a.confidence);
 
+  // Order flow from indicators.microstructure (live symbols only)
+  const orderFlow = detectOrderFlowConfirmation(entries[0], indicators);
+
   // Calculate combined sniper score
-  const sniperScore = calculateCombinedSniperScore(entries, killzone);
+  const sniperScore = calculateCombinedSniperScore(entries, killzone, orderFlow);
 
   return {
     hasSetup: entries.length > 0,
@@ -51,16 +57,21 @@ function analyzeSniperSetup(candles, indicators) {
     bestEntry: entries[0] || null,
     sniperScore,
     killzone,
+    orderFlow,
     entryCount: entries.length,
-    recommendation: generateSniperRecommendation(entries, killzone, indicators)
+    recommendation: generateSniperRecommendation(entries, killzone, indicators, orderFlow)
   };
 }
 
 /**
  * Liquidity Grab Detection (Stop Hunt / Sweep)
- * Detects when price sweeps above/below a key level then reverses
+ * Detects when price sweeps above/below a key level then reverses. Estimated
+ * liquidation clusters (liquidity magnets) count as sweep levels too, and a
+ * sweep through one - or one that flushed mostly the swept side - scores higher.
+ * @param {Array} candles
+ * @param {Object} [liquidity] - indicators.liquidations ({ magnets: { above, below }, recent })
  */
-function detectLiquidityGrab(candles) {
+function detectLiquidityGrab(candles, liquidity) {
   const result = {
     detected: false,
     type: 'LIQUIDITY_GRAB',
@@ -80,9 +91,12 @@ function detectLiquidityGrab(candles) {
   // Find swing highs and lows
   const swingHighs = findSwingPoints(prevCandles, 'high');
   const swingLows = findSwingPoints(prevCandles, 'low');
+  // Long liquidation clusters below price, short ones above
+  const magnetsBelow = (liquidity?.magnets?.below || []).map(m => ({ value: m.price, magnet: m }));
+  const magnetsAbove = (liquidity?.magnets?.above || []).map(m => ({ value: m.price, magnet: m }));
 
   // Bullish Liquidity Grab: Price sweeps below swing low then closes above it
-  for (const swingLow of swingLows) {
+  for (const swingLow of [...swingLows, ...magnetsBelow]) {
     // Wick below swing low
     if (lastCandle.low < swingLow.value && lastCandle.close > swingLow.value) {
       // Strong bullish close
@@ -99,15 +113,15 @@ function detectLiquidityGrab(candles) {
           result.stopLoss = round(lastCandle.low * 0.998);
           result.target = round(lastCandle.close + (lastCandle.close - lastCandle.low) * 2);
           result.confidence = 70 + Math.min(wickLength / bodyLength * 10, 20);
-          result.reason = 'Bullish liquidity grab below swing low';
-          return result;
+          result.reason = swingLow.magnet ? 'Bullish liquidity grab through long liquidation cluster' : 'Bullish liquidity grab below swing low';
+          return applyLiquidationConfluence(result, liquidity, lastCandle);
         }
       }
     }
   }
 
   // Bearish Liquidity Grab: Price sweeps above swing high then closes below it
-  for (const swingHigh of swingHighs) {
+  for (const swingHigh of [...swingHighs, ...magnetsAbove]) {
     if (lastCandle.high > swingHigh.value && lastCandle.close < swingHigh.value) {
       if (lastCandle.close < lastCandle.open) {
         const wickLength = lastCandle.high - swingHigh.value;
@@ -121,8 +135,8 @@ function detectLiquidityGrab(candles) {
           result.stopLoss = round(lastCandle.high * 1.002);
           result.target = round(lastCandle.close - (lastCandle.high - lastCandle.close) * 2);
           result.confidence = 70 + Math.min(wickLength / bodyLength * 10, 20);
-          result.reason = 'Bearish liquidity grab above swing high';
-          return result;
+          result.reason = swingHigh.magnet ? 'Bearish liquidity grab through short liquidation cluster' : 'Bearish liquidity grab above swing high';
+          return applyLiquidationConfluence(result, liquidity, lastCandle);
         }
       }
     }
@@ -131,6 +145,41 @@ function detectLiquidityGrab(candles) {
   return result;
 }
 
+/**
+ * Score a detected grab against the liquidation picture: the wick ran through
+ * a liquidation cluster (+10), recent liquidations were mostly the swept side
+ * (+5), and the biggest cluster on the other side becomes the magnet target.
+ */
+function applyLiquidationConfluence(result, liquidity, lastCandle) {
+  if (!liquidity?.magnets) return result;
+  const bullish = result.direction === 'bullish';
+  const swept = bullish
+    ? liquidity.magnets.below.find(m => m.price >= lastCandle.low && m.price < lastCandle.close)
+    : liquidity.magnets.above.find(m => m.price <= lastCandle.high && m.price > lastCandle.close);
+  const reasons = [result.reason];
+
+  if (swept) {
+    result.confidence += 10;
+    result.sweptCluster = swept;
+    reasons.push(`swept ~$${Math.round(swept.usd).toLocaleString()} of ${swept.side} liquidations`);
+  }
+
+  const recent = liquidity.recent;
+  const sweptSide = bullish ? recent?.longUsd : recent?.shortUsd;
+  const otherSide = bullish ? recent?.shortUsd : recent?.longUsd;
+  if (sweptSide > 0 && sweptSide > otherSide * 2) {
+    result.confidence += 5;
+    reasons.push(`${bullish ? 'longs' : 'shorts'} flushed in the last hour`);
+  }
+
+  const target = (bullish ? liquidity.magnets.above : liquidity.magnets.below)[0];
+  if (target) result.magnetTarget = target;
+
+  result.confidence = Math.min(100, result.confidence);
+  result.reason = reasons.join(', ');
+  return result;
+}
+
 /**
  * Fair Value Gap (FVG) Detection
  * Imbalance in price where buyers/sellers are dominant
@@ -569,11 +618,11 @@ function detectOptimalTradeEntry(candles, indicators) {
 
 /**
  * Kill Zone Detection
- * Optimal trading times (London, NY Open/Close)
+ * Optimal trading times (London, NY Open/Close), in UTC hours
+ * @param {number} [at] - evaluation time (default now)
  */
-function detectKillzone() {
-  const now = new Date();
-  const utcHour = now.getUTCHours();
+function detectKillzone(at = Date.now()) {
+  const utcHour = new Date(at).getUTCHours();
 
   const killzones = {
     asianSession: utcHour >= 0 && utcHour < 8,
@@ -688,7 +737,36 @@ function findSwingPoints(candles, type) {
   return points;
 }
 
-function calculateCombinedSniperScore(entries, killzone) {
+/**
+ * Order Flow Confirmation
+ * Does the book/tape agree with the best setup? Bid walls on support, heavy
+ * bids and taker buying back longs; the mirror image backs shorts.
+ */
+function detectOrderFlowConfirmation(bestEntry, indicators) {
+  const micro = indicators?.microstructure;
+  if (!micro?.bias || micro.stale) {
+    return { available: false, confirms: false, conflicts: false };
+  }
+
+  const { direction, reasons } = micro.bias;
+  const walls = bestEntry?.direction === 'bullish'
+    ? (micro.book?.walls.bids || []).filter(w => w.level === 'support')
+    : (micro.book?.walls.asks || []).filter(w => w.level === 'resistance');
+
+  return {
+    available: true,
+    direction,
+    confirms: Boolean(bestEntry) && (direction === bestEntry.direction || walls.length > 0),
+    conflicts: Boolean(bestEntry) && direction !== 'neutral' && direction !== bestEntry.direction,
+    wallAtLevel: walls[0] || null,
+    imbalance: micro.book?.imbalance ?? null,
+    takerBuyRatio: micro.flow?.takerBuyRatio ?? null,
+    cvdDivergence: micro.flow?.divergence || null,
+    reasons
+  };
+}
+
+function calculateCombinedSniperScore(entries, killzone, orderFlow) {
   if (entries.length === 0) return 0;
 
   let score = 0;
@@ -711,10 +789,14 @@ function calculateCombinedSniperScore(entries, killzone) {
   const allBearish = directions.every(d => d === 'bearish');
   if (allBullish || allBearish) score += 15;
 
-  return Math.min(Math.round(score), 100);
+  // Order flow agreement / disagreement
+  if (orderFlow?.confirms && !orderFlow.conflicts) score += 10;
+  if (orderFlow?.conflicts) score -= 10;
+
+  return Math.max(0, Math.min(Math.round(score), 100));
 }
 
-function generateSniperRecommendation(entries, killzone, indicators) {
+function generateSniperRecommendation(entries, killzone, indicators, orderFlow) {
   if (entries.length === 0) {
     return {
       action: 'WAIT',
@@ -736,6 +818,8 @@ function generateSniperRecommendation(entries, killzone, indicators) {
   if (confluenceCount >= 3) confidence += 10;
   if (trendAligned) confidence += 5;
   if (killzone.isOptimalTime) confidence += 5;
+  if (orderFlow?.confirms && !orderFlow.conflicts) confidence += 5;
+  if (orderFlow?.conflicts) confidence -= 10;
 
   return {
     action: bestEntry.direction === 'bullish' ? 'SNIPER_LONG' : 'SNIPER_SHORT',
@@ -748,6 +832,7 @@ function generateSniperRecommendation(entries, killzone, indicators) {
     confluenceCount,
     trendAligned,
     killzoneActive: killzone.isOptimalTime,
+    orderFlowConfirmed: Boolean(orderFlow?.confirms && !orderFlow.conflicts),
     reasons: entries.map(e => e.reason).slice(0, 3)
   };
 }
@@ -768,5 +853,6 @@ module.exports = {
   detectInducement,
   detectOptimalTradeEntry,
   detectKillzone,
+  detectOrderFlowConfirmation,
   detectSmartMoneyDivergence
 };
@@ -1,78 +1,60 @@
-const axios = require('axios');
-const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { buildDcaPlan, DEFAULT_DCA_SYMBOLS } = require('./dcaPlanner');
-const { getSpotExchangeInfo, getSpotCandles, getTopGainers, getVolumeSurgers, getTopMovers } = require('./binance');
+const { getExchange } = require('./exchanges');
+const { resolveAccount, listAccounts, DEFAULT_ACCOUNT } = require('./accounts');
 const { getTopOpportunities: getScannerOpportunities } = require('./coinScanner');
 const { calculateIndicators } = require('./indicators');
 const { predictNextMove } = require('./ai');
-
-const API_BASE = process.env.BINANCE_SPOT_API_URL || 'https://api.binance.com';
-const API_KEY = process.env.BINANCE_API_KEY || '';
-const API_SECRET = process.env.BINANCE_API_SECRET || '';
-
-// Auto-enable when API keys are present (can override with explicit env var)
-const HAS_API_KEYS = !!(API_KEY && API_SECRET);
-const SPOT_DCA_ENABLED = process.env.SPOT_DCA_ENABLED !== undefined
-  ? process.env.SPOT_DCA_ENABLED === 'true'
-  : HAS_API_KEYS; // Auto-enable if keys exist
-
-// Auto-disable dry-run when API keys are present (can override with explicit env var)
-const SPOT_DCA_DRY_RUN = process.env.SPOT_DCA_DRY_RUN !== undefined
-  ? process.env.SPOT_DCA_DRY_RUN === 'true'
-  : !HAS_API_KEYS; // Dry-run only if no keys
-const SPOT_DCA_INTERVAL_MS = Number(process.env.SPOT_DCA_INTERVAL_MS || 300_000);
-const SPOT_DCA_INTERVAL = process.env.SPOT_DCA_INTERVAL || '1h';
-const SPOT_DCA_BUDGET = Number(process.env.SPOT_DCA_BUDGET || 100);
-const SPOT_DCA_MIN_USDC = Number(process.env.SPOT_DCA_MIN_USDC || 12);
-const SPOT_DCA_MIN_TRADE = Number(process.env.SPOT_DCA_MIN_TRADE || 12);
-const SPOT_DCA_SYMBOLS = (process.env.SPOT_DCA_SYMBOLS || '')
-  .split(',')
-  .map((s) => s.trim())
-  .filter(Boolean);
-
-// Sniper & smart exit config
-const SPOT_DCA_SNIPER_ENABLED = process.env.SPOT_DCA_SNIPER_ENABLED !== 'false';
-const SPOT_DCA_SNIPER_WAIT_HOURS = Number(process.env.SPOT_DCA_SNIPER_WAIT_HOURS || 6);
-const SPOT_DCA_SMART_EXIT_ENABLED = process.env.SPOT_DCA_SMART_EXIT_ENABLED !== 'false';
-const SPOT_DCA_TREND_EXIT_CONFIDENCE = Number(process.env.SPOT_DCA_TREND_EXIT_CONFIDENCE || 60) / 100;
-
-const STATE_FILE = path.join(__dirname, '../data/spot_dca_state.json');
-
-let exchangeInfoCache = null;
-let exchangeInfoFetchedAt = 0;
-
-function sign(queryString) {
-  return crypto.createHmac('sha256', API_SECRET).update(queryString).digest('hex');
+const { getConfig } = require('./config');
+
+// Enabled/dry-run/budget are per trading account - see getDcaConfig. The min
+// trade/USDC, sniper and trend-exit settings are hot-reloadable (read on each run).
+const SPOT_DCA_INTERVAL_MS = getConfig('SPOT_DCA_INTERVAL_MS');
+const SPOT_DCA_INTERVAL = getConfig('SPOT_DCA_INTERVAL');
+const SPOT_DCA_SYMBOLS = getConfig('SPOT_DCA_SYMBOLS');
+const SPOT_DCA_SMART_EXIT_ENABLED = getConfig('SPOT_DCA_SMART_EXIT_ENABLED');
+
+const STATE_FILE = path.join(getConfig('DATA_DIR'), 'spot_dca_state.json');
+
+const dcaConfigs = new Map(); // account name -> { enabled, dryRun, budget, stateFile }
+
+/**
+ * Spot DCA settings of a trading account. main keeps the original rules (on
+ * and live when it has API keys, unless SPOT_DCA_ENABLED/SPOT_DCA_DRY_RUN say
+ * otherwise); other accounts only run with ACCOUNT_<NAME>_SPOT_DCA_ENABLED=true,
+ * so adding a futures account never starts spending its spot balance.
+ */
+function getDcaConfig(account) {
+  if (!dcaConfigs.has(account.name)) {
+    const isDefault = account.name === DEFAULT_ACCOUNT;
+    const hasKeys = account.exchange.hasCredentials({ market: 'spot' });
+    const enabled = account.setting('SPOT_DCA_ENABLED', undefined, { inherit: false });
+    const dryRun = account.setting('SPOT_DCA_DRY_RUN');
+
+    dcaConfigs.set(account.name, {
+      // Auto-enable when API keys are present (main only)
+      enabled: enabled !== undefined ? enabled : isDefault && hasKeys,
+      // Auto-disable dry-run when API keys are present
+      dryRun: dryRun !== undefined ? dryRun : !hasKeys,
+      budget: account.setting('SPOT_DCA_BUDGET'),
+      stateFile: isDefault
+        ? STATE_FILE
+        : path.join(path.dirname(STATE_FILE), `spot_dca_state_${account.name}.json`)
+    });
+  }
+  return dcaConfigs.get(account.name);
 }
 
-function buildClient() {
-  return axios.create({
-    baseURL: API_BASE,
-    timeout: 12000,
-    headers: {
-      'X-MBX-APIKEY': API_KEY,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    }
-  });
+function logTag(account) {
+  return account.name === DEFAULT_ACCOUNT ? '[SPOT DCA]' : `[SPOT DCA][${account.name}]`;
 }
 
-async function getExchangeInfo() {
-  const now = Date.now();
-  if (exchangeInfoCache && now - exchangeInfoFetchedAt < 6 * 60 * 60 * 1000) {
-    return exchangeInfoCache;
-  }
-  const info = await getSpotExchangeInfo();
-  exchangeInfoCache = info;
-  exchangeInfoFetchedAt = now;
-  return info;
-}
-
-function loadState() {
+function loadState(account) {
+  const { stateFile } = getDcaConfig(account);
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      const raw = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    if (fs.existsSync(stateFile)) {
+      const raw = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
       return {
         lastBuys: raw.lastBuys || {},
         lastSells: raw.lastSells || {},
@@ -88,36 +70,31 @@ function loadState() {
   return { lastBuys: {}, lastSells: {}, costBasis: {}, sniperWaitStart: {}, totalSpent: {}, totalQty: {} };
 }
 
-function saveState(state) {
+function saveState(account, state) {
+  const { stateFile } = getDcaConfig(account);
   try {
-    const dir = path.dirname(STATE_FILE);
+    const dir = path.dirname(stateFile);
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
   } catch (err) {
     console.warn('Spot DCA: failed to save state:', err.message);
   }
 }
 
-async function getSpotBalances() {
-  if (!API_KEY || !API_SECRET) return null;
-
-  const client = buildClient();
-  const timestamp = Date.now();
-  const params = `timestamp=${timestamp}`;
-  const signature = sign(params);
-  const res = await client.get(`/api/v3/account?${params}&signature=${signature}`);
-  return res.data?.balances || [];
+async function getSpotBalances(accountName) {
+  const { exchange } = resolveAccount(accountName);
+  if (!exchange.hasCredentials({ market: 'spot' })) return null;
+  return exchange.getBalances({ market: 'spot' });
 }
 
 function getFreeBalance(balances, asset) {
   const entry = balances.find((b) => b.asset === asset);
-  return entry ? Number(entry.free || 0) : 0;
+  return entry ? entry.free : 0;
 }
 
-function getLotSizeFilter(info, symbol) {
-  const s = info?.symbols?.find((item) => item.symbol === symbol);
-  if (!s) return null;
-  return s.filters?.find((f) => f.filterType === 'LOT_SIZE') || null;
+async function getLotStepSize(account, symbol) {
+  const filters = await account.exchange.getSymbolFilters(symbol, { market: 'spot' });
+  return filters?.stepSize || 0;
 }
 
 function floorToStep(value, stepSize) {
@@ -127,23 +104,18 @@ function floorToStep(value, stepSize) {
   return Math.floor(value * factor) / factor;
 }
 
-async function placeSpotOrder({ symbol, side, quoteOrderQty, quantity }) {
-  if (!API_KEY || !API_SECRET) return { status: 'NO_KEYS' };
-
-  const client = buildClient();
-  const timestamp = Date.now();
-  const params = new URLSearchParams();
-  params.set('symbol', symbol);
-  params.set('side', side);
-  params.set('type', 'MARKET');
-  if (quoteOrderQty) params.set('quoteOrderQty', quoteOrderQty.toFixed(2));
-  if (quantity) params.set('quantity', quantity.toFixed(6));
-  params.set('timestamp', timestamp.toString());
-
-  const signature = sign(params.toString());
-  const url = `/api/v3/order?${params.toString()}&signature=${signature}`;
-  const res = await client.post(url);
-  return res.data;
+async function placeSpotOrder(account, { symbol, side, quoteOrderQty, quantity }) {
+  const { exchange } = account;
+  if (!exchange.hasCredentials({ market: 'spot' })) return { status: 'NO_KEYS' };
+
+  return exchange.placeOrder({
+    market: 'spot',
+    symbol,
+    side,
+    type: 'MARKET',
+    quoteQuantity: quoteOrderQty || undefined,
+    quantity: quantity || undefined
+  });
 }
 
 function dueForPurchase(lastBuyAt, cadence) {
@@ -156,7 +128,7 @@ function dueForPurchase(lastBuyAt, cadence) {
 // --- SNIPER ENTRY LOGIC ---
 
 function determineSniperEntry(item, state) {
-  if (!SPOT_DCA_SNIPER_ENABLED || item.action !== 'ACCUMULATE') {
+  if (!getConfig('SPOT_DCA_SNIPER_ENABLED') || item.action !== 'ACCUMULATE') {
     return { useSniper: false, sizeMultiplier: 1.0, reason: 'sniper disabled or not accumulate' };
   }
 
@@ -177,7 +149,8 @@ function determineSniperEntry(item, state) {
 
   // No sniper signal -- check wait window
   const waitStart = state.sniperWaitStart[item.symbol];
-  const maxWaitMs = SPOT_DCA_SNIPER_WAIT_HOURS * 60 * 60 * 1000;
+  const maxWaitHours = getConfig('SPOT_DCA_SNIPER_WAIT_HOURS');
+  const maxWaitMs = maxWaitHours * 60 * 60 * 1000;
 
   if (!waitStart) {
     return { useSniper: false, shouldWait: true, sizeMultiplier: 1.0, reason: 'Starting sniper wait window' };
@@ -190,7 +163,7 @@ function determineSniperEntry(item, state) {
       useSniper: false,
       shouldWait: true,
       sizeMultiplier: 1.0,
-      reason: `Waiting for sniper (${hoursWaited}h / ${SPOT_DCA_SNIPER_WAIT_HOURS}h)`
+      reason: `Waiting for sniper (${hoursWaited}h / ${maxWaitHours}h)`
     };
   }
 
@@ -208,7 +181,7 @@ function calculateSpotSpend(item, sniperResult, availableUsdc) {
   const multiplier = sniperResult?.sizeMultiplier || 1.0;
   let spend = (baseSpend || 0) * multiplier;
   spend = Math.min(spend, availableUsdc);
-  if (spend < SPOT_DCA_MIN_TRADE) return 0;
+  if (spend < getConfig('SPOT_DCA_MIN_TRADE')) return 0;
   return spend;
 }
 
@@ -237,7 +210,7 @@ async function discoverTrendingCoins() {
 
   try {
     // 1. TOP GAINERS - coins already pumping (3%+ gain, lower threshold to catch more)
-    const gainers = await getTopGainers(3, 50);
+    const gainers = await getExchange().getTopGainers(3, 50);
     for (const g of gainers) {
       if (!isValidCoin(g.symbol)) continue;
       discovered.set(g.symbol, {
@@ -250,7 +223,7 @@ async function discoverTrendingCoins() {
     }
 
     // 2. VOLUME SURGERS - accumulating before big move
-    const surgers = await getVolumeSurgers(40);
+    const surgers = await getExchange().getVolumeSurgers(40);
     for (const s of surgers) {
       if (!isValidCoin(s.symbol)) continue;
       if (!discovered.has(s.symbol)) {
@@ -266,7 +239,7 @@ async function discoverTrendingCoins() {
     }
 
     // 3. TOP MOVERS (both directions) - catch coins making big moves
-    const movers = await getTopMovers(100);
+    const movers = await getExchange().getTopMovers(100);
     for (const m of movers) {
       if (!isValidCoin(m.symbol)) continue;
       // Only add if not already in and has decent volume
@@ -365,27 +338,23 @@ function mergeSymbolLists(defaultSymbols, trendingCoins, envSymbols) {
 
 // --- SMART EXIT MONITORING ---
 
-async function monitorSpotHoldings({ latestCandles }) {
-  if (!SPOT_DCA_SMART_EXIT_ENABLED || !SPOT_DCA_ENABLED) return;
+async function monitorSpotHoldings({ latestCandles }, account) {
+  const config = getDcaConfig(account);
+  if (!SPOT_DCA_SMART_EXIT_ENABLED || !config.enabled) return;
+  const tag = logTag(account);
 
   let balances;
   try {
-    balances = await getSpotBalances();
+    balances = await getSpotBalances(account);
   } catch (err) {
-    console.error('[SPOT DCA] Smart exit: failed to fetch balances:', err.message);
+    console.error(`${tag} Smart exit: failed to fetch balances:`, err.message);
     return;
   }
   if (!balances) return;
 
   // Use cached trending coins (don't re-fetch during monitoring)
   const symbols = mergeSymbolLists(DEFAULT_DCA_SYMBOLS, discoveredCoinsCache, SPOT_DCA_SYMBOLS);
-  const state = loadState();
-  let info;
-  try {
-    info = await getExchangeInfo();
-  } catch (err) {
-    return;
-  }
+  const state = loadState(account);
 
   for (const entry of symbols) {
     const symbol = typeof entry === 'object' ? entry.symbol : entry;
@@ -399,7 +368,7 @@ async function monitorSpotHoldings({ latestCandles }) {
     candles = latestCandles?.get(key);
     if (!candles || candles.length < 20) {
       try {
-        candles = await getSpotCandles(symbol, SPOT_DCA_INTERVAL);
+        candles = await getExchange().getSpotCandles(symbol, SPOT_DCA_INTERVAL);
       } catch (err) {
         continue;
       }
@@ -414,7 +383,7 @@ async function monitorSpotHoldings({ latestCandles }) {
     let sellReason = '';
 
     // 1. Strong bearish reversal with high confidence
-    if (ai?.direction === 'short' && ai.confidence >= SPOT_DCA_TREND_EXIT_CONFIDENCE) {
+    if (ai?.direction === 'short' && ai.confidence >= getConfig('SPOT_DCA_TREND_EXIT_CONFIDENCE') / 100) {
       shouldSell = true;
       sellReason = `Bearish reversal (${(ai.confidence * 100).toFixed(0)}% conf)`;
     }
@@ -462,25 +431,29 @@ async function monitorSpotHoldings({ latestCandles }) {
 
     if (!shouldSell) continue;
 
-    const lotFilter = getLotSizeFilter(info, symbol);
-    const step = lotFilter ? Number(lotFilter.stepSize || 0) : 0;
-    const sellQty = floorToStep(free, step || 0);
+    let step;
+    try {
+      step = await getLotStepSize(account, symbol);
+    } catch (err) {
+      continue;
+    }
+    const sellQty = floorToStep(free, step);
     if (sellQty <= 0) continue;
 
-    console.log(`[SPOT DCA][SMART EXIT] ${symbol}: ${sellReason}`);
+    console.log(`${tag}[SMART EXIT] ${symbol}: ${sellReason}`);
 
-    if (SPOT_DCA_DRY_RUN) {
-      console.log(`[SPOT DCA][DRY] SMART SELL ${symbol} qty=${sellQty}`);
+    if (config.dryRun) {
+      console.log(`${tag}[DRY] SMART SELL ${symbol} qty=${sellQty}`);
     } else {
       try {
-        await placeSpotOrder({ symbol, side: 'SELL', quantity: sellQty });
+        await placeSpotOrder(account, { symbol, side: 'SELL', quantity: sellQty });
         state.lastSells[symbol] = Date.now();
         delete state.costBasis[symbol];
         delete state.totalSpent[symbol];
         delete state.totalQty[symbol];
-        saveState(state);
+        saveState(account, state);
       } catch (err) {
-        console.error(`[SPOT DCA] Smart exit failed for ${symbol}:`, err.message);
+        console.error(`${tag} Smart exit failed for ${symbol}:`, err.message);
       }
     }
   }
@@ -488,8 +461,10 @@ async function monitorSpotHoldings({ latestCandles }) {
 
 // --- MAIN DCA EXECUTION ---
 
-async function runSpotDca({ latestCandles }) {
-  if (!SPOT_DCA_ENABLED) return;
+async function runSpotDca({ latestCandles }, account) {
+  const config = getDcaConfig(account);
+  if (!config.enabled) return;
+  const tag = logTag(account);
 
   // Discover trending coins dynamically
   const trendingCoins = await discoverTrendingCoins();
@@ -500,24 +475,23 @@ async function runSpotDca({ latestCandles }) {
   const plan = await buildDcaPlan({
     symbols,
     interval: SPOT_DCA_INTERVAL,
-    budget: SPOT_DCA_BUDGET,
+    budget: config.budget,
     latestCandles
   });
 
   let balances;
   try {
-    balances = await getSpotBalances();
+    balances = await getSpotBalances(account);
   } catch (err) {
-    console.error('[SPOT DCA] Failed to fetch balances:', err.message);
+    console.error(`${tag} Failed to fetch balances:`, err.message);
     return;
   }
   if (!balances) {
-    console.log('[SPOT DCA] Missing API keys, skipping execution.');
+    console.log(`${tag} Missing API keys, skipping execution.`);
     return;
   }
 
-  const info = await getExchangeInfo();
-  const state = loadState();
+  const state = loadState(account);
   let availableUsdc = getFreeBalance(balances, 'USDC');
 
   for (const item of plan.items) {
@@ -531,12 +505,12 @@ async function runSpotDca({ latestCandles }) {
         if (!state.sniperWaitStart[item.symbol]) {
           state.sniperWaitStart[item.symbol] = Date.now();
         }
-        console.log(`[SPOT DCA] ${item.symbol}: ${sniperResult.reason}`);
+        console.log(`${tag} ${item.symbol}: ${sniperResult.reason}`);
         continue;
       }
 
       if (sniperResult.useSniper) {
-        console.log(`[SPOT DCA][SNIPER] ${item.symbol}: ${sniperResult.reason}`);
+        console.log(`${tag}[SNIPER] ${item.symbol}: ${sniperResult.reason}`);
       }
 
       // Clear sniper wait state since we're executing
@@ -544,7 +518,7 @@ async function runSpotDca({ latestCandles }) {
 
       // Smart sizing
       const spend = calculateSpotSpend(item, sniperResult, availableUsdc);
-      if (spend < SPOT_DCA_MIN_TRADE || availableUsdc < SPOT_DCA_MIN_USDC) continue;
+      if (spend < getConfig('SPOT_DCA_MIN_TRADE') || availableUsdc < getConfig('SPOT_DCA_MIN_USDC')) continue;
 
       // Track cost basis (weighted average)
       const prevSpent = state.totalSpent[item.symbol] || 0;
@@ -564,14 +538,14 @@ async function runSpotDca({ latestCandles }) {
       }
 
       const sniperTag = sniperResult.useSniper ? '[SNIPER] ' : '';
-      if (SPOT_DCA_DRY_RUN) {
-        console.log(`[SPOT DCA][DRY] ${sniperTag}BUY ${item.symbol} for ${spend.toFixed(2)} USDC (score: ${item.sniperScore || 0})`);
+      if (config.dryRun) {
+        console.log(`${tag}[DRY] ${sniperTag}BUY ${item.symbol} for ${spend.toFixed(2)} USDC (score: ${item.sniperScore || 0})`);
       } else {
         try {
-          await placeSpotOrder({ symbol: item.symbol, side: 'BUY', quoteOrderQty: spend });
-          console.log(`[SPOT DCA] ${sniperTag}BUY ${item.symbol} for ${spend.toFixed(2)} USDC`);
+          await placeSpotOrder(account, { symbol: item.symbol, side: 'BUY', quoteOrderQty: spend });
+          console.log(`${tag} ${sniperTag}BUY ${item.symbol} for ${spend.toFixed(2)} USDC`);
         } catch (err) {
-          console.error(`[SPOT DCA] Buy failed for ${item.symbol}:`, err.message);
+          console.error(`${tag} Buy failed for ${item.symbol}:`, err.message);
           continue;
         }
       }
@@ -585,19 +559,18 @@ async function runSpotDca({ latestCandles }) {
       const free = getFreeBalance(balances, baseAsset);
       if (free <= 0) continue;
 
-      const lotFilter = getLotSizeFilter(info, item.symbol);
-      const step = lotFilter ? Number(lotFilter.stepSize || 0) : 0;
-      const sellQty = floorToStep(free, step || 0);
+      const step = await getLotStepSize(account, item.symbol);
+      const sellQty = floorToStep(free, step);
       if (sellQty <= 0) continue;
 
-      if (SPOT_DCA_DRY_RUN) {
-        console.log(`[SPOT DCA][DRY] SELL ${item.symbol} qty=${sellQty} (SWAP_TO_USDC)`);
+      if (config.dryRun) {
+        console.log(`${tag}[DRY] SELL ${item.symbol} qty=${sellQty} (SWAP_TO_USDC)`);
       } else {
         try {
-          await placeSpotOrder({ symbol: item.symbol, side: 'SELL', quantity: sellQty });
-          console.log(`[SPOT DCA] SELL ${item.symbol} qty=${sellQty} (SWAP_TO_USDC)`);
+          await placeSpotOrder(account, { symbol: item.symbol, side: 'SELL', quantity: sellQty });
+          console.log(`${tag} SELL ${item.symbol} qty=${sellQty} (SWAP_TO_USDC)`);
         } catch (err) {
-          console.error(`[SPOT DCA] Sell failed for ${item.symbol}:`, err.message);
+          console.error(`${tag} Sell failed for ${item.symbol}:`, err.message);
           continue;
         }
       }
@@ -610,14 +583,15 @@ async function runSpotDca({ latestCandles }) {
     }
   }
 
-  saveState(state);
+  saveState(account, state);
 }
 
 // --- ENGINE STARTUP ---
 
 function startSpotDcaEngine({ latestCandles, latestSignals }) {
-  if (!SPOT_DCA_ENABLED) {
-    if (!HAS_API_KEYS) {
+  const accounts = listAccounts().filter(account => getDcaConfig(account).enabled);
+  if (accounts.length === 0) {
+    if (!getExchange().hasCredentials()) {
       console.log('[SPOT DCA] Disabled (no API keys). Add BINANCE_API_KEY and BINANCE_API_SECRET to enable.');
     } else {
       console.log('[SPOT DCA] Disabled. Set SPOT_DCA_ENABLED=true to activate.');
@@ -625,40 +599,55 @@ function startSpotDcaEngine({ latestCandles, latestSignals }) {
     return null;
   }
 
-  const mode = SPOT_DCA_DRY_RUN ? 'DRY-RUN' : 'LIVE';
-  console.log(`[SPOT DCA] Started in ${mode} mode`);
-  console.log(`[SPOT DCA] Config: sniper=${SPOT_DCA_SNIPER_ENABLED ? 'on' : 'off'}, smart-exit=${SPOT_DCA_SMART_EXIT_ENABLED ? 'on' : 'off'}, discovery=on`);
-  console.log(`[SPOT DCA] Budget: $${SPOT_DCA_BUDGET}/week, min trade: $${SPOT_DCA_MIN_TRADE}`);
+  for (const account of accounts) {
+    const config = getDcaConfig(account);
+    const mode = config.dryRun ? 'DRY-RUN' : 'LIVE';
+    console.log(`${logTag(account)} Started in ${mode} mode`);
+    console.log(`${logTag(account)} Budget: $${config.budget}/week, min trade: $${getConfig('SPOT_DCA_MIN_TRADE')}`);
+  }
+  console.log(`[SPOT DCA] Config: sniper=${getConfig('SPOT_DCA_SNIPER_ENABLED') ? 'on' : 'off'}, smart-exit=${SPOT_DCA_SMART_EXIT_ENABLED ? 'on' : 'off'}, discovery=on`);
 
-  // Main DCA loop (every 5min default)
-  const dcaTimer = setInterval(() => {
-    runSpotDca({ latestCandles }).catch((err) => {
-      console.error('[SPOT DCA] Execution error:', err.message);
-    });
+  // Main DCA loop (every 5min default) - accounts run one after another
+  const dcaTimer = setInterval(async () => {
+    for (const account of accounts) {
+      await runSpotDca({ latestCandles }, account).catch((err) => {
+        console.error(`${logTag(account)} Execution error:`, err.message);
+      });
+    }
   }, SPOT_DCA_INTERVAL_MS);
 
   // Smart exit monitoring (every 2min)
   let exitTimer = null;
   if (SPOT_DCA_SMART_EXIT_ENABLED) {
-    exitTimer = setInterval(() => {
-      monitorSpotHoldings({ latestCandles }).catch((err) => {
-        console.error('[SPOT DCA] Smart exit error:', err.message);
-      });
+    exitTimer = setInterval(async () => {
+      for (const account of accounts) {
+        await monitorSpotHoldings({ latestCandles }, account).catch((err) => {
+          console.error(`${logTag(account)} Smart exit error:`, err.message);
+        });
+      }
     }, 120_000);
   }
 
   return { dcaTimer, exitTimer };
 }
 
+/**
+ * Spot DCA status; the top-level fields describe the main account
+ */
 function getSpotDcaStatus() {
+  const main = getDcaConfig(resolveAccount(DEFAULT_ACCOUNT));
   return {
-    enabled: SPOT_DCA_ENABLED,
-    dryRun: SPOT_DCA_DRY_RUN,
-    sniperEnabled: SPOT_DCA_SNIPER_ENABLED,
+    enabled: main.enabled,
+    dryRun: main.dryRun,
+    sniperEnabled: getConfig('SPOT_DCA_SNIPER_ENABLED'),
     smartExitEnabled: SPOT_DCA_SMART_EXIT_ENABLED,
-    budget: SPOT_DCA_BUDGET,
+    budget: main.budget,
     interval: SPOT_DCA_INTERVAL,
-    minTrade: SPOT_DCA_MIN_TRADE
+    minTrade: getConfig('SPOT_DCA_MIN_TRADE'),
+    accounts: listAccounts().map((account) => {
+      const { enabled, dryRun, budget } = getDcaConfig(account);
+      return { account: account.name, enabled, dryRun, budget };
+    })
   };
 }
 
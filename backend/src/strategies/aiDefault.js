@@ -0,0 +1,43 @@
+/**
+ * ai-default - the live signal pipeline (calculateIndicators + predictNextMove)
+ * with fixed percentage SL/TP. This is what runBacktest always used before.
+ *
+ * minConfidence > 0 applies the same entry gate as live auto-trading, including
+ * the lower sniper / volume-surge gates, so the offsets can be optimized.
+ */
+
+const { calculateIndicators } = require('../indicators');
+const { predictNextMove } = require('../ai');
+const { getEntryThreshold, getSetupFlags, DEFAULT_ENTRY_GATES } = require('../entryThresholds');
+const { percentExits } = require('./exits');
+
+module.exports = {
+  name: 'ai-default',
+  description: 'Full AI scoring (predictNextMove) with fixed % stop loss / take profit',
+  defaultParams: {
+    minConfidence: 0,
+    sniperOffset: DEFAULT_ENTRY_GATES.sniperOffset,
+    surgeOffset: DEFAULT_ENTRY_GATES.surgeOffset,
+    explosiveOffset: DEFAULT_ENTRY_GATES.explosiveOffset
+  },
+
+  signal(candles, params) {
+    const indicators = calculateIndicators(candles);
+    if (!indicators) return null;
+
+    const prediction = predictNextMove(indicators);
+    if (params.minConfidence > 0) {
+      const threshold = getEntryThreshold(getSetupFlags(prediction, prediction.signal, indicators), params);
+      if (prediction.confidence < threshold) return null;
+    }
+
+    return {
+      action: prediction.signal,
+      confidence: prediction.confidence,
+      signal: prediction.signal,
+      direction: prediction.direction
+    };
+  },
+
+  exitRules: percentExits
+};
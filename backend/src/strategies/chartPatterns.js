@@ -0,0 +1,37 @@
+/**
+ * chart-patterns - classic chart patterns only (triangles, flags, H&S...),
+ * exits at the pattern's measured-move target and invalidation level.
+ */
+
+const { detectChartPatterns } = require('../chartPatterns');
+const { levelExits } = require('./exits');
+
+module.exports = {
+  name: 'chart-patterns',
+  description: 'Chart pattern breakouts only, SL/TP from the pattern',
+  defaultParams: {
+    minConfidence: 0.6,
+    maxStopPercent: 6
+  },
+
+  signal(candles, params) {
+    const { summary } = detectChartPatterns(candles);
+    const rec = summary?.recommendation;
+    if (!rec || rec.action === 'WAIT') return null;
+
+    const confidence = rec.confidence / 100;
+    if (confidence < params.minConfidence) return null;
+
+    return {
+      action: rec.action,
+      confidence,
+      signal: `PATTERN_${rec.action}`,
+      direction: rec.action === 'LONG' ? 'long' : 'short',
+      stopLoss: rec.stopLoss,
+      takeProfit: rec.target,
+      pattern: summary.bestPattern?.type
+    };
+  },
+
+  exitRules: levelExits
+};
@@ -0,0 +1,47 @@
+/**
+ * Shared SL/TP helpers for backtest strategies
+ */
+
+/**
+ * Fixed percentage stop loss / take profit from the entry price
+ */
+function percentExits(signal, entryPrice, params, defaults) {
+  const isLong = signal.action.includes('LONG');
+  const stopLossPercent = params.stopLossPercent ?? defaults.stopLossPercent;
+  const takeProfitPercent = params.takeProfitPercent ?? defaults.takeProfitPercent;
+
+  return {
+    stopLoss: isLong
+      ? entryPrice * (1 - stopLossPercent / 100)
+      : entryPrice * (1 + stopLossPercent / 100),
+    takeProfit: isLong
+      ? entryPrice * (1 + takeProfitPercent / 100)
+      : entryPrice * (1 - takeProfitPercent / 100)
+  };
+}
+
+/**
+ * Use the structural levels a strategy reported (order block, pattern target...)
+ * when they sit on the correct side of the entry, otherwise fall back to percentages.
+ * maxStopPercent caps how far away a structural stop may be.
+ */
+function levelExits(signal, entryPrice, params, defaults) {
+  const fallback = percentExits(signal, entryPrice, params, defaults);
+  const isLong = signal.action.includes('LONG');
+  const maxStopPercent = params.maxStopPercent ?? 5;
+  let { stopLoss, takeProfit } = signal;
+
+  const stopValid = Number.isFinite(stopLoss) && (isLong ? stopLoss < entryPrice : stopLoss > entryPrice) &&
+    Math.abs(entryPrice - stopLoss) / entryPrice * 100 <= maxStopPercent;
+  const targetValid = Number.isFinite(takeProfit) && (isLong ? takeProfit > entryPrice : takeProfit < entryPrice);
+
+  if (!stopValid) stopLoss = fallback.stopLoss;
+  if (!targetValid) takeProfit = fallback.takeProfit;
+
+  return { stopLoss, takeProfit };
+}
+
+module.exports = {
+  percentExits,
+  levelExits
+};
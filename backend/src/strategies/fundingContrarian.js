@@ -0,0 +1,86 @@
+/**
+ * funding-contrarian - fades crowded positioning. Extreme positive funding
+ * (longs paying shorts) -> SHORT, extreme negative funding -> LONG.
+ * Optional RSI confirmation so we don't fade a trend that is still accelerating.
+ */
+
+const { calculateIndicators } = require('../indicators');
+const { fetchFundingRateRange } = require('../fundingRates');
+const { percentExits } = require('./exits');
+
+/**
+ * Latest settlement at or before `time` (settlements sorted oldest first)
+ */
+function rateAt(settlements, time) {
+  let lo = 0;
+  let hi = settlements.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (settlements[mid].timestamp <= time) {
+      found = settlements[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  name: 'funding-contrarian',
+  description: 'Fade extreme funding rates (needs symbol), fixed % stop loss / take profit',
+  defaultParams: {
+    threshold: 0.0005, // 0.05% per 8h
+    confirmWithRsi: true,
+    rsiLong: 45,
+    rsiShort: 55
+  },
+
+  async prepare(candles, params, context) {
+    // Callers can pass settlements directly (e.g. offline runs)
+    if (Array.isArray(params.fundingRates)) {
+      return { settlements: [...params.fundingRates].sort((a, b) => a.timestamp - b.timestamp) };
+    }
+    if (!context.symbol) {
+      throw new Error('funding-contrarian needs options.symbol to load funding history');
+    }
+    // Funding settles every 8h - start one period early so the first candles have a rate
+    const startTime = candles[0].openTime - 8 * 60 * 60 * 1000;
+    const endTime = candles.at(-1).closeTime || candles.at(-1).openTime;
+    const settlements = await fetchFundingRateRange(context.symbol, startTime, endTime);
+    return { settlements };
+  },
+
+  signal(candles, params, state) {
+    const last = candles.at(-1);
+    const current = rateAt(state?.settlements || [], last.openTime);
+    if (!current) return null;
+
+    const { rate } = current;
+    let action = null;
+    if (rate >= params.threshold) action = 'SHORT';
+    else if (rate <= -params.threshold) action = 'LONG';
+    if (!action) return null;
+
+    if (params.confirmWithRsi) {
+      const rsi = calculateIndicators(candles)?.rsi;
+      if (rsi == null) return null;
+      if (action === 'LONG' && rsi > params.rsiLong) return null;
+      if (action === 'SHORT' && rsi < params.rsiShort) return null;
+    }
+
+    // Confidence scales with how far past the threshold funding is (capped at 3x)
+    const confidence = Math.min(0.5 + (Math.abs(rate) / params.threshold - 1) * 0.15, 0.95);
+
+    return {
+      action,
+      confidence: Number(confidence.toFixed(2)),
+      signal: `FUNDING_${action}`,
+      direction: action === 'LONG' ? 'long' : 'short',
+      fundingRate: rate
+    };
+  },
+
+  exitRules: percentExits
+};
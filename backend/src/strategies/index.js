@@ -0,0 +1,76 @@
+/**
+ * Backtest Strategy Registry
+ *
+ * A strategy is a named module exposing:
+ * - name, description
+ * - defaultParams: tunable parameters (merged with user params)
+ * - prepare(candles, params, context): optional async setup run once per backtest
+ *   (e.g. fetching funding history). Whatever it returns is passed as `state`.
+ * - signal(candles, params, state): returns
+ *   { action: 'LONG'|'SHORT'|'HOLD'|..., confidence (0-1), signal, stopLoss?, takeProfit? }
+ * - exitRules(signal, entryPrice, params, defaults): returns { stopLoss, takeProfit } prices
+ */
+
+const { percentExits } = require('./exits');
+
+const strategies = new Map();
+
+const DEFAULT_STRATEGY = 'ai-default';
+
+/**
+ * Register a strategy module (later registrations replace earlier ones)
+ */
+function registerStrategy(strategy) {
+  if (!strategy?.name || typeof strategy.signal !== 'function') {
+    throw new Error('Strategy needs a name and a signal() function');
+  }
+  strategies.set(strategy.name, {
+    description: '',
+    defaultParams: {},
+    exitRules: percentExits,
+    ...strategy
+  });
+}
+
+function getStrategy(name) {
+  return strategies.get(name) || null;
+}
+
+function listStrategies() {
+  return Array.from(strategies.values()).map(s => ({
+    name: s.name,
+    description: s.description,
+    defaultParams: s.defaultParams
+  }));
+}
+
+/**
+ * Resolve a strategy spec ({ name, params } or a name string) into the module
+ * plus merged params. Unknown names fall back to the default strategy and are
+ * kept as a label so older callers that passed a free-form name still work.
+ */
+function resolveStrategy(spec = {}) {
+  const { name, params = {}, label } = typeof spec === 'string' ? { name: spec } : spec;
+  const registered = getStrategy(name);
+  const strategy = registered || getStrategy(DEFAULT_STRATEGY);
+
+  return {
+    strategy,
+    params: { ...strategy.defaultParams, ...params },
+    label: label || (registered ? null : name) || null
+  };
+}
+
+registerStrategy(require('./aiDefault'));
+registerStrategy(require('./sniperOnly'));
+registerStrategy(require('./mlSignal'));
+registerStrategy(require('./chartPatterns'));
+registerStrategy(require('./fundingContrarian'));
+
+module.exports = {
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  resolveStrategy,
+  DEFAULT_STRATEGY
+};
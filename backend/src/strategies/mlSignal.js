@@ -0,0 +1,32 @@
+/**
+ * ml-signal - the weighted-feature ML generator on its own, fixed % SL/TP
+ */
+
+const { calculateIndicators } = require('../indicators');
+const { generateMLSignal } = require('../mlSignalGenerator');
+const { percentExits } = require('./exits');
+
+module.exports = {
+  name: 'ml-signal',
+  description: 'ML signal generator only, fixed % stop loss / take profit',
+  defaultParams: {
+    minConfidence: 0.6
+  },
+
+  signal(candles, params) {
+    const indicators = calculateIndicators(candles);
+    if (!indicators) return null;
+
+    const ml = generateMLSignal(indicators);
+    if (ml.signal === 'HOLD' || ml.confidence < params.minConfidence) return null;
+
+    return {
+      action: ml.signal,
+      confidence: ml.confidence,
+      signal: ml.signal,
+      direction: ml.direction
+    };
+  },
+
+  exitRules: percentExits
+};
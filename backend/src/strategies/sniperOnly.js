@@ -0,0 +1,42 @@
+/**
+ * sniper-only - trades sniper engine setups alone (liquidity grabs, FVGs,
+ * order blocks...), using the setup's own stop and target levels.
+ */
+
+const { calculateIndicators } = require('../indicators');
+const { analyzeSniperSetup } = require('../sniperEngine');
+const { levelExits } = require('./exits');
+
+module.exports = {
+  name: 'sniper-only',
+  description: 'Sniper engine setups only, SL/TP from the setup structure',
+  defaultParams: {
+    minConfidence: 0.6,
+    minConfluence: 1,
+    maxStopPercent: 5
+  },
+
+  signal(candles, params) {
+    const indicators = calculateIndicators(candles);
+    if (!indicators) return null;
+
+    const setup = analyzeSniperSetup(candles, indicators);
+    const rec = setup.recommendation;
+    if (!setup.hasSetup || !rec || rec.action === 'WAIT') return null;
+
+    const confidence = rec.confidence / 100;
+    if (confidence < params.minConfidence || rec.confluenceCount < params.minConfluence) return null;
+
+    return {
+      action: rec.action,
+      confidence,
+      signal: rec.action,
+      direction: rec.direction === 'bullish' ? 'long' : 'short',
+      stopLoss: rec.stopLoss,
+      takeProfit: rec.target,
+      entryType: rec.entryType
+    };
+  },
+
+  exitRules: levelExits
+};
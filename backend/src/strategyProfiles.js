@@ -0,0 +1,397 @@
+/**
+ * Strategy Profiles - named presets of AI thresholds, sizing, exit and risk rules
+ *
+ * A profile is a set of hot config values (trading, exits, risk and simulation
+ * groups), e.g. swing = lower leverage, higher confidence, wider trailing stop.
+ * Activating one applies it through setConfig in a single validated update, so
+ * every account's runtime settings and risk book and the simulation engine
+ * switch together (or not at all). Keys a profile leaves out go back to their
+ * value from before the first profile was applied; 'default' is exactly that.
+ *
+ * Built-in profiles: default, scalp, swing, meme-surge. Custom profiles (and
+ * edited copies of the built-in ones) and the active profile survive restarts.
+ * The active profile's name is recorded on every live and simulated trade.
+ *
+ * Storage: MongoDB (primary) + JSON file (backup)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongo = require('./mongoStorage');
+const { getConfig, parseConfigValue, setConfig, describeConfig } = require('./config');
+
+const PROFILES_FILE = path.join(getConfig('DATA_DIR'), 'strategy_profiles.json');
+const DEFAULT_PROFILE = 'default';
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const PROFILE_GROUPS = ['trading', 'exits', 'risk', 'simulation'];
+
+const BUILT_IN_PROFILES = {
+  [DEFAULT_PROFILE]: {
+    description: 'Environment settings, no overrides',
+    settings: {}
+  },
+  scalp: {
+    description: 'Fast in-and-out trades: tight stops, quick take-profits, more trades per day',
+    settings: {
+      MIN_CONFIDENCE: 70,
+      RISK_PER_TRADE: 2,
+      LEVERAGE: 15,
+      MAX_OPEN_POSITIONS: 5,
+      MAX_DAILY_TRADES: 40,
+      SNIPER_CONFIDENCE_OFFSET: 10,
+      SURGE_CONFIDENCE_OFFSET: 10,
+      EXPLOSIVE_SURGE_CONFIDENCE_OFFSET: 15,
+      EMERGENCY_STOP_LOSS_PCT: 4,
+      TRAILING_STOP_PCT: 1,
+      TRAILING_ACTIVATION_PCT: 1,
+      TP_LADDER: [60, 40],
+      BREAK_EVEN_AFTER_TP1: true,
+      MAX_DAILY_LOSS: 4,
+      MAX_CONSECUTIVE_LOSSES: 4,
+      SIM_RISK_PER_TRADE: 2,
+      SIM_LEVERAGE: 15,
+      SIM_MIN_CONFIDENCE: 60
+    }
+  },
+  swing: {
+    description: 'Fewer, higher-conviction trades held for hours: low leverage, wide trailing stop',
+    settings: {
+      MIN_CONFIDENCE: 75,
+      RISK_PER_TRADE: 3,
+      LEVERAGE: 5,
+      MAX_OPEN_POSITIONS: 4,
+      MAX_DAILY_TRADES: 8,
+      SNIPER_CONFIDENCE_OFFSET: 15,
+      SURGE_CONFIDENCE_OFFSET: 10,
+      EXPLOSIVE_SURGE_CONFIDENCE_OFFSET: 15,
+      EMERGENCY_STOP_LOSS_PCT: 10,
+      TRAILING_STOP_PCT: 4,
+      TRAILING_ACTIVATION_PCT: 4,
+      TP_LADDER: [30, 30, 40],
+      MAX_DAILY_LOSS: 5,
+      MAX_WEEKLY_LOSS: 10,
+      SIM_RISK_PER_TRADE: 3,
+      SIM_LEVERAGE: 5,
+      SIM_MIN_CONFIDENCE: 65
+    }
+  },
+  'meme-surge': {
+    description: 'Volume-surge chasing on volatile coins: small size, surge setups favoured, strict loss limits',
+    settings: {
+      MIN_CONFIDENCE: 60,
+      RISK_PER_TRADE: 1,
+      LEVERAGE: 5,
+      MAX_OPEN_POSITIONS: 3,
+      MAX_DAILY_TRADES: 20,
+      SNIPER_CONFIDENCE_OFFSET: 15,
+      SURGE_CONFIDENCE_OFFSET: 20,
+      EXPLOSIVE_SURGE_CONFIDENCE_OFFSET: 25,
+      EMERGENCY_STOP_LOSS_PCT: 6,
+      TRAILING_STOP_PCT: 2.5,
+      TRAILING_ACTIVATION_PCT: 3,
+      TP_LADDER: [50, 30, 20],
+      MAX_DAILY_LOSS: 3,
+      MAX_CONSECUTIVE_LOSSES: 3,
+      SIM_RISK_PER_TRADE: 1,
+      SIM_LEVERAGE: 5,
+      SIM_MIN_CONFIDENCE: 55
+    }
+  }
+};
+
+let customProfiles = {}; // name -> { description, settings, updatedAt, updatedBy }
+let active = { name: DEFAULT_PROFILE, activatedAt: null, activatedBy: null };
+let baseline = null; // profile keys -> values from before the first profile was applied
+const listeners = new Set();
+
+function profileError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Hot keys a profile may set
+function profileKeys() {
+  return describeConfig({ hot: true })
+    .filter(entry => PROFILE_GROUPS.includes(entry.group))
+    .map(entry => entry.key);
+}
+
+function findProfile(name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (customProfiles[key]) return { name: key, builtIn: Boolean(BUILT_IN_PROFILES[key]), custom: true, ...customProfiles[key] };
+  if (BUILT_IN_PROFILES[key]) return { name: key, builtIn: true, custom: false, ...BUILT_IN_PROFILES[key] };
+  return null;
+}
+
+function requireProfile(name) {
+  const profile = findProfile(name);
+  if (!profile) {
+    throw profileError(`Unknown profile: ${name} (use ${listProfileNames().join(', ')})`, 404);
+  }
+  return profile;
+}
+
+async function saveProfiles() {
+  const state = { profiles: customProfiles, active, savedAt: Date.now() };
+
+  // Save to MongoDB (primary)
+  if (mongo.isAvailable()) {
+    try {
+      await mongo.saveStrategyProfiles(state);
+    } catch (err) {
+      console.warn('[PROFILES] MongoDB save failed:', err.message);
+    }
+  }
+
+  // Save to file (backup)
+  try {
+    const dir = path.dirname(PROFILES_FILE);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(PROFILES_FILE, JSON.stringify(state, null, 2));
+  } catch (err) {
+    console.warn('[PROFILES] Could not save profiles to file:', err.message);
+  }
+}
+
+async function loadProfiles() {
+  // Try MongoDB first
+  try {
+    if (mongo.isAvailable()) {
+      const doc = await mongo.loadStrategyProfiles();
+      if (doc) return { state: doc, source: 'MongoDB' };
+    }
+  } catch (err) {
+    console.warn('[PROFILES] MongoDB load failed:', err.message);
+  }
+
+  // Fallback to file
+  try {
+    if (fs.existsSync(PROFILES_FILE)) {
+      return { state: JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf-8')), source: 'file' };
+    }
+  } catch (err) {
+    console.warn('[PROFILES] Could not load profiles:', err.message);
+  }
+  return null;
+}
+
+/**
+ * Validate a profile's settings against the config schema
+ * @returns {Object} the typed settings; throws (status 400) on unknown or invalid keys
+ */
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw profileError('settings must be an object of { KEY: value } config values');
+  }
+  const allowed = new Set(profileKeys());
+  const clean = {};
+  for (const [key, raw] of Object.entries(settings)) {
+    if (!allowed.has(key)) {
+      throw profileError(`${key} can't be part of a profile (use hot ${PROFILE_GROUPS.join('/')} settings from GET /api/config)`);
+    }
+    clean[key] = parseConfigValue(key, raw);
+  }
+  return clean;
+}
+
+function listProfileNames() {
+  return Array.from(new Set([...Object.keys(BUILT_IN_PROFILES), ...Object.keys(customProfiles)]));
+}
+
+/**
+ * Every profile with its settings; `active` marks the one in use
+ */
+function listProfiles() {
+  return listProfileNames().map(name => ({ ...findProfile(name), active: name === active.name }));
+}
+
+/**
+ * @returns {Object|null} the profile, or null for unknown names
+ */
+function getProfile(name) {
+  const profile = findProfile(name);
+  return profile ? { ...profile, active: profile.name === active.name } : null;
+}
+
+/**
+ * The profile in use: { name, activatedAt, activatedBy }
+ */
+function getActiveProfile() {
+  return { ...active };
+}
+
+function getActiveProfileName() {
+  return active.name;
+}
+
+// Baseline for the profile keys, then the profile's own values, as one setConfig update
+function applySettings(profile) {
+  const keys = profileKeys();
+  if (!baseline) {
+    baseline = Object.fromEntries(keys.map(key => [key, getConfig(key)]));
+  }
+  const updates = {};
+  for (const key of keys) {
+    updates[key] = key in profile.settings ? profile.settings[key] : baseline[key];
+  }
+  return setConfig(updates);
+}
+
+/**
+ * Switch to a profile. The config update is all-or-nothing, so a failure
+ * leaves the previous profile's settings in place.
+ * @param {string} name
+ * @param {Object} options - { actor }
+ * @returns {Object} { profile, previous, changes }
+ */
+function applyProfile(name, { actor = null } = {}) {
+  const profile = requireProfile(name);
+  const previous = active.name;
+  const changes = applySettings(profile);
+
+  active = { name: profile.name, activatedAt: Date.now(), activatedBy: actor };
+  saveProfiles();
+
+  console.log(`[PROFILES] Active profile: ${previous} -> ${profile.name}${actor ? ` (by ${actor})` : ''}, ${Object.keys(changes).length} settings changed`);
+  for (const listener of listeners) {
+    try {
+      listener({ profile: getProfile(profile.name), previous, changes });
+    } catch (err) {
+      console.warn('[PROFILES] Listener error:', err.message);
+    }
+  }
+  return { profile: getProfile(profile.name), previous, changes };
+}
+
+/**
+ * Create or replace a custom profile (a built-in name saves an edited copy).
+ * Saving the active profile applies the new settings right away.
+ * @param {string} name
+ * @param {Object} data - { description, settings }
+ * @param {Object} options - { actor }
+ */
+function saveProfile(name, { description, settings } = {}, { actor = null } = {}) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!NAME_PATTERN.test(key)) {
+    throw profileError('Profile names use 1-32 letters, digits, - or _');
+  }
+  if (key === DEFAULT_PROFILE) {
+    throw profileError('The default profile is the environment configuration and cannot be changed');
+  }
+
+  const clean = validateSettings(settings);
+  const next = {
+    description: description ? String(description).slice(0, 200) : (BUILT_IN_PROFILES[key]?.description || ''),
+    settings: clean,
+    updatedAt: Date.now(),
+    updatedBy: actor
+  };
+
+  const previous = customProfiles[key];
+  customProfiles[key] = next;
+  if (key === active.name) {
+    try {
+      applyProfile(key, { actor });
+    } catch (err) {
+      if (previous) customProfiles[key] = previous;
+      else delete customProfiles[key];
+      throw err;
+    }
+  } else {
+    saveProfiles();
+  }
+
+  console.log(`[PROFILES] Saved profile ${key} (${Object.keys(clean).length} settings)`);
+  return getProfile(key);
+}
+
+/**
+ * Delete a custom profile. For an edited built-in this restores the original.
+ * The active profile can only be deleted when a built-in one takes its place.
+ */
+function deleteProfile(name, { actor = null } = {}) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!customProfiles[key]) {
+    throw profileError(BUILT_IN_PROFILES[key] ? `${key} is a built-in profile without edits` : `Unknown profile: ${name}`, 404);
+  }
+  if (key === active.name && !BUILT_IN_PROFILES[key]) {
+    throw profileError(`${key} is the active profile - switch to another profile first`, 409);
+  }
+
+  const removed = customProfiles[key];
+  delete customProfiles[key];
+  if (key === active.name) {
+    try {
+      applyProfile(key, { actor });
+    } catch (err) {
+      customProfiles[key] = removed;
+      throw err;
+    }
+  } else {
+    saveProfiles();
+  }
+
+  console.log(`[PROFILES] Deleted profile ${key}${BUILT_IN_PROFILES[key] ? ' (built-in restored)' : ''}`);
+  return { deleted: key, restored: BUILT_IN_PROFILES[key] ? getProfile(key) : null };
+}
+
+/**
+ * Load custom profiles and re-apply the saved active profile (once, at startup)
+ */
+async function restoreProfiles() {
+  const saved = await loadProfiles();
+  if (!saved) return;
+
+  const { state, source } = saved;
+  customProfiles = {};
+  for (const [name, profile] of Object.entries(state.profiles || {})) {
+    try {
+      customProfiles[name] = { ...profile, settings: validateSettings(profile.settings) };
+    } catch (err) {
+      console.warn(`[PROFILES] Skipping saved profile ${name}: ${err.message}`);
+    }
+  }
+
+  const savedActive = state.active?.name;
+  if (savedActive && savedActive !== DEFAULT_PROFILE && findProfile(savedActive)) {
+    try {
+      applyProfile(savedActive, { actor: state.active.activatedBy });
+      active.activatedAt = state.active.activatedAt || active.activatedAt;
+    } catch (err) {
+      console.warn(`[PROFILES] Could not re-apply profile ${savedActive}: ${err.message}`);
+    }
+  }
+  console.log(`[PROFILES] Loaded ${Object.keys(customProfiles).length} custom profiles from ${source}, active: ${active.name}`);
+
+  // Sync file data to MongoDB if available
+  if (source === 'file' && mongo.isAvailable()) {
+    try {
+      await mongo.saveStrategyProfiles({ profiles: customProfiles, active, savedAt: Date.now() });
+    } catch (err) {
+      console.warn('[PROFILES] MongoDB sync failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Subscribe to profile switches: listener({ profile, previous, changes })
+ * @returns {Function} unsubscribe
+ */
+function onProfileChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+module.exports = {
+  listProfiles,
+  getProfile,
+  getActiveProfile,
+  getActiveProfileName,
+  applyProfile,
+  saveProfile,
+  deleteProfile,
+  restoreProfiles,
+  onProfileChange,
+  DEFAULT_PROFILE
+};
@@ -0,0 +1,231 @@
+/**
+ * Timeframe Hierarchy - multi-timeframe context for the live signal pipeline
+ *
+ * Keeps the latest indicators/AI read of every interval per symbol: tracked
+ * intervals record theirs as the pipeline processes them, and the higher
+ * intervals in MTF_INTERVALS that are not tracked (or have no read yet) are
+ * fetched on demand and cached until their data is stale.
+ *
+ * buildMtfContext() is what processCandles hands predictNextMove:
+ * - higherTimeframe: the highest interval above the one being analysed (the
+ *   trend the signal should agree with)
+ * - lowerTimeframe: the nearest tracked interval below it (entry timing)
+ * - higher: every interval above it, and their alignment
+ */
+
+const { getExchange } = require('./exchanges');
+const { calculateIndicators } = require('./indicators');
+const { predictNextMove } = require('./ai');
+const { getIntervalMs } = require('./candleStore');
+const { getConfig } = require('./config');
+
+const FETCH_LIMIT = 200;
+const MAX_FETCHED_AGE_MS = 15 * 60_000; // fetched reads refresh at least this often
+const MIN_CANDLES = 50;
+
+// State
+const timeframes = new Map(); // symbol -> Map(interval -> snapshot)
+const pending = new Map(); // `${symbol}:${interval}` -> fetch promise
+let trackedIntervals = [];
+
+const stats = {
+  fetched: 0,
+  fetchErrors: 0
+};
+
+function byDuration(a, b) {
+  return getIntervalMs(a) - getIntervalMs(b);
+}
+
+function snapshotOf(interval, indicators, ai, source) {
+  return {
+    interval,
+    source,
+    direction: ai?.direction || 'neutral',
+    signal: ai?.signal || 'HOLD',
+    confidence: ai?.confidence ?? null,
+    scores: ai?.scores ? { bull: ai.scores.bull, bear: ai.scores.bear } : null,
+    trend: indicators?.trend || null,
+    rsi: indicators?.rsi ?? null,
+    price: indicators?.currentPrice ?? null,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Set which intervals the pipeline tracks (those are never fetched on demand
+ * once they have a read)
+ */
+function setTrackedIntervals(intervals = []) {
+  trackedIntervals = [...new Set(intervals)].sort(byDuration);
+}
+
+/**
+ * Record the pipeline's read of a symbol/interval
+ */
+function recordTimeframe(symbol, interval, indicators, ai, source = 'tracked') {
+  if (!timeframes.has(symbol)) timeframes.set(symbol, new Map());
+  const snapshot = snapshotOf(interval, indicators, ai, source);
+  timeframes.get(symbol).set(interval, snapshot);
+  return snapshot;
+}
+
+// Tracked reads go stale when the pipeline stops updating them (two candles
+// without one), fetched ones once a candle or MAX_FETCHED_AGE_MS has passed
+function isStale(snapshot, now = Date.now()) {
+  const intervalMs = getIntervalMs(snapshot.interval);
+  const maxAge = snapshot.source === 'tracked' ? intervalMs * 2 : Math.min(intervalMs, MAX_FETCHED_AGE_MS);
+  return now - snapshot.updatedAt > maxAge;
+}
+
+async function fetchTimeframe(symbol, interval) {
+  const key = `${symbol}:${interval}`;
+  if (pending.has(key)) return pending.get(key);
+
+  const task = (async () => {
+    try {
+      const candles = await getExchange().getCandles(symbol, interval, FETCH_LIMIT);
+      if (candles.length < MIN_CANDLES) return null;
+      const indicators = calculateIndicators(candles, { interval });
+      const ai = predictNextMove(indicators, null, symbol);
+      stats.fetched++;
+      return recordTimeframe(symbol, interval, indicators, ai, 'fetched');
+    } catch (err) {
+      stats.fetchErrors++;
+      console.warn(`[MTF] Failed to fetch ${symbol} ${interval}:`, err.message);
+      return null;
+    } finally {
+      pending.delete(key);
+    }
+  })();
+  pending.set(key, task);
+  return task;
+}
+
+// Intervals above `interval` in the hierarchy: tracked ones plus MTF_INTERVALS
+function higherIntervals(interval) {
+  const intervalMs = getIntervalMs(interval);
+  return [...new Set([...trackedIntervals, ...getConfig('MTF_INTERVALS')])]
+    .filter(i => getIntervalMs(i) > intervalMs)
+    .sort(byDuration);
+}
+
+/**
+ * Latest reads of the intervals above `interval`, fetching missing or stale ones
+ * @returns {Promise<Array>} snapshots, shortest interval first
+ */
+async function getHigherTimeframes(symbol, interval, { fetchMissing = true } = {}) {
+  const known = timeframes.get(symbol) || new Map();
+  const snapshots = [];
+  // One interval at a time - these share the exchange's request weight with the pipeline
+  for (const higher of higherIntervals(interval)) {
+    let snapshot = known.get(higher);
+    const tracked = trackedIntervals.includes(higher);
+    if (fetchMissing && (!snapshot || (isStale(snapshot) && !(tracked && snapshot.source === 'tracked')))) {
+      snapshot = (await fetchTimeframe(symbol, higher)) || snapshot;
+    }
+    if (snapshot) snapshots.push(snapshot);
+  }
+  return snapshots;
+}
+
+function summarizeAlignment(snapshots) {
+  const counts = { long: 0, short: 0, neutral: 0 };
+  for (const s of snapshots) counts[s.direction === 'long' || s.direction === 'short' ? s.direction : 'neutral']++;
+  const total = snapshots.length;
+  const score = total > 0 ? Number(((counts.long - counts.short) / total).toFixed(2)) : 0;
+  let bias = 'mixed';
+  if (total === 0) bias = 'unknown';
+  else if (counts.long === total) bias = 'long';
+  else if (counts.short === total) bias = 'short';
+  else if (score >= 0.5) bias = 'leaning long';
+  else if (score <= -0.5) bias = 'leaning short';
+  return { ...counts, total, score, bias };
+}
+
+/**
+ * Multi-timeframe context for predictNextMove
+ * @returns {Promise<Object|null>} { interval, higherTimeframe, lowerTimeframe, higher, alignment } or null when MTF is off
+ */
+async function buildMtfContext(symbol, interval, options = {}) {
+  if (!getConfig('MTF_ENABLED')) return null;
+
+  const higher = (await getHigherTimeframes(symbol, interval, options)).filter(s => !isStale(s));
+  const known = timeframes.get(symbol) || new Map();
+  const intervalMs = getIntervalMs(interval);
+  const lowerInterval = trackedIntervals.filter(i => getIntervalMs(i) < intervalMs).at(-1);
+  const lower = lowerInterval ? known.get(lowerInterval) : null;
+
+  return {
+    interval,
+    higherTimeframe: higher.at(-1) || null,
+    lowerTimeframe: lower && !isStale(lower) ? lower : null,
+    higher,
+    alignment: summarizeAlignment(higher)
+  };
+}
+
+/**
+ * Alignment matrix of a symbol: every interval's read (tracked and MTF_INTERVALS,
+ * fetching what is missing), and for each tracked interval what is above and below it
+ */
+async function getMtfMatrix(symbol) {
+  const intervals = [...new Set([...trackedIntervals, ...getConfig('MTF_INTERVALS')])].sort(byDuration);
+  if (intervals.length > 0) {
+    await getHigherTimeframes(symbol, intervals[0]);
+    // Everything above the lowest interval is read now - the lowest one too if the pipeline has not yet
+    if (!timeframes.get(symbol)?.has(intervals[0])) await fetchTimeframe(symbol, intervals[0]);
+  }
+  const known = timeframes.get(symbol) || new Map();
+
+  const rows = intervals.map(interval => {
+    const snapshot = known.get(interval);
+    return snapshot
+      ? { ...snapshot, tracked: trackedIntervals.includes(interval), stale: isStale(snapshot) }
+      : { interval, tracked: trackedIntervals.includes(interval), direction: null, signal: null, stale: true };
+  });
+  const available = rows.filter(r => r.direction && !r.stale);
+
+  const contexts = trackedIntervals.map(interval => {
+    const intervalMs = getIntervalMs(interval);
+    const own = known.get(interval);
+    const above = available.filter(r => getIntervalMs(r.interval) > intervalMs);
+    const top = above.at(-1);
+    return {
+      interval,
+      direction: own?.direction || null,
+      higherTimeframe: top ? { interval: top.interval, direction: top.direction } : null,
+      alignment: summarizeAlignment(above),
+      // Directional and not against the highest timeframe
+      aligned: Boolean(own && top && own.direction !== 'neutral' && own.direction === top.direction)
+    };
+  });
+
+  return {
+    symbol,
+    timeframes: rows,
+    contexts,
+    alignment: summarizeAlignment(available),
+    updatedAt: Date.now()
+  };
+}
+
+function getMtfStatus() {
+  return {
+    enabled: getConfig('MTF_ENABLED'),
+    intervals: getConfig('MTF_INTERVALS'),
+    trackedIntervals,
+    symbols: timeframes.size,
+    pendingFetches: pending.size,
+    stats: { ...stats }
+  };
+}
+
+module.exports = {
+  setTrackedIntervals,
+  recordTimeframe,
+  buildMtfContext,
+  getHigherTimeframes,
+  getMtfMatrix,
+  getMtfStatus
+};
@@ -7,6 +7,7 @@
  * - Optimal exit timing
  * - Market condition patterns
  * - When to use which strategy
+ * - Which strategy profile (scalp, swing, ...) performs best, live and simulated
  */
 
 const mongo = require('./mongoStorage');
@@ -79,6 +80,9 @@ let analysisState = {
   // Symbol-specific style learning
   symbolStyleMap: {},  // symbol -> { bestStyle, avgHoldTime, winRateByStyle }
 
+  // Strategy profile comparison
+  profilePerformance: {},  // profile -> { live: { trades, wins, totalPnl, totalHoldTime }, simulation: {...} }
+
   // Recent analyses for dashboard
   recentAnalyses: [],
 
@@ -115,7 +119,9 @@ function analyzeCompletedTrade(tradeData) {
     troughPnlPercent,
     entryConditions,
     signal,
-    closeReason
+    closeReason,
+    profile,
+    source
   } = tradeData;
 
   const style = getTradeStyle(holdTime);
@@ -125,6 +131,8 @@ function analyzeCompletedTrade(tradeData) {
     symbol,
     direction,
     style,
+    profile: profile || null,
+    source: source || null,
     pnlPercent,
     holdTimeMinutes: Math.round(holdTime / 60000),
     isWin,
@@ -549,6 +557,20 @@ function updateAnalysisState(analysis, tradeData) {
   }
   analysisState.hourlyStyleSuccess[hour][style].trades++;
   if (analysis.isWin) analysisState.hourlyStyleSuccess[hour][style].wins++;
+
+  // Update strategy profile performance (live and simulated trades kept apart)
+  if (analysis.profile) {
+    if (!analysisState.profilePerformance[analysis.profile]) {
+      analysisState.profilePerformance[analysis.profile] = {};
+    }
+    const bySource = analysisState.profilePerformance[analysis.profile];
+    const source = analysis.source || 'live';
+    if (!bySource[source]) bySource[source] = { trades: 0, wins: 0, totalPnl: 0, totalHoldTime: 0 };
+    bySource[source].trades++;
+    if (analysis.isWin) bySource[source].wins++;
+    bySource[source].totalPnl += tradeData.pnlPercent || 0;
+    bySource[source].totalHoldTime += tradeData.holdTime || 0;
+  }
 }
 
 /**
@@ -651,6 +673,30 @@ function getRecommendedStyle(symbol, indicators) {
   };
 }
 
+/**
+ * Compare strategy profiles: win rate, average PnL and hold time per profile,
+ * for live and simulated trades, best average PnL first
+ * @param {string} source - 'live' or 'simulation' (default: both)
+ */
+function getProfilePerformance(source) {
+  const rows = [];
+  for (const [profile, bySource] of Object.entries(analysisState.profilePerformance)) {
+    for (const [tradeSource, stats] of Object.entries(bySource)) {
+      if (source && tradeSource !== source) continue;
+      rows.push({
+        profile,
+        source: tradeSource,
+        trades: stats.trades,
+        winRate: stats.trades > 0 ? Math.round((stats.wins / stats.trades) * 1000) / 10 : 0,
+        avgPnl: stats.trades > 0 ? Math.round((stats.totalPnl / stats.trades) * 100) / 100 : 0,
+        totalPnl: Math.round(stats.totalPnl * 100) / 100,
+        avgHoldMinutes: stats.trades > 0 ? Math.round(stats.totalHoldTime / stats.trades / 60000) : 0
+      });
+    }
+  }
+  return rows.sort((a, b) => b.avgPnl - a.avgPnl);
+}
+
 /**
  * Get analysis statistics for dashboard
  */
@@ -688,6 +734,7 @@ function getAnalysisStats() {
       .slice(0, 10),
 
     exitQuality: analysisState.exitQuality,
+    profilePerformance: getProfilePerformance(),
     recentAnalyses: analysisState.recentAnalyses.slice(0, 10)
   };
 }
@@ -740,6 +787,20 @@ function getLearningInsights() {
     }
   }
 
+  // Profile insights - best vs worst profile with enough trades of the same kind
+  for (const source of ['live', 'simulation']) {
+    const profiles = getProfilePerformance(source).filter(p => p.trades >= 5);
+    if (profiles.length >= 2) {
+      const best = profiles[0];
+      const worst = profiles[profiles.length - 1];
+      insights.push({
+        type: 'profile_comparison',
+        message: `${source === 'live' ? 'Live' : 'Simulated'}: "${best.profile}" profile averages ${best.avgPnl >= 0 ? '+' : ''}${best.avgPnl}% per trade (${best.winRate}% win) vs "${worst.profile}" ${worst.avgPnl >= 0 ? '+' : ''}${worst.avgPnl}% (${worst.winRate}% win)`,
+        importance: 'medium'
+      });
+    }
+  }
+
   // Exit quality insights
   const totalExits = Object.values(analysisState.exitQuality).reduce((sum, q) => sum + q.count, 0);
   if (totalExits >= 10) {
@@ -773,6 +834,7 @@ module.exports = {
   getRecommendedStyle,
   getAnalysisStats,
   getLearningInsights,
+  getProfilePerformance,
   getTradeStyle,
   STYLE_THRESHOLDS
 };
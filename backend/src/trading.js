@@ -1,62 +1,77 @@
-const axios = require('axios');
-const crypto = require('crypto');
 const { recordPattern, getStats: getPatternStats } = require('./patternMemory');
-const { learnFromTrade, learnFromLiquidation, learnFromSevereLoss, isDangerousCondition, analyzeTradeFailure, checkFailurePatternRisk, extractEntryConditions, updateEntryConditionPerformance, checkEntryQuality } = require('./aiLearning');
-const { recordTrade: recordRiskTrade, checkTradingAllowed, calculatePositionSize: riskCalcPositionSize } = require('./riskManager');
+const { learnFromTrade, learnFromLiquidation, learnFromSevereLoss, isDangerousCondition, analyzeTradeFailure, updateEntryConditionPerformance } = require('./aiLearning');
+const { recordTrade: recordRiskTrade, calculatePositionSize: riskCalcPositionSize } = require('./riskManager');
 const { addTrainingSample } = require('./mlSignalGenerator');
 const { analyzeCompletedTrade, getRecommendedStyle } = require('./tradeAnalyzer');
 const { getSymbolSentiment, fetchFearGreedIndex } = require('./sentimentEngine');
-const { getEventTradingAdjustment, checkUpcomingEvents } = require('./economicCalendar');
-
-const API_BASE = process.env.BINANCE_API_URL || 'https://fapi.binance.com';
-const API_KEY = process.env.BINANCE_API_KEY || '';
-const API_SECRET = process.env.BINANCE_API_SECRET || '';
-
-// Trading configuration
-const TRADING_ENABLED = process.env.TRADING_ENABLED === 'true';
-const RISK_PER_TRADE = Number(process.env.RISK_PER_TRADE || 5) / 100; // 5% default
-const MIN_CONFIDENCE = Number(process.env.MIN_CONFIDENCE || 65) / 100; // 65% default
-const MAX_OPEN_POSITIONS = Number(process.env.MAX_OPEN_POSITIONS || 5);
-const MAX_DAILY_TRADES = Number(process.env.MAX_DAILY_TRADES || 20);
-const LEVERAGE = Number(process.env.LEVERAGE || 10);
-
-// Sentiment integration
-const SENTIMENT_ENABLED = process.env.SENTIMENT_TRADING_ENABLED !== 'false'; // Default enabled
-const SENTIMENT_WEIGHT = Number(process.env.SENTIMENT_WEIGHT || 20) / 100; // 20% weight in decision
-const BLOCK_EXTREME_SENTIMENT = process.env.BLOCK_EXTREME_SENTIMENT === 'true'; // Block trades in extreme fear/greed
-
-// Mutable runtime settings (can be changed via chat)
-const runtimeSettings = {
-  riskPerTrade: RISK_PER_TRADE,
-  minConfidence: MIN_CONFIDENCE,
-  maxOpenPositions: MAX_OPEN_POSITIONS,
-  maxDailyTrades: MAX_DAILY_TRADES,
-  leverage: LEVERAGE,
-};
-
-function updateSettings(updates) {
+const { checkUpcomingEvents } = require('./economicCalendar');
+const { resolveAccount, listAccounts, updateAccountSettings, DEFAULT_ACCOUNT } = require('./accounts');
+const { getConfig } = require('./config');
+const { getActiveProfileName } = require('./strategyProfiles');
+const { loadTradingState, saveTradingState } = require('./tradingState');
+const { getEntryThreshold, getSetupFlags } = require('./entryThresholds');
+const { runEntryGates, pass, fail, adjust, tradeSetupGate, confidenceGate, volatilityGate, failurePatternGate, entryQualityGate, calendarGate, riskLimitsGate } = require('./entryGates');
+const { recordDecision } = require('./decisionLog');
+const { placeExitOrders, placeStopLoss, syncPosition, adoptPosition, blendedExitPrice, roundToStep, roundPrice } = require('./positionManager');
+
+// Trading configuration - per-account keys, settings and limits live in accounts.js,
+// sentiment and exit settings are read from config where they are used (hot-reloadable)
+// Auto-trading runs when at least one account has it on (live or in shadow mode)
+const TRADING_ENABLED = listAccounts().some(account => account.tradingEnabled);
+
+// Runtime settings are per account and can be changed via chat or the API
+// (main's are the global config values, so they also show in GET /api/config)
+function updateSettings(updates, accountName) {
+  const clamped = {};
   if (updates.riskPerTrade !== undefined) {
-    runtimeSettings.riskPerTrade = Math.max(0.01, Math.min(0.20, updates.riskPerTrade));
+    clamped.riskPerTrade = Math.max(0.01, Math.min(0.20, updates.riskPerTrade));
   }
   if (updates.minConfidence !== undefined) {
-    runtimeSettings.minConfidence = Math.max(0.50, Math.min(0.95, updates.minConfidence));
+    clamped.minConfidence = Math.max(0.50, Math.min(0.95, updates.minConfidence));
   }
   if (updates.maxOpenPositions !== undefined) {
-    runtimeSettings.maxOpenPositions = Math.max(1, Math.min(20, Math.floor(updates.maxOpenPositions)));
+    clamped.maxOpenPositions = Math.max(1, Math.min(20, Math.floor(updates.maxOpenPositions)));
   }
   if (updates.maxDailyTrades !== undefined) {
-    runtimeSettings.maxDailyTrades = Math.max(1, Math.min(100, Math.floor(updates.maxDailyTrades)));
+    clamped.maxDailyTrades = Math.max(1, Math.min(100, Math.floor(updates.maxDailyTrades)));
   }
   if (updates.leverage !== undefined) {
-    runtimeSettings.leverage = Math.max(1, Math.min(125, Math.floor(updates.leverage)));
+    clamped.leverage = Math.max(1, Math.min(125, Math.floor(updates.leverage)));
   }
-  return { ...runtimeSettings };
+  return updateAccountSettings(resolveAccount(accountName), clamped);
 }
 
-// State tracking
-const openPositions = new Map(); // symbol -> position info
-const dailyTrades = { count: 0, date: new Date().toDateString() };
-const tradeHistory = [];
+// Log suffix naming the account, omitted for main so single-account logs stay unchanged
+const accountTag = account => `${account.name === DEFAULT_ACCOUNT ? '' : ` [${account.name}]`}${account.shadow ? ' [shadow]' : ''}`;
+
+// Result fields marking paper executions, so callers can label them
+const shadowFlag = account => (account.shadow ? { shadow: true } : {});
+
+let restorePromise = null;
+
+/**
+ * Load every account's saved open positions, daily trade count and history
+ * (once). Entries and reconciliation wait for it, so after a restart the bot's
+ * own positions resume with their signal, peak profit and exit orders instead
+ * of being adopted as manual ones.
+ */
+function restoreTradingState() {
+  if (!restorePromise) {
+    restorePromise = (async () => {
+      for (const account of listAccounts()) {
+        try {
+          const restored = await loadTradingState(account);
+          if (restored.source) {
+            console.log(`[TRADING]${accountTag(account)} Restored ${restored.positions} open positions, ${restored.dailyTrades} trades today and ${restored.history} history entries from ${restored.source}`);
+          }
+        } catch (err) {
+          console.error(`[TRADING]${accountTag(account)} Could not restore trading state:`, err.message);
+        }
+      }
+    })();
+  }
+  return restorePromise;
+}
 
 // Cached sentiment to avoid excessive API calls
 let cachedSentiment = { data: null, expiry: 0 };
@@ -68,7 +83,7 @@ let cachedSentiment = { data: null, expiry: 0 };
  * @returns {Promise<{allowed: boolean, adjustment: number, reason: string, sentiment: object}>}
  */
 async function evaluateSentiment(symbol, direction) {
-  if (!SENTIMENT_ENABLED) {
+  if (!getConfig('SENTIMENT_TRADING_ENABLED')) {
     return { allowed: true, adjustment: 0, reason: 'Sentiment checks disabled', sentiment: null };
   }
 
@@ -89,7 +104,7 @@ async function evaluateSentiment(symbol, direction) {
     // === BLOCK CONDITIONS ===
 
     // 1. Extreme fear/greed blocking (if enabled)
-    if (BLOCK_EXTREME_SENTIMENT) {
+    if (getConfig('BLOCK_EXTREME_SENTIMENT')) {
       if (fearGreed.value <= 10) {
         return {
           allowed: false,
@@ -173,7 +188,7 @@ async function evaluateSentiment(symbol, direction) {
     }
 
     // Apply weight
-    adjustment = adjustment * SENTIMENT_WEIGHT;
+    adjustment = adjustment * getConfig('SENTIMENT_WEIGHT') / 100;
 
     return {
       allowed: true,
@@ -188,66 +203,38 @@ async function evaluateSentiment(symbol, direction) {
   }
 }
 
-function sign(queryString) {
-  return crypto.createHmac('sha256', API_SECRET).update(queryString).digest('hex');
-}
-
-function buildClient() {
-  return axios.create({
-    baseURL: API_BASE,
-    timeout: 10000,
-    headers: {
-      'X-MBX-APIKEY': API_KEY,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    }
-  });
-}
-
-async function getAccountBalance() {
-  if (!API_KEY || !API_SECRET) return null;
-
-  const client = buildClient();
-  const timestamp = Date.now();
-  const params = `timestamp=${timestamp}`;
-  const signature = sign(params);
+async function getAccountBalance(accountName) {
+  const { exchange } = resolveAccount(accountName);
+  if (!exchange.hasCredentials()) return null;
 
   try {
-    const res = await client.get(`/fapi/v2/balance?${params}&signature=${signature}`);
-    const usdtBalance = res.data.find(b => b.asset === 'USDT');
-    return usdtBalance ? Number(usdtBalance.availableBalance) : 0;
+    const balances = await exchange.getBalances();
+    const usdtBalance = balances.find(b => b.asset === 'USDT');
+    return usdtBalance ? usdtBalance.free : 0;
   } catch (err) {
     console.error('Failed to get balance:', err.message);
     return null;
   }
 }
 
-async function getOpenPositions() {
-  if (!API_KEY || !API_SECRET) return [];
-
-  const client = buildClient();
-  const timestamp = Date.now();
-  const params = `timestamp=${timestamp}`;
-  const signature = sign(params);
+async function getOpenPositions(accountName) {
+  const { exchange } = resolveAccount(accountName);
+  if (!exchange.hasCredentials()) return [];
 
   try {
-    const res = await client.get(`/fapi/v2/positionRisk?${params}&signature=${signature}`);
-    return res.data.filter(p => Number(p.positionAmt) !== 0);
+    return await exchange.getPositions();
   } catch (err) {
     console.error('Failed to get positions:', err.message);
     return [];
   }
 }
 
-async function setLeverage(symbol, leverage) {
-  if (!API_KEY || !API_SECRET) return false;
-
-  const client = buildClient();
-  const timestamp = Date.now();
-  const params = `symbol=${symbol}&leverage=${leverage}&timestamp=${timestamp}`;
-  const signature = sign(params);
+async function setLeverage(account, symbol, leverage) {
+  const { exchange } = account;
+  if (!exchange.hasCredentials()) return false;
 
   try {
-    await client.post(`/fapi/v1/leverage?${params}&signature=${signature}`);
+    await exchange.setLeverage(symbol, leverage);
     return true;
   } catch (err) {
     // Leverage might already be set, ignore error
@@ -255,316 +242,237 @@ async function setLeverage(symbol, leverage) {
   }
 }
 
-async function placeMarketOrder(symbol, side, quantity) {
-  if (!API_KEY || !API_SECRET) {
-    console.log(`[DRY RUN] Would place ${side} order for ${quantity} ${symbol}`);
+async function placeMarketOrder(account, symbol, side, quantity, { reduceOnly = false } = {}) {
+  const { exchange } = account;
+  if (!exchange.hasCredentials()) {
+    console.log(`[DRY RUN]${accountTag(account)} Would place ${side} order for ${quantity} ${symbol}`);
     return { orderId: 'dry-run', status: 'DRY_RUN' };
   }
 
-  const client = buildClient();
-  const timestamp = Date.now();
-  const params = `symbol=${symbol}&side=${side}&type=MARKET&quantity=${quantity}&timestamp=${timestamp}`;
-  const signature = sign(params);
-
-  try {
-    const res = await client.post(`/fapi/v1/order?${params}&signature=${signature}`);
-    console.log(`Placed ${side} order for ${quantity} ${symbol}:`, res.data.orderId);
-    return res.data;
-  } catch (err) {
-    console.error(`Failed to place ${side} order:`, err.response?.data || err.message);
-    throw err;
-  }
-}
-
-async function placeStopLossOrder(symbol, side, quantity, stopPrice) {
-  if (!API_KEY || !API_SECRET) {
-    console.log(`[DRY RUN] Would place SL at ${stopPrice} for ${symbol}`);
-    return { orderId: 'dry-run-sl', status: 'DRY_RUN' };
-  }
-
-  const client = buildClient();
-  const timestamp = Date.now();
-  const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
-  const params = `symbol=${symbol}&side=${closeSide}&type=STOP_MARKET&quantity=${quantity}&stopPrice=${stopPrice}&closePosition=true&timestamp=${timestamp}`;
-  const signature = sign(params);
-
-  try {
-    const res = await client.post(`/fapi/v1/order?${params}&signature=${signature}`);
-    console.log(`Placed SL order at ${stopPrice} for ${symbol}:`, res.data.orderId);
-    return res.data;
-  } catch (err) {
-    console.error(`Failed to place SL order:`, err.response?.data || err.message);
-    throw err;
-  }
-}
-
-async function placeTakeProfitOrder(symbol, side, quantity, takeProfitPrice) {
-  if (!API_KEY || !API_SECRET) {
-    console.log(`[DRY RUN] Would place TP at ${takeProfitPrice} for ${symbol}`);
-    return { orderId: 'dry-run-tp', status: 'DRY_RUN' };
-  }
-
-  const client = buildClient();
-  const timestamp = Date.now();
-  const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
-  const params = `symbol=${symbol}&side=${closeSide}&type=TAKE_PROFIT_MARKET&quantity=${quantity}&stopPrice=${takeProfitPrice}&closePosition=true&timestamp=${timestamp}`;
-  const signature = sign(params);
-
   try {
-    const res = await client.post(`/fapi/v1/order?${params}&signature=${signature}`);
-    console.log(`Placed TP order at ${takeProfitPrice} for ${symbol}:`, res.data.orderId);
-    return res.data;
+    const order = await exchange.placeOrder({ symbol, side, type: 'MARKET', quantity, reduceOnly });
+    console.log(`Placed ${side} order for ${quantity} ${symbol}${accountTag(account)}:`, order.orderId);
+    return order;
   } catch (err) {
-    console.error(`Failed to place TP order:`, err.response?.data || err.message);
+    console.error(`Failed to place ${side} order:`, err.message);
     throw err;
   }
 }
 
-async function cancelAllOrders(symbol) {
-  if (!API_KEY || !API_SECRET) return;
-
-  const client = buildClient();
-  const timestamp = Date.now();
-  const params = `symbol=${symbol}&timestamp=${timestamp}`;
-  const signature = sign(params);
+async function cancelAllOrders(account, symbol) {
+  const { exchange } = account;
+  if (!exchange.hasCredentials()) return;
 
   try {
-    await client.delete(`/fapi/v1/allOpenOrders?${params}&signature=${signature}`);
-    console.log(`Cancelled all orders for ${symbol}`);
+    await exchange.cancelAllOrders(symbol);
+    console.log(`Cancelled all orders for ${symbol}${accountTag(account)}`);
   } catch (err) {
-    console.error(`Failed to cancel orders:`, err.response?.data || err.message);
+    console.error(`Failed to cancel orders:`, err.message);
   }
 }
 
-async function getSymbolInfo(symbol) {
+async function getSymbolInfo(account, symbol) {
   try {
-    const client = axios.create({ baseURL: API_BASE, timeout: 10000 });
-    const res = await client.get('/fapi/v1/exchangeInfo');
-    const symbolInfo = res.data.symbols.find(s => s.symbol === symbol);
-    if (!symbolInfo) return null;
-
-    const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
-    const priceFilter = symbolInfo.filters.find(f => f.filterType === 'PRICE_FILTER');
-
-    return {
-      minQty: Number(lotSizeFilter?.minQty || 0.001),
-      stepSize: Number(lotSizeFilter?.stepSize || 0.001),
-      tickSize: Number(priceFilter?.tickSize || 0.01),
-      pricePrecision: symbolInfo.pricePrecision,
-      quantityPrecision: symbolInfo.quantityPrecision
-    };
+    return await account.exchange.getSymbolFilters(symbol);
   } catch (err) {
     console.error('Failed to get symbol info:', err.message);
     return null;
   }
 }
 
-function roundToStep(value, step, precision) {
-  const rounded = Math.floor(value / step) * step;
-  return Number(rounded.toFixed(precision));
-}
-
-function roundPrice(price, tickSize, precision) {
-  const rounded = Math.round(price / tickSize) * tickSize;
-  return Number(rounded.toFixed(precision));
-}
-
-async function executeTrade(signal) {
-  // Safety checks
-  if (!TRADING_ENABLED) {
-    console.log('[TRADING DISABLED] Would execute trade for', signal.symbol);
-    return { executed: false, reason: 'Trading disabled' };
+// Entry gates that depend on this module's state; the signal-only ones live in entryGates
+const tradingEnabledGate = {
+  name: 'trading-enabled',
+  evaluate: ({ account }) => {
+    if (!account.tradingEnabled) return fail('Trading disabled');
+    return pass(account.shadow ? 'Shadow mode - paper execution' : 'Auto-trading enabled');
   }
+};
 
-  if (!API_KEY || !API_SECRET) {
-    console.log('[NO API KEYS] Cannot execute trade for', signal.symbol);
-    return { executed: false, reason: 'No API keys configured' };
+const credentialsGate = {
+  name: 'api-keys',
+  evaluate: ({ account }) => {
+    if (account.shadow) return pass('Shadow order book - no API keys needed');
+    return account.exchange.hasCredentials()
+      ? pass(`${account.exchange.name} API keys configured`)
+      : fail('No API keys configured');
   }
+};
 
-  // Check confidence threshold - sniper/surge signals get lower thresholds
-  const confidence = signal.ai?.confidence || 0;
-  const isSniper = signal.ai?.trade?.isSniper || signal.signal?.includes('SNIPER') || signal.ai?.sniperAnalysis?.isSniper;
-  const isVolumeSurge = signal.ai?.sniperAnalysis?.isVolumeSurge || signal.ai?.sniperAnalysis?.volumeSurge?.detected || signal.indicators?.volumeSurge?.detected;
-  const isExplosiveSurge = signal.ai?.sniperAnalysis?.volumeSurge?.isExplosive || signal.indicators?.volumeSurge?.isExplosive;
-
-  let effectiveThreshold = runtimeSettings.minConfidence;
-  let thresholdLabel = '';
-
-  if (isExplosiveSurge) {
-    // Explosive volume surge = meme/alpha pump, lowest threshold (45%)
-    effectiveThreshold = Math.max(0.45, runtimeSettings.minConfidence - 0.20);
-    thresholdLabel = ' (explosive surge)';
-  } else if (isVolumeSurge) {
-    // Volume surge = emerging move, lower threshold (50%)
-    effectiveThreshold = Math.max(0.50, runtimeSettings.minConfidence - 0.15);
-    thresholdLabel = ' (volume surge)';
-  } else if (isSniper) {
-    // Sniper signal = predictive entry (50%)
-    effectiveThreshold = Math.max(0.50, runtimeSettings.minConfidence - 0.15);
-    thresholdLabel = ' (sniper)';
-  }
+// Market sentiment and news - can block, or nudge confidence by SENTIMENT_WEIGHT
+const sentimentGate = {
+  name: 'sentiment',
+  async evaluate(ctx) {
+    const sentimentResult = await evaluateSentiment(ctx.symbol, ctx.direction);
+    const data = {
+      sentiment: {
+        fearGreed: sentimentResult.sentiment?.fearGreed?.value,
+        news: sentimentResult.sentiment?.news?.sentiment,
+        combined: sentimentResult.sentiment?.combined?.classification
+      }
+    };
 
-  if (confidence < effectiveThreshold) {
-    return { executed: false, reason: `Confidence ${(confidence * 100).toFixed(0)}% below ${(effectiveThreshold * 100).toFixed(0)}% threshold${thresholdLabel}` };
-  }
+    if (!sentimentResult.allowed) return fail(sentimentResult.reason, { data });
+    if (sentimentResult.adjustment === 0) return pass(sentimentResult.reason, { data });
 
-  // Check if we have a valid trade setup
-  const trade = signal.ai?.trade;
-  if (!trade || !trade.entry || !trade.stopLoss || !trade.takeProfit?.[0]) {
-    return { executed: false, reason: 'No valid trade setup' };
+    const adjustedConfidence = ctx.confidence + sentimentResult.adjustment;
+    if (sentimentResult.adjustment < 0 && adjustedConfidence < ctx.threshold) {
+      return fail(
+        `Sentiment reduced confidence to ${(adjustedConfidence * 100).toFixed(0)}%, below ${(ctx.threshold * 100).toFixed(0)}% threshold`,
+        { scoreDelta: sentimentResult.adjustment, data }
+      );
+    }
+    return adjust(sentimentResult.reason, { scoreDelta: sentimentResult.adjustment, data });
   }
+};
 
-  // Check candle strength - avoid entering on weak/doji candles
-  const indicators = signal.indicators;
-  if (indicators?.atr && indicators?.currentPrice) {
-    const atrPercent = (indicators.atr / indicators.currentPrice) * 100;
-
-    // In very low volatility (< 0.15% ATR), skip trade - market is dead
-    // Note: 1m/5m/15m candles typically have 0.1-0.5% ATR; 0.8% was blocking most short-TF trades
-    if (atrPercent < 0.15) {
-      return { executed: false, reason: `Volatility too low (ATR ${atrPercent.toFixed(2)}%) - skipping` };
+const dailyTradesGate = {
+  name: 'daily-trades',
+  evaluate({ account }) {
+    const { dailyTrades, settings: runtimeSettings } = account;
+    const today = new Date().toDateString();
+    if (dailyTrades.date !== today) {
+      dailyTrades.date = today;
+      dailyTrades.count = 0;
     }
-
-    // Check if doji pattern detected (weak candle)
-    if (indicators.patterns?.includes('DOJI')) {
-      return { executed: false, reason: 'Doji candle detected - waiting for confirmation' };
+    if (dailyTrades.count >= runtimeSettings.maxDailyTrades) {
+      return fail(`Daily trade limit (${runtimeSettings.maxDailyTrades}) reached`);
     }
+    return pass(`${dailyTrades.count}/${runtimeSettings.maxDailyTrades} trades today`);
   }
+};
 
-  // === FAILURE PATTERN LEARNING CHECK ===
-  // Check if this entry matches known failure patterns from past trades
-  const direction = trade?.type === 'LONG' ? 'long' : 'short';
-  const failureRisk = checkFailurePatternRisk(signal.symbol, direction, indicators);
-
-  if (failureRisk.recommendation === 'AVOID') {
-    const reasons = failureRisk.risks.map(r => r.reason).join(', ');
-    console.log(`⚠️ [LEARN] BLOCKED ${signal.symbol}: Matches ${failureRisk.risks.length} failure patterns - ${reasons}`);
-    return {
-      executed: false,
-      reason: `Blocked by learning: ${reasons}`,
-      failurePatterns: failureRisk.risks.map(r => r.pattern)
-    };
-  }
-
-  if (failureRisk.recommendation === 'CAUTION' && failureRisk.highRisk) {
-    // High risk pattern - require higher confidence (additional 10%)
-    const cautionThreshold = effectiveThreshold + 0.10;
-    if (confidence < cautionThreshold) {
-      const reasons = failureRisk.risks.map(r => r.reason).join(', ');
-      console.log(`⚠️ [LEARN] CAUTION ${signal.symbol}: ${reasons} - needs ${(cautionThreshold * 100).toFixed(0)}% confidence`);
-      return {
-        executed: false,
-        reason: `High-risk pattern (${reasons}) requires ${(cautionThreshold * 100).toFixed(0)}% confidence, got ${(confidence * 100).toFixed(0)}%`,
-        failurePatterns: failureRisk.risks.map(r => r.pattern)
-      };
+const openPositionsGate = {
+  name: 'open-positions',
+  async evaluate(ctx) {
+    if (ctx.entryInFlight) return fail('Entry already in progress for this symbol');
+    const runtimeSettings = ctx.account.settings;
+    const currentPositions = await getOpenPositions(ctx.account);
+    if (currentPositions.length >= runtimeSettings.maxOpenPositions) {
+      return fail(`Max open positions (${runtimeSettings.maxOpenPositions}) reached`);
     }
-  }
-
-  // === ENTRY QUALITY CHECK - Learn from what works ===
-  // Extract current entry conditions and check quality based on historical performance
-  const entryConditions = extractEntryConditions(indicators);
-  const entryQuality = checkEntryQuality(indicators, direction);
-
-  // Block trades with AVOID quality (matches multiple losing patterns)
-  if (entryQuality.quality === 'AVOID') {
-    console.log(`⛔ [LEARN] BLOCKED ${signal.symbol}: Entry quality AVOID - ${entryQuality.reason}`);
-    return {
-      executed: false,
-      reason: `Entry blocked by learning: ${entryQuality.reason}`,
-      entryQuality: entryQuality.quality,
-      conditions: entryConditions
-    };
-  }
-
-  // POOR quality entries need extra confidence (+15%)
-  if (entryQuality.quality === 'POOR') {
-    const poorThreshold = effectiveThreshold + 0.15;
-    if (confidence < poorThreshold) {
-      console.log(`⚠️ [LEARN] POOR ${signal.symbol}: ${entryQuality.reason} - needs ${(poorThreshold * 100).toFixed(0)}% confidence`);
-      return {
-        executed: false,
-        reason: `Poor entry (${entryQuality.reason}) requires ${(poorThreshold * 100).toFixed(0)}% confidence`,
-        entryQuality: entryQuality.quality,
-        conditions: entryConditions
-      };
+    if (currentPositions.some(p => p.symbol === ctx.symbol)) {
+      return fail('Already in position for this symbol');
     }
+    return pass(`${currentPositions.length}/${runtimeSettings.maxOpenPositions} positions open`);
   }
+};
 
-  // EXCELLENT quality entries get a confidence boost (lower threshold by 5%)
-  if (entryQuality.quality === 'EXCELLENT') {
-    effectiveThreshold = Math.max(0.45, effectiveThreshold - 0.05);
-    console.log(`✨ [LEARN] EXCELLENT ${signal.symbol}: ${entryQuality.reason} - threshold lowered to ${(effectiveThreshold * 100).toFixed(0)}%`);
-  }
+// Cheap checks first so below-threshold signals never reach the sentiment/exchange calls
+const ENTRY_GATES = [
+  tradingEnabledGate,
+  credentialsGate,
+  tradeSetupGate,
+  confidenceGate,
+  volatilityGate,
+  failurePatternGate,
+  entryQualityGate,
+  sentimentGate,
+  calendarGate,
+  riskLimitsGate,
+  dailyTradesGate,
+  openPositionsGate
+];
+
+function buildEntryContext(signal, account, options = {}) {
+  const flags = { ...getSetupFlags(signal.ai, signal.signal, signal.indicators), ...options.setup };
+  const setup = flags.isExplosiveSurge ? 'explosive surge'
+    : flags.isVolumeSurge ? 'volume surge'
+    : flags.isSniper ? 'sniper'
+    : 'standard';
 
-  // === SENTIMENT CHECK ===
-  // Evaluate market sentiment and news before entering
-  const sentimentResult = await evaluateSentiment(signal.symbol, direction);
+  return {
+    signal,
+    account,
+    symbol: signal.symbol,
+    interval: signal.interval || null,
+    source: options.source || 'signal',
+    indicators: signal.indicators,
+    direction: signal.ai?.trade?.type === 'LONG' ? 'long' : 'short',
+    flags,
+    setup,
+    confidence: signal.ai?.confidence || 0,
+    threshold: getEntryThreshold(flags, { minConfidence: account.settings.minConfidence }),
+    sizeMultiplier: 1,
+    data: {}
+  };
+}
 
-  if (!sentimentResult.allowed) {
-    console.log(`🛑 [SENTIMENT] BLOCKED ${signal.symbol} ${direction.toUpperCase()}: ${sentimentResult.reason}`);
-    return {
-      executed: false,
-      reason: sentimentResult.reason,
-      sentiment: {
-        fearGreed: sentimentResult.sentiment?.fearGreed?.value,
-        news: sentimentResult.sentiment?.news?.sentiment,
-        combined: sentimentResult.sentiment?.combined?.classification
-      }
-    };
-  }
+/**
+ * Run a signal through one account's entry gates and open the trade if they all pass.
+ * Every call leaves a decision record (see decisionLog).
+ * @param {Object} signal - from deriveSignal (symbol, interval, signal, ai, indicators)
+ * @param {Object} options - { source: 'signal'|'surge'|'chat', setup: flag overrides, account: name (default main) }
+ */
+async function executeTrade(signal, options = {}) {
+  const account = resolveAccount(options.account);
+  const ctx = buildEntryContext(signal, account, options);
 
-  // Apply sentiment adjustment to confidence
-  if (sentimentResult.adjustment !== 0) {
-    const adjustedConfidence = confidence + sentimentResult.adjustment;
-    if (sentimentResult.adjustment > 0) {
-      console.log(`📈 [SENTIMENT] ${signal.symbol}: Confidence boosted ${(sentimentResult.adjustment * 100).toFixed(0)}% → ${(adjustedConfidence * 100).toFixed(0)}% (${sentimentResult.reason})`);
-    } else {
-      console.log(`📉 [SENTIMENT] ${signal.symbol}: Confidence reduced ${(sentimentResult.adjustment * 100).toFixed(0)}% → ${(adjustedConfidence * 100).toFixed(0)}% (${sentimentResult.reason})`);
-      // If sentiment significantly reduces confidence below threshold, block
-      if (adjustedConfidence < effectiveThreshold) {
-        return {
-          executed: false,
-          reason: `Sentiment reduced confidence to ${(adjustedConfidence * 100).toFixed(0)}%, below ${(effectiveThreshold * 100).toFixed(0)}% threshold`,
-          sentiment: {
-            fearGreed: sentimentResult.sentiment?.fearGreed?.value,
-            adjustment: sentimentResult.adjustment,
-            reason: sentimentResult.reason
-          }
-        };
-      }
-    }
-  }
+  // Reserve the symbol before the first await, so a second signal for it
+  // can't pass the gates while this one is still on its way to the exchange
+  ctx.entryInFlight = account.pendingEntries.has(ctx.symbol);
+  if (!ctx.entryInFlight) account.pendingEntries.add(ctx.symbol);
 
-  // === ECONOMIC CALENDAR CHECK ===
-  // Reduce exposure during high-impact macro events (FOMC, CPI, NFP)
-  const calendarAdjustment = getEventTradingAdjustment();
-  if (calendarAdjustment.warnings.length > 0) {
-    console.log(`📅 [CALENDAR] ${signal.symbol}: ${calendarAdjustment.warnings.join(', ')}`);
+  let verdict;
+  let result;
+  try {
+    await restoreTradingState();
+    verdict = await runEntryGates(ENTRY_GATES, ctx);
+    result = verdict.passed
+      ? await openTrade(signal, ctx)
+      : { executed: false, reason: verdict.reason, gate: verdict.rejectedBy };
+  } finally {
+    if (!ctx.entryInFlight) account.pendingEntries.delete(ctx.symbol);
   }
 
-  // Check daily trade limit
-  const today = new Date().toDateString();
-  if (dailyTrades.date !== today) {
-    dailyTrades.date = today;
-    dailyTrades.count = 0;
-  }
-  if (dailyTrades.count >= runtimeSettings.maxDailyTrades) {
-    return { executed: false, reason: `Daily trade limit (${runtimeSettings.maxDailyTrades}) reached` };
-  }
+  const decision = recordDecision({
+    account: account.name,
+    ...shadowFlag(account),
+    symbol: ctx.symbol,
+    interval: ctx.interval,
+    source: ctx.source,
+    signal: signal.signal,
+    direction: ctx.direction,
+    setup: ctx.setup,
+    confidence: signal.ai?.confidence || 0,
+    adjustedConfidence: Number(ctx.confidence.toFixed(4)),
+    threshold: Number(ctx.threshold.toFixed(4)),
+    sizeMultiplier: ctx.sizeMultiplier,
+    // rejected = a gate said no, failed = gates passed but the order didn't go through
+    outcome: result.executed ? 'executed' : verdict.passed ? 'failed' : 'rejected',
+    rejectedBy: verdict.rejectedBy,
+    reason: result.executed ? 'Trade opened' : result.reason,
+    gates: verdict.gates,
+    order: result.order || null
+  });
 
-  // Check open positions limit
-  const currentPositions = await getOpenPositions();
-  if (currentPositions.length >= runtimeSettings.maxOpenPositions) {
-    return { executed: false, reason: `Max open positions (${runtimeSettings.maxOpenPositions}) reached` };
-  }
+  return { ...result, decisionId: decision.id };
+}
 
-  // Check if already in position for this symbol
-  if (currentPositions.some(p => p.symbol === signal.symbol)) {
-    return { executed: false, reason: 'Already in position for this symbol' };
+/**
+ * Fan a signal out to every account with auto-trading on. Accounts run one
+ * after another so their exchange calls and logs don't interleave.
+ * @returns {Promise<Array>} [{ account, executed, reason, order, decisionId }]
+ */
+async function executeTradeForAllAccounts(signal, options = {}) {
+  const results = [];
+  for (const account of listAccounts()) {
+    if (!account.tradingEnabled) continue;
+    const result = await executeTrade(signal, { ...options, account });
+    results.push({ account: account.name, ...shadowFlag(account), ...result });
   }
+  return results;
+}
+
+async function openTrade(signal, ctx) {
+  const trade = signal.ai.trade;
+  const { isSniper, isVolumeSurge, isExplosiveSurge } = ctx.flags;
+  const { account } = ctx;
+  const runtimeSettings = account.settings;
+  const profile = getActiveProfileName();
 
   // Get account balance
-  const balance = await getAccountBalance();
+  const balance = await getAccountBalance(account);
   if (balance === null) {
     return { executed: false, reason: 'Could not fetch balance - check API keys and IP whitelist' };
   }
@@ -573,7 +481,7 @@ async function executeTrade(signal) {
   }
 
   // Get symbol trading info
-  const symbolInfo = await getSymbolInfo(signal.symbol);
+  const symbolInfo = await getSymbolInfo(account, signal.symbol);
   if (!symbolInfo) {
     return { executed: false, reason: 'Could not get symbol info' };
   }
@@ -581,11 +489,11 @@ async function executeTrade(signal) {
   // Calculate position size based on risk
   let riskAmount = balance * runtimeSettings.riskPerTrade;
 
-  // Apply calendar adjustment (reduce size during high-impact events)
-  if (calendarAdjustment.positionSizeMultiplier < 1) {
+  // Apply gate size adjustments (calendar: reduce size during high-impact events)
+  if (ctx.sizeMultiplier < 1) {
     const originalRisk = riskAmount;
-    riskAmount = riskAmount * calendarAdjustment.positionSizeMultiplier;
-    console.log(`📅 [CALENDAR] ${signal.symbol}: Position size reduced ${((1 - calendarAdjustment.positionSizeMultiplier) * 100).toFixed(0)}% ($${originalRisk.toFixed(2)} → $${riskAmount.toFixed(2)})`);
+    riskAmount = riskAmount * ctx.sizeMultiplier;
+    console.log(`📅 [CALENDAR] ${signal.symbol}: Position size reduced ${((1 - ctx.sizeMultiplier) * 100).toFixed(0)}% ($${originalRisk.toFixed(2)} → $${riskAmount.toFixed(2)})`);
   }
 
   const riskPerUnit = Math.abs(trade.entry - trade.stopLoss);
@@ -609,47 +517,27 @@ async function executeTrade(signal) {
 
   try {
     // Set leverage first
-    await setLeverage(signal.symbol, runtimeSettings.leverage);
+    await setLeverage(account, signal.symbol, runtimeSettings.leverage);
 
     // Place market entry order
-    const entryOrder = await placeMarketOrder(signal.symbol, side, quantity);
+    const entryOrder = await placeMarketOrder(account, signal.symbol, side, quantity);
 
-    // Place stop loss order with retry logic
-    let slOrder = null;
-    let slAttempts = 0;
-    while (!slOrder && slAttempts < 3) {
-      try {
-        slOrder = await placeStopLossOrder(signal.symbol, side, quantity, stopLoss);
-      } catch (slErr) {
-        slAttempts++;
-        console.warn(`SL placement attempt ${slAttempts} failed:`, slErr.message);
-        if (slAttempts < 3) {
-          await new Promise(r => setTimeout(r, 1000)); // Wait 1s before retry
-        }
-      }
-    }
-
-    // Place take profit order with retry logic
-    let tpOrder = null;
-    let tpAttempts = 0;
-    while (!tpOrder && tpAttempts < 3) {
-      try {
-        tpOrder = await placeTakeProfitOrder(signal.symbol, side, quantity, takeProfit);
-      } catch (tpErr) {
-        tpAttempts++;
-        console.warn(`TP placement attempt ${tpAttempts} failed:`, tpErr.message);
-        if (tpAttempts < 3) {
-          await new Promise(r => setTimeout(r, 1000)); // Wait 1s before retry
-        }
-      }
-    }
-
-    // CRITICAL: If SL failed after all retries, close position immediately for safety
-    if (!slOrder) {
+    // Place SL, TP ladder and native trailing stop on the exchange
+    let exits;
+    try {
+      exits = await placeExitOrders(
+        { symbol: signal.symbol, side: trade.type, quantity, entryPrice: trade.entry, stopLoss },
+        trade.takeProfit,
+        symbolInfo,
+        account.exchange
+      );
+    } catch (slErr) {
+      // CRITICAL: If SL failed after all retries, close position immediately for safety
       console.error(`CRITICAL: SL placement failed for ${signal.symbol} after 3 attempts. Closing position for safety.`);
       try {
+        await cancelAllOrders(account, signal.symbol);
         const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
-        await placeMarketOrder(signal.symbol, closeSide, quantity);
+        await placeMarketOrder(account, signal.symbol, closeSide, quantity, { reduceOnly: true });
         console.log(`Position closed for ${signal.symbol} due to failed SL placement`);
       } catch (closeErr) {
         console.error(`EMERGENCY: Could not close position after SL failure:`, closeErr.message);
@@ -657,8 +545,12 @@ async function executeTrade(signal) {
       return { executed: false, reason: 'SL placement failed - position closed for safety' };
     }
 
+    const slOrder = exits.stopOrder;
+    const takeProfits = exits.takeProfits;
+    const hasTP = takeProfits.some(tp => tp.orderId);
+
     // If TP failed, log warning but continue (SL is protecting the position)
-    if (!tpOrder) {
+    if (!hasTP) {
       console.warn(`WARNING: TP placement failed for ${signal.symbol}. Position protected by SL only.`);
     }
 
@@ -671,7 +563,7 @@ async function executeTrade(signal) {
       : trade.entry * (1 + liqDistance * 0.9);
 
     // Track position
-    openPositions.set(signal.symbol, {
+    account.openPositions.set(signal.symbol, {
       symbol: signal.symbol,
       side: trade.type,
       quantity,
@@ -680,24 +572,30 @@ async function executeTrade(signal) {
       takeProfit,
       liquidationPrice,
       entryOrderId: entryOrder.orderId,
-      slOrderId: slOrder?.orderId || null,
-      tpOrderId: tpOrder?.orderId || null,
-      hasTP: !!tpOrder,
-      hasSL: !!slOrder,
+      slOrderId: slOrder.orderId,
+      tpOrderId: takeProfits[0]?.orderId || null,
+      takeProfits,
+      trailingOrderId: exits.trailingOrder?.orderId || null,
+      initialQuantity: quantity,
+      breakEven: false,
+      filters: symbolInfo,
+      hasTP,
+      hasSL: true,
       openTime: Date.now(),
       peakProfit: 0,
       signal,
+      profile,
       // Entry condition learning
-      entryConditions,
-      entryQuality: entryQuality.quality,
-      expectedWinRate: entryQuality.expectedWinRate
+      entryConditions: ctx.data.entryConditions,
+      entryQuality: ctx.data.entryQuality,
+      expectedWinRate: ctx.data.expectedWinRate
     });
 
     // Update daily trades count
-    dailyTrades.count++;
+    account.dailyTrades.count++;
 
     // Add to history
-    tradeHistory.push({
+    account.tradeHistory.push({
       symbol: signal.symbol,
       side: trade.type,
       quantity,
@@ -709,14 +607,16 @@ async function executeTrade(signal) {
       timestamp: Date.now(),
       status: 'OPENED',
       isSniper,
-      isVolumeSurge: !!isVolumeSurge,
-      isExplosiveSurge: !!isExplosiveSurge,
-      hasSL: !!slOrder,
-      hasTP: !!tpOrder
+      isVolumeSurge,
+      isExplosiveSurge,
+      profile,
+      hasSL: true,
+      hasTP
     });
+    saveTradingState(account);
 
     const tradeTag = isExplosiveSurge ? 'SURGE EXPLOSIVE ' : isVolumeSurge ? 'SURGE ' : isSniper ? 'SNIPER ' : '';
-    console.log(`${tradeTag}TRADE EXECUTED: ${trade.type} ${signal.symbol} qty=${quantity} entry=${trade.entry} sl=${stopLoss} tp=${takeProfit} (SL: ${!!slOrder}, TP: ${!!tpOrder}, conf: ${(confidence * 100).toFixed(0)}%, threshold: ${(effectiveThreshold * 100).toFixed(0)}%)`);
+    console.log(`${tradeTag}TRADE EXECUTED${accountTag(account)}: ${trade.type} ${signal.symbol} qty=${quantity} entry=${trade.entry} sl=${stopLoss} tp=${takeProfits.map(tp => `${tp.price}x${tp.quantity}`).join('/')} (TP orders: ${takeProfits.filter(tp => tp.orderId).length}, trailing: ${!!exits.trailingOrder}, conf: ${(ctx.confidence * 100).toFixed(0)}%, threshold: ${(ctx.threshold * 100).toFixed(0)}%)`);
 
     return {
       executed: true,
@@ -727,209 +627,244 @@ async function executeTrade(signal) {
         entryOrderId: entryOrder.orderId,
         stopLoss,
         takeProfit,
-        hasSL: !!slOrder,
-        hasTP: !!tpOrder,
+        takeProfits: takeProfits.map(({ level, price, quantity }) => ({ level, price, quantity })),
+        trailingStop: !!exits.trailingOrder,
+        hasSL: true,
+        hasTP,
         isVolumeSurge,
-        isExplosiveSurge
+        isExplosiveSurge,
+        profile
       }
     };
   } catch (err) {
-    console.error(`Trade execution failed for ${signal.symbol}:`, err.message);
+    console.error(`Trade execution failed for ${signal.symbol}${accountTag(account)}:`, err.message);
     return { executed: false, reason: err.message };
   }
 }
 
-async function closePosition(symbol, reason = 'manual', currentPrice = null, exitIndicators = null) {
-  const position = openPositions.get(symbol);
+async function closePosition(symbol, reason = 'manual', currentPrice = null, exitIndicators = null, accountName) {
+  const account = resolveAccount(accountName);
+  const position = account.openPositions.get(symbol);
   if (!position) {
     return { closed: false, reason: 'No position found' };
   }
 
   try {
     // Cancel existing SL/TP orders
-    await cancelAllOrders(symbol);
+    await cancelAllOrders(account, symbol);
 
-    // Close position with market order
+    // Close whatever the TP ladder left with a market order
     const closeSide = position.side === 'LONG' ? 'SELL' : 'BUY';
-    await placeMarketOrder(symbol, closeSide, position.quantity);
-
-    // Determine trade result for pattern learning
-    let result = 'breakeven';
-    if (currentPrice && position.entryPrice) {
-      const pnl = position.side === 'LONG'
-        ? (currentPrice - position.entryPrice) / position.entryPrice
-        : (position.entryPrice - currentPrice) / position.entryPrice;
-
-      if (pnl > 0.005) result = 'win'; // > 0.5% profit
-      else if (pnl < -0.005) result = 'loss'; // > 0.5% loss
-    } else if (reason.includes('profit') || reason.includes('TP')) {
-      result = 'win';
-    } else if (reason.includes('SL') || reason.includes('stop')) {
-      result = 'loss';
-    }
+    await placeMarketOrder(account, symbol, closeSide, position.quantity, { reduceOnly: true });
 
-    // Record pattern for learning
-    if (position.signal) {
-      try {
-        recordPattern(position.signal, result);
-        console.log(`Pattern recorded for ${symbol}: ${result}`);
-      } catch (e) {
-        // Pattern memory might not be loaded
-      }
+    return recordClosedPosition(account, symbol, position, reason, blendedExitPrice(position, currentPrice), exitIndicators);
+  } catch (err) {
+    console.error(`Failed to close position for ${symbol}:`, err.message);
+    return { closed: false, reason: err.message };
+  }
+}
+
+/**
+ * Feed a finished trade into pattern memory, AI learning, the account's risk
+ * book and ML, then stop tracking it. Used for bot closes and for exits that
+ * filled on the exchange. Adopted manual positions are only dropped and noted
+ * in the trade history - their result is the user's, not the bot's.
+ */
+function recordClosedPosition(account, symbol, position, reason, currentPrice, exitIndicators = null) {
+  if (position.manual) {
+    account.tradeHistory.push({
+      symbol,
+      side: position.side,
+      quantity: position.initialQuantity || position.quantity,
+      entryPrice: position.entryPrice,
+      exitPrice: currentPrice,
+      timestamp: position.openTime,
+      status: 'CLOSED',
+      closeReason: reason,
+      closeTime: Date.now(),
+      manual: true
+    });
+    account.openPositions.delete(symbol);
+    saveTradingState(account);
+    console.log(`Manual position closed for ${symbol}${accountTag(account)}: ${reason}`);
+    return { closed: true, symbol, reason, result: null, manual: true };
+  }
+
+  // Determine trade result for pattern learning
+  let result = 'breakeven';
+  if (currentPrice && position.entryPrice) {
+    const pnl = position.side === 'LONG'
+      ? (currentPrice - position.entryPrice) / position.entryPrice
+      : (position.entryPrice - currentPrice) / position.entryPrice;
+
+    if (pnl > 0.005) result = 'win'; // > 0.5% profit
+    else if (pnl < -0.005) result = 'loss'; // > 0.5% loss
+  } else if (reason.includes('profit') || reason.includes('TP')) {
+    result = 'win';
+  } else if (reason.includes('SL') || reason.includes('stop')) {
+    result = 'loss';
+  }
+
+  // Record pattern for learning
+  if (position.signal) {
+    try {
+      recordPattern(position.signal, result);
+      console.log(`Pattern recorded for ${symbol}: ${result}`);
+    } catch (e) {
+      // Pattern memory might not be loaded
     }
+  }
+
+  // Calculate PnL for learning
+  let pnlPercent = 0;
+  if (currentPrice && position.entryPrice) {
+    pnlPercent = position.side === 'LONG'
+      ? ((currentPrice - position.entryPrice) / position.entryPrice) * 100
+      : ((position.entryPrice - currentPrice) / position.entryPrice) * 100;
+  }
 
-    // Calculate PnL for learning
-    let pnlPercent = 0;
-    if (currentPrice && position.entryPrice) {
-      pnlPercent = position.side === 'LONG'
-        ? ((currentPrice - position.entryPrice) / position.entryPrice) * 100
-        : ((position.entryPrice - currentPrice) / position.entryPrice) * 100;
+  // Record trade for AI learning
+  try {
+    learnFromTrade({
+      indicators: position.signal?.indicators,
+      signal: position.signal?.signal,
+      direction: position.side?.toLowerCase(),
+      pnlPercent,
+      result,
+      symbol,
+      timestamp: Date.now()
+    });
+
+    // CRITICAL: Learn from severe losses
+    if (pnlPercent <= -5) {
+      learnFromSevereLoss({
+        symbol,
+        pnlPercent,
+        indicators: position.signal?.indicators,
+        direction: position.side?.toLowerCase()
+      });
     }
 
-    // Record trade for AI learning
-    try {
-      learnFromTrade({
+    // CRITICAL: Learn from liquidation-level losses
+    if (pnlPercent <= -15 || reason.includes('LIQUIDATION') || reason.includes('EMERGENCY')) {
+      learnFromLiquidation({
+        symbol,
         indicators: position.signal?.indicators,
-        signal: position.signal?.signal,
+        entryPrice: position.entryPrice,
+        liquidationPrice: position.liquidationPrice,
         direction: position.side?.toLowerCase(),
-        pnlPercent,
-        result,
-        symbol,
+        fundingRate: position.signal?.indicators?.fundingRate || null,
+        volumeAtEntry: position.signal?.indicators?.volume || null,
         timestamp: Date.now()
       });
+    }
 
-      // CRITICAL: Learn from severe losses
-      if (pnlPercent <= -5) {
-        learnFromSevereLoss({
-          symbol,
-          pnlPercent,
-          indicators: position.signal?.indicators,
-          direction: position.side?.toLowerCase()
-        });
-      }
-
-      // CRITICAL: Learn from liquidation-level losses
-      if (pnlPercent <= -15 || reason.includes('LIQUIDATION') || reason.includes('EMERGENCY')) {
-        learnFromLiquidation({
-          symbol,
-          indicators: position.signal?.indicators,
-          entryPrice: position.entryPrice,
-          liquidationPrice: position.liquidationPrice,
-          direction: position.side?.toLowerCase(),
-          fundingRate: position.signal?.indicators?.fundingRate || null,
-          volumeAtEntry: position.signal?.indicators?.volume || null,
-          timestamp: Date.now()
-        });
-      }
-
-      // CRITICAL: Analyze failure patterns for ALL losses > 2%
-      // This learns what specific mistakes were made (fakeout, resistance reject, etc.)
-      if (result === 'loss' && pnlPercent <= -2) {
-        const failures = analyzeTradeFailure({
-          symbol,
-          direction: position.side?.toLowerCase(),
-          entryPrice: position.entryPrice,
-          exitPrice: currentPrice,
-          pnlPercent,
-          entryIndicators: position.signal?.indicators,
-          exitIndicators: exitIndicators, // Current indicators passed from monitorPosition
-          holdTime: Date.now() - position.openTime
-        });
-
-        if (failures.length > 0) {
-          console.log(`📊 [LEARN] ${symbol} failure patterns detected: ${failures.map(f => f.type).join(', ')}`);
-        }
-      }
+    // CRITICAL: Analyze failure patterns for ALL losses > 2%
+    // This learns what specific mistakes were made (fakeout, resistance reject, etc.)
+    if (result === 'loss' && pnlPercent <= -2) {
+      const failures = analyzeTradeFailure({
+        symbol,
+        direction: position.side?.toLowerCase(),
+        entryPrice: position.entryPrice,
+        exitPrice: currentPrice,
+        pnlPercent,
+        entryIndicators: position.signal?.indicators,
+        exitIndicators: exitIndicators, // Current indicators passed from monitorPosition
+        holdTime: Date.now() - position.openTime
+      });
 
-      // === LEARN FROM ENTRY CONDITIONS ===
-      // Update entry condition performance for ALL trades (wins AND losses)
-      // This helps the bot learn which entry conditions lead to success
-      if (position.entryConditions && position.entryConditions.length > 0) {
-        updateEntryConditionPerformance(position.entryConditions, result, pnlPercent);
-        const winLoss = result === 'win' || pnlPercent > 0 ? '✅ WIN' : '❌ LOSS';
-        console.log(`📈 [LEARN] ${symbol} ${winLoss}: Updated ${position.entryConditions.length} entry conditions (${position.entryConditions.slice(0, 3).join(', ')}...)`);
+      if (failures.length > 0) {
+        console.log(`📊 [LEARN] ${symbol} failure patterns detected: ${failures.map(f => f.type).join(', ')}`);
       }
+    }
 
-      // === DEEP TRADE ANALYSIS - Understand WHY ===
-      // Analyze root cause of win/loss, exit timing, optimal style
-      try {
-        const deepAnalysis = analyzeCompletedTrade({
-          symbol,
-          direction: position.side?.toLowerCase(),
-          entryPrice: position.entryPrice,
-          exitPrice: currentPrice,
-          pnlPercent,
-          result,
-          holdTime: Date.now() - position.openTime,
-          entryIndicators: position.signal?.indicators,
-          exitIndicators,
-          peakPnlPercent: position.peakProfit || 0,
-          troughPnlPercent: position.troughLoss || 0,
-          entryConditions: position.entryConditions,
-          signal: position.signal?.signal,
-          closeReason: reason
-        });
-
-        if (deepAnalysis.rootCauses.length > 0) {
-          const emoji = result === 'win' || pnlPercent > 0 ? '🎯' : '💡';
-          console.log(`${emoji} [ANALYSIS] ${symbol}: ${deepAnalysis.rootCauses.map(c => c.reason).join(', ')} | Style: ${deepAnalysis.style} | Exit: ${deepAnalysis.exitQuality}`);
-          if (deepAnalysis.lessonsLearned.length > 0) {
-            console.log(`   📚 Lesson: ${deepAnalysis.lessonsLearned[0].message}`);
-          }
-        }
-      } catch (e) {
-        console.warn('[TRADING] Deep analysis error:', e.message);
-      }
-    } catch (e) {
-      // AI learning might not be loaded
-      console.warn('[TRADING] Learning error:', e.message);
+    // === LEARN FROM ENTRY CONDITIONS ===
+    // Update entry condition performance for ALL trades (wins AND losses)
+    // This helps the bot learn which entry conditions lead to success
+    if (position.entryConditions && position.entryConditions.length > 0) {
+      updateEntryConditionPerformance(position.entryConditions, result, pnlPercent);
+      const winLoss = result === 'win' || pnlPercent > 0 ? '✅ WIN' : '❌ LOSS';
+      console.log(`📈 [LEARN] ${symbol} ${winLoss}: Updated ${position.entryConditions.length} entry conditions (${position.entryConditions.slice(0, 3).join(', ')}...)`);
     }
 
-    // Record for risk management
+    // === DEEP TRADE ANALYSIS - Understand WHY ===
+    // Analyze root cause of win/loss, exit timing, optimal style
     try {
-      recordRiskTrade({
-        pnl: pnlPercent * (position.quantity * position.entryPrice) / 100,
+      const deepAnalysis = analyzeCompletedTrade({
+        symbol,
+        direction: position.side?.toLowerCase(),
+        entryPrice: position.entryPrice,
+        exitPrice: currentPrice,
         pnlPercent,
         result,
-        symbol,
-        direction: position.side?.toLowerCase()
+        holdTime: Date.now() - position.openTime,
+        entryIndicators: position.signal?.indicators,
+        exitIndicators,
+        peakPnlPercent: position.peakProfit || 0,
+        troughPnlPercent: position.troughLoss || 0,
+        entryConditions: position.entryConditions,
+        signal: position.signal?.signal,
+        closeReason: reason,
+        profile: position.profile,
+        source: 'live'
       });
-    } catch (e) {
-      // Risk manager might not be loaded
-    }
 
-    // Add to ML training data
-    try {
-      if (position.signal?.indicators) {
-        addTrainingSample(
-          position.signal.indicators,
-          position.side?.toLowerCase(),
-          result === 'win' ? 1 : result === 'loss' ? -1 : 0
-        );
+      if (deepAnalysis.rootCauses.length > 0) {
+        const emoji = result === 'win' || pnlPercent > 0 ? '🎯' : '💡';
+        console.log(`${emoji} [ANALYSIS] ${symbol}: ${deepAnalysis.rootCauses.map(c => c.reason).join(', ')} | Style: ${deepAnalysis.style} | Exit: ${deepAnalysis.exitQuality}`);
+        if (deepAnalysis.lessonsLearned.length > 0) {
+          console.log(`   📚 Lesson: ${deepAnalysis.lessonsLearned[0].message}`);
+        }
       }
     } catch (e) {
-      // ML module might not be loaded
+      console.warn('[TRADING] Deep analysis error:', e.message);
     }
+  } catch (e) {
+    // AI learning might not be loaded
+    console.warn('[TRADING] Learning error:', e.message);
+  }
 
-    // Remove from tracking
-    openPositions.delete(symbol);
+  // Record for risk management
+  try {
+    recordRiskTrade({
+      pnl: pnlPercent * ((position.initialQuantity || position.quantity) * position.entryPrice) / 100,
+      pnlPercent,
+      result,
+      symbol,
+      direction: position.side?.toLowerCase()
+    }, account.risk);
+  } catch (e) {
+    // Risk manager might not be loaded
+  }
 
-    console.log(`Position closed for ${symbol}: ${reason} (${result})`);
-    return { closed: true, symbol, reason, result };
-  } catch (err) {
-    console.error(`Failed to close position for ${symbol}:`, err.message);
-    return { closed: false, reason: err.message };
+  // Add to ML training data
+  try {
+    if (position.signal?.indicators) {
+      addTrainingSample(
+        position.signal.indicators,
+        position.side?.toLowerCase(),
+        result === 'win' ? 1 : result === 'loss' ? -1 : 0
+      );
+    }
+  } catch (e) {
+    // ML module might not be loaded
   }
+
+  // Remove from tracking
+  account.openPositions.delete(symbol);
+  saveTradingState(account);
+
+  console.log(`Position closed for ${symbol}${accountTag(account)}: ${reason} (${result})`);
+  return { closed: true, symbol, reason, result };
 }
 
-// Emergency stop loss settings
-const EMERGENCY_STOP_LOSS_PCT = Number(process.env.EMERGENCY_STOP_LOSS_PCT || 8); // -8% hard stop
-const TRAILING_STOP_PCT = Number(process.env.TRAILING_STOP_PCT || 3); // 3% trailing from peak
+// Emergency stop (EMERGENCY_STOP_LOSS_PCT) and trailing stop (TRAILING_STOP_PCT) come from config
 const LIQUIDATION_WARNING_PCT = 50; // Warn if within 50% of liquidation
 
 // Smart exit monitoring - checks if open positions should be closed early
-async function monitorPosition(symbol, currentSignal) {
-  const position = openPositions.get(symbol);
+async function monitorPosition(symbol, currentSignal, accountName) {
+  const account = resolveAccount(accountName);
+  const position = account.openPositions.get(symbol);
   if (!position) return null;
 
   const currentPrice = currentSignal?.indicators?.currentPrice;
@@ -953,16 +888,17 @@ async function monitorPosition(symbol, currentSignal) {
     }
 
     // EMERGENCY STOP - Hard loss limit
-    if (pnlPct <= -EMERGENCY_STOP_LOSS_PCT) {
-      console.log(`🚨 EMERGENCY STOP: ${symbol} at ${pnlPct.toFixed(2)}% loss (limit: -${EMERGENCY_STOP_LOSS_PCT}%)`);
+    const emergencyStopPct = getConfig('EMERGENCY_STOP_LOSS_PCT');
+    if (pnlPct <= -emergencyStopPct) {
+      console.log(`🚨 EMERGENCY STOP: ${symbol} at ${pnlPct.toFixed(2)}% loss (limit: -${emergencyStopPct}%)`);
       shouldClose = true;
-      closeReason = `EMERGENCY STOP: ${pnlPct.toFixed(1)}% loss exceeded -${EMERGENCY_STOP_LOSS_PCT}% limit`;
+      closeReason = `EMERGENCY STOP: ${pnlPct.toFixed(1)}% loss exceeded -${emergencyStopPct}% limit`;
     }
 
-    // TRAILING STOP - Lock in profits
-    if (!shouldClose && position.peakProfit >= 2) { // Only activate after 2% profit
+    // TRAILING STOP - Lock in profits (skipped when a native trailing order rests on the exchange)
+    if (!shouldClose && !position.trailingOrderId && position.peakProfit >= 2) { // Only activate after 2% profit
       const drawdownFromPeak = position.peakProfit - pnlPct;
-      if (drawdownFromPeak >= TRAILING_STOP_PCT) {
+      if (drawdownFromPeak >= getConfig('TRAILING_STOP_PCT')) {
         console.log(`📉 TRAILING STOP: ${symbol} dropped ${drawdownFromPeak.toFixed(1)}% from peak (${position.peakProfit.toFixed(1)}% -> ${pnlPct.toFixed(1)}%)`);
         shouldClose = true;
         closeReason = `TRAILING STOP: Dropped ${drawdownFromPeak.toFixed(1)}% from ${position.peakProfit.toFixed(1)}% peak`;
@@ -1000,7 +936,7 @@ async function monitorPosition(symbol, currentSignal) {
 
   if (shouldClose) {
     console.log(`EMERGENCY EXIT: Closing ${symbol} - ${closeReason}`);
-    const result = await closePosition(symbol, closeReason, currentPrice, currentSignal?.indicators);
+    const result = await closePosition(symbol, closeReason, currentPrice, currentSignal?.indicators, account);
     return { closed: true, symbol, reason: closeReason, emergency: true };
   }
 
@@ -1156,10 +1092,10 @@ async function monitorPosition(symbol, currentSignal) {
   if (shouldClose) {
     console.log(`SMART EXIT: Closing ${symbol} - ${closeReason}`);
     const currentPrice = currentSignal?.indicators?.currentPrice;
-    const result = await closePosition(symbol, closeReason, currentPrice, currentSignal?.indicators);
+    const result = await closePosition(symbol, closeReason, currentPrice, currentSignal?.indicators, account);
 
     // Update trade history
-    const historyEntry = tradeHistory.find(t => t.symbol === symbol && t.status === 'OPENED');
+    const historyEntry = account.tradeHistory.find(t => t.symbol === symbol && t.status === 'OPENED');
     if (historyEntry) {
       historyEntry.status = 'SMART_EXIT';
       historyEntry.closeReason = closeReason;
@@ -1172,28 +1108,171 @@ async function monitorPosition(symbol, currentSignal) {
   return { closed: false, symbol, reason: 'Position OK' };
 }
 
-// Monitor all open positions with current signals
-async function monitorAllPositions(latestSignals) {
-  if (!TRADING_ENABLED || openPositions.size === 0) return [];
+function describePositionEvent(event) {
+  switch (event.type) {
+    case 'TP_FILLED': return `TP${event.level} filled at ${event.price} (${event.quantity})`;
+    case 'BREAK_EVEN': return `SL moved to break-even at ${event.stopLoss}`;
+    case 'STOP_REPLACED': return `SL was missing on the exchange - re-placed at ${event.stopLoss}`;
+    default: return event.type;
+  }
+}
+
+/**
+ * Reconcile each account's open positions (including ones restored from the
+ * saved state) with what its exchange account actually holds: pick up TP
+ * ladder fills and break-even moves, record positions whose exit order filled
+ * on the exchange, and adopt positions the bot never opened, flagged as
+ * manual - adding an emergency SL if they have none.
+ * @param {string} [accountName] - one account; default all trading accounts
+ * @returns {Promise<Array>} [{ account, closed, symbol, event, reason, manual? }]
+ */
+async function reconcilePositions(accountName) {
+  await restoreTradingState();
+  const accounts = accountName ? [resolveAccount(accountName)] : listAccounts();
+  const results = [];
+  for (const account of accounts) {
+    const accountResults = await reconcileAccount(account);
+    results.push(...accountResults.map(result => ({ account: account.name, ...shadowFlag(account), ...result })));
+  }
+  return results;
+}
+
+async function reconcileAccount(account) {
+  const { exchange, openPositions } = account;
+  if (!account.tradingEnabled || !exchange.hasCredentials()) return [];
+
+  let exchangePositions;
+  try {
+    exchangePositions = await exchange.getPositions();
+  } catch (err) {
+    // A failed fetch must never look like "everything was closed"
+    console.error(`[RECONCILE]${accountTag(account)} Failed to fetch positions:`, err.message);
+    return [];
+  }
 
+  const bySymbol = new Map(exchangePositions.map(p => [p.symbol, p]));
   const results = [];
 
   for (const [symbol, position] of openPositions) {
-    // Find the matching signal for this symbol (prefer the interval used to open)
-    const interval = position.signal?.interval || '5m';
-    const signalKey = `${symbol}-${interval}`;
-    const signal = latestSignals.get(signalKey);
-
-    if (signal) {
-      const result = await monitorPosition(symbol, signal);
-      if (result) results.push(result);
+    try {
+      if (!position.filters) position.filters = await getSymbolInfo(account, symbol);
+      const sync = await syncPosition(position, bySymbol.get(symbol) || null, position.filters, exchange);
+
+      for (const event of sync.events) {
+        results.push({ closed: false, symbol, event: event.type, reason: describePositionEvent(event) });
+      }
+
+      if (sync.closed) {
+        recordClosedPosition(account, symbol, position, sync.reason, sync.exitPrice);
+        const historyEntry = !position.manual && account.tradeHistory.find(t => t.symbol === symbol && t.status === 'OPENED');
+        if (historyEntry) {
+          historyEntry.status = 'EXCHANGE_EXIT';
+          historyEntry.closeReason = sync.reason;
+          historyEntry.closeTime = Date.now();
+        }
+        results.push({ closed: true, symbol, event: 'EXCHANGE_EXIT', reason: sync.reason });
+      }
+    } catch (err) {
+      console.error(`[RECONCILE]${accountTag(account)} ${symbol} sync failed:`, err.message);
+    }
+  }
+
+  for (const [symbol, exchangePosition] of bySymbol) {
+    // executeTrade tracks its own entry once the exit orders are in
+    if (openPositions.has(symbol) || account.pendingEntries.has(symbol)) continue;
+
+    try {
+      // Not in the saved state, so not opened by the bot
+      const position = await adoptPosition(exchangePosition, exchange);
+      position.manual = true;
+      position.filters = await getSymbolInfo(account, symbol);
+
+      if (!position.hasSL && position.filters) {
+        const offset = getConfig('EMERGENCY_STOP_LOSS_PCT') / 100;
+        const stopPrice = roundPrice(
+          position.side === 'LONG' ? position.entryPrice * (1 - offset) : position.entryPrice * (1 + offset),
+          position.filters.tickSize,
+          position.filters.pricePrecision
+        );
+        const order = await placeStopLoss(position, stopPrice, exchange);
+        position.stopLoss = stopPrice;
+        position.slOrderId = order.orderId;
+        position.hasSL = true;
+        console.warn(`[RECONCILE]${accountTag(account)} ${symbol} had no SL - placed emergency SL at ${stopPrice}`);
+      }
+
+      openPositions.set(symbol, position);
+      const reason = `Adopted manual ${position.side} ${position.quantity} @ ${position.entryPrice} (SL ${position.stopLoss}, ${position.takeProfits.length} TP orders)`;
+      console.log(`[RECONCILE]${accountTag(account)} ${symbol}: ${reason}`);
+      results.push({ closed: false, symbol, event: 'POSITION_ADOPTED', reason, manual: true });
+    } catch (err) {
+      console.error(`[RECONCILE]${accountTag(account)} Could not adopt ${symbol}:`, err.message);
     }
   }
 
+  if (openPositions.size > 0 || results.length > 0) saveTradingState(account);
   return results;
 }
 
-function getStatus() {
+// Monitor all open positions of every trading account with current signals
+async function monitorAllPositions(latestSignals) {
+  if (!TRADING_ENABLED) return [];
+
+  // Exchange-side fills first, so signal exits only look at positions still open
+  const results = await reconcilePositions();
+
+  for (const account of listAccounts()) {
+    if (!account.tradingEnabled) continue;
+
+    for (const [symbol, position] of account.openPositions) {
+      // Manual positions keep their adoption SL and exchange sync only - no bot exits
+      if (position.manual) continue;
+
+      // Find the matching signal for this symbol (prefer the interval used to open)
+      const interval = position.signal?.interval || '5m';
+      const signalKey = `${symbol}-${interval}`;
+      const signal = latestSignals.get(signalKey);
+
+      if (signal) {
+        const result = await monitorPosition(symbol, signal, account);
+        if (result) results.push({ account: account.name, ...shadowFlag(account), ...result });
+      }
+    }
+    // Peak profit moves on every pass
+    if (account.openPositions.size > 0) saveTradingState(account);
+  }
+
+  return results;
+}
+
+/**
+ * Feed live candles to the paper order books of shadow-mode accounts, filling
+ * their resting SL/TP/trailing orders the way the exchange would. The next
+ * reconcile pass picks the fills up like real exchange exits.
+ * @returns {Array} [{ account, symbol, orderId, type, avgPrice, ... }] orders that filled
+ */
+function feedShadowCandles(symbol, candles) {
+  const filled = [];
+  for (const account of listAccounts()) {
+    if (!account.shadow) continue;
+    const orders = account.exchange.feedCandles(symbol, candles);
+    if (orders.length === 0) continue;
+    for (const order of orders) {
+      console.log(`[SHADOW]${accountTag(account)} ${order.type} ${order.side} ${symbol} filled at ${order.avgPrice}`);
+      filled.push({ account: account.name, ...order });
+    }
+    saveTradingState(account);
+  }
+  return filled;
+}
+
+/**
+ * Trading status of one account (default main), plus a summary of all accounts
+ */
+function getStatus(accountName) {
+  const account = resolveAccount(accountName);
+  const { exchange, settings: runtimeSettings } = account;
+
   let patternStats = null;
   try {
     patternStats = getPatternStats();
@@ -1202,8 +1281,12 @@ function getStatus() {
   }
 
   return {
-    enabled: TRADING_ENABLED,
-    hasApiKeys: !!(API_KEY && API_SECRET),
+    account: account.name,
+    enabled: account.tradingEnabled,
+    shadow: account.shadow,
+    exchange: exchange.name,
+    hasApiKeys: exchange.hasCredentials(),
+    profile: getActiveProfileName(),
     settings: {
       riskPerTrade: runtimeSettings.riskPerTrade * 100,
       minConfidence: runtimeSettings.minConfidence * 100,
@@ -1211,25 +1294,35 @@ function getStatus() {
       maxDailyTrades: runtimeSettings.maxDailyTrades,
       leverage: runtimeSettings.leverage
     },
-    openPositions: Array.from(openPositions.values()),
-    dailyTrades: dailyTrades.count,
-    tradeHistory: tradeHistory.slice(-50),
+    openPositions: Array.from(account.openPositions.values()),
+    dailyTrades: account.dailyTrades.count,
+    tradeHistory: account.tradeHistory.slice(-50),
     // Pattern learning stats
-    patternLearning: patternStats
+    patternLearning: patternStats,
+    accounts: listAccounts().map(a => ({
+      name: a.name,
+      enabled: a.tradingEnabled,
+      shadow: a.shadow,
+      hasApiKeys: a.exchange.hasCredentials(),
+      openPositions: a.openPositions.size,
+      dailyTrades: a.dailyTrades.count
+    }))
   };
 }
 
 module.exports = {
   executeTrade,
+  executeTradeForAllAccounts,
   closePosition,
   monitorPosition,
   monitorAllPositions,
+  reconcilePositions,
+  restoreTradingState,
   getAccountBalance,
   getOpenPositions,
   getStatus,
   updateSettings,
   evaluateSentiment,
-  TRADING_ENABLED,
-  MIN_CONFIDENCE,
-  SENTIMENT_ENABLED
+  feedShadowCandles,
+  TRADING_ENABLED
 };
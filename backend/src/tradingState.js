@@ -0,0 +1,152 @@
+/**
+ * Trading State - restart-safe open positions, daily counters and trade history
+ *
+ * Each trading account's openPositions, dailyTrades and tradeHistory are saved
+ * shortly after they change and restored on startup, so a redeploy keeps
+ * peak-profit tracking for trailing stops, the daily trade count and the link
+ * between exchange orders and the signal that opened them. trading.js then
+ * reconciles the restored positions with the exchange.
+ *
+ * Shadow-mode accounts are saved under their own key (<name>:shadow,
+ * trading_state[_<name>]_shadow.json) together with their paper order book, so
+ * shadow trades never mix with live ones and resume after a restart.
+ *
+ * Storage: MongoDB (primary, one document per account) + JSON file (backup)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongo = require('./mongoStorage');
+const { DEFAULT_ACCOUNT } = require('./accounts');
+const { getConfig } = require('./config');
+
+const STATE_DIR = getConfig('DATA_DIR');
+const TRADE_HISTORY_MAX = getConfig('TRADE_HISTORY_MAX');
+const SAVE_DELAY_MS = 1000;
+
+const saveTimers = new Map(); // account name -> pending save timer
+
+function stateFile(account) {
+  const base = account.name === DEFAULT_ACCOUNT ? 'trading_state' : `trading_state_${account.name}`;
+  return path.join(STATE_DIR, `${base}${account.shadow ? '_shadow' : ''}.json`);
+}
+
+const stateKey = account => (account.shadow ? `${account.name}:shadow` : account.name);
+
+function serializeState(account) {
+  return {
+    account: account.name,
+    openPositions: Array.from(account.openPositions.values()),
+    dailyTrades: { ...account.dailyTrades },
+    tradeHistory: account.tradeHistory.slice(-TRADE_HISTORY_MAX),
+    ...(account.shadow && { shadow: true, shadowBook: account.exchange.snapshot() }),
+    savedAt: Date.now()
+  };
+}
+
+async function readSavedState(account) {
+  // Try MongoDB first
+  try {
+    if (mongo.isAvailable()) {
+      const doc = await mongo.loadTradingState(stateKey(account));
+      if (doc) return { state: doc, source: 'MongoDB' };
+    }
+  } catch (err) {
+    console.warn('[TRADING STATE] MongoDB load failed:', err.message);
+  }
+
+  // Fallback to file
+  try {
+    const file = stateFile(account);
+    if (fs.existsSync(file)) {
+      return { state: JSON.parse(fs.readFileSync(file, 'utf-8')), source: 'file' };
+    }
+  } catch (err) {
+    console.warn('[TRADING STATE] Could not load state:', err.message);
+  }
+  return null;
+}
+
+/**
+ * Restore an account's saved state into its in-memory maps. Anything the
+ * account already tracks wins over the saved copy.
+ * @returns {Promise<Object>} { positions, dailyTrades, history, source }
+ */
+async function loadTradingState(account) {
+  const saved = await readSavedState(account);
+  if (!saved) return { positions: 0, dailyTrades: account.dailyTrades.count, history: 0, source: null };
+
+  const { state, source } = saved;
+  // The paper book first, so reconciliation finds the shadow positions and orders
+  if (account.shadow && state.shadowBook) {
+    account.exchange.restore(state.shadowBook);
+  }
+
+  let positions = 0;
+  for (const position of state.openPositions || []) {
+    if (!position?.symbol || account.openPositions.has(position.symbol)) continue;
+    account.openPositions.set(position.symbol, { ...position, restored: true });
+    positions++;
+  }
+
+  // The counter only carries over within the same day
+  if (state.dailyTrades?.date === account.dailyTrades.date) {
+    account.dailyTrades.count = Math.max(account.dailyTrades.count, state.dailyTrades.count || 0);
+  }
+
+  const history = (state.tradeHistory || []).slice(-TRADE_HISTORY_MAX);
+  account.tradeHistory.unshift(...history);
+  if (account.tradeHistory.length > TRADE_HISTORY_MAX) {
+    account.tradeHistory.splice(0, account.tradeHistory.length - TRADE_HISTORY_MAX);
+  }
+
+  // Sync file data to MongoDB if available
+  if (source === 'file' && mongo.isAvailable()) {
+    await mongo.saveTradingState(stateKey(account), serializeState(account));
+  }
+
+  return { positions, dailyTrades: account.dailyTrades.count, history: history.length, source };
+}
+
+async function writeTradingState(account) {
+  if (account.tradeHistory.length > TRADE_HISTORY_MAX) {
+    account.tradeHistory.splice(0, account.tradeHistory.length - TRADE_HISTORY_MAX);
+  }
+  const state = serializeState(account);
+
+  // Save to MongoDB (primary)
+  if (mongo.isAvailable()) {
+    try {
+      await mongo.saveTradingState(stateKey(account), state);
+    } catch (err) {
+      console.warn('[TRADING STATE] MongoDB save failed:', err.message);
+    }
+  }
+
+  // Save to file (backup)
+  try {
+    if (!fs.existsSync(STATE_DIR)) fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.writeFileSync(stateFile(account), JSON.stringify(state));
+  } catch (err) {
+    console.warn('[TRADING STATE] Could not save state to file:', err.message);
+  }
+}
+
+/**
+ * Schedule a save of the account's state - changes within SAVE_DELAY_MS are
+ * written together (the monitor touches peak profit on every pass)
+ */
+function saveTradingState(account) {
+  if (saveTimers.has(account.name)) return;
+  const timer = setTimeout(() => {
+    saveTimers.delete(account.name);
+    writeTradingState(account).catch(err => console.warn('[TRADING STATE] Save failed:', err.message));
+  }, SAVE_DELAY_MS);
+  timer.unref?.();
+  saveTimers.set(account.name, timer);
+}
+
+module.exports = {
+  loadTradingState,
+  saveTradingState
+};
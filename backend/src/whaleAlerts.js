@@ -11,12 +11,11 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
 
-// Environment configuration (Railway auto-picks these)
-const WHALE_ALERT_API_KEY = process.env.WHALE_ALERT_API_KEY || '';
-const WHALE_MIN_VALUE_USD = Number(process.env.WHALE_MIN_VALUE_USD || 1000000); // $1M default
+const WHALE_ALERT_API_KEY = getConfig('WHALE_ALERT_API_KEY');
 
-const WHALE_CACHE_FILE = path.join(__dirname, '../data/whale_alerts.json');
+const WHALE_CACHE_FILE = path.join(getConfig('DATA_DIR'), 'whale_alerts.json');
 
 // Whale tracking state
 let whaleState = {
@@ -47,7 +46,7 @@ const EXCHANGE_WALLETS = {
 /**
  * Fetch whale alerts from Whale Alert API
  */
-async function fetchWhaleAlerts(minValue = WHALE_MIN_VALUE_USD) {
+async function fetchWhaleAlerts(minValue = getConfig('WHALE_MIN_VALUE_USD')) {
   if (!WHALE_ALERT_API_KEY) {
     // Return synthetic data based on Binance large trades
     return await detectLargeTradesFromBinance();
@@ -0,0 +1,51 @@
+/**
+ * Runtime setting changes are validated for every account
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useDataDir } = require('./helpers');
+
+useDataDir({ TRADING_ACCOUNTS: 'scalper', ACCOUNT_SCALPER_LEVERAGE: '5' });
+
+let accounts;
+
+before(() => {
+  accounts = require('../src/accounts');
+});
+
+test('a valid update changes the named account alone', () => {
+  const scalper = accounts.getAccount('scalper');
+  const updated = accounts.updateAccountSettings(scalper, { leverage: 8, riskPerTrade: 0.02 });
+
+  assert.strictEqual(updated.leverage, 8);
+  assert.strictEqual(updated.riskPerTrade, 0.02);
+  assert.ok(scalper.pinnedSettings.has('leverage'));
+  assert.notStrictEqual(accounts.getAccount('main').settings.leverage, 8);
+});
+
+test('an out-of-range update is rejected for a named account like it is for main', () => {
+  const scalper = accounts.getAccount('scalper');
+  const main = accounts.getAccount('main');
+  const previous = { ...scalper.settings };
+
+  for (const account of [main, scalper]) {
+    assert.throws(
+      () => accounts.updateAccountSettings(account, { leverage: 500 }),
+      err => err.status === 400 && /LEVERAGE must be at most 125/.test(err.message)
+    );
+  }
+  assert.throws(
+    () => accounts.updateAccountSettings(scalper, { maxOpenPositions: 2.5 }),
+    err => err.status === 400 && /ACCOUNT_SCALPER_MAX_OPEN_POSITIONS must be a whole number/.test(err.message)
+  );
+  assert.deepStrictEqual(scalper.settings, previous);
+});
+
+test('nothing changes when one of several values is invalid', () => {
+  const scalper = accounts.getAccount('scalper');
+  const previous = { ...scalper.settings };
+
+  assert.throws(() => accounts.updateAccountSettings(scalper, { leverage: 3, riskPerTrade: 'lots' }));
+  assert.deepStrictEqual(scalper.settings, previous);
+});
@@ -0,0 +1,53 @@
+/**
+ * Audit records never carry credentials, wherever they sit in the parameters
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useDataDir } = require('./helpers');
+
+useDataDir();
+
+const { recordAudit } = require('../src/auditLog');
+
+const user = { name: 'ops', role: 'admin', via: 'api-key' };
+
+test('top-level secrets are redacted', () => {
+  const record = recordAudit({ user, channel: 'http', action: 'PATCH /api/config', params: { JWT_SECRET: 's3cret', LEVERAGE: 5 } });
+  assert.deepStrictEqual(record.params, { JWT_SECRET: '[redacted]', LEVERAGE: 5 });
+});
+
+test('nested secrets in objects and arrays are redacted', () => {
+  const record = recordAudit({
+    user,
+    channel: 'http',
+    action: 'PUT /api/trading/profiles/desk',
+    params: {
+      settings: { LEVERAGE: 3, BINANCE_API_SECRET: 'nested-secret' },
+      webhook: { url: 'https://example.com/hook', headers: { Authorization: 'Bearer nested-token' } },
+      accounts: [{ name: 'scalper', apiKey: 'array-key' }]
+    }
+  });
+
+  const json = JSON.stringify(record);
+  for (const secret of ['nested-secret', 'nested-token', 'array-key']) {
+    assert.ok(!json.includes(secret), `${secret} leaked`);
+  }
+  assert.strictEqual(record.params.settings.LEVERAGE, 3);
+  assert.strictEqual(record.params.settings.BINANCE_API_SECRET, '[redacted]');
+  assert.strictEqual(record.params.webhook.headers.Authorization, '[redacted]');
+  assert.strictEqual(record.params.accounts[0].name, 'scalper');
+});
+
+test('oversized values are truncated after redaction', () => {
+  const record = recordAudit({
+    user,
+    channel: 'http',
+    action: 'POST /api/custom-alerts',
+    params: { rule: { token: 'long-secret', note: 'x'.repeat(1000) } }
+  });
+
+  assert.strictEqual(typeof record.params.rule, 'string');
+  assert.ok(record.params.rule.endsWith('...'));
+  assert.ok(!record.params.rule.includes('long-secret'));
+});
@@ -0,0 +1,137 @@
+/**
+ * Role checks for every route server.js registers, with the path spellings
+ * Express also routes (any case, trailing slash), and JWT validation
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const JWT_SECRET = 'test-jwt-secret';
+const KEYS = { viewer: 'viewer-key', trader: 'trader-key', admin: 'admin-key' };
+
+Object.assign(process.env, {
+  API_KEYS: Object.entries(KEYS).map(([role, key]) => `${role}:${role}:${key}`).join(','),
+  JWT_SECRET,
+  AUTH_ANONYMOUS_ROLE: ''
+});
+
+const { requireAuth, signToken, ROLES } = require('../src/auth');
+
+// Minimum role of every state-changing route; reads need viewer unless listed
+const EXPECTED_ROLES = {
+  'GET /health': null,
+  'GET /api/auth/me': null,
+  'GET /api/audit': 'admin',
+  'POST /api/auth/token': 'admin',
+  'POST /api/subscribe': 'viewer',
+  'DELETE /api/subscribe': 'viewer',
+  'POST /api/user-alerts': 'viewer',
+  'POST /api/ai/position-size': 'viewer',
+  'POST /api/ai/kelly': 'viewer',
+  'POST /api/trading/close/:symbol': 'trader',
+  'POST /api/trading/profiles/:name/activate': 'trader',
+  'POST /api/custom-alerts': 'trader',
+  'PUT /api/custom-alerts/:id': 'trader',
+  'DELETE /api/custom-alerts/:id': 'trader',
+  'POST /api/ai/backtest': 'trader',
+  'POST /api/ai/backtest/portfolio': 'trader',
+  'POST /api/ai/optimize': 'trader',
+  'POST /api/ai/monte-carlo': 'trader',
+  'PUT /api/trading/profiles/:name': 'admin',
+  'DELETE /api/trading/profiles/:name': 'admin',
+  'PATCH /api/config': 'admin',
+  'POST /api/ai/ml-train': 'admin',
+  'POST /api/ai/risk-multiplier': 'admin',
+  'POST /api/ai/risk-reset': 'admin',
+  'POST /api/candle-sim/run': 'admin',
+  'POST /api/historical/start': 'admin',
+  'POST /api/liquidations/replay': 'admin',
+  'POST /api/simulation/reset': 'admin',
+  'POST /api/tracking': 'admin'
+};
+
+function serverRoutes() {
+  const source = fs.readFileSync(path.join(__dirname, '../src/server.js'), 'utf8');
+  const routes = new Set();
+  for (const [, method, route] of source.matchAll(/app\.(get|post|put|patch|delete)\('([^']+)'/g)) {
+    routes.add(`${method.toUpperCase()} ${route}`);
+  }
+  return [...routes];
+}
+
+const expectedRole = route => (route in EXPECTED_ROLES ? EXPECTED_ROLES[route] : route.startsWith('GET ') ? 'viewer' : undefined);
+const fillParams = route => route.replace(/:symbol/g, 'BTCUSDT').replace(/:name/g, 'scalping').replace(/:[a-zA-Z]+/g, 'abc');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(requireAuth);
+  app.all('*', (req, res) => res.json({ ok: true, user: req.user }));
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function call(method, url, credential) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (credential) headers.Authorization = `Bearer ${credential}`;
+  const res = await fetch(`${baseUrl}${url}`, { method, headers, body: method === 'GET' ? undefined : '{}' });
+  return res.status;
+}
+
+test('every route in server.js has an expected role', () => {
+  const missing = serverRoutes().filter(route => expectedRole(route) === undefined);
+  assert.deepStrictEqual(missing, [], 'add the new routes to EXPECTED_ROLES');
+});
+
+test('each protected route needs its role, however the path is spelled', async () => {
+  for (const route of serverRoutes()) {
+    const required = expectedRole(route);
+    const [method, pattern] = route.split(' ');
+    const url = fillParams(pattern);
+    const spellings = [url, `${url}/`, url.toUpperCase(), `${url.toUpperCase()}/`];
+
+    for (const spelling of spellings) {
+      const label = `${method} ${spelling}`;
+      if (!required) {
+        assert.strictEqual(await call(method, spelling), 200, label);
+        continue;
+      }
+      assert.strictEqual(await call(method, spelling), 401, `${label} without credentials`);
+      for (const role of ROLES) {
+        const allowed = ROLES.indexOf(role) >= ROLES.indexOf(required);
+        assert.strictEqual(await call(method, spelling, KEYS[role]), allowed ? 200 : 403, `${label} as ${role}`);
+      }
+    }
+  }
+});
+
+function rawToken(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', JWT_SECRET).update(unsigned).digest('base64url')}`;
+}
+
+test('signed tokens authenticate until they expire', async () => {
+  const { token } = signToken({ sub: 'desk', role: 'trader' }, 60);
+  assert.strictEqual(await call('POST', '/api/trading/close/BTCUSDT', token), 200);
+  assert.strictEqual(await call('GET', '/api/audit', token), 403);
+
+  const now = Math.floor(Date.now() / 1000);
+  assert.strictEqual(await call('GET', '/api/signals', rawToken({ sub: 'old', role: 'admin', iat: now - 120, exp: now - 60 })), 401);
+});
+
+test('tokens without a numeric exp claim are rejected', async () => {
+  assert.strictEqual(await call('GET', '/api/signals', rawToken({ sub: 'forever', role: 'admin' })), 401);
+  assert.strictEqual(await call('GET', '/api/signals', rawToken({ sub: 'forever', role: 'admin', exp: 'never' })), 401);
+});
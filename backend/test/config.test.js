@@ -0,0 +1,32 @@
+/**
+ * Per-name environment overrides are validated like the keys they override
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  ACCOUNT_SWING_LEVERAGE: '7',
+  ACCOUNT_SWING_RISK_PER_TRADE: 'lots',
+  SIM_PORTFOLIO_STRICT_SNIPER_ONLY: 'yes',
+  ACCOUNT_SWING_MAX_OPEN_POSITIONS: ' '
+});
+
+const { getEnvOverride } = require('../src/config');
+
+test('a set override is parsed with the schema key\'s type and range', () => {
+  assert.strictEqual(getEnvOverride('ACCOUNT_SWING_LEVERAGE', 'LEVERAGE'), 7);
+  assert.throws(
+    () => getEnvOverride('ACCOUNT_SWING_RISK_PER_TRADE', 'RISK_PER_TRADE'),
+    err => err.status === 400 && /ACCOUNT_SWING_RISK_PER_TRADE must be a number/.test(err.message)
+  );
+});
+
+test('ad-hoc specs cover rules outside the schema', () => {
+  assert.strictEqual(getEnvOverride('SIM_PORTFOLIO_STRICT_SNIPER_ONLY', { type: 'boolean', default: false }), true);
+});
+
+test('unset or blank overrides are undefined', () => {
+  assert.strictEqual(getEnvOverride('ACCOUNT_SWING_MAX_OPEN_POSITIONS', 'MAX_OPEN_POSITIONS'), undefined);
+  assert.strictEqual(getEnvOverride('ACCOUNT_SWING_LEVERAGE_TYPO', 'LEVERAGE'), undefined);
+});
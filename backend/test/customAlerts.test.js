@@ -0,0 +1,116 @@
+/**
+ * Custom alert webhooks can't be pointed at the backend's own network, and
+ * their URLs are only shown to callers that can edit them
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { useDataDir } = require('./helpers');
+
+useDataDir();
+
+const { setConfig } = require('../src/config');
+const alerts = require('../src/customAlerts');
+
+let server;
+let hookUrl;
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  hookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(async () => {
+  setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: [] });
+  await new Promise(resolve => server.close(resolve));
+});
+
+const webhookRule = webhookUrl => ({ when: 'rsi > 50', channels: ['webhook'], webhookUrl, cooldownMinutes: 0 });
+
+async function settle(check) {
+  for (let i = 0; i < 50 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+}
+
+test('webhooks to loopback, private, link-local and reserved addresses are rejected', async () => {
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://localhost:8080/hook',
+    'http://10.0.0.5/hook',
+    'http://172.20.1.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ]) {
+    await assert.rejects(alerts.createCustomAlert(webhookRule(url)), err => err.status === 400, url);
+  }
+  assert.strictEqual(alerts.listCustomAlerts().length, 0);
+});
+
+test('an update cannot move a webhook onto a private address', async () => {
+  setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: ['127.0.0.1'] });
+  const rule = await alerts.createCustomAlert(webhookRule(hookUrl));
+  setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: [] });
+
+  await assert.rejects(alerts.updateCustomAlert(rule.id, { webhookUrl: 'http://192.168.0.1/hook' }), err => err.status === 400);
+  assert.strictEqual(alerts.getCustomAlert(rule.id).webhookUrl, hookUrl);
+  await alerts.deleteCustomAlert(rule.id);
+});
+
+test('with an allowlist only listed hosts are accepted, private or not', async () => {
+  setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: ['127.0.0.1', '*.hooks.example.com'] });
+  try {
+    await assert.rejects(alerts.createCustomAlert(webhookRule('https://example.org/hook')), /not in CUSTOM_ALERT_WEBHOOK_ALLOWLIST/);
+    const wildcard = await alerts.createCustomAlert(webhookRule('https://team.hooks.example.com/hook'));
+    await alerts.deleteCustomAlert(wildcard.id);
+  } finally {
+    setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: [] });
+  }
+});
+
+test('delivery re-checks the target, so removing a host from the allowlist stops its webhook', async () => {
+  setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: ['127.0.0.1'] });
+  const rule = await alerts.createCustomAlert(webhookRule(hookUrl));
+
+  alerts.evaluateCandleAlerts('BTCUSDT', '1m', { indicators: { rsi: 60 } });
+  await settle(() => received.length === 1);
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].ruleId, rule.id);
+
+  setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: [] });
+  const errors = alerts.getCustomAlertStatus().stats.webhookErrors;
+  alerts.evaluateCandleAlerts('BTCUSDT', '1m', { indicators: { rsi: 40 } });
+  alerts.evaluateCandleAlerts('BTCUSDT', '1m', { indicators: { rsi: 60 } });
+  await settle(() => alerts.getCustomAlertStatus().stats.webhookErrors > errors);
+
+  assert.strictEqual(alerts.getCustomAlertStatus().stats.webhookErrors, errors + 1);
+  assert.strictEqual(received.length, 1);
+  await alerts.deleteCustomAlert(rule.id);
+});
+
+test('listings can hide webhook URLs behind their host', async () => {
+  setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: ['127.0.0.1'] });
+  const rule = await alerts.createCustomAlert(webhookRule(`${hookUrl}?token=secret`));
+  setConfig({ CUSTOM_ALERT_WEBHOOK_ALLOWLIST: [] });
+
+  const masked = alerts.getCustomAlert(rule.id, { revealWebhook: false });
+  assert.strictEqual(masked.webhookUrl, '(set)');
+  assert.strictEqual(masked.webhookHost, new URL(hookUrl).host);
+  assert.ok(!JSON.stringify(alerts.listCustomAlerts({ revealWebhook: false })).includes('secret'));
+  assert.strictEqual(alerts.getCustomAlert(rule.id).webhookUrl, `${hookUrl}?token=secret`);
+  await alerts.deleteCustomAlert(rule.id);
+});
@@ -0,0 +1,160 @@
+/**
+ * Test helpers - a mock Binance server on a free port and a throwaway DATA_DIR
+ *
+ * Config is read from the environment on first use, so call useMockExchange()
+ * or useDataDir() before requiring any module under src/.
+ */
+
+const { after } = require('node:test');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const API_SECRET = 'test-secret';
+
+function makeDataDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'botalert-test-'));
+}
+
+/**
+ * Point DATA_DIR at a temporary directory (file storage, no MongoDB) that is
+ * removed once the file's tests are done
+ * @param {Object} [env] - extra environment overrides
+ * @returns {string} the directory
+ */
+function useDataDir(env = {}) {
+  const dataDir = makeDataDir();
+  Object.assign(process.env, { DATA_DIR: dataDir, MONGO_URL: '', ...env });
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+/**
+ * Start a mock exchange on a free port and point the binance adapter and the
+ * kline stream at it, with trading on and state files in a temporary DATA_DIR
+ * @param {Object} [options] - createMockBinanceServer options
+ * @param {Object} [env] - extra environment overrides
+ * @returns {Promise<Object>} { mock, baseUrl, dataDir, stop }
+ */
+async function useMockExchange(options = {}, env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const dataDir = makeDataDir();
+
+  Object.assign(process.env, {
+    EXCHANGE: 'binance',
+    BINANCE_API_URL: baseUrl,
+    BINANCE_SPOT_API_URL: baseUrl,
+    BINANCE_STREAM_URL: baseUrl.replace(/^http/, 'ws'),
+    BINANCE_API_KEY: 'test-key',
+    BINANCE_API_SECRET: API_SECRET,
+    DATA_DIR: dataDir,
+    MONGO_URL: '',
+    TRADING_ENABLED: 'true',
+    SENTIMENT_TRADING_ENABLED: 'false',
+    NATIVE_TRAILING_STOP: 'false',
+    ...env
+  });
+
+  // Loads config, so only once the environment is in place
+  const { createMockBinanceServer } = require('../src/mockBinanceServer');
+  const mock = createMockBinanceServer({
+    symbols: [{ symbol: 'BTCUSDT', price: 60000 }, { symbol: 'ETHUSDT', price: 3000 }],
+    scenario: 'ranging',
+    historySize: 300,
+    apiSecret: API_SECRET,
+    recorded: {},
+    ...options
+  });
+  await mock.start(port, 0);
+
+  return {
+    mock,
+    baseUrl,
+    dataDir,
+    async stop() {
+      await mock.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function getPrice(baseUrl, symbol) {
+  const res = await fetch(`${baseUrl}/fapi/v1/ticker/price?symbol=${symbol}`);
+  return Number((await res.json()).price);
+}
+
+/**
+ * A signal the way deriveSignal shapes it, with a trade around the current price
+ */
+function buildSignal(symbol, price, { type = 'LONG', confidence = 0.9, stopPct = 2, targets = [1, 2, 3] } = {}) {
+  const direction = type === 'LONG' ? 1 : -1;
+  return {
+    symbol,
+    interval: '1m',
+    signal: type === 'LONG' ? 'BUY' : 'SELL',
+    indicators: { currentPrice: price, atr: price * 0.01, patterns: [] },
+    ai: {
+      direction: type.toLowerCase(),
+      confidence,
+      reasons: ['test'],
+      trade: {
+        type,
+        entry: price,
+        stopLoss: price * (1 - direction * stopPct / 100),
+        takeProfit: targets.map(pct => price * (1 + direction * pct / 100))
+      }
+    }
+  };
+}
+
+/**
+ * Deterministic candles: a seeded random walk through up, down and flat phases
+ * with occasional volume spikes
+ * @param {number} count
+ * @param {Object} [options]
+ * @param {number} [options.end] - close time of the last candle (default: now)
+ * @param {number} [options.intervalMs] - candle length (default 15m)
+ * @param {number} [options.seed]
+ * @param {number} [options.price] - first open
+ */
+function fixtureCandles(count, { end = Date.now(), intervalMs = 15 * 60 * 1000, seed = 42, price = 100 } = {}) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  const candles = [];
+  let close = price;
+  for (let i = 0; i < count; i++) {
+    const drift = [0.002, -0.002, 0][Math.floor(i / 40) % 3];
+    const open = close;
+    close = open * (1 + drift + (random() - 0.5) * 0.01);
+    const openTime = end - (count - i) * intervalMs + 1;
+    candles.push({
+      openTime,
+      closeTime: openTime + intervalMs - 1,
+      open,
+      high: Math.max(open, close) * (1 + random() * 0.004),
+      low: Math.min(open, close) * (1 - random() * 0.004),
+      close,
+      volume: 1000 * (1 + random()) * (random() < 0.05 ? 4 : 1)
+    });
+  }
+  return candles;
+}
+
+module.exports = { useDataDir, useMockExchange, getPrice, buildSignal, fixtureCandles };
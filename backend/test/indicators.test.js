@@ -0,0 +1,89 @@
+/**
+ * Batch equivalence: candles fed to calculateIndicators one at a time through
+ * the incremental engine give exactly what the batch path computes
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { useDataDir, fixtureCandles } = require('./helpers');
+
+useDataDir({ USER_TIMEZONE: 'UTC', INCREMENTAL_INDICATORS: 'true' });
+
+const { setConfig } = require('../src/config');
+const { calculateIndicators } = require('../src/indicators');
+const { getIndicatorSet } = require('../src/indicatorRegistry');
+const { verifyIncremental, getIncrementalStatus } = require('../src/incrementalIndicators');
+
+const INTERVAL_MS = 15 * 60 * 1000;
+const TOLERANCE = 1e-9;
+// Ends on a Wednesday afternoon, so the midweek reversal window is open for the last candles
+const WEDNESDAY_END = Date.UTC(2026, 9, 14, 17, 0);
+
+after(() => {
+  setConfig({ INDICATORS_ENABLED: [] });
+});
+
+function assertSame(actual, expected, field = 'indicators') {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    const close = Object.is(actual, expected) || Math.abs(actual - expected) <= TOLERANCE * Math.max(1, Math.abs(expected));
+    assert.ok(close, `${field}: incremental ${actual}, batch ${expected}`);
+    return;
+  }
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    assert.deepStrictEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${field} keys`);
+    for (const key of Object.keys(expected)) assertSame(actual[key], expected[key], `${field}.${key}`);
+    return;
+  }
+  assert.deepStrictEqual(actual, expected, field);
+}
+
+// Grow the window one candle at a time, as a stream fills a fresh buffer
+function replay(candles, key, { forming = false } = {}) {
+  let compared = 0;
+  for (let i = 20; i <= candles.length; i++) {
+    const window = candles.slice(0, i);
+    if (forming && i < candles.length) {
+      // The next candle, still open and mid-way, is stepped on a copy and rolled back
+      const next = candles[i];
+      const open = [...window, { ...next, closeTime: Date.now() + INTERVAL_MS, close: (next.open + next.close) / 2 }];
+      assertSame(calculateIndicators(open, { interval: '15m', incremental: key }), calculateIndicators(open, { interval: '15m' }), `forming after ${i}`);
+      compared++;
+    }
+    assertSame(calculateIndicators(window, { interval: '15m', incremental: key }), calculateIndicators(window, { interval: '15m' }), `${i} candles`);
+    compared++;
+  }
+  return compared;
+}
+
+test('closed candles streamed one by one match the batch computation', () => {
+  const candles = fixtureCandles(260, { end: WEDNESDAY_END, intervalMs: INTERVAL_MS });
+  assert.ok(replay(candles, 'closed:15m') > 200);
+
+  const last = calculateIndicators(candles, { interval: '15m', incremental: 'closed:15m' });
+  assert.ok(last.ema.ema200 !== null, 'the window covers every core period');
+  assert.strictEqual(last.midweekReversal.windowActive, true);
+});
+
+test('forming candles are rolled back before the next closed one', () => {
+  const candles = fixtureCandles(220, { end: Date.now() - INTERVAL_MS, intervalMs: INTERVAL_MS, seed: 7 });
+  const { rebuilds } = getIncrementalStatus().stats;
+  replay(candles, 'forming:15m', { forming: true });
+  assert.strictEqual(getIncrementalStatus().stats.rebuilds, rebuilds, 'the engine never lost its place');
+});
+
+test('extra indicators match while the core set is streamed', () => {
+  setConfig({ INDICATORS_ENABLED: ['vwap', 'adx', 'obv', 'supertrend'] });
+  try {
+    const candles = fixtureCandles(120, { end: WEDNESDAY_END, intervalMs: INTERVAL_MS, seed: 11 });
+    replay(candles, 'extras:15m');
+    const last = calculateIndicators(candles, { interval: '15m', incremental: 'extras:15m' });
+    assert.deepStrictEqual(Object.keys(last.extra).sort(), ['adx', 'obv', 'supertrend', 'vwap']);
+  } finally {
+    setConfig({ INDICATORS_ENABLED: [] });
+  }
+});
+
+test('a fresh engine replaying fixture candles finds no differences', () => {
+  const candles = fixtureCandles(300, { end: WEDNESDAY_END, intervalMs: INTERVAL_MS, seed: 3 });
+  assert.deepStrictEqual(verifyIncremental(candles, getIndicatorSet('15m').core), []);
+});
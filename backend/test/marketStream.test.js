@@ -0,0 +1,66 @@
+/**
+ * Changing the streamed pairs only touches the sockets that carry them
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useMockExchange } = require('./helpers');
+
+let env;
+let stream;
+let upgrades = 0;
+
+const streamsOf = pairs => pairs.map(({ symbol, interval }) => `${symbol.toLowerCase()}@kline_${interval}`).sort();
+const subscribed = () => env.mock.streams().flat().sort();
+
+async function settle(check) {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+}
+
+before(async () => {
+  env = await useMockExchange({
+    symbols: [
+      { symbol: 'BTCUSDT', price: 60000 },
+      { symbol: 'ETHUSDT', price: 3000 },
+      { symbol: 'SOLUSDT', price: 150 }
+    ]
+  });
+  env.mock.server.on('upgrade', () => upgrades++);
+  stream = require('../src/marketStream');
+});
+
+after(async () => {
+  stream.stopMarketStream();
+  await env.stop();
+});
+
+test('added and removed pairs are subscribed on the open socket without reconnecting', async () => {
+  const initial = [{ symbol: 'BTCUSDT', interval: '1m' }, { symbol: 'ETHUSDT', interval: '1m' }];
+  await stream.startMarketStream({ pairs: initial });
+  await settle(() => stream.getMarketStreamStatus().connections.every(conn => conn.connected));
+
+  const [opened] = stream.getMarketStreamStatus().connections;
+  assert.deepStrictEqual(subscribed(), streamsOf(initial));
+  assert.strictEqual(upgrades, 1);
+
+  const next = [{ symbol: 'BTCUSDT', interval: '1m' }, { symbol: 'SOLUSDT', interval: '5m' }];
+  await stream.setStreamSubscriptions(next);
+  await settle(() => subscribed().join() === streamsOf(next).join());
+
+  assert.deepStrictEqual(subscribed(), streamsOf(next));
+  const status = stream.getMarketStreamStatus();
+  assert.strictEqual(status.connections.length, 1);
+  assert.strictEqual(status.connections[0].id, opened.id);
+  assert.strictEqual(status.stats.reconnects, 0);
+  assert.strictEqual(upgrades, 1);
+  assert.strictEqual(stream.getStreamCandles('ETHUSDT', '1m'), null);
+  assert.ok(stream.getStreamCandles('SOLUSDT', '5m').length > 0);
+});
+
+test('a socket left without pairs is closed', async () => {
+  await stream.setStreamSubscriptions([]);
+  await settle(() => env.mock.streams().length === 0);
+
+  assert.strictEqual(stream.getMarketStreamStatus().connections.length, 0);
+  assert.strictEqual(env.mock.streams().length, 0);
+});
@@ -0,0 +1,97 @@
+/**
+ * Out-of-sample validation only scores candles the search never saw, and
+ * strategies that throw fail their runs instead of ranking as zero-trade results
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useDataDir, fixtureCandles } = require('./helpers');
+
+useDataDir();
+
+// Record every walk-forward call before the optimizer takes its reference
+const backtesting = require('../src/backtesting');
+const walkForwardCalls = [];
+const { runWalkForward } = backtesting;
+backtesting.runWalkForward = (candles, strategy, options) => {
+  walkForwardCalls.push({ candles, options });
+  return runWalkForward(candles, strategy, options);
+};
+
+const { registerStrategy } = require('../src/strategies');
+const { runBacktest } = backtesting;
+const { runOptimization } = require('../src/optimizer');
+
+const MINUTE_MS = 60 * 1000;
+
+registerStrategy({
+  name: 'test-every-n',
+  defaultParams: { every: 5 },
+  signal(candles, params) {
+    const last = candles.at(-1);
+    if (Math.round(last.openTime / MINUTE_MS) % params.every !== 0) return null;
+    return { action: last.close > last.open ? 'LONG' : 'SHORT', confidence: 0.8, signal: 'TEST' };
+  }
+});
+
+registerStrategy({
+  name: 'test-broken',
+  defaultParams: { every: 5 },
+  signal(candles, params) {
+    if (params.every === 7) throw new Error('indicator missing');
+    return null;
+  }
+});
+
+test('walk-forward windows test only the held-out tail', async () => {
+  const candles = fixtureCandles(800, { end: Date.UTC(2026, 0, 1), intervalMs: MINUTE_MS });
+  const result = await runOptimization(candles, {
+    strategy: { name: 'test-every-n' },
+    space: { every: [5, 7] },
+    outOfSample: 0.3,
+    topK: 2,
+    constraints: { minTrades: 1 },
+    options: { execution: { funding: false } },
+    seed: 1
+  });
+
+  const split = Math.floor(candles.length * 0.7);
+  assert.strictEqual(walkForwardCalls.length, 2);
+  for (const { candles: range, options } of walkForwardCalls) {
+    // The warm-up in front of the first window ends exactly where the search data ends
+    assert.strictEqual(range.length, candles.length - split + options.trainPeriod);
+    assert.strictEqual(range[options.trainPeriod].openTime, candles[split].openTime);
+  }
+  for (const entry of result.leaderboard) {
+    assert.ok(entry.walkForward.periods > 0);
+  }
+});
+
+test('a held-out slice shorter than one window is reported', async () => {
+  const candles = fixtureCandles(400, { end: Date.UTC(2026, 0, 1), intervalMs: MINUTE_MS, seed: 5 });
+  const result = await runOptimization(candles, {
+    strategy: { name: 'test-every-n' },
+    space: { every: [5] },
+    outOfSample: 0.1,
+    topK: 1,
+    options: { execution: { funding: false } },
+    seed: 1
+  });
+  assert.ok(result.warnings.some(w => /shorter than one walk-forward window/.test(w)));
+});
+
+test('a throwing strategy fails the backtest and is left off the leaderboard', async () => {
+  const candles = fixtureCandles(400, { end: Date.UTC(2026, 0, 1), intervalMs: MINUTE_MS, seed: 9 });
+  const run = await runBacktest(candles, { name: 'test-broken', params: { every: 7 } }, { saveResults: false, execution: { funding: false } });
+  assert.match(run.error, /test-broken failed on candle 100: indicator missing/);
+
+  const result = await runOptimization(candles, {
+    strategy: { name: 'test-broken' },
+    space: { every: [5, 7] },
+    topK: 2,
+    options: { execution: { funding: false } },
+    seed: 1
+  });
+  assert.deepStrictEqual(result.leaderboard.map(entry => entry.params.every), [5]);
+  assert.ok(result.warnings.some(w => /1 of 2 candidates failed in-sample/.test(w)));
+});
@@ -0,0 +1,33 @@
+/**
+ * Default push rules only filter by confidence; limits are opt-in
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { useDataDir } = require('./helpers');
+
+useDataDir();
+
+const { setConfig } = require('../src/config');
+const { normalizeRules } = require('../src/pushSubscriptions');
+
+after(() => {
+  setConfig({ PUSH_MAX_PER_HOUR: 0, PUSH_COOLDOWN_MINUTES: 0 });
+});
+
+test('new subscriptions have no rate limit or cooldown by default', () => {
+  const rules = normalizeRules();
+  assert.strictEqual(rules.maxPerHour, 0);
+  assert.strictEqual(rules.cooldownMinutes, 0);
+  assert.strictEqual(rules.minConfidence, 0.7);
+});
+
+test('PUSH_MAX_PER_HOUR and PUSH_COOLDOWN_MINUTES set defaults for rules created afterwards', () => {
+  const before = normalizeRules();
+  setConfig({ PUSH_MAX_PER_HOUR: 10, PUSH_COOLDOWN_MINUTES: 5 });
+
+  const rules = normalizeRules();
+  assert.strictEqual(rules.maxPerHour, 10);
+  assert.strictEqual(rules.cooldownMinutes, 5);
+  assert.strictEqual(normalizeRules({}, before).maxPerHour, 0);
+});
@@ -0,0 +1,39 @@
+/**
+ * Profiles restored from the file fallback survive a failing MongoDB sync
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useDataDir } = require('./helpers');
+
+const dataDir = useDataDir();
+
+const mongo = require('../src/mongoStorage');
+const profiles = require('../src/strategyProfiles');
+
+test('restoreProfiles resolves and keeps the file profiles when the MongoDB sync throws', async () => {
+  fs.writeFileSync(path.join(dataDir, 'strategy_profiles.json'), JSON.stringify({
+    profiles: { careful: { description: 'Low risk', settings: { RISK_PER_TRADE: 1 } } },
+    active: { name: 'careful', activatedBy: 'ops', activatedAt: Date.now() },
+    savedAt: Date.now()
+  }));
+
+  // Reachable for the load (nothing stored yet), failing on the sync write
+  let syncs = 0;
+  Object.assign(mongo, {
+    isAvailable: () => true,
+    loadStrategyProfiles: async () => null,
+    saveStrategyProfiles: async () => {
+      syncs++;
+      throw new Error('connection reset');
+    }
+  });
+
+  await profiles.restoreProfiles();
+
+  assert.ok(syncs > 0);
+  assert.ok(profiles.getProfile('careful'));
+  assert.strictEqual(profiles.getActiveProfileName(), 'careful');
+});
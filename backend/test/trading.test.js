@@ -0,0 +1,126 @@
+/**
+ * Entry gates and the exit-order ladder, end to end against the mock exchange
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useMockExchange, getPrice, buildSignal } = require('./helpers');
+
+let env;
+let trading;
+let accounts;
+
+before(async () => {
+  env = await useMockExchange({}, { TP_LADDER: '40,30,30', MAX_OPEN_POSITIONS: '5' });
+  trading = require('../src/trading');
+  accounts = require('../src/accounts');
+});
+
+after(async () => {
+  await env.stop();
+});
+
+test('a signal below the confidence threshold is rejected by the confidence gate', async () => {
+  const price = await getPrice(env.baseUrl, 'BTCUSDT');
+  const result = await trading.executeTrade(buildSignal('BTCUSDT', price, { confidence: 0.3 }));
+
+  assert.strictEqual(result.executed, false);
+  assert.strictEqual(result.gate, 'confidence');
+  assert.ok(result.decisionId);
+});
+
+test('a signal without stop or targets is rejected by the trade-setup gate', async () => {
+  const price = await getPrice(env.baseUrl, 'BTCUSDT');
+  const signal = buildSignal('BTCUSDT', price);
+  signal.ai.trade.stopLoss = null;
+
+  const result = await trading.executeTrade(signal);
+  assert.strictEqual(result.executed, false);
+  assert.strictEqual(result.gate, 'trade-setup');
+});
+
+test('a passing signal opens the position with a stop and a TP ladder on the exchange', async () => {
+  const price = await getPrice(env.baseUrl, 'BTCUSDT');
+  const result = await trading.executeTrade(buildSignal('BTCUSDT', price));
+
+  assert.strictEqual(result.executed, true, result.reason);
+  const { order } = result;
+  assert.strictEqual(order.side, 'LONG');
+  assert.strictEqual(order.takeProfits.length, 3);
+
+  // 40/30/30 of the entry size, rung by rung further from entry
+  const ladderQty = order.takeProfits.reduce((sum, tp) => sum + tp.quantity, 0);
+  assert.ok(Math.abs(ladderQty - order.quantity) < 1e-9);
+  assert.ok(order.takeProfits[0].quantity >= order.takeProfits[1].quantity);
+  assert.ok(order.takeProfits[0].price < order.takeProfits[1].price);
+  assert.ok(order.takeProfits[1].price < order.takeProfits[2].price);
+
+  const state = await (await fetch(`${env.baseUrl}/mock/state`)).json();
+  const position = state.positions.find(p => p.symbol === 'BTCUSDT');
+  assert.ok(position);
+  assert.strictEqual(position.side, 'LONG');
+  assert.strictEqual(position.quantity, order.quantity);
+
+  const orders = state.openOrders.filter(o => o.symbol === 'BTCUSDT');
+  const stop = orders.find(o => o.type === 'STOP_MARKET');
+  assert.ok(stop);
+  assert.strictEqual(stop.side, 'SELL');
+  assert.strictEqual(stop.stopPrice, order.stopLoss);
+  const targets = orders.filter(o => o.type === 'TAKE_PROFIT_MARKET');
+  assert.deepStrictEqual(
+    targets.map(o => [o.stopPrice, o.quantity]).sort((a, b) => a[0] - b[0]),
+    order.takeProfits.map(tp => [tp.price, tp.quantity])
+  );
+});
+
+test('a second signal for a symbol already in position is rejected by the open-positions gate', async () => {
+  const price = await getPrice(env.baseUrl, 'BTCUSDT');
+  const result = await trading.executeTrade(buildSignal('BTCUSDT', price));
+
+  assert.strictEqual(result.executed, false);
+  assert.strictEqual(result.gate, 'open-positions');
+  assert.match(result.reason, /Already in position/);
+});
+
+test('a filled TP1 is picked up by reconciliation and the stop moves to break-even', async () => {
+  const { mock } = env;
+  const position = accounts.resolveAccount().openPositions.get('BTCUSDT');
+  const tp1 = position.takeProfits[0];
+
+  // Walk the price through TP1 only
+  await fetch(`${env.baseUrl}/mock/price`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ symbol: 'BTCUSDT', price: tp1.price * 1.0001 })
+  });
+  const [exchangePosition] = (await mock.exchange.getPositions()).filter(p => p.symbol === 'BTCUSDT');
+  assert.ok(exchangePosition.quantity < position.initialQuantity);
+
+  const results = await trading.reconcilePositions();
+  const events = results.filter(r => r.symbol === 'BTCUSDT').map(r => r.event);
+  assert.ok(events.includes('TP_FILLED'));
+  assert.ok(events.includes('BREAK_EVEN'));
+
+  const tracked = accounts.resolveAccount().openPositions.get('BTCUSDT');
+  assert.strictEqual(tracked.takeProfits[0].filled, true);
+  assert.strictEqual(tracked.breakEven, true);
+  assert.ok(tracked.stopLoss >= tracked.entryPrice);
+});
+
+test('concurrent signals for one symbol open a single position', async () => {
+  const price = await getPrice(env.baseUrl, 'ETHUSDT');
+  const results = await Promise.all([
+    trading.executeTrade(buildSignal('ETHUSDT', price)),
+    trading.executeTrade(buildSignal('ETHUSDT', price))
+  ]);
+
+  assert.strictEqual(results.filter(r => r.executed).length, 1);
+  const rejected = results.find(r => !r.executed);
+  assert.strictEqual(rejected.gate, 'open-positions');
+  assert.match(rejected.reason, /already in progress/);
+
+  const positions = (await env.mock.exchange.getPositions()).filter(p => p.symbol === 'ETHUSDT');
+  assert.strictEqual(positions.length, 1);
+  assert.strictEqual(positions[0].quantity, results.find(r => r.executed).order.quantity);
+  assert.strictEqual(accounts.resolveAccount().pendingEntries.size, 0);
+});
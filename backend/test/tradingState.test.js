@@ -0,0 +1,134 @@
+/**
+ * Restart path: saved trading state is restored and reconciled with the exchange
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useMockExchange, getPrice, buildSignal } = require('./helpers');
+
+let env;
+let trading;
+let account;
+let results;
+
+before(async () => {
+  env = await useMockExchange({
+    symbols: [
+      { symbol: 'BTCUSDT', price: 60000 },
+      { symbol: 'ETHUSDT', price: 3000 },
+      { symbol: 'SOLUSDT', price: 150 }
+    ]
+  });
+  const { exchange } = env.mock;
+  const ethPrice = await getPrice(env.baseUrl, 'ETHUSDT');
+  const solPrice = await getPrice(env.baseUrl, 'SOLUSDT');
+
+  // Left behind by the previous run: the bot's ETH long with its stop ...
+  await exchange.placeOrder({ symbol: 'ETHUSDT', side: 'BUY', type: 'MARKET', quantity: 1 });
+  const ethStop = await exchange.placeOrder({ symbol: 'ETHUSDT', side: 'SELL', type: 'STOP_MARKET', stopPrice: Math.round(ethPrice * 0.95), closePosition: true });
+  // ... and a BTC short opened by hand, without a stop
+  await exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: 0.01 });
+
+  const saved = position => ({
+    side: 'LONG',
+    quantity: 1,
+    initialQuantity: 1,
+    takeProfits: [],
+    hasSL: true,
+    breakEven: false,
+    openTime: Date.now() - 60 * 60 * 1000,
+    ...position
+  });
+  fs.writeFileSync(path.join(env.dataDir, 'trading_state.json'), JSON.stringify({
+    account: 'main',
+    openPositions: [
+      saved({ symbol: 'ETHUSDT', entryPrice: ethPrice, stopLoss: ethStop.stopPrice, slOrderId: ethStop.orderId, peakProfit: 1.5, signal: buildSignal('ETHUSDT', ethPrice) }),
+      // Closed while the bot was down
+      saved({ symbol: 'SOLUSDT', entryPrice: solPrice, stopLoss: solPrice * 0.95, slOrderId: null, peakProfit: 0, signal: buildSignal('SOLUSDT', solPrice) })
+    ],
+    dailyTrades: { date: new Date().toDateString(), count: 2 },
+    tradeHistory: [
+      { symbol: 'SOLUSDT', side: 'LONG', status: 'OPENED', timestamp: Date.now() - 60 * 60 * 1000 },
+      { symbol: 'ETHUSDT', side: 'LONG', status: 'OPENED', timestamp: Date.now() - 60 * 60 * 1000 }
+    ],
+    savedAt: Date.now()
+  }));
+
+  trading = require('../src/trading');
+  account = require('../src/accounts').resolveAccount();
+  results = await trading.reconcilePositions();
+});
+
+after(async () => {
+  await env.stop();
+});
+
+test('the bot\'s own position resumes with its signal and peak profit', () => {
+  const eth = account.openPositions.get('ETHUSDT');
+  assert.ok(eth);
+  assert.strictEqual(eth.restored, true);
+  assert.strictEqual(eth.manual, undefined);
+  assert.strictEqual(eth.peakProfit, 1.5);
+  assert.strictEqual(eth.signal.symbol, 'ETHUSDT');
+  assert.ok(!results.some(r => r.symbol === 'ETHUSDT' && r.event === 'STOP_REPLACED'));
+});
+
+test('the daily trade count and history carry over', () => {
+  assert.strictEqual(account.dailyTrades.count, 2);
+  assert.ok(account.tradeHistory.some(t => t.symbol === 'ETHUSDT' && t.status === 'OPENED'));
+});
+
+test('a saved position gone from the exchange is recorded as closed', () => {
+  assert.strictEqual(account.openPositions.has('SOLUSDT'), false);
+  const closed = results.find(r => r.symbol === 'SOLUSDT');
+  assert.strictEqual(closed.event, 'EXCHANGE_EXIT');
+  assert.strictEqual(account.tradeHistory.find(t => t.symbol === 'SOLUSDT').status, 'EXCHANGE_EXIT');
+});
+
+test('an unknown exchange position is adopted as manual and given an emergency stop', async () => {
+  const btc = account.openPositions.get('BTCUSDT');
+  assert.ok(btc);
+  assert.strictEqual(btc.manual, true);
+  assert.strictEqual(btc.side, 'SHORT');
+  assert.ok(btc.stopLoss > btc.entryPrice);
+  assert.ok(results.some(r => r.symbol === 'BTCUSDT' && r.event === 'POSITION_ADOPTED'));
+
+  const orders = await env.mock.exchange.getOpenOrders('BTCUSDT');
+  assert.ok(orders.some(o => o.type === 'STOP_MARKET' && o.side === 'BUY' && o.orderId === btc.slOrderId));
+});
+
+test('the reconciled state is written back to DATA_DIR', async () => {
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  const state = JSON.parse(fs.readFileSync(path.join(env.dataDir, 'trading_state.json'), 'utf8'));
+  assert.deepStrictEqual(state.openPositions.map(p => p.symbol).sort(), ['BTCUSDT', 'ETHUSDT']);
+});
+
+test('a manual position is left alone by a monitor pass with an opposing signal', async () => {
+  const btc = account.openPositions.get('BTCUSDT');
+  const price = await getPrice(env.baseUrl, 'BTCUSDT');
+  // A confident long against the adopted short - a bot short would be closed on it
+  const latestSignals = new Map([['BTCUSDT-5m', buildSignal('BTCUSDT', price, { type: 'LONG', confidence: 0.95 })]]);
+
+  const results = await trading.monitorAllPositions(latestSignals);
+
+  assert.ok(!results.some(r => r.symbol === 'BTCUSDT' && r.closed));
+  assert.strictEqual(account.openPositions.get('BTCUSDT'), btc);
+  const positions = await env.mock.exchange.getPositions();
+  assert.ok(positions.some(p => p.symbol === 'BTCUSDT'));
+});
+
+test('a manual position closed on the exchange stays out of the risk book', async () => {
+  const riskBefore = JSON.stringify(account.risk.state);
+  await env.mock.exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.01, reduceOnly: true });
+
+  const closed = await trading.reconcilePositions();
+
+  assert.ok(closed.some(r => r.symbol === 'BTCUSDT' && r.event === 'EXCHANGE_EXIT'));
+  assert.strictEqual(account.openPositions.has('BTCUSDT'), false);
+  const entry = account.tradeHistory.find(t => t.symbol === 'BTCUSDT');
+  assert.strictEqual(entry.manual, true);
+  assert.strictEqual(entry.status, 'CLOSED');
+  assert.strictEqual(JSON.stringify(account.risk.state), riskBefore);
+});
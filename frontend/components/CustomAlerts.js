@@ -0,0 +1,127 @@
+import { useEffect, useState } from 'react';
+import { fetchCustomAlerts, fetchCustomAlertHistory, createCustomAlert, updateCustomAlert, deleteCustomAlert } from '../lib/api';
+import { getSocket } from '../lib/socket';
+
+const MAX_FIRED = 8;
+
+export default function CustomAlerts({ symbol }) {
+  const [alerts, setAlerts] = useState([]);
+  const [fired, setFired] = useState([]);
+  const [when, setWhen] = useState('');
+  const [scope, setScope] = useState('symbol');
+  const [error, setError] = useState(null);
+
+  async function load() {
+    try {
+      const data = await fetchCustomAlerts();
+      setAlerts(data.alerts || []);
+    } catch (err) {
+      setAlerts([]);
+    }
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+    load();
+    fetchCustomAlertHistory({ limit: MAX_FIRED })
+      .then((history) => { if (!cancelled) setFired(history); })
+      .catch(() => {});
+
+    const onAlert = (event) => {
+      setFired((prev) => [event, ...prev.filter((e) => e.id !== event.id)].slice(0, MAX_FIRED));
+    };
+    const socket = getSocket();
+    socket.on('alert', onAlert);
+    return () => {
+      cancelled = true;
+      socket.off('alert', onAlert);
+    };
+  }, []);
+
+  async function handleCreate(event) {
+    event.preventDefault();
+    if (!when.trim()) return;
+    setError(null);
+    try {
+      await createCustomAlert({ when, symbols: scope === 'symbol' ? [symbol] : [] });
+      setWhen('');
+      load();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }
+
+  async function handleToggle(alert) {
+    try {
+      await updateCustomAlert(alert.id, { enabled: !alert.enabled });
+      load();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }
+
+  async function handleDelete(alert) {
+    try {
+      await deleteCustomAlert(alert.id);
+      load();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <span className="card-title">Custom Alerts</span>
+        <span className="tag tag-neutral">{alerts.filter((a) => a.enabled).length} active</span>
+      </div>
+
+      <form className="alert-form" onSubmit={handleCreate}>
+        <input
+          className="input"
+          value={when}
+          onChange={(e) => setWhen(e.target.value)}
+          placeholder="rsi crosses below 30 AND price within 0.5% of support"
+        />
+        <select className="select" value={scope} onChange={(e) => setScope(e.target.value)}>
+          <option value="symbol">{symbol}</option>
+          <option value="all">All symbols</option>
+        </select>
+        <button type="submit" className="tag tag-long" style={{ border: 'none', cursor: 'pointer' }}>Add</button>
+      </form>
+      {error && <div className="alert-error">{error}</div>}
+
+      {alerts.length === 0 ? (
+        <div className="liq-empty">No custom alerts yet</div>
+      ) : (
+        <div className="alert-rows">
+          {alerts.map((alert) => (
+            <div key={alert.id} className={`alert-row ${alert.enabled ? '' : 'disabled'}`}>
+              <span className="alert-expression" title={alert.expression}>
+                {alert.name}
+                <small>{alert.symbols.length ? alert.symbols.join(', ') : 'all'}{alert.intervals.length ? ` · ${alert.intervals.join(', ')}` : ''} · {alert.triggerCount}×</small>
+              </span>
+              <button type="button" className={`tag ${alert.enabled ? 'tag-long' : 'tag-neutral'}`} style={{ border: 'none', cursor: 'pointer' }} onClick={() => handleToggle(alert)}>
+                {alert.enabled ? 'ON' : 'OFF'}
+              </button>
+              <button type="button" className="tag tag-short" style={{ border: 'none', cursor: 'pointer' }} onClick={() => handleDelete(alert)}>
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {fired.length > 0 && (
+        <div className="liq-magnets">
+          {fired.map((event) => (
+            <div key={event.id} className="liq-magnet">
+              <span>{event.symbol}{event.interval ? ` ${event.interval}` : ''} · {event.name}</span>
+              <span style={{ color: 'var(--text-muted)' }}>{new Date(event.triggeredAt).toLocaleTimeString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
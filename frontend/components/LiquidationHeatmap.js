@@ -0,0 +1,138 @@
+import { useEffect, useMemo, useState } from 'react';
+import { fetchLiquidations } from '../lib/api';
+import { getSocket } from '../lib/socket';
+
+const MAX_ROWS = 16;
+const REFRESH_MS = 60 * 1000;
+const LIVE_REFRESH_MS = 10 * 1000; // at most this often on streamed liquidations
+
+export default function LiquidationHeatmap({ symbol }) {
+  const [heatmap, setHeatmap] = useState(null);
+  const [view, setView] = useState('estimated');
+
+  useEffect(() => {
+    let cancelled = false;
+    let lastLoad = 0;
+
+    async function load() {
+      lastLoad = Date.now();
+      try {
+        const data = await fetchLiquidations(symbol);
+        if (!cancelled) setHeatmap(data);
+      } catch (error) {
+        if (!cancelled) setHeatmap(null);
+      }
+    }
+
+    const onLiquidation = (event) => {
+      if (event.symbol === symbol && Date.now() - lastLoad > LIVE_REFRESH_MS) load();
+    };
+
+    setHeatmap(null);
+    load();
+    const id = setInterval(load, REFRESH_MS);
+    const socket = getSocket();
+    socket.on('liquidation', onLiquidation);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+      socket.off('liquidation', onLiquidation);
+    };
+  }, [symbol]);
+
+  const rows = useMemo(() => {
+    const buckets = view === 'estimated' ? heatmap?.estimated?.buckets : heatmap?.realized?.buckets;
+    if (!buckets?.length) return [];
+    // The buckets closest to price, highest first
+    const nearest = [...buckets]
+      .sort((a, b) => Math.abs(a.priceLow - heatmap.price) - Math.abs(b.priceLow - heatmap.price))
+      .slice(0, MAX_ROWS)
+      .sort((a, b) => b.priceLow - a.priceLow);
+    const max = Math.max(...nearest.map((b) => b.totalUsd), 1);
+    return nearest.map((b) => ({
+      ...b,
+      current: heatmap.price >= b.priceLow && heatmap.price < b.priceHigh,
+      longWidth: (b.longUsd / max) * 100,
+      shortWidth: (b.shortUsd / max) * 100
+    }));
+  }, [heatmap, view]);
+
+  const magnets = heatmap?.magnets || { above: [], below: [] };
+  const lastHour = heatmap?.realized?.lastHour;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <span className="card-title">Liquidations</span>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {['estimated', 'realized'].map((v) => (
+            <button
+              key={v}
+              className={`tag ${view === v ? 'tag-long' : 'tag-neutral'}`}
+              style={{ border: 'none', cursor: 'pointer' }}
+              onClick={() => setView(v)}
+            >
+              {v === 'estimated' ? 'Clusters' : '24h'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="liq-empty">
+          {heatmap ? `No ${view === 'estimated' ? 'cluster estimate' : 'liquidations'} yet` : 'Loading liquidations...'}
+        </div>
+      ) : (
+        <div className="liq-rows">
+          {rows.map((row) => (
+            <div key={row.priceLow} className={`liq-row ${row.current ? 'current' : ''}`}>
+              <span className="liq-price">{formatPrice(row.priceLow)}</span>
+              <div className="liq-bar" title={`Longs $${formatUsd(row.longUsd)} / Shorts $${formatUsd(row.shortUsd)}`}>
+                <div className="liq-bar-long" style={{ width: `${row.longWidth}%` }} />
+                <div className="liq-bar-short" style={{ width: `${row.shortWidth}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {(magnets.above.length > 0 || magnets.below.length > 0) && (
+        <div className="liq-magnets">
+          {magnets.above.map((m) => (
+            <div key={`a-${m.price}`} className="liq-magnet">
+              <span style={{ color: 'var(--accent-green)' }}>▲ Shorts ${formatPrice(m.price)} ({m.distancePct > 0 ? '+' : ''}{m.distancePct}%)</span>
+              <span>${formatUsd(m.usd)}</span>
+            </div>
+          ))}
+          {magnets.below.map((m) => (
+            <div key={`b-${m.price}`} className="liq-magnet">
+              <span style={{ color: 'var(--accent-red)' }}>▼ Longs ${formatPrice(m.price)} ({m.distancePct}%)</span>
+              <span>${formatUsd(m.usd)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {lastHour && (
+        <div className="liq-magnets" style={{ color: 'var(--text-muted)' }}>
+          Last hour: longs ${formatUsd(lastHour.longUsd)} · shorts ${formatUsd(lastHour.shortUsd)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatUsd(value) {
+  if (!value) return '0';
+  if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return value.toFixed(0);
+}
+
+function formatPrice(value) {
+  if (value === undefined || value === null) return '—';
+  if (value >= 1000) return value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  if (value >= 1) return value.toFixed(4);
+  return value.toFixed(6);
+}
@@ -0,0 +1,89 @@
+import { useEffect, useState } from 'react';
+import { fetchMtf } from '../lib/api';
+import { getSocket } from '../lib/socket';
+
+const REFRESH_MS = 60 * 1000;
+const SIGNAL_REFRESH_MS = 15 * 1000; // at most this often on new signals
+
+export default function MtfMatrix({ symbol }) {
+  const [matrix, setMatrix] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let lastLoad = 0;
+
+    async function load() {
+      lastLoad = Date.now();
+      try {
+        const data = await fetchMtf(symbol);
+        if (!cancelled) setMatrix(data);
+      } catch (error) {
+        if (!cancelled) setMatrix(null);
+      }
+    }
+
+    const onSignal = (payload) => {
+      if (payload.symbol === symbol && Date.now() - lastLoad > SIGNAL_REFRESH_MS) load();
+    };
+
+    setMatrix(null);
+    load();
+    const id = setInterval(load, REFRESH_MS);
+    const socket = getSocket();
+    socket.on('signal', onSignal);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+      socket.off('signal', onSignal);
+    };
+  }, [symbol]);
+
+  const contexts = new Map((matrix?.contexts || []).map((c) => [c.interval, c]));
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <span className="card-title">Timeframe Alignment</span>
+        {matrix?.alignment && (
+          <span className={`tag ${getTagClass(matrix.alignment.bias)}`}>
+            {matrix.alignment.bias.toUpperCase()}
+          </span>
+        )}
+      </div>
+
+      {!matrix ? (
+        <div className="empty-state" style={{ padding: '24px 0' }}>
+          <p style={{ color: 'var(--text-muted)', margin: 0 }}>Loading timeframes...</p>
+        </div>
+      ) : (
+        <div className="mtf-rows">
+          {matrix.timeframes.map((tf) => {
+            const context = contexts.get(tf.interval);
+            return (
+              <div key={tf.interval} className={`mtf-row ${tf.stale ? 'stale' : ''}`}>
+                <span className="signal-interval">{tf.interval.toUpperCase()}</span>
+                <span className={`tag ${getTagClass(tf.direction)}`}>
+                  {tf.direction ? tf.direction.toUpperCase() : '—'}
+                </span>
+                <span className="mtf-confidence">
+                  {tf.confidence !== null && tf.confidence !== undefined ? `${Math.round(tf.confidence * 100)}%` : ''}
+                </span>
+                <span className="mtf-context">
+                  {context?.higherTimeframe
+                    ? `${context.aligned ? '✓' : '✗'} vs ${context.higherTimeframe.interval}`
+                    : tf.tracked ? '' : 'context'}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function getTagClass(direction) {
+  if (direction?.includes('long')) return 'tag-long';
+  if (direction?.includes('short')) return 'tag-short';
+  return 'tag-neutral';
+}
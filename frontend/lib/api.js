@@ -1,30 +1,50 @@
 import axios from 'axios';
 
 const backendUrl = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:5000';
+// API key or token for a backend with auth on (API_KEYS / JWT_SECRET) - it ships in the page bundle,
+// so give the dashboard a viewer credential unless it is private
+const apiToken = process.env.NEXT_PUBLIC_API_TOKEN;
+
+export function authHeaders() {
+  return apiToken ? { Authorization: `Bearer ${apiToken}` } : {};
+}
+
+const http = axios.create({ headers: authHeaders() });
 
 export async function fetchSignals() {
-  const res = await axios.get(`${backendUrl}/api/signals`);
+  const res = await http.get(`${backendUrl}/api/signals`);
   return res.data.signals || [];
 }
 
 export async function fetchCandles(symbol, interval) {
-  const res = await axios.get(`${backendUrl}/api/candles/${symbol}`, {
+  const res = await http.get(`${backendUrl}/api/candles/${symbol}`, {
     params: { interval }
   });
   return res.data.candles || [];
 }
 
 export async function fetchMeta() {
-  const res = await axios.get(`${backendUrl}/api/meta`);
+  const res = await http.get(`${backendUrl}/api/meta`);
   return res.data;
 }
 
-export async function subscribeToAlerts(subscription) {
-  return axios.post(`${backendUrl}/api/subscribe`, subscription);
+export async function subscribeToAlerts(subscription, rules) {
+  const body = typeof subscription?.toJSON === 'function' ? subscription.toJSON() : subscription;
+  return http.post(`${backendUrl}/api/subscribe`, rules ? { subscription: body, rules } : body);
+}
+
+export async function fetchAlertRules(endpoint) {
+  const res = await http.get(`${backendUrl}/api/user-alerts`, { params: { endpoint } });
+  return res.data.rules;
+}
+
+export async function saveAlertRules(endpoint, rules) {
+  const res = await http.post(`${backendUrl}/api/user-alerts`, { endpoint, rules });
+  return res.data.rules;
 }
 
 export async function fetchDcaPlan({ symbols, interval }) {
-  const res = await axios.get(`${backendUrl}/api/dca-plan`, {
+  const res = await http.get(`${backendUrl}/api/dca-plan`, {
     params: {
       symbols: Array.isArray(symbols) ? symbols.join(',') : symbols,
       interval
@@ -32,3 +52,38 @@ export async function fetchDcaPlan({ symbols, interval }) {
   });
   return res.data;
 }
+
+export async function fetchLiquidations(symbol) {
+  const res = await http.get(`${backendUrl}/api/liquidations/${symbol}`);
+  return res.data;
+}
+
+export async function fetchMtf(symbol) {
+  const res = await http.get(`${backendUrl}/api/mtf/${symbol}`);
+  return res.data;
+}
+
+export async function fetchCustomAlerts() {
+  const res = await http.get(`${backendUrl}/api/custom-alerts`);
+  return res.data;
+}
+
+export async function fetchCustomAlertHistory(params = {}) {
+  const res = await http.get(`${backendUrl}/api/custom-alerts/history`, { params });
+  return res.data.history || [];
+}
+
+export async function createCustomAlert(rule) {
+  const res = await http.post(`${backendUrl}/api/custom-alerts`, rule);
+  return res.data.alert;
+}
+
+export async function updateCustomAlert(id, changes) {
+  const res = await http.put(`${backendUrl}/api/custom-alerts/${id}`, changes);
+  return res.data.alert;
+}
+
+export async function deleteCustomAlert(id) {
+  const res = await http.delete(`${backendUrl}/api/custom-alerts/${id}`);
+  return res.data;
+}
@@ -12,7 +12,11 @@ export async function registerPush() {
   try {
     const registration = await navigator.serviceWorker.register('/service-worker.js');
     const existing = await registration.pushManager.getSubscription();
-    if (existing) return existing;
+    if (existing) {
+      // Re-register so the backend keeps it (upsert - existing rules are preserved)
+      await subscribeToAlerts(existing);
+      return existing;
+    }
 
     if (!vapidKey || vapidKey.includes('REPLACE_WITH')) {
       console.warn('Missing NEXT_PUBLIC_VAPID_PUBLIC_KEY; skipping push registration');
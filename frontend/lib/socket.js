@@ -1,11 +1,15 @@
 import { io } from 'socket.io-client';
 
 const backendUrl = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:5000';
+const apiToken = process.env.NEXT_PUBLIC_API_TOKEN;
 let socket;
 
 export function getSocket() {
   if (!socket) {
-    socket = io(backendUrl, { transports: ['websocket'] });
+    socket = io(backendUrl, {
+      transports: ['websocket'],
+      auth: apiToken ? { token: apiToken } : {}
+    });
   }
   return socket;
 }
@@ -1,6 +1,7 @@
 import { useEffect, useState } from 'react';
 import Head from 'next/head';
 import BottomNav from '../components/BottomNav';
+import { authHeaders } from '../lib/api';
 
 const API_BASE = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:5000';
 
@@ -34,12 +35,12 @@ export default function AIInsights() {
   async function loadData() {
     try {
       const [insightsRes, mlRes, riskRes, sentimentRes, whalesRes, fundingRes] = await Promise.all([
-        fetch(`${API_BASE}/api/ai/learning`).then(r => r.json()),
-        fetch(`${API_BASE}/api/ai/ml-stats`).then(r => r.json()),
-        fetch(`${API_BASE}/api/ai/risk-status`).then(r => r.json()),
-        fetch(`${API_BASE}/api/sentiment`).then(r => r.json()).catch(() => null),
-        fetch(`${API_BASE}/api/whales`).then(r => r.json()).catch(() => null),
-        fetch(`${API_BASE}/api/funding`).then(r => r.json()).catch(() => null)
+        fetch(`${API_BASE}/api/ai/learning`, { headers: authHeaders() }).then(r => r.json()),
+        fetch(`${API_BASE}/api/ai/ml-stats`, { headers: authHeaders() }).then(r => r.json()),
+        fetch(`${API_BASE}/api/ai/risk-status`, { headers: authHeaders() }).then(r => r.json()),
+        fetch(`${API_BASE}/api/sentiment`, { headers: authHeaders() }).then(r => r.json()).catch(() => null),
+        fetch(`${API_BASE}/api/whales`, { headers: authHeaders() }).then(r => r.json()).catch(() => null),
+        fetch(`${API_BASE}/api/funding`, { headers: authHeaders() }).then(r => r.json()).catch(() => null)
       ]);
       setInsights(insightsRes);
       setMlStats(mlRes);
@@ -57,9 +58,9 @@ export default function AIInsights() {
   async function loadSymbolAnalysis(symbol) {
     try {
       const [analysisRes, patternsRes, intelRes] = await Promise.all([
-        fetch(`${API_BASE}/api/ai/full-analysis/${symbol}`).then(r => r.json()),
-        fetch(`${API_BASE}/api/ai/patterns/${symbol}`).then(r => r.json()),
-        fetch(`${API_BASE}/api/intelligence/${symbol}`).then(r => r.json()).catch(() => null)
+        fetch(`${API_BASE}/api/ai/full-analysis/${symbol}`, { headers: authHeaders() }).then(r => r.json()),
+        fetch(`${API_BASE}/api/ai/patterns/${symbol}`, { headers: authHeaders() }).then(r => r.json()),
+        fetch(`${API_BASE}/api/intelligence/${symbol}`, { headers: authHeaders() }).then(r => r.json()).catch(() => null)
       ]);
       setFullAnalysis(analysisRes);
       setPatterns(patternsRes);
@@ -5,6 +5,9 @@ import SignalTable from '../components/SignalTable';
 import AIAdvisor from '../components/AIAdvisor';
 import ChatWidget from '../components/ChatWidget';
 import BottomNav from '../components/BottomNav';
+import LiquidationHeatmap from '../components/LiquidationHeatmap';
+import MtfMatrix from '../components/MtfMatrix';
+import CustomAlerts from '../components/CustomAlerts';
 import { fetchSignals, fetchCandles, fetchMeta } from '../lib/api';
 import { getSocket } from '../lib/socket';
 import { registerPush } from '../lib/pushClient';
@@ -275,6 +278,15 @@ export default function Home() {
             </div>
           </div>
 
+          {/* What every timeframe says about the selected pair */}
+          <MtfMatrix symbol={selectedSymbol} />
+
+          {/* Liquidation clusters and magnets for the selected pair */}
+          <LiquidationHeatmap symbol={selectedSymbol} />
+
+          {/* User-defined alert rules and their latest firings */}
+          <CustomAlerts symbol={selectedSymbol} />
+
           {/* Trade Levels Panel */}
           {selectedSignal?.ai?.trade && (
             <div className="card trade-levels-card">